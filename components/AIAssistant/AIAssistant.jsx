@@ -1,5 +1,6 @@
 // components/AIAssistant/AIAssistant.jsx
 // AI Assistant component for tender analysis and proposal help with API connectivity
+// The conversation is kept in the user's chat thread for the tender, so it survives reloads
 
 import React, { useState, useRef, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
@@ -7,33 +8,42 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { useToast } from '../../hooks/useToast';
-import { api } from '../../lib/api';
+import { useAIStream } from '../../hooks/useAIStream';
+import { useChatThread } from '../../hooks/useChatThread';
 import {
   Bot, // Main AI Assistant icon
   Lightbulb, // For Key Strengths
   BarChart, // For Competitive Analysis
   MessageSquare, // For Chat
   Send, // For Send button
+  Square, // For Stop button
   User, // For user messages
   RefreshCw, // For loading
+  Pin, // For pinning answers
+  PinOff, // For unpinning answers
+  Trash2, // For clearing the conversation
 } from 'lucide-react';
 
+const GREETING = "Hello! I'm here to help you with this tender. I can analyze requirements, suggest proposal strategies, and answer questions about the tender details.";
+
 export default function AIAssistant({ tenderId }) {
   const { addToast } = useToast();
+  const { start: startStream, stop: stopStream } = useAIStream();
   const [chatInput, setChatInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('suggestions'); // Add state for active tab
   const chatEndRef = useRef(null);
   const textareaRef = useRef(null);
-  
-  const [chatMessages, setChatMessages] = useState([
-    {
-      id: 1,
-      type: 'ai',
-      message: "Hello! I'm here to help you with this tender. I can analyze requirements, suggest proposal strategies, and answer questions about the tender details.",
-      timestamp: new Date()
-    }
-  ]);
+
+  const {
+    chatMessages,
+    setChatMessages,
+    loadingThread,
+    pinnedMessages,
+    replaceWithStored,
+    togglePinned,
+    clearThread
+  } = useChatThread({ tenderId, greeting: GREETING });
 
   // Auto-scroll to bottom when new messages are added
   useEffect(() => {
@@ -68,37 +78,37 @@ export default function AIAssistant({ tenderId }) {
     setChatInput('');
     setIsLoading(true);
 
-    try {
-      const response = await api('/api/chatAssistant', {
-        method: 'POST',
-        body: {
-          tenderId,
-          proposalContent: '', // No proposal content in tender view
-          userMessage: currentInput,
-          chatHistory: chatMessages.slice(-5) // Send last 5 messages for context
-        }
-      });
+    // The reply is streamed into an empty AI message, which is hidden until its first text arrives
+    const aiMessageId = Date.now() + 1;
+    setChatMessages(prev => [...prev, { id: aiMessageId, type: 'ai', message: '', timestamp: new Date() }]);
+    const updateAiMessage = (update) => {
+      setChatMessages(prev => prev.map(msg => msg.id === aiMessageId ? { ...msg, ...update(msg) } : msg));
+    };
 
-      const aiMessage = {
-        id: Date.now() + 1,
-        type: 'ai',
-        message: response.response,
-        timestamp: new Date()
-      };
+    try {
+      const result = await startStream('/api/chatAssistantStream', {
+        tenderId,
+        proposalContent: '', // No proposal content in tender view
+        userMessage: currentInput
+      }, text => updateAiMessage(msg => ({ message: msg.message + text })));
 
-      setChatMessages(prev => [...prev, aiMessage]);
+      if (result) {
+        // The server keeps the conversation; show its copies so the answer can be pinned
+        replaceWithStored([userMessage.id, aiMessageId], result.messages);
+      } else {
+        // Stopped by the user: keep the partial reply, or drop it if nothing arrived
+        setChatMessages(prev => prev
+          .filter(msg => msg.id !== aiMessageId || msg.message)
+          .map(msg => msg.id === aiMessageId ? { ...msg, stopped: true } : msg));
+      }
     } catch (error) {
       console.error('Chat error:', error);
       addToast('Failed to get AI response', 'error');
       
-      // Add error message to chat
-      const errorMessage = {
-        id: Date.now() + 1,
-        type: 'ai',
-        message: "I'm sorry, I'm having trouble responding right now. Please try again in a moment.",
-        timestamp: new Date()
-      };
-      setChatMessages(prev => [...prev, errorMessage]);
+      // Show an error message in place of the reply
+      updateAiMessage(() => ({
+        message: "I'm sorry, I'm having trouble responding right now. Please try again in a moment."
+      }));
     } finally {
       setIsLoading(false);
     }
@@ -254,9 +264,38 @@ export default function AIAssistant({ tenderId }) {
 
           {/* Chat Tab Content */}
           <TabsContent value="chat" className="flex flex-col">
+            {/* Pinned answers, kept when the conversation is cleared */}
+            {pinnedMessages.length > 0 && (
+              <div className="mx-6 mt-4 p-3 border border-amber-200 bg-amber-50 rounded-lg space-y-2">
+                <p className="text-xs font-medium text-amber-800 flex items-center">
+                  <Pin className="w-3 h-3 mr-1" />
+                  Pinned ({pinnedMessages.length})
+                </p>
+                {pinnedMessages.map(message => (
+                  <div key={message.id} className="flex items-start justify-between space-x-2">
+                    <p className="text-xs text-gray-700 line-clamp-2">{message.message}</p>
+                    <button
+                      onClick={() => togglePinned(message)}
+                      className="text-amber-700 hover:text-amber-900 flex-shrink-0"
+                      title="Unpin"
+                    >
+                      <PinOff className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Chat Messages - Scrollable */}
             <div className="flex-1 min-h-0 overflow-y-auto p-4 space-y-4 border border-gray-200 rounded-lg mx-6 mt-4 bg-gray-50 max-h-80">
-              {chatMessages.map((message) => (
+              {loadingThread && (
+                <div className="flex items-center justify-center text-sm text-gray-500">
+                  <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                  Loading conversation...
+                </div>
+              )}
+
+              {chatMessages.filter(message => message.message).map((message) => (
                 <div
                   key={message.id}
                   className={`flex items-start space-x-3 ${
@@ -285,19 +324,33 @@ export default function AIAssistant({ tenderId }) {
                       <p className="text-sm leading-relaxed whitespace-pre-wrap">
                         {message.message}
                       </p>
+                      {message.stopped && (
+                        <p className="text-xs text-blue-500 mt-1">Stopped</p>
+                      )}
+                    </div>
+                    <div className={`flex items-center space-x-2 mt-1 ${message.type === 'user' ? 'justify-end' : ''}`}>
+                      <p className="text-xs text-gray-500">
+                        {message.timestamp.toLocaleTimeString([], { 
+                          hour: '2-digit', 
+                          minute: '2-digit' 
+                        })}
+                      </p>
+                      {message.type === 'ai' && message.stored && (
+                        <button
+                          onClick={() => togglePinned(message)}
+                          className={`text-xs flex items-center ${message.pinned ? 'text-amber-600' : 'text-gray-400 hover:text-gray-600'}`}
+                          title={message.pinned ? 'Unpin' : 'Pin this answer'}
+                        >
+                          {message.pinned ? <PinOff className="w-3 h-3" /> : <Pin className="w-3 h-3" />}
+                        </button>
+                      )}
                     </div>
-                    <p className="text-xs text-gray-500 mt-1">
-                      {message.timestamp.toLocaleTimeString([], { 
-                        hour: '2-digit', 
-                        minute: '2-digit' 
-                      })}
-                    </p>
                   </div>
                 </div>
               ))}
               
-              {/* Loading indicator */}
-              {isLoading && (
+              {/* Loading indicator, until the reply starts arriving */}
+              {isLoading && !chatMessages[chatMessages.length - 1]?.message && (
                 <div className="flex items-start space-x-3">
                   <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center flex-shrink-0">
                     <Bot className="w-4 h-4 text-white" />
@@ -330,17 +383,40 @@ export default function AIAssistant({ tenderId }) {
                     style={{ minHeight: '44px' }}
                   />
                 </div>
-                <Button 
-                  onClick={handleSendMessage} 
-                  disabled={!chatInput.trim() || isLoading}
-                  className="bg-blue-600 hover:bg-blue-700 flex-shrink-0"
-                >
-                  <Send className="w-4 h-4" />
-                </Button>
+                {isLoading ? (
+                  <Button
+                    onClick={stopStream}
+                    variant="outline"
+                    className="flex-shrink-0"
+                    title="Stop generating"
+                  >
+                    <Square className="w-4 h-4" />
+                  </Button>
+                ) : (
+                  <Button
+                    onClick={handleSendMessage}
+                    disabled={!chatInput.trim()}
+                    className="bg-blue-600 hover:bg-blue-700 flex-shrink-0"
+                  >
+                    <Send className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+              <div className="flex items-center justify-between mt-2">
+                <p className="text-xs text-gray-500">
+                  Press Enter to send, Shift+Enter for new line
+                </p>
+                {chatMessages.some(message => message.stored && !message.pinned) && (
+                  <button
+                    onClick={clearThread}
+                    disabled={isLoading}
+                    className="text-xs text-gray-500 hover:text-red-600 flex items-center disabled:opacity-50"
+                  >
+                    <Trash2 className="w-3 h-3 mr-1" />
+                    Clear conversation
+                  </button>
+                )}
               </div>
-              <p className="text-xs text-gray-500 mt-2">
-                Press Enter to send, Shift+Enter for new line
-              </p>
             </div>
           </TabsContent>
         </Tabs>
@@ -282,13 +282,18 @@ export default function CertificationsList({
                     <div className="border-t border-gray-100 pt-3">
                       <label className="text-xs text-gray-500 mb-2 block">Supporting Documents</label>
                       <FileUploader
-                        onFileUpload={(file) => {
-                          const updatedDocs = [...(cert.documents || []), file];
+                        onFileUpload={(file, removedFile) => {
+                          const documents = cert.documents || [];
+                          const updatedDocs = removedFile
+                            ? documents.filter(doc => doc.id !== removedFile.id)
+                            : [...documents.filter(doc => doc.id !== file.id), file];
                           updateCertification(cert.id, { documents: updatedDocs });
                         }}
                         acceptedTypes=".pdf,.jpg,.jpeg,.png"
                         maxSize={5}
                         existingFiles={cert.documents || []}
+                        documentType="certification"
+                        details={{ title: cert.name, issuer: cert.issuer, expiresOn: cert.expiryDate }}
                       />
                     </div>
                   )}
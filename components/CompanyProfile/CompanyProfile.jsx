@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../../contexts/AuthContext";
 import { useToast } from "../../hooks/useToast";
-import { api } from "../../lib/api";
+import useSWR from "swr";
+import { api, fetcher } from "../../lib/api";
 import { Button } from "../ui/button";
 import { Input } from "../ui/input";
 import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
@@ -10,6 +11,8 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "../ui/tabs";
 import CertificationsList from "./CertificationsList";
 import MajorProjectsList from "./MajorProjectsList";
 import KeyPersonnelList from "./KeyPersonnelList";
+import ValidationStatus from "./ValidationStatus";
+import ComplianceDocuments from "./ComplianceDocuments";
 import { 
   Building2, 
   Save, 
@@ -72,6 +75,9 @@ export const CompanyProfile = () => {
     verificationStatus: "pending"
   });
 
+  // Completeness and credential expiry are computed by the server from the stored profile
+  const { data: health, mutate: refreshHealth } = useSWR(user ? '/api/profileHealth' : null, fetcher);
+
   const [isEditing, setIsEditing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -182,6 +188,7 @@ export const CompanyProfile = () => {
       });
 
       setIsEditing(false);
+      refreshHealth();
       addToast('Profile updated successfully!', 'success');
     } catch (error) {
       console.error('[CompanyProfile] Error saving profile:', error);
@@ -191,43 +198,6 @@ export const CompanyProfile = () => {
     }
   };
 
-  const getCompletionScore = () => {
-    let completed = 0;
-    let total = 0;
-
-    // Basic info (7 fields)
-    const basicFields = Object.values(profile.basicInfo);
-    total += basicFields.length;
-    completed += basicFields.filter(value => value && value.trim()).length;
-
-    // Certifications (4 core fields + custom)
-    total += 5;
-    if (profile.certifications.cidbGrade) completed++;
-    if (profile.certifications.cidbExpiry) completed++;
-    if (profile.certifications.contractorLicense) completed++;
-    if (profile.certifications.licenseExpiry) completed++;
-    if (profile.certifications.customCertifications.length > 0) completed++;
-
-    // Experience (5 fields including major projects)
-    total += 5;
-    if (profile.experience.yearsInOperation) completed++;
-    if (profile.experience.totalProjects) completed++;
-    if (profile.experience.specialties.length > 0) completed++;
-    if (profile.experience.majorProjects.length > 0) completed++;
-    if (profile.experience.totalValue) completed++;
-
-    // Team (6 fields including key personnel)
-    total += 6;
-    if (profile.team.totalEmployees) completed++;
-    if (profile.team.engineers) completed++;
-    if (profile.team.supervisors) completed++;
-    if (profile.team.technicians) completed++;
-    if (profile.team.laborers) completed++;
-    if (profile.team.keyPersonnel.length > 0) completed++;
-
-    return Math.round((completed / total) * 100);
-  };
-
   const getVerificationBadge = (status) => {
     switch (status) {
       case 'verified':
@@ -261,7 +231,7 @@ export const CompanyProfile = () => {
     }
   };
 
-  const completionScore = getCompletionScore();
+  const completionScore = health?.completeness.score ?? 0;
 
   // Show loading state
   if (loading) {
@@ -348,16 +318,22 @@ export const CompanyProfile = () => {
             </div>
           </CardContent>
         </Card>
+
+        {/* Expiring credentials and missing profile items */}
+        <div className="mt-6">
+          <ValidationStatus health={health} />
+        </div>
       </div>
 
       {/* Profile Tabs */}
       <Tabs defaultValue="basic" className="space-y-6">
-        <TabsList className="grid w-full grid-cols-5">
+        <TabsList className="grid w-full grid-cols-6">
           <TabsTrigger value="basic">Basic Info</TabsTrigger>
           <TabsTrigger value="certifications">Certifications</TabsTrigger>
           <TabsTrigger value="experience">Experience</TabsTrigger>
           <TabsTrigger value="team">Team</TabsTrigger>
           <TabsTrigger value="preferences">Preferences</TabsTrigger>
+          <TabsTrigger value="documents">Documents</TabsTrigger>
         </TabsList>
 
         {/* Basic Information */}
@@ -977,6 +953,11 @@ export const CompanyProfile = () => {
             </CardContent>
           </Card>
         </TabsContent>
+
+        {/* Document Vault */}
+        <TabsContent value="documents">
+          <ComplianceDocuments />
+        </TabsContent>
       </Tabs>
     </div>
   );
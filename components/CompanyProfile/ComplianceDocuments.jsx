@@ -1,46 +1,103 @@
 // components/CompanyProfile/ComplianceDocuments.jsx
 // Component for managing compliance documents and certifications
-// Integrates with FileUploader for document management
+// Lists the organization's document vault (/api/documents); uploads go through FileUploader with the details entered here
 
 import React, { useState } from 'react';
-import { DocumentCheckIcon } from '@heroicons/react/24/outline';
+import useSWR from 'swr';
+import { DocumentCheckIcon, ArrowDownTrayIcon, PencilSquareIcon, TrashIcon } from '@heroicons/react/24/outline';
 import FileUploader from './FileUploader';
 import { useToast } from '../../hooks/useToast';
+import { api, fetcher, downloadFile } from '../../lib/api';
+
+// Document types most tenders ask for, shown as a checklist above the upload form
+const REQUIRED_TYPES = [
+  'company_registration',
+  'tax_clearance',
+  'certification',
+  'insurance',
+  'financial_statement',
+  'safety'
+];
+
+const EMPTY_DETAILS = {
+  documentType: 'company_registration',
+  title: '',
+  issuer: '',
+  issuedOn: '',
+  expiresOn: ''
+};
 
 export default function ComplianceDocuments() {
   const { addToast } = useToast();
-  const [documents, setDocuments] = useState([
-    {
-      id: 1,
-      name: 'ISO 9001 Certificate.pdf',
-      type: 'Quality Management',
-      expiryDate: '2025-06-15',
-      status: 'valid',
-      size: 2048576,
-      uploadedAt: '2024-01-15T10:30:00Z'
-    },
-    {
-      id: 2,
-      name: 'Business License.pdf',
-      type: 'Business Registration',
-      expiryDate: '2024-12-31',
-      status: 'expiring_soon',
-      size: 1536000,
-      uploadedAt: '2024-01-10T14:20:00Z'
-    }
-  ]);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [editingId, setEditingId] = useState(null);
+  const [editDetails, setEditDetails] = useState(EMPTY_DETAILS);
+  const [saving, setSaving] = useState(false);
+
+  const { data, error, mutate } = useSWR('/api/documents', fetcher);
 
-  // Handle new file upload
+  const documents = data?.documents || [];
+  const documentTypes = data?.documentTypes || [];
+  const typeLabel = (value) => documentTypes.find(type => type.value === value)?.label || value;
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary focus:border-primary';
+
+  // Handle a finished upload
   const handleFileUpload = (file) => {
-    const newDocument = {
-      ...file,
-      type: 'General Document',
-      expiryDate: null,
-      status: 'valid'
-    };
-    
-    setDocuments(prev => [...prev, newDocument]);
-    addToast('Document uploaded successfully!', 'success');
+    if (!file) return;
+    addToast(`${file.name} added to the document vault`, 'success');
+    setDetails(prev => ({ ...EMPTY_DETAILS, documentType: prev.documentType }));
+    mutate();
+  };
+
+  // Download the original file
+  const handleDownload = async (doc) => {
+    try {
+      await downloadFile(`/api/documents/${doc.id}`, { method: 'GET' });
+    } catch (downloadError) {
+      addToast(downloadError.message || 'Failed to download document', 'error');
+    }
+  };
+
+  // Start editing a document's details
+  const startEditing = (doc) => {
+    setEditingId(doc.id);
+    setEditDetails({
+      documentType: doc.documentType,
+      title: doc.title,
+      issuer: doc.issuer || '',
+      issuedOn: doc.issuedOn || '',
+      expiresOn: doc.expiresOn || ''
+    });
+  };
+
+  // Save edited details
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await api(`/api/documents/${editingId}`, { method: 'PATCH', body: editDetails });
+      setEditingId(null);
+      addToast('Document details saved', 'success');
+      mutate();
+    } catch (saveError) {
+      addToast(saveError.message || 'Failed to save document details', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Delete a document from the vault
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete ${doc.title}? It will also be removed from draft proposals it is attached to.`)) return;
+
+    try {
+      await api(`/api/documents/${doc.id}`, { method: 'DELETE' });
+      addToast('Document deleted', 'success');
+      mutate();
+    } catch (deleteError) {
+      addToast(deleteError.message || 'Failed to delete document', 'error');
+    }
   };
 
   // Get status color
@@ -63,6 +120,77 @@ export default function ComplianceDocuments() {
     }
   };
 
+  // Fields shared by the upload and edit forms
+  const renderDetailFields = (values, onChange, idPrefix) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label htmlFor={`${idPrefix}Type`} className="block text-sm font-medium text-gray-700 mb-2">Document Type</label>
+        <select
+          id={`${idPrefix}Type`}
+          value={values.documentType}
+          onChange={(e) => onChange('documentType', e.target.value)}
+          className={inputClassName}
+        >
+          {documentTypes.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}Title`} className="block text-sm font-medium text-gray-700 mb-2">Title</label>
+        <input
+          type="text"
+          id={`${idPrefix}Title`}
+          value={values.title}
+          onChange={(e) => onChange('title', e.target.value)}
+          placeholder="Defaults to the file name"
+          className={inputClassName}
+        />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}Issuer`} className="block text-sm font-medium text-gray-700 mb-2">Issuer</label>
+        <input
+          type="text"
+          id={`${idPrefix}Issuer`}
+          value={values.issuer}
+          onChange={(e) => onChange('issuer', e.target.value)}
+          placeholder="e.g. SSM, LHDN, SIRIM"
+          className={inputClassName}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}IssuedOn`} className="block text-sm font-medium text-gray-700 mb-2">Issued</label>
+          <input
+            type="date"
+            id={`${idPrefix}IssuedOn`}
+            value={values.issuedOn}
+            onChange={(e) => onChange('issuedOn', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}ExpiresOn`} className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+          <input
+            type="date"
+            id={`${idPrefix}ExpiresOn`}
+            value={values.expiresOn}
+            onChange={(e) => onChange('expiresOn', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+    </div>
+  );
+
+  if (error) {
+    return (
+      <div className="card">
+        <p className="text-sm text-red-600">Failed to load company documents.</p>
+      </div>
+    );
+  }
+
   return (
     <div className="card">
       <div className="flex items-center space-x-2 mb-6">
@@ -70,74 +198,118 @@ export default function ComplianceDocuments() {
         <h3 className="text-lg font-semibold text-gray-900">Compliance Documents</h3>
       </div>
 
-      {/* Document Categories */}
-      <div className="mb-6">
-        <h4 className="text-sm font-medium text-gray-900 mb-3">Required Documents</h4>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {[
-            'Business Registration Certificate',
-            'Tax Clearance Certificate',
-            'ISO Quality Certifications',
-            'Insurance Certificates',
-            'Financial Statements',
-            'Safety Compliance Documents'
-          ].map((docType) => (
-            <div key={docType} className="p-3 border border-gray-200 rounded-lg">
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-700">{docType}</span>
-                <span className="text-xs text-gray-500">Optional</span>
-              </div>
+      {!data ? (
+        <p className="text-sm text-gray-500">Loading documents...</p>
+      ) : (
+        <>
+          {/* Document Categories */}
+          <div className="mb-6">
+            <h4 className="text-sm font-medium text-gray-900 mb-3">Commonly Required Documents</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {REQUIRED_TYPES.map((type) => {
+                const onFile = documents.filter(doc => doc.documentType === type && doc.status !== 'expired');
+                return (
+                  <div key={type} className="p-3 border border-gray-200 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-gray-700">{typeLabel(type)}</span>
+                      <span className={`text-xs ${onFile.length > 0 ? 'text-green-600' : 'text-gray-500'}`}>
+                        {onFile.length > 0 ? 'On file' : 'Not uploaded'}
+                      </span>
+                    </div>
+                  </div>
+                );
+              })}
             </div>
-          ))}
-        </div>
-      </div>
+          </div>
 
-      {/* File Uploader */}
-      <div className="mb-6">
-        <h4 className="text-sm font-medium text-gray-900 mb-3">Upload New Documents</h4>
-        <FileUploader
-          onFileUpload={handleFileUpload}
-          acceptedTypes=".pdf,.doc,.docx,.jpg,.png"
-          maxSize={10}
-        />
-      </div>
+          {/* File Uploader */}
+          {data.canEdit && (
+            <div className="mb-6 space-y-4">
+              <h4 className="text-sm font-medium text-gray-900">Upload New Documents</h4>
+              {renderDetailFields(details, (field, value) => setDetails(prev => ({ ...prev, [field]: value })), 'upload')}
+              <FileUploader
+                onFileUpload={handleFileUpload}
+                acceptedTypes=".pdf,.doc,.docx,.jpg,.png"
+                maxSize={10}
+                documentType={details.documentType}
+                details={{ title: details.title, issuer: details.issuer, issuedOn: details.issuedOn, expiresOn: details.expiresOn }}
+                showFileList={false}
+              />
+            </div>
+          )}
 
-      {/* Existing Documents */}
-      {documents.length > 0 && (
-        <div>
-          <h4 className="text-sm font-medium text-gray-900 mb-3">Current Documents</h4>
-          <div className="space-y-3">
-            {documents.map((doc) => (
-              <div key={doc.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-                <div className="flex-1">
-                  <div className="flex items-center space-x-3">
-                    <DocumentCheckIcon className="h-5 w-5 text-gray-400" />
-                    <div>
-                      <p className="text-sm font-medium text-gray-900">{doc.name}</p>
-                      <p className="text-xs text-gray-500">{doc.type}</p>
-                    </div>
-                  </div>
-                </div>
-                
-                <div className="flex items-center space-x-4">
-                  {doc.expiryDate && (
-                    <div className="text-right">
-                      <p className="text-xs text-gray-500">Expires</p>
-                      <p className="text-sm text-gray-900">
-                        {new Date(doc.expiryDate).toLocaleDateString()}
-                      </p>
+          {/* Existing Documents */}
+          {documents.length === 0 ? (
+            <p className="text-sm text-gray-500">No documents in the vault yet.</p>
+          ) : (
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-3">Current Documents</h4>
+              <div className="space-y-3">
+                {documents.map((doc) => (
+                  editingId === doc.id ? (
+                    <form key={doc.id} onSubmit={handleSaveDetails} className="p-4 border border-primary rounded-lg space-y-4">
+                      {renderDetailFields(editDetails, (field, value) => setEditDetails(prev => ({ ...prev, [field]: value })), `edit${doc.id}`)}
+                      <div className="flex justify-end space-x-3">
+                        <button type="button" onClick={() => setEditingId(null)} className="btn btn-secondary">
+                          Cancel
+                        </button>
+                        <button type="submit" disabled={saving} className="btn btn-primary">
+                          {saving ? 'Saving...' : 'Save Details'}
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <div key={doc.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center space-x-3">
+                          <DocumentCheckIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">{doc.title}</p>
+                            <p className="text-xs text-gray-500">
+                              {doc.documentTypeLabel}
+                              {doc.issuer ? ` • ${doc.issuer}` : ''}
+                              {doc.issuedOn ? ` • Issued ${new Date(doc.issuedOn).toLocaleDateString()}` : ''}
+                            </p>
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center space-x-4">
+                        {doc.expiresOn && (
+                          <div className="text-right">
+                            <p className="text-xs text-gray-500">Expires</p>
+                            <p className="text-sm text-gray-900">
+                              {new Date(doc.expiresOn).toLocaleDateString()}
+                            </p>
+                          </div>
+                        )}
+
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(doc.status)}`}>
+                          {getStatusText(doc.status)}
+                        </span>
+
+                        <button onClick={() => handleDownload(doc)} className="text-gray-400 hover:text-gray-600" title="Download">
+                          <ArrowDownTrayIcon className="h-4 w-4" />
+                        </button>
+                        {data.canEdit && (
+                          <>
+                            <button onClick={() => startEditing(doc)} className="text-gray-400 hover:text-gray-600" title="Edit details">
+                              <PencilSquareIcon className="h-4 w-4" />
+                            </button>
+                            <button onClick={() => handleDelete(doc)} className="text-red-400 hover:text-red-600" title="Delete">
+                              <TrashIcon className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
                     </div>
-                  )}
-                  
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(doc.status)}`}>
-                    {getStatusText(doc.status)}
-                  </span>
-                </div>
+                  )
+                ))}
               </div>
-            ))}
-          </div>
-        </div>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,6 +1,6 @@
 // components/CompanyProfile/FileUploader.jsx
 // File upload component for compliance documents and certificates
-// Handles file selection, upload progress, and file management
+// Uploads each selected file to the company document vault (/api/documents) and reports the stored document
 
 import React, { useState, useRef } from 'react';
 import { 
@@ -11,13 +11,17 @@ import {
   AlertCircle
 } from 'lucide-react';
 import { Button } from '../ui/button';
+import { uploadFile } from '../../lib/api';
 
 export default function FileUploader({ 
   acceptedTypes = ".pdf,.doc,.docx,.jpg,.png", 
   maxSize = 5, // MB
   onFileUpload,
   existingFiles = [],
-  disabled = false
+  disabled = false,
+  documentType = 'other',
+  details = {}, // Optional title, issuer, issuedOn and expiresOn stored with each file
+  showFileList = true
 }) {
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
@@ -81,28 +85,32 @@ export default function FileUploader({
       try {
         setUploading(true);
         
-        // Simulate file upload (replace with actual upload logic)
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
+        // Empty details are left out so the vault falls back to its defaults
+        const query = new URLSearchParams({ documentType });
+        Object.entries(details).forEach(([key, value]) => {
+          if (value) query.set(key, value);
+        });
+        const document = await uploadFile(`/api/documents?${query}`, file);
+
         const newFile = {
-          id: Date.now() + Math.random(),
-          name: file.name,
-          size: file.size,
-          type: file.type,
-          uploadedAt: new Date().toISOString(),
+          id: document.id,
+          name: document.fileName,
+          size: document.fileSize,
+          type: document.contentType,
+          uploadedAt: document.createdAt,
           status: 'uploaded',
-          file: file // Store the actual file object
+          documentId: document.id
         };
         
-        const updatedFiles = [...files, newFile];
-        setFiles(updatedFiles);
+        // A file already in the vault comes back as the same document
+        setFiles(prev => prev.some(existing => existing.id === newFile.id) ? prev : [...prev, newFile]);
         
         if (onFileUpload) {
           onFileUpload(newFile);
         }
       } catch (error) {
         console.error('Upload failed:', error);
-        setError(`Failed to upload ${file.name}`);
+        setError(error.message || `Failed to upload ${file.name}`);
       } finally {
         setUploading(false);
       }
@@ -184,7 +192,7 @@ export default function FileUploader({
       )}
 
       {/* File List */}
-      {files.length > 0 && (
+      {showFileList && files.length > 0 && (
         <div className="space-y-2">
           <h4 className="text-sm font-medium text-gray-900">Uploaded Files</h4>
           {files.map((file) => (
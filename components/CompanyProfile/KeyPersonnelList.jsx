@@ -407,6 +407,8 @@ export default function KeyPersonnelList({
                     acceptedTypes=".pdf,.doc,.docx"
                     maxSize={5}
                     existingFiles={newPerson.cv ? [newPerson.cv] : []}
+                    documentType="personnel_cv"
+                    details={{ title: newPerson.name ? `CV - ${newPerson.name}` : undefined }}
                   />
                 </div>
 
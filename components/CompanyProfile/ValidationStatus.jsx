@@ -1,53 +1,44 @@
 // components/CompanyProfile/ValidationStatus.jsx
 // Component showing company compliance and validation status
-// Displays verification progress and required actions
+// Lists expired and expiring credentials, then what the profile still lacks, from /api/profileHealth
 
 import React from 'react';
-import { 
-  CheckCircleIcon, 
-  ExclamationTriangleIcon, 
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
   ClockIcon,
-  ShieldCheckIcon 
+  ShieldCheckIcon
 } from '@heroicons/react/24/outline';
 
-export default function ValidationStatus({ companyData }) {
-  // Mock validation data - in real app this would come from API
+export default function ValidationStatus({ health }) {
+  if (!health) return null;
+
+  const { completeness, expiring } = health;
+
+  // Expiring credentials first, then missing profile items, then completed ones
   const validationItems = [
-    {
-      id: 1,
-      title: 'Business Registration',
-      status: 'verified',
-      description: 'Company registration verified with government records',
-      completedAt: '2024-01-15'
-    },
-    {
-      id: 2,
-      title: 'Tax Compliance',
-      status: 'verified',
-      description: 'Tax clearance certificate validated',
-      completedAt: '2024-01-20'
-    },
-    {
-      id: 3,
-      title: 'Financial Standing',
+    ...expiring.map(credential => ({
+      id: `expiry-${credential.key}`,
+      title: credential.label,
+      status: credential.status === 'expired' ? 'warning' : 'pending',
+      description: credential.status === 'expired'
+        ? `Expired on ${credential.expiresOn}. Tenders that require it are marked at risk.`
+        : `Expires on ${credential.expiresOn}, in ${credential.daysLeft} day${credential.daysLeft === 1 ? '' : 's'}.`,
+      action: 'Renew it and update the expiry date in the Certifications tab'
+    })),
+    ...completeness.missing.map(item => ({
+      id: item.key,
+      title: item.label,
       status: 'pending',
-      description: 'Financial statements under review',
-      action: 'Upload latest financial statements'
-    },
-    {
-      id: 4,
-      title: 'Insurance Coverage',
-      status: 'warning',
-      description: 'Insurance certificate expires in 30 days',
-      action: 'Renew insurance certificate'
-    },
-    {
-      id: 5,
-      title: 'Quality Certifications',
+      description: 'Not yet in your profile',
+      action: `Add it in the ${item.section} tab`
+    })),
+    ...completeness.completed.map(item => ({
+      id: item.key,
+      title: item.label,
       status: 'verified',
-      description: 'ISO 9001:2015 certification validated',
-      completedAt: '2024-01-10'
-    }
+      description: `${item.section} section`
+    }))
   ];
 
   // Get status icon and color
@@ -84,10 +75,6 @@ export default function ValidationStatus({ companyData }) {
     }
   };
 
-  // Calculate overall compliance score
-  const verifiedCount = validationItems.filter(item => item.status === 'verified').length;
-  const complianceScore = Math.round((verifiedCount / validationItems.length) * 100);
-
   return (
     <div className="card">
       <div className="flex items-center space-x-2 mb-6">
@@ -95,26 +82,11 @@ export default function ValidationStatus({ companyData }) {
         <h3 className="text-lg font-semibold text-gray-900">Validation Status</h3>
       </div>
 
-      {/* Overall Score */}
-      <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-        <div className="flex items-center justify-between">
-          <div>
-            <h4 className="text-lg font-semibold text-blue-900">Compliance Score</h4>
-            <p className="text-sm text-blue-700">
-              {verifiedCount} of {validationItems.length} validations completed
-            </p>
-          </div>
-          <div className="text-right">
-            <div className="text-3xl font-bold text-blue-900">{complianceScore}%</div>
-            <div className="w-24 bg-blue-200 rounded-full h-2 mt-1">
-              <div 
-                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${complianceScore}%` }}
-              ></div>
-            </div>
-          </div>
-        </div>
-      </div>
+      {/* Summary; the completeness score itself is shown above the profile */}
+      <p className="-mt-4 mb-6 text-sm text-gray-600">
+        {completeness.completed.length} of {completeness.completed.length + completeness.missing.length} profile items complete
+        {expiring.length > 0 && ` · ${expiring.length} credential${expiring.length === 1 ? '' : 's'} need renewing`}
+      </p>
 
       {/* Validation Items */}
       <div className="space-y-4">
@@ -123,8 +95,8 @@ export default function ValidationStatus({ companyData }) {
           const StatusIcon = statusDisplay.icon;
 
           return (
-            <div 
-              key={item.id} 
+            <div
+              key={item.id}
               className={`p-4 border rounded-lg ${statusDisplay.bgColor} ${statusDisplay.borderColor}`}
             >
               <div className="flex items-start space-x-3">
@@ -137,19 +109,11 @@ export default function ValidationStatus({ companyData }) {
                     </span>
                   </div>
                   <p className="text-sm text-gray-600 mt-1">{item.description}</p>
-                  
-                  {item.completedAt && (
-                    <p className="text-xs text-gray-500 mt-2">
-                      Completed on {new Date(item.completedAt).toLocaleDateString()}
-                    </p>
-                  )}
-                  
+
                   {item.action && (
-                    <div className="mt-3">
-                      <button className="text-sm font-medium text-primary hover:text-blue-700">
-                        {item.action} →
-                      </button>
-                    </div>
+                    <p className="text-sm font-medium text-primary mt-3">
+                      {item.action} →
+                    </p>
                   )}
                 </div>
               </div>
@@ -157,16 +121,6 @@ export default function ValidationStatus({ companyData }) {
           );
         })}
       </div>
-
-      {/* Action Buttons */}
-      <div className="mt-6 flex space-x-3">
-        <button className="btn btn-primary">
-          Request Verification Review
-        </button>
-        <button className="btn btn-secondary">
-          Download Compliance Report
-        </button>
-      </div>
     </div>
   );
-}
\ No newline at end of file
+}
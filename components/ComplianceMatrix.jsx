@@ -0,0 +1,160 @@
+// components/ComplianceMatrix.jsx
+// Compliance matrix for a tender: each extracted requirement with its threshold, the evidence for it in the
+// company profile and, when proposal content is given, the proposal section that addresses it
+
+import { useMemo, useState } from 'react';
+import useSWR from 'swr';
+import { CheckCircle, XCircle, AlertCircle, HelpCircle, RefreshCw, Loader2 } from 'lucide-react';
+import { fetcher, api } from '../lib/api';
+import { TYPE_LABELS, describeThreshold, findAddressingSection } from '../lib/requirements';
+import { useToast } from '../hooks/useToast';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+
+const STATUS_DISPLAY = {
+  met: { label: 'Met', icon: CheckCircle, className: 'text-green-700' },
+  not_met: { label: 'Not met', icon: XCircle, className: 'text-red-700' },
+  missing: { label: 'Not in profile', icon: AlertCircle, className: 'text-amber-700' },
+  manual: { label: 'Check manually', icon: HelpCircle, className: 'text-gray-600' }
+};
+
+export default function ComplianceMatrix({ tenderId, proposalContent }) {
+  const { addToast } = useToast();
+  const [extracting, setExtracting] = useState(false);
+  const showSections = typeof proposalContent === 'string';
+
+  const { data, error, mutate } = useSWR(
+    tenderId ? `/api/tenders/${tenderId}/requirements` : null,
+    fetcher
+  );
+
+  const requirements = data?.requirements || [];
+
+  // Sections are matched in the browser so the column follows the proposal as it is edited
+  const sections = useMemo(
+    () => showSections ? requirements.map(requirement => findAddressingSection(requirement, proposalContent)) : [],
+    [showSections, requirements, proposalContent]
+  );
+
+  const mandatory = requirements.filter(requirement => requirement.mandatory);
+  const mandatoryMet = mandatory.filter(requirement => requirement.evidence.status === 'met').length;
+
+  const handleExtract = async () => {
+    try {
+      setExtracting(true);
+      const extracted = await api(`/api/tenders/${tenderId}/requirements`, { method: 'POST' });
+      mutate(extracted, false);
+      addToast(`${extracted.requirements.length} requirements extracted`, 'success');
+    } catch (extractError) {
+      addToast(extractError.message || 'Failed to extract requirements', 'error');
+    } finally {
+      setExtracting(false);
+    }
+  };
+
+  if (error) {
+    return <p className="text-sm text-red-600">Failed to load the compliance matrix.</p>;
+  }
+
+  if (!data) {
+    return <p className="text-sm text-gray-500">Reading tender requirements...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Compliance Matrix</h3>
+          <p className="text-sm text-gray-500">
+            {mandatory.length > 0
+              ? `${mandatoryMet} of ${mandatory.length} mandatory requirements met by your company profile.`
+              : 'Requirements extracted from the tender listing and its attached documents.'}
+          </p>
+          {data.stale && data.extractedAt && (
+            <p className="text-sm text-amber-700 mt-1">
+              Documents were attached after these requirements were extracted.
+            </p>
+          )}
+          {!data.extractedAt && (
+            <p className="text-sm text-gray-500 mt-1">
+              Read from the tender listing. Extract to include the attached documents.
+            </p>
+          )}
+        </div>
+        {data.canExtract && (
+          <Button variant="outline" size="sm" onClick={handleExtract} disabled={extracting}>
+            {extracting ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4 mr-2" />
+            )}
+            {extracting ? 'Extracting...' : data.extractedAt ? 'Re-extract' : 'Extract'}
+          </Button>
+        )}
+      </div>
+
+      {!data.hasProfile && (
+        <p className="text-sm text-amber-700">Complete your company profile to see evidence for each requirement.</p>
+      )}
+
+      {requirements.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No requirements found. {data.canExtract && 'Attach the bid document and extract again.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Requirement</th>
+                <th className="py-2 pr-4 font-medium">Evidence in profile</th>
+                {showSections && <th className="py-2 font-medium">Addressed in proposal</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {requirements.map((requirement, index) => {
+                const status = STATUS_DISPLAY[requirement.evidence.status];
+                const StatusIcon = status.icon;
+                const threshold = describeThreshold(requirement);
+
+                return (
+                  <tr key={requirement.id} className="border-b border-gray-100 align-top">
+                    <td className="py-3 pr-4">
+                      <div className="flex items-center flex-wrap gap-2 mb-1">
+                        <Badge variant="outline">{TYPE_LABELS[requirement.type]}</Badge>
+                        {!requirement.mandatory && <Badge variant="secondary">Preferred</Badge>}
+                        {threshold && threshold !== requirement.description && (
+                          <span className="text-xs font-medium text-gray-700">{threshold}</span>
+                        )}
+                      </div>
+                      <p className="text-gray-900">{requirement.description}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {requirement.sourceReference || (requirement.source === 'document' ? 'Tender documents' : 'Tender listing')}
+                      </p>
+                    </td>
+                    <td className="py-3 pr-4">
+                      <span className={`flex items-center font-medium ${status.className}`}>
+                        <StatusIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+                        {status.label}
+                      </span>
+                      <p className="text-xs text-gray-600 mt-1">{requirement.evidence.evidence}</p>
+                    </td>
+                    {showSections && (
+                      <td className="py-3">
+                        {sections[index] ? (
+                          <span className="text-gray-900">{sections[index].heading}</span>
+                        ) : (
+                          <span className="text-amber-700">Not addressed yet</span>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
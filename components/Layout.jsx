@@ -11,11 +11,11 @@ export default function Layout({ children }) {
   const router = useRouter();
   const [sidebarCollapsed, setSidebarCollapsed] = useState(true);
 
-  // Check if we're on the homepage to show full-width layout
-  const isHomePage = router.pathname === '/';
+  // The homepage and the public verify page use a full-width layout
+  const isFullWidthPage = router.pathname === '/' || router.pathname === '/verify';
 
-  // If on homepage, render without sidebar for full-width experience
-  if (isHomePage) {
+  // Render without sidebar for full-width experience
+  if (isFullWidthPage) {
     return (
       <div className="min-h-screen bg-white">
         {children}
@@ -0,0 +1,232 @@
+// components/ProposalAttachments.jsx
+// Submission package of a proposal: the supporting documents the tender asks for, and the vault documents
+// submitted with the proposal in its ZIP package (see lib/submissionPackage.js)
+// Owners and editors pick documents from the company document vault while the proposal is being drafted
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import useSWR from 'swr';
+import { Paperclip, Download, X, Loader2, CheckCircle, AlertCircle, XCircle, Package } from 'lucide-react';
+import { fetcher, api, downloadFile } from '../lib/api';
+import { useToast } from '../hooks/useToast';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+
+const STATUS_BADGES = {
+  expiring_soon: { label: 'Expiring soon', className: 'bg-yellow-100 text-yellow-800' },
+  expired: { label: 'Expired', className: 'bg-red-100 text-red-800' }
+};
+
+const REQUIRED_STATUS_DISPLAY = {
+  attached: { label: 'Attached', icon: CheckCircle, className: 'text-green-700' },
+  expired: { label: 'Attached, expired', icon: XCircle, className: 'text-red-700' },
+  available: { label: 'In vault', icon: AlertCircle, className: 'text-amber-700' },
+  missing: { label: 'Not in vault', icon: XCircle, className: 'text-red-700' }
+};
+
+export default function ProposalAttachments({ proposalId, status }) {
+  const { addToast } = useToast();
+  const [selectedId, setSelectedId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const { data, error, mutate } = useSWR(
+    proposalId ? `/api/proposals/${proposalId}/package` : null,
+    fetcher
+  );
+
+  // Whether attachments can change depends on the proposal status
+  useEffect(() => {
+    mutate();
+  }, [status, mutate]);
+
+  const attachments = data?.attachments || [];
+  const requiredAttachments = data?.requiredAttachments || [];
+  const vaultDocuments = data?.vaultDocuments || [];
+  const available = vaultDocuments.filter(doc => !attachments.some(attached => attached.id === doc.id));
+  const documentTitle = (id) => vaultDocuments.find(doc => doc.id === id)?.title || 'document';
+
+  const handleAttach = async (documentId) => {
+    if (!documentId) return;
+
+    try {
+      setBusy(true);
+      await api(`/api/proposals/${proposalId}/attachments`, { method: 'POST', body: { documentId } });
+      setSelectedId('');
+      mutate();
+    } catch (attachError) {
+      addToast(attachError.message || 'Failed to attach document', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDetach = async (doc) => {
+    try {
+      setBusy(true);
+      await api(`/api/proposals/${proposalId}/attachments`, { method: 'DELETE', body: { documentId: doc.id } });
+      mutate();
+    } catch (detachError) {
+      addToast(detachError.message || 'Failed to detach document', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      await downloadFile(`/api/documents/${doc.id}`, { method: 'GET' });
+    } catch (downloadError) {
+      addToast(downloadError.message || 'Failed to download document', 'error');
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setDownloading(true);
+      await downloadFile(`/api/proposals/${proposalId}/package?download=1`, { method: 'GET' });
+    } catch (downloadError) {
+      addToast(downloadError.message || 'Failed to build the package', 'error');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (error) {
+    return <p className="text-sm text-red-600">Failed to load the submission package.</p>;
+  }
+
+  if (!data) {
+    return <p className="text-sm text-gray-500">Loading submission package...</p>;
+  }
+
+  const unresolved = requiredAttachments.filter(item => item.mandatory && item.status !== 'attached');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center space-x-2">
+            <Package className="w-4 h-4" />
+            <span>Submission Package</span>
+          </h3>
+          <p className="text-sm text-gray-500">
+            Submitted as one ZIP with the proposal PDF, the documents below and a manifest of their hashes.
+            Documents come from the <Link href="/company-profile" className="text-primary hover:underline">company document vault</Link>.
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={handlePreview} disabled={downloading}>
+          {downloading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+          Preview ZIP
+        </Button>
+      </div>
+
+      {/* Supporting documents the tender asks for */}
+      {requiredAttachments.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Required by the tender</h4>
+          {unresolved.length > 0 && (
+            <p className="text-xs text-red-700 mb-2">
+              {unresolved.length} mandatory document{unresolved.length === 1 ? '' : 's'} not attached yet.
+            </p>
+          )}
+          <ul className="space-y-2">
+            {requiredAttachments.map((item, index) => {
+              const display = REQUIRED_STATUS_DISPLAY[item.status];
+              const StatusIcon = display.icon;
+
+              return (
+                <li key={item.requirementId || index} className="flex items-start justify-between p-3 border border-gray-200 rounded-lg">
+                  <div className="flex items-start space-x-2 min-w-0">
+                    <StatusIcon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${display.className}`} />
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-900">
+                        {item.description}
+                        {item.mandatory && <Badge className="ml-2 bg-gray-100 text-gray-700">Mandatory</Badge>}
+                      </p>
+                      <p className={`text-xs ${display.className}`}>
+                        {display.label}
+                        {item.attachedIds.length > 0 && `: ${item.attachedIds.map(documentTitle).join(', ')}`}
+                      </p>
+                    </div>
+                  </div>
+                  {data.canEdit && item.status !== 'attached' && item.suggestedIds.length > 0 && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleAttach(item.suggestedIds[0])}
+                      disabled={busy}
+                      title={`Attach ${documentTitle(item.suggestedIds[0])}`}
+                    >
+                      <Paperclip className="w-4 h-4 mr-1" />
+                      Attach
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {/* Attached vault documents */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Attached documents</h4>
+        {attachments.length === 0 ? (
+          <p className="text-sm text-gray-600">No documents attached. The package will hold the proposal PDF only.</p>
+        ) : (
+          <ul className="space-y-2">
+            {attachments.map(doc => (
+              <li key={doc.id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{doc.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {doc.documentTypeLabel}
+                    {doc.expiresOn ? ` • Expires ${new Date(doc.expiresOn).toLocaleDateString()}` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  {STATUS_BADGES[doc.status] && (
+                    <Badge className={STATUS_BADGES[doc.status].className}>{STATUS_BADGES[doc.status].label}</Badge>
+                  )}
+                  <Button variant="ghost" size="sm" onClick={() => handleDownload(doc)} title="Download">
+                    <Download className="w-4 h-4" />
+                  </Button>
+                  {data.canEdit && (
+                    <Button variant="ghost" size="sm" onClick={() => handleDetach(doc)} disabled={busy} title="Detach">
+                      <X className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {data.canEdit && (
+        <div className="flex items-center space-x-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary focus:border-primary"
+            disabled={available.length === 0}
+          >
+            <option value="">
+              {available.length === 0 ? 'No other documents in the vault' : 'Choose a vault document'}
+            </option>
+            {available.map(doc => (
+              <option key={doc.id} value={doc.id}>
+                {doc.title} ({doc.documentTypeLabel}){doc.status === 'expired' ? ' - expired' : ''}
+              </option>
+            ))}
+          </select>
+          <Button variant="outline" onClick={() => handleAttach(selectedId)} disabled={!selectedId || busy}>
+            {busy ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Paperclip className="w-4 h-4 mr-2" />}
+            Attach
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -164,7 +164,7 @@ export default function EditorContainer({
               Save Now
             </button>
           )}
-          <ExportControls content={content} proposalTitle={proposalTitle} />
+          <ExportControls proposalId={proposalId} content={content} proposalTitle={proposalTitle} />
         </div>
       </div>
 
@@ -10,11 +10,16 @@ import {
   Cog6ToothIcon
 } from '@heroicons/react/24/outline';
 import { useToast } from '../../hooks/useToast';
+import { downloadFile } from '../../lib/api';
 
-export default function ExportControls({ content, proposalTitle = "Proposal" }) {
+export default function ExportControls({ proposalId, content, proposalTitle = "Proposal" }) {
   const { addToast } = useToast();
   const [exporting, setExporting] = useState(false);
   const [showOptions, setShowOptions] = useState(false);
+  const [exportSettings, setExportSettings] = useState({
+    includeLetterhead: true,
+    includeToc: true
+  });
 
   // Export formats
   const exportFormats = [
@@ -43,20 +48,17 @@ export default function ExportControls({ content, proposalTitle = "Proposal" })
     try {
       setExporting(true);
       
-      // Simulate export process
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
       switch (format) {
         case 'txt':
           downloadTextFile();
           break;
         case 'pdf':
-          // In real app, would generate PDF
-          addToast('PDF export would be generated here', 'info');
-          break;
         case 'docx':
-          // In real app, would generate DOCX
-          addToast('Word document export would be generated here', 'info');
+          // Rendered server-side from the editor's current content
+          await downloadFile('/api/exportProposal', {
+            method: 'POST',
+            body: { proposalId, format, content, options: exportSettings }
+          });
           break;
         default:
           throw new Error('Unsupported format');
@@ -64,7 +66,7 @@ export default function ExportControls({ content, proposalTitle = "Proposal" })
       
       addToast(`Proposal exported as ${format.toUpperCase()}`, 'success');
     } catch (error) {
-      addToast('Export failed', 'error');
+      addToast(error.message ? `Export failed: ${error.message}` : 'Export failed', 'error');
     } finally {
       setExporting(false);
       setShowOptions(false);
@@ -149,27 +151,25 @@ export default function ExportControls({ content, proposalTitle = "Proposal" })
                 <label className="flex items-center text-sm">
                   <input
                     type="checkbox"
-                    defaultChecked
-                    className="rounded border-gray-300 text-primary focus:ring-primary mr-2"
-                  />
-                  Include header and footer
-                </label>
-                <label className="flex items-center text-sm">
-                  <input
-                    type="checkbox"
-                    defaultChecked
+                    checked={exportSettings.includeLetterhead}
+                    onChange={(e) => setExportSettings(prev => ({ ...prev, includeLetterhead: e.target.checked }))}
                     className="rounded border-gray-300 text-primary focus:ring-primary mr-2"
                   />
-                  Add page numbers
+                  Include company letterhead
                 </label>
                 <label className="flex items-center text-sm">
                   <input
                     type="checkbox"
+                    checked={exportSettings.includeToc}
+                    onChange={(e) => setExportSettings(prev => ({ ...prev, includeToc: e.target.checked }))}
                     className="rounded border-gray-300 text-primary focus:ring-primary mr-2"
                   />
-                  Include watermark
+                  Include table of contents
                 </label>
               </div>
+              <p className="text-xs text-gray-500 mt-2">
+                PDF and Word exports show the tender reference and page numbers on every page.
+              </p>
             </div>
 
             {/* Close Button */}
@@ -1,14 +1,19 @@
 // components/ProposalEditor/ProposalAIAssistant.jsx
 // AI Assistant chatbot component for proposal editor
+// The conversation is kept in the user's chat thread for the proposal; answers can be pinned or inserted into a section
 
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { useToast } from '../../hooks/useToast';
 import { api } from '../../lib/api';
+import { useAIStream } from '../../hooks/useAIStream';
+import { useChatThread } from '../../hooks/useChatThread';
+import { parseSections, insertIntoSection } from '../../lib/proposalReview';
 import {
   Bot,
   Send,
+  Square,
   User,
   Sparkles,
   MessageSquare,
@@ -17,9 +22,17 @@ import {
   CheckCircle,
   FileText,
   Eye,
-  Target
+  Target,
+  Pin,
+  PinOff,
+  Trash2
 } from 'lucide-react';
 
+const GREETING = "Hello! I'm your AI proposal assistant. I can help you improve your proposal, answer questions about the tender, and provide writing suggestions. How can I assist you today?";
+
+// Value of the insert menu's option that appends to the end of the proposal
+const END_OF_PROPOSAL = '__end__';
+
 export default function ProposalAIAssistant({ 
   tenderId, 
   proposalId, 
@@ -27,6 +40,7 @@ export default function ProposalAIAssistant({
   onUpdateProposalContent 
 }) {
   const { addToast } = useToast();
+  const { start: startStream, stop: stopStream } = useAIStream();
   const [chatInput, setChatInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isImprovingProposal, setIsImprovingProposal] = useState(false);
@@ -34,15 +48,19 @@ export default function ProposalAIAssistant({
   const chatEndRef = useRef(null);
   const textareaRef = useRef(null);
   const chatContainerRef = useRef(null);
-  
-  const [chatMessages, setChatMessages] = useState([
-    {
-      id: 1,
-      type: 'ai',
-      message: "Hello! I'm your AI proposal assistant. I can help you improve your proposal, answer questions about the tender, and provide writing suggestions. How can I assist you today?",
-      timestamp: new Date()
-    }
-  ]);
+
+  const {
+    chatMessages,
+    setChatMessages,
+    loadingThread,
+    pinnedMessages,
+    replaceWithStored,
+    togglePinned,
+    clearThread
+  } = useChatThread({ tenderId, proposalId, greeting: GREETING });
+
+  // Sections an answer can be inserted into
+  const sections = useMemo(() => parseSections(currentProposalContent), [currentProposalContent]);
 
   // Auto-scroll to bottom when new messages are added
   useEffect(() => {
@@ -79,37 +97,38 @@ export default function ProposalAIAssistant({
     setChatInput('');
     setIsLoading(true);
 
-    try {
-      const response = await api('/api/chatAssistant', {
-        method: 'POST',
-        body: {
-          tenderId,
-          proposalContent: currentProposalContent,
-          userMessage: currentInput,
-          chatHistory: chatMessages.slice(-5) // Send last 5 messages for context
-        }
-      });
+    // The reply is streamed into an empty AI message, which is hidden until its first text arrives
+    const aiMessageId = Date.now() + 1;
+    setChatMessages(prev => [...prev, { id: aiMessageId, type: 'ai', message: '', timestamp: new Date() }]);
+    const updateAiMessage = (update) => {
+      setChatMessages(prev => prev.map(msg => msg.id === aiMessageId ? { ...msg, ...update(msg) } : msg));
+    };
 
-      const aiMessage = {
-        id: Date.now() + 1,
-        type: 'ai',
-        message: response.response,
-        timestamp: new Date()
-      };
+    try {
+      const result = await startStream('/api/chatAssistantStream', {
+        tenderId,
+        proposalId,
+        proposalContent: currentProposalContent,
+        userMessage: currentInput
+      }, text => updateAiMessage(msg => ({ message: msg.message + text })));
 
-      setChatMessages(prev => [...prev, aiMessage]);
+      if (result) {
+        // The server keeps the conversation; show its copies so the answer can be pinned
+        replaceWithStored([userMessage.id, aiMessageId], result.messages);
+      } else {
+        // Stopped by the user: keep the partial reply, or drop it if nothing arrived
+        setChatMessages(prev => prev
+          .filter(msg => msg.id !== aiMessageId || msg.message)
+          .map(msg => msg.id === aiMessageId ? { ...msg, stopped: true } : msg));
+      }
     } catch (error) {
       console.error('Chat error:', error);
       addToast('Failed to get AI response', 'error');
       
-      // Add error message to chat
-      const errorMessage = {
-        id: Date.now() + 1,
-        type: 'ai',
-        message: "I'm sorry, I'm having trouble responding right now. Please try again in a moment.",
-        timestamp: new Date()
-      };
-      setChatMessages(prev => [...prev, errorMessage]);
+      // Show an error message in place of the reply
+      updateAiMessage(() => ({
+        message: "I'm sorry, I'm having trouble responding right now. Please try again in a moment."
+      }));
     } finally {
       setIsLoading(false);
     }
@@ -135,7 +154,7 @@ export default function ProposalAIAssistant({
         method: 'POST',
         body: {
           tenderId,
-          proposalContent: currentProposalContent,
+        proposalContent: currentProposalContent,
           userInstruction,
           chatHistory: chatMessages.slice(-10) // Send more context for improvement
         }
@@ -148,7 +167,10 @@ export default function ProposalAIAssistant({
         id: Date.now(),
         type: 'ai',
         message: "I've updated your proposal based on our conversation. The changes include: " + 
-                response.improvements.join(', ') + ". Please review the updated content.",
+                response.improvements.join(', ') + ". Please review the updated content." +
+                (response.unverifiedClaims?.length > 0
+                  ? ` These statements could not be traced to your company profile, so check them: ${response.unverifiedClaims.map(item => item.claim).join(', ')}.`
+                  : ''),
         timestamp: new Date()
       };
       
@@ -162,6 +184,17 @@ export default function ProposalAIAssistant({
     }
   };
 
+  // Insert an answer at the end of a section, or of the proposal
+  const handleInsertAnswer = (message, anchor) => {
+    const section = sections.find(item => item.anchor === anchor);
+    const updatedContent = section
+      ? insertIntoSection(currentProposalContent, anchor, message.message)
+      : `${currentProposalContent.trimEnd()}\n\n${message.message.trim()}\n`;
+
+    onUpdateProposalContent(updatedContent);
+    addToast(section ? `Inserted into "${section.heading}"` : 'Added to the end of the proposal', 'success');
+  };
+
   // Handle key press in textarea
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -402,7 +435,36 @@ export default function ProposalAIAssistant({
               className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50 min-h-0"
               style={{ maxHeight: 'calc(100% - 120px)' }} // Reserve space for input area
             >
-              {chatMessages.map((message) => (
+              {/* Pinned answers, kept when the conversation is cleared */}
+              {pinnedMessages.length > 0 && (
+                <div className="p-3 border border-amber-200 bg-amber-50 rounded-lg space-y-2">
+                  <p className="text-xs font-medium text-amber-800 flex items-center">
+                    <Pin className="w-3 h-3 mr-1" />
+                    Pinned ({pinnedMessages.length})
+                  </p>
+                  {pinnedMessages.map(message => (
+                    <div key={message.id} className="flex items-start justify-between space-x-2">
+                      <p className="text-xs text-gray-700 line-clamp-2">{message.message}</p>
+                      <button
+                        onClick={() => togglePinned(message)}
+                        className="text-amber-700 hover:text-amber-900 flex-shrink-0"
+                        title="Unpin"
+                      >
+                        <PinOff className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {loadingThread && (
+                <div className="flex items-center justify-center text-sm text-gray-500">
+                  <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                  Loading conversation...
+                </div>
+              )}
+
+              {chatMessages.filter(message => message.message).map((message) => (
                 <div
                   key={message.id}
                   className={`flex items-start space-x-3 ${
@@ -431,19 +493,49 @@ export default function ProposalAIAssistant({
                       <p className="text-sm leading-relaxed whitespace-pre-wrap">
                         {message.message}
                       </p>
+                      {message.stopped && (
+                        <p className="text-xs text-blue-500 mt-1">Stopped</p>
+                      )}
+                    </div>
+                    <div className={`flex items-center space-x-2 mt-1 ${message.type === 'user' ? 'justify-end' : ''}`}>
+                      <p className="text-xs text-gray-500">
+                        {message.timestamp.toLocaleTimeString([], { 
+                          hour: '2-digit', 
+                          minute: '2-digit' 
+                        })}
+                      </p>
+                      {message.type === 'ai' && message.stored && (
+                        <>
+                          <button
+                            onClick={() => togglePinned(message)}
+                            className={`text-xs flex items-center ${message.pinned ? 'text-amber-600' : 'text-gray-400 hover:text-gray-600'}`}
+                            title={message.pinned ? 'Unpin' : 'Pin this answer'}
+                          >
+                            {message.pinned ? <PinOff className="w-3 h-3" /> : <Pin className="w-3 h-3" />}
+                          </button>
+                          <select
+                            value=""
+                            onChange={(e) => handleInsertAnswer(message, e.target.value)}
+                            className="text-xs text-gray-500 bg-transparent border-none p-0 focus:ring-0 cursor-pointer"
+                            title="Insert this answer into the proposal"
+                          >
+                            <option value="" disabled>Insert into...</option>
+                            {sections.map(section => (
+                              <option key={section.anchor} value={section.anchor}>
+                                {'\u00a0'.repeat((section.level - 1) * 2)}{section.heading}
+                              </option>
+                            ))}
+                            <option value={END_OF_PROPOSAL}>End of proposal</option>
+                          </select>
+                        </>
+                      )}
                     </div>
-                    <p className="text-xs text-gray-500 mt-1">
-                      {message.timestamp.toLocaleTimeString([], { 
-                        hour: '2-digit', 
-                        minute: '2-digit' 
-                      })}
-                    </p>
                   </div>
                 </div>
               ))}
               
-              {/* Loading indicator */}
-              {isLoading && (
+              {/* Loading indicator, until the reply starts arriving */}
+              {isLoading && !chatMessages[chatMessages.length - 1]?.message && (
                 <div className="flex items-start space-x-3">
                   <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center flex-shrink-0">
                     <Bot className="w-4 h-4 text-white" />
@@ -480,17 +572,40 @@ export default function ProposalAIAssistant({
                     style={{ minHeight: '44px' }}
                   />
                 </div>
-                <Button
-                  onClick={handleSendMessage}
-                  disabled={!chatInput.trim() || isLoading}
-                  className="bg-blue-600 hover:bg-blue-700 flex-shrink-0"
-                >
-                  <Send className="w-4 h-4" />
-                </Button>
+                {isLoading ? (
+                  <Button
+                    onClick={stopStream}
+                    variant="outline"
+                    className="flex-shrink-0"
+                    title="Stop generating"
+                  >
+                    <Square className="w-4 h-4" />
+                  </Button>
+                ) : (
+                  <Button
+                    onClick={handleSendMessage}
+                    disabled={!chatInput.trim()}
+                    className="bg-blue-600 hover:bg-blue-700 flex-shrink-0"
+                  >
+                    <Send className="w-4 h-4" />
+                  </Button>
+                )}
+              </div>
+              <div className="flex items-center justify-between mt-2">
+                <p className="text-xs text-gray-500">
+                  Press Enter to send, Shift+Enter for new line
+                </p>
+                {chatMessages.some(message => message.stored && !message.pinned) && (
+                  <button
+                    onClick={clearThread}
+                    disabled={isLoading}
+                    className="text-xs text-gray-500 hover:text-red-600 flex items-center disabled:opacity-50"
+                  >
+                    <Trash2 className="w-3 h-3 mr-1" />
+                    Clear conversation
+                  </button>
+                )}
               </div>
-              <p className="text-xs text-gray-500 mt-2">
-                Press Enter to send, Shift+Enter for new line
-              </p>
             </div>
           </div>
         )}
@@ -0,0 +1,238 @@
+// components/ProposalEditor/SectionSuggestions.jsx
+// Section-level AI actions for the proposal editor: asks the AI to rewrite, expand, shorten, formalize or align
+// one section (or the selected text) and shows the result as tracked changes to accept or reject hunk by hunk
+// Each accepted change is handed to onApply, which saves it as a version
+// `requirements` are the tender's typed requirements (GET /api/tenders/:id/requirements), offered when aligning
+
+import React, { useState, useMemo } from 'react';
+import { Check, X, Sparkles, RefreshCw } from 'lucide-react';
+import { Button } from '../ui/button';
+import { useToast } from '../../hooks/useToast';
+import { api } from '../../lib/api';
+import { parseSections } from '../../lib/proposalReview';
+import { applyHunks } from '../../lib/proposalVersions';
+import { SECTION_ACTIONS, MAX_REQUIREMENT_LENGTH, replaceTarget } from '../../lib/sectionActions';
+import { TYPE_LABELS } from '../../lib/requirements';
+
+// Value of the target menu's option for the text selected in the editor
+const SELECTION = '__selection__';
+
+export default function SectionSuggestions({
+  proposalId,
+  content,
+  getSelection,
+  onApply,
+  onClose,
+  requirements = []
+}) {
+  const { addToast } = useToast();
+  const sections = useMemo(() => parseSections(content), [content]);
+  const [action, setAction] = useState('rewrite');
+  const [targetChoice, setTargetChoice] = useState(SELECTION);
+  const [requirement, setRequirement] = useState('');
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  // { action, target, hunks, decisions: { [hunkId]: 'accepted' | 'rejected' } }
+  const [suggestion, setSuggestion] = useState(null);
+
+  const changes = suggestion ? suggestion.hunks.filter(hunk => hunk.type === 'change') : [];
+  const pending = changes.filter(hunk => !suggestion.decisions[hunk.id]);
+
+  // Ask the AI for changes to the chosen section or selection
+  const handleSuggest = async () => {
+    const target = targetChoice === SELECTION ? getSelection() : { sectionAnchor: targetChoice };
+    if (targetChoice === SELECTION && (!target || target.start === target.end)) {
+      addToast('Select some text in the editor, or choose a section', 'error');
+      return;
+    }
+
+    try {
+      setIsSuggesting(true);
+      const result = await api(`/api/proposals/${proposalId}/suggestions`, {
+        method: 'POST',
+        body: {
+          action,
+          content,
+          ...(targetChoice === SELECTION
+            ? { selectionStart: target.start, selectionEnd: target.end }
+            : { sectionAnchor: target.sectionAnchor }),
+          ...(SECTION_ACTIONS[action].needsRequirement && { requirement })
+        }
+      });
+
+      if (!result.hunks.some(hunk => hunk.type === 'change')) {
+        addToast('The AI suggested no changes', 'info');
+        return;
+      }
+      setSuggestion({ ...result, decisions: {} });
+    } catch (error) {
+      console.error('Section suggestion error:', error);
+      addToast(error.message || 'Failed to suggest changes', 'error');
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  // Apply some of the pending hunks to the proposal and save them as one version
+  const handleAccept = async (hunkIds) => {
+    const decisions = { ...suggestion.decisions };
+    hunkIds.forEach(id => { decisions[id] = 'accepted'; });
+
+    const accepted = Object.keys(decisions).filter(id => decisions[id] === 'accepted');
+    const result = replaceTarget(content, suggestion.target, applyHunks(suggestion.hunks, accepted));
+    if (!result) {
+      addToast('This part of the proposal changed since the suggestions were made. Please ask again.', 'error');
+      setSuggestion(null);
+      return;
+    }
+
+    try {
+      setIsApplying(true);
+      await onApply(result.content, `${SECTION_ACTIONS[suggestion.action].label} · ${suggestion.target.label}`);
+      setSuggestion({ ...suggestion, target: result.target, decisions });
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const handleReject = (hunkId) => {
+    setSuggestion({ ...suggestion, decisions: { ...suggestion.decisions, [hunkId]: 'rejected' } });
+  };
+
+  return (
+    <div className="border-b border-gray-200 bg-gray-50 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900 flex items-center">
+          <Sparkles className="w-4 h-4 mr-2 text-blue-600" />
+          AI Section Edit
+        </h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close AI section edit">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!suggestion ? (
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-xs text-gray-600">
+            Action
+            <select
+              value={action}
+              onChange={(e) => setAction(e.target.value)}
+              className="block mt-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {Object.entries(SECTION_ACTIONS).map(([key, definition]) => (
+                <option key={key} value={key}>{definition.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="text-xs text-gray-600">
+            Apply to
+            <select
+              value={targetChoice}
+              onChange={(e) => setTargetChoice(e.target.value)}
+              className="block mt-1 border border-gray-300 rounded-md px-2 py-1 text-sm max-w-xs"
+            >
+              <option value={SELECTION}>Selected text</option>
+              {sections.map(section => (
+                <option key={section.anchor} value={section.anchor}>
+                  {'\u00a0'.repeat((section.level - 1) * 2)}{section.heading}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {SECTION_ACTIONS[action].needsRequirement && (
+            <label className="text-xs text-gray-600 flex-1 min-w-[200px]">
+              Requirement
+              <input
+                list="section-suggestion-requirements"
+                value={requirement}
+                onChange={(e) => setRequirement(e.target.value)}
+                maxLength={MAX_REQUIREMENT_LENGTH}
+                placeholder="e.g. ISO 9001 certification"
+                className="block w-full mt-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+              <datalist id="section-suggestion-requirements">
+                {requirements.map(item => (
+                  <option key={item.id} value={item.description}>{TYPE_LABELS[item.type]}</option>
+                ))}
+              </datalist>
+            </label>
+          )}
+
+          <Button
+            size="sm"
+            onClick={handleSuggest}
+            disabled={isSuggesting || (SECTION_ACTIONS[action].needsRequirement && !requirement.trim())}
+          >
+            {isSuggesting ? (
+              <>
+                <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                Suggesting...
+              </>
+            ) : 'Suggest Changes'}
+          </Button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-sm">
+            <p className="text-gray-700">
+              {SECTION_ACTIONS[suggestion.action].label} · {suggestion.target.label}:{' '}
+              {pending.length > 0 ? `${pending.length} of ${changes.length} changes to review` : 'all changes reviewed'}
+            </p>
+            <div className="flex items-center space-x-2">
+              {pending.length > 1 && (
+                <Button size="sm" variant="outline" onClick={() => handleAccept(pending.map(hunk => hunk.id))} disabled={isApplying}>
+                  Accept All
+                </Button>
+              )}
+              <Button size="sm" variant="outline" onClick={() => setSuggestion(null)} disabled={isApplying}>
+                {pending.length > 0 ? 'Discard Rest' : 'Done'}
+              </Button>
+            </div>
+          </div>
+
+          <div className="max-h-80 overflow-y-auto space-y-2">
+            {changes.map(hunk => {
+              const decision = suggestion.decisions[hunk.id];
+              return (
+                <div
+                  key={hunk.id}
+                  className={`border rounded-md bg-white text-sm ${decision ? 'opacity-60' : 'border-gray-200'}`}
+                >
+                  <div className="p-2 font-mono whitespace-pre-wrap">
+                    {hunk.removed.map((line, index) => (
+                      <div key={`removed-${index}`} className="bg-red-50 text-red-800 line-through">{line || ' '}</div>
+                    ))}
+                    {hunk.added.map((line, index) => (
+                      <div key={`added-${index}`} className="bg-green-50 text-green-800">{line || ' '}</div>
+                    ))}
+                  </div>
+                  <div className="flex items-center justify-end space-x-2 border-t border-gray-100 px-2 py-1">
+                    {decision ? (
+                      <span className={`text-xs ${decision === 'accepted' ? 'text-green-700' : 'text-gray-500'}`}>
+                        {decision === 'accepted' ? 'Accepted' : 'Rejected'}
+                      </span>
+                    ) : (
+                      <>
+                        <Button size="sm" variant="ghost" onClick={() => handleReject(hunk.id)} disabled={isApplying}>
+                          <X className="w-4 h-4 mr-1" />
+                          Reject
+                        </Button>
+                        <Button size="sm" variant="ghost" onClick={() => handleAccept([hunk.id])} disabled={isApplying}>
+                          <Check className="w-4 h-4 mr-1 text-green-600" />
+                          Accept
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+// components/ProposalOutcomeForm.jsx
+// This component records the award outcome of a submitted proposal
+// Amounts feed the win rate, margin and bid value metrics on the reputation page
+
+import { useState, useEffect } from 'react';
+import { TrophyIcon } from '@heroicons/react/24/outline';
+import { formatAmount } from '../lib/budget';
+import { OUTCOME_STATUSES, OUTCOME_LABELS, MAX_DEBRIEF_LENGTH, MAX_WINNER_NAME_LENGTH } from '../lib/reputation';
+
+const CURRENCIES = ['MYR', 'USD', 'SGD', 'EUR'];
+
+// Form fields are strings; empty amounts are sent as null
+const toFormData = (outcome) => ({
+  outcome: outcome.outcome,
+  bidAmount: outcome.bidAmount ?? '',
+  estimatedCost: outcome.estimatedCost ?? '',
+  awardedAmount: outcome.awardedAmount ?? '',
+  currency: outcome.currency,
+  winnerName: outcome.winnerName || '',
+  debriefNotes: outcome.debriefNotes || ''
+});
+
+export default function ProposalOutcomeForm({ outcome, onSave, readOnly = false }) {
+  const [formData, setFormData] = useState(() => toFormData(outcome));
+  const [saving, setSaving] = useState(false);
+
+  // Reset the form when the saved outcome changes
+  useEffect(() => {
+    setFormData(toFormData(outcome));
+  }, [outcome]);
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const toAmount = value => (value === '' ? null : Number(value));
+
+    try {
+      setSaving(true);
+      await onSave({
+        outcome: formData.outcome,
+        bidAmount: toAmount(formData.bidAmount),
+        estimatedCost: toAmount(formData.estimatedCost),
+        awardedAmount: toAmount(formData.awardedAmount),
+        currency: formData.currency,
+        winnerName: formData.outcome === 'lost' ? formData.winnerName : '',
+        debriefNotes: formData.debriefNotes
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-primary focus:border-primary disabled:bg-gray-50';
+  const awardedLabel = formData.outcome === 'lost' ? 'Winning amount' : 'Awarded amount';
+
+  return (
+    <div className="card">
+      <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+        <TrophyIcon className="h-5 w-5 mr-2" />
+        Outcome
+      </h3>
+
+      {readOnly ? (
+        <dl className="space-y-2 text-sm">
+          <div className="flex justify-between"><dt className="text-gray-600">Result</dt><dd className="font-medium">{OUTCOME_LABELS[outcome.outcome]}</dd></div>
+          {outcome.bidAmount != null && (
+            <div className="flex justify-between"><dt className="text-gray-600">Our bid</dt><dd>{formatAmount(outcome.bidAmount, outcome.currency)}</dd></div>
+          )}
+          {outcome.awardedAmount != null && (
+            <div className="flex justify-between">
+              <dt className="text-gray-600">{outcome.outcome === 'lost' ? 'Winning amount' : 'Awarded amount'}</dt>
+              <dd>{formatAmount(outcome.awardedAmount, outcome.currency)}</dd>
+            </div>
+          )}
+          {outcome.winnerName && (
+            <div className="flex justify-between"><dt className="text-gray-600">Winner</dt><dd>{outcome.winnerName}</dd></div>
+          )}
+          {outcome.debriefNotes && <p className="pt-2 text-gray-700 whitespace-pre-wrap">{outcome.debriefNotes}</p>}
+        </dl>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="flex space-x-2" role="radiogroup" aria-label="Result">
+            {OUTCOME_STATUSES.map(status => (
+              <button
+                key={status}
+                type="button"
+                onClick={() => handleChange('outcome', status)}
+                className={`flex-1 px-3 py-2 text-sm rounded-md border ${
+                  formData.outcome === status
+                    ? 'border-primary bg-blue-50 text-primary font-medium'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+                aria-pressed={formData.outcome === status}
+              >
+                {OUTCOME_LABELS[status]}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-sm text-gray-700">
+              Currency
+              <select value={formData.currency} onChange={(e) => handleChange('currency', e.target.value)} className={inputClassName}>
+                {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Our bid
+              <input type="number" min="0" step="any" value={formData.bidAmount} onChange={(e) => handleChange('bidAmount', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="text-sm text-gray-700">
+              Estimated cost
+              <input type="number" min="0" step="any" value={formData.estimatedCost} onChange={(e) => handleChange('estimatedCost', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="text-sm text-gray-700">
+              {awardedLabel}
+              <input type="number" min="0" step="any" value={formData.awardedAmount} onChange={(e) => handleChange('awardedAmount', e.target.value)} className={inputClassName} />
+            </label>
+          </div>
+
+          {formData.outcome === 'lost' && (
+            <label className="block text-sm text-gray-700">
+              Winning company
+              <input
+                type="text"
+                value={formData.winnerName}
+                onChange={(e) => handleChange('winnerName', e.target.value)}
+                maxLength={MAX_WINNER_NAME_LENGTH}
+                className={inputClassName}
+              />
+            </label>
+          )}
+
+          <label className="block text-sm text-gray-700">
+            Debrief notes
+            <textarea
+              value={formData.debriefNotes}
+              onChange={(e) => handleChange('debriefNotes', e.target.value)}
+              maxLength={MAX_DEBRIEF_LENGTH}
+              rows={4}
+              placeholder="Feedback from the agency, scoring, lessons for next time"
+              className={inputClassName}
+            />
+          </label>
+
+          <button type="submit" disabled={saving} className="btn btn-primary text-sm w-full">
+            {saving ? 'Saving...' : 'Save Outcome'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
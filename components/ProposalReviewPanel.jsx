@@ -0,0 +1,286 @@
+// components/ProposalReviewPanel.jsx
+// This component shows a proposal's review workflow: status actions, section comments and the status history
+// Comments are grouped under the Markdown section they are anchored to
+
+import { useState, useMemo } from 'react';
+import {
+  ChatBubbleLeftRightIcon,
+  CheckCircleIcon,
+  ArrowPathIcon,
+  UserIcon
+} from '@heroicons/react/24/outline';
+import {
+  REVIEW_ACTIONS,
+  STATUS_LABELS,
+  MAX_COMMENT_LENGTH,
+  MAX_QUOTE_LENGTH,
+  MAX_NOTE_LENGTH,
+  parseSections
+} from '../lib/proposalReview';
+
+export const STATUS_BADGE_CLASSES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  in_review: 'bg-blue-100 text-blue-800',
+  changes_requested: 'bg-orange-100 text-orange-800',
+  approved: 'bg-emerald-100 text-emerald-800',
+  submitted: 'bg-green-100 text-green-800',
+  won: 'bg-green-100 text-green-800',
+  lost: 'bg-gray-100 text-gray-700'
+};
+
+const ACTION_BUTTON_CLASSES = {
+  request_review: 'btn btn-primary',
+  approve: 'btn btn-primary',
+  request_changes: 'btn btn-secondary',
+  reopen: 'btn btn-secondary'
+};
+
+export default function ProposalReviewPanel({ review, content, onAction, onAddComment, onResolveComment }) {
+  const [reviewerId, setReviewerId] = useState('');
+  const [note, setNote] = useState('');
+  const [acting, setActing] = useState(null);
+  const [commentForm, setCommentForm] = useState({ sectionAnchor: '', quote: '', body: '' });
+  const [posting, setPosting] = useState(false);
+  const [showResolved, setShowResolved] = useState(false);
+
+  const sections = useMemo(() => parseSections(content), [content]);
+
+  // Group comments by the section they are anchored to, keeping sections in document order
+  const groups = useMemo(() => {
+    const visible = review.comments.filter(comment => showResolved || !comment.resolved);
+    const anchors = new Set(sections.map(section => section.anchor));
+
+    const result = [{ key: 'general', title: 'Whole proposal', comments: [] }];
+    sections.forEach(section => result.push({ key: section.anchor, title: section.heading, comments: [] }));
+    const removed = { key: 'removed', title: 'Sections no longer in the proposal', comments: [] };
+
+    visible.forEach(comment => {
+      if (!comment.sectionAnchor) {
+        result[0].comments.push(comment);
+      } else if (anchors.has(comment.sectionAnchor)) {
+        result.find(group => group.key === comment.sectionAnchor).comments.push(comment);
+      } else {
+        removed.comments.push(comment);
+      }
+    });
+
+    return [...result, removed].filter(group => group.comments.length > 0);
+  }, [review.comments, sections, showResolved]);
+
+  const openCount = review.comments.filter(comment => !comment.resolved).length;
+
+  // Apply a review action, passing the reviewer when requesting review
+  const handleAction = async (action) => {
+    try {
+      setActing(action);
+      await onAction(action, {
+        reviewerId: action === 'request_review' ? reviewerId : undefined,
+        note
+      });
+      setNote('');
+    } finally {
+      setActing(null);
+    }
+  };
+
+  // Post a comment on the chosen section
+  const handleAddComment = async (e) => {
+    e.preventDefault();
+    if (!commentForm.body.trim()) return;
+
+    try {
+      setPosting(true);
+      await onAddComment({
+        sectionAnchor: commentForm.sectionAnchor || null,
+        quote: commentForm.quote,
+        body: commentForm.body
+      });
+      setCommentForm(prev => ({ ...prev, quote: '', body: '' }));
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="space-y-6">
+      {/* Status and review actions */}
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900">Review</h3>
+          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_CLASSES[review.status] || STATUS_BADGE_CLASSES.draft}`}>
+            {STATUS_LABELS[review.status] || review.status}
+          </span>
+        </div>
+
+        {review.reviewerName && (
+          <p className="flex items-center text-sm text-gray-600">
+            <UserIcon className="h-4 w-4 mr-1" />
+            Reviewer: {review.reviewerName}
+          </p>
+        )}
+
+        {review.actions.length > 0 && (
+          <div className="space-y-3">
+            {review.actions.includes('request_review') && (
+              <select
+                value={reviewerId}
+                onChange={(e) => setReviewerId(e.target.value)}
+                className={inputClassName}
+                aria-label="Reviewer"
+              >
+                <option value="">Choose a reviewer...</option>
+                {review.reviewers.map(reviewer => (
+                  <option key={reviewer.userId} value={reviewer.userId}>{reviewer.name}</option>
+                ))}
+              </select>
+            )}
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={MAX_NOTE_LENGTH}
+              rows={2}
+              placeholder="Optional note"
+              className={inputClassName}
+              aria-label="Review note"
+            />
+            <div className="flex flex-wrap gap-2">
+              {review.actions.map(action => (
+                <button
+                  key={action}
+                  onClick={() => handleAction(action)}
+                  disabled={acting !== null || (action === 'request_review' && !reviewerId)}
+                  className={`${ACTION_BUTTON_CLASSES[action]} text-sm`}
+                >
+                  {acting === action ? 'Saving...' : REVIEW_ACTIONS[action].label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Section comments */}
+      <div className="card space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="flex items-center text-lg font-semibold text-gray-900">
+            <ChatBubbleLeftRightIcon className="h-5 w-5 mr-2" />
+            Comments {openCount > 0 && <span className="ml-2 text-sm text-gray-500">({openCount} open)</span>}
+          </h3>
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(e) => setShowResolved(e.target.checked)}
+              className="rounded border-gray-300 text-primary focus:ring-primary mr-2"
+            />
+            Show resolved
+          </label>
+        </div>
+
+        {groups.length === 0 && <p className="text-sm text-gray-500">No comments yet.</p>}
+
+        {groups.map(group => (
+          <div key={group.key} className="space-y-2">
+            <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">{group.title}</p>
+            {group.comments.map(comment => (
+              <div
+                key={comment.id}
+                className={`p-3 border rounded-lg ${comment.resolved ? 'border-gray-100 bg-gray-50 opacity-75' : 'border-gray-200'}`}
+              >
+                {group.key === 'removed' && comment.sectionHeading && (
+                  <p className="text-xs text-gray-500 mb-1">On "{comment.sectionHeading}"</p>
+                )}
+                {comment.quote && (
+                  <blockquote className="border-l-2 border-gray-300 pl-2 text-sm text-gray-600 italic mb-2">
+                    {comment.quote}
+                  </blockquote>
+                )}
+                <p className="text-sm text-gray-900 whitespace-pre-wrap">{comment.body}</p>
+                <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                  <span>{comment.authorName || 'Unknown user'} · {new Date(comment.createdAt).toLocaleString()}</span>
+                  {review.canComment && (
+                    <button
+                      onClick={() => onResolveComment(comment, !comment.resolved)}
+                      className="flex items-center text-primary hover:underline"
+                    >
+                      {comment.resolved ? (
+                        <><ArrowPathIcon className="h-3 w-3 mr-1" />Reopen</>
+                      ) : (
+                        <><CheckCircleIcon className="h-3 w-3 mr-1" />Resolve</>
+                      )}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+
+        {/* New comment form */}
+        {review.canComment && (
+          <form onSubmit={handleAddComment} className="space-y-2 pt-4 border-t border-gray-200">
+            <select
+              value={commentForm.sectionAnchor}
+              onChange={(e) => setCommentForm(prev => ({ ...prev, sectionAnchor: e.target.value }))}
+              className={inputClassName}
+              aria-label="Section"
+            >
+              <option value="">Whole proposal</option>
+              {sections.map(section => (
+                <option key={section.anchor} value={section.anchor}>
+                  {'\u00A0'.repeat((section.level - 1) * 2)}{section.heading}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={commentForm.quote}
+              onChange={(e) => setCommentForm(prev => ({ ...prev, quote: e.target.value }))}
+              maxLength={MAX_QUOTE_LENGTH}
+              placeholder="Quote the text you are commenting on (optional)"
+              className={inputClassName}
+              aria-label="Quoted text"
+            />
+            <textarea
+              value={commentForm.body}
+              onChange={(e) => setCommentForm(prev => ({ ...prev, body: e.target.value }))}
+              maxLength={MAX_COMMENT_LENGTH}
+              rows={3}
+              placeholder="Add a comment"
+              className={inputClassName}
+              aria-label="Comment"
+            />
+            <button type="submit" disabled={posting || !commentForm.body.trim()} className="btn btn-secondary text-sm">
+              {posting ? 'Posting...' : 'Add Comment'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Status history */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">History</h3>
+        {review.history.length === 0 ? (
+          <p className="text-sm text-gray-500">No status changes yet.</p>
+        ) : (
+          <ol className="space-y-3 border-l border-gray-200 pl-4">
+            {review.history.map(event => (
+              <li key={event.id} className="text-sm">
+                <p className="text-gray-900">
+                  <span className="font-medium">{event.actorName || 'Someone'}</span>
+                  {' moved it from '}{STATUS_LABELS[event.fromStatus] || event.fromStatus || 'new'}
+                  {' to '}<span className="font-medium">{STATUS_LABELS[event.toStatus] || event.toStatus}</span>
+                  {event.toStatus === 'in_review' && event.reviewerName && ` for ${event.reviewerName}`}
+                </p>
+                {event.note && <p className="text-gray-600 italic">{event.note}</p>}
+                <p className="text-xs text-gray-500">{new Date(event.createdAt).toLocaleString()}</p>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+// components/ReputationMetrics.jsx
+// Reputation score, performance metrics and per-category success computed from recorded outcomes
+// Shared by the reputation pages
+
+import React from 'react';
+import Link from 'next/link';
+import useSWR from 'swr';
+import { fetcher } from '../lib/api';
+import { formatAmount } from '../lib/budget';
+import { getReputationLevel, OUTCOME_LABELS } from '../lib/reputation';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { TrendingUp, Trophy, PieChart } from 'lucide-react';
+
+const OUTCOME_BADGE_CLASSES = {
+  won: 'bg-green-100 text-green-800 hover:bg-green-100',
+  lost: 'bg-red-100 text-red-800 hover:bg-red-100'
+};
+
+// Ratios are shown as whole percentages, with a dash when there is no data yet
+const formatPercent = (value) => (value == null ? '—' : `${Math.round(value * 100)}%`);
+
+const formatDays = (value) => (value == null ? '—' : `${value.toFixed(1)} days`);
+
+// Totals are kept per currency rather than converted
+const formatTotals = (totals) => (
+  totals.length === 0 ? '—' : totals.map(total => formatAmount(total.amount, total.currency)).join(' + ')
+);
+
+export default function ReputationMetrics() {
+  const { data: metrics, error } = useSWR('/api/reputation', fetcher);
+
+  if (error) {
+    return (
+      <Card className="mb-8">
+        <CardContent className="py-8 text-center">
+          <p className="text-red-600">Failed to load reputation metrics. Please try again.</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!metrics) {
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+        <div className="skeleton h-48 w-full"></div>
+        <div className="skeleton h-48 w-full lg:col-span-2"></div>
+      </div>
+    );
+  }
+
+  const reputation = getReputationLevel(metrics.reputationScore);
+  const stats = [
+    { label: 'Total Submissions', value: metrics.totalSubmissions, color: 'text-blue-600' },
+    { label: 'Win Rate', value: formatPercent(metrics.winRate), color: 'text-orange-600' },
+    { label: 'Won / Lost / Pending', value: `${metrics.won} / ${metrics.lost} / ${metrics.awaitingResult}`, color: 'text-gray-900' },
+    { label: 'Average Margin', value: formatPercent(metrics.averageMargin), color: 'text-green-600' },
+    { label: 'Price Gap on Lost Bids', value: formatPercent(metrics.averagePriceGap), color: 'text-red-600' },
+    { label: 'Avg Turnaround', value: formatDays(metrics.averageTurnaroundDays), color: 'text-purple-600' },
+    { label: 'Blockchain Proofs', value: metrics.onChainProofs, color: 'text-green-600' },
+    { label: 'Total Bid Value', value: formatTotals(metrics.totalBidValue), color: 'text-gray-600' },
+    { label: 'Total Awarded Value', value: formatTotals(metrics.totalAwardedValue), color: 'text-gray-600' }
+  ];
+
+  return (
+    <>
+      {/* Reputation Overview */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+        {/* Reputation Score */}
+        <Card className="lg:col-span-1">
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Trophy className="w-5 h-5 text-yellow-500" />
+              <span>Reputation Score</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-center">
+              <div className="text-4xl font-bold text-gray-900 mb-2">
+                {metrics.reputationScore}
+              </div>
+              <Badge className={`${reputation.bgColor} ${reputation.color} hover:${reputation.bgColor} text-lg px-3 py-1`}>
+                {reputation.level}
+              </Badge>
+              <p className="text-sm text-gray-600 mt-3">
+                Based on win rate, submission history, and blockchain verification
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Key Metrics */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <TrendingUp className="w-5 h-5 text-blue-500" />
+              <span>Performance Metrics</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-6">
+              {stats.map(stat => (
+                <div key={stat.label} className="text-center">
+                  <div className={`text-2xl font-bold ${stat.color}`}>{stat.value}</div>
+                  <div className="text-sm text-gray-600">{stat.label}</div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Success by category and recent outcomes */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <PieChart className="w-5 h-5 text-purple-500" />
+              <span>Success by Category</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {metrics.categories.length === 0 ? (
+              <p className="text-sm text-gray-600">Submit proposals to see how you perform in each category.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 font-medium">Category</th>
+                    <th className="py-2 font-medium text-right">Submitted</th>
+                    <th className="py-2 font-medium text-right">Won</th>
+                    <th className="py-2 font-medium text-right">Lost</th>
+                    <th className="py-2 font-medium text-right">Win Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {metrics.categories.map(category => (
+                    <tr key={category.category} className="border-b last:border-0">
+                      <td className="py-2 text-gray-900">{category.category}</td>
+                      <td className="py-2 text-right">{category.submitted}</td>
+                      <td className="py-2 text-right">{category.won}</td>
+                      <td className="py-2 text-right">{category.lost}</td>
+                      <td className="py-2 text-right font-medium">{formatPercent(category.winRate)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Trophy className="w-5 h-5 text-green-500" />
+              <span>Recent Outcomes</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {metrics.recentOutcomes.length === 0 ? (
+              <p className="text-sm text-gray-600">
+                Record whether submitted proposals were won or lost to track your win rate.
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {metrics.recentOutcomes.map(outcome => (
+                  <li key={outcome.proposalId} className="py-3 flex items-start justify-between">
+                    <div className="min-w-0 mr-4">
+                      <Link href={`/proposals/${outcome.proposalId}`} className="font-medium text-gray-900 hover:text-primary">
+                        {outcome.tenderTitle}
+                      </Link>
+                      <p className="text-xs text-gray-500">
+                        {[outcome.agency, outcome.winnerName && `Won by ${outcome.winnerName}`].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <Badge className={OUTCOME_BADGE_CLASSES[outcome.outcome]}>
+                        {OUTCOME_LABELS[outcome.outcome]}
+                      </Badge>
+                      {outcome.awardedAmount != null && (
+                        <p className="text-xs text-gray-600 mt-1">{formatAmount(outcome.awardedAmount, outcome.currency)}</p>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </>
+  );
+}
@@ -5,6 +5,15 @@
 import { ExternalLink } from 'lucide-react';
 import { Shield } from 'lucide-react';
 
+// Blockchain states recorded by the attestation reconciler
+const STATUS_BADGES = {
+  confirmed: { label: 'Verified On-chain', className: 'bg-green-100 text-green-800' },
+  sending: { label: 'Sending', className: 'bg-yellow-100 text-yellow-800' },
+  sent: { label: 'Awaiting Confirmation', className: 'bg-yellow-100 text-yellow-800' },
+  queued: { label: 'Queued for Retry', className: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' }
+};
+
 export default function ReputationTable({ attestations }) {
   // Show a message if there are no attestations yet
   if (!attestations || attestations.length === 0) {
@@ -59,23 +68,21 @@ export default function ReputationTable({ attestations }) {
               </td>
               {/* Status badge */}
               <td className="px-6 py-4 whitespace-nowrap">
-                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                  attestation.status === 'verified' 
-                    ? 'bg-green-100 text-green-800' 
-                    : attestation.status === 'pending'
-                    ? 'bg-yellow-100 text-yellow-800'
-                    : 'bg-gray-100 text-gray-800'
-                }`}>
-                  {attestation.status === 'verified' 
-                    ? 'Verified On-chain' 
-                    : attestation.status === 'pending'
-                    ? 'Pending Verification'
-                    : 'On-chain'}
+                <span
+                  className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                    (STATUS_BADGES[attestation.status] || STATUS_BADGES.queued).className
+                  }`}
+                  title={attestation.status !== 'confirmed' && attestation.lastError ? attestation.lastError : undefined}
+                >
+                  {(STATUS_BADGES[attestation.status] || STATUS_BADGES.queued).label}
                 </span>
+                {attestation.status === 'confirmed' && attestation.confirmedRound && (
+                  <div className="text-xs text-gray-500 mt-1">Round {attestation.confirmedRound}</div>
+                )}
               </td>
               {/* Blockchain transaction link */}
               <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                {attestation.txId && attestation.txId !== 'pending' ? (
+                {attestation.txId ? (
                   <a
                     href={attestation.explorerUrl || `https://testnet.algoexplorer.io/tx/${attestation.txId}`}
                     target="_blank"
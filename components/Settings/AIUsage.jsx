@@ -0,0 +1,177 @@
+// components/Settings/AIUsage.jsx
+// AI usage settings section using existing Tenderly styling
+// Shows the user's AI plan, how much of each limit is used, and consumption by feature over the last 30 days
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { SparklesIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { useToast } from '../../hooks/useToast';
+import { api } from '../../lib/api';
+
+const STATUS_LABELS = {
+  pending: 'In progress',
+  success: 'Completed',
+  error: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+// Format a token or request count
+const formatNumber = (value) => Number(value || 0).toLocaleString();
+
+// Format an estimated cost; null when no request had a known price
+const formatCost = (value) => (value === null || value === undefined ? '–' : `$${value.toFixed(value < 1 ? 4 : 2)}`);
+
+// Format a latency in milliseconds
+const formatDuration = (ms) => (ms === null || ms === undefined ? '–' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+export default function AIUsage() {
+  const { addToast } = useToast();
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Load usage when component mounts, and again on refresh
+  const loadUsage = useCallback(async () => {
+    try {
+      setLoading(true);
+      setUsage(await api('/api/user/aiUsage'));
+    } catch (error) {
+      addToast('Failed to load AI usage', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">AI Usage</h3>
+          <p className="text-gray-600 mb-6">
+            Summaries, eligibility checks, proposal drafts and the chat assistant count towards your plan&apos;s limits.
+            Limits apply to sliding windows, so capacity frees up as older requests age out.
+          </p>
+        </div>
+        <button onClick={loadUsage} disabled={loading} className="btn btn-secondary">
+          <ArrowPathIcon className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {loading && !usage ? (
+        <div className="space-y-3">
+          <div className="skeleton h-12 w-full"></div>
+          <div className="skeleton h-12 w-full"></div>
+        </div>
+      ) : usage && (
+        <>
+          {/* Plan limits */}
+          <div>
+            <div className="flex items-center space-x-2 mb-4">
+              <SparklesIcon className="h-5 w-5 text-primary" />
+              <h4 className="text-md font-medium text-gray-900">{usage.plan.label} plan</h4>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 ml-7">
+              {usage.limits.map(limit => {
+                const percentage = limit.limit ? Math.min(100, Math.round((limit.used / limit.limit) * 100)) : 0;
+                return (
+                  <div key={limit.name}>
+                    <div className="flex justify-between text-sm mb-1">
+                      <span className="text-gray-700">{limit.label}</span>
+                      <span className="font-medium text-gray-900">
+                        {formatNumber(limit.used)} / {limit.limit ? formatNumber(limit.limit) : 'Unlimited'}
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className={`${percentage >= 90 ? 'bg-red-500' : 'bg-primary'} h-2 rounded-full transition-all duration-300`}
+                        style={{ width: `${percentage}%` }}
+                      ></div>
+                    </div>
+                    {limit.limit && limit.used >= limit.limit && limit.resetsAt && (
+                      <p className="text-xs text-red-600 mt-1">
+                        Limit reached; frees up at {new Date(limit.resetsAt).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Consumption by feature */}
+          <div>
+            <h4 className="text-md font-medium text-gray-900 mb-1">Usage by feature</h4>
+            <p className="text-sm text-gray-600 mb-4">
+              Since {new Date(usage.since).toLocaleDateString()}: {formatNumber(usage.totals.requests)} requests,{' '}
+              {formatNumber(usage.totals.tokens)} tokens, about {formatCost(usage.totals.costUsd)}
+            </p>
+
+            {usage.features.length === 0 ? (
+              <p className="text-sm text-gray-600">No AI requests in this period.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 font-medium">Feature</th>
+                    <th className="py-2 font-medium text-right">Requests</th>
+                    <th className="py-2 font-medium text-right">Tokens</th>
+                    <th className="py-2 font-medium text-right">Est. Cost</th>
+                    <th className="py-2 font-medium text-right">Avg. Latency</th>
+                    <th className="py-2 font-medium text-right">Avg. Quality</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.features.map(feature => (
+                    <tr key={feature.task} className="border-b last:border-0">
+                      <td className="py-2 text-gray-900">{feature.feature}</td>
+                      <td className="py-2 text-right">
+                        {formatNumber(feature.requests)}
+                        {feature.failed > 0 && <span className="text-red-600"> ({feature.failed} failed)</span>}
+                      </td>
+                      <td className="py-2 text-right">{formatNumber(feature.tokens)}</td>
+                      <td className="py-2 text-right">{formatCost(feature.costUsd)}</td>
+                      <td className="py-2 text-right">{formatDuration(feature.averageDurationMs)}</td>
+                      <td className="py-2 text-right">{feature.averageScore ?? '–'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Most recent requests */}
+          {usage.recent.length > 0 && (
+            <div>
+              <h4 className="text-md font-medium text-gray-900 mb-4">Recent requests</h4>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {usage.recent.map(request => (
+                  <li key={request.id} className="flex items-center justify-between p-3 text-sm">
+                    <div>
+                      <p className="font-medium text-gray-900">{request.feature}</p>
+                      <p className="text-gray-600">
+                        {new Date(request.createdAt).toLocaleString()}
+                        {request.model && ` · ${request.model}`}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className={request.status === 'error' ? 'text-red-600' : 'text-gray-900'}>
+                        {STATUS_LABELS[request.status] || request.status}
+                      </p>
+                      <p className="text-gray-600">
+                        {formatNumber(request.tokens)}{request.estimated ? ' est.' : ''} tokens · {formatDuration(request.durationMs)}
+                      </p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -2,33 +2,33 @@
 // Notification preferences settings component using existing Tenderly styling
 // Manages user notification preferences for tenders and proposals
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { BellIcon, EnvelopeIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
 import { useToast } from '../../hooks/useToast';
+import { api } from '../../lib/api';
+import { DEFAULT_NOTIFICATION_SETTINGS } from '../../lib/notificationSettings';
 
 export default function NotificationPreferences() {
   const { addToast } = useToast();
   const [saving, setSaving] = useState(false);
   
   // Notification preferences state
-  const [preferences, setPreferences] = useState({
-    emailNotifications: {
-      newTenders: true,
-      proposalUpdates: true,
-      deadlineReminders: true,
-      marketingEmails: false
-    },
-    pushNotifications: {
-      newTenders: true,
-      proposalUpdates: true,
-      deadlineReminders: true,
-      systemUpdates: false
-    },
-    smsNotifications: {
-      urgentUpdates: true,
-      deadlineReminders: false
-    }
-  });
+  const [preferences, setPreferences] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+
+  // Load stored preferences when component mounts
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const data = await api('/api/user/notifications');
+        setPreferences(data);
+      } catch (error) {
+        console.error('Error loading notification preferences:', error);
+        addToast('Failed to load notification preferences', 'error');
+      }
+    };
+
+    loadPreferences();
+  }, [addToast]);
 
   // Handle email notification changes
   const handleEmailChange = (key, value) => {
@@ -67,8 +67,8 @@ export default function NotificationPreferences() {
   const handleSave = async () => {
     try {
       setSaving(true);
-      // In a real app, this would call an API endpoint to save preferences
-      // await api('/api/user/notifications', { method: 'PUT', body: preferences });
+      const saved = await api('/api/user/notifications', { method: 'PUT', body: preferences });
+      setPreferences(saved);
       addToast('Notification preferences saved successfully!', 'success');
     } catch (error) {
       addToast('Failed to save notification preferences', 'error');
@@ -123,7 +123,17 @@ export default function NotificationPreferences() {
             />
             <span className="ml-3 text-gray-700">Deadline reminders</span>
           </label>
-          
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={preferences.emailNotifications.expiryReminders}
+              onChange={(e) => handleEmailChange('expiryReminders', e.target.checked)}
+              className="rounded border-gray-300 text-primary focus:ring-primary"
+            />
+            <span className="ml-3 text-gray-700">CIDB, licence and certification expiry warnings</span>
+          </label>
+
           <label className="flex items-center">
             <input
               type="checkbox"
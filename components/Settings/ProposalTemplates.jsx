@@ -0,0 +1,388 @@
+// components/Settings/ProposalTemplates.jsx
+// Proposal template management using existing Tenderly styling
+// Templates set the section order, boilerplate text with {{placeholders}} and which sections the AI writes
+
+import React, { useState, useEffect } from 'react';
+import {
+  DocumentDuplicateIcon,
+  TrashIcon,
+  PencilSquareIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  PlusIcon
+} from '@heroicons/react/24/outline';
+import { useToast } from '../../hooks/useToast';
+import { api } from '../../lib/api';
+import { PLACEHOLDER_HINTS, DEFAULT_TEMPLATE_TITLE } from '../../lib/proposalTemplates';
+
+// Starting point for new templates, mirroring the standard generated layout
+const STANDARD_SECTIONS = [
+  { heading: 'Executive Summary', type: 'generated', content: "2-3 sentences on why we are suited to this tender." },
+  {
+    heading: 'Company Background',
+    type: 'boilerplate',
+    content: '{{company.name}} (Registration No. {{company.registration_number}}) has been in operation for {{company.years_in_operation}} years and holds CIDB grade {{company.cidb_grade}}.'
+  },
+  { heading: 'Technical Approach', type: 'generated', content: 'Address each tender requirement using our capabilities.' },
+  { heading: 'Compliance', type: 'generated', content: 'Map our qualifications to the tender requirements.' },
+  {
+    heading: 'Conclusion',
+    type: 'boilerplate',
+    content: 'We look forward to working with {{tender.agency}} on this project. For any clarification, please contact us at {{company.contact_email}}.'
+  }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  title: DEFAULT_TEMPLATE_TITLE,
+  categories: '',
+  isDefault: false,
+  sections: STANDARD_SECTIONS
+};
+
+export default function ProposalTemplates() {
+  const { addToast } = useToast();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Load templates when component mounts
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const data = await api('/api/proposalTemplates');
+        setTemplates(data);
+      } catch (error) {
+        addToast('Failed to load proposal templates', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTemplates();
+  }, [addToast]);
+
+  // Handle input field changes
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Section editing helpers
+  const updateSection = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, [field]: value } : section))
+    }));
+  };
+
+  const moveSection = (index, offset) => {
+    setFormData(prev => {
+      const sections = [...prev.sections];
+      const target = index + offset;
+      if (target < 0 || target >= sections.length) return prev;
+      [sections[index], sections[target]] = [sections[target], sections[index]];
+      return { ...prev, sections };
+    });
+  };
+
+  const addSection = () => {
+    setFormData(prev => ({
+      ...prev,
+      sections: [...prev.sections, { heading: '', type: 'generated', content: '' }]
+    }));
+  };
+
+  const removeSection = (index) => {
+    setFormData(prev => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  // Load a template into the form for editing
+  const handleEdit = (template) => {
+    setEditingId(template.id);
+    setFormData({
+      name: template.name,
+      description: template.description || '',
+      title: template.title || DEFAULT_TEMPLATE_TITLE,
+      categories: (template.categories || []).join(', '),
+      isDefault: template.isDefault,
+      sections: template.sections
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  // Create or update a template
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = {
+      ...formData,
+      categories: formData.categories.split(',').map(category => category.trim()).filter(Boolean)
+    };
+
+    try {
+      setSaving(true);
+      const saved = editingId
+        ? await api(`/api/proposalTemplates/${editingId}`, { method: 'PUT', body })
+        : await api('/api/proposalTemplates', { method: 'POST', body });
+
+      // Saving a default clears the flag on the others
+      setTemplates(prev => {
+        const updated = prev.map(template => {
+          if (template.id === saved.id) return saved;
+          return saved.isDefault ? { ...template, isDefault: false } : template;
+        });
+        return editingId ? updated : [...updated, saved];
+      });
+
+      addToast(editingId ? 'Template updated' : 'Template created', 'success');
+      resetForm();
+    } catch (error) {
+      addToast(error.message || 'Failed to save template', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Delete a template
+  const handleDelete = async (template) => {
+    try {
+      await api(`/api/proposalTemplates/${template.id}`, { method: 'DELETE' });
+      setTemplates(prev => prev.filter(item => item.id !== template.id));
+      if (editingId === template.id) resetForm();
+      addToast('Template deleted', 'success');
+    } catch (error) {
+      addToast('Failed to delete template', 'error');
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Proposal Templates</h3>
+        <p className="text-gray-600 mb-6">
+          Define the section layout and standard wording for your proposals. When you generate a proposal,
+          the template mapped to the tender's category (or your default template) is used: placeholders are
+          filled from your company profile and the tender, and the AI writes only the sections marked as generated.
+        </p>
+      </div>
+
+      {/* Existing templates */}
+      {loading ? (
+        <div className="space-y-3">
+          <div className="skeleton h-12 w-full"></div>
+          <div className="skeleton h-12 w-full"></div>
+        </div>
+      ) : templates.length > 0 ? (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {templates.map(template => (
+            <li key={template.id} className="flex items-center justify-between p-4">
+              <div className="flex items-start space-x-3">
+                <DocumentDuplicateIcon className="h-5 w-5 text-primary mt-0.5" />
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {template.name}
+                    {template.isDefault && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">Default</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {template.sections.length} sections
+                    {template.categories.length > 0 && ` · ${template.categories.join(', ')}`}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleEdit(template)}
+                  className="text-gray-400 hover:text-primary"
+                  aria-label={`Edit ${template.name}`}
+                >
+                  <PencilSquareIcon className="h-5 w-5" />
+                </button>
+                <button
+                  onClick={() => handleDelete(template)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Delete ${template.name}`}
+                >
+                  <TrashIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">You have no proposal templates yet. Proposals use the standard layout.</p>
+      )}
+
+      {/* Template form */}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <h4 className="text-md font-medium text-gray-900">{editingId ? 'Edit Template' : 'New Template'}</h4>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="templateName" className="block text-sm font-medium text-gray-700 mb-2">
+              Name *
+            </label>
+            <input
+              type="text"
+              id="templateName"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="templateCategories" className="block text-sm font-medium text-gray-700 mb-2">
+              Tender Categories
+            </label>
+            <input
+              type="text"
+              id="templateCategories"
+              value={formData.categories}
+              onChange={(e) => handleChange('categories', e.target.value)}
+              placeholder="e.g. Construction, Infrastructure"
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="md:col-span-2">
+            <label htmlFor="templateTitle" className="block text-sm font-medium text-gray-700 mb-2">
+              Document Title
+            </label>
+            <input
+              type="text"
+              id="templateTitle"
+              value={formData.title}
+              onChange={(e) => handleChange('title', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="md:col-span-2">
+            <label htmlFor="templateDescription" className="block text-sm font-medium text-gray-700 mb-2">
+              Description
+            </label>
+            <input
+              type="text"
+              id="templateDescription"
+              value={formData.description}
+              onChange={(e) => handleChange('description', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={formData.isDefault}
+            onChange={(e) => handleChange('isDefault', e.target.checked)}
+            className="rounded border-gray-300 text-primary focus:ring-primary mr-2"
+          />
+          Use as default when no template matches the tender category
+        </label>
+
+        {/* Sections */}
+        <div className="space-y-3">
+          <h5 className="text-sm font-medium text-gray-900">Sections</h5>
+          {formData.sections.map((section, index) => (
+            <div key={index} className="border border-gray-200 rounded-md p-4 space-y-3">
+              <div className="flex items-center space-x-3">
+                <input
+                  type="text"
+                  value={section.heading}
+                  onChange={(e) => updateSection(index, 'heading', e.target.value)}
+                  placeholder="Section heading"
+                  className={inputClassName}
+                  aria-label={`Section ${index + 1} heading`}
+                  required
+                />
+                <select
+                  value={section.type}
+                  onChange={(e) => updateSection(index, 'type', e.target.value)}
+                  className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+                  aria-label={`Section ${index + 1} type`}
+                >
+                  <option value="boilerplate">Boilerplate</option>
+                  <option value="generated">AI generated</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={() => moveSection(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label="Move section up"
+                >
+                  <ArrowUpIcon className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveSection(index, 1)}
+                  disabled={index === formData.sections.length - 1}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label="Move section down"
+                >
+                  <ArrowDownIcon className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeSection(index)}
+                  disabled={formData.sections.length === 1}
+                  className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  aria-label="Remove section"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+              <textarea
+                value={section.content}
+                onChange={(e) => updateSection(index, 'content', e.target.value)}
+                rows={3}
+                placeholder={section.type === 'generated'
+                  ? 'Instructions for the AI, e.g. "Describe our methodology for each requirement"'
+                  : 'Standard text, e.g. "{{company.name}} is pleased to submit..."'}
+                className={inputClassName}
+                aria-label={`Section ${index + 1} content`}
+              />
+            </div>
+          ))}
+
+          <button type="button" onClick={addSection} className="btn btn-secondary text-sm">
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Section
+          </button>
+        </div>
+
+        <div className="bg-gray-50 border border-gray-200 rounded-md p-3">
+          <p className="text-xs font-medium text-gray-700 mb-1">Available placeholders</p>
+          <p className="text-xs text-gray-600 font-mono break-words">{PLACEHOLDER_HINTS.join('  ')}</p>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          {editingId && (
+            <button type="button" onClick={resetForm} className="btn btn-secondary">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="btn btn-primary"
+          >
+            {saving ? 'Saving...' : editingId ? 'Update Template' : 'Save Template'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,295 @@
+// components/Settings/SavedSearches.jsx
+// Saved tender searches management using existing Tenderly styling
+// Each saved search drives the scheduled new-tender alert digest
+
+import React, { useState, useEffect } from 'react';
+import { MagnifyingGlassIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useToast } from '../../hooks/useToast';
+import { api } from '../../lib/api';
+
+const EMPTY_FORM = {
+  name: '',
+  keywords: '',
+  category: '',
+  location: '',
+  budgetMin: '',
+  budgetMax: '',
+  closingWithinDays: '',
+  alertFrequency: 'daily'
+};
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily digest',
+  weekly: 'Weekly digest',
+  off: 'No alerts'
+};
+
+export default function SavedSearches() {
+  const { addToast } = useToast();
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Load saved searches when component mounts
+  useEffect(() => {
+    const loadSearches = async () => {
+      try {
+        const data = await api('/api/savedSearches');
+        setSearches(data);
+      } catch (error) {
+        addToast('Failed to load saved searches', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSearches();
+  }, [addToast]);
+
+  // Handle input field changes
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Create a new saved search
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const created = await api('/api/savedSearches', { method: 'POST', body: formData });
+      setSearches(prev => [created, ...prev]);
+      setFormData(EMPTY_FORM);
+      addToast('Saved search created', 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to create saved search', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Change how often a saved search sends alerts
+  const handleFrequencyChange = async (search, alertFrequency) => {
+    try {
+      const updated = await api(`/api/savedSearches/${search.id}`, {
+        method: 'PUT',
+        body: { alertFrequency }
+      });
+      setSearches(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+    } catch (error) {
+      addToast('Failed to update alert frequency', 'error');
+    }
+  };
+
+  // Delete a saved search
+  const handleDelete = async (search) => {
+    try {
+      await api(`/api/savedSearches/${search.id}`, { method: 'DELETE' });
+      setSearches(prev => prev.filter(item => item.id !== search.id));
+      addToast('Saved search deleted', 'success');
+    } catch (error) {
+      addToast('Failed to delete saved search', 'error');
+    }
+  };
+
+  // Build a short description of a saved search's criteria
+  const describeSearch = (search) => {
+    const parts = [];
+    if (search.keywords) parts.push(`"${search.keywords}"`);
+    if (search.category) parts.push(search.category);
+    if (search.location) parts.push(search.location);
+    if (search.budgetMin != null || search.budgetMax != null) {
+      parts.push(`RM ${search.budgetMin != null ? Number(search.budgetMin).toLocaleString() : '0'} – ${search.budgetMax != null ? Number(search.budgetMax).toLocaleString() : 'any'}`);
+    }
+    if (search.closingWithinDays) parts.push(`closing within ${search.closingWithinDays} days`);
+    return parts.length > 0 ? parts.join(' · ') : 'All new tenders';
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary focus:border-primary';
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Saved Searches</h3>
+        <p className="text-gray-600 mb-6">
+          Save tender searches and receive an email digest when new matching tenders are published.
+          Digests are only sent while "New tender opportunities" email notifications are enabled.
+        </p>
+      </div>
+
+      {/* Existing saved searches */}
+      {loading ? (
+        <div className="space-y-3">
+          <div className="skeleton h-12 w-full"></div>
+          <div className="skeleton h-12 w-full"></div>
+        </div>
+      ) : searches.length > 0 ? (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {searches.map(search => (
+            <li key={search.id} className="flex items-center justify-between p-4">
+              <div className="flex items-start space-x-3">
+                <MagnifyingGlassIcon className="h-5 w-5 text-primary mt-0.5" />
+                <div>
+                  <p className="font-medium text-gray-900">{search.name}</p>
+                  <p className="text-sm text-gray-600">{describeSearch(search)}</p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <select
+                  value={search.alertFrequency}
+                  onChange={(e) => handleFrequencyChange(search, e.target.value)}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  aria-label={`Alert frequency for ${search.name}`}
+                >
+                  {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleDelete(search)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Delete ${search.name}`}
+                >
+                  <TrashIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">You have no saved searches yet.</p>
+      )}
+
+      {/* New saved search form */}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <h4 className="text-md font-medium text-gray-900">New Saved Search</h4>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="searchName" className="block text-sm font-medium text-gray-700 mb-2">
+              Name *
+            </label>
+            <input
+              type="text"
+              id="searchName"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchKeywords" className="block text-sm font-medium text-gray-700 mb-2">
+              Keywords
+            </label>
+            <input
+              type="text"
+              id="searchKeywords"
+              value={formData.keywords}
+              onChange={(e) => handleChange('keywords', e.target.value)}
+              placeholder="e.g. road maintenance"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchCategory" className="block text-sm font-medium text-gray-700 mb-2">
+              Category
+            </label>
+            <input
+              type="text"
+              id="searchCategory"
+              value={formData.category}
+              onChange={(e) => handleChange('category', e.target.value)}
+              placeholder="e.g. Construction"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchLocation" className="block text-sm font-medium text-gray-700 mb-2">
+              Location
+            </label>
+            <input
+              type="text"
+              id="searchLocation"
+              value={formData.location}
+              onChange={(e) => handleChange('location', e.target.value)}
+              placeholder="e.g. Selangor"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchBudgetMin" className="block text-sm font-medium text-gray-700 mb-2">
+              Minimum Budget (RM)
+            </label>
+            <input
+              type="number"
+              min="0"
+              id="searchBudgetMin"
+              value={formData.budgetMin}
+              onChange={(e) => handleChange('budgetMin', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchBudgetMax" className="block text-sm font-medium text-gray-700 mb-2">
+              Maximum Budget (RM)
+            </label>
+            <input
+              type="number"
+              min="0"
+              id="searchBudgetMax"
+              value={formData.budgetMax}
+              onChange={(e) => handleChange('budgetMax', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchClosingWithin" className="block text-sm font-medium text-gray-700 mb-2">
+              Closing Within (days)
+            </label>
+            <input
+              type="number"
+              min="1"
+              id="searchClosingWithin"
+              value={formData.closingWithinDays}
+              onChange={(e) => handleChange('closingWithinDays', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="searchFrequency" className="block text-sm font-medium text-gray-700 mb-2">
+              Alerts
+            </label>
+            <select
+              id="searchFrequency"
+              value={formData.alertFrequency}
+              onChange={(e) => handleChange('alertFrequency', e.target.value)}
+              className={inputClassName}
+            >
+              {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="btn btn-primary"
+          >
+            {saving ? 'Saving...' : 'Save Search'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
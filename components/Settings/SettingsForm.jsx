@@ -4,15 +4,23 @@
 
 import React, { useState } from 'react';
 import NotificationPreferences from './NotificationPreferences';
+import SavedSearches from './SavedSearches';
+import ProposalTemplates from './ProposalTemplates';
+import TeamSettings from './TeamSettings';
 import SecuritySettings from './SecuritySettings';
 import ContactUpdate from './ContactUpdate';
+import AIUsage from './AIUsage';
 
 export default function SettingsForm() {
   const [activeTab, setActiveTab] = useState('contact');
 
   const tabs = [
     { id: 'contact', label: 'Contact Info' },
+    { id: 'team', label: 'Team' },
     { id: 'notifications', label: 'Notifications' },
+    { id: 'savedSearches', label: 'Saved Searches' },
+    { id: 'templates', label: 'Proposal Templates' },
+    { id: 'aiUsage', label: 'AI Usage' },
     { id: 'security', label: 'Security' }
   ];
 
@@ -40,7 +48,11 @@ export default function SettingsForm() {
       {/* Tab content */}
       <div className="p-6">
         {activeTab === 'contact' && <ContactUpdate />}
+        {activeTab === 'team' && <TeamSettings />}
         {activeTab === 'notifications' && <NotificationPreferences />}
+        {activeTab === 'savedSearches' && <SavedSearches />}
+        {activeTab === 'templates' && <ProposalTemplates />}
+        {activeTab === 'aiUsage' && <AIUsage />}
         {activeTab === 'security' && <SecuritySettings />}
       </div>
     </div>
@@ -0,0 +1,349 @@
+// components/Settings/TeamSettings.jsx
+// Organization workspace management using existing Tenderly styling
+// Switch between organizations, manage member roles and invite colleagues by email
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { UserGroupIcon, EnvelopeIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { useToast } from '../../hooks/useToast';
+import { api } from '../../lib/api';
+import { ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS, MAX_ORGANIZATION_NAME_LENGTH, can } from '../../lib/organizations';
+
+const EMPTY_INVITE = { email: '', role: 'editor' };
+
+export default function TeamSettings() {
+  const router = useRouter();
+  const { addToast } = useToast();
+  const [organizations, setOrganizations] = useState([]);
+  const [activeOrganizationId, setActiveOrganizationId] = useState(null);
+  const [role, setRole] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [organizationName, setOrganizationName] = useState('');
+  const [newOrganizationName, setNewOrganizationName] = useState('');
+  const [inviteForm, setInviteForm] = useState(EMPTY_INVITE);
+  const [saving, setSaving] = useState(false);
+
+  const canManage = can(role, 'manage');
+
+  // Load the user's organizations, then the members and invitations of the active one
+  const loadTeam = useCallback(async () => {
+    try {
+      const data = await api('/api/organizations');
+      setOrganizations(data.organizations);
+      setActiveOrganizationId(data.activeOrganizationId);
+      setRole(data.role);
+
+      const active = data.organizations.find(organization => organization.isActive);
+      setOrganizationName(active?.name || '');
+
+      const memberList = await api('/api/organizations/members');
+      setMembers(memberList);
+
+      if (can(data.role, 'manage')) {
+        setInvitations(await api('/api/organizations/invitations'));
+      } else {
+        setInvitations([]);
+      }
+    } catch (error) {
+      addToast('Failed to load team settings', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    loadTeam();
+  }, [loadTeam]);
+
+  // Switching organization changes every page's data, so reload the app
+  const handleSwitch = async (organizationId) => {
+    try {
+      await api('/api/organizations/active', { method: 'PUT', body: { organizationId } });
+      router.reload();
+    } catch (error) {
+      addToast(error.message || 'Failed to switch organization', 'error');
+    }
+  };
+
+  // Create a new organization and switch to it
+  const handleCreateOrganization = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await api('/api/organizations', { method: 'POST', body: { name: newOrganizationName } });
+      router.reload();
+    } catch (error) {
+      addToast(error.message || 'Failed to create organization', 'error');
+      setSaving(false);
+    }
+  };
+
+  // Rename the active organization
+  const handleRename = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const updated = await api('/api/organizations', { method: 'PUT', body: { name: organizationName } });
+      setOrganizations(prev => prev.map(organization => (
+        organization.id === updated.id ? { ...organization, name: updated.name } : organization
+      )));
+      addToast('Organization renamed', 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to rename organization', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Change a member's role
+  const handleRoleChange = async (member, newRole) => {
+    try {
+      const updated = await api(`/api/organizations/members/${member.id}`, {
+        method: 'PUT',
+        body: { role: newRole }
+      });
+      setMembers(prev => prev.map(item => (item.id === updated.id ? { ...item, role: updated.role } : item)));
+      addToast('Role updated', 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to update role', 'error');
+    }
+  };
+
+  // Remove a member, or leave the organization when removing yourself
+  const handleRemoveMember = async (member) => {
+    try {
+      await api(`/api/organizations/members/${member.id}`, { method: 'DELETE' });
+      if (member.isCurrentUser) {
+        router.reload();
+        return;
+      }
+      setMembers(prev => prev.filter(item => item.id !== member.id));
+      addToast('Member removed', 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to remove member', 'error');
+    }
+  };
+
+  // Invite someone by email
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const invitation = await api('/api/organizations/invitations', { method: 'POST', body: inviteForm });
+      setInvitations(prev => [invitation, ...prev.filter(item => item.email !== invitation.email)]);
+      setInviteForm(EMPTY_INVITE);
+      addToast(
+        invitation.emailSent
+          ? `Invitation sent to ${invitation.email}`
+          : `Invitation created, but the email to ${invitation.email} could not be sent`,
+        invitation.emailSent ? 'success' : 'info'
+      );
+    } catch (error) {
+      addToast(error.message || 'Failed to send invitation', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Revoke a pending invitation
+  const handleRevoke = async (invitation) => {
+    try {
+      await api(`/api/organizations/invitations/${invitation.id}`, { method: 'DELETE' });
+      setInvitations(prev => prev.filter(item => item.id !== invitation.id));
+      addToast('Invitation revoked', 'success');
+    } catch (error) {
+      addToast('Failed to revoke invitation', 'error');
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary focus:border-primary';
+
+  if (loading) {
+    return (
+      <div className="space-y-3">
+        <div className="skeleton h-12 w-full"></div>
+        <div className="skeleton h-12 w-full"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Team</h3>
+        <p className="text-gray-600 mb-6">
+          Your company profile, proposals, templates and attestations belong to the active organization and are
+          shared with its members. Owners manage members and invitations, editors write proposals, reviewers
+          review them and viewers have read-only access.
+        </p>
+      </div>
+
+      {/* Organization switcher */}
+      <section className="space-y-3">
+        <label htmlFor="activeOrganization" className="block text-sm font-medium text-gray-700">
+          Active organization
+        </label>
+        <select
+          id="activeOrganization"
+          value={activeOrganizationId || ''}
+          onChange={(e) => handleSwitch(e.target.value)}
+          className={inputClassName}
+        >
+          {organizations.map(organization => (
+            <option key={organization.id} value={organization.id}>
+              {organization.name} ({ROLE_LABELS[organization.role]})
+            </option>
+          ))}
+        </select>
+
+        <form onSubmit={handleCreateOrganization} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={newOrganizationName}
+            onChange={(e) => setNewOrganizationName(e.target.value)}
+            maxLength={MAX_ORGANIZATION_NAME_LENGTH}
+            placeholder="New organization name"
+            className={inputClassName}
+            aria-label="New organization name"
+          />
+          <button type="submit" disabled={saving || !newOrganizationName.trim()} className="btn btn-secondary whitespace-nowrap">
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Create
+          </button>
+        </form>
+      </section>
+
+      {/* Rename - owners only */}
+      {canManage && (
+        <form onSubmit={handleRename} className="space-y-2">
+          <label htmlFor="organizationName" className="block text-sm font-medium text-gray-700">
+            Organization name
+          </label>
+          <div className="flex items-center space-x-2">
+            <input
+              id="organizationName"
+              type="text"
+              value={organizationName}
+              onChange={(e) => setOrganizationName(e.target.value)}
+              maxLength={MAX_ORGANIZATION_NAME_LENGTH}
+              className={inputClassName}
+            />
+            <button type="submit" disabled={saving || !organizationName.trim()} className="btn btn-secondary">
+              Rename
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Members */}
+      <section>
+        <h4 className="text-md font-semibold text-gray-900 mb-3">Members</h4>
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {members.map(member => (
+            <li key={member.id} className="flex items-center justify-between p-4">
+              <div className="flex items-start space-x-3">
+                <UserGroupIcon className="h-5 w-5 text-primary mt-0.5" />
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {member.fullName || member.email || 'Unknown user'}
+                    {member.isCurrentUser && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </p>
+                  {member.fullName && member.email && <p className="text-sm text-gray-600">{member.email}</p>}
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                {canManage ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                    aria-label={`Role for ${member.email || 'member'}`}
+                  >
+                    {ROLES.map(item => (
+                      <option key={item} value={item}>{ROLE_LABELS[item]}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                    {ROLE_LABELS[member.role]}
+                  </span>
+                )}
+                {(canManage || member.isCurrentUser) && (
+                  <button
+                    onClick={() => handleRemoveMember(member)}
+                    className="p-2 text-gray-500 hover:text-red-600"
+                    aria-label={member.isCurrentUser ? 'Leave organization' : `Remove ${member.email || 'member'}`}
+                    title={member.isCurrentUser ? 'Leave organization' : 'Remove member'}
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {/* Invitations - owners only */}
+      {canManage && (
+        <section className="space-y-4">
+          <h4 className="text-md font-semibold text-gray-900">Invite a colleague</h4>
+          <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              type="email"
+              required
+              value={inviteForm.email}
+              onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+              placeholder="name@company.com"
+              className={`${inputClassName} md:col-span-2`}
+              aria-label="Email address"
+            />
+            <select
+              value={inviteForm.role}
+              onChange={(e) => setInviteForm(prev => ({ ...prev, role: e.target.value }))}
+              className={inputClassName}
+              aria-label="Role"
+            >
+              {ROLES.map(item => (
+                <option key={item} value={item}>{ROLE_LABELS[item]}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              <EnvelopeIcon className="h-4 w-4 mr-2" />
+              {saving ? 'Sending...' : 'Send Invite'}
+            </button>
+          </form>
+          <p className="text-sm text-gray-500">{ROLE_DESCRIPTIONS[inviteForm.role]}</p>
+
+          {invitations.length > 0 && (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {invitations.map(invitation => (
+                <li key={invitation.id} className="flex items-center justify-between p-4">
+                  <div>
+                    <p className="font-medium text-gray-900">{invitation.email}</p>
+                    <p className="text-sm text-gray-600">
+                      {ROLE_LABELS[invitation.role]} ·{' '}
+                      {invitation.isExpired
+                        ? 'Expired'
+                        : `Expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(invitation)}
+                    className="p-2 text-gray-500 hover:text-red-600"
+                    aria-label={`Revoke invitation for ${invitation.email}`}
+                    title="Revoke invitation"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
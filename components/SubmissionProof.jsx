@@ -0,0 +1,83 @@
+// components/SubmissionProof.jsx
+// This component shows the hashes a submitted proposal was attested with
+// Members can download the exact submitted package (or PDF, for older submissions) and share a verify link with the agency
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { FingerPrintIcon, DocumentArrowDownIcon } from '@heroicons/react/24/outline';
+import { downloadFile } from '../lib/api';
+import { useToast } from '../hooks/useToast';
+
+export default function SubmissionProof({ proposalId, proof }) {
+  const { addToast } = useToast();
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      await downloadFile(`/api/submittedFile?proposalId=${proposalId}`, { method: 'GET' });
+    } catch (error) {
+      addToast(error.message || 'Failed to download submitted file', 'error');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // Proposals submitted before hashes were recorded only have a transaction
+  if (!proof.contentHash) {
+    return (
+      <div className="card">
+        <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-2">
+          <FingerPrintIcon className="h-5 w-5 mr-2" />
+          Submission Proof
+        </h3>
+        <p className="text-sm text-gray-600">
+          This proposal was attested before content hashes were recorded, so it cannot be verified by content.
+        </p>
+      </div>
+    );
+  }
+
+  const hashes = [
+    { label: 'Proposal text', hash: proof.contentHash },
+    proof.fileHash && { label: `Submitted ${(proof.fileFormat || 'file').toUpperCase()}`, hash: proof.fileHash }
+  ].filter(Boolean);
+
+  // Submissions before packages were introduced stored the PDF alone
+  const fileLabel = proof.fileFormat === 'zip' ? 'Submission package' : 'Submitted PDF';
+
+  return (
+    <div className="card">
+      <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+        <FingerPrintIcon className="h-5 w-5 mr-2" />
+        Submission Proof
+      </h3>
+
+      <div className="space-y-3 mb-4">
+        {hashes.map(({ label, hash }) => (
+          <div key={label}>
+            <p className="text-xs text-gray-500 mb-1">{label} (SHA-256)</p>
+            <code className="block text-xs font-mono bg-gray-100 px-2 py-1 rounded break-all">{hash}</code>
+          </div>
+        ))}
+        {proof.status === 'failed' ? (
+          <p className="text-xs text-red-700">The blockchain transaction could not be sent after repeated attempts.</p>
+        ) : proof.status !== 'confirmed' && (
+          <p className="text-xs text-yellow-700">The blockchain transaction has not been confirmed yet.</p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {proof.hasFile && (
+          <button onClick={handleDownload} disabled={downloading} className="btn btn-secondary text-sm">
+            <DocumentArrowDownIcon className="h-4 w-4 mr-2" />
+            {downloading ? 'Downloading...' : fileLabel}
+          </button>
+        )}
+        <Link href={`/verify?hash=${proof.fileHash || proof.contentHash}`} className="btn btn-secondary text-sm">
+          Verify link
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -5,7 +5,7 @@
 
 import Link from 'next/link';
 import { CalendarIcon, BuildingOfficeIcon } from '@heroicons/react/24/outline';
-import { CheckCircle, XCircle, ShieldCheck } from 'lucide-react';
+import { CheckCircle, XCircle, ShieldCheck, AlertTriangle } from 'lucide-react';
 import { Badge } from './ui/badge';
 
 export default function TenderCard({ tender, eligibilitySummary }) {
@@ -84,6 +84,16 @@ export default function TenderCard({ tender, eligibilitySummary }) {
             )}
             {/* Eligibility badge */}
             {getEligibilityBadge()}
+            {/* Badge for tenders whose required credentials lapse before closing */}
+            {eligibilitySummary?.atRisk && (
+              <Badge
+                className="bg-red-100 text-red-800 flex items-center space-x-1"
+                title={eligibilitySummary.riskReasons.join('\n')}
+              >
+                <AlertTriangle className="h-3 w-3 mr-1" />
+                <span>At Risk</span>
+              </Badge>
+            )}
           </div>
         </div>
         
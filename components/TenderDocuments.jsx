@@ -0,0 +1,184 @@
+// components/TenderDocuments.jsx
+// Lists the documents attached to a tender and lets owners and editors attach PDF or DOCX files
+// Text is extracted on upload; ready documents are used as context by the AI summary, eligibility check and proposal drafts
+
+import { useRef, useState } from 'react';
+import useSWR from 'swr';
+import { FileText, Upload, Download, Trash2, CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
+import { fetcher, api, uploadFile, downloadFile } from '../lib/api';
+import { useToast } from '../hooks/useToast';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+
+const MAX_FILE_MB = 10;
+
+/**
+ * Formats a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "2.4 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default function TenderDocuments({ tenderId }) {
+  const { addToast } = useToast();
+  const fileInputRef = useRef(null);
+  const [uploading, setUploading] = useState(null);
+
+  const { data, error, mutate } = useSWR(
+    tenderId ? `/api/tenders/${tenderId}/documents` : null,
+    fetcher
+  );
+
+  const documents = data?.documents || [];
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+
+    for (const file of files) {
+      if (file.size > MAX_FILE_MB * 1024 * 1024) {
+        addToast(`${file.name} is larger than ${MAX_FILE_MB}MB`, 'error');
+        continue;
+      }
+
+      try {
+        setUploading(file.name);
+        const attached = await uploadFile(`/api/tenders/${tenderId}/documents`, file);
+
+        if (attached.duplicate) {
+          addToast(`${file.name} is already attached as ${attached.fileName}`, 'info');
+        } else if (attached.status === 'failed') {
+          addToast(`${file.name} was attached, but its text could not be read: ${attached.error}`, 'error');
+        } else {
+          addToast(`${file.name} attached`, 'success');
+        }
+      } catch (uploadError) {
+        addToast(uploadError.message || `Failed to attach ${file.name}`, 'error');
+      } finally {
+        setUploading(null);
+      }
+    }
+
+    mutate();
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      await downloadFile(`/api/tenders/${tenderId}/documents/${doc.id}`, { method: 'GET' });
+    } catch (downloadError) {
+      addToast(downloadError.message || 'Failed to download document', 'error');
+    }
+  };
+
+  const handleRemove = async (doc) => {
+    if (!window.confirm(`Remove ${doc.fileName}? The AI will no longer use it.`)) return;
+
+    try {
+      await api(`/api/tenders/${tenderId}/documents/${doc.id}`, { method: 'DELETE' });
+      addToast('Document removed', 'success');
+      mutate();
+    } catch (removeError) {
+      addToast(removeError.message || 'Failed to remove document', 'error');
+    }
+  };
+
+  if (error) {
+    return <p className="text-sm text-red-600">Failed to load tender documents.</p>;
+  }
+
+  if (!data) {
+    return <p className="text-sm text-gray-500">Loading documents...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Tender Documents</h3>
+          <p className="text-sm text-gray-500">
+            Attached documents are read by the AI summary, eligibility check and proposal drafts.
+          </p>
+        </div>
+        {data.canAttach && (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".pdf,.docx"
+              multiple
+              className="hidden"
+              onChange={handleFiles}
+            />
+            <Button
+              variant="outline"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={!!uploading}
+            >
+              {uploading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Upload className="w-4 h-4 mr-2" />
+              )}
+              {uploading ? `Reading ${uploading}...` : 'Attach PDF or DOCX'}
+            </Button>
+          </>
+        )}
+      </div>
+
+      {documents.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No documents attached yet. {data.canAttach && `Attach the bid document (PDF or DOCX, up to ${MAX_FILE_MB}MB) so AI answers come from it.`}
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {documents.map(doc => (
+            <li key={doc.id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+              <div className="flex items-center space-x-3 min-w-0">
+                <FileText className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{doc.fileName}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatFileSize(doc.fileSize)}
+                    {doc.pageCount ? ` • ${doc.pageCount} pages` : ''}
+                    {doc.status === 'ready' ? ` • ${doc.chunkCount} passages` : ''}
+                  </p>
+                  {doc.status === 'failed' && (
+                    <p className="text-xs text-red-600 mt-1">{doc.error}</p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                {doc.status === 'ready' && (
+                  <Badge variant="secondary" className="text-green-700">
+                    <CheckCircle className="w-3 h-3 mr-1" />
+                    Used by AI
+                  </Badge>
+                )}
+                {doc.status === 'failed' && (
+                  <Badge variant="secondary" className="text-red-700">
+                    <AlertCircle className="w-3 h-3 mr-1" />
+                    Not readable
+                  </Badge>
+                )}
+                {doc.status === 'processing' && (
+                  <Badge variant="secondary">Processing</Badge>
+                )}
+                <Button variant="ghost" size="sm" onClick={() => handleDownload(doc)} title="Download">
+                  <Download className="w-4 h-4" />
+                </Button>
+                {data.canAttach && doc.attachedByYourOrganization && (
+                  <Button variant="ghost" size="sm" onClick={() => handleRemove(doc)} title="Remove">
+                    <Trash2 className="w-4 h-4 text-red-600" />
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+// components/VersionDiff.jsx
+// Renders a line diff between two proposal versions, with word-level highlights on modified lines
+
+const LINE_STYLES = {
+  equal: 'text-gray-700',
+  insert: 'bg-green-50 text-green-900',
+  delete: 'bg-red-50 text-red-900 line-through decoration-red-300',
+  modified: 'bg-yellow-50 text-gray-800'
+};
+
+const LINE_MARKERS = { equal: ' ', insert: '+', delete: '-', modified: '~' };
+
+// Unchanged lines shown around each change; longer unchanged runs are collapsed
+const CONTEXT_LINES = 2;
+
+export default function VersionDiff({ diff }) {
+  const { lines, stats } = diff;
+
+  if (stats.added === 0 && stats.removed === 0 && stats.modified === 0) {
+    return <p className="text-sm text-gray-500">No differences.</p>;
+  }
+
+  // Mark which lines are within CONTEXT_LINES of a change
+  const visible = lines.map((line, index) => line.type !== 'equal' || lines
+    .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+    .some(nearby => nearby.type !== 'equal'));
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (!visible[index]) {
+      if (visible[index - 1] !== false) {
+        rows.push(<div key={`gap-${index}`} className="px-2 py-1 text-xs text-gray-400 bg-gray-50">⋯</div>);
+      }
+      return;
+    }
+
+    rows.push(
+      <div key={index} className={`flex px-2 py-0.5 ${LINE_STYLES[line.type]}`}>
+        <span className="w-4 flex-shrink-0 text-gray-400 select-none">{LINE_MARKERS[line.type]}</span>
+        <span className="whitespace-pre-wrap break-words flex-1">
+          {line.type === 'modified'
+            ? line.segments.map((segment, segmentIndex) => (
+                <span
+                  key={segmentIndex}
+                  className={
+                    segment.type === 'insert'
+                      ? 'bg-green-200 text-green-900'
+                      : segment.type === 'delete'
+                        ? 'bg-red-200 text-red-900 line-through'
+                        : undefined
+                  }
+                >
+                  {segment.text}
+                </span>
+              ))
+            : line.text || ' '}
+        </span>
+      </div>
+    );
+  });
+
+  return (
+    <div>
+      <div className="flex items-center space-x-3 text-xs mb-2">
+        <span className="text-green-700">+{stats.added} added</span>
+        <span className="text-red-700">-{stats.removed} removed</span>
+        <span className="text-yellow-700">~{stats.modified} changed</span>
+      </div>
+      <div className="border border-gray-200 rounded font-mono text-xs overflow-x-auto">
+        {rows}
+      </div>
+    </div>
+  );
+}
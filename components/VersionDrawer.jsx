@@ -1,24 +1,93 @@
 // components/VersionDrawer.jsx
 // This component provides a side drawer to display and select from version history
-// It allows users to view and restore previous versions of their proposals
+// It allows users to compare versions, save named checkpoints and restore previous versions
 
-import { useState } from 'react';
-import { XMarkIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { useState, useMemo } from 'react';
+import { XMarkIcon, ClockIcon, BookmarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import VersionDiff from './VersionDiff';
+import { diffVersions, describeVersion, MAX_LABEL_LENGTH } from '../lib/proposalVersions';
 
-export default function VersionDrawer({ isOpen, onClose, versions, onSelectVersion }) {
-  // Track which version is currently selected
+const KIND_BADGES = {
+  autosave: { label: 'Autosave', className: 'bg-gray-100 text-gray-700' },
+  checkpoint: { label: 'Checkpoint', className: 'bg-blue-100 text-blue-800' },
+  restore: { label: 'Restored', className: 'bg-purple-100 text-purple-800' },
+  suggestion: { label: 'AI Suggestion', className: 'bg-green-100 text-green-800' }
+};
+
+export default function VersionDrawer({
+  isOpen,
+  onClose,
+  versions,
+  currentContent,
+  onRestore,
+  onCreateCheckpoint,
+  readOnly = false
+}) {
+  // Track which version is currently selected and what it is compared with
   const [selectedVersion, setSelectedVersion] = useState(null);
+  const [compareWith, setCompareWith] = useState('current');
+  const [checkpointsOnly, setCheckpointsOnly] = useState(false);
+  const [checkpointLabel, setCheckpointLabel] = useState('');
+  const [savingCheckpoint, setSavingCheckpoint] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const hasCurrent = currentContent !== undefined;
+  const listedVersions = checkpointsOnly
+    ? versions.filter(version => version.kind === 'checkpoint')
+    : versions;
 
   // Handle clicking on a version in the list
   const handleVersionClick = (version) => {
     setSelectedVersion(version);
+    if (!hasCurrent || compareWith === version.id) {
+      // Default to the version before it, or any other version for the first one
+      const other = versions.find(item => item.version < version.version) ||
+        versions.find(item => item.id !== version.id);
+      setCompareWith(other ? other.id : 'current');
+    }
   };
 
+  // Diff from the older side to the newer side so additions read as additions
+  const diff = useMemo(() => {
+    if (!selectedVersion) return null;
+
+    if (compareWith === 'current') {
+      return hasCurrent ? diffVersions(selectedVersion.content, currentContent) : null;
+    }
+
+    const other = versions.find(version => version.id === compareWith);
+    if (!other) return null;
+
+    return other.version < selectedVersion.version
+      ? diffVersions(other.content, selectedVersion.content)
+      : diffVersions(selectedVersion.content, other.content);
+  }, [selectedVersion, compareWith, versions, currentContent, hasCurrent]);
+
   // Handle restoring the selected version
-  const handleRestore = () => {
-    if (selectedVersion) {
-      onSelectVersion(selectedVersion);
+  const handleRestore = async () => {
+    if (!selectedVersion) return;
+
+    try {
+      setRestoring(true);
+      await onRestore(selectedVersion);
+      setSelectedVersion(null);
       onClose();
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  // Save the current content as a named checkpoint
+  const handleCreateCheckpoint = async (e) => {
+    e.preventDefault();
+    if (!checkpointLabel.trim()) return;
+
+    try {
+      setSavingCheckpoint(true);
+      await onCreateCheckpoint(checkpointLabel.trim());
+      setCheckpointLabel('');
+    } finally {
+      setSavingCheckpoint(false);
     }
   };
 
@@ -26,14 +95,14 @@ export default function VersionDrawer({ isOpen, onClose, versions, onSelectVersi
     <>
       {/* Background overlay - only visible when drawer is open */}
       {isOpen && (
-        <div 
+        <div
           className="fixed inset-0 bg-black bg-opacity-50 z-40"
           onClick={onClose}
         />
       )}
-      
-      {/* Side drawer panel */}
-      <div className={`fixed right-0 top-0 h-full w-96 bg-white shadow-xl transform transition-transform duration-300 ease-in-out z-50 ${
+
+      {/* Side drawer panel - widens when a version is selected to make room for the diff */}
+      <div className={`fixed right-0 top-0 h-full w-full ${selectedVersion ? 'max-w-3xl' : 'max-w-md'} bg-white shadow-xl transform transition-transform duration-300 ease-in-out z-50 flex flex-col ${
         isOpen ? 'translate-x-0' : 'translate-x-full'
       }`}>
         {/* Drawer header */}
@@ -42,49 +111,128 @@ export default function VersionDrawer({ isOpen, onClose, versions, onSelectVersi
           <button
             onClick={onClose}
             className="p-2 hover:bg-gray-100 rounded"
+            aria-label="Close version history"
           >
             <XMarkIcon className="h-5 w-5" />
           </button>
         </div>
-        
-        {/* Versions list */}
-        <div className="p-4 space-y-4 overflow-y-auto h-full">
-          {versions.map((version) => (
-            <div
-              key={version.id}
-              className={`p-3 border rounded-lg cursor-pointer transition ${
-                selectedVersion?.id === version.id
-                  ? 'border-primary bg-blue-50'
-                  : 'border-gray-200 hover:border-gray-300'
-              }`}
-              onClick={() => handleVersionClick(version)}
+
+        {/* Named checkpoint form */}
+        {!readOnly && onCreateCheckpoint && (
+          <form onSubmit={handleCreateCheckpoint} className="flex items-center space-x-2 p-4 border-b border-gray-200">
+            <input
+              type="text"
+              value={checkpointLabel}
+              onChange={(e) => setCheckpointLabel(e.target.value)}
+              maxLength={MAX_LABEL_LENGTH}
+              placeholder="Name this version, e.g. Sent for review"
+              className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+              aria-label="Checkpoint name"
+            />
+            <button
+              type="submit"
+              disabled={savingCheckpoint || !checkpointLabel.trim()}
+              className="btn btn-secondary text-sm"
             >
-              <div className="flex items-center justify-between mb-2">
-                <span className="text-sm font-medium">Version {version.version}</span>
-                <div className="flex items-center text-xs text-gray-500">
-                  <ClockIcon className="h-3 w-3 mr-1" />
-                  {new Date(version.createdAt).toLocaleDateString()}
-                </div>
-              </div>
-              <p className="text-sm text-gray-600 line-clamp-3">
-                {version.content.substring(0, 100)}...
+              <BookmarkIcon className="h-4 w-4 mr-1" />
+              {savingCheckpoint ? 'Saving...' : 'Save Checkpoint'}
+            </button>
+          </form>
+        )}
+
+        <div className="flex flex-1 min-h-0">
+          {/* Versions list */}
+          <div className={`${selectedVersion ? 'w-72 border-r border-gray-200' : 'w-full'} p-4 space-y-3 overflow-y-auto`}>
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={checkpointsOnly}
+                onChange={(e) => setCheckpointsOnly(e.target.checked)}
+                className="rounded border-gray-300 text-primary focus:ring-primary mr-2"
+              />
+              Checkpoints only
+            </label>
+
+            {listedVersions.length === 0 && (
+              <p className="text-sm text-gray-500">
+                {checkpointsOnly ? 'No checkpoints yet.' : 'No versions yet.'}
               </p>
-            </div>
-          ))}
-          
-          {/* Restore button - only shown when a version is selected */}
+            )}
+
+            {listedVersions.map((version) => {
+              const badge = KIND_BADGES[version.kind] || KIND_BADGES.autosave;
+              return (
+                <div
+                  key={version.id}
+                  className={`p-3 border rounded-lg cursor-pointer transition ${
+                    selectedVersion?.id === version.id
+                      ? 'border-primary bg-blue-50'
+                      : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                  onClick={() => handleVersionClick(version)}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium">Version {version.version}</span>
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${badge.className}`}>{badge.label}</span>
+                  </div>
+                  {version.kind !== 'autosave' && (
+                    <p className="text-sm text-gray-800 truncate">{version.label || version.changesSummary}</p>
+                  )}
+                  <div className="flex items-center text-xs text-gray-500 mt-1">
+                    <ClockIcon className="h-3 w-3 mr-1" />
+                    {new Date(version.updatedAt).toLocaleString()}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Comparison of the selected version */}
           {selectedVersion && (
-            <div className="sticky bottom-0 bg-white pt-4 border-t border-gray-200">
-              <button
-                onClick={handleRestore}
-                className="w-full btn btn-primary"
-              >
-                Restore This Version
-              </button>
+            <div className="flex-1 flex flex-col min-w-0">
+              <div className="p-4 border-b border-gray-200 space-y-2">
+                <p className="text-sm font-medium text-gray-900">{describeVersion(selectedVersion)}</p>
+                <div className="flex items-center space-x-2 text-sm">
+                  <label htmlFor="compareWith" className="text-gray-600">Compare with</label>
+                  <select
+                    id="compareWith"
+                    value={compareWith}
+                    onChange={(e) => setCompareWith(e.target.value)}
+                    className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  >
+                    {hasCurrent && <option value="current">Current draft</option>}
+                    {versions
+                      .filter(version => version.id !== selectedVersion.id)
+                      .map(version => (
+                        <option key={version.id} value={version.id}>{describeVersion(version)}</option>
+                      ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex-1 overflow-y-auto p-4">
+                {diff ? <VersionDiff diff={diff} /> : (
+                  <p className="text-sm text-gray-500">Select a version to compare with.</p>
+                )}
+              </div>
+
+              {/* Restore button - creates a new version on the server */}
+              {!readOnly && onRestore && (
+                <div className="p-4 border-t border-gray-200">
+                  <button
+                    onClick={handleRestore}
+                    disabled={restoring}
+                    className="w-full btn btn-primary"
+                  >
+                    <ArrowUturnLeftIcon className="h-4 w-4 mr-2" />
+                    {restoring ? 'Restoring...' : `Restore Version ${selectedVersion.version}`}
+                  </button>
+                </div>
+              )}
             </div>
           )}
         </div>
       </div>
     </>
   );
-}
\ No newline at end of file
+}
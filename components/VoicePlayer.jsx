@@ -1,54 +1,106 @@
 // components/VoicePlayer.jsx
 // This component provides audio playback functionality for tender summaries
-// It fetches a voice summary from the API and allows the user to play/stop it
+// It fetches the spoken AI summary from /api/voiceSummary in English or Bahasa Malaysia and allows the user to play/stop it
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { SpeakerWaveIcon, StopIcon } from '@heroicons/react/24/outline';
+import { fetchBlob } from '../lib/api';
+
+// Languages the summary can be read in
+const LANGUAGES = [
+  { value: 'en', label: 'EN', title: 'English' },
+  { value: 'ms', label: 'BM', title: 'Bahasa Malaysia' }
+];
 
 export default function VoicePlayer({ tenderId, onError }) {
   // State for managing audio playback
-  const [audioSrc, setAudioSrc] = useState(null); // URL of the audio file
+  const [language, setLanguage] = useState('en'); // Language to read the summary in
   const [isPlaying, setIsPlaying] = useState(false); // Whether audio is currently playing
   const [loading, setLoading] = useState(false); // Whether audio is being generated
+  const audioRef = useRef(null);
+  const audioUrlsRef = useRef({}); // Object URLs of fetched audio, by language
+  const requestRef = useRef(null); // Pending request, cancelled when the tender changes or the page is left
+
+  // Release fetched audio when the tender changes or the page is left
+  useEffect(() => {
+    return () => {
+      requestRef.current?.abort();
+      Object.values(audioUrlsRef.current).forEach(url => URL.revokeObjectURL(url));
+      audioUrlsRef.current = {};
+    };
+  }, [tenderId]);
+
+  const stop = () => {
+    const audio = audioRef.current;
+    if (audio) {
+      audio.pause();
+      audio.currentTime = 0;
+    }
+    setIsPlaying(false);
+  };
 
-  // Handle play/pause button click
+  // Handle play/stop button click
   const handlePlay = async () => {
+    if (isPlaying) {
+      stop();
+      return;
+    }
+
     try {
-      setLoading(true);
-      
+      let url = audioUrlsRef.current[language];
+
       // If we don't have the audio yet, fetch it from the API
-      if (!audioSrc) {
-        const response = await fetch('/api/voiceSummary', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ tenderId }),
-        });
-        
-        if (!response.ok) throw new Error('Failed to generate voice summary');
-        
-        const { url } = await response.json();
-        setAudioSrc(url);
-      }
-      
-      // Get the audio element and toggle play/pause
-      const audio = document.getElementById(`audio-${tenderId}`);
-      if (isPlaying) {
-        audio.pause();
-        setIsPlaying(false);
-      } else {
-        await audio.play();
-        setIsPlaying(true);
+      if (!url) {
+        setLoading(true);
+        const controller = new AbortController();
+        requestRef.current = controller;
+
+        const blob = await fetchBlob(
+          `/api/voiceSummary?tenderId=${encodeURIComponent(tenderId)}&language=${language}`,
+          { signal: controller.signal }
+        );
+        url = URL.createObjectURL(blob);
+        audioUrlsRef.current[language] = url;
       }
+
+      const audio = audioRef.current;
+      audio.src = url;
+      await audio.play();
+      setIsPlaying(true);
     } catch (error) {
-      // Call the error handler if provided
-      onError?.(error.message);
+      // Cancelled requests are not errors; call the error handler if provided
+      if (error.name !== 'AbortError') {
+        onError?.(error.message);
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const handleLanguageChange = (value) => {
+    stop();
+    setLanguage(value);
+  };
+
   return (
-    <div>
+    <div className="flex items-center space-x-2">
+      {/* Language toggle */}
+      <div className="flex rounded-md border border-gray-300 overflow-hidden" role="group" aria-label="Summary language">
+        {LANGUAGES.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => handleLanguageChange(option.value)}
+            disabled={loading}
+            title={option.title}
+            aria-pressed={language === option.value}
+            className={`px-2 py-1 text-xs font-medium ${language === option.value ? 'bg-gray-900 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
       {/* Play/Stop button */}
       <button
         onClick={handlePlay}
@@ -67,16 +119,13 @@ export default function VoicePlayer({ tenderId, onError }) {
         )}
         {loading ? 'Generating...' : isPlaying ? 'Stop' : 'Listen'}
       </button>
-      
+
       {/* Hidden audio element */}
-      {audioSrc && (
-        <audio
-          id={`audio-${tenderId}`}
-          src={audioSrc}
-          onEnded={() => setIsPlaying(false)}
-          className="hidden"
-        />
-      )}
+      <audio
+        ref={audioRef}
+        onEnded={() => setIsPlaying(false)}
+        className="hidden"
+      />
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,48 @@
+// hooks/useAIStream.js
+// This custom hook runs a streaming AI request (see streamApi in lib/api.js) that the user can stop
+// The request is also cancelled when the component unmounts
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { streamApi } from '../lib/api';
+
+export function useAIStream() {
+  const [isStreaming, setIsStreaming] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Cancel any request still running when the component unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Starts a request; onDelta receives each piece of text as it arrives
+  // Resolves with the final "done" data, or null if the request was stopped
+  const start = useCallback(async (path, body, onDelta) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsStreaming(true);
+
+    try {
+      return await streamApi(path, {
+        body,
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'delta') onDelta(data.text);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      throw error;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, []);
+
+  // Stops the running request, keeping whatever text has arrived
+  const stop = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return { start, stop, isStreaming };
+}
@@ -0,0 +1,86 @@
+// hooks/useChatThread.js
+// This custom hook keeps an AI chat assistant's messages in sync with the user's stored thread about a tender,
+// or about a proposal when proposalId is given (see /api/chatThreads). The greeting is shown first but never stored
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { api } from '../lib/api';
+import { useToast } from './useToast';
+
+// Messages from the API carry ISO timestamps; stored ones can be pinned
+const fromThread = (message) => ({ ...message, timestamp: new Date(message.timestamp), stored: true });
+
+export function useChatThread({ tenderId, proposalId, greeting }) {
+  const { addToast } = useToast();
+  const greetingMessage = useMemo(() => ({ id: 'greeting', type: 'ai', message: greeting, timestamp: new Date() }), [greeting]);
+  const [chatMessages, setChatMessages] = useState([greetingMessage]);
+  const [loadingThread, setLoadingThread] = useState(true);
+
+  const threadPath = `/api/chatThreads?tenderId=${encodeURIComponent(tenderId)}` +
+    (proposalId ? `&proposalId=${encodeURIComponent(proposalId)}` : '');
+
+  // Load the stored conversation when the assistant opens
+  const loadThread = useCallback(async () => {
+    if (!tenderId) return;
+
+    try {
+      setLoadingThread(true);
+      const thread = await api(threadPath);
+      setChatMessages([greetingMessage, ...thread.messages.map(fromThread)]);
+    } catch (error) {
+      console.error('Failed to load chat thread:', error);
+      addToast('Failed to load previous conversation', 'error');
+    } finally {
+      setLoadingThread(false);
+    }
+  }, [tenderId, threadPath, greetingMessage, addToast]);
+
+  useEffect(() => {
+    loadThread();
+  }, [loadThread]);
+
+  // Replace the messages shown while a reply was on its way with the stored ones
+  const replaceWithStored = useCallback((temporaryIds, storedMessages) => {
+    setChatMessages(prev => [
+      ...prev.filter(message => !temporaryIds.includes(message.id)),
+      ...storedMessages.map(fromThread)
+    ]);
+  }, []);
+
+  // Pin or unpin a stored message
+  const togglePinned = useCallback(async (message) => {
+    try {
+      const updated = await api(`/api/chatMessages/${message.id}`, {
+        method: 'PUT',
+        body: { pinned: !message.pinned }
+      });
+      setChatMessages(prev => prev.map(item => item.id === updated.id ? { ...item, pinned: updated.pinned } : item));
+    } catch (error) {
+      console.error('Failed to update chat message:', error);
+      addToast(error.message || 'Failed to update message', 'error');
+    }
+  }, [addToast]);
+
+  // Clear the conversation; pinned messages are kept
+  const clearThread = useCallback(async () => {
+    try {
+      const thread = await api(threadPath, { method: 'DELETE' });
+      setChatMessages([greetingMessage, ...thread.messages.map(fromThread)]);
+      addToast('Conversation cleared', 'success');
+    } catch (error) {
+      console.error('Failed to clear chat thread:', error);
+      addToast(error.message || 'Failed to clear conversation', 'error');
+    }
+  }, [threadPath, greetingMessage, addToast]);
+
+  const pinnedMessages = chatMessages.filter(message => message.pinned);
+
+  return {
+    chatMessages,
+    setChatMessages,
+    loadingThread,
+    pinnedMessages,
+    replaceWithStored,
+    togglePinned,
+    clearThread
+  };
+}
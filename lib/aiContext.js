@@ -0,0 +1,43 @@
+// lib/aiContext.js
+// Builds the tender and company context passed to the AI prompts (see buildPrompt in lib/aiPrompts.js)
+// Shared by proposal generation and the chat assistant so their streaming routes send the model the same prompt
+// The company's past projects and key personnel are narrowed to those most relevant to the tender
+
+import { selectRelevantProjects, selectKeyPersonnel, profileStandards, describeStaff } from './profileEvidence';
+
+/**
+ * Builds the prompt context for a tender and company
+ * @param {Object} tender - `tenders` row
+ * @param {Object|null} profile - `companies` row, if the organization has one
+ * @param {Object} extra - Additional context fields, e.g. { proposalContent }
+ * @returns {Object} Prompt context
+ */
+export function buildAIContext(tender, profile, extra = {}) {
+  return {
+    tender: {
+      title: tender.title,
+      description: tender.description,
+      agency: tender.agency,
+      category: tender.category,
+      budget: tender.budget,
+      requirements: tender.requirements,
+      closingDate: tender.closing_date
+    },
+    company: {
+      name: profile?.name,
+      registrationNumber: profile?.registration_number,
+      certifications: profile?.certifications,
+      experience: profile?.experience,
+      contactEmail: profile?.contact_email,
+      cidbGrade: profile?.cidb_grade,
+      standards: profileStandards(profile),
+      yearsInOperation: profile?.years_in_operation,
+      totalProjects: profile?.total_projects,
+      totalValue: profile?.total_value,
+      staff: describeStaff(profile),
+      projects: selectRelevantProjects(profile, tender),
+      personnel: selectKeyPersonnel(profile, tender)
+    },
+    ...extra
+  };
+}
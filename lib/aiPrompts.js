@@ -20,7 +20,7 @@ CRITICAL RULES:
 CONTEXT FORMAT:
 You will always receive:
 - Tender Context: Full tender details, requirements, deadlines
-- Company Profile: Company info, certifications, experience
+- Company Profile: Company info, certifications, experience, past projects, key personnel
 - Task Instructions: Specific task to perform
 - Output Format: Required structure for response
 
@@ -87,6 +87,67 @@ OUTPUT FORMAT:
     }
   },
 
+  REQUIREMENT_EXTRACTION: {
+    instruction: `List every eligibility and submission requirement in this tender, using ONLY the tender context and document excerpts. Do not check the company against them.
+
+RULES:
+- One entry per requirement; split combined requirements ("CIDB G7 and ISO 9001") into separate entries
+- "type" is one of: grade, certification, experience, financial, personnel, document, other
+- "threshold" holds the numbers and names the requirement asks for, shaped by type:
+  grade: {"scheme": "CIDB", "grade": 7}
+  certification: {"name": "ISO 9001"}
+  experience: {"years": 5, "projects": 3} (either may be null)
+  financial: {"measure": "paid_up_capital" | "turnover" | "net_worth" | "bank_facility" | "project_value", "amount": 1000000, "currency": "MYR"}
+  personnel: {"role": "Project Manager", "count": 1, "years": 10}
+  document: {"name": "SSM registration certificate"}
+  other: {}
+- "mandatory" is false only when the tender says the requirement is preferred or an advantage
+- "source" is "document" when the requirement comes from a document excerpt, otherwise "listing"
+- "sourceReference" names the excerpt it came from, e.g. "Bid document.pdf, page 4", or null
+
+OUTPUT FORMAT:
+{
+  "requirements": [
+    {
+      "type": "grade",
+      "description": "[requirement as written in the tender]",
+      "threshold": {},
+      "mandatory": true,
+      "source": "listing",
+      "sourceReference": null
+    }
+  ]
+}`,
+
+    examples: {
+      good: `{
+  "requirements": [
+    {
+      "type": "grade",
+      "description": "Contractors registered with CIDB Grade G7 in category CE",
+      "threshold": { "scheme": "CIDB", "grade": 7 },
+      "mandatory": true,
+      "source": "document",
+      "sourceReference": "Bid document.pdf, page 3"
+    },
+    {
+      "type": "financial",
+      "description": "Minimum paid-up capital of RM 750,000",
+      "threshold": { "measure": "paid_up_capital", "amount": 750000, "currency": "MYR" },
+      "mandatory": true,
+      "source": "document",
+      "sourceReference": "Bid document.pdf, page 3"
+    }
+  ]
+}`,
+      bad: `{
+  "requirements": [
+    { "type": "other", "description": "Company must be qualified and experienced" }
+  ]
+}`
+    }
+  },
+
   PROPOSAL_GENERATION: {
     instruction: `Generate a professional proposal using ONLY the provided tender and company information.
 
@@ -97,7 +158,13 @@ OUTPUT FORMAT:
 [2-3 sentences about company's suitability]
 
 ## Company Background
-[Use only provided company info - name, experience, certifications]
+[Use only provided company info - name, experience, certifications, CIDB grade, standards, staff]
+
+## Relevant Experience
+[Cite the RELEVANT PAST PROJECTS by name, client, value and year, and say how each relates to this tender]
+
+## Project Team
+[Name the KEY PERSONNEL with their positions, experience and qualifications, and the role each takes in this project]
 
 ## Technical Approach
 [Address tender requirements using company capabilities]
@@ -106,11 +173,48 @@ OUTPUT FORMAT:
 [Map company qualifications to tender requirements]
 
 ## Conclusion
-[Professional closing]`,
+[Professional closing]
+
+GROUNDING RULES:
+- Every figure, certification, project, client and person must come from the tender or company profile above
+- Leave out the Relevant Experience or Project Team section when the profile lists no projects or personnel; never make them up`,
     
     examples: {
-      good: "Uses specific company certifications, actual experience details, addresses exact tender requirements",
-      bad: "Generic statements, invented experience, boilerplate content"
+      good: "Uses specific company certifications, cites past projects by name, client and value, names the key personnel, addresses exact tender requirements",
+      bad: "Generic statements, invented experience, invented project names or team members, boilerplate content"
+    }
+  },
+
+  TEMPLATE_SECTIONS: {
+    instruction: `Write ONLY the proposal sections listed in the additional instructions, using ONLY the provided tender and company information. The rest of the proposal comes from the company's template and must not be repeated.
+
+RULES:
+1. Write each requested section in order, following its instructions
+2. Section content is Markdown WITHOUT the section heading (no "## Heading" line)
+3. Use "###" for any sub-headings inside a section
+4. ALL newlines in content must be escaped as \\n and ALL quotes as \\"
+5. Sections about experience or the team cite the RELEVANT PAST PROJECTS (name, client, value, year) and KEY PERSONNEL (name, position, experience) listed above
+6. Every figure, certification, project, client and person must come from the tender or company profile above
+
+OUTPUT FORMAT (CRITICAL - FOLLOW EXACTLY):
+{
+  "sections": [
+    {
+      "heading": "[Section heading exactly as requested]",
+      "content": "[Section content - properly escaped for JSON]"
+    }
+  ]
+}`,
+    examples: {
+      good: `{
+  "sections": [
+    {
+      "heading": "Technical Approach",
+      "content": "Our approach addresses each requirement of the tender:\\n\\n- **CIDB G4 works**: delivered by our in-house team..."
+    }
+  ]
+}`,
+      bad: "Repeating the company background already in the template, adding sections that were not requested, or returning Markdown instead of JSON"
     }
   },
 
@@ -136,6 +240,11 @@ IMPROVEMENTS TO MAKE:
 4. Enhance technical approach section
 5. Ensure compliance section is complete
 6. Use appropriate formal business language for the detected language
+7. Support experience and team claims with the RELEVANT PAST PROJECTS and KEY PERSONNEL listed above, by name
+
+GROUNDING:
+- Keep the facts already in the proposal
+- Any figure, certification, project, client or person you add must come from the tender or company profile above
 
 INSIGHTS LANGUAGE:
 - Generate insights (both "change" and "explanation" fields) in THE SAME LANGUAGE as the input proposal content
@@ -205,9 +314,94 @@ Provide a helpful, conversational response that directly addresses the user's qu
       good: "Based on the tender requirements, I'd recommend highlighting your ISO certifications in the compliance section. Would you like me to help draft that section?",
       bad: "That's a great question! I'm here to help with anything you need."
     }
+  },
+
+  SECTION_EDIT: {
+    instruction: `Revise one part of a proposal as the user instructs. The CURRENT PROPOSAL CONTENT is that part only, not the whole proposal.
+
+REVISION GUIDELINES:
+1. Change only what the instruction asks for; keep the Markdown structure (lists, sub-headings, tables) unless the instruction requires otherwise
+2. Keep every fact, figure, name and certification that is already there, and never invent new ones
+3. Use only the tender and company details given above when adding content
+4. Write in the same language as the text being revised
+
+OUTPUT FORMAT:
+Only the revised Markdown text of that part, with no commentary, no code fences and without the heading of the section.`,
+    examples: {
+      good: "Our team has maintained over 200 km of federal roads for JKR since 2015, with CIDB G7 registration and ISO 9001:2015 certified quality management.",
+      bad: "Here is the revised section:\n```markdown\n## Company Experience\nWe are an award-winning industry leader with 50 years of experience...\n```"
+    }
+  },
+
+  CHAT_SUMMARY: {
+    instruction: `Summarize the conversation history between the user and the assistant so it can stand in for those messages in later turns.
+
+SUMMARY GUIDELINES:
+1. Start from the existing summary (SUMMARY entry) when there is one and fold the new messages into it
+2. Keep the user's questions, decisions and preferences
+3. Keep facts, figures and drafted wording the assistant gave that the user may refer back to
+4. Leave out greetings, pleasantries and repetition
+5. Write in the language of the conversation
+
+OUTPUT FORMAT:
+Plain text of at most 200 words, written in the third person ("The user asked...", "The assistant suggested...").`,
+    examples: {
+      good: "The user is preparing a proposal for the road maintenance tender. They asked which certifications are required; the assistant listed ISO 9001 and CIDB G7. The user decided to lead the compliance section with the CIDB registration.",
+      bad: "USER: hi\nAI: Hello! How can I help?\nUSER: what certifications do I need?"
+    }
   }
 };
 
+/**
+ * Formats tender document passages for the prompt, each labelled with its source
+ * @param {Array} excerpts - [{ fileName, page, content }]
+ * @returns {string} Excerpts separated by blank lines
+ */
+function formatDocumentExcerpts(excerpts) {
+  return excerpts
+    .map(excerpt => `[${excerpt.fileName}${excerpt.page ? `, page ${excerpt.page}` : ''}]\n${excerpt.content}`)
+    .join('\n\n');
+}
+
+/**
+ * Formats the company's past projects for the prompt, one line each
+ * @param {Array} projects - [{ name, client, value, year, role, sector, location, description }]
+ * @returns {string} Numbered project lines
+ */
+function formatProjects(projects) {
+  return projects
+    .map((project, index) => {
+      const details = [
+        project.client && `client: ${project.client}`,
+        project.value && `value: ${project.value}`,
+        project.year && `completed: ${project.year}`,
+        project.role && `role: ${project.role}`,
+        project.sector && `sector: ${project.sector}`,
+        project.location && `location: ${project.location}`
+      ].filter(Boolean).join('; ');
+      return `${index + 1}. ${project.name}${details ? ` (${details})` : ''}${project.description ? ` - ${project.description}` : ''}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Formats the company's key personnel for the prompt, one line each
+ * @param {Array} personnel - [{ name, position, experience, qualifications, certifications }]
+ * @returns {string} Numbered personnel lines
+ */
+function formatPersonnel(personnel) {
+  return personnel
+    .map((person, index) => {
+      const details = [
+        person.experience && `experience: ${person.experience}`,
+        person.qualifications && `qualifications: ${person.qualifications}`,
+        person.certifications?.length > 0 && `certifications: ${person.certifications.join(', ')}`
+      ].filter(Boolean).join('; ');
+      return `${index + 1}. ${person.name}, ${person.position}${details ? ` (${details})` : ''}`;
+    })
+    .join('\n');
+}
+
 /**
  * Constructs a complete prompt for OpenAI API calls
  * @param {string} task - Task type from AI_TASKS
@@ -241,12 +435,23 @@ Category: ${context.tender?.category || 'Not provided'}
 Budget: ${context.tender?.budget || 'Not specified'}
 Requirements: ${context.tender?.requirements?.join(', ') || 'See description'}
 
+${context.documentExcerpts?.length > 0 ? `TENDER DOCUMENT EXCERPTS (from the tender's own documents; prefer these over the description when they differ):\n${formatDocumentExcerpts(context.documentExcerpts)}` : ''}
+
 COMPANY PROFILE:
 Name: ${context.company?.name || 'Not provided'}
 Registration: ${context.company?.registrationNumber || 'Not provided'}
 Certifications: ${context.company?.certifications?.join(', ') || 'None listed'}
 Experience: ${context.company?.experience || 'Not provided'}
 Contact: ${context.company?.contactEmail || 'Not provided'}
+CIDB Grade: ${context.company?.cidbGrade || 'Not provided'}
+Management Standards: ${context.company?.standards?.join(', ') || 'None listed'}
+Years in Operation: ${context.company?.yearsInOperation || 'Not provided'}
+Completed Projects: ${[context.company?.totalProjects, context.company?.totalValue && `total value ${context.company.totalValue}`].filter(Boolean).join(', ') || 'Not provided'}
+Staff: ${context.company?.staff || 'Not provided'}
+
+${context.company?.projects?.length > 0 ? `RELEVANT PAST PROJECTS (the company's projects most relevant to this tender, most relevant first):\n${formatProjects(context.company.projects)}` : ''}
+
+${context.company?.personnel?.length > 0 ? `KEY PERSONNEL (the company's people most relevant to this tender):\n${formatPersonnel(context.company.personnel)}` : ''}
 
 ${context.proposalContent ? `CURRENT PROPOSAL CONTENT:\n${context.proposalContent}` : ''}
 
@@ -316,6 +521,16 @@ export function validateResponse(response, task) {
         issues.push('Missing required proposal structure');
       }
       break;
+    case 'REQUIREMENT_EXTRACTION':
+      if (!response.includes('"requirements"')) {
+        issues.push('Missing required requirements format');
+      }
+      break;
+    case 'TEMPLATE_SECTIONS':
+      if (!response.includes('"sections"')) {
+        issues.push('Missing required sections format');
+      }
+      break;
     case 'PROPOSAL_IMPROVEMENT':
       if (!response.includes('improvedContent') && !response.includes('"improvedContent"')) {
         issues.push('Missing required improvement format');
@@ -366,11 +581,21 @@ export const TASK_CONFIGS = {
     max_tokens: 800,
     temperature: 0.1
   },
+  REQUIREMENT_EXTRACTION: {
+    ...OPENAI_CONFIG,
+    max_tokens: 2000,
+    temperature: 0.1
+  },
   PROPOSAL_GENERATION: {
     ...OPENAI_CONFIG,
     max_tokens: 2000,
     temperature: 0.4
   },
+  TEMPLATE_SECTIONS: {
+    ...OPENAI_CONFIG,
+    max_tokens: 2000,
+    temperature: 0.4
+  },
   PROPOSAL_IMPROVEMENT: {
     ...OPENAI_CONFIG,
     max_tokens: 3000,
@@ -380,5 +605,15 @@ export const TASK_CONFIGS = {
     ...OPENAI_CONFIG,
     max_tokens: 800,
     temperature: 0.4
+  },
+  SECTION_EDIT: {
+    ...OPENAI_CONFIG,
+    max_tokens: 1500,
+    temperature: 0.3
+  },
+  CHAT_SUMMARY: {
+    ...OPENAI_CONFIG,
+    max_tokens: 400,
+    temperature: 0.2
   }
 };
\ No newline at end of file
@@ -0,0 +1,291 @@
+// lib/aiUsage.js
+// Per-user AI quotas and the usage ledger: requests made for a user are checked against their plan's
+// sliding-window limits before the provider is called, and recorded in `ai_usage` with tokens, latency,
+// model, estimated cost and a quality score. lib/llm does both when a request is given a ledger
+
+import { aiUsageOperations } from './database';
+import { ApiError } from './apiHandler';
+import { validateAIContent } from './aiValidation';
+
+/**
+ * Limits of each plan; null means unlimited. A user's plan is set in `user_ai_plans`, otherwise AI_DEFAULT_PLAN
+ * (default 'free') applies
+ */
+export const AI_PLANS = {
+  free: { label: 'Free', requestsPerMinute: 10, requestsPerHour: 100, tokensPerDay: 200000, tokensPerMonth: 2000000 },
+  pro: { label: 'Pro', requestsPerMinute: 30, requestsPerHour: 600, tokensPerDay: 2000000, tokensPerMonth: 30000000 },
+  enterprise: { label: 'Enterprise', requestsPerMinute: 60, requestsPerHour: 2000, tokensPerDay: null, tokensPerMonth: null }
+};
+
+/**
+ * Sliding windows the plan limits apply to
+ */
+export const LIMIT_WINDOWS = {
+  requestsPerMinute: { seconds: 60, measure: 'requests', label: 'Requests per minute' },
+  requestsPerHour: { seconds: 60 * 60, measure: 'requests', label: 'Requests per hour' },
+  tokensPerDay: { seconds: 24 * 60 * 60, measure: 'tokens', label: 'Tokens per day' },
+  tokensPerMonth: { seconds: 30 * 24 * 60 * 60, measure: 'tokens', label: 'Tokens per 30 days' }
+};
+
+/**
+ * Feature each AI task belongs to, as shown on the usage page
+ */
+export const AI_FEATURES = {
+  SUMMARIZE: 'Tender summaries',
+  ELIGIBILITY_CHECK: 'Eligibility checks',
+  REQUIREMENT_EXTRACTION: 'Requirement extraction',
+  PROPOSAL_GENERATION: 'Proposal drafts',
+  TEMPLATE_SECTIONS: 'Template drafts',
+  PROPOSAL_IMPROVEMENT: 'Proposal improvements',
+  SECTION_EDIT: 'Section edits',
+  CHAT_ASSISTANCE: 'Chat assistant',
+  CHAT_SUMMARY: 'Chat summaries'
+};
+
+/**
+ * US dollars per million prompt and completion tokens, by model name prefix
+ * Models without a price (local and offline models) are recorded without a cost
+ */
+export const MODEL_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 }
+};
+
+// The usage page covers the same period as the monthly token limit
+const USAGE_PERIOD_DAYS = 30;
+
+// Longest error message kept in the ledger
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Error thrown when a user has reached one of their plan's limits; answered with 429 by createApiHandler
+ */
+export class AIQuotaError extends ApiError {
+  /**
+   * @param {string} limit - Key of LIMIT_WINDOWS that was reached
+   * @param {number} retryAfter - Seconds until the window has room again
+   */
+  constructor(limit, retryAfter) {
+    super(429, `AI usage limit reached (${LIMIT_WINDOWS[limit].label.toLowerCase()}). ` +
+      `Try again in ${formatWait(retryAfter)}.`, { limit, retryAfter });
+    this.name = 'AIQuotaError';
+    this.limit = limit;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Describes a wait for error messages
+ * @param {number} seconds - Wait in seconds
+ * @returns {string} e.g. "45 seconds", "12 minutes" or "3 hours"
+ */
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  if (seconds < 60 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / (60 * 60))} hours`;
+}
+
+/**
+ * Who an AI request is charged to, for the ledger option of generate and generateStream in lib/llm
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} user - Authenticated Supabase user
+ * @param {string|null} organizationId - Active organization, when the route resolved it
+ * @returns {Object} { supabase, userId, organizationId }
+ */
+export function aiLedger(supabase, user, organizationId = null) {
+  return { supabase, userId: user.id, organizationId };
+}
+
+/**
+ * Resolves a user's plan
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { id, label, ...limits } from AI_PLANS
+ */
+export async function getAIPlan(supabase, userId) {
+  const assigned = await aiUsageOperations.getPlan(supabase, userId);
+  const id = [assigned, process.env.AI_DEFAULT_PLAN].find(plan => plan && AI_PLANS[plan]) || 'free';
+  return { id, ...AI_PLANS[id] };
+}
+
+/**
+ * The limits of a plan in the form reserve_ai_usage expects, leaving out unlimited ones
+ * @param {Object} plan - Result of getAIPlan
+ * @returns {Array<Object>} [{ name, seconds, requests | tokens }]
+ */
+function planLimits(plan) {
+  return Object.entries(LIMIT_WINDOWS)
+    .filter(([name]) => plan[name] !== null && plan[name] !== undefined)
+    .map(([name, { seconds, measure }]) => ({ name, seconds, [measure]: plan[name] }));
+}
+
+/**
+ * Estimated cost of a request
+ * @param {string} model - Model that answered
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} US dollars, or null when the model has no known price
+ */
+export function estimateCost(model, usage) {
+  // Longest prefix first, so gpt-4o-mini is not priced as gpt-4o
+  const prefix = Object.keys(MODEL_PRICES)
+    .sort((a, b) => b.length - a.length)
+    .find(name => model?.startsWith(name));
+  if (!prefix) return null;
+
+  const price = MODEL_PRICES[prefix];
+  return (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1000000;
+}
+
+/**
+ * Fails when a user has reached a limit, without recording anything
+ * Streaming routes call this before opening the stream, so a reached limit is answered with 429
+ * @param {Object} ledger - Result of aiLedger
+ * @throws {AIQuotaError} When a limit has been reached
+ */
+export async function checkAIQuota(ledger) {
+  const plan = await getAIPlan(ledger.supabase, ledger.userId);
+  const result = await aiUsageOperations.reserve(ledger.supabase, {
+    userId: ledger.userId,
+    organizationId: ledger.organizationId,
+    task: null,
+    limits: planLimits(plan),
+    dryRun: true
+  });
+
+  if (result.limit_name) {
+    throw new AIQuotaError(result.limit_name, result.retry_after);
+  }
+}
+
+// Entry for requests that are not charged to a user (scripts and scheduled jobs)
+const UNMETERED = {
+  async complete() {},
+  async fail() {}
+};
+
+/**
+ * Checks a user's limits and records a pending request in the ledger
+ * Pending requests count towards the request limits, so concurrent requests cannot exceed them
+ * @param {Object|undefined} ledger - Result of aiLedger; without one nothing is checked or recorded
+ * @param {string} task - Key of TASK_CONFIGS
+ * @returns {Promise<Object>} { complete(result, context), fail(error, status) } to record the outcome; neither throws
+ * @throws {AIQuotaError} When a limit has been reached
+ */
+export async function startAIUsage(ledger, task) {
+  if (!ledger) return UNMETERED;
+
+  const { supabase, userId, organizationId } = ledger;
+  const plan = await getAIPlan(supabase, userId);
+  const reservation = await aiUsageOperations.reserve(supabase, {
+    userId,
+    organizationId,
+    task,
+    limits: planLimits(plan)
+  });
+
+  if (reservation.limit_name) {
+    throw new AIQuotaError(reservation.limit_name, reservation.retry_after);
+  }
+
+  const startedAt = Date.now();
+  const record = async (fields) => {
+    try {
+      await aiUsageOperations.complete(supabase, reservation.usage_id, fields);
+    } catch (error) {
+      console.error(`[AI usage] Failed to record ${task} request ${reservation.usage_id}:`, error);
+    }
+  };
+
+  return {
+    // result is what generate returns; context is the prompt context, used for the quality score
+    async complete(result, context) {
+      await record({
+        status: 'success',
+        provider: result.provider,
+        model: result.model,
+        prompt_tokens: result.usage.promptTokens,
+        completion_tokens: result.usage.completionTokens,
+        total_tokens: result.usage.totalTokens,
+        estimated: result.usage.estimated,
+        cost_usd: estimateCost(result.model, result.usage),
+        duration_ms: result.durationMs,
+        validation_score: validateAIContent(result.content, task, context).score
+      });
+    },
+
+    async fail(error, status = 'error') {
+      await record({
+        status,
+        duration_ms: Date.now() - startedAt,
+        error: (error?.message || String(error)).slice(0, MAX_ERROR_LENGTH)
+      });
+    }
+  };
+}
+
+/**
+ * Usage of a user for the settings page
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { plan: { id, label }, limits, features, recent, totals, since }
+ */
+export async function getAIUsageSummary(supabase, userId) {
+  const plan = await getAIPlan(supabase, userId);
+  const since = new Date(Date.now() - USAGE_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const [windows, byTask, recent] = await Promise.all([
+    aiUsageOperations.getWindows(supabase, userId,
+      Object.entries(LIMIT_WINDOWS).map(([name, { seconds }]) => ({ name, seconds }))),
+    aiUsageOperations.getByTask(supabase, userId, since),
+    aiUsageOperations.getRecent(supabase, userId)
+  ]);
+
+  const features = byTask.map(row => ({
+    task: row.task,
+    feature: AI_FEATURES[row.task] || row.task,
+    requests: Number(row.requests),
+    failed: Number(row.failed),
+    tokens: Number(row.tokens),
+    costUsd: row.cost_usd === null ? null : Number(row.cost_usd),
+    averageDurationMs: row.average_duration_ms,
+    averageScore: row.average_score,
+    lastUsedAt: row.last_used_at
+  }));
+
+  return {
+    plan: { id: plan.id, label: plan.label },
+    limits: windows.map(window => {
+      const { measure, label } = LIMIT_WINDOWS[window.name];
+      return {
+        name: window.name,
+        label,
+        measure,
+        limit: plan[window.name],
+        used: Number(window[measure]),
+        resetsAt: window.resets_at
+      };
+    }),
+    features,
+    recent: recent.map(row => ({
+      id: row.id,
+      task: row.task,
+      feature: AI_FEATURES[row.task] || row.task,
+      status: row.status,
+      model: row.model,
+      tokens: row.total_tokens,
+      estimated: row.estimated,
+      costUsd: row.cost_usd === null ? null : Number(row.cost_usd),
+      durationMs: row.duration_ms,
+      validationScore: row.validation_score,
+      createdAt: row.created_at
+    })),
+    totals: {
+      requests: features.reduce((sum, feature) => sum + feature.requests, 0),
+      tokens: features.reduce((sum, feature) => sum + feature.tokens, 0),
+      costUsd: features.reduce((sum, feature) => sum + (feature.costUsd || 0), 0)
+    },
+    since
+  };
+}
@@ -1,6 +1,7 @@
 // lib/aiValidation.js
 // Additional validation utilities for AI responses
-// Provides content filtering and quality checks
+// Provides content filtering and quality checks; the score of every metered request is kept in the
+// AI usage ledger by lib/aiUsage.js
 
 /**
  * Content filters to detect potentially problematic AI responses
@@ -138,34 +139,3 @@ export function sanitizeAIResponse(content) {
 
   return sanitized;
 }
-
-/**
- * Logs AI response quality metrics for monitoring
- * @param {string} task - Task type
- * @param {Object} validation - Validation result
- * @param {Object} context - Request context
- */
-export function logAIMetrics(task, validation, context = {}) {
-  const metrics = {
-    timestamp: new Date().toISOString(),
-    task,
-    isValid: validation.isValid,
-    score: validation.score,
-    issueCount: validation.issues?.length || 0,
-    warningCount: validation.warnings?.length || 0,
-    tenderId: context.tender?.id,
-    userId: context.user?.id
-  };
-
-  // In production, you might want to send this to a monitoring service
-  console.log('[AI Metrics]', metrics);
-
-  // Log issues for debugging
-  if (validation.issues?.length > 0) {
-    console.warn('[AI Issues]', validation.issues);
-  }
-
-  if (validation.warnings?.length > 0) {
-    console.info('[AI Warnings]', validation.warnings);
-  }
-}
\ No newline at end of file
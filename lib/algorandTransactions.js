@@ -1,210 +1,241 @@
 /**
  * lib/algorandTransactions.js
- * 
+ *
  * This module provides utility functions for creating, signing, and submitting
  * Algorand transactions, specifically for proposal attestations.
+ *
+ * Signing, sending and confirming are separate steps: lib/attestationQueue.js signs a
+ * transaction, stores its ID, sends it, and confirms it later from the indexer.
  */
 
 import algosdk from 'algosdk';
 import { algodClient, indexerClient, isInitialized } from './algorand.js';
 
+const ATTESTATION_NOTE_TYPE = 'proposal_attestation';
+const MAX_NOTE_TITLE_LENGTH = 200;
+
 /**
- * Creates and sends an attestation transaction to the Algorand blockchain
- * 
- * @param {Object} attestationData - Data to be recorded on the blockchain
- * @param {string} attestationData.proposalId - The ID of the proposal
- * @param {string} attestationData.tenderTitle - The title of the tender
- * @param {string} attestationData.userId - The ID of the user submitting the proposal
- * @returns {Promise<Object>} Object containing transaction ID and other details
+ * Throws unless the Algorand clients are initialized
  */
-async function createAttestationTransaction(attestationData) {
-  // Check if Algorand clients are initialized
+function requireClients() {
   if (!isInitialized()) {
     throw new Error('Algorand clients are not properly initialized');
   }
-  
-  // Check if admin wallet mnemonic is configured
+}
+
+/**
+ * Gets the admin account that signs attestation transactions
+ *
+ * @returns {Object} Account with `addr` and `sk`
+ */
+function getAdminAccount() {
   if (!process.env.ADMIN_WALLET_MNEMONIC) {
     throw new Error('Admin wallet mnemonic is not configured');
   }
-  
+  return algosdk.mnemonicToSecretKey(process.env.ADMIN_WALLET_MNEMONIC);
+}
+
+/**
+ * Checks whether an SDK error is an HTTP 404 from algod or the indexer
+ *
+ * @param {Error} error - Error thrown by an algosdk request
+ * @returns {boolean} True for "not found"
+ */
+function isNotFound(error) {
+  return error?.response?.status === 404 || error?.status === 404;
+}
+
+/**
+ * Builds the JSON note recorded on-chain for an attestation
+ * The hashes commit to what was submitted; the title is shortened to keep the note under the 1 KB limit
+ *
+ * @param {Object} attestationData - Data to be recorded on the blockchain
+ * @param {string} attestationData.attestationId - The ID of the attestation row
+ * @param {string} attestationData.proposalId - The ID of the proposal
+ * @param {string} attestationData.tenderTitle - The title of the tender
+ * @param {string} attestationData.userId - The ID of the user submitting the proposal
+ * @param {string} attestationData.contentHash - SHA-256 of the submitted proposal content
+ * @param {string} attestationData.fileHash - SHA-256 of the file generated at submission
+ * @param {string} attestationData.fileFormat - Format of that file: 'zip' for submission packages, 'pdf' before them
+ * @param {string} attestationData.timestamp - Submission time (ISO 8601)
+ * @returns {string} Note JSON
+ */
+function buildAttestationNote(attestationData) {
+  return JSON.stringify({
+    type: ATTESTATION_NOTE_TYPE,
+    attestationId: attestationData.attestationId,
+    proposalId: attestationData.proposalId,
+    tenderTitle: (attestationData.tenderTitle || '').slice(0, MAX_NOTE_TITLE_LENGTH),
+    userId: attestationData.userId,
+    contentHash: attestationData.contentHash,
+    fileHash: attestationData.fileHash,
+    fileFormat: attestationData.fileFormat,
+    hashAlgorithm: 'sha256',
+    timestamp: attestationData.timestamp
+  });
+}
+
+/**
+ * Decodes a transaction note written by buildAttestationNote
+ *
+ * @param {Uint8Array|string} note - Note bytes from the indexer (base64 in raw JSON responses)
+ * @returns {Object|null} Parsed note, or null if it is not an attestation note
+ */
+function decodeAttestationNote(note) {
+  if (!note || note.length === 0) return null;
+
+  try {
+    const bytes = typeof note === 'string' ? Buffer.from(note, 'base64') : note;
+    const parsed = JSON.parse(new TextDecoder().decode(bytes));
+    return parsed.type === ATTESTATION_NOTE_TYPE ? parsed : null;
+  } catch (error) {
+    // Notes that can't be parsed as JSON are not attestations
+    return null;
+  }
+}
+
+/**
+ * Builds and signs an attestation transaction without sending it
+ * The transaction ID is known before anything is broadcast, so it can be stored first
+ *
+ * @param {string} note - Note JSON from buildAttestationNote
+ * @returns {Promise<Object>} { txId, lastValidRound, signedTxn } - the transaction can no longer confirm after lastValidRound
+ */
+async function signAttestationTransaction(note) {
+  requireClients();
+  const account = getAdminAccount();
+
   try {
-    // Get account from mnemonic
-    const account = algosdk.mnemonicToSecretKey(process.env.ADMIN_WALLET_MNEMONIC);
-    
-    // Log the account address for debugging
-    console.log("Algorand account address:", account.addr);
-    console.log("Algorand account type:", typeof account.addr);
-    console.log("Algorand account address length:", account.addr.length);
-    
-    // Get suggested transaction parameters
     const suggestedParams = await algodClient.getTransactionParams().do();
-    console.log("Suggested params:", suggestedParams);
-    
-    // Prepare attestation data as a JSON string
-    const attestationNote = JSON.stringify({
-      type: 'proposal_attestation',
-      proposalId: attestationData.proposalId,
-      tenderTitle: attestationData.tenderTitle,
-      userId: attestationData.userId,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Convert note to Uint8Array for the transaction
-    const encodedNote = new TextEncoder().encode(attestationNote);
-    
-    // Create a payment transaction with 0 amount (just to record the note)
-    // Using the new makePaymentTxnWithSuggestedParamsFromObject syntax
+
+    // Create a payment transaction with 0 amount to self (just to record the note)
     const txn = algosdk.makePaymentTxnWithSuggestedParamsFromObject({
-      from: account.addr,       // sender
-      to: account.addr,         // receiver (self)
-      amount: 0,                // amount (0 Algos)
-      note: encodedNote,        // note
-      suggestedParams: suggestedParams  // suggested params
+      sender: account.addr,
+      receiver: account.addr,
+      amount: 0,
+      note: new TextEncoder().encode(note),
+      suggestedParams
     });
-    
-    // Sign the transaction
-    const signedTxn = txn.signTxn(account.sk);
-    
-    // Submit the transaction
-    const { txId } = await algodClient.sendRawTransaction(signedTxn).do();
-    
-    // Wait for confirmation
-    await algosdk.waitForConfirmation(algodClient, txId, 5); // wait up to 5 rounds
-    
-    // Get the transaction information
-    const transactionInfo = await algodClient.pendingTransactionInformation(txId).do();
-    
+
     return {
-      txId,
-      confirmed: true,
-      roundConfirmed: transactionInfo['confirmed-round'],
-      note: attestationNote
+      txId: txn.txID(),
+      lastValidRound: Number(txn.lastValid),
+      signedTxn: txn.signTxn(account.sk)
     };
   } catch (error) {
-    console.error('Error creating attestation transaction:', error);
-    throw new Error(`Failed to create attestation transaction: ${error.message}`);
+    console.error('Error signing attestation transaction:', error.message);
+    throw new Error(`Failed to sign attestation transaction: ${error.message}`);
   }
 }
 
 /**
- * Retrieves attestation transactions for a specific user from the blockchain
- * 
- * @param {string} userId - The ID of the user
- * @returns {Promise<Array>} Array of attestation transactions
+ * Broadcasts a signed transaction without waiting for confirmation
+ * A failure does not prove the transaction was not received, so callers must not sign a replacement
+ * until it is past its last valid round
+ *
+ * @param {Uint8Array} signedTxn - Signed transaction from signAttestationTransaction
+ * @returns {Promise<void>}
  */
-async function getUserAttestations(userId) {
-  // Check if Algorand clients are initialized
-  if (!isInitialized()) {
-    throw new Error('Algorand clients are not properly initialized');
-  }
-  
-  // Check if admin wallet mnemonic is configured
-  if (!process.env.ADMIN_WALLET_MNEMONIC) {
-    throw new Error('Admin wallet mnemonic is not configured');
-  }
-  
+async function sendSignedTransaction(signedTxn) {
+  requireClients();
+
   try {
-    // Get account from mnemonic
-    const account = algosdk.mnemonicToSecretKey(process.env.ADMIN_WALLET_MNEMONIC);
-    
-    // Search for transactions from the admin account
-    const transactions = await indexerClient
-      .searchForTransactions()
-      .address(account.addr)
-      .do();
-    
-    // Filter and parse transactions that contain attestation notes for this user
-    const attestations = [];
-    
-    for (const tx of transactions.transactions || []) {
-      // Skip transactions without notes
-      if (!tx.note) continue;
-      
-      try {
-        // Decode the note
-        const noteBytes = Buffer.from(tx.note, 'base64');
-        const noteString = new TextDecoder().decode(noteBytes);
-        const note = JSON.parse(noteString);
-        
-        // Check if this is an attestation note for the requested user
-        if (note.type === 'proposal_attestation' && note.userId === userId) {
-          attestations.push({
-            txId: tx.id,
-            proposalId: note.proposalId,
-            tenderTitle: note.tenderTitle,
-            timestamp: note.timestamp,
-            roundTime: tx['round-time'],
-            confirmedRound: tx['confirmed-round']
-          });
-        }
-      } catch (error) {
-        // Skip notes that can't be parsed as JSON
-        continue;
-      }
-    }
-    
-    return attestations;
+    await algodClient.sendRawTransaction(signedTxn).do();
   } catch (error) {
-    console.error('Error retrieving user attestations:', error);
-    throw new Error(`Failed to retrieve user attestations: ${error.message}`);
+    console.error('Error sending attestation transaction:', error.message);
+    throw new Error(`Failed to send attestation transaction: ${error.message}`);
   }
 }
 
 /**
- * Verifies if a specific attestation transaction exists on the blockchain
- * 
- * @param {string} txId - The transaction ID to verify
- * @returns {Promise<boolean>} True if the transaction exists and is valid
+ * Gets the latest round known to the algod node
+ *
+ * @returns {Promise<number>} Last round
  */
-async function verifyAttestationTransaction(txId) {
-  // Check if Algorand clients are initialized
-  if (!isInitialized()) {
-    throw new Error('Algorand clients are not properly initialized');
-  }
-  
-  // Validate transaction ID format before attempting to look it up
-  if (!txId || typeof txId !== 'string' || txId.length < 10 || txId === 'pending') {
-    console.warn(`Invalid transaction ID format: ${txId}`);
-    return false;
+async function getCurrentRound() {
+  requireClients();
+  const status = await algodClient.status().do();
+  return Number(status.lastRound);
+}
+
+/**
+ * Reads the attestation note of a confirmed transaction from the indexer
+ *
+ * @param {string} txId - The transaction ID
+ * @returns {Promise<Object|null>} { note, confirmedRound, roundTime }, or null if the transaction
+ * is not (yet) a confirmed attestation
+ */
+async function getAttestationNote(txId) {
+  requireClients();
+
+  if (!txId || typeof txId !== 'string') {
+    return null;
   }
-  
+
   try {
-    console.log("Verifying transaction ID:", txId);
-    
-    // Get transaction information from the indexer
-    const txInfo = await indexerClient.lookupTransactionByID(txId).do();
-    
-    // Check if transaction exists
-    if (!txInfo.transaction) {
-      console.log("Transaction not found in blockchain");
-      return false;
-    }
-    
-    // Verify it's an attestation transaction by checking the note
-    if (!txInfo.transaction.note) {
-      console.log("Transaction has no note field");
-      return false;
+    const { transaction } = await indexerClient.lookupTransactionByID(txId).do();
+    const note = decodeAttestationNote(transaction?.note);
+
+    if (!note || !transaction.confirmedRound) {
+      return null;
     }
-    
-    try {
-      // Decode the note
-      const noteBytes = Buffer.from(txInfo.transaction.note, 'base64');
-      const noteString = new TextDecoder().decode(noteBytes);
-      const note = JSON.parse(noteString);
-      
-      // Check if this is an attestation note
-      const isAttestation = note.type === 'proposal_attestation';
-      console.log("Is attestation transaction:", isAttestation);
-      return isAttestation;
-    } catch (error) {
-      console.error("Error parsing transaction note:", error);
-      return false;
+
+    return {
+      note,
+      confirmedRound: Number(transaction.confirmedRound),
+      roundTime: transaction.roundTime ?? null
+    };
+  } catch (error) {
+    // The indexer answers 404 until the transaction is confirmed and indexed
+    if (isNotFound(error)) {
+      return null;
     }
+    throw new Error(`Failed to look up attestation transaction: ${error.message}`);
+  }
+}
+
+/**
+ * Retrieves attestation transactions for a specific user from the blockchain
+ *
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array>} Array of attestation transactions
+ */
+async function getUserAttestations(userId) {
+  requireClients();
+  const account = getAdminAccount();
+
+  try {
+    // Search for transactions from the admin account
+    const { transactions } = await indexerClient
+      .searchForTransactions()
+      .address(account.addr.toString())
+      .do();
+
+    // Keep attestation notes for the requested user
+    return (transactions || [])
+      .map(tx => ({ tx, note: decodeAttestationNote(tx.note) }))
+      .filter(({ note }) => note && note.userId === userId)
+      .map(({ tx, note }) => ({
+        txId: tx.id,
+        proposalId: note.proposalId,
+        tenderTitle: note.tenderTitle,
+        contentHash: note.contentHash || null,
+        fileHash: note.fileHash || null,
+        timestamp: note.timestamp,
+        roundTime: tx.roundTime,
+        confirmedRound: tx.confirmedRound ? Number(tx.confirmedRound) : null
+      }));
   } catch (error) {
-    console.error('Error verifying attestation transaction:', error);
-    return false;
+    console.error('Error retrieving user attestations:', error);
+    throw new Error(`Failed to retrieve user attestations: ${error.message}`);
   }
 }
 
-export { createAttestationTransaction, getUserAttestations, verifyAttestationTransaction };
\ No newline at end of file
+export {
+  buildAttestationNote,
+  signAttestationTransaction,
+  sendSignedTransaction,
+  getCurrentRound,
+  getAttestationNote,
+  getUserAttestations
+};
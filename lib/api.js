@@ -60,8 +60,8 @@ export async function api(path, options = {}) {
           const errorData = JSON.parse(errorText);
           errorMessage = errorData.error || errorData.message || errorMessage;
           
-          // Include additional details if available
-          if (errorData.details) {
+          // Include additional details if available; structured details are data for the caller, not text
+          if (typeof errorData.details === 'string') {
             errorMessage += `: ${errorData.details}`;
           }
         } catch (parseError) {
@@ -132,6 +132,209 @@ export async function api(path, options = {}) {
   }
 }
 
+/**
+ * Requests a file from the backend and saves it through the browser
+ * Used for binary responses (e.g. proposal exports) that api() cannot parse as JSON
+ * @param {string} path - The API endpoint path
+ * @param {Object} options - Request options including method and body
+ * @returns {Promise<string>} - The filename the file was saved as
+ */
+export async function downloadFile(path, options = {}) {
+  const { method = 'POST', body } = options;
+
+  console.log(`[API] Downloading ${method} ${path}`);
+
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session?.access_token) {
+    console.error('[API] No access token available');
+    throw new Error('Authentication required');
+  }
+
+  const res = await fetch(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!res.ok) {
+    let errorMessage = `HTTP ${res.status}`;
+    try {
+      const errorData = await res.json();
+      errorMessage = errorData.error || errorMessage;
+    } catch (parseError) {
+      // Keep the status-based message
+    }
+    throw new Error(errorMessage);
+  }
+
+  // Use the server-provided filename when available, preferring the full UTF-8 name over the ASCII fallback
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+  const filename = (encodedName && decodeURIComponent(encodedName)) || disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+
+  const blob = await res.blob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  return filename;
+}
+
+/**
+ * Requests a binary response (e.g. audio) from the backend and returns it as a Blob
+ * @param {string} path - The API endpoint path
+ * @param {Object} options - Request options: signal to cancel the request
+ * @returns {Promise<Blob>} - The response body
+ */
+export async function fetchBlob(path, options = {}) {
+  const { signal } = options;
+
+  console.log(`[API] Fetching ${path}`);
+
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session?.access_token) {
+    console.error('[API] No access token available');
+    throw new Error('Authentication required');
+  }
+
+  const res = await fetch(path, {
+    headers: {
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    signal,
+  });
+
+  if (!res.ok) {
+    let errorMessage = `HTTP ${res.status}`;
+    try {
+      const errorData = await res.json();
+      errorMessage = errorData.error || errorMessage;
+    } catch (parseError) {
+      // Keep the status-based message
+    }
+    throw new Error(errorMessage);
+  }
+
+  return res.blob();
+}
+
+/**
+ * Uploads a file to the backend as the raw request body (see lib/uploads.js)
+ * @param {string} path - The API endpoint path
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} - JSON response from the API
+ */
+export async function uploadFile(path, file) {
+  console.log(`[API] Uploading ${file.name} to ${path}`);
+
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session?.access_token) {
+    console.error('[API] No access token available');
+    throw new Error('Authentication required');
+  }
+
+  const res = await fetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: file,
+  });
+
+  const data = await res.json().catch(() => null);
+
+  if (!res.ok) {
+    throw new Error(data?.error || `HTTP ${res.status}`);
+  }
+
+  return data;
+}
+
+/**
+ * Calls a streaming endpoint that answers with server-sent events (see lib/eventStream.js)
+ * Resolves with the "done" event's data; rejects with the "error" event's message, or with an
+ * AbortError when the request is cancelled through options.signal
+ * @param {string} path - The API endpoint path
+ * @param {Object} options - Request options: body, signal and onEvent(event, data) for each event as it arrives
+ * @returns {Promise<Object>} - Data of the final "done" event
+ */
+export async function streamApi(path, options = {}) {
+  const { body, signal, onEvent = () => {} } = options;
+
+  console.log(`[API] Streaming POST request to ${path}`);
+
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session?.access_token) {
+    console.error('[API] No access token available');
+    throw new Error('Authentication required');
+  }
+
+  const res = await fetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+  });
+
+  // Errors before the stream starts come back as ordinary JSON responses
+  if (!res.ok) {
+    let errorMessage = `HTTP ${res.status}`;
+    try {
+      const errorData = await res.json();
+      errorMessage = errorData.error || errorMessage;
+    } catch (parseError) {
+      // Keep the status-based message
+    }
+    throw new Error(errorMessage);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      const event = frame.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = JSON.parse(frame.match(/^data: (.*)$/m)?.[1] || 'null');
+
+      if (event === 'error') {
+        throw new Error(data?.error || 'Stream failed');
+      }
+      onEvent(event, data);
+      if (event === 'done') {
+        return data;
+      }
+    }
+  }
+
+  throw new Error('Stream ended before the response was complete');
+}
+
 // Simple fetcher function for use with SWR data fetching library
 export const fetcher = async (url) => {
   console.log(`[Fetcher] Fetching ${url}`);
@@ -0,0 +1,198 @@
+// lib/apiHandler.js
+// Shared wrapper for every route under pages/api: request IDs, method routing, authentication,
+// request validation and error responses
+// Errors are always answered as { error, details?, requestId }, and X-Request-Id carries the same ID for log lookups
+
+import { randomUUID } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { getActiveMembership } from './organizationAccess';
+import { isAuthorizedCronRequest } from './cronAuth';
+import { validateInput } from './apiSchema';
+
+// Request IDs supplied by a proxy are kept when they look like IDs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+/**
+ * Error a route throws to answer with a specific status
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Sent as `error`
+   * @param {*} details - Sent as `details` when given
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds the Content-Disposition header of a file download
+ * Header values must be Latin-1, so `filename` is an ASCII fallback and `filename*` carries the full name (RFC 6266)
+ * @param {string} filename - File name, in any script
+ * @returns {string} Header value
+ */
+export function attachmentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Sends an error response in the shared envelope
+ * @param {Object} res - Next.js API response
+ * @param {string} requestId - ID of the request
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {*} details - Extra information, omitted when undefined
+ */
+function sendError(res, requestId, status, message, details) {
+  res.status(status).json({
+    error: message,
+    ...(details !== undefined ? { details } : {}),
+    requestId
+  });
+}
+
+/**
+ * ID of a request: the X-Request-Id header when a proxy set one, otherwise a new UUID
+ * @param {Object} req - Next.js API request
+ * @returns {string} Request ID
+ */
+function getRequestId(req) {
+  const supplied = req.headers['x-request-id'];
+  return typeof supplied === 'string' && REQUEST_ID_PATTERN.test(supplied) ? supplied : randomUUID();
+}
+
+/**
+ * Creates the Supabase client used by routes, with the service role key
+ * @returns {Object|null} Supabase client, or null when the environment is not configured
+ */
+function createServiceClient() {
+  const url = process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !serviceRoleKey) {
+    return null;
+  }
+
+  return createClient(url, serviceRoleKey);
+}
+
+/**
+ * Builds an API route handler
+ *
+ * Each method maps to a handler, or to { query, body, handler, errorMessage } where query and body are
+ * schemas for lib/apiSchema.js and errorMessage overrides the route's for that method. Handlers are
+ * called as handler(req, res, ctx) with ctx = { requestId, supabase, user, membership, query, body };
+ * query and body are the validated input with defaults applied. A handler answers through res, or throws ApiError for an error response.
+ * Supabase's "no rows" error (PGRST116) is answered with 404 and notFound; anything else with 500 and
+ * errorMessage, without internal details.
+ *
+ * @param {Object} options - Route options:
+ *   auth       - 'user' (default, requires a Supabase access token), 'cron' (requires CRON_SECRET) or 'public'
+ *   membership - Resolve the user's active organization into ctx.membership (default true for 'user')
+ *   methods    - Map of HTTP method to handler
+ *   errorMessage - Message for unexpected errors (default 'Internal server error')
+ *   notFound   - Message for PGRST116 errors (default 'Not found')
+ * @returns {Function} Next.js API route handler
+ */
+export function createApiHandler({
+  auth = 'user',
+  membership: resolveMembership = auth === 'user',
+  methods,
+  errorMessage = 'Internal server error',
+  notFound = 'Not found'
+}) {
+  const allowed = Object.keys(methods);
+
+  return async function handler(req, res) {
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+
+    const route = methods[req.method];
+    if (!route) {
+      res.setHeader('Allow', allowed.join(', '));
+      return sendError(res, requestId, 405, 'Method not allowed');
+    }
+
+    const {
+      handler: run,
+      query: querySchema,
+      body: bodySchema,
+      errorMessage: failureMessage = errorMessage
+    } = typeof route === 'function' ? { handler: route } : route;
+
+    try {
+      // Get the authorization token from the request headers
+      const token = req.headers.authorization?.replace('Bearer ', '');
+
+      if (auth === 'cron' && !isAuthorizedCronRequest(req)) {
+        return sendError(res, requestId, 401, 'Unauthorized');
+      }
+
+      if (auth === 'user' && !token) {
+        return sendError(res, requestId, 401, 'No authorization token provided');
+      }
+
+      const supabase = createServiceClient();
+      if (!supabase) {
+        console.error(`[API ${requestId}] Missing NEXT_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY`);
+        return sendError(res, requestId, 500, 'Server configuration error');
+      }
+
+      // Verify the JWT token and get user information
+      let user = null;
+      if (auth === 'user') {
+        const { data, error: authError } = await supabase.auth.getUser(token);
+        user = data?.user || null;
+
+        if (authError || !user) {
+          return sendError(res, requestId, 401, 'Invalid or expired token');
+        }
+      }
+
+      const query = validateInput(querySchema || {}, req.query, { coerce: true });
+      if (query.error) {
+        return sendError(res, requestId, 400, query.error);
+      }
+
+      const body = validateInput(bodySchema || {}, req.body);
+      if (body.error) {
+        return sendError(res, requestId, 400, body.error);
+      }
+
+      const ctx = {
+        requestId,
+        supabase,
+        user,
+        membership: user && resolveMembership ? await getActiveMembership(supabase, user) : null,
+        query: query.value,
+        body: body.value
+      };
+
+      await run(req, res, ctx);
+    } catch (error) {
+      // Streaming responses cannot change status once started; just end them
+      if (res.headersSent) {
+        console.error(`[API ${requestId}] ${req.method} ${req.url} failed after responding:`, error);
+        if (!res.writableEnded) res.end();
+        return;
+      }
+
+      if (error instanceof ApiError) {
+        return sendError(res, requestId, error.status, error.message, error.details);
+      }
+
+      if (error.code === 'PGRST116') {
+        return sendError(res, requestId, 404, notFound);
+      }
+
+      console.error(`[API ${requestId}] ${req.method} ${req.url} failed:`, error);
+      sendError(res, requestId, 500, failureMessage);
+    }
+  };
+}
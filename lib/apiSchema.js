@@ -0,0 +1,151 @@
+// lib/apiSchema.js
+// Request validation for API routes: a schema maps each field to its rules, checked by createApiHandler
+// in lib/apiHandler.js before the route runs. Domain rules stay with the route's own validators (toXxxRow)
+
+/**
+ * Field rules:
+ *   type      - 'string', 'number', 'integer', 'boolean', 'array' or 'object'
+ *   required  - The field must be present (and not an empty string)
+ *   default   - Value used when the field is missing
+ *   enum      - Allowed values
+ *   maxLength - Longest string allowed
+ *   min, max  - Range of a number
+ *   maxItems  - Longest array allowed
+ *   items     - Type of every array element ('string', 'number' or 'object')
+ */
+
+const ARTICLES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+/**
+ * Checks a value against a type
+ * @param {*} value - Value to check
+ * @param {string} type - Type name from the field rules
+ * @returns {boolean} True when the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Converts a query string value to the type a field expects
+ * Query values arrive as strings, or arrays of strings when a parameter repeats
+ * @param {*} value - Raw query value
+ * @param {string} type - Type name from the field rules
+ * @returns {*} Converted value, or the raw value when it cannot be converted
+ */
+function coerceQueryValue(value, type) {
+  const single = Array.isArray(value) && type !== 'array' ? value[value.length - 1] : value;
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return single !== '' && !Number.isNaN(Number(single)) ? Number(single) : single;
+    case 'boolean':
+      return single === 'true' || single === '1' ? true : single === 'false' || single === '0' ? false : single;
+    case 'array':
+      return Array.isArray(value) ? value : String(value).split(',').filter(Boolean);
+    default:
+      return single;
+  }
+}
+
+/**
+ * Validates one field
+ * @param {string} key - Field name, used in messages
+ * @param {*} value - Value to check
+ * @param {Object} rules - Field rules
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function checkField(key, value, rules) {
+  if (rules.type && !hasType(value, rules.type)) {
+    return `${key} must be ${ARTICLES[rules.type]}`;
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `${key} must be one of: ${rules.enum.join(', ')}`;
+  }
+
+  if (rules.maxLength !== undefined && typeof value === 'string' && value.length > rules.maxLength) {
+    return `${key} must be at most ${rules.maxLength} characters`;
+  }
+
+  if (rules.min !== undefined && value < rules.min) {
+    return `${key} must be at least ${rules.min}`;
+  }
+
+  if (rules.max !== undefined && value > rules.max) {
+    return `${key} must be at most ${rules.max}`;
+  }
+
+  if (Array.isArray(value)) {
+    if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+      return `${key} must have at most ${rules.maxItems} items`;
+    }
+    if (rules.items && !value.every(item => hasType(item, rules.items))) {
+      return `${key} must only contain ${ARTICLES[rules.items].replace(/^an? /, '')}s`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates request input against a schema
+ * Fields not in the schema are passed through unchanged
+ * @param {Object} schema - Map of field name to field rules
+ * @param {Object} input - Request body or query
+ * @param {Object} options - { coerce } to convert query strings to the expected types
+ * @returns {Object} { value, error } where value has defaults applied and error is the first problem found
+ */
+export function validateInput(schema, input, { coerce = false } = {}) {
+  const value = { ...(input && typeof input === 'object' ? input : {}) };
+
+  for (const [key, rules] of Object.entries(schema)) {
+    let fieldValue = value[key];
+    const missing = fieldValue === undefined || fieldValue === null || fieldValue === '';
+
+    if (missing) {
+      if (rules.required) {
+        return { value, error: `${key} is required` };
+      }
+      if (rules.default !== undefined) {
+        value[key] = typeof rules.default === 'function' ? rules.default() : rules.default;
+      }
+      continue;
+    }
+
+    if (coerce) {
+      fieldValue = coerceQueryValue(fieldValue, rules.type);
+      value[key] = fieldValue;
+    }
+
+    const error = checkField(key, fieldValue, rules);
+    if (error) {
+      return { value, error };
+    }
+  }
+
+  return { value, error: null };
+}
@@ -0,0 +1,310 @@
+// lib/attestationQueue.js
+// Persistent queue of blockchain attestations, stored in the `attestations` table
+// Submission enqueues a row and tries to send it straight away; the scheduled reconciler
+// retries failed sends with exponential backoff, confirms sent transactions from the indexer,
+// and resends transactions that expired before confirming
+// A transaction's ID is stored before it is broadcast, so a row is never sent again while an
+// earlier transaction for it could still confirm
+
+import { randomUUID } from 'crypto';
+import { attestationOperations, proposalOperations, proposalReviewOperations } from './database';
+import {
+  buildAttestationNote,
+  signAttestationTransaction,
+  sendSignedTransaction,
+  getCurrentRound,
+  getAttestationNote
+} from './algorandTransactions';
+
+export const ATTESTATION_STATUSES = ['queued', 'sending', 'sent', 'confirmed', 'failed'];
+
+export const MAX_SEND_ATTEMPTS = 8;
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const CONFIRMATION_CHECK_MS = 30 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+// The indexer trails algod by a few rounds, so expiry is only assumed after this margin
+const INDEXER_LAG_ROUNDS = 10;
+
+/**
+ * Delay before the next send after a failed attempt: 1 min, 2 min, 4 min, ... capped at 6 hours
+ * @param {number} attempts - Send attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * Builds the on-chain note for an attestation row
+ * Rebuilt from the row on every send, so a resent transaction carries the same note
+ * @param {Object} attestation - `attestations` row
+ * @returns {string} Note JSON
+ */
+function noteFor(attestation) {
+  return buildAttestationNote({
+    attestationId: attestation.id,
+    proposalId: attestation.proposal_id,
+    tenderTitle: attestation.tender_title,
+    userId: attestation.user_id,
+    contentHash: attestation.content_hash,
+    fileHash: attestation.file_hash,
+    fileFormat: attestation.file_format,
+    timestamp: attestation.submitted_at
+  });
+}
+
+/**
+ * Queue updates after a failed send or an expired transaction
+ * @param {Object} attestation - `attestations` row
+ * @param {string} message - Error message
+ * @param {Date} now - Current time
+ * @returns {Object} Column updates
+ */
+function retryOrFail(attestation, message, now) {
+  const attempts = attestation.attempts + (attestation.status === 'queued' ? 1 : 0);
+  const failed = attempts >= MAX_SEND_ATTEMPTS;
+
+  return {
+    status: failed ? 'failed' : 'queued',
+    tx_id: null,
+    last_valid_round: null,
+    attempts,
+    last_error: message,
+    next_attempt_at: failed ? null : new Date(now.getTime() + retryDelay(attempts)).toISOString()
+  };
+}
+
+/**
+ * Copies an attestation's transaction ID to its proposal
+ * The attestation row already holds the transaction ID, so a failure is only logged
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} attestation - `attestations` row
+ * @param {string} txId - Transaction ID
+ */
+async function recordOnProposal(supabase, attestation, txId) {
+  try {
+    await proposalOperations.update(supabase, attestation.proposal_id, attestation.organization_id, {
+      blockchain_tx_id: txId
+    });
+  } catch (error) {
+    console.error(`[Attestations] Failed to record transaction ${txId} on proposal ${attestation.proposal_id}:`, error);
+  }
+}
+
+/**
+ * Sends a queued attestation's transaction
+ * The signed transaction's ID is stored as `sending` before it is broadcast. From then on the row is only
+ * checked against the indexer, and a new transaction is signed only once that one is past its last valid round,
+ * so a failed or slow broadcast, or a crash in between, can never put two attestations on chain
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} attestation - `attestations` row with status `queued`
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated row
+ */
+async function sendAttestation(supabase, attestation, now) {
+  let signed;
+  try {
+    signed = await signAttestationTransaction(noteFor(attestation));
+  } catch (error) {
+    return attestationOperations.update(supabase, attestation.id, retryOrFail(attestation, error.message, now));
+  }
+
+  const { txId, lastValidRound, signedTxn } = signed;
+  const sending = await attestationOperations.transition(supabase, attestation.id, 'queued', {
+    status: 'sending',
+    tx_id: txId,
+    last_valid_round: lastValidRound,
+    sent_at: now.toISOString(),
+    attempts: attestation.attempts + 1,
+    last_error: null,
+    next_attempt_at: new Date(now.getTime() + CONFIRMATION_CHECK_MS).toISOString()
+  });
+
+  // A run that outlasted its lease finds the row already taken over, and leaves it to the other run
+  if (!sending) {
+    return attestation;
+  }
+
+  try {
+    await sendSignedTransaction(signedTxn);
+  } catch (error) {
+    // The node may still have received it; the reconciler confirms it or resends after it expires
+    return attestationOperations.update(supabase, attestation.id, { last_error: error.message });
+  }
+
+  await recordOnProposal(supabase, attestation, txId);
+
+  try {
+    // The reconciler may already have confirmed it if the broadcast was slow
+    return await attestationOperations.transition(supabase, attestation.id, 'sending', { status: 'sent' }) || sending;
+  } catch (error) {
+    // Still `sending` with the transaction ID, which the reconciler confirms the same way
+    console.error(`[Attestations] Failed to mark attestation ${attestation.id} as sent:`, error);
+    return sending;
+  }
+}
+
+/**
+ * Checks whether a sent attestation has been confirmed
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} attestation - `attestations` row with status `sending` or `sent`, or `confirmed` without a round
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated row
+ */
+async function checkAttestation(supabase, attestation, now) {
+  const checkedAt = now.toISOString();
+
+  try {
+    const record = await getAttestationNote(attestation.tx_id);
+
+    if (record) {
+      // A broadcast that reported a failure may have gone through, in which case the proposal lacks the ID
+      if (attestation.status === 'sending') {
+        await recordOnProposal(supabase, attestation, attestation.tx_id);
+      }
+
+      return attestationOperations.update(supabase, attestation.id, {
+        status: 'confirmed',
+        confirmed_round: record.confirmedRound,
+        confirmed_at: record.roundTime ? new Date(record.roundTime * 1000).toISOString() : null,
+        last_checked_at: checkedAt,
+        last_error: null,
+        next_attempt_at: null
+      });
+    }
+
+    // Rows confirmed before rounds were recorded are only looked up once
+    if (attestation.status === 'confirmed') {
+      return attestationOperations.update(supabase, attestation.id, {
+        last_checked_at: checkedAt,
+        next_attempt_at: null
+      });
+    }
+
+    // A transaction past its last valid round can never confirm, so send a new one
+    const round = await getCurrentRound();
+    if (attestation.last_valid_round && round > attestation.last_valid_round + INDEXER_LAG_ROUNDS) {
+      return attestationOperations.update(supabase, attestation.id, {
+        ...retryOrFail(attestation, `Transaction ${attestation.tx_id} expired before it was confirmed`, now),
+        last_checked_at: checkedAt
+      });
+    }
+
+    return attestationOperations.update(supabase, attestation.id, {
+      last_checked_at: checkedAt,
+      next_attempt_at: new Date(now.getTime() + CONFIRMATION_CHECK_MS).toISOString()
+    });
+  } catch (error) {
+    // The node or indexer is unavailable; the transaction may still confirm, so check again later
+    return attestationOperations.update(supabase, attestation.id, {
+      last_checked_at: checkedAt,
+      last_error: error.message,
+      next_attempt_at: new Date(now.getTime() + retryDelay(1)).toISOString()
+    });
+  }
+}
+
+/**
+ * Sends or checks one attestation, depending on its status
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} attestation - `attestations` row
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated row
+ */
+export function processAttestation(supabase, attestation, now = new Date()) {
+  return attestation.status === 'queued'
+    ? sendAttestation(supabase, attestation, now)
+    : checkAttestation(supabase, attestation, now);
+}
+
+/**
+ * Submits an approved proposal and adds its attestation to the queue
+ * The status change, its status event and the queued attestation are written in one transaction
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} params - { userId, organizationId, proposal, submission, submittedAt }
+ * `submission` is the result of lib/submission's prepareSubmission
+ * @returns {Promise<Object|null>} Queued `attestations` row, or null if the proposal is no longer approved
+ */
+export function submitWithAttestation(supabase, { userId, organizationId, proposal, submission, submittedAt }) {
+  return proposalReviewOperations.submit(supabase, {
+    proposalId: proposal.id,
+    organizationId,
+    actorId: userId,
+    submissionDate: submittedAt,
+    attestation: {
+      // The ID is chosen here so it can go into the on-chain note
+      id: randomUUID(),
+      tender_title: proposal.tenders?.title || proposal.title,
+      agency: proposal.tenders?.agency || 'Unknown Agency',
+      // Leased to the submitting request, which sends it right away; the reconciler takes over if that fails
+      next_attempt_at: new Date(new Date(submittedAt).getTime() + LEASE_MS).toISOString(),
+      content_hash: submission.contentHash,
+      file_hash: submission.fileHash,
+      file_format: submission.fileFormat,
+      file_path: submission.filePath,
+      metadata: {
+        proposal_id: proposal.id,
+        tender_id: proposal.tender_id,
+        submission_timestamp: submittedAt
+      }
+    }
+  });
+}
+
+/**
+ * Scheduled reconciler: sends queued attestations and confirms sent ones
+ * Each row is leased before it is processed, so overlapping runs do not send the same attestation twice
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - { limit, now }
+ * @returns {Promise<Object>} Counts of rows by resulting status, plus errors
+ */
+export async function reconcileAttestations(supabase, options = {}) {
+  const now = options.now || new Date();
+  const due = await attestationOperations.getDue(supabase, now.toISOString(), options.limit || 20);
+  const summary = { processed: 0, sending: 0, sent: 0, confirmed: 0, queued: 0, failed: 0, skipped: 0, errors: [] };
+
+  for (const attestation of due) {
+    try {
+      const leased = await attestationOperations.claim(
+        supabase,
+        attestation.id,
+        attestation.next_attempt_at,
+        new Date(now.getTime() + LEASE_MS).toISOString()
+      );
+
+      if (!leased) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const updated = await processAttestation(supabase, leased, now);
+      summary.processed += 1;
+      summary[updated.status] += 1;
+    } catch (error) {
+      console.error(`[Attestations] Error reconciling attestation ${attestation.id}:`, error);
+      summary.errors.push({ attestationId: attestation.id, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Transforms an attestation row's queue state for API responses
+ * @param {Object} attestation - `attestations` row
+ * @returns {Object} Blockchain state
+ */
+export function transformAttestationState(attestation) {
+  return {
+    status: attestation.status,
+    txId: attestation.tx_id || null,
+    attempts: attestation.attempts || 0,
+    lastError: attestation.last_error || null,
+    nextAttemptAt: attestation.next_attempt_at || null,
+    confirmedRound: attestation.confirmed_round ? Number(attestation.confirmed_round) : null,
+    confirmedAt: attestation.confirmed_at || null,
+    lastCheckedAt: attestation.last_checked_at || null
+  };
+}
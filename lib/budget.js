@@ -0,0 +1,153 @@
+// lib/budget.js
+// Currency-aware parsing of free-text money values
+// Used for tender budgets ("RM 2,500,000", "RM 4.5 juta") and company budget ranges ("RM 1M - RM 5M", "Below RM 500k")
+
+/**
+ * Currency markers and the ISO code they map to
+ */
+const CURRENCIES = [
+  { pattern: /\b(?:RM|MYR|ringgit)\b/i, code: 'MYR' },
+  { pattern: /(?:\bUSD\b|US\$)/i, code: 'USD' },
+  { pattern: /(?:\bSGD\b|S\$)/i, code: 'SGD' },
+  { pattern: /\b(?:EUR)\b|€/i, code: 'EUR' }
+];
+
+/**
+ * Scale words (English and Malay) and their multipliers
+ */
+const MULTIPLIERS = {
+  billion: 1e9,
+  bilion: 1e9,
+  bn: 1e9,
+  b: 1e9,
+  million: 1e6,
+  juta: 1e6,
+  mil: 1e6,
+  mn: 1e6,
+  m: 1e6,
+  thousand: 1e3,
+  ribu: 1e3,
+  k: 1e3
+};
+
+const AMOUNT_PATTERN = /(\d[\d,]*(?:\.\d+)?)\s*(billion|bilion|bn|million|juta|mil|mn|thousand|ribu|k|m|b)?\b/gi;
+const UPPER_BOUND_PATTERN = /\b(?:below|under|less than|up to|not exceeding|maximum|max|kurang daripada|tidak melebihi)\b|</i;
+const LOWER_BOUND_PATTERN = /\b(?:above|over|more than|exceeding|at least|minimum|min|melebihi|lebih daripada)\b|>|\+/i;
+
+export const DEFAULT_CURRENCY = 'MYR';
+
+/**
+ * Detects the currency of a money string
+ * @param {string} text - Money text
+ * @returns {string|null} ISO currency code, or null if none is marked
+ */
+export function detectCurrency(text) {
+  const match = CURRENCIES.find(currency => currency.pattern.test(text));
+  return match ? match.code : null;
+}
+
+/**
+ * Parses a free-text budget or budget range into normalized amounts
+ * @param {string} text - e.g. "RM 2,500,000", "RM 1 - 5 million", "Above RM 10 juta"
+ * @param {Object} options - `defaultCurrency` used when the text has no currency marker
+ * @returns {Object|null} { min, max, currency } (min or max may be null for open ranges), or null if no amount was found
+ */
+export function parseBudget(text, options = {}) {
+  if (text === undefined || text === null) return null;
+  if (typeof text === 'number') {
+    return isFinite(text) ? { min: text, max: text, currency: options.defaultCurrency || DEFAULT_CURRENCY } : null;
+  }
+
+  const value = String(text).trim();
+  if (!value) return null;
+
+  const amounts = [];
+  let match;
+  AMOUNT_PATTERN.lastIndex = 0;
+
+  while ((match = AMOUNT_PATTERN.exec(value)) !== null) {
+    const number = parseFloat(match[1].replace(/,/g, ''));
+    if (isNaN(number)) continue;
+    amounts.push({ number, multiplier: match[2] ? MULTIPLIERS[match[2].toLowerCase()] : null });
+  }
+
+  if (amounts.length === 0) return null;
+
+  // "1 - 5 million": a bare first amount shares the scale of the second
+  if (amounts.length >= 2 && !amounts[0].multiplier && amounts[1].multiplier && amounts[0].number < amounts[1].number) {
+    amounts[0].multiplier = amounts[1].multiplier;
+  }
+
+  const values = amounts.slice(0, 2).map(amount => Math.round(amount.number * (amount.multiplier || 1) * 100) / 100);
+  const currency = detectCurrency(value) || options.defaultCurrency || DEFAULT_CURRENCY;
+
+  if (values.length === 2) {
+    return { min: Math.min(...values), max: Math.max(...values), currency };
+  }
+
+  if (UPPER_BOUND_PATTERN.test(value)) {
+    return { min: null, max: values[0], currency };
+  }
+
+  if (LOWER_BOUND_PATTERN.test(value)) {
+    return { min: values[0], max: null, currency };
+  }
+
+  return { min: values[0], max: values[0], currency };
+}
+
+/**
+ * Returns a representative single amount for a parsed budget (midpoint of a closed range)
+ * @param {Object} budget - Result of parseBudget
+ * @returns {number|null} Amount
+ */
+export function budgetPoint(budget) {
+  if (!budget) return null;
+  if (budget.min != null && budget.max != null) return (budget.min + budget.max) / 2;
+  return budget.min != null ? budget.min : budget.max;
+}
+
+/**
+ * Checks whether two parsed ranges overlap (open ends are unbounded)
+ * @param {Object} a - Parsed budget
+ * @param {Object} b - Parsed budget
+ * @returns {boolean} True if the ranges share at least one value
+ */
+export function budgetsOverlap(a, b) {
+  if (!a || !b) return false;
+  const aMin = a.min != null ? a.min : -Infinity;
+  const aMax = a.max != null ? a.max : Infinity;
+  const bMin = b.min != null ? b.min : -Infinity;
+  const bMax = b.max != null ? b.max : Infinity;
+  return aMin <= bMax && bMin <= aMax;
+}
+
+/**
+ * Formats an amount compactly, e.g. 2500000 -> "RM 2.5M"
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount
+ */
+export function formatAmount(amount, currency = DEFAULT_CURRENCY) {
+  if (amount == null) return '';
+  const symbol = currency === 'MYR' ? 'RM' : currency;
+  if (amount >= 1e9) return `${symbol} ${+(amount / 1e9).toFixed(2)}B`;
+  if (amount >= 1e6) return `${symbol} ${+(amount / 1e6).toFixed(2)}M`;
+  if (amount >= 1e3) return `${symbol} ${+(amount / 1e3).toFixed(1)}K`;
+  return `${symbol} ${amount}`;
+}
+
+/**
+ * Converts a parsed budget into the column values stored next to the raw text
+ * @param {string} text - Raw budget text
+ * @param {string} prefix - Column prefix, e.g. 'budget' -> budget_min, budget_max, budget_currency
+ * @returns {Object} Column values (all null when the text cannot be parsed)
+ */
+export function budgetColumns(text, prefix = 'budget') {
+  const parsed = parseBudget(text);
+  return {
+    [`${prefix}_min`]: parsed ? parsed.min : null,
+    [`${prefix}_max`]: parsed ? parsed.max : null,
+    [`${prefix}_currency`]: parsed ? parsed.currency : null
+  };
+}
@@ -0,0 +1,167 @@
+// lib/chatThreads.js
+// Persisted AI chat threads: one per user about a tender, and one per user about each of their organization's
+// proposals for it. The chat routes assemble the history sent to the model from the stored messages, folding
+// older messages into a summary once a thread no longer fits the history budget
+
+import { chatThreadOperations, proposalOperations } from './database';
+import { ApiError } from './apiHandler';
+import { generate, estimateTokens } from './llm';
+import { AIQuotaError } from './aiUsage';
+
+// Tokens of conversation history sent with each chat request
+const HISTORY_TOKEN_BUDGET = 2000;
+
+// Most unsummarized messages considered for the history
+const HISTORY_MESSAGE_LIMIT = 200;
+
+// Most messages returned when a thread is opened
+const THREAD_MESSAGE_LIMIT = 200;
+
+/**
+ * Transforms a `chat_messages` row for the chat assistants
+ * @param {Object} row - `chat_messages` row
+ * @returns {Object} { id, type: 'user' | 'ai', message, pinned, stopped, timestamp }
+ */
+export function transformChatMessage(row) {
+  return {
+    id: row.id,
+    type: row.role === 'assistant' ? 'ai' : 'user',
+    message: row.content,
+    pinned: row.pinned,
+    stopped: row.stopped,
+    timestamp: row.created_at
+  };
+}
+
+/**
+ * Resolves the scope of a chat thread, checking that the proposal belongs to the organization and tender
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} scope - { userId, organizationId, tenderId, proposalId }
+ * @returns {Promise<Object>} The scope
+ * @throws {ApiError} 404 when the proposal is not the organization's proposal for the tender
+ */
+async function checkThreadScope(supabase, scope) {
+  if (scope.proposalId) {
+    const proposal = await proposalOperations.getById(supabase, scope.proposalId);
+
+    if (!proposal || proposal.organization_id !== scope.organizationId || proposal.tender_id !== scope.tenderId) {
+      throw new ApiError(404, 'Proposal not found or access denied');
+    }
+  }
+
+  return scope;
+}
+
+/**
+ * Gets a user's chat thread about a tender or proposal, creating it if needed
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} scope - { userId, organizationId, tenderId, proposalId } where proposalId is optional
+ * @returns {Promise<Object>} `chat_threads` row
+ */
+export async function ensureChatThread(supabase, scope) {
+  return chatThreadOperations.ensure(supabase, await checkThreadScope(supabase, scope));
+}
+
+/**
+ * Gets a user's chat thread about a tender or proposal with its latest messages
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} scope - { userId, organizationId, tenderId, proposalId } where proposalId is optional
+ * @returns {Promise<Object>} { threadId, messages } where threadId is null when nothing was asked yet
+ */
+export async function getChatThread(supabase, scope) {
+  const thread = await chatThreadOperations.find(supabase, await checkThreadScope(supabase, scope));
+  if (!thread) {
+    return { threadId: null, messages: [] };
+  }
+
+  const messages = await chatThreadOperations.getMessages(supabase, thread.id, { limit: THREAD_MESSAGE_LIMIT });
+  return { threadId: thread.id, messages: messages.map(transformChatMessage) };
+}
+
+/**
+ * Deletes the messages of a user's chat thread about a tender or proposal, except pinned ones
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} scope - { userId, organizationId, tenderId, proposalId } where proposalId is optional
+ * @returns {Promise<Object>} { threadId, messages } with the pinned messages that were kept
+ */
+export async function clearChatThread(supabase, scope) {
+  const thread = await chatThreadOperations.find(supabase, await checkThreadScope(supabase, scope));
+  if (thread) {
+    await chatThreadOperations.clear(supabase, thread.id);
+  }
+
+  return getChatThread(supabase, scope);
+}
+
+/**
+ * Counts the tokens a history entry adds to the prompt
+ * @param {Object} entry - { type, message }
+ * @returns {number} Estimated tokens
+ */
+function entryTokens(entry) {
+  return estimateTokens(`${entry.type}: ${entry.message}`);
+}
+
+/**
+ * Builds the conversation history for the next chat request
+ * When the messages since the last summary exceed the history budget, all but the most recent ones (up to half
+ * the budget) are folded into the thread's summary. If summarizing fails they are left out instead
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} thread - `chat_threads` row
+ * @param {Object} options - { context, ledger } where context is the prompt context of the chat request
+ * @returns {Promise<Array<Object>>} chatHistory for generate: [{ type: 'summary' | 'user' | 'ai', message }]
+ * @throws {AIQuotaError} When summarizing would exceed the user's AI quota
+ */
+export async function loadChatHistory(supabase, thread, { context, ledger } = {}) {
+  const messages = await chatThreadOperations.getMessages(supabase, thread.id, {
+    after: thread.summarized_until,
+    limit: HISTORY_MESSAGE_LIMIT
+  });
+  const entries = messages.map(row => ({ type: row.role === 'assistant' ? 'ai' : 'user', message: row.content }));
+  let summary = thread.summary;
+  let recent = entries;
+
+  const total = entries.reduce((sum, entry) => sum + entryTokens(entry), 0);
+  if (total > HISTORY_TOKEN_BUDGET) {
+    let split = entries.length;
+    let kept = 0;
+    while (split > 0 && kept + entryTokens(entries[split - 1]) <= HISTORY_TOKEN_BUDGET / 2) {
+      kept += entryTokens(entries[split - 1]);
+      split--;
+    }
+
+    recent = entries.slice(split);
+
+    try {
+      const { content } = await generate('CHAT_SUMMARY', { ...context, proposalContent: '' }, {
+        chatHistory: [...(summary ? [{ type: 'summary', message: summary }] : []), ...entries.slice(0, split)],
+        ledger
+      });
+
+      summary = content.trim();
+      await chatThreadOperations.updateSummary(supabase, thread.id, summary, messages[split - 1].created_at);
+    } catch (error) {
+      if (error instanceof AIQuotaError) throw error;
+      console.error(`Failed to summarize chat thread ${thread.id}:`, error);
+    }
+  }
+
+  return [...(summary ? [{ type: 'summary', message: summary }] : []), ...recent];
+}
+
+/**
+ * Stores a question and the assistant's reply in a thread
+ * The chat routes only store turns that got a reply, even a partial one, so failed questions leave no trace
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} thread - `chat_threads` row
+ * @param {Object} turn - { userMessage, askedAt, reply, stopped } where askedAt is when the question was received
+ * @returns {Promise<Array<Object>>} The stored messages, transformed with transformChatMessage
+ */
+export async function saveChatTurn(supabase, thread, { userMessage, askedAt, reply, stopped = false }) {
+  const rows = await chatThreadOperations.addMessages(supabase, thread.id, [
+    { role: 'user', content: userMessage, created_at: askedAt.toISOString() },
+    { role: 'assistant', content: reply, stopped, created_at: new Date().toISOString() }
+  ]);
+
+  return rows.map(transformChatMessage);
+}
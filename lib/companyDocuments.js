@@ -0,0 +1,206 @@
+// lib/companyDocuments.js
+// Company document vault: stores an organization's compliance documents (registration certificates, licences,
+// certifications, insurance, financial statements, CVs) with their issue and expiry details, so they can be
+// downloaded later and attached to proposal submission packages
+
+import { createHash } from 'crypto';
+import { companyDocumentOperations } from './database';
+
+export const MAX_COMPANY_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents expiring within this many days are shown as expiring soon (as on the Certifications tab)
+const EXPIRING_SOON_DAYS = 30;
+
+// Kinds of vault documents, with their labels
+export const DOCUMENT_TYPES = {
+  company_registration: 'Business Registration Certificate',
+  tax_clearance: 'Tax Clearance Certificate',
+  cidb_certificate: 'CIDB Certificate',
+  license: 'Licence or Permit',
+  certification: 'Quality, Environmental or Safety Certification',
+  insurance: 'Insurance Certificate',
+  financial_statement: 'Financial Statement',
+  safety: 'Safety Compliance Document',
+  personnel_cv: 'Key Personnel CV',
+  other: 'Other Document'
+};
+
+/**
+ * Accepted vault file formats, keyed by file extension
+ * `signatures` are the possible starts of a file of the format, as latin1 text
+ */
+const VAULT_FORMATS = {
+  pdf: { contentType: 'application/pdf', signatures: ['%PDF-'] },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signatures: ['PK\u0003\u0004'] },
+  doc: { contentType: 'application/msword', signatures: ['\u00d0\u00cf\u0011\u00e0\u00a1\u00b1\u001a\u00e1'] },
+  jpg: { contentType: 'image/jpeg', signatures: ['\u00ff\u00d8\u00ff'] },
+  jpeg: { contentType: 'image/jpeg', signatures: ['\u00ff\u00d8\u00ff'] },
+  png: { contentType: 'image/png', signatures: ['\u0089PNG\r\n\u001a\n'] }
+};
+
+/**
+ * Works out the format of an uploaded file from its name and checks its contents match
+ * @param {string} fileName - Uploaded file name
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} { format } with the VAULT_FORMATS key, or { error }
+ */
+function detectVaultFormat(fileName, buffer) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const format = VAULT_FORMATS[extension];
+
+  if (!format || !fileName.includes('.')) {
+    return { error: 'Only PDF, DOC, DOCX, JPG and PNG files can be uploaded' };
+  }
+
+  const matches = format.signatures.some(signature =>
+    buffer.subarray(0, signature.length).toString('latin1') === signature
+  );
+  if (!matches) {
+    return { error: `${fileName} is not a valid ${extension.toUpperCase()} file` };
+  }
+
+  return { format: extension };
+}
+
+/**
+ * Reads an optional YYYY-MM-DD date
+ * @param {*} value - Date text, empty or null
+ * @returns {Object} { date } (null when empty) or { error: true }
+ */
+function readDate(value) {
+  if (value === null || value === '') return { date: null };
+  // Dates such as 2025-02-30 parse, but come back as a different day
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())
+    || new Date(value).toISOString().slice(0, 10) !== value) {
+    return { error: true };
+  }
+  return { date: value };
+}
+
+/**
+ * Maps camelCase document details to `company_documents` columns, validating as it goes
+ * @param {Object} body - { documentType, title, issuer, issuedOn, expiresOn }
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {Object} { row, error }
+ */
+export function toCompanyDocumentRow(body = {}, partial = false) {
+  const row = {};
+
+  if (body.documentType !== undefined || !partial) {
+    const documentType = body.documentType || 'other';
+    if (!DOCUMENT_TYPES[documentType]) {
+      return { error: `documentType must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}` };
+    }
+    row.document_type = documentType;
+  }
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      return { error: 'title cannot be empty' };
+    }
+    row.title = body.title.trim().substring(0, 200);
+  }
+
+  if (body.issuer !== undefined) {
+    row.issuer = body.issuer ? String(body.issuer).trim().substring(0, 200) : null;
+  }
+
+  const dateFields = { issuedOn: 'issued_on', expiresOn: 'expires_on' };
+  for (const [field, column] of Object.entries(dateFields)) {
+    if (body[field] === undefined) continue;
+    const { date, error } = readDate(body[field]);
+    if (error) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+    row[column] = date;
+  }
+
+  if (row.issued_on && row.expires_on && row.expires_on < row.issued_on) {
+    return { error: 'expiresOn cannot be before issuedOn' };
+  }
+
+  return { row };
+}
+
+/**
+ * Stores an uploaded file in the organization's vault with its details
+ * A file already in the vault is returned as is, without changing its details
+ * @param {Object} supabase - Supabase client
+ * @param {Object} upload - { userId, organizationId, fileName, buffer, details } where details are as for toCompanyDocumentRow
+ * @returns {Promise<Object>} { document, duplicate } or { error }
+ */
+export async function storeCompanyDocument(supabase, { userId, organizationId, fileName, buffer, details }) {
+  const detected = detectVaultFormat(fileName, buffer);
+  if (detected.error) {
+    return { error: detected.error };
+  }
+
+  const { row, error } = toCompanyDocumentRow(details);
+  if (error) {
+    return { error };
+  }
+
+  const checksum = createHash('sha256').update(buffer).digest('hex');
+  const existing = await companyDocumentOperations.getByChecksum(supabase, organizationId, checksum);
+  if (existing) {
+    return { document: existing, duplicate: true };
+  }
+
+  const format = VAULT_FORMATS[detected.format];
+  const storagePath = `${organizationId}/${checksum}.${detected.format}`;
+  await companyDocumentOperations.uploadFile(supabase, storagePath, buffer, format.contentType);
+
+  const document = await companyDocumentOperations.create(supabase, userId, organizationId, {
+    title: fileName.replace(/\.[^.]+$/, ''),
+    ...row,
+    file_name: fileName,
+    content_type: format.contentType,
+    file_size: buffer.length,
+    checksum,
+    storage_path: storagePath
+  });
+
+  return { document, duplicate: false };
+}
+
+/**
+ * Whether a document is still valid on a date
+ * @param {string|null} expiresOn - Expiry date (YYYY-MM-DD), or null for documents that do not expire
+ * @param {Date} now - Reference time
+ * @returns {string} valid, expiring_soon or expired
+ */
+export function getDocumentStatus(expiresOn, now = new Date()) {
+  if (!expiresOn) return 'valid';
+
+  // A document is valid through the whole of its expiry date
+  const endOfExpiryDay = new Date(`${expiresOn}T23:59:59.999Z`);
+  if (endOfExpiryDay < now) return 'expired';
+  return endOfExpiryDay - now <= EXPIRING_SOON_DAYS * DAY_MS ? 'expiring_soon' : 'valid';
+}
+
+/**
+ * Shapes a `company_documents` row for the API
+ * @param {Object} document - `company_documents` row
+ * @param {Date} now - Reference time for the expiry status
+ * @returns {Object} Document in camelCase with its expiry status
+ */
+export function transformCompanyDocument(document, now = new Date()) {
+  return {
+    id: document.id,
+    documentType: document.document_type,
+    documentTypeLabel: DOCUMENT_TYPES[document.document_type] || DOCUMENT_TYPES.other,
+    title: document.title,
+    issuer: document.issuer,
+    issuedOn: document.issued_on,
+    expiresOn: document.expires_on,
+    status: getDocumentStatus(document.expires_on, now),
+    fileName: document.file_name,
+    contentType: document.content_type,
+    fileSize: document.file_size,
+    checksum: document.checksum,
+    createdAt: document.created_at,
+    updatedAt: document.updated_at
+  };
+}
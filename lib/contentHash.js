@@ -0,0 +1,51 @@
+// lib/contentHash.js
+// SHA-256 commitments for submitted proposals
+// Used by the public verify page to hash files and pasted text in the browser, so it must stay free of server-only imports
+
+export const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Normalizes proposal content before hashing so copies that only differ in line endings still match
+ * - CRLF and CR line endings become LF
+ * - Unicode is normalized to NFC
+ * - Leading and trailing whitespace is removed
+ * @param {string} content - Proposal Markdown or pasted text
+ * @returns {string} Normalized content
+ */
+export function normalizeContent(content) {
+  return String(content ?? '')
+    .replace(/\r\n?/g, '\n')
+    .normalize('NFC')
+    .trim();
+}
+
+/**
+ * Parses a hash entered by a user or passed in a URL
+ * @param {string} value - Hex digest, optionally prefixed with "sha256:"
+ * @returns {string|null} Lowercase hex digest, or null if it is not a SHA-256 hash
+ */
+export function parseHash(value) {
+  if (typeof value !== 'string') return null;
+  const hash = value.trim().toLowerCase().replace(/^sha256:/, '');
+  return SHA256_PATTERN.test(hash) ? hash : null;
+}
+
+/**
+ * Computes a SHA-256 hex digest with the Web Crypto API
+ * @param {string|ArrayBuffer|Uint8Array} data - Text (hashed as UTF-8) or file bytes
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes proposal content the same way it is hashed at submission
+ * @param {string} content - Proposal Markdown or pasted text
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export function hashContent(content) {
+  return sha256Hex(normalizeContent(content));
+}
@@ -0,0 +1,24 @@
+// lib/cronAuth.js
+// Shared check for scheduled job endpoints under pages/api/cron
+// Jobs are triggered by the scheduler (Vercel Cron, GitHub Actions, crontab + curl) with CRON_SECRET as a bearer token
+
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Verifies that a request carries the configured cron secret
+ * @param {Object} req - Next.js API request
+ * @returns {boolean} True if the request may run scheduled jobs
+ */
+export function isAuthorizedCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('[Cron] CRON_SECRET is not configured; refusing scheduled job request');
+    return false;
+  }
+
+  const token = req.headers.authorization?.replace('Bearer ', '') || '';
+  const expected = Buffer.from(secret);
+  const provided = Buffer.from(token);
+
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
@@ -2,14 +2,17 @@
 // Updated database utility functions for Supabase operations with enhanced company profile support
 // Provides type-safe database operations for the Tenderly application
 
+import { budgetColumns, budgetPoint, parseBudget } from './budget';
+import { getFileStorage } from './fileStorage';
+
 // Company operations
 export const companyOperations = {
-  // Get company profile for current user
-  async getProfile(supabaseInstance, userId) {
+  // Get company profile for an organization
+  async getProfile(supabaseInstance, organizationId) {
     const { data, error } = await supabaseInstance
       .from('companies')
       .select('*')
-      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
       .single();
     
     if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
@@ -19,10 +22,22 @@ export const companyOperations = {
     return data;
   },
 
-  // Create or update company profile
-  async upsertProfile(supabaseInstance, userId, profileData) {
+  // Get every organization's company profile (used by the credential expiry job)
+  async getAllWithOrganization(supabaseInstance) {
+    const { data, error } = await supabaseInstance
+      .from('companies')
+      .select('*')
+      .not('organization_id', 'is', null);
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create or update an organization's company profile (userId records who saved it)
+  async upsertProfile(supabaseInstance, organizationId, userId, profileData) {
     // Map camelCase to snake_case for database with enhanced fields
     const dbData = {
+      organization_id: organizationId,
       user_id: userId,
       name: profileData.name,
       registration_number: profileData.registrationNumber,
@@ -57,6 +72,8 @@ export const companyOperations = {
       preferred_categories: profileData.preferredCategories,
       preferred_locations: profileData.preferredLocations,
       budget_range: profileData.budgetRange,
+      ...budgetColumns(profileData.budgetRange, 'budget_range'),
+      total_value_amount: budgetPoint(parseBudget(profileData.totalValue)),
       custom_certifications: profileData.customCertifications,
       verification_status: profileData.verificationStatus || 'pending',
       updated_at: new Date().toISOString()
@@ -65,7 +82,7 @@ export const companyOperations = {
     const { data, error } = await supabaseInstance
       .from('companies')
       .upsert(dbData, {
-        onConflict: 'user_id'
+        onConflict: 'organization_id'
       })
       .select()
       .single();
@@ -75,14 +92,45 @@ export const companyOperations = {
   }
 };
 
+// Map tender search filters to the parameters of the search SQL functions
+function toSearchParams(filters) {
+  return {
+    p_query: filters.query || null,
+    p_category: filters.category || null,
+    p_location: filters.location || null,
+    p_tags: filters.tags && filters.tags.length > 0 ? filters.tags : null,
+    p_closing_from: filters.closingFrom || null,
+    p_closing_to: filters.closingTo || null,
+    p_budget_min: filters.budgetMin != null ? filters.budgetMin : null,
+    p_budget_max: filters.budgetMax != null ? filters.budgetMax : null,
+    p_budget_currency: filters.budgetCurrency || null
+  };
+}
+
 // Tender operations
 export const tenderOperations = {
-  // Get all active tenders
-  async getAll(supabaseInstance) {
-    const { data, error } = await supabaseInstance
+  // Get all active tenders, optionally limited to a budget range
+  async getAll(supabaseInstance, filters = {}) {
+    let queryBuilder = supabaseInstance
       .from('tenders')
       .select('*')
-      .eq('status', 'active')
+      .eq('status', 'active');
+
+    // Add budget range filter (tenders whose budget overlaps the requested range)
+    // A missing bound is open-ended, as in budgetsOverlap; tenders with no budget at all do not match
+    if (filters.budgetMin != null) {
+      queryBuilder = queryBuilder.or(`budget_max.gte.${filters.budgetMin},and(budget_max.is.null,budget_min.not.is.null)`);
+    }
+
+    if (filters.budgetMax != null) {
+      queryBuilder = queryBuilder.or(`budget_min.lte.${filters.budgetMax},and(budget_min.is.null,budget_max.not.is.null)`);
+    }
+
+    if (filters.budgetCurrency) {
+      queryBuilder = queryBuilder.eq('budget_currency', filters.budgetCurrency);
+    }
+
+    const { data, error } = await queryBuilder
       .order('created_at', { ascending: false });
     
     if (error) throw error;
@@ -101,36 +149,168 @@ export const tenderOperations = {
     return data;
   },
 
-  // Search tenders
-  async search(supabaseInstance, query, filters = {}) {
-    let queryBuilder = supabaseInstance
+  // Search active tenders, one page at a time (see search_tenders in the brisk_compass migration)
+  async search(supabaseInstance, filters = {}, page = {}) {
+    const { data, error } = await supabaseInstance.rpc('search_tenders', {
+      ...toSearchParams(filters),
+      p_sort: page.sort || 'newest',
+      p_after_value: page.after ? page.after.value : null,
+      p_after_id: page.after ? page.after.id : null,
+      p_limit: page.limit || 20
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get facet counts (category, location, agency) and the total for a search
+  async getSearchFacets(supabaseInstance, filters = {}) {
+    const { data, error } = await supabaseInstance.rpc('tender_search_facets', toSearchParams(filters));
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get active tenders added since a given time (used by saved search alerts)
+  async getCreatedSince(supabaseInstance, since) {
+    const { data, error } = await supabaseInstance
       .from('tenders')
       .select('*')
-      .eq('status', 'active');
+      .eq('status', 'active')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false });
 
-    // Add text search
-    if (query) {
-      queryBuilder = queryBuilder.textSearch('title,description,agency', query);
-    }
+    if (error) throw error;
+    return data;
+  },
 
-    // Add category filter
-    if (filters.category) {
-      queryBuilder = queryBuilder.eq('category', filters.category);
-    }
+  // Get existing tenders matching a set of external reference IDs (used for ingestion dedupe)
+  async getByExternalIds(supabaseInstance, externalIds) {
+    if (!externalIds || externalIds.length === 0) return [];
 
-    // Add location filter
-    if (filters.location) {
-      queryBuilder = queryBuilder.eq('location', filters.location);
-    }
+    const { data, error } = await supabaseInstance
+      .from('tenders')
+      .select('id, tender_id, agency, content_hash')
+      .in('tender_id', externalIds);
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Insert newly ingested tenders
+  async insertMany(supabaseInstance, rows) {
+    if (!rows || rows.length === 0) return [];
+
+    const { data, error } = await supabaseInstance
+      .from('tenders')
+      .insert(rows)
+      .select('id');
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update an ingested tender whose notice changed at the source
+  async updateIngested(supabaseInstance, id, row) {
+    const { data, error } = await supabaseInstance
+      .from('tenders')
+      .update({
+        ...row,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Record that unchanged tenders were seen again in a source
+  async markSeen(supabaseInstance, ids) {
+    if (!ids || ids.length === 0) return;
+
+    const { error } = await supabaseInstance
+      .from('tenders')
+      .update({ last_seen_at: new Date().toISOString() })
+      .in('id', ids);
+
+    if (error) throw error;
+  }
+};
+
+// Ingestion operations
+export const ingestionOperations = {
+  // Get enabled tender sources, optionally limited to one source
+  async getSources(supabaseInstance, sourceId = null) {
+    let queryBuilder = supabaseInstance
+      .from('tender_sources')
+      .select('*')
+      .eq('enabled', true);
 
-    // Add date range filter
-    if (filters.closingAfter) {
-      queryBuilder = queryBuilder.gte('closing_date', filters.closingAfter);
+    if (sourceId) {
+      queryBuilder = queryBuilder.eq('id', sourceId);
     }
 
-    const { data, error } = await queryBuilder
-      .order('created_at', { ascending: false });
-    
+    const { data, error } = await queryBuilder.order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Start a run record for a source
+  async startRun(supabaseInstance, sourceId) {
+    const { data, error } = await supabaseInstance
+      .from('ingestion_runs')
+      .insert({
+        source_id: sourceId,
+        status: 'running'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Complete a run record with its counts and errors
+  async finishRun(supabaseInstance, runId, result) {
+    const finishedAt = new Date().toISOString();
+
+    const { data, error } = await supabaseInstance
+      .from('ingestion_runs')
+      .update({
+        ...result,
+        finished_at: finishedAt
+      })
+      .eq('id', runId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await supabaseInstance
+      .from('tender_sources')
+      .update({ last_run_at: finishedAt })
+      .eq('id', data.source_id);
+
+    return data;
+  },
+
+  // Get recent runs with their source names
+  async getRecentRuns(supabaseInstance, limit = 20) {
+    const { data, error } = await supabaseInstance
+      .from('ingestion_runs')
+      .select(`
+        *,
+        tender_sources (
+          name,
+          adapter
+        )
+      `)
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
     if (error) throw error;
     return data;
   }
@@ -138,8 +318,8 @@ export const tenderOperations = {
 
 // Proposal operations
 export const proposalOperations = {
-  // Get all proposals for user
-  async getByUser(supabaseInstance, userId) {
+  // Get all proposals for an organization
+  async getByOrganization(supabaseInstance, organizationId) {
     const { data, error } = await supabaseInstance
       .from('proposals')
       .select(`
@@ -150,13 +330,43 @@ export const proposalOperations = {
           closing_date
         )
       `)
-      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
       .order('created_at', { ascending: false });
     
     if (error) throw error;
     return data;
   },
 
+  // Get an organization's submitted proposals (including decided ones) with their outcome fields
+  async getSubmitted(supabaseInstance, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('proposals')
+      .select(`
+        id,
+        title,
+        status,
+        created_at,
+        submission_date,
+        bid_amount,
+        estimated_cost,
+        awarded_amount,
+        outcome_currency,
+        winner_name,
+        outcome_recorded_at,
+        tenders (
+          title,
+          agency,
+          category
+        )
+      `)
+      .eq('organization_id', organizationId)
+      .in('status', ['submitted', 'won', 'lost'])
+      .order('submission_date', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
   // Get proposal by ID
   async getById(supabaseInstance, id) {
     const { data, error } = await supabaseInstance
@@ -167,7 +377,8 @@ export const proposalOperations = {
           title,
           agency,
           closing_date,
-          category
+          category,
+          tender_id
         )
       `)
       .eq('id', id)
@@ -177,21 +388,23 @@ export const proposalOperations = {
     return data;
   },
 
-  // Create new proposal
-  async create(supabaseInstance, userId, proposalData) {
-    // Get user's company ID
+  // Create new proposal in an organization (userId records the author)
+  async create(supabaseInstance, userId, organizationId, proposalData) {
+    // Get the organization's company ID
     const { data: company } = await supabaseInstance
       .from('companies')
       .select('id')
-      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
       .single();
 
     const { data, error } = await supabaseInstance
       .from('proposals')
       .insert({
         user_id: userId,
+        organization_id: organizationId,
         company_id: company?.id,
         tender_id: proposalData.tender_id,
+        template_id: proposalData.template_id || null,
         title: proposalData.title,
         content: proposalData.content,
         status: 'draft',
@@ -204,8 +417,8 @@ export const proposalOperations = {
     return data;
   },
 
-  // Update proposal
-  async update(supabaseInstance, id, userId, updates) {
+  // Update proposal within an organization
+  async update(supabaseInstance, id, organizationId, updates) {
     const { data, error } = await supabaseInstance
       .from('proposals')
       .update({
@@ -213,7 +426,7 @@ export const proposalOperations = {
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
-      .eq('user_id', userId)
+      .eq('organization_id', organizationId)
       .select()
       .single();
     
@@ -222,7 +435,8 @@ export const proposalOperations = {
   },
 
   // Save proposal version
-  async saveVersion(supabaseInstance, proposalId, content, summary) {
+  // options: { kind, label, userId, restoredFrom } - defaults to an autosave
+  async saveVersion(supabaseInstance, proposalId, content, summary, options = {}) {
     // Get the current highest version number for this proposal
     const { data: existingVersions } = await supabaseInstance
       .from('proposal_versions')
@@ -241,7 +455,11 @@ export const proposalOperations = {
         proposal_id: proposalId,
         content,
         changes_summary: summary,
-        version: nextVersion
+        version: nextVersion,
+        kind: options.kind || 'autosave',
+        label: options.label || null,
+        restored_from: options.restoredFrom || null,
+        created_by: options.userId || null
       })
       .select()
       .single();
@@ -250,16 +468,58 @@ export const proposalOperations = {
     return data;
   },
 
+  // Get the most recent version of a proposal
+  async getLatestVersion(supabaseInstance, proposalId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_versions')
+      .select('*')
+      .eq('proposal_id', proposalId)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  // Get a single version of a proposal
+  async getVersion(supabaseInstance, proposalId, versionId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_versions')
+      .select('*')
+      .eq('id', versionId)
+      .eq('proposal_id', proposalId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Overwrite an autosave version with newer content (autosave coalescing)
+  async updateVersion(supabaseInstance, versionId, content) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_versions')
+      .update({
+        content,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', versionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
   // Get proposal versions
-  async getVersions(supabaseInstance, proposalId, userId) {
-    // First verify the user owns the proposal
+  async getVersions(supabaseInstance, proposalId, organizationId) {
+    // First verify the proposal belongs to the organization
     const { data: proposal } = await supabaseInstance
       .from('proposals')
-      .select('user_id')
+      .select('organization_id')
       .eq('id', proposalId)
       .single();
 
-    if (!proposal || proposal.user_id !== userId) {
+    if (!proposal || proposal.organization_id !== organizationId) {
       throw new Error('Proposal not found or access denied');
     }
 
@@ -267,106 +527,1384 @@ export const proposalOperations = {
       .from('proposal_versions')
       .select('*')
       .eq('proposal_id', proposalId)
-      .order('created_at', { ascending: false });
+      .order('version', { ascending: false });
     
     if (error) throw error;
     return data;
   }
 };
 
-// Attestation operations
-export const attestationOperations = {
-  // Get all attestations for user
-  async getByUser(supabaseInstance, userId) {
+// Proposal review operations
+export const proposalReviewOperations = {
+  // Move a proposal to a new status, only if it is still in the expected one
+  // Returns null when another request changed the status first
+  async transition(supabaseInstance, proposalId, organizationId, fromStatus, updates) {
     const { data, error } = await supabaseInstance
-      .from('attestations')
-      .select('*')
-      .eq('user_id', userId)
-      .order('submitted_at', { ascending: false });
-    
+      .from('proposals')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', proposalId)
+      .eq('organization_id', organizationId)
+      .eq('status', fromStatus)
+      .select()
+      .maybeSingle();
+
     if (error) throw error;
     return data;
   },
 
-  // Create new attestation
-  async create(supabaseInstance, userId, attestationData) {
+  // Submit an approved proposal: the status change, its event and the queued attestation are one transaction
+  // Returns the queued attestation, or null when the proposal is no longer approved
+  async submit(supabaseInstance, { proposalId, organizationId, actorId, submissionDate, attestation }) {
+    const { data, error } = await supabaseInstance.rpc('submit_proposal', {
+      p_proposal_id: proposalId,
+      p_organization_id: organizationId,
+      p_actor_id: actorId,
+      p_submission_date: submissionDate,
+      p_attestation: attestation
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  // Record a status change
+  async addEvent(supabaseInstance, eventData) {
     const { data, error } = await supabaseInstance
-      .from('attestations')
-      .insert({
-        user_id: userId,
-        ...attestationData
-      })
+      .from('proposal_status_events')
+      .insert(eventData)
       .select()
       .single();
-    
+
     if (error) throw error;
     return data;
-  }
-};
+  },
 
-// User profile operations
-export const userProfileOperations = {
-  // Get user profile
-  async getProfile(supabaseInstance, userId) {
+  // Get the status history of a proposal, oldest first
+  async getEvents(supabaseInstance, proposalId) {
     const { data, error } = await supabaseInstance
-      .from('user_profiles')
+      .from('proposal_status_events')
       .select('*')
-      .eq('user_id', userId)
+      .eq('proposal_id', proposalId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the review comments on a proposal, oldest first
+  async getComments(supabaseInstance, proposalId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_review_comments')
+      .select('*')
+      .eq('proposal_id', proposalId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get a single review comment within an organization
+  async getComment(supabaseInstance, id, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_review_comments')
+      .select('*')
+      .eq('id', id)
+      .eq('organization_id', organizationId)
       .single();
-    
+
     if (error && error.code !== 'PGRST116') {
       throw error;
     }
-    
+
     return data;
   },
 
-  // Create or update user profile
-  async upsertProfile(supabaseInstance, userId, profileData) {
+  // Add a review comment
+  async addComment(supabaseInstance, commentData) {
     const { data, error } = await supabaseInstance
-      .from('user_profiles')
-      .upsert({
-        user_id: userId,
-        ...profileData,
+      .from('proposal_review_comments')
+      .insert(commentData)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Resolve or reopen a review comment
+  async setCommentResolved(supabaseInstance, id, organizationId, userId, resolved) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_review_comments')
+      .update({
+        resolved_at: resolved ? new Date().toISOString() : null,
+        resolved_by: resolved ? userId : null,
         updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'user_id'
       })
+      .eq('id', id)
+      .eq('organization_id', organizationId)
       .select()
       .single();
-    
+
     if (error) throw error;
     return data;
   }
 };
 
-// Utility functions
-export const dbUtils = {
-  // Check if user has completed company profile
-  async hasCompanyProfile(supabaseInstance, userId) {
-    const profile = await companyOperations.getProfile(supabaseInstance, userId);
-    return profile && profile.name && profile.email;
-  },
-
-  // Get user's proposal count
-  async getProposalCount(supabaseInstance, userId) {
+// Attestation operations
+export const attestationOperations = {
+  // Get all attestations for an organization
+  async getByOrganization(supabaseInstance, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('submitted_at', { ascending: false });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the latest attestation of a proposal
+  async getLatestByProposal(supabaseInstance, proposalId, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .select('*')
+      .eq('proposal_id', proposalId)
+      .eq('organization_id', organizationId)
+      .order('submitted_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Find attestations whose content or file hash matches (public verification)
+  async findByHash(supabaseInstance, hash, limit = 5) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .select('id, tender_title, agency, submitted_at, tx_id, status, content_hash, file_hash, file_format, organizations (name)')
+      .or(`content_hash.eq.${hash},file_hash.eq.${hash}`)
+      .order('submitted_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get attestations due to be sent or checked, oldest first
+  async getDue(supabaseInstance, now, limit = 20) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .select('*')
+      .not('next_attempt_at', 'is', null)
+      .lte('next_attempt_at', now)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Lease a due attestation by moving its next attempt forward
+  // Returns null if another run already picked it up
+  async claim(supabaseInstance, id, expectedNextAttemptAt, leaseUntil) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .update({ next_attempt_at: leaseUntil })
+      .eq('id', id)
+      .eq('next_attempt_at', expectedNextAttemptAt)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update queue state of an attestation, only if it is still in the expected status
+  // Returns null when another run changed the status first
+  async transition(supabaseInstance, id, fromStatus, updates) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update queue state of an attestation
+  async update(supabaseInstance, id, updates) {
+    const { data, error } = await supabaseInstance
+      .from('attestations')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+// Private storage bucket holding the files generated at submission
+const SUBMISSIONS_BUCKET = 'submissions';
+
+// Submitted file operations
+export const submissionFileOperations = {
+  // Store the file generated at submission
+  async upload(supabaseInstance, path, buffer, contentType) {
+    return getFileStorage().upload(supabaseInstance, SUBMISSIONS_BUCKET, path, buffer, contentType);
+  },
+
+  // Read a submitted file back as a Buffer
+  async download(supabaseInstance, path) {
+    return getFileStorage().download(supabaseInstance, SUBMISSIONS_BUCKET, path);
+  }
+};
+
+// Private storage bucket holding files attached to tenders
+const TENDER_DOCUMENTS_BUCKET = 'tender-documents';
+
+// Columns returned for document listings (everything but the storage path)
+const TENDER_DOCUMENT_COLUMNS = 'id, tender_id, organization_id, uploaded_by, file_name, content_type, file_size, file_hash, status, error, page_count, chunk_count, created_at, processed_at';
+
+// Tender document operations
+export const tenderDocumentOperations = {
+  // Get the documents attached to a tender, oldest first
+  async getByTender(supabaseInstance, tenderId) {
+    const { data, error } = await supabaseInstance
+      .from('tender_documents')
+      .select(TENDER_DOCUMENT_COLUMNS)
+      .eq('tender_id', tenderId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get one document of a tender
+  async getById(supabaseInstance, tenderId, id) {
+    const { data, error } = await supabaseInstance
+      .from('tender_documents')
+      .select('*')
+      .eq('id', id)
+      .eq('tender_id', tenderId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Find a tender's copy of a file by its hash
+  async getByHash(supabaseInstance, tenderId, fileHash) {
+    const { data, error } = await supabaseInstance
+      .from('tender_documents')
+      .select(TENDER_DOCUMENT_COLUMNS)
+      .eq('tender_id', tenderId)
+      .eq('file_hash', fileHash)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create a document record (userId and organizationId record who attached it)
+  async create(supabaseInstance, userId, organizationId, documentData) {
+    const { data, error } = await supabaseInstance
+      .from('tender_documents')
+      .insert({
+        uploaded_by: userId,
+        organization_id: organizationId,
+        ...documentData
+      })
+      .select(TENDER_DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update processing state of a document
+  async update(supabaseInstance, id, updates) {
+    const { data, error } = await supabaseInstance
+      .from('tender_documents')
+      .update(updates)
+      .eq('id', id)
+      .select(TENDER_DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete a document (its passages are removed with it)
+  async remove(supabaseInstance, id) {
+    const { error } = await supabaseInstance
+      .from('tender_documents')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Replace the extracted passages of a document
+  async replaceChunks(supabaseInstance, documentId, tenderId, chunks) {
+    const { error: deleteError } = await supabaseInstance
+      .from('tender_document_chunks')
+      .delete()
+      .eq('document_id', documentId);
+
+    if (deleteError) throw deleteError;
+    if (chunks.length === 0) return;
+
+    const { error } = await supabaseInstance
+      .from('tender_document_chunks')
+      .insert(chunks.map((chunk, index) => ({
+        document_id: documentId,
+        tender_id: tenderId,
+        chunk_index: index,
+        page: chunk.page,
+        content: chunk.content
+      })));
+
+    if (error) throw error;
+  },
+
+  // Best matching passages of a tender's documents (see match_tender_document_chunks in the open_folio migration)
+  async matchChunks(supabaseInstance, tenderId, query, limit) {
+    const { data, error } = await supabaseInstance.rpc('match_tender_document_chunks', {
+      p_tender_id: tenderId,
+      p_query: query,
+      p_limit: limit
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // First passages of a tender's ready documents, for when nothing matches a query
+  async getLeadingChunks(supabaseInstance, tenderId, limit) {
+    const { data, error } = await supabaseInstance
+      .from('tender_document_chunks')
+      .select('id, document_id, page, chunk_index, content, tender_documents!inner (file_name, status)')
+      .eq('tender_id', tenderId)
+      .eq('tender_documents.status', 'ready')
+      .order('chunk_index', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data.map(({ tender_documents: document, ...chunk }) => ({ ...chunk, file_name: document.file_name }));
+  },
+
+  // Store an attached file
+  async uploadFile(supabaseInstance, path, buffer, contentType) {
+    return getFileStorage().upload(supabaseInstance, TENDER_DOCUMENTS_BUCKET, path, buffer, contentType);
+  },
+
+  // Read an attached file back as a Buffer
+  async downloadFile(supabaseInstance, path) {
+    return getFileStorage().download(supabaseInstance, TENDER_DOCUMENTS_BUCKET, path);
+  },
+
+  // Remove an attached file
+  async removeFile(supabaseInstance, path) {
+    return getFileStorage().remove(supabaseInstance, TENDER_DOCUMENTS_BUCKET, path);
+  }
+};
+
+// Tender requirement operations (typed requirements extracted from a tender)
+export const tenderRequirementOperations = {
+  // Get a tender's requirements in document order
+  async getByTender(supabaseInstance, tenderId) {
+    const { data, error } = await supabaseInstance
+      .from('tender_requirements')
+      .select('*')
+      .eq('tender_id', tenderId)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the requirements of several tenders at once
+  async getByTenders(supabaseInstance, tenderIds) {
+    const { data, error } = await supabaseInstance
+      .from('tender_requirements')
+      .select('*')
+      .in('tender_id', tenderIds)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Replace a tender's requirements and record when they were extracted, in one transaction
+  // Replacements of the same tender are serialized by the database function
+  async replace(supabaseInstance, tenderId, requirements) {
+    const extractedAt = new Date().toISOString();
+    const { data, error } = await supabaseInstance.rpc('replace_tender_requirements', {
+      p_tender_id: tenderId,
+      p_requirements: requirements.map(requirement => ({
+        type: requirement.type,
+        description: requirement.description,
+        threshold: requirement.threshold,
+        mandatory: requirement.mandatory,
+        source: requirement.source,
+        sourceReference: requirement.sourceReference
+      })),
+      p_extracted_at: extractedAt
+    });
+
+    if (error) throw error;
+    return { requirements: data || [], extractedAt };
+  }
+};
+
+// Credential expiry alert operations
+export const expiryAlertOperations = {
+  // Get the expiry warnings already sent to an organization
+  async getByOrganization(supabaseInstance, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('credential_expiry_alerts')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Record sent expiry warnings (a warning already recorded is left as it is)
+  async record(supabaseInstance, organizationId, alerts) {
+    if (alerts.length === 0) return;
+
+    const { error } = await supabaseInstance
+      .from('credential_expiry_alerts')
+      .upsert(
+        alerts.map(alert => ({ organization_id: organizationId, ...alert })),
+        { onConflict: 'organization_id,credential_key,expires_on,window_days', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+  }
+};
+
+// Private storage bucket holding the company document vault
+const COMPANY_DOCUMENTS_BUCKET = 'company-documents';
+
+// Columns returned for vault listings (everything but the storage path)
+const COMPANY_DOCUMENT_COLUMNS = 'id, organization_id, uploaded_by, document_type, title, issuer, issued_on, expires_on, file_name, content_type, file_size, checksum, created_at, updated_at';
+
+// Company document vault operations
+export const companyDocumentOperations = {
+  // Get an organization's vault documents, newest first
+  async getByOrganization(supabaseInstance, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('company_documents')
+      .select(COMPANY_DOCUMENT_COLUMNS)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get one vault document of an organization
+  async getById(supabaseInstance, organizationId, id) {
+    const { data, error } = await supabaseInstance
+      .from('company_documents')
+      .select('*')
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Find an organization's copy of a file by its checksum
+  async getByChecksum(supabaseInstance, organizationId, checksum) {
+    const { data, error } = await supabaseInstance
+      .from('company_documents')
+      .select(COMPANY_DOCUMENT_COLUMNS)
+      .eq('organization_id', organizationId)
+      .eq('checksum', checksum)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create a vault document record (userId records who uploaded it)
+  async create(supabaseInstance, userId, organizationId, documentData) {
+    const { data, error } = await supabaseInstance
+      .from('company_documents')
+      .insert({
+        uploaded_by: userId,
+        organization_id: organizationId,
+        ...documentData
+      })
+      .select(COMPANY_DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update the details of a vault document
+  async update(supabaseInstance, organizationId, id, updates) {
+    const { data, error } = await supabaseInstance
+      .from('company_documents')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+      .select(COMPANY_DOCUMENT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete a vault document record
+  async remove(supabaseInstance, organizationId, id) {
+    const { error } = await supabaseInstance
+      .from('company_documents')
+      .delete()
+      .eq('id', id)
+      .eq('organization_id', organizationId);
+
+    if (error) throw error;
+  },
+
+  // Store an uploaded file
+  async uploadFile(supabaseInstance, path, buffer, contentType) {
+    return getFileStorage().upload(supabaseInstance, COMPANY_DOCUMENTS_BUCKET, path, buffer, contentType);
+  },
+
+  // Read an uploaded file back as a Buffer
+  async downloadFile(supabaseInstance, path) {
+    return getFileStorage().download(supabaseInstance, COMPANY_DOCUMENTS_BUCKET, path);
+  },
+
+  // Remove an uploaded file
+  async removeFile(supabaseInstance, path) {
+    return getFileStorage().remove(supabaseInstance, COMPANY_DOCUMENTS_BUCKET, path);
+  }
+};
+
+// Proposal attachment operations (vault documents included in a proposal's submission package)
+export const proposalAttachmentOperations = {
+  // Get the vault documents attached to a proposal, in the order they were attached
+  async getByProposal(supabaseInstance, proposalId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_attachments')
+      .select(`id, document_id, attached_by, created_at, company_documents (${COMPANY_DOCUMENT_COLUMNS}, storage_path)`)
+      .eq('proposal_id', proposalId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Attach a vault document to a proposal (attaching it again is a no-op)
+  async attach(supabaseInstance, userId, organizationId, proposalId, documentId) {
+    const { error } = await supabaseInstance
+      .from('proposal_attachments')
+      .upsert({
+        proposal_id: proposalId,
+        document_id: documentId,
+        organization_id: organizationId,
+        attached_by: userId
+      }, { onConflict: 'proposal_id,document_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+  },
+
+  // Detach a vault document from a proposal
+  async detach(supabaseInstance, proposalId, documentId) {
+    const { error } = await supabaseInstance
+      .from('proposal_attachments')
+      .delete()
+      .eq('proposal_id', proposalId)
+      .eq('document_id', documentId);
+
+    if (error) throw error;
+  },
+
+  // Get the proposals a vault document is attached to
+  async getProposalsByDocument(supabaseInstance, documentId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_attachments')
+      .select('proposal_id, proposals (title, status)')
+      .eq('document_id', documentId);
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+// Private storage bucket holding spoken tender summaries
+const VOICE_SUMMARIES_BUCKET = 'voice-summaries';
+
+// Voice summary operations (cached text-to-speech audio, one per tender and language)
+export const voiceSummaryOperations = {
+  // Get the cached summary of a tender in a language
+  async get(supabaseInstance, tenderId, language) {
+    const { data, error } = await supabaseInstance
+      .from('voice_summaries')
+      .select('*')
+      .eq('tender_id', tenderId)
+      .eq('language', language)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create or replace the cached summary of a tender in a language
+  async save(supabaseInstance, summaryData) {
+    const { data, error } = await supabaseInstance
+      .from('voice_summaries')
+      .upsert({ ...summaryData, created_at: new Date().toISOString() }, { onConflict: 'tender_id,language' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Store generated audio
+  async uploadAudio(supabaseInstance, path, buffer, contentType) {
+    return getFileStorage().upload(supabaseInstance, VOICE_SUMMARIES_BUCKET, path, buffer, contentType);
+  },
+
+  // Read stored audio back as a Buffer
+  async downloadAudio(supabaseInstance, path) {
+    return getFileStorage().download(supabaseInstance, VOICE_SUMMARIES_BUCKET, path);
+  },
+
+  // Remove stored audio
+  async removeAudio(supabaseInstance, path) {
+    return getFileStorage().remove(supabaseInstance, VOICE_SUMMARIES_BUCKET, path);
+  }
+};
+
+// User profile operations
+export const userProfileOperations = {
+  // Get user profile
+  async getProfile(supabaseInstance, userId) {
+    const { data, error } = await supabaseInstance
+      .from('user_profiles')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+    
+    return data;
+  },
+
+  // Create or update user profile
+  async upsertProfile(supabaseInstance, userId, profileData) {
+    const { data, error } = await supabaseInstance
+      .from('user_profiles')
+      .upsert({
+        user_id: userId,
+        ...profileData,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id'
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  }
+};
+
+// AI usage ledger operations
+export const aiUsageOperations = {
+  // Get a user's AI plan, or null when they are on the default plan
+  async getPlan(supabaseInstance, userId) {
+    const { data, error } = await supabaseInstance
+      .from('user_ai_plans')
+      .select('plan')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data?.plan || null;
+  },
+
+  // Check a user's limits and record a pending request unless one is reached (nothing is recorded on a dry run)
+  async reserve(supabaseInstance, { userId, organizationId, task, limits, dryRun = false }) {
+    const { data, error } = await supabaseInstance.rpc('reserve_ai_usage', {
+      p_user_id: userId,
+      p_organization_id: organizationId || null,
+      p_task: task,
+      p_limits: limits,
+      p_dry_run: dryRun
+    });
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Record the outcome of a request
+  async complete(supabaseInstance, id, result) {
+    const { error } = await supabaseInstance
+      .from('ai_usage')
+      .update({ ...result, completed_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Get a user's requests and tokens in each sliding window
+  async getWindows(supabaseInstance, userId, windows) {
+    const { data, error } = await supabaseInstance.rpc('ai_usage_windows', {
+      p_user_id: userId,
+      p_windows: windows
+    });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Get totals of a user's requests per task since a date
+  async getByTask(supabaseInstance, userId, since) {
+    const { data, error } = await supabaseInstance.rpc('ai_usage_by_task', {
+      p_user_id: userId,
+      p_since: since
+    });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Get a user's most recent requests
+  async getRecent(supabaseInstance, userId, limit = 20) {
+    const { data, error } = await supabaseInstance
+      .from('ai_usage')
+      .select('id, task, status, model, total_tokens, estimated, cost_usd, duration_ms, validation_score, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+// Filter a chat_threads query to one scope (the thread about the tender itself has no proposal)
+function chatThreadScope(queryBuilder, { userId, organizationId, tenderId, proposalId }) {
+  const scoped = queryBuilder
+    .eq('user_id', userId)
+    .eq('organization_id', organizationId)
+    .eq('tender_id', tenderId);
+
+  return proposalId ? scoped.eq('proposal_id', proposalId) : scoped.is('proposal_id', null);
+}
+
+// AI chat thread operations
+export const chatThreadOperations = {
+  // Get a user's thread about a tender or proposal, or null when there is none yet
+  async find(supabaseInstance, scope) {
+    const { data, error } = await chatThreadScope(supabaseInstance.from('chat_threads').select('*'), scope)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get a user's thread about a tender or proposal, creating it if needed
+  async ensure(supabaseInstance, scope) {
+    const { error } = await supabaseInstance
+      .from('chat_threads')
+      .upsert({
+        user_id: scope.userId,
+        organization_id: scope.organizationId,
+        tender_id: scope.tenderId,
+        proposal_id: scope.proposalId || null
+      }, { onConflict: 'user_id,organization_id,tender_id,proposal_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+    return chatThreadOperations.find(supabaseInstance, scope);
+  },
+
+  // Replace a thread's summary of its older messages
+  async updateSummary(supabaseInstance, threadId, summary, summarizedUntil) {
+    const { error } = await supabaseInstance
+      .from('chat_threads')
+      .update({ summary, summarized_until: summarizedUntil })
+      .eq('id', threadId);
+
+    if (error) throw error;
+  },
+
+  // Get a thread's messages in order, optionally only those after a time or the most recent ones
+  async getMessages(supabaseInstance, threadId, { after = null, limit = null } = {}) {
+    let queryBuilder = supabaseInstance
+      .from('chat_messages')
+      .select('*')
+      .eq('thread_id', threadId);
+
+    if (after) {
+      queryBuilder = queryBuilder.gt('created_at', after);
+    }
+
+    // The most recent messages are fetched newest first and put back in order
+    if (limit) {
+      const { data, error } = await queryBuilder.order('created_at', { ascending: false }).limit(limit);
+      if (error) throw error;
+      return (data || []).reverse();
+    }
+
+    const { data, error } = await queryBuilder.order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Add messages to a thread
+  async addMessages(supabaseInstance, threadId, messages) {
+    const { data, error } = await supabaseInstance
+      .from('chat_messages')
+      .insert(messages.map(message => ({ ...message, thread_id: threadId })))
+      .select()
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get a message with the user its thread belongs to
+  async getMessage(supabaseInstance, id) {
+    const { data, error } = await supabaseInstance
+      .from('chat_messages')
+      .select('*, chat_threads!inner(user_id)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Pin or unpin a message
+  async setPinned(supabaseInstance, id, pinned) {
+    const { data, error } = await supabaseInstance
+      .from('chat_messages')
+      .update({ pinned })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete a thread's unpinned messages and its summary
+  async clear(supabaseInstance, threadId) {
+    const { error } = await supabaseInstance
+      .from('chat_messages')
+      .delete()
+      .eq('thread_id', threadId)
+      .eq('pinned', false);
+
+    if (error) throw error;
+    await chatThreadOperations.updateSummary(supabaseInstance, threadId, null, null);
+  }
+};
+
+// Saved search operations
+export const savedSearchOperations = {
+  // Get all saved searches for user
+  async getByUser(supabaseInstance, userId) {
+    const { data, error } = await supabaseInstance
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create new saved search
+  async create(supabaseInstance, userId, searchData) {
+    const { data, error } = await supabaseInstance
+      .from('saved_searches')
+      .insert({
+        user_id: userId,
+        ...searchData
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update saved search
+  async update(supabaseInstance, id, userId, updates) {
+    const { data, error } = await supabaseInstance
+      .from('saved_searches')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete saved search
+  async remove(supabaseInstance, id, userId) {
+    const { error } = await supabaseInstance
+      .from('saved_searches')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  },
+
+  // Get every saved search with alerts enabled (used by the digest job)
+  async getAlerting(supabaseInstance) {
+    const { data, error } = await supabaseInstance
+      .from('saved_searches')
+      .select('*')
+      .neq('alert_frequency', 'off');
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get tender IDs already delivered for a saved search
+  async getAlertedTenderIds(supabaseInstance, savedSearchId) {
+    const { data, error } = await supabaseInstance
+      .from('saved_search_alerts')
+      .select('tender_id')
+      .eq('saved_search_id', savedSearchId);
+
+    if (error) throw error;
+    return data.map(row => row.tender_id);
+  },
+
+  // Record delivered tenders and stamp the search as notified
+  async recordAlerts(supabaseInstance, savedSearchId, tenderIds) {
+    if (tenderIds.length > 0) {
+      const { error } = await supabaseInstance
+        .from('saved_search_alerts')
+        .upsert(
+          tenderIds.map(tenderId => ({ saved_search_id: savedSearchId, tender_id: tenderId })),
+          { onConflict: 'saved_search_id,tender_id', ignoreDuplicates: true }
+        );
+
+      if (error) throw error;
+    }
+
+    const { error: updateError } = await supabaseInstance
+      .from('saved_searches')
+      .update({ last_notified_at: new Date().toISOString() })
+      .eq('id', savedSearchId);
+
+    if (updateError) throw updateError;
+  }
+};
+
+// Closing-date reminder operations (used by the scheduled alerts job)
+export const deadlineReminderOperations = {
+  // Get active tenders sent through saved-search alerts that close within a window, with the user each was sent to
+  async getClosingAlerted(supabaseInstance, from, until) {
+    const { data, error } = await supabaseInstance
+      .from('saved_search_alerts')
+      .select('saved_searches!inner (user_id), tenders!inner (*)')
+      .eq('tenders.status', 'active')
+      .gt('tenders.closing_date', from)
+      .lte('tenders.closing_date', until);
+
+    if (error) throw error;
+    return data.map(row => ({ userId: row.saved_searches.user_id, tender: row.tenders }));
+  },
+
+  // Get tender IDs a user has already been reminded about
+  async getRemindedTenderIds(supabaseInstance, userId, tenderIds) {
+    if (tenderIds.length === 0) return [];
+
+    const { data, error } = await supabaseInstance
+      .from('deadline_reminders')
+      .select('tender_id')
+      .eq('user_id', userId)
+      .in('tender_id', tenderIds);
+
+    if (error) throw error;
+    return data.map(row => row.tender_id);
+  },
+
+  // Record sent reminders so each tender is only reminded once per user
+  async record(supabaseInstance, userId, tenderIds) {
+    if (tenderIds.length === 0) return;
+
+    const { error } = await supabaseInstance
+      .from('deadline_reminders')
+      .upsert(
+        tenderIds.map(tenderId => ({ user_id: userId, tender_id: tenderId })),
+        { onConflict: 'user_id,tender_id', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+  }
+};
+
+// Proposal template operations
+export const proposalTemplateOperations = {
+  // Get all templates for a company
+  async getByCompany(supabaseInstance, companyId) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_templates')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create new template
+  async create(supabaseInstance, companyId, templateData) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_templates')
+      .insert({
+        company_id: companyId,
+        ...templateData
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Update template
+  async update(supabaseInstance, id, companyId, updates) {
+    const { data, error } = await supabaseInstance
+      .from('proposal_templates')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('company_id', companyId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete template
+  async remove(supabaseInstance, id, companyId) {
+    const { error } = await supabaseInstance
+      .from('proposal_templates')
+      .delete()
+      .eq('id', id)
+      .eq('company_id', companyId);
+
+    if (error) throw error;
+  },
+
+  // Clear the default flag on every other template of a company
+  async clearDefault(supabaseInstance, companyId, exceptId = null) {
+    let queryBuilder = supabaseInstance
+      .from('proposal_templates')
+      .update({ is_default: false })
+      .eq('company_id', companyId)
+      .eq('is_default', true);
+
+    if (exceptId) {
+      queryBuilder = queryBuilder.neq('id', exceptId);
+    }
+
+    const { error } = await queryBuilder;
+    if (error) throw error;
+  }
+};
+
+// Organization operations
+export const organizationOperations = {
+  // Get a user's memberships with their organizations, oldest first
+  async getMemberships(supabaseInstance, userId) {
+    const { data, error } = await supabaseInstance
+      .from('organization_members')
+      .select(`
+        id,
+        role,
+        organization_id,
+        created_at,
+        organizations (
+          id,
+          name,
+          created_at
+        )
+      `)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the user's first organization, creating a personal one if they have none
+  async ensurePersonal(supabaseInstance, userId, name) {
+    const { data, error } = await supabaseInstance
+      .rpc('ensure_personal_organization', { p_user_id: userId, p_name: name });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create an organization with the user as its owner
+  async create(supabaseInstance, userId, name) {
+    const { data: organization, error } = await supabaseInstance
+      .from('organizations')
+      .insert({ name, created_by: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await organizationOperations.addMember(supabaseInstance, organization.id, userId, 'owner');
+    return organization;
+  },
+
+  // Rename an organization
+  async update(supabaseInstance, id, updates) {
+    const { data, error } = await supabaseInstance
+      .from('organizations')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get all members of an organization
+  async getMembers(supabaseInstance, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('organization_members')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get one member of an organization
+  async getMember(supabaseInstance, organizationId, memberId) {
+    const { data, error } = await supabaseInstance
+      .from('organization_members')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('id', memberId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Add a member, or change the role of an existing one
+  async addMember(supabaseInstance, organizationId, userId, role) {
+    const { data, error } = await supabaseInstance
+      .from('organization_members')
+      .upsert({
+        organization_id: organizationId,
+        user_id: userId,
+        role,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'organization_id,user_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Change a member's role
+  async updateMemberRole(supabaseInstance, organizationId, memberId, role) {
+    const { data, error } = await supabaseInstance
+      .from('organization_members')
+      .update({
+        role,
+        updated_at: new Date().toISOString()
+      })
+      .eq('organization_id', organizationId)
+      .eq('id', memberId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Remove a member
+  async removeMember(supabaseInstance, organizationId, memberId) {
+    const { error } = await supabaseInstance
+      .from('organization_members')
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('id', memberId);
+
+    if (error) throw error;
+  },
+
+  // Count the owners of an organization
+  async countOwners(supabaseInstance, organizationId) {
+    const { count, error } = await supabaseInstance
+      .from('organization_members')
+      .select('*', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)
+      .eq('role', 'owner');
+
+    if (error) throw error;
+    return count;
+  }
+};
+
+// Organization invitation operations
+export const invitationOperations = {
+  // Get pending (not accepted or revoked) invitations for an organization
+  async getPending(supabaseInstance, organizationId) {
+    const { data, error } = await supabaseInstance
+      .from('organization_invitations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Create new invitation
+  async create(supabaseInstance, invitationData) {
+    const { data, error } = await supabaseInstance
+      .from('organization_invitations')
+      .insert(invitationData)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Get an invitation by the hash of its token
+  async getByTokenHash(supabaseInstance, tokenHash) {
+    const { data, error } = await supabaseInstance
+      .from('organization_invitations')
+      .select(`
+        *,
+        organizations (
+          id,
+          name
+        )
+      `)
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data;
+  },
+
+  // Revoke pending invitations, either one by ID or every one for an email address
+  async revoke(supabaseInstance, organizationId, { id, email }) {
+    let queryBuilder = supabaseInstance
+      .from('organization_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('organization_id', organizationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    if (id) queryBuilder = queryBuilder.eq('id', id);
+    if (email) queryBuilder = queryBuilder.eq('email', email);
+
+    const { data, error } = await queryBuilder.select();
+    if (error) throw error;
+    return data;
+  },
+
+  // Mark an invitation as accepted
+  async markAccepted(supabaseInstance, id, userId) {
+    const { error } = await supabaseInstance
+      .from('organization_invitations')
+      .update({
+        accepted_at: new Date().toISOString(),
+        accepted_by: userId
+      })
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+// Utility functions
+export const dbUtils = {
+  // Check if an organization has completed its company profile
+  async hasCompanyProfile(supabaseInstance, organizationId) {
+    const profile = await companyOperations.getProfile(supabaseInstance, organizationId);
+    return profile && profile.name && profile.email;
+  },
+
+  // Get an organization's proposal count
+  async getProposalCount(supabaseInstance, organizationId) {
     const { count, error } = await supabaseInstance
       .from('proposals')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('organization_id', organizationId);
     
     if (error) throw error;
     return count;
   },
 
-  // Get user's attestation count
-  async getAttestationCount(supabaseInstance, userId) {
+  // Get an organization's attestation count
+  async getAttestationCount(supabaseInstance, organizationId) {
     const { count, error } = await supabaseInstance
       .from('attestations')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('organization_id', organizationId);
     
     if (error) throw error;
     return count;
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,41 @@
+// lib/eventStream.js
+// Server-sent event responses for API routes that stream AI output
+// Clients read them with streamApi in lib/api.js, which POSTs with the auth header (EventSource cannot)
+
+/**
+ * Starts a server-sent event response
+ * The returned signal aborts when the client disconnects, so the route can cancel the model request
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @returns {Object} { send(event, data), close(), signal }
+ */
+export function openEventStream(req, res) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps compression from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      res.flush?.();
+    },
+
+    close() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
@@ -0,0 +1,138 @@
+// lib/expiryAlerts.js
+// Scheduled credential expiry warnings
+// Each run finds CIDB registrations, contractor licences and certifications that have expired or entered a
+// warning window, and emails each organization's owners and editors once per credential and window
+
+import { companyOperations, organizationOperations, userProfileOperations, expiryAlertOperations } from './database';
+import { getExpiringCredentials, resolveExpiryWindows } from './profileHealth';
+import { isNotificationEnabled } from './notificationSettings';
+import { getNotifier } from './notifier';
+
+// Roles that can update the company profile, and so renew its credentials
+const ALERT_ROLES = ['owner', 'editor'];
+
+/**
+ * Renders the expiry warning email for one organization
+ * @param {string} companyName - Company name
+ * @param {Array<Object>} credentials - Expiring credentials from getExpiringCredentials
+ * @returns {Object} { subject, text, html }
+ */
+export function renderExpiryAlert(companyName, credentials) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const expired = credentials.filter(credential => credential.status === 'expired').length;
+  const subject = expired > 0
+    ? `Tenderly: ${expired} of ${companyName}'s credentials ${expired === 1 ? 'has' : 'have'} expired`
+    : `Tenderly: ${credentials.length} of ${companyName}'s credentials ${credentials.length === 1 ? 'expires' : 'expire'} soon`;
+
+  const describe = credential => credential.status === 'expired'
+    ? `expired on ${credential.expiresOn}`
+    : `expires on ${credential.expiresOn} (in ${credential.daysLeft} day${credential.daysLeft === 1 ? '' : 's'})`;
+
+  const text = [
+    `The following credentials of ${companyName} need renewing. Tenders that require them are marked at risk until the profile is updated.`,
+    '',
+    ...credentials.map(credential => `- ${credential.label}: ${describe(credential)}`),
+    '',
+    `Update the company profile: ${appUrl}/company-profile`,
+    `Manage alerts: ${appUrl}/settings`
+  ].join('\n');
+
+  const escape = value => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const html = `
+    <p>The following credentials of ${escape(companyName)} need renewing. Tenders that require them are marked at risk until the profile is updated.</p>
+    <ul>
+      ${credentials.map(credential => `<li><strong>${escape(credential.label)}</strong>: ${escape(describe(credential))}</li>`).join('')}
+    </ul>
+    <p><a href="${appUrl}/company-profile">Update the company profile</a> · <a href="${appUrl}/settings">Manage alerts</a></p>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Date part of an expiry date, as stored in `credential_expiry_alerts.expires_on`
+ * @param {string} date - Date text from the profile
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Email addresses of an organization's owners and editors who want expiry warnings
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array<string>>} Email addresses
+ */
+async function getAlertRecipients(supabase, organizationId) {
+  const members = (await organizationOperations.getMembers(supabase, organizationId))
+    .filter(member => ALERT_ROLES.includes(member.role));
+  const emails = [];
+
+  for (const member of members) {
+    const profile = await userProfileOperations.getProfile(supabase, member.user_id);
+    if (!isNotificationEnabled(profile?.notification_settings, 'emailNotifications', 'expiryReminders')) continue;
+
+    const { data: { user }, error } = await supabase.auth.admin.getUserById(member.user_id);
+    if (error || !user?.email) {
+      console.warn(`[Expiry Alerts] No email address for user ${member.user_id}:`, error?.message);
+      continue;
+    }
+    emails.push(user.email);
+  }
+
+  return emails;
+}
+
+/**
+ * Sends warnings for credentials that have expired or entered a new warning window since the last run
+ * A warning is recorded even when nobody opted in to receive it, so opting in later does not replay old windows
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - `now` (Date), `notifier` and `windows` (days) overrides
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function runExpiryAlerts(supabase, options = {}) {
+  const now = options.now || new Date();
+  const notifier = options.notifier || getNotifier();
+  const windows = options.windows || resolveExpiryWindows(process.env.EXPIRY_ALERT_WINDOWS);
+  const summary = { companiesChecked: 0, alertsRaised: 0, emailsSent: 0, errors: [] };
+
+  const companies = await companyOperations.getAllWithOrganization(supabase);
+
+  for (const company of companies) {
+    try {
+      summary.companiesChecked++;
+
+      const expiring = getExpiringCredentials(company, { now, windows });
+      if (expiring.length === 0) continue;
+
+      const sent = new Set((await expiryAlertOperations.getByOrganization(supabase, company.organization_id))
+        .map(alert => `${alert.credential_key}|${alert.expires_on}|${alert.window_days}`));
+      const due = expiring.filter(credential => !sent.has(`${credential.key}|${toDateKey(credential.expiresOn)}|${credential.window}`));
+      if (due.length === 0) continue;
+
+      const recipients = await getAlertRecipients(supabase, company.organization_id);
+      if (recipients.length > 0) {
+        await notifier.send({ to: recipients.join(', '), ...renderExpiryAlert(company.name || 'Your company', due) });
+        summary.emailsSent++;
+      }
+
+      await expiryAlertOperations.record(supabase, company.organization_id, due.map(credential => ({
+        credential_key: credential.key,
+        credential_label: credential.label,
+        expires_on: toDateKey(credential.expiresOn),
+        window_days: credential.window,
+        recipients: recipients.length
+      })));
+      summary.alertsRaised += due.length;
+    } catch (error) {
+      console.error(`[Expiry Alerts] Failed for organization ${company.organization_id}:`, error);
+      summary.errors.push({ organizationId: company.organization_id, message: error.message });
+    }
+  }
+
+  return summary;
+}
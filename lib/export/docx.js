@@ -0,0 +1,286 @@
+// lib/export/docx.js
+// Renders an export document (see lib/export/index.js) to a Word .docx with the docx package
+// The table of contents is a Word TOC field; Word and LibreOffice fill in page numbers when the file is opened
+
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageBreak,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableOfContents,
+  TableRow,
+  TabStopType,
+  TextRun,
+  WidthType
+} from 'docx';
+import { TOC_MAX_LEVEL } from './markdown';
+
+const FONT = 'Calibri';
+const CODE_FONT = 'Courier New';
+const ACCENT = '1D4ED8';
+const MUTED = '6B7280';
+
+// A4 content width in twips (210mm page, 25.4mm margins)
+const CONTENT_WIDTH = 9026;
+
+const HEADING_LEVELS = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4,
+  5: HeadingLevel.HEADING_5,
+  6: HeadingLevel.HEADING_6
+};
+
+/**
+ * Converts inline runs to docx TextRuns
+ * @param {Array} runs - Inline runs
+ * @param {Object} extra - Formatting applied to every run
+ * @returns {Array} TextRun instances
+ */
+function toTextRuns(runs, extra = {}) {
+  return runs.map(run => new TextRun({
+    text: run.text,
+    bold: run.bold || extra.bold,
+    italics: run.italic || extra.italics,
+    font: run.code ? CODE_FONT : undefined,
+    color: extra.color
+  }));
+}
+
+/**
+ * Builds a table from a table block
+ * @param {Object} block - Table block
+ * @returns {Table} docx table
+ */
+function toTable(block) {
+  const columnWidth = Math.floor(CONTENT_WIDTH / Math.max(block.header.length, 1));
+
+  const cell = (runs, header) => new TableCell({
+    width: { size: columnWidth, type: WidthType.DXA },
+    shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: 'F3F4F6' } : undefined,
+    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+    children: [new Paragraph({ children: toTextRuns(runs, { bold: header }) })]
+  });
+
+  return new Table({
+    width: { size: CONTENT_WIDTH, type: WidthType.DXA },
+    columnWidths: block.header.map(() => columnWidth),
+    rows: [
+      new TableRow({ tableHeader: true, children: block.header.map(runs => cell(runs, true)) }),
+      ...block.rows.map(row => new TableRow({ children: row.map(runs => cell(runs, false)) }))
+    ]
+  });
+}
+
+/**
+ * Converts parsed Markdown blocks to docx paragraphs and tables
+ * @param {Array} blocks - Parsed blocks
+ * @returns {Array} Section children
+ */
+function toChildren(blocks) {
+  const children = [];
+  let orderedListCount = 0;
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+        children.push(new Paragraph({ heading: HEADING_LEVELS[block.level], text: block.text }));
+        break;
+
+      case 'paragraph':
+        children.push(new Paragraph({
+          alignment: AlignmentType.JUSTIFIED,
+          spacing: { after: 160 },
+          children: toTextRuns(block.runs)
+        }));
+        break;
+
+      case 'list':
+        // Each ordered list restarts at 1 through its own numbering instance
+        if (block.ordered) orderedListCount++;
+        block.items.forEach(item => {
+          children.push(new Paragraph({
+            numbering: block.ordered
+              ? { reference: 'proposal-numbered', level: item.level, instance: orderedListCount }
+              : { reference: 'proposal-bullets', level: item.level },
+            children: toTextRuns(item.runs)
+          }));
+        });
+        break;
+
+      case 'table':
+        children.push(toTable(block));
+        children.push(new Paragraph({ text: '' }));
+        break;
+
+      case 'quote':
+        children.push(new Paragraph({
+          indent: { left: 400 },
+          border: { left: { style: BorderStyle.SINGLE, size: 12, color: 'D1D5DB', space: 8 } },
+          spacing: { after: 160 },
+          children: toTextRuns(block.runs, { italics: true })
+        }));
+        break;
+
+      case 'code':
+        block.text.split('\n').forEach(line => {
+          children.push(new Paragraph({
+            shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'F3F4F6' },
+            children: [new TextRun({ text: line || ' ', font: CODE_FONT, size: 18 })]
+          }));
+        });
+        children.push(new Paragraph({ text: '' }));
+        break;
+
+      case 'rule':
+        children.push(new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'D1D5DB', space: 1 } },
+          spacing: { after: 160 }
+        }));
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return children;
+}
+
+/**
+ * Builds the letterhead shown at the top of the cover page
+ * @param {Object} company - Export company details
+ * @returns {Array} Paragraphs
+ */
+function letterhead(company) {
+  const contact = [company.phone, company.email, company.website].filter(Boolean).join('  |  ');
+
+  return [
+    new Paragraph({ children: [new TextRun({ text: company.name || 'Company', bold: true, size: 32, color: ACCENT })] }),
+    ...[
+      company.registrationNumber ? `Registration No. ${company.registrationNumber}` : null,
+      company.address,
+      contact || null
+    ].filter(Boolean).map(line => new Paragraph({ children: [new TextRun({ text: line, size: 18, color: MUTED })] })),
+    new Paragraph({
+      border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: ACCENT, space: 4 } },
+      spacing: { after: 120 }
+    })
+  ];
+}
+
+/**
+ * Builds the cover page content
+ * @param {Object} exportDocument - Export document
+ * @returns {Array} Paragraphs
+ */
+function cover(exportDocument) {
+  const { company, tender, title, generatedAt } = exportDocument;
+
+  const lines = [
+    tender.title ? `Tender: ${tender.title}` : null,
+    tender.reference ? `Reference No.: ${tender.reference}` : null,
+    tender.agency ? `Procuring agency: ${tender.agency}` : null,
+    `Submitted by: ${company.name || 'Company'}`,
+    `Date: ${generatedAt.toLocaleDateString('en-MY', { day: 'numeric', month: 'long', year: 'numeric' })}`
+  ].filter(Boolean);
+
+  return [
+    new Paragraph({ spacing: { before: 2400, after: 400 }, children: [new TextRun({ text: title, bold: true, size: 48 })] }),
+    ...lines.map(line => new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: line, size: 24, color: MUTED })] }))
+  ];
+}
+
+/**
+ * Renders an export document to DOCX
+ * @param {Object} exportDocument - Result of buildExportDocument
+ * @returns {Promise<Buffer>} DOCX bytes
+ */
+export function renderDocx(exportDocument) {
+  const { company, tender, title, options } = exportDocument;
+  const reference = tender.reference ? `Tender Ref: ${tender.reference}` : 'Tender Ref: —';
+
+  // Compact header on every page after the cover
+  const pageHeader = new Header({
+    children: [new Paragraph({
+      tabStops: [{ type: TabStopType.RIGHT, position: CONTENT_WIDTH }],
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB', space: 4 } },
+      children: [
+        new TextRun({ text: options.includeLetterhead ? company.name || '' : '', bold: true, size: 18, color: MUTED }),
+        new TextRun({ text: `\t${reference}`, size: 18, color: MUTED })
+      ]
+    })]
+  });
+
+  // Reference and page numbers on every page, including the cover
+  const pageFooter = new Footer({
+    children: [new Paragraph({
+      tabStops: [{ type: TabStopType.RIGHT, position: CONTENT_WIDTH }],
+      border: { top: { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB', space: 4 } },
+      children: [
+        new TextRun({ text: reference, size: 18, color: MUTED }),
+        new TextRun({ children: ['\tPage ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 18, color: MUTED })
+      ]
+    })]
+  });
+
+  const frontMatter = [
+    ...(options.includeLetterhead ? letterhead(company) : []),
+    ...cover(exportDocument),
+    new Paragraph({ children: [new PageBreak()] })
+  ];
+
+  if (options.includeToc && exportDocument.toc.length > 0) {
+    frontMatter.push(
+      new Paragraph({ children: [new TextRun({ text: 'Table of Contents', bold: true, size: 36, color: ACCENT })] }),
+      new TableOfContents('Table of Contents', { hyperlink: true, headingStyleRange: `1-${TOC_MAX_LEVEL}` }),
+      new Paragraph({ children: [new PageBreak()] })
+    );
+  }
+
+  const listLevels = format => [0, 1, 2].map(level => ({
+    level,
+    format,
+    text: format === LevelFormat.BULLET ? ['•', '–', '◦'][level] : `%${level + 1}.`,
+    alignment: AlignmentType.LEFT,
+    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+  }));
+
+  const doc = new Document({
+    creator: company.name || 'Tenderly',
+    title,
+    description: tender.reference ? `Tender ${tender.reference}` : undefined,
+    features: { updateFields: true },
+    styles: {
+      default: { document: { run: { font: FONT, size: 22 } } }
+    },
+    numbering: {
+      config: [
+        { reference: 'proposal-bullets', levels: listLevels(LevelFormat.BULLET) },
+        { reference: 'proposal-numbered', levels: listLevels(LevelFormat.DECIMAL) }
+      ]
+    },
+    sections: [{
+      properties: {
+        titlePage: true,
+        page: { size: { width: 11906, height: 16838 } }
+      },
+      headers: { default: pageHeader, first: new Header({ children: [] }) },
+      footers: { default: pageFooter, first: pageFooter },
+      children: [...frontMatter, ...toChildren(exportDocument.blocks)]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
@@ -0,0 +1,73 @@
+// lib/export/index.js
+// Proposal export: builds a format-neutral export document from a proposal, its tender and the company profile,
+// then hands it to the PDF or DOCX renderer
+
+import { parseMarkdown, tocEntries } from './markdown';
+import { renderPdf } from './pdf';
+import { renderDocx } from './docx';
+
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    render: renderDocx
+  }
+};
+
+/**
+ * Builds the document every renderer works from
+ * @param {Object} params - { proposal, tender, company, content, options, generatedAt }
+ * @returns {Object} Export document
+ */
+export function buildExportDocument({ proposal, tender = {}, company = {}, content, options = {}, generatedAt }) {
+  const blocks = parseMarkdown(content !== undefined ? content : proposal.content);
+
+  return {
+    title: proposal.title || (tender.title ? `Proposal for ${tender.title}` : 'Proposal'),
+    tender: {
+      title: tender.title || null,
+      reference: tender.tender_id || null,
+      agency: tender.agency || null
+    },
+    company: {
+      name: company.name || null,
+      registrationNumber: company.registration_number || null,
+      address: company.address || null,
+      phone: company.contact_phone || company.phone || null,
+      email: company.contact_email || company.email || null,
+      website: company.website || null
+    },
+    blocks,
+    toc: tocEntries(blocks),
+    generatedAt: generatedAt ? new Date(generatedAt) : new Date(),
+    options: {
+      includeToc: options.includeToc !== false,
+      includeLetterhead: options.includeLetterhead !== false
+    }
+  };
+}
+
+/**
+ * Renders an export document in the requested format
+ * @param {string} format - 'pdf' or 'docx'
+ * @param {Object} exportDocument - Result of buildExportDocument
+ * @returns {Promise<Object>} { buffer, contentType, filename }
+ */
+export async function renderExport(format, exportDocument) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const buffer = await exporter.render(exportDocument);
+  const base = [exportDocument.tender.reference, exportDocument.title]
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^a-z0-9]+/gi, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase()
+    .slice(0, 80) || 'proposal';
+
+  return { buffer, contentType: exporter.contentType, filename: `${base}.${exporter.extension}` };
+}
@@ -0,0 +1,187 @@
+// lib/export/markdown.js
+// Minimal Markdown parser for proposal exports
+// Produces a flat list of blocks (headings, paragraphs, lists, tables, quotes, code, rules)
+// that the PDF and DOCX renderers walk; covers the subset the editor toolbar and AI generation produce
+
+// Deepest heading level listed in the table of contents
+export const TOC_MAX_LEVEL = 3;
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|__[^_]+__|\*[^*\s][^*]*\*|_[^_\s][^_]*_|`[^`]+`|\[[^\]]+\]\([^)]+\))/;
+
+/**
+ * Splits inline Markdown into styled text runs
+ * @param {string} text - Inline Markdown
+ * @returns {Array} [{ text, bold, italic, code }]
+ */
+export function parseInline(text) {
+  const runs = [];
+
+  String(text || '').split(INLINE_PATTERN).forEach(part => {
+    if (!part) return;
+
+    if (/^(\*\*|__)[\s\S]+\1$/.test(part)) {
+      runs.push({ text: part.slice(2, -2), bold: true });
+    } else if (/^`[\s\S]+`$/.test(part)) {
+      runs.push({ text: part.slice(1, -1), code: true });
+    } else if (/^([*_])[\s\S]+\1$/.test(part)) {
+      runs.push({ text: part.slice(1, -1), italic: true });
+    } else if (/^\[[^\]]+\]\([^)]+\)$/.test(part)) {
+      // Links keep their label; exported documents are read on paper
+      runs.push({ text: part.match(/^\[([^\]]+)\]/)[1] });
+    } else {
+      runs.push({ text: part });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Returns the plain text of a list of runs
+ * @param {Array} runs - Inline runs
+ * @returns {string} Text without formatting
+ */
+export function runsToText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+/**
+ * Splits a Markdown table row into cell strings
+ * @param {string} line - Table row, e.g. "| a | b |"
+ * @returns {Array} Cell texts
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Parses proposal Markdown into blocks
+ * @param {string} markdown - Proposal content
+ * @returns {Array} Blocks: heading, paragraph, list, table, quote, code, rule
+ */
+export function parseMarkdown(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Blank line ends a paragraph
+    if (!trimmed) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    if (trimmed.startsWith('```')) {
+      flushParagraph();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      i++;
+      continue;
+    }
+
+    // ATX heading
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: runsToText(parseInline(heading[2])) });
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    // Table: a row followed by a divider row
+    if (trimmed.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      flushParagraph();
+      const header = splitTableRow(trimmed).map(parseInline);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim().includes('|')) {
+        const cells = splitTableRow(lines[i]).map(parseInline);
+        // Pad or trim to the header width so renderers can rely on a rectangular grid
+        rows.push(header.map((_, index) => cells[index] || []));
+        i++;
+      }
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    // Blockquote
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quote = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'quote', runs: parseInline(quote.join(' ')) });
+      continue;
+    }
+
+    // List (consecutive items of the same kind; indentation gives the nesting level)
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushParagraph();
+      const ordered = /\d/.test(item[2]);
+      const items = [];
+      while (i < lines.length) {
+        const current = lines[i].match(LIST_ITEM);
+        if (current && /\d/.test(current[2]) === ordered) {
+          items.push({ level: Math.min(Math.floor(current[1].replace(/\t/g, '  ').length / 2), 2), runs: parseInline(current[3]) });
+          i++;
+        } else if (!current && lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+          // Continuation line of the previous item
+          const last = items[items.length - 1];
+          last.runs = last.runs.concat(parseInline(` ${lines[i].trim()}`));
+          i++;
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    paragraph.push(trimmed);
+    i++;
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Lists the headings that belong in the table of contents
+ * @param {Array} blocks - Parsed blocks
+ * @returns {Array} Heading blocks
+ */
+export function tocEntries(blocks) {
+  return blocks.filter(block => block.type === 'heading' && block.level <= TOC_MAX_LEVEL);
+}
@@ -0,0 +1,415 @@
+// lib/export/pdf.js
+// Renders an export document (see lib/export/index.js) to a paginated A4 PDF with pdfkit
+// Pages are buffered so the table of contents, headers and footers can be filled in once page numbers are known
+
+import PDFDocument from 'pdfkit';
+import { runsToText, TOC_MAX_LEVEL } from './markdown';
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  code: 'Courier'
+};
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6B7280',
+  rule: '#D1D5DB',
+  accent: '#1D4ED8',
+  tableHeader: '#F3F4F6'
+};
+
+const MARGINS = { top: 90, bottom: 70, left: 60, right: 60 };
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 13, 4: 12, 5: 11, 6: 11 };
+const BODY_SIZE = 11;
+const TOC_ENTRIES_PER_PAGE = 32;
+
+/**
+ * Picks the font for an inline run
+ * @param {Object} run - { bold, italic, code }
+ * @returns {string} pdfkit font name
+ */
+function fontFor(run) {
+  if (run.code) return FONTS.code;
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+/**
+ * Writes styled runs as one flowing paragraph
+ * @param {PDFDocument} doc - Document
+ * @param {Array} runs - Inline runs
+ * @param {Object} options - pdfkit text options (x, y, width, ...)
+ */
+function writeRuns(doc, runs, options = {}) {
+  const { x, y, ...textOptions } = options;
+  const parts = runs.length > 0 ? runs : [{ text: '' }];
+
+  parts.forEach((run, index) => {
+    doc.font(fontFor(run));
+    const continued = index < parts.length - 1;
+    if (index === 0 && x !== undefined) {
+      doc.text(run.text, x, y, { ...textOptions, continued });
+    } else {
+      doc.text(run.text, { ...textOptions, continued });
+    }
+  });
+
+  doc.font(FONTS.regular);
+}
+
+/**
+ * Starts a new page when less than `height` points remain
+ * @param {PDFDocument} doc - Document
+ * @param {number} height - Space needed
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+/**
+ * Renders a table with a repeated header row on each page it spans
+ * @param {PDFDocument} doc - Document
+ * @param {Object} block - Table block
+ */
+function renderTable(doc, block) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidth = width / Math.max(block.header.length, 1);
+  const padding = 5;
+
+  doc.fontSize(BODY_SIZE - 1);
+
+  const rowHeight = (cells, header) => Math.max(...cells.map(cell => {
+    doc.font(header ? FONTS.bold : FONTS.regular);
+    return doc.heightOfString(runsToText(cell) || ' ', { width: columnWidth - padding * 2 });
+  })) + padding * 2;
+
+  const drawRow = (cells, header) => {
+    const height = rowHeight(cells, header);
+    const top = doc.y;
+
+    cells.forEach((cell, index) => {
+      const x = left + index * columnWidth;
+      if (header) {
+        doc.rect(x, top, columnWidth, height).fillAndStroke(COLORS.tableHeader, COLORS.rule);
+      } else {
+        doc.rect(x, top, columnWidth, height).stroke(COLORS.rule);
+      }
+      doc.fillColor(COLORS.text);
+      writeRuns(doc, header ? cell.map(run => ({ ...run, bold: true })) : cell, {
+        x: x + padding,
+        y: top + padding,
+        width: columnWidth - padding * 2
+      });
+    });
+
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  doc.lineWidth(0.5);
+  ensureSpace(doc, rowHeight(block.header, true) + (block.rows[0] ? rowHeight(block.rows[0], false) : 0));
+  drawRow(block.header, true);
+
+  block.rows.forEach(row => {
+    const height = rowHeight(row, false);
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(block.header, true);
+    }
+    drawRow(row, false);
+  });
+
+  doc.fontSize(BODY_SIZE);
+  doc.moveDown(0.8);
+}
+
+/**
+ * Renders the body blocks, recording the page index of each heading for the table of contents
+ * @param {PDFDocument} doc - Document
+ * @param {Array} blocks - Parsed Markdown blocks
+ * @returns {Array} [{ text, level, pageIndex, destination }]
+ */
+function renderBlocks(doc, blocks) {
+  const headings = [];
+  const left = doc.page.margins.left;
+  const width = () => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  let orderedCounters = [];
+
+  blocks.forEach((block, blockIndex) => {
+    doc.x = left;
+    doc.fillColor(COLORS.text).fontSize(BODY_SIZE);
+
+    switch (block.type) {
+      case 'heading': {
+        const size = HEADING_SIZES[block.level];
+        // Keep headings with at least a few lines of the text that follows
+        ensureSpace(doc, size * 2 + BODY_SIZE * 4);
+        doc.moveDown(block.level <= 2 ? 0.8 : 0.5);
+
+        const destination = `section-${blockIndex}`;
+        doc.addNamedDestination(destination);
+        headings.push({
+          text: block.text,
+          level: block.level,
+          pageIndex: doc.bufferedPageRange().start + doc.bufferedPageRange().count - 1,
+          destination
+        });
+
+        doc.font(FONTS.bold).fontSize(size)
+          .fillColor(block.level === 1 ? COLORS.accent : COLORS.text)
+          .text(block.text, left, doc.y, { width: width() });
+        doc.moveDown(0.4);
+        break;
+      }
+
+      case 'paragraph':
+        writeRuns(doc, block.runs, { x: left, y: doc.y, width: width(), align: 'justify', lineGap: 2 });
+        doc.moveDown(0.6);
+        break;
+
+      case 'list':
+        orderedCounters = [];
+        block.items.forEach(item => {
+          orderedCounters[item.level] = (orderedCounters[item.level] || 0) + 1;
+          orderedCounters.length = item.level + 1;
+
+          const indent = 18 + item.level * 18;
+          const marker = block.ordered ? `${orderedCounters[item.level]}.` : (item.level === 0 ? '•' : '–');
+          const textWidth = width() - indent;
+          const height = doc.heightOfString(runsToText(item.runs) || ' ', { width: textWidth });
+
+          ensureSpace(doc, Math.min(height, BODY_SIZE * 3));
+          const top = doc.y;
+          doc.font(FONTS.regular).text(marker, left + indent - 16, top, { width: 14, align: 'right' });
+          writeRuns(doc, item.runs, { x: left + indent, y: top, width: textWidth, lineGap: 2 });
+          doc.moveDown(0.2);
+        });
+        doc.moveDown(0.5);
+        break;
+
+      case 'table':
+        renderTable(doc, block);
+        break;
+
+      case 'quote': {
+        const top = doc.y;
+        writeRuns(doc, block.runs.map(run => ({ ...run, italic: true })), {
+          x: left + 14,
+          y: top,
+          width: width() - 14,
+          lineGap: 2
+        });
+        doc.moveTo(left + 4, top).lineTo(left + 4, doc.y).lineWidth(2).stroke(COLORS.rule);
+        doc.moveDown(0.6);
+        break;
+      }
+
+      case 'code': {
+        doc.font(FONTS.code).fontSize(BODY_SIZE - 2);
+        const height = doc.heightOfString(block.text || ' ', { width: width() - 16 }) + 12;
+        ensureSpace(doc, Math.min(height, 120));
+        const top = doc.y;
+        doc.rect(left, top, width(), height).fill(COLORS.tableHeader);
+        doc.fillColor(COLORS.text).text(block.text || ' ', left + 8, top + 6, { width: width() - 16 });
+        doc.font(FONTS.regular).fontSize(BODY_SIZE);
+        doc.moveDown(0.8);
+        break;
+      }
+
+      case 'rule':
+        doc.moveDown(0.3);
+        doc.moveTo(left, doc.y).lineTo(left + width(), doc.y).lineWidth(0.5).stroke(COLORS.rule);
+        doc.moveDown(0.8);
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * Writes the full company letterhead at the top of the cover page
+ * @param {PDFDocument} doc - Document
+ * @param {Object} company - Export company details
+ */
+function renderLetterhead(doc, company) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font(FONTS.bold).fontSize(16).fillColor(COLORS.accent).text(company.name || 'Company', left, 50, { width });
+
+  const details = [
+    company.registrationNumber ? `Registration No. ${company.registrationNumber}` : null,
+    company.address,
+    [company.phone, company.email, company.website].filter(Boolean).join('  |  ') || null
+  ].filter(Boolean);
+
+  doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted);
+  details.forEach(line => doc.text(line, { width }));
+
+  doc.moveDown(0.5);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1).stroke(COLORS.accent);
+}
+
+/**
+ * Renders the cover page
+ * @param {PDFDocument} doc - Document
+ * @param {Object} exportDocument - Export document
+ */
+function renderCover(doc, exportDocument) {
+  const { company, tender, title, generatedAt, options } = exportDocument;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  if (options.includeLetterhead) {
+    renderLetterhead(doc, company);
+  }
+
+  doc.font(FONTS.bold).fontSize(24).fillColor(COLORS.text).text(title, left, 220, { width });
+  doc.moveDown(0.6);
+
+  const lines = [
+    tender.title ? `Tender: ${tender.title}` : null,
+    tender.reference ? `Reference No.: ${tender.reference}` : null,
+    tender.agency ? `Procuring agency: ${tender.agency}` : null,
+    `Submitted by: ${company.name || 'Company'}`,
+    `Date: ${generatedAt.toLocaleDateString('en-MY', { day: 'numeric', month: 'long', year: 'numeric' })}`
+  ].filter(Boolean);
+
+  doc.font(FONTS.regular).fontSize(12).fillColor(COLORS.muted);
+  lines.forEach(line => {
+    doc.text(line, { width });
+    doc.moveDown(0.3);
+  });
+}
+
+/**
+ * Fills the reserved table of contents pages
+ * @param {PDFDocument} doc - Document
+ * @param {number} firstPage - Index of the first reserved page
+ * @param {Array} headings - Headings recorded by renderBlocks
+ */
+function renderToc(doc, firstPage, headings) {
+  headings.forEach((heading, index) => {
+    if (index % TOC_ENTRIES_PER_PAGE === 0) {
+      doc.switchToPage(firstPage + index / TOC_ENTRIES_PER_PAGE);
+      doc.x = doc.page.margins.left;
+      doc.y = doc.page.margins.top;
+      if (index === 0) {
+        doc.font(FONTS.bold).fontSize(18).fillColor(COLORS.accent).text('Table of Contents');
+        doc.moveDown(0.8);
+      }
+    }
+
+    const left = doc.page.margins.left + (heading.level - 1) * 14;
+    const width = doc.page.width - doc.page.margins.right - left;
+    const top = doc.y;
+
+    doc.font(heading.level === 1 ? FONTS.bold : FONTS.regular).fontSize(BODY_SIZE).fillColor(COLORS.text);
+    doc.text(heading.text, left, top, { width: width - 40, goTo: heading.destination, lineBreak: false, ellipsis: true });
+    doc.text(String(heading.pageIndex + 1), left + width - 40, top, { width: 40, align: 'right' });
+    doc.y = top + BODY_SIZE + 7;
+  });
+}
+
+/**
+ * Draws the header and footer on every page: letterhead name and tender reference at the top,
+ * tender reference and page numbers at the bottom
+ * @param {PDFDocument} doc - Document
+ * @param {Object} exportDocument - Export document
+ */
+function renderPageFurniture(doc, exportDocument) {
+  const { company, tender, options } = exportDocument;
+  const range = doc.bufferedPageRange();
+  const reference = tender.reference ? `Tender Ref: ${tender.reference}` : 'Tender Ref: —';
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Writing inside the margins must not trigger pdfkit's automatic page breaks
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    if (index > range.start) {
+      doc.font(FONTS.bold).fontSize(9).fillColor(COLORS.muted);
+      if (options.includeLetterhead) {
+        doc.text(company.name || '', left, 40, { width: width / 2, lineBreak: false, ellipsis: true });
+      }
+      doc.font(FONTS.regular).text(reference, left + width / 2, 40, { width: width / 2, align: 'right' });
+      doc.moveTo(left, 56).lineTo(left + width, 56).lineWidth(0.5).stroke(COLORS.rule);
+    }
+
+    const footerY = doc.page.height - 45;
+    doc.moveTo(left, footerY - 8).lineTo(left + width, footerY - 8).lineWidth(0.5).stroke(COLORS.rule);
+    doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted);
+    doc.text(reference, left, footerY, { width: width / 2, lineBreak: false });
+    doc.text(`Page ${index - range.start + 1} of ${range.count}`, left + width / 2, footerY, { width: width / 2, align: 'right' });
+
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Renders an export document to PDF
+ * @param {Object} exportDocument - Result of buildExportDocument
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export function renderPdf(exportDocument) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: MARGINS,
+      bufferPages: true,
+      info: {
+        Title: exportDocument.title,
+        Author: exportDocument.company.name || undefined,
+        Subject: exportDocument.tender.reference ? `Tender ${exportDocument.tender.reference}` : undefined,
+        Creator: 'Tenderly'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      renderCover(doc, exportDocument);
+
+      // Reserve table of contents pages; they are filled once heading page numbers are known
+      const tocCount = exportDocument.options.includeToc
+        ? Math.ceil(exportDocument.toc.length / TOC_ENTRIES_PER_PAGE)
+        : 0;
+      const tocStart = doc.bufferedPageRange().count;
+      for (let i = 0; i < tocCount; i++) {
+        doc.addPage();
+      }
+
+      doc.addPage();
+      const headings = renderBlocks(doc, exportDocument.blocks);
+
+      if (tocCount > 0) {
+        renderToc(doc, tocStart, headings.filter(heading => heading.level <= TOC_MAX_LEVEL));
+      }
+
+      renderPageFurniture(doc, exportDocument);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
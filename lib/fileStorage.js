@@ -0,0 +1,102 @@
+// lib/fileStorage.js
+// Pluggable file storage for uploaded and generated files (submissions, tender documents, the company document vault)
+// Select a driver with FILE_STORAGE_DRIVER: "supabase" (default, Supabase Storage buckets) or "local"
+// The local driver keeps files under FILE_STORAGE_DIR (default .storage), one folder per bucket; use it in development only
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Stores files in private Supabase Storage buckets created by the migrations
+ */
+const supabaseDriver = {
+  name: 'supabase',
+
+  async upload(supabaseInstance, bucket, filePath, buffer, contentType) {
+    const { error } = await supabaseInstance.storage
+      .from(bucket)
+      .upload(filePath, buffer, { contentType, upsert: true });
+
+    if (error) throw error;
+    return filePath;
+  },
+
+  async download(supabaseInstance, bucket, filePath) {
+    const { data, error } = await supabaseInstance.storage
+      .from(bucket)
+      .download(filePath);
+
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  },
+
+  async remove(supabaseInstance, bucket, filePath) {
+    const { error } = await supabaseInstance.storage
+      .from(bucket)
+      .remove([filePath]);
+
+    if (error) throw error;
+  }
+};
+
+/**
+ * Creates a driver that keeps files on the local filesystem
+ * @param {string} root - Directory holding one folder per bucket
+ * @returns {Object} Driver with the same methods as the Supabase driver
+ */
+function createLocalDriver(root) {
+  // Storage paths come from the server, but never let one point outside its bucket
+  const resolve = (bucket, filePath) => {
+    const bucketDir = path.resolve(root, bucket);
+    const fullPath = path.resolve(bucketDir, filePath);
+    if (!fullPath.startsWith(bucketDir + path.sep)) {
+      throw new Error(`Invalid storage path: ${filePath}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    async upload(supabaseInstance, bucket, filePath, buffer) {
+      const fullPath = resolve(bucket, filePath);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, buffer);
+      return filePath;
+    },
+
+    async download(supabaseInstance, bucket, filePath) {
+      return fs.readFile(resolve(bucket, filePath));
+    },
+
+    async remove(supabaseInstance, bucket, filePath) {
+      await fs.rm(resolve(bucket, filePath), { force: true });
+    }
+  };
+}
+
+let fileStorage = null;
+
+/**
+ * Returns the configured storage driver (created once per server process)
+ * Every method takes the Supabase client first so callers do not depend on the driver
+ * @returns {Object} Driver with upload(supabase, bucket, path, buffer, contentType), download(supabase, bucket, path)
+ *   returning a Buffer, and remove(supabase, bucket, path)
+ */
+export function getFileStorage() {
+  if (fileStorage) return fileStorage;
+
+  fileStorage = process.env.FILE_STORAGE_DRIVER === 'local'
+    ? createLocalDriver(path.resolve(process.env.FILE_STORAGE_DIR || '.storage'))
+    : supabaseDriver;
+
+  return fileStorage;
+}
+
+/**
+ * Replaces the storage driver, e.g. with an in-memory driver in tests or scripts
+ * @param {Object} driver - Object with upload, download and remove methods
+ */
+export function setFileStorage(driver) {
+  fileStorage = driver;
+}
@@ -0,0 +1,118 @@
+// lib/ingestion/adapters/dropFolder.js
+// Reads tender notices from CSV and JSON files placed in a drop directory
+// Used for portals that only offer downloads, and for exercising the pipeline locally
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Parses CSV text (RFC 4180 quoting) into an array of objects keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Parsed records
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!headers) return [];
+
+  return records.map(values => headers.reduce((record, header, index) => {
+    record[header.trim()] = values[index] !== undefined ? values[index].trim() : '';
+    return record;
+  }, {}));
+}
+
+// Files each fetchNotices result was read from, so they are only archived once the run has stored them
+const readFiles = new WeakMap();
+
+/**
+ * Reads every .csv and .json file in the drop directory
+ * Files are not moved here; see archiveNotices
+ * @param {Object} source - `tender_sources` row; `location` is the directory path
+ * @returns {Promise<Array>} Raw notice records
+ */
+export async function fetchNotices(source) {
+  const directory = path.resolve(source.location);
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const records = [];
+  const files = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+
+    const extension = path.extname(entry.name).toLowerCase();
+    if (extension !== '.csv' && extension !== '.json') continue;
+
+    const filePath = path.join(directory, entry.name);
+    const content = await fs.readFile(filePath, 'utf8');
+
+    if (extension === '.csv') {
+      records.push(...parseCsv(content));
+    } else {
+      const parsed = JSON.parse(content);
+      // Accept either a bare array or { tenders: [...] }
+      records.push(...(Array.isArray(parsed) ? parsed : parsed.tenders || []));
+    }
+
+    files.push(filePath);
+  }
+
+  readFiles.set(records, files);
+  return records;
+}
+
+/**
+ * Moves the files a fetchNotices result was read from into a `processed/` subdirectory
+ * Called by the pipeline only after every notice was stored, so a failed run leaves the files to be read again
+ * @param {Object} source - `tender_sources` row
+ * @param {Object} source.options - `archive: true` enables archiving
+ * @param {Array} records - Result of fetchNotices
+ * @returns {Promise<void>}
+ */
+export async function archiveNotices(source, records) {
+  const files = readFiles.get(records) || [];
+  if (!source.options?.archive || files.length === 0) return;
+
+  const archiveDir = path.join(path.resolve(source.location), 'processed');
+  await fs.mkdir(archiveDir, { recursive: true });
+
+  for (const filePath of files) {
+    await fs.rename(filePath, path.join(archiveDir, `${Date.now()}-${path.basename(filePath)}`));
+  }
+}
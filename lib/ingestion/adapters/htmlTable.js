@@ -0,0 +1,87 @@
+// lib/ingestion/adapters/htmlTable.js
+// Scrapes tender listings that portals publish as plain HTML tables
+// The header row supplies the column names, which normalize.js maps to tender fields
+
+import { cleanText, decodeEntities } from '../normalize';
+
+/**
+ * Splits a table fragment into rows of raw cell HTML
+ * @param {string} tableHtml - HTML of a single <table>
+ * @returns {Array<Array<string>>} Rows of cell HTML
+ */
+function readRows(tableHtml) {
+  const rows = tableHtml.match(/<tr[\s>][\s\S]*?<\/tr>/gi) || [];
+  return rows.map(row => {
+    const cells = row.match(/<t[hd][\s>][\s\S]*?<\/t[hd]>/gi) || [];
+    return cells.map(cell => cell.replace(/^<t[hd][^>]*>/i, '').replace(/<\/t[hd]>$/i, ''));
+  });
+}
+
+/**
+ * Resolves a (possibly relative) link found in a cell against the page URL
+ * @param {string} cellHtml - Cell HTML
+ * @param {string} pageUrl - URL of the scraped page
+ * @returns {string|null} Absolute link
+ */
+function readCellLink(cellHtml, pageUrl) {
+  const match = cellHtml.match(/<a[^>]*href=["']([^"']+)["']/i);
+  if (!match) return null;
+  try {
+    return new URL(decodeEntities(match[1]), pageUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetches a listing page and converts the selected table into raw notice records
+ * @param {Object} source - `tender_sources` row; `location` is the page URL
+ * @param {Object} source.options - `tableIndex` (default 0) picks which table on the page to read
+ * @param {Object} deps - Injectable dependencies (fetch) for local fixtures
+ * @returns {Promise<Array>} Raw notice records
+ */
+export async function fetchNotices(source, deps = {}) {
+  const fetchImpl = deps.fetch || fetch;
+  const options = source.options || {};
+
+  const response = await fetchImpl(source.location, {
+    headers: { 'Accept': 'text/html' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Listing page request failed: HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  const tables = html.match(/<table[\s>][\s\S]*?<\/table>/gi) || [];
+  const table = tables[options.tableIndex || 0];
+
+  if (!table) {
+    throw new Error('No table found on listing page');
+  }
+
+  const [headerRow, ...bodyRows] = readRows(table);
+  if (!headerRow || bodyRows.length === 0) {
+    return [];
+  }
+
+  const headers = headerRow.map(cell => cleanText(cell) || '');
+
+  return bodyRows
+    .filter(cells => cells.length === headers.length)
+    .map(cells => {
+      const record = {};
+      let link = null;
+
+      cells.forEach((cell, index) => {
+        record[headers[index]] = cleanText(cell);
+        link = link || readCellLink(cell, source.location);
+      });
+
+      if (link && !record.link) {
+        record.link = link;
+      }
+
+      return record;
+    });
+}
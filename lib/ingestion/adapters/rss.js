@@ -0,0 +1,91 @@
+// lib/ingestion/adapters/rss.js
+// Reads tender notices from RSS 2.0 and Atom feeds published by procurement portals
+
+import { decodeEntities } from '../normalize';
+
+/**
+ * Returns the inner text of the first matching element, or null
+ * @param {string} xml - XML fragment
+ * @param {Array<string>} tags - Candidate tag names, tried in order
+ * @returns {string|null} Element text
+ */
+function readTag(xml, tags) {
+  for (const tag of tags) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    if (match) {
+      return decodeEntities(match[1]).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the item link from either an RSS <link> element or an Atom <link href="...">
+ * @param {string} xml - Item/entry fragment
+ * @returns {string|null} Link URL
+ */
+function readLink(xml) {
+  const atomLink = xml.match(/<link[^>]*href=["']([^"']+)["'][^>]*\/?>/i);
+  if (atomLink) return decodeEntities(atomLink[1]);
+  return readTag(xml, ['link']);
+}
+
+/**
+ * Picks values such as closing date or reference number out of free-text descriptions,
+ * which is where most portal feeds put them
+ * @param {string} text - Description text
+ * @returns {Object} Extracted fields
+ */
+function extractInlineFields(text) {
+  if (!text) return {};
+
+  const plain = text.replace(/<[^>]+>/g, ' ');
+  const fields = {};
+
+  const closing = plain.match(/(?:closing date|tarikh tutup|closes on|deadline)\s*[:\-]?\s*([0-9]{1,2}[\/\-.][0-9]{1,2}[\/\-.][0-9]{4}(?:\s+[0-9]{1,2}:[0-9]{2})?|[0-9]{4}-[0-9]{2}-[0-9]{2})/i);
+  if (closing) fields.closing_date = closing[1];
+
+  const reference = plain.match(/(?:reference(?: no\.?)?|ref(?: no)?\.?|tender no\.?|no\. tender|no\. sebut harga)\s*[:\-]\s*([A-Z0-9][A-Z0-9\/\-.]+)/i);
+  if (reference) fields.tender_id = reference[1];
+
+  const budget = plain.match(/(?:budget|estimated value|anggaran)\s*[:\-]?\s*((?:RM|MYR|USD|SGD)\s?[0-9][0-9,.]*(?:\s?(?:million|juta|mil|k))?)/i);
+  if (budget) fields.budget = budget[1];
+
+  return fields;
+}
+
+/**
+ * Fetches and parses a feed into raw notice records
+ * @param {Object} source - `tender_sources` row; `location` is the feed URL
+ * @param {Object} deps - Injectable dependencies (fetch) for local fixtures
+ * @returns {Promise<Array>} Raw notice records
+ */
+export async function fetchNotices(source, deps = {}) {
+  const fetchImpl = deps.fetch || fetch;
+
+  const response = await fetchImpl(source.location, {
+    headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Feed request failed: HTTP ${response.status}`);
+  }
+
+  const xml = await response.text();
+  const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+
+  return blocks.map(block => {
+    const description = readTag(block, ['description', 'summary', 'content:encoded', 'content']);
+
+    return {
+      ...extractInlineFields(description),
+      title: readTag(block, ['title']),
+      description,
+      link: readLink(block),
+      guid: readTag(block, ['guid', 'id']),
+      published: readTag(block, ['pubDate', 'published', 'updated', 'dc:date']),
+      category: readTag(block, ['category']),
+      agency: readTag(block, ['author', 'dc:creator'])
+    };
+  });
+}
@@ -0,0 +1,173 @@
+// lib/ingestion/index.js
+// Tender ingestion pipeline: reads each configured source through its adapter,
+// normalizes notices into `tenders` rows, deduplicates on tender_id + agency and records run history
+
+import { tenderOperations, ingestionOperations } from '../database';
+import { normalizeNotice, dedupeKey } from './normalize';
+import * as rssAdapter from './adapters/rss';
+import * as htmlTableAdapter from './adapters/htmlTable';
+import * as dropFolderAdapter from './adapters/dropFolder';
+
+/**
+ * Registered adapters, keyed by the `tender_sources.adapter` value.
+ * Each adapter exports `fetchNotices(source, deps)` returning raw records, and may export
+ * `archiveNotices(source, records)`, which runs once every record was stored without errors.
+ */
+export const ADAPTERS = {
+  rss: rssAdapter,
+  html_table: htmlTableAdapter,
+  drop_folder: dropFolderAdapter
+};
+
+const INSERT_CHUNK_SIZE = 50;
+
+/**
+ * Writes a batch of normalized rows, inserting new notices, updating changed ones and skipping unchanged ones
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Array} rows - Normalized tender rows
+ * @returns {Promise<Object>} Counts of inserted, updated and skipped rows plus per-row errors
+ */
+export async function storeNotices(supabase, rows) {
+  const result = { inserted_count: 0, updated_count: 0, skipped_count: 0, errors: [] };
+
+  // Collapse duplicates within the batch itself, keeping the last occurrence
+  const unique = new Map();
+  rows.forEach(row => unique.set(dedupeKey(row), row));
+  result.skipped_count += rows.length - unique.size;
+
+  const existing = await tenderOperations.getByExternalIds(
+    supabase,
+    [...new Set([...unique.values()].map(row => row.tender_id))]
+  );
+  const existingByKey = new Map(existing.map(row => [dedupeKey(row), row]));
+
+  const toInsert = [];
+  const unchangedIds = [];
+
+  for (const [key, row] of unique) {
+    const current = existingByKey.get(key);
+
+    if (!current) {
+      toInsert.push({ ...row, published_date: row.published_date || new Date().toISOString() });
+    } else if (current.content_hash === row.content_hash) {
+      unchangedIds.push(current.id);
+      result.skipped_count++;
+    } else {
+      // Without a date from the source, the date the notice was first seen is kept
+      const { published_date: publishedDate, ...changes } = row;
+
+      try {
+        await tenderOperations.updateIngested(supabase, current.id, publishedDate ? row : changes);
+        result.updated_count++;
+      } catch (error) {
+        result.errors.push({ tenderId: row.tender_id, message: error.message });
+      }
+    }
+  }
+
+  // Insert in chunks; when a chunk fails, its rows are inserted one by one so a single bad row
+  // (or one another run inserted first) does not lose the rest
+  for (let i = 0; i < toInsert.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = toInsert.slice(i, i + INSERT_CHUNK_SIZE);
+
+    try {
+      const inserted = await tenderOperations.insertMany(supabase, chunk);
+      result.inserted_count += inserted.length;
+    } catch (chunkError) {
+      for (const row of chunk) {
+        try {
+          await tenderOperations.insertMany(supabase, [row]);
+          result.inserted_count++;
+        } catch (error) {
+          result.errors.push({ tenderId: row.tender_id, message: error.message });
+        }
+      }
+    }
+  }
+
+  await tenderOperations.markSeen(supabase, unchangedIds);
+
+  return result;
+}
+
+/**
+ * Runs ingestion for a single source and records the run
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} source - `tender_sources` row
+ * @param {Object} deps - Injectable dependencies passed to the adapter (e.g. fetch for fixtures)
+ * @returns {Promise<Object>} The finished `ingestion_runs` row
+ */
+export async function runSource(supabase, source, deps = {}) {
+  const run = await ingestionOperations.startRun(supabase, source.id);
+  const adapter = ADAPTERS[source.adapter];
+
+  if (!adapter) {
+    return ingestionOperations.finishRun(supabase, run.id, {
+      status: 'failed',
+      errors: [{ message: `Unknown adapter: ${source.adapter}` }]
+    });
+  }
+
+  try {
+    const records = await adapter.fetchNotices(source, deps);
+    const rows = [];
+    let skippedCount = 0;
+
+    records.forEach(record => {
+      const row = normalizeNotice(record, source);
+      if (row) {
+        rows.push(row);
+      } else {
+        skippedCount++;
+      }
+    });
+
+    const stored = await storeNotices(supabase, rows);
+    const status = stored.errors.length === 0
+      ? 'succeeded'
+      : (stored.inserted_count + stored.updated_count > 0 ? 'partial' : 'failed');
+
+    console.log(`[Ingestion] ${source.name}: ${records.length} fetched, ${stored.inserted_count} new, ${stored.updated_count} updated`);
+
+    // Sources that failed to store anything are read again in full next run; stored notices are then skipped
+    if (stored.errors.length === 0 && adapter.archiveNotices) {
+      try {
+        await adapter.archiveNotices(source, records);
+      } catch (error) {
+        console.error(`[Ingestion] ${source.name}: failed to archive notices:`, error);
+      }
+    }
+
+    return ingestionOperations.finishRun(supabase, run.id, {
+      status,
+      fetched_count: records.length,
+      inserted_count: stored.inserted_count,
+      updated_count: stored.updated_count,
+      skipped_count: stored.skipped_count + skippedCount,
+      errors: stored.errors
+    });
+  } catch (error) {
+    console.error(`[Ingestion] ${source.name} failed:`, error);
+    return ingestionOperations.finishRun(supabase, run.id, {
+      status: 'failed',
+      errors: [{ message: error.message }]
+    });
+  }
+}
+
+/**
+ * Runs ingestion for every enabled source (or a single one), one after another
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - `sourceId` to limit the run to one source
+ * @returns {Promise<Array>} Finished `ingestion_runs` rows
+ */
+export async function runIngestion(supabase, options = {}) {
+  const sources = await ingestionOperations.getSources(supabase, options.sourceId);
+  const runs = [];
+
+  for (const source of sources) {
+    runs.push(await runSource(supabase, source, options.deps));
+  }
+
+  return runs;
+}
@@ -0,0 +1,232 @@
+// lib/ingestion/normalize.js
+// Converts raw notices produced by the portal adapters into rows for the `tenders` table
+// Every adapter returns loosely-shaped objects; this module is the single place that maps them to our schema
+
+import { createHash } from 'crypto';
+import { budgetColumns } from '../budget';
+
+/**
+ * Column aliases seen on portals, mapped to tender fields.
+ * Keys are compared lower-cased with punctuation stripped.
+ */
+const FIELD_ALIASES = {
+  title: 'title',
+  tajuk: 'title',
+  name: 'title',
+  description: 'description',
+  summary: 'description',
+  keterangan: 'description',
+  agency: 'agency',
+  agensi: 'agency',
+  ministry: 'agency',
+  kementerian: 'agency',
+  procuringentity: 'agency',
+  category: 'category',
+  kategori: 'category',
+  location: 'location',
+  lokasi: 'location',
+  state: 'location',
+  negeri: 'location',
+  budget: 'budget',
+  value: 'budget',
+  estimatedvalue: 'budget',
+  anggaran: 'budget',
+  closingdate: 'closing_date',
+  closing: 'closing_date',
+  tarikhtutup: 'closing_date',
+  deadline: 'closing_date',
+  publisheddate: 'published_date',
+  published: 'published_date',
+  pubdate: 'published_date',
+  tarikhiklan: 'published_date',
+  tenderid: 'tender_id',
+  tenderno: 'tender_id',
+  reference: 'tender_id',
+  referenceno: 'tender_id',
+  ref: 'tender_id',
+  nosebutharga: 'tender_id',
+  notender: 'tender_id',
+  requirements: 'requirements',
+  syarat: 'requirements',
+  tags: 'tags',
+  link: 'source_url',
+  url: 'source_url'
+};
+
+const LIST_SEPARATOR = /\s*[;|\n]\s*/;
+
+/**
+ * Maps a raw record's keys to tender fields using the alias table and an optional per-source field map
+ * @param {Object} record - Raw record from an adapter
+ * @param {Object} fieldMap - Source-specific overrides, e.g. { "Tarikh Tutup": "closing_date" }
+ * @returns {Object} Record keyed by tender field names
+ */
+export function mapFields(record, fieldMap = {}) {
+  const mapped = {};
+
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const target = fieldMap[key] || FIELD_ALIASES[key.toLowerCase().replace(/[^a-z]/g, '')];
+    if (target && (mapped[target] === undefined || mapped[target] === '')) {
+      mapped[target] = value;
+    }
+  });
+
+  return mapped;
+}
+
+/**
+ * Parses the date formats commonly found on Malaysian portals and feeds
+ * Supports ISO 8601, RFC 822 (RSS pubDate) and day-first dd/mm/yyyy or dd-mm-yyyy
+ * @param {string} value - Raw date text
+ * @returns {string|null} ISO timestamp or null when the value cannot be parsed
+ */
+export function parseNoticeDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+
+  const text = String(value).trim();
+  if (!text) return null;
+
+  // Day-first numeric dates, optionally followed by a time
+  const dayFirst = text.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (dayFirst) {
+    const [, day, month, year, hours = '23', minutes = '59'] = dayFirst;
+    // Malaysian portals publish local time (UTC+8)
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +hours - 8, +minutes));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Splits list-like values (requirements, tags) into a clean string array
+ * @param {string|Array} value - Raw list value
+ * @returns {Array|null} Array of strings, or null when empty
+ */
+export function toList(value) {
+  if (!value) return null;
+  const items = (Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Decodes the HTML/XML entities that appear in feeds and scraped tables
+ * @param {string} text - Text containing entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return String(text)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Collapses whitespace and strips leftover markup from a text value
+ * @param {string} value - Raw text
+ * @returns {string|null} Cleaned text
+ */
+export function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = decodeEntities(String(value).replace(/<br\s*\/?>/gi, '\n'))
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || null;
+}
+
+/**
+ * Builds a stable external reference for notices that do not publish one
+ * @param {Object} notice - Mapped notice
+ * @returns {string} Reference derived from the link or title
+ */
+function deriveTenderId(notice) {
+  const basis = notice.source_url || `${notice.agency || ''}|${notice.title || ''}`;
+  return `AUTO-${createHash('sha1').update(basis).digest('hex').slice(0, 12).toUpperCase()}`;
+}
+
+/**
+ * Computes a hash over the fields that matter to users so unchanged notices can be skipped
+ * @param {Object} row - Normalized tender row
+ * @returns {string} Hex-encoded SHA-256
+ */
+export function computeContentHash(row) {
+  const relevant = [
+    row.title,
+    row.description,
+    row.agency,
+    row.category,
+    row.location,
+    row.budget,
+    row.closing_date,
+    (row.requirements || []).join('|'),
+    (row.tags || []).join('|')
+  ];
+  return createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+}
+
+/**
+ * Normalizes a raw adapter record into a `tenders` row
+ * @param {Object} record - Raw record from an adapter
+ * @param {Object} source - The `tender_sources` row the record came from
+ * @returns {Object|null} Tender row, or null if the record has no usable title
+ */
+export function normalizeNotice(record, source = {}) {
+  const options = source.options || {};
+  const mapped = mapFields(record, options.fieldMap);
+
+  const title = cleanText(mapped.title);
+  if (!title) return null;
+
+  const notice = {
+    title,
+    description: cleanText(mapped.description),
+    agency: cleanText(mapped.agency) || options.agency || null,
+    category: cleanText(mapped.category) || options.category || null,
+    location: cleanText(mapped.location) || options.location || null,
+    budget: cleanText(mapped.budget),
+    ...budgetColumns(cleanText(mapped.budget)),
+    closing_date: parseNoticeDate(mapped.closing_date),
+    // NULL when the source gives none: storeNotices dates new notices on first sight and keeps the stored date
+    published_date: parseNoticeDate(mapped.published_date),
+    tender_id: cleanText(mapped.tender_id),
+    requirements: toList(mapped.requirements),
+    tags: toList(mapped.tags) || (options.tags ? toList(options.tags) : null),
+    source_url: cleanText(mapped.source_url),
+    source_id: source.id || null,
+    status: 'active'
+  };
+
+  if (!notice.tender_id) {
+    notice.tender_id = deriveTenderId(notice);
+  }
+
+  // Notices that closed before we saw them are kept for history but never shown as active
+  if (notice.closing_date && new Date(notice.closing_date) < new Date()) {
+    notice.status = 'closed';
+  }
+
+  notice.content_hash = computeContentHash(notice);
+  notice.last_seen_at = new Date().toISOString();
+
+  return notice;
+}
+
+/**
+ * Builds the deduplication key used for `tenders` (tender_id + agency)
+ * @param {Object} row - Tender row
+ * @returns {string} Composite key
+ */
+export function dedupeKey(row) {
+  return `${row.tender_id || ''}::${row.agency || ''}`;
+}
@@ -0,0 +1,308 @@
+// lib/llm/index.js
+// Shared entry point for AI text generation, used by every AI route
+// Select a provider with LLM_PROVIDER:
+//   "openai"  - any OpenAI-compatible endpoint (default when LLM_BASE_URL, LLM_API_KEY or OPENAI_API_KEY is set)
+//   "offline" - deterministic responses built from the prompt context (default otherwise)
+//   "replay"  - recorded fixtures only, for tests
+//   "record"  - like "openai", and saves each response as a fixture for "replay"
+// Models come from TASK_CONFIGS; LLM_MODEL overrides them all and LLM_MODEL_<TASK> (e.g. LLM_MODEL_SUMMARIZE) one task
+// Requests made for a user pass a ledger (see lib/aiUsage.js), which enforces their quota and records the request
+
+import { buildPrompt, TASK_CONFIGS } from '../aiPrompts';
+import { createOpenAIProvider } from './openai';
+import { offlineProvider } from './offline';
+import { createReplayProvider, createRecordingProvider } from './replay';
+import { startAIUsage } from '../aiUsage';
+
+/**
+ * Registered providers, keyed by the LLM_PROVIDER value
+ */
+export const PROVIDERS = {
+  openai: createOpenAIProvider,
+  offline: () => offlineProvider,
+  replay: createReplayProvider,
+  record: () => createRecordingProvider(createOpenAIProvider())
+};
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_MS = 1000;
+
+let provider = null;
+
+/**
+ * Returns the configured provider (created once per server process)
+ * @returns {Object} Provider with complete(request) and optionally stream(request) methods
+ */
+export function getLLMProvider() {
+  if (provider) return provider;
+
+  const configured = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL;
+  const name = process.env.LLM_PROVIDER || (configured ? 'openai' : 'offline');
+  const create = PROVIDERS[name];
+
+  if (!create) {
+    throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+
+  provider = create();
+  return provider;
+}
+
+/**
+ * Replaces the provider, e.g. with a stub in tests or scripts
+ * @param {Object|null} replacement - Provider with complete(request) and optionally stream(request) methods,
+ * or null to re-read the environment
+ */
+export function setLLMProvider(replacement) {
+  provider = replacement;
+}
+
+/**
+ * Model and sampling parameters for a task, with environment overrides applied
+ * @param {string} task - Key of TASK_CONFIGS
+ * @returns {Object} Request parameters
+ */
+export function getTaskConfig(task) {
+  const config = TASK_CONFIGS[task];
+  if (!config) {
+    throw new Error(`Unknown task: ${task}`);
+  }
+
+  return {
+    ...config,
+    model: process.env[`LLM_MODEL_${task}`] || process.env.LLM_MODEL || config.model
+  };
+}
+
+/**
+ * Rough token count for providers that do not report usage (about 4 characters per token)
+ * @param {string} text - Text to count
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Runs one provider call, aborting it after timeoutMs or when signal is aborted
+ * @param {Object} request - Provider request
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal} signal - Cancels the call (optional)
+ * @returns {Promise<Object>} Provider response
+ */
+async function completeWithTimeout(request, timeoutMs, signal) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  const timer = setTimeout(cancel, timeoutMs);
+  signal?.addEventListener('abort', cancel);
+
+  try {
+    signal?.throwIfAborted();
+    return await getLLMProvider().complete({ ...request, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted && !signal?.aborted) {
+      const timeoutError = new Error(`LLM request timed out after ${timeoutMs}ms`);
+      timeoutError.retryable = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Builds the provider request for a task
+ * @param {string} task - Key of AI_TASKS and TASK_CONFIGS
+ * @param {Object} context - Prompt context
+ * @param {Object} options - { instructions, userInstruction, chatHistory }
+ * @returns {Object} Provider request
+ */
+function buildRequest(task, context, { instructions = '', userInstruction = '', chatHistory = [] }) {
+  return {
+    task,
+    messages: buildPrompt(task, context, instructions, userInstruction, chatHistory),
+    config: getTaskConfig(task),
+    // The offline provider answers from the structured inputs rather than the prompt text
+    context,
+    instructions,
+    userInstruction,
+    chatHistory
+  };
+}
+
+/**
+ * Timeout and retry settings, from options or the environment
+ * @param {Object} options - { timeoutMs, maxRetries }
+ * @returns {Object} { timeoutMs, maxRetries }
+ */
+function retryPolicy(options) {
+  return {
+    timeoutMs: options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: options.maxRetries ?? (process.env.LLM_MAX_RETRIES !== undefined
+      ? parseInt(process.env.LLM_MAX_RETRIES)
+      : DEFAULT_MAX_RETRIES)
+  };
+}
+
+/**
+ * Waits before retrying a failed attempt
+ * @param {string} task - Task being retried
+ * @param {number} attempt - Zero-based attempt that failed
+ * @param {Error} error - The failure
+ */
+async function backoff(task, attempt, error) {
+  console.warn(`[LLM] ${task} attempt ${attempt + 1} failed, retrying: ${error.message}`);
+  await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** attempt));
+}
+
+/**
+ * Builds the result of a finished request and logs its token usage
+ * @param {Object} request - Provider request
+ * @param {Object} response - { content, model, usage } from the provider
+ * @param {number} startedAt - Start time in milliseconds
+ * @returns {Object} Generation result
+ */
+function finish(request, response, startedAt) {
+  const estimated = !response.usage;
+  const promptTokens = estimated
+    ? estimateTokens(request.messages.map(message => message.content).join('\n'))
+    : response.usage.promptTokens;
+  const completionTokens = estimated ? estimateTokens(response.content) : response.usage.completionTokens;
+  const durationMs = Date.now() - startedAt;
+  const providerName = getLLMProvider().name;
+
+  console.log(`[LLM] ${request.task} via ${providerName} (${response.model}): ` +
+    `${promptTokens + completionTokens}${estimated ? ' estimated' : ''} tokens in ${durationMs}ms`);
+
+  return {
+    content: response.content,
+    model: response.model,
+    provider: providerName,
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated },
+    durationMs
+  };
+}
+
+/**
+ * Generates a response for a task from its structured prompt
+ * Transient failures (timeouts, network errors, 429 and 5xx responses) are retried with backoff;
+ * anything else is thrown so the route can fall back
+ * With a ledger, the user's quota is checked first (throwing AIQuotaError, which routes must not fall back on)
+ * and the request is recorded in the AI usage ledger
+ * @param {string} task - Key of AI_TASKS and TASK_CONFIGS, e.g. 'SUMMARIZE'
+ * @param {Object} context - Prompt context ({ tender, company, proposalContent, ... })
+ * @param {Object} options - { instructions, userInstruction, chatHistory, timeoutMs, maxRetries, ledger, signal } where
+ * ledger comes from aiLedger in lib/aiUsage.js and signal cancels the request (recorded in the ledger as cancelled)
+ * @returns {Promise<Object>} { content, model, provider, usage: { promptTokens, completionTokens, totalTokens, estimated }, durationMs }
+ */
+export async function generate(task, context, options = {}) {
+  const { signal } = options;
+  const request = buildRequest(task, context, options);
+  const { timeoutMs, maxRetries } = retryPolicy(options);
+  const usage = await startAIUsage(options.ledger, task);
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = finish(request, await completeWithTimeout(request, timeoutMs, signal), startedAt);
+      await usage.complete(result, context);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        await usage.fail(error, 'cancelled');
+        throw error;
+      }
+
+      if (!error.retryable || attempt >= maxRetries) {
+        await usage.fail(error);
+        throw error;
+      }
+      await backoff(task, attempt, error);
+    }
+  }
+}
+
+/**
+ * Generates a response like generate, passing each piece of text to onDelta as it arrives
+ * The timeout applies to the wait for each piece, so long responses are not cut off. Failures are
+ * only retried before any text has been sent, since text already shown cannot be taken back.
+ * Providers without a stream method deliver the whole response as one piece.
+ * @param {string} task - Key of AI_TASKS and TASK_CONFIGS
+ * @param {Object} context - Prompt context
+ * @param {Object} options - generate's options, plus { onDelta(text), signal } where signal cancels the request
+ * (recorded in the ledger as cancelled)
+ * @returns {Promise<Object>} Same result as generate, with the full text as content
+ */
+export async function generateStream(task, context, options = {}) {
+  const { onDelta = () => {}, signal } = options;
+  const request = buildRequest(task, context, options);
+  const { timeoutMs, maxRetries } = retryPolicy(options);
+  const activeProvider = getLLMProvider();
+  const usage = await startAIUsage(options.ledger, task);
+  const startedAt = Date.now();
+  let content = '';
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    let timedOut = false;
+    let timer = null;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+
+    signal?.addEventListener('abort', cancel);
+    restartTimer();
+
+    try {
+      signal?.throwIfAborted();
+      const attemptRequest = { ...request, signal: controller.signal };
+      const chunks = activeProvider.stream
+        ? activeProvider.stream(attemptRequest)
+        : (async function* () {
+          const response = await activeProvider.complete(attemptRequest);
+          yield { delta: response.content };
+          yield { model: response.model, usage: response.usage };
+        })();
+      let final = {};
+
+      for await (const chunk of chunks) {
+        restartTimer();
+        if (chunk.delta) {
+          content += chunk.delta;
+          onDelta(chunk.delta);
+        } else {
+          final = chunk;
+        }
+      }
+
+      const result = finish(request, { content, model: final.model || request.config.model, usage: final.usage || null }, startedAt);
+      await usage.complete(result, context);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        await usage.fail(error, 'cancelled');
+        throw error;
+      }
+
+      const failure = timedOut ? new Error(`LLM request timed out after ${timeoutMs}ms without a response`) : error;
+      if (timedOut) failure.retryable = true;
+
+      if (content || !failure.retryable || attempt >= maxRetries) {
+        await usage.fail(failure);
+        throw failure;
+      }
+      await backoff(task, attempt, failure);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
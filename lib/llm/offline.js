@@ -0,0 +1,381 @@
+// lib/llm/offline.js
+// Deterministic offline provider, used when no model endpoint is configured
+// Builds each task's response from the prompt context in the same format the model is asked for,
+// so every AI feature (including response parsing) works without network access
+
+import { requirementsFromListing, extractRequirementLines, parseRequirementText, normalizeRequirement, dedupeRequirements } from '../requirements';
+
+/**
+ * Casual wording and its formal equivalent, for offline section edits
+ */
+const FORMAL_REPLACEMENTS = [
+  [/\bwe're\b/gi, 'we are'],
+  [/\bwe'll\b/gi, 'we will'],
+  [/\bwe've\b/gi, 'we have'],
+  [/\bit's\b/gi, 'it is'],
+  [/\bdon't\b/gi, 'do not'],
+  [/\bdoesn't\b/gi, 'does not'],
+  [/\bcan't\b/gi, 'cannot'],
+  [/\bwon't\b/gi, 'will not'],
+  [/\ba lot of\b/gi, 'a great deal of']
+];
+
+// Longest question quoted in an offline chat summary
+const SUMMARY_QUESTION_LENGTH = 80;
+
+/**
+ * Canned eligibility criteria by tender category: [requirement, eligible]
+ */
+const ELIGIBILITY_CRITERIA = {
+  Construction: [
+    ['Minimum 10 years experience in commercial construction', true],
+    ['ISO 9001:2015 Quality Management certification', true],
+    ['Valid contractor license Grade A', false],
+    ['Previous experience with government projects', true],
+    ['Safety certification (OHSAS 18001 or equivalent)', true]
+  ],
+  'Information Technology': [
+    ['Cloud architecture certification (AWS/Azure)', false],
+    ['ISO 27001 Information Security certification', false],
+    ['Minimum 5 years experience in large-scale IT projects', true],
+    ['Proven expertise in government sector IT solutions', true],
+    ['Local presence with certified technical staff', true]
+  ],
+  default: [
+    ['Relevant industry experience and certifications', true],
+    ['Financial capacity and technical capabilities', true],
+    ['Compliance with regulatory requirements', false]
+  ]
+};
+
+const IMPROVEMENT_ADDITIONS = {
+  ms: (companyName) => `
+
+## Pendekatan Teknikal
+
+Kami mencadangkan pendekatan menyeluruh yang menangani semua keperluan teknikal sambil memastikan kualiti, pematuhan jadual masa, dan keberkesanan kos. Metodologi kami merangkumi:
+
+- Perancangan projek terperinci dan penilaian risiko
+- Jaminan kualiti dan pematuhan kepada semua standard
+- Pelaporan kemajuan berkala dan komunikasi pihak berkepentingan
+- Sokongan dan penyelenggaraan selepas pelaksanaan
+
+## Kesimpulan
+
+Kami berharap dapat peluang untuk membincangkan cadangan kami secara terperinci dan menunjukkan bagaimana ${companyName || 'syarikat kami'} dapat menyampaikan nilai luar biasa untuk projek penting ini.
+
+Yang benar,
+Pasukan ${companyName || 'Syarikat Kami'}`,
+
+  en: (companyName) => `
+
+## Technical Approach
+
+We propose a comprehensive approach that addresses all technical requirements while ensuring quality, timeline adherence, and cost-effectiveness. Our methodology includes:
+
+- Detailed project planning and risk assessment
+- Quality assurance and compliance with all standards
+- Regular progress reporting and stakeholder communication
+- Post-implementation support and maintenance
+
+## Project Management
+
+Our proven project management framework ensures successful delivery:
+- Dedicated project manager with relevant experience
+- Clear communication channels and regular updates
+- Proactive risk management and mitigation strategies
+- Adherence to agreed timelines and budget constraints
+
+## Conclusion
+
+We look forward to the opportunity to discuss our proposal in detail and demonstrate how ${companyName || 'our company'} can deliver exceptional value for this important project.
+
+Sincerely,
+${companyName || 'Our Company'} Team`
+};
+
+const IMPROVEMENT_INSIGHTS = {
+  ms: [
+    {
+      change: 'Diperkukuhkan bahagian latar belakang syarikat',
+      explanation: 'Bahagian latar belakang syarikat telah diperkukuhkan dengan maklumat yang lebih terperinci tentang pengalaman dan keupayaan syarikat. Ini memberikan keyakinan kepada panel penilai tentang kredibiliti dan kesesuaian syarikat untuk projek ini.'
+    },
+    {
+      change: 'Ditambah bahagian pendekatan teknikal',
+      explanation: 'Bahagian pendekatan teknikal yang baru ditambah menunjukkan metodologi yang jelas dan terstruktur. Ini membantu panel penilai memahami bagaimana syarikat akan melaksanakan projek dengan jayanya.'
+    },
+    {
+      change: 'Diperbaiki struktur dan format dokumen',
+      explanation: 'Struktur dokumen telah diperbaiki dengan penggunaan tajuk yang lebih jelas dan format yang konsisten. Ini meningkatkan kebolehbacaan dan profesionalisme cadangan.'
+    }
+  ],
+  en: [
+    {
+      change: 'Enhanced company background section',
+      explanation: "The company background section has been enhanced to highlight experience and expertise in relevant industries. This reassures evaluators of the company's capability."
+    },
+    {
+      change: 'Added technical approach section',
+      explanation: "A new technical approach section outlines the company's methodology and strategies to deliver the project successfully, demonstrating thorough planning and professionalism."
+    },
+    {
+      change: 'Improved document structure and formatting',
+      explanation: 'Headings and formatting have been refined for better readability and presentation quality.'
+    }
+  ]
+};
+
+/**
+ * Headings of the sections that cite past projects and key personnel, by language
+ */
+const CITATION_HEADINGS = {
+  en: { experience: 'Relevant Experience', team: 'Project Team', years: 'years' },
+  ms: { experience: 'Pengalaman Berkaitan', team: 'Pasukan Projek', years: 'tahun' }
+};
+
+/**
+ * Writes the experience and team sections from the projects and personnel in the context
+ * @param {Object} company - Company context (see buildAIContext in lib/aiContext.js)
+ * @param {string} language - 'en' or 'ms'
+ * @returns {string} Markdown sections, or '' when the profile lists neither
+ */
+function citedSections(company, language = 'en') {
+  const headings = CITATION_HEADINGS[language];
+  const sections = [];
+
+  if (company?.projects?.length > 0) {
+    const lines = company.projects.map(project => {
+      const details = [project.client, project.value, project.year].filter(Boolean).join(', ');
+      return `- **${project.name}**${details ? ` (${details})` : ''}${project.description ? `: ${project.description}` : ''}`;
+    });
+    sections.push(`## ${headings.experience}\n\n${lines.join('\n')}`);
+  }
+
+  if (company?.personnel?.length > 0) {
+    const lines = company.personnel.map(person => {
+      // Experience is often recorded as a bare number of years
+      const experience = /^\d+$/.test(String(person.experience || '').trim()) ? `${person.experience} ${headings.years}` : person.experience;
+      return `- **${person.name}**, ${person.position}${experience ? `, ${experience}` : ''}${person.qualifications ? ` (${person.qualifications})` : ''}`;
+    });
+    sections.push(`## ${headings.team}\n\n${lines.join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Offline responses by task; each receives the request passed to lib/llm's generate
+ */
+const RESPONDERS = {
+  SUMMARIZE({ context }) {
+    const { tender, documentExcerpts = [] } = context;
+    const source = documentExcerpts[0];
+    if (context.language === 'ms') {
+      return `Tender daripada ${tender.agency} ini mencari kontraktor yang berkelayakan untuk ${tender.title.toLowerCase()}. ` +
+        `Projek ini melibatkan perkhidmatan ${tender.category?.toLowerCase()} yang menyeluruh dengan keperluan pensijilan dan pengalaman tertentu. ` +
+        `Petender yang berjaya mesti menunjukkan kepakaran yang berkaitan dan memenuhi semua spesifikasi teknikal dalam dokumen tender.` +
+        (source ? ` ${source.fileName} bermula: "${source.content.replace(/\s+/g, ' ').substring(0, 160).trim()}..."` : '');
+    }
+    return `This tender from ${tender.agency} seeks qualified contractors for ${tender.title.toLowerCase()}. ` +
+      `The project involves comprehensive ${tender.category?.toLowerCase()} services with specific certification and experience requirements. ` +
+      `Successful bidders must demonstrate relevant expertise and meet all technical specifications outlined in the tender documentation.` +
+      (source ? ` ${source.fileName} opens: "${source.content.replace(/\s+/g, ' ').substring(0, 160).trim()}..."` : '');
+  },
+
+  ELIGIBILITY_CHECK({ context }) {
+    const criteria = ELIGIBILITY_CRITERIA[context.tender.category] || ELIGIBILITY_CRITERIA.default;
+    return JSON.stringify({
+      matched_criteria: criteria.filter(([, eligible]) => eligible).map(([requirement]) => requirement),
+      missing_criteria: criteria.filter(([, eligible]) => !eligible).map(([requirement]) => requirement),
+      insufficient_data: []
+    }, null, 2);
+  },
+
+  // Requirements come from the rule-based parser: list items in the document excerpts first, then the listing
+  REQUIREMENT_EXTRACTION({ context }) {
+    const { tender, documentExcerpts = [] } = context;
+    const fromDocuments = documentExcerpts.flatMap(excerpt =>
+      extractRequirementLines(excerpt.content).map(line => normalizeRequirement({
+        ...parseRequirementText(line),
+        source: 'document',
+        sourceReference: `${excerpt.fileName}${excerpt.page ? `, page ${excerpt.page}` : ''}`
+      }))
+    );
+
+    return JSON.stringify({
+      requirements: dedupeRequirements([...fromDocuments, ...requirementsFromListing(tender)])
+    }, null, 2);
+  },
+
+  PROPOSAL_GENERATION({ context }) {
+    const { tender, company } = context;
+    const cited = citedSections(company);
+    return `# Proposal for ${tender.title}\n\n` +
+      `## Executive Summary\n\n` +
+      `Dear Sir/Madam,\n\n` +
+      `${company.name} is pleased to submit our proposal for "${tender.title}" as advertised by ${tender.agency}. ` +
+      `With our extensive experience in ${tender.category?.toLowerCase()} and proven track record of successful project delivery, ` +
+      `we are confident in our ability to meet and exceed all requirements outlined in this tender.\n\n` +
+      `## Company Overview\n\n` +
+      `${company.experience || 'Our company brings extensive experience and proven capabilities to this project.'}\n\n` +
+      (cited ? `${cited}\n\n` : '') +
+      `## Our Approach\n\n` +
+      `We propose a comprehensive approach that addresses all technical requirements while ensuring quality, ` +
+      `timeline adherence, and cost-effectiveness. Our methodology includes:\n\n` +
+      `- Detailed project planning and risk assessment\n` +
+      `- Quality assurance and compliance with all standards\n` +
+      `- Regular progress reporting and stakeholder communication\n` +
+      `- Post-implementation support and maintenance\n\n` +
+      `## Qualifications\n\n` +
+      `Our certifications include: ${company.certifications?.join(', ') || 'Various industry certifications'}\n\n` +
+      `## Conclusion\n\n` +
+      `We look forward to the opportunity to discuss our proposal in detail and demonstrate how ${company.name} ` +
+      `can deliver exceptional value for this important project.\n\n` +
+      `Sincerely,\n` +
+      `${company.name} Team\n\n` +
+      `*(This is an AI-generated proposal based on your company profile)*`;
+  },
+
+  // Template sections keep their drafting notes offline rather than getting invented text
+  TEMPLATE_SECTIONS() {
+    return JSON.stringify({ sections: [] });
+  },
+
+  PROPOSAL_IMPROVEMENT({ context }) {
+    const language = context.language === 'ms' ? 'ms' : 'en';
+    const content = language === 'ms'
+      ? context.proposalContent
+        .replace(/\*\*Sijil:\*\*/g, '**Pensijilan dan Kelayakan:**')
+        .replace(/\*\*Pengalaman Syarikat:\*\*/g, '**Pengalaman dan Kepakaran Syarikat:**')
+      : context.proposalContent
+        .replace(/\*\*Company Background:\*\*/g, '**Company Background and Expertise:**')
+        .replace(/\*\*Certifications:\*\*/g, '**Certifications and Qualifications:**')
+        .replace(/\*\*Company Experience:\*\*/g, '**Company Experience and Capabilities:**');
+
+    // Cite the profile's projects and people when the proposal has no such sections yet
+    const headings = CITATION_HEADINGS[language];
+    const hasCitations = new RegExp(`^#+\\s*(${headings.experience}|${headings.team})`, 'im').test(content);
+    const cited = hasCitations ? '' : citedSections(context.company, language);
+
+    return JSON.stringify({
+      improvedContent: content + (cited ? `\n\n${cited}` : '') + IMPROVEMENT_ADDITIONS[language](context.company?.name),
+      insights: IMPROVEMENT_INSIGHTS[language]
+    }, null, 2);
+  },
+
+  CHAT_ASSISTANCE({ context, userInstruction }) {
+    const { tender, company } = context;
+    const lowerMessage = (userInstruction || '').toLowerCase();
+
+    if (lowerMessage.includes('requirement') || lowerMessage.includes('criteria')) {
+      return `Based on the tender requirements, the key criteria include: ${tender.requirements?.slice(0, 3).join(', ') || 'technical expertise, relevant experience, and compliance certifications'}. Would you like me to help you address any specific requirement in your proposal?`;
+    }
+    if (lowerMessage.includes('budget') || lowerMessage.includes('cost') || lowerMessage.includes('price')) {
+      return `The tender budget is ${tender.budget || 'not specified'}. I recommend structuring your pricing to be competitive while ensuring you can deliver quality work. Would you like help with the pricing section of your proposal?`;
+    }
+    if (lowerMessage.includes('experience') || lowerMessage.includes('qualification')) {
+      return `Your company has ${company?.experience ? 'relevant experience' : 'capabilities'} that align with this tender. I suggest highlighting your ${company?.certifications?.length ? 'certifications and' : ''} past projects in the proposal. Shall I help you draft that section?`;
+    }
+    if (lowerMessage.includes('improve') || lowerMessage.includes('better') || lowerMessage.includes('enhance')) {
+      return `I can help improve your proposal by strengthening the executive summary, adding more specific details about your approach, or better aligning with the tender requirements. What specific area would you like to focus on?`;
+    }
+    if (lowerMessage.includes('deadline') || lowerMessage.includes('timeline') || lowerMessage.includes('schedule')) {
+      return `The tender closing date is ${tender.closingDate ? new Date(tender.closingDate).toISOString().split('T')[0] : 'not specified'}. Make sure to submit well before the deadline. Would you like help with the project timeline section?`;
+    }
+    return `I understand you're asking about "${userInstruction}". Based on the tender details and your company profile, I'd recommend focusing on your strengths and how they align with the project requirements. Could you be more specific about what aspect you'd like help with?`;
+  },
+
+  // Applies a fixed edit per action, so accept/reject of each hunk can be tried offline
+  SECTION_EDIT({ context }) {
+    const text = context.proposalContent || '';
+    const company = context.company?.name || 'our company';
+
+    switch (context.sectionAction) {
+      case 'shorten':
+        // Keep the first sentence of each paragraph; headings and list items stay as they are
+        return text.split('\n').map(line => (/^\s*([#>*\-•|]|\d+\.)/.test(line)
+          ? line
+          : line.replace(/^(.+?[.!?])\s+.+$/, '$1'))).join('\n');
+      case 'expand':
+        return `${text}\n\n${company} will assign a dedicated project manager to this scope and report progress to ${context.tender?.agency || 'the agency'} at agreed milestones.`;
+      case 'align':
+        return `${text}\n\nThis addresses the requirement "${context.requirement}" directly: ${company} meets it as set out above and will provide supporting evidence with the submission.`;
+      default:
+        // rewrite and formal: spell out contractions and casual phrasing
+        return FORMAL_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, match => (
+          /^[A-Z]/.test(match) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement
+        )), text);
+    }
+  },
+
+  // Carries the previous summary forward and lists what the user asked since
+  CHAT_SUMMARY({ chatHistory = [] }) {
+    const previous = chatHistory.find(entry => entry.type === 'summary')?.message;
+    const questions = chatHistory
+      .filter(entry => entry.type === 'user')
+      .map(entry => `"${entry.message.trim().slice(0, SUMMARY_QUESTION_LENGTH)}"`);
+
+    return [
+      previous,
+      questions.length ? `The user asked about ${questions.join(', ')}, and the assistant answered from the tender details and company profile.` : null
+    ].filter(Boolean).join(' ');
+  }
+};
+
+const STREAM_CHUNK_WORDS = 3;
+const STREAM_CHUNK_DELAY_MS = 20;
+
+/**
+ * Streams finished text a few words at a time, so streaming UIs behave as they do with a model
+ * @param {string} content - Full response text
+ * @param {Object} options - { signal, delayMs } where delayMs is the pause between chunks
+ * @yields {Object} { delta } for each chunk
+ */
+export async function* streamContent(content, { signal, delayMs = 0 } = {}) {
+  const words = content.match(/\s*\S+\s*/g) || [content];
+
+  for (let start = 0; start < words.length; start += STREAM_CHUNK_WORDS) {
+    signal?.throwIfAborted();
+    if (delayMs > 0 && start > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    yield { delta: words.slice(start, start + STREAM_CHUNK_WORDS).join('') };
+  }
+}
+
+/**
+ * Builds the offline response for a request
+ * @param {Object} request - { task, context, userInstruction }
+ * @returns {string} Response text
+ */
+function respond(request) {
+  const responder = RESPONDERS[request.task];
+  if (!responder) {
+    throw new Error(`No offline response for task: ${request.task}`);
+  }
+  return responder(request);
+}
+
+/**
+ * Offline provider: same input always gives the same output, and no tokens are used
+ */
+export const offlineProvider = {
+  name: 'offline',
+
+  /**
+   * @param {Object} request - { task, context, userInstruction, config }
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async complete(request) {
+    return { content: respond(request), model: 'offline', usage: { promptTokens: 0, completionTokens: 0 } };
+  },
+
+  /**
+   * @param {Object} request - { task, context, userInstruction, config, signal }
+   * @yields {Object} { delta } chunks, then { model, usage }
+   */
+  async *stream(request) {
+    yield* streamContent(respond(request), { signal: request.signal, delayMs: STREAM_CHUNK_DELAY_MS });
+    yield { model: 'offline', usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+};
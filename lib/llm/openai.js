@@ -0,0 +1,140 @@
+// lib/llm/openai.js
+// Provider for OpenAI-compatible chat completion APIs
+// Works with api.openai.com and with local model servers that expose /v1/chat/completions
+// (Ollama, llama.cpp server, vLLM, LM Studio); set LLM_BASE_URL to point at one
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Builds the error thrown for a failed request; `retryable` tells lib/llm whether to try again
+ * @param {string} message - Error message
+ * @param {Object} details - { status, retryable }
+ * @returns {Error} Error with status and retryable properties
+ */
+function providerError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Creates an OpenAI-compatible provider from environment variables
+ * LLM_BASE_URL (default https://api.openai.com/v1) and LLM_API_KEY or OPENAI_API_KEY;
+ * local servers usually need no key
+ * @returns {Object} Provider with complete(request) and stream(request) methods
+ */
+export function createOpenAIProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+
+  /**
+   * Posts a chat completion request, turning network and HTTP failures into provider errors
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Response>} Successful response
+   */
+  async function post(body, signal) {
+    let response;
+
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Connection refused, DNS failure and similar network errors
+      throw providerError(`LLM request to ${baseUrl} failed: ${error.message}`, { retryable: true });
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw providerError(`LLM API error: ${response.status}${text ? ` ${text.substring(0, 200)}` : ''}`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+
+    return response;
+  }
+
+  return {
+    name: 'openai',
+
+    /**
+     * Sends one chat completion request
+     * @param {Object} request - { messages, config, signal } where config holds the model and sampling parameters
+     * @returns {Promise<Object>} { content, model, usage } with usage in OpenAI's prompt/completion token counts
+     */
+    async complete({ messages, config, signal }) {
+      const response = await post({ ...config, messages }, signal);
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+
+      if (typeof content !== 'string') {
+        throw providerError('LLM API returned no message content');
+      }
+
+      return {
+        content,
+        model: data.model || config.model,
+        usage: data.usage ? {
+          promptTokens: data.usage.prompt_tokens || 0,
+          completionTokens: data.usage.completion_tokens || 0
+        } : null
+      };
+    },
+
+    /**
+     * Streams one chat completion request
+     * @param {Object} request - { messages, config, signal }
+     * @yields {Object} { delta } for each piece of text, then { model, usage } once the response ends
+     */
+    async *stream({ messages, config, signal }) {
+      const response = await post({
+        ...config,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, signal);
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let model = config.model;
+      let usage = null;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : null;
+          if (!data || data === '[DONE]') continue;
+
+          const chunk = JSON.parse(data);
+          if (chunk.model) model = chunk.model;
+          if (chunk.usage) {
+            usage = { promptTokens: chunk.usage.prompt_tokens || 0, completionTokens: chunk.usage.completion_tokens || 0 };
+          }
+
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) yield { delta };
+        }
+      }
+
+      yield { model, usage };
+    }
+  };
+}
@@ -0,0 +1,119 @@
+// lib/llm/replay.js
+// Recorded-fixture providers for tests and offline development
+// "record" passes requests to a real provider and saves each response as a JSON fixture;
+// "replay" answers from those fixtures only and fails on a request it has not seen
+// Fixtures live in LLM_FIXTURES_DIR (default scripts/fixtures/llm), one file per request under a folder per task
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { streamContent } from './offline';
+
+const DEFAULT_FIXTURES_DIR = 'scripts/fixtures/llm';
+
+/**
+ * Fixture directory, resolved against the working directory
+ * @returns {string} Absolute path
+ */
+function fixturesDir() {
+  return path.resolve(process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+/**
+ * Fixture path for a request; the key covers everything that changes the model's answer
+ * @param {Object} request - { task, messages, config }
+ * @returns {string} Absolute path of the fixture file
+ */
+export function fixturePath({ task, messages, config }) {
+  const key = createHash('sha256')
+    .update(JSON.stringify({ task, messages, config }))
+    .digest('hex')
+    .substring(0, 16);
+
+  return path.join(fixturesDir(), task.toLowerCase(), `${key}.json`);
+}
+
+/**
+ * Provider that answers only from recorded fixtures
+ * @returns {Object} Provider with complete(request) and stream(request) methods
+ */
+export function createReplayProvider() {
+  /**
+   * Reads the recorded response for a request
+   * @param {Object} request - { task, messages, config }
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async function recorded(request) {
+    const file = fixturePath(request);
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8')).response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`No recorded ${request.task} response at ${path.relative(process.cwd(), file)}; run with LLM_PROVIDER=record to record it`);
+    }
+  }
+
+  return {
+    name: 'replay',
+
+    complete: recorded,
+
+    async *stream(request) {
+      const { content, model, usage } = await recorded(request);
+      yield* streamContent(content, { signal: request.signal });
+      yield { model, usage };
+    }
+  };
+}
+
+/**
+ * Provider that forwards to another provider and saves each response as a fixture
+ * @param {Object} provider - Provider that makes the real request
+ * @returns {Object} Provider with complete(request) and stream(request) methods
+ */
+export function createRecordingProvider(provider) {
+  /**
+   * Saves a response as the fixture for its request
+   * @param {Object} request - { task, messages, config }
+   * @param {Object} response - { content, model, usage }
+   */
+  async function save(request, response) {
+    const file = fixturePath(request);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      task: request.task,
+      model: request.config.model,
+      messages: request.messages,
+      response
+    }, null, 2) + '\n');
+  }
+
+  return {
+    name: 'record',
+
+    async complete(request) {
+      const response = await provider.complete(request);
+      await save(request, response);
+      return response;
+    },
+
+    // Streamed responses are saved once complete, so replay serves them to both methods
+    async *stream(request) {
+      let content = '';
+      let final = {};
+
+      for await (const chunk of provider.stream(request)) {
+        if (chunk.delta) {
+          content += chunk.delta;
+        } else {
+          final = chunk;
+        }
+        yield chunk;
+      }
+
+      await save(request, { content, model: final.model || request.config.model, usage: final.usage || null });
+    }
+  };
+}
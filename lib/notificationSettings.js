@@ -0,0 +1,49 @@
+// lib/notificationSettings.js
+// Shape and defaults for user notification preferences
+// Stored in user_profiles.notification_settings and read by the scheduled alert jobs
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  emailNotifications: {
+    newTenders: true,
+    proposalUpdates: true,
+    deadlineReminders: true,
+    expiryReminders: true,
+    marketingEmails: false
+  },
+  pushNotifications: {
+    newTenders: true,
+    proposalUpdates: true,
+    deadlineReminders: true,
+    systemUpdates: false
+  },
+  smsNotifications: {
+    urgentUpdates: true,
+    deadlineReminders: false
+  }
+};
+
+/**
+ * Merges stored settings over the defaults so newly added switches get a sensible value
+ * @param {Object} stored - Value of user_profiles.notification_settings (may be null)
+ * @returns {Object} Complete notification settings
+ */
+export function resolveNotificationSettings(stored) {
+  const settings = {};
+
+  Object.entries(DEFAULT_NOTIFICATION_SETTINGS).forEach(([channel, defaults]) => {
+    settings[channel] = { ...defaults, ...(stored?.[channel] || {}) };
+  });
+
+  return settings;
+}
+
+/**
+ * Checks whether a user wants a given notification on a channel
+ * @param {Object} stored - Stored notification settings
+ * @param {string} channel - e.g. 'emailNotifications'
+ * @param {string} key - e.g. 'newTenders'
+ * @returns {boolean} True if the notification should be sent
+ */
+export function isNotificationEnabled(stored, channel, key) {
+  return resolveNotificationSettings(stored)[channel]?.[key] === true;
+}
@@ -0,0 +1,70 @@
+// lib/notifier.js
+// Pluggable outbound notification delivery for alerts and digests
+// Select a transport with NOTIFIER_TRANSPORT: "smtp" (default when SMTP_HOST is set) or "console"
+// In development, point SMTP_HOST/SMTP_PORT at a local mail catcher such as Mailpit (localhost:1025)
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Logs messages instead of sending them; used when no SMTP server is configured
+ */
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log('[Notifier] Email (console transport):', {
+      to: message.to,
+      subject: message.subject,
+      preview: message.text?.substring(0, 200)
+    });
+    return { delivered: true, transport: 'console' };
+  }
+};
+
+/**
+ * Creates an SMTP transport from environment variables
+ * @returns {Object} Transport with a send(message) method
+ */
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: process.env.NOTIFIER_FROM || 'Tenderly <alerts@tenderly.local>',
+        ...message
+      });
+      return { delivered: true, transport: 'smtp', messageId: info.messageId };
+    }
+  };
+}
+
+let notifier = null;
+
+/**
+ * Returns the configured notifier (created once per server process)
+ * @returns {Object} Transport with a send({ to, subject, text, html }) method
+ */
+export function getNotifier() {
+  if (notifier) return notifier;
+
+  const transport = process.env.NOTIFIER_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  notifier = transport === 'smtp' ? createSmtpTransport() : consoleTransport;
+
+  return notifier;
+}
+
+/**
+ * Replaces the notifier, e.g. with an in-memory transport in tests or scripts
+ * @param {Object} transport - Object with a send(message) method
+ */
+export function setNotifier(transport) {
+  notifier = transport;
+}
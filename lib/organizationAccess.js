@@ -0,0 +1,78 @@
+// lib/organizationAccess.js
+// Server-side organization access: resolves the requesting user's active organization and role,
+// and creates/hashes invitation tokens. API routes scope company, proposal and attestation data with it
+
+import { createHash, randomBytes } from 'crypto';
+import { organizationOperations, userProfileOperations } from './database';
+
+/**
+ * Resolves the organization the user is working in
+ * Users in no organization get a personal one; otherwise the saved active organization is used,
+ * falling back to the oldest membership
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} user - Authenticated Supabase user
+ * @returns {Promise<Object>} { organizationId, organizationName, role, memberships }
+ */
+export async function getActiveMembership(supabase, user) {
+  let memberships = await organizationOperations.getMemberships(supabase, user.id);
+
+  if (memberships.length === 0) {
+    await organizationOperations.ensurePersonal(supabase, user.id, personalOrganizationName(user));
+    memberships = await organizationOperations.getMemberships(supabase, user.id);
+  }
+
+  const profile = await userProfileOperations.getProfile(supabase, user.id);
+  const active = memberships.find(membership => membership.organization_id === profile?.active_organization_id) ||
+    memberships[0];
+
+  return {
+    organizationId: active.organization_id,
+    organizationName: active.organizations?.name || null,
+    role: active.role,
+    memberships
+  };
+}
+
+/**
+ * Names a user's personal organization
+ * @param {Object} user - Supabase user
+ * @returns {string} Organization name
+ */
+function personalOrganizationName(user) {
+  const name = user.user_metadata?.full_name || user.email?.split('@')[0];
+  return name ? `${name}'s Organization` : 'My Organization';
+}
+
+/**
+ * Creates a random invitation token; only its hash is stored
+ * @returns {Object} { token, tokenHash }
+ */
+export function createInvitationToken() {
+  const token = randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInvitationToken(token) };
+}
+
+/**
+ * Hashes an invitation token for storage and lookup
+ * @param {string} token - Token from the invitation link
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashInvitationToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Looks up email and name for organization members
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Array<string>} userIds - Member user IDs
+ * @returns {Promise<Object>} Map of user ID to { email, fullName }
+ */
+export async function getMemberUserInfo(supabase, userIds) {
+  const entries = await Promise.all(userIds.map(async (userId) => {
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    if (error || !data?.user) return [userId, {}];
+    return [userId, { email: data.user.email, fullName: data.user.user_metadata?.full_name || null }];
+  }));
+
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,152 @@
+// lib/organizations.js
+// Organization roles and permissions, validation and response transforms for workspaces
+// Shared by the API routes and the Team settings tab, so it must stay free of server-only imports
+
+export const ROLES = ['owner', 'editor', 'reviewer', 'viewer'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  reviewer: 'Reviewer',
+  viewer: 'Viewer'
+};
+
+export const ROLE_DESCRIPTIONS = {
+  owner: 'Manages members and invitations, and can edit everything',
+  editor: 'Edits the company profile, proposals and templates',
+  reviewer: 'Reads everything and reviews proposals',
+  viewer: 'Read-only access'
+};
+
+// Roles allowed to perform each action
+const PERMISSIONS = {
+  view: ['owner', 'editor', 'reviewer', 'viewer'],
+  edit: ['owner', 'editor'],
+  review: ['owner', 'reviewer'],
+  comment: ['owner', 'editor', 'reviewer'],
+  manage: ['owner']
+};
+
+export const INVITATION_TTL_DAYS = 7;
+export const MAX_ORGANIZATION_NAME_LENGTH = 120;
+
+/**
+ * Checks whether a role allows an action
+ * @param {string} role - Member role
+ * @param {string} permission - 'view', 'edit', 'review', 'comment' or 'manage'
+ * @returns {boolean} True when allowed
+ */
+export function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Normalizes an email address for comparison and storage
+ * @param {*} email - Email from the request body
+ * @returns {string|null} Lower-cased address, or null when it is not a valid address
+ */
+export function normalizeEmail(email) {
+  if (typeof email !== 'string') return null;
+  const trimmed = email.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Validates an organization name
+ * @param {*} name - Name from the request body
+ * @returns {Object} { name, error }
+ */
+export function normalizeOrganizationName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  if (name.trim().length > MAX_ORGANIZATION_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_ORGANIZATION_NAME_LENGTH} characters` };
+  }
+  return { name: name.trim() };
+}
+
+/**
+ * Transforms a membership row (with nested organization) for the API response
+ * @param {Object} membership - `organization_members` row with `organizations`
+ * @param {string} activeOrganizationId - The user's active organization
+ * @returns {Object} Organization summary
+ */
+export function transformMembership(membership, activeOrganizationId) {
+  return {
+    id: membership.organization_id,
+    name: membership.organizations?.name || null,
+    role: membership.role,
+    isActive: membership.organization_id === activeOrganizationId,
+    joinedAt: membership.created_at
+  };
+}
+
+/**
+ * Transforms an `organization_members` row for the API response
+ * @param {Object} member - `organization_members` row
+ * @param {Object} userInfo - { email, fullName } looked up for the member
+ * @param {string} currentUserId - The requesting user
+ * @returns {Object} Member
+ */
+export function transformMember(member, userInfo = {}, currentUserId = null) {
+  return {
+    id: member.id,
+    userId: member.user_id,
+    email: userInfo.email || null,
+    fullName: userInfo.fullName || null,
+    role: member.role,
+    isCurrentUser: member.user_id === currentUserId,
+    joinedAt: member.created_at
+  };
+}
+
+/**
+ * Transforms an `organization_invitations` row for the API response (the token hash is never returned)
+ * @param {Object} invitation - `organization_invitations` row
+ * @returns {Object} Invitation
+ */
+export function transformInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expires_at,
+    isExpired: new Date(invitation.expires_at).getTime() < Date.now(),
+    createdAt: invitation.created_at
+  };
+}
+
+/**
+ * Renders the invitation email
+ * @param {Object} params - { organizationName, inviterEmail, role, token, expiresAt }
+ * @returns {Object} { subject, text, html }
+ */
+export function renderInvitationEmail({ organizationName, inviterEmail, role, token, expiresAt }) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const acceptUrl = `${appUrl}/invitations/accept?token=${encodeURIComponent(token)}`;
+  const expires = new Date(expiresAt).toLocaleDateString('en-MY', { day: 'numeric', month: 'long', year: 'numeric' });
+  const invitedBy = inviterEmail ? `${inviterEmail} has invited you` : 'You have been invited';
+  const roleName = (ROLE_LABELS[role] || role).toLowerCase();
+
+  const subject = `Join ${organizationName} on Tenderly`;
+  const text = [
+    `${invitedBy} to join ${organizationName} on Tenderly as ${roleName}.`,
+    '',
+    `Accept the invitation: ${acceptUrl}`,
+    '',
+    `This invitation expires on ${expires}. Sign in or create an account with this email address to accept it.`
+  ].join('\n');
+
+  const escape = value => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const html = `
+    <p>${escape(invitedBy)} to join <strong>${escape(organizationName)}</strong> on Tenderly as ${escape(roleName)}.</p>
+    <p><a href="${acceptUrl}">Accept the invitation</a></p>
+    <p><small>This invitation expires on ${escape(expires)}. Sign in or create an account with this email address to accept it.</small></p>`;
+
+  return { subject, text, html };
+}
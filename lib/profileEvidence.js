@@ -0,0 +1,366 @@
+// lib/profileEvidence.js
+// Grounds AI proposals in the company profile: picks the past projects and key personnel most relevant to a tender
+// for the prompt, and flags statements in AI output (figures, certifications, names) no profile or tender field backs
+
+import { parseBudget, budgetPoint, formatAmount } from './budget';
+import { findCertification } from './requirements';
+
+// Most projects and people passed to the prompt
+export const MAX_CITED_PROJECTS = 4;
+export const MAX_CITED_PERSONNEL = 4;
+
+// Longest project description passed to the prompt
+const PROJECT_DESCRIPTION_LENGTH = 300;
+
+// Most claims flagged for one text
+const MAX_CLAIMS = 30;
+
+// Words too common in tender and project text to signal relevance
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'works', 'work', 'services', 'service', 'project', 'projects', 'supply',
+  'proposed', 'including', 'other', 'related', 'general', 'dan', 'untuk', 'kerja', 'projek', 'perkhidmatan'
+]);
+
+// Profile fields whose text counts as evidence for a claim
+const PROFILE_EVIDENCE_FIELDS = [
+  'name', 'registration_number', 'address', 'established_year', 'certifications', 'custom_certifications',
+  'experience', 'specialties', 'team_size', 'cidb_grade', 'cidb_expiry', 'contractor_license', 'license_expiry',
+  'years_in_operation', 'total_projects', 'total_value', 'major_projects', 'total_employees', 'engineers_count',
+  'supervisors_count', 'technicians_count', 'laborers_count', 'key_personnel'
+];
+
+// Tender fields whose text counts as evidence for a claim
+const TENDER_EVIDENCE_FIELDS = [
+  'title', 'description', 'agency', 'category', 'location', 'budget', 'requirements', 'closing_date', 'published_date'
+];
+
+const MONEY_PATTERN = /(?:\bRM|\bMYR|\bUSD|\bSGD|US\$|S\$)\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:billion|bilion|bn|million|juta|mil|mn|thousand|ribu|k|m|b)\b)?/gi;
+const STANDARD_PATTERN = /\b(?:ISO|OHSAS|MS)\s?\d{3,5}(?::\d{4})?/gi;
+const CIDB_PATTERN = /\bCIDB\s+(?:Grade\s+|Gred\s+)?G?\s?(\d)\b/gi;
+const QUANTITY_PATTERN = /(\d[\d,]*(?:\.\d+)?)(\+?\s+(?:years?|tahun|engineers?|jurutera|supervisors?|technicians?|employees|staff|workers|personnel|pekerja|projects|projek|contracts))/gi;
+// Percentages are only checked when they describe the company's track record; "100% compliance" is a commitment
+const TRACK_RECORD_PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s?%\s+(?:of\s+(?:our\s+)?(?:projects|contracts)|on[- ]time|client|customer|success|completion|satisfaction|retention|repeat|safety|accident|defect|kejayaan|kepuasan|projek)/gi;
+const CALENDAR_YEAR_PATTERN = /\b(?:19|20)\d{2}\b/g;
+const PERSON_PATTERN = /\b(?:Mr|Ms|Mrs|Dr|Ir|Ts|Encik|En|Puan|Pn|Dato'?|Datuk|Datin)\.?\s+[A-Z][A-Za-z'@-]+(?:\s+(?:bin|binti|a\/l|a\/p|[A-Z][A-Za-z'-]+)){0,4}/g;
+const BOLD_LEAD_PATTERN = /^\s*(?:[-*•]|\d+\.)\s+\*\*([^*]+?)\*\*/;
+
+// Sections where the proposal cites projects or people by name; headings such as "Project Methodology" or
+// "Project Timeline" are not experience sections, so the bare word "project" does not count
+const EXPERIENCE_SECTION = /^(?:relevant |company |past |previous |our )?experience\b|track record|(?:past|previous|completed|major) projects|^pengalaman|projek terdahulu/i;
+const TEAM_SECTION = /team|personnel|staff|pasukan|kakitangan/i;
+
+/**
+ * Splits text into lowercase words worth comparing
+ * @param {*} text - Text
+ * @returns {Set<string>} Words of three or more letters, without stop words
+ */
+function keywords(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z][a-z&]{2,}/g) || [];
+  return new Set(words.filter(word => !STOP_WORDS.has(word)));
+}
+
+/**
+ * Counts the words two texts share
+ * @param {Set<string>} a - Keywords
+ * @param {Set<string>} b - Keywords
+ * @returns {number} Shared words
+ */
+function overlap(a, b) {
+  let count = 0;
+  a.forEach(word => { if (b.has(word)) count++; });
+  return count;
+}
+
+/**
+ * Reads the first number in a text, e.g. "15 years" -> 15
+ * @param {*} value - Number or text
+ * @returns {number|null} The number, or null if there is none
+ */
+function firstNumber(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const match = String(value ?? '').match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Scores how relevant a past project is to a tender
+ * Sector or category match counts most, then a value close to the tender budget, then location, then recency
+ * @param {Object} project - Entry of `companies.major_projects`
+ * @param {Object} tender - `tenders` row
+ * @param {Object} tenderWords - Keywords of the tender's title and category
+ * @returns {Object} { score, reasons }
+ */
+function scoreProject(project, tender, tenderWords) {
+  const reasons = [];
+  let score = 0;
+
+  const sector = (project.sector || '').toLowerCase();
+  const category = (tender.category || '').toLowerCase();
+  if (sector && category && (sector === category || overlap(keywords(sector), keywords(category)) > 0)) {
+    score += 4;
+    reasons.push('same sector');
+  }
+
+  const shared = overlap(keywords(`${project.name} ${project.description} ${project.sector}`), tenderWords);
+  if (shared > 0) {
+    score += Math.min(shared, 3);
+    reasons.push('similar scope');
+  }
+
+  // Value on a log scale: a project of the tender's size scores 3, ten times larger or smaller scores 0
+  const projectValue = parseBudget(project.value);
+  const tenderBudget = parseBudget(tender.budget);
+  if (projectValue && tenderBudget && projectValue.currency === tenderBudget.currency) {
+    const ratio = Math.abs(Math.log10(budgetPoint(projectValue) / budgetPoint(tenderBudget)));
+    if (isFinite(ratio) && ratio < 1) {
+      score += 3 * (1 - ratio);
+      if (ratio < 0.5) reasons.push('similar value');
+    }
+  }
+
+  const projectPlace = keywords(project.location);
+  if (tender.location && projectPlace.size > 0 && overlap(projectPlace, keywords(tender.location)) > 0) {
+    score += 2;
+    reasons.push('same location');
+  }
+
+  const year = firstNumber(project.completionDate || project.year);
+  if (year) {
+    score += Math.max(0, 1 - (new Date().getFullYear() - year) / 10);
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Picks the company's past projects most relevant to a tender
+ * @param {Object|null} profile - `companies` row
+ * @param {Object} tender - `tenders` row
+ * @param {number} limit - Most projects to return
+ * @returns {Array<Object>} [{ name, client, value, year, role, sector, location, description, relevance }], most
+ *   relevant first, where relevance lists why the project was picked
+ */
+export function selectRelevantProjects(profile, tender, limit = MAX_CITED_PROJECTS) {
+  const projects = (Array.isArray(profile?.major_projects) ? profile.major_projects : []).filter(project => project?.name);
+  const tenderWords = keywords(`${tender.title} ${tender.category}`);
+
+  return projects
+    .map((project, index) => ({ project, index, ...scoreProject(project, tender, tenderWords) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ project, reasons }) => ({
+      name: project.name,
+      client: project.client || null,
+      value: project.value || null,
+      year: project.completionDate || project.year || null,
+      role: project.role || null,
+      sector: project.sector || null,
+      location: project.location || null,
+      description: project.description ? project.description.substring(0, PROJECT_DESCRIPTION_LENGTH) : null,
+      relevance: reasons
+    }));
+}
+
+/**
+ * Picks the key personnel most relevant to a tender
+ * People whose position the tender names come first, then those whose qualifications match its scope,
+ * then the most experienced
+ * @param {Object|null} profile - `companies` row
+ * @param {Object} tender - `tenders` row
+ * @param {number} limit - Most people to return
+ * @returns {Array<Object>} [{ name, position, experience, qualifications, certifications }]
+ */
+export function selectKeyPersonnel(profile, tender, limit = MAX_CITED_PERSONNEL) {
+  const people = (Array.isArray(profile?.key_personnel) ? profile.key_personnel : []).filter(person => person?.name && person.position);
+  const tenderText = `${tender.description || ''} ${(tender.requirements || []).join(' ')}`.toLowerCase();
+  const tenderWords = keywords(`${tender.title} ${tender.category} ${tender.description}`);
+
+  const score = (person) => {
+    const position = person.position.toLowerCase();
+    const head = position.split(/\s+/).pop().replace(/s$/, '');
+    let total = tenderText.includes(position) ? 4 : head.length > 2 && tenderText.includes(head) ? 2 : 0;
+    total += Math.min(overlap(keywords(`${person.qualifications} ${(person.certifications || []).join(' ')}`), tenderWords), 3);
+    return total + Math.min(firstNumber(person.experience) || 0, 30) / 30;
+  };
+
+  return people
+    .map((person, index) => ({ person, index, score: score(person) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ person }) => ({
+      name: person.name,
+      position: person.position,
+      experience: person.experience || null,
+      qualifications: person.qualifications || null,
+      certifications: Array.isArray(person.certifications) ? person.certifications : []
+    }));
+}
+
+/**
+ * Standards the profile records as flags
+ * @param {Object|null} profile - `companies` row
+ * @returns {Array<string>} e.g. ['ISO 9001', 'ISO 14001']
+ */
+export function profileStandards(profile) {
+  return [
+    profile?.iso9001 && 'ISO 9001',
+    profile?.iso14001 && 'ISO 14001',
+    profile?.ohsas18001 && 'OHSAS 18001 / ISO 45001'
+  ].filter(Boolean);
+}
+
+/**
+ * Describes the company's headcount
+ * @param {Object|null} profile - `companies` row
+ * @returns {string|null} e.g. "120 employees (12 engineers, 8 supervisors)", or null when nothing is recorded
+ */
+export function describeStaff(profile) {
+  if (!profile) return null;
+
+  const roles = [
+    [profile.engineers_count, 'engineers'],
+    [profile.supervisors_count, 'supervisors'],
+    [profile.technicians_count, 'technicians'],
+    [profile.laborers_count, 'labourers']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+
+  if (profile.total_employees) {
+    return `${profile.total_employees} employees${roles.length ? ` (${roles.join(', ')})` : ''}`;
+  }
+  return roles.length ? roles.join(', ') : null;
+}
+
+/**
+ * Collects the text a claim may be traced to
+ * @param {Object|null} profile - `companies` row
+ * @param {Object|null} tender - `tenders` row
+ * @param {Array<string>} sources - Other text the output was based on, e.g. the proposal before improvement
+ * @returns {string} Evidence text
+ */
+function evidenceText(profile, tender, sources) {
+  const pick = (row, fields) => fields.map(field => row?.[field]).filter(value => value != null && value !== '');
+  return [...pick(profile, PROFILE_EVIDENCE_FIELDS), ...pick(tender, TENDER_EVIDENCE_FIELDS), ...sources]
+    .map(value => (typeof value === 'string' ? value : JSON.stringify(value)))
+    .join('\n');
+}
+
+/**
+ * Checks whether an amount matches one in the evidence (within 1%, so rounding such as "RM 2.5 million" matches)
+ * @param {number} amount - Amount
+ * @param {Array<number>} known - Amounts from the evidence
+ * @returns {boolean} True when a known amount matches
+ */
+function matchesAmount(amount, known) {
+  return known.some(value => Math.abs(value - amount) <= Math.abs(value) * 0.01);
+}
+
+/**
+ * Finds statements in AI output that cannot be traced to the company profile, the tender or the source text
+ * Checked: money amounts, standards (ISO, OHSAS, MS), CIDB grades, quantities (years, staff, projects),
+ * track-record percentages, past calendar years, people named with a title (Ir., Dr., Encik...), and the bold
+ * names that lead list items in experience and team sections
+ * The current and later years are never flagged, since proposals date themselves and plan ahead
+ * @param {string} content - AI output (Markdown)
+ * @param {Object} evidence - { profile, tender, sources, now } where sources are other texts the output was based on
+ * @returns {Array<Object>} [{ claim, section, reason }] where section is the heading the claim appears under
+ */
+export function findUntracedClaims(content, { profile = null, tender = null, sources = [], now = new Date() } = {}) {
+  const evidence = evidenceText(profile, tender, sources.filter(Boolean));
+  const lowerEvidence = evidence.toLowerCase();
+  const knownNumbers = new Set((evidence.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(value => Number(value.replace(/,/g, ''))));
+
+  // Project values are often recorded without a currency, e.g. "2,500,000" or "2.5 million"
+  const knownAmounts = [
+    ...(evidence.match(MONEY_PATTERN) || []),
+    ...(Array.isArray(profile?.major_projects) ? profile.major_projects.map(project => project?.value) : []),
+    profile?.total_value
+  ].flatMap(text => {
+    const parsed = parseBudget(text);
+    return parsed ? [parsed.min, parsed.max].filter(value => value != null) : [];
+  });
+
+  const cidbGrade = firstNumber(profile?.cidb_grade);
+  const currentYear = now.getFullYear();
+  const claims = [];
+  const seen = new Set();
+  let section = null;
+
+  const flag = (claim, reason) => {
+    const key = claim.toLowerCase();
+    if (seen.has(key) || claims.length >= MAX_CLAIMS) return;
+    seen.add(key);
+    claims.push({ claim, section, reason });
+  };
+
+  (content || '').split('\n').forEach(line => {
+    const heading = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      section = heading[1];
+      return;
+    }
+
+    // Each match is blanked out once checked, so "ISO 9001:2015" is not checked again as the year 2015
+    let rest = line;
+    const take = (pattern, check) => {
+      rest = rest.replace(pattern, (...match) => {
+        check(...match);
+        return ' '.repeat(match[0].length);
+      });
+    };
+
+    take(MONEY_PATTERN, text => {
+      const parsed = parseBudget(text);
+      const amount = budgetPoint(parsed);
+      if (amount != null && !matchesAmount(amount, knownAmounts)) {
+        flag(text.trim(), `${formatAmount(amount, parsed.currency)} does not match a project value, total value or the tender budget`);
+      }
+    });
+
+    take(STANDARD_PATTERN, text => {
+      if (!profile || !findCertification(text, profile)) {
+        flag(text, `${text} is not among the company's certifications`);
+      }
+    });
+
+    take(CIDB_PATTERN, (text, grade) => {
+      if (cidbGrade == null || Number(grade) !== cidbGrade) {
+        flag(text, cidbGrade == null ? 'The company profile has no CIDB grade' : `The company profile records CIDB grade ${profile.cidb_grade}`);
+      }
+    });
+
+    take(QUANTITY_PATTERN, (text, number) => {
+      if (!knownNumbers.has(Number(number.replace(/,/g, '')))) {
+        flag(text.trim(), 'This figure is not in the company profile or the tender');
+      }
+    });
+
+    take(TRACK_RECORD_PERCENT_PATTERN, (text, number) => {
+      if (!knownNumbers.has(Number(number))) {
+        flag(text.trim(), 'This figure is not in the company profile or the tender');
+      }
+    });
+
+    take(CALENDAR_YEAR_PATTERN, text => {
+      if (Number(text) < currentYear && !knownNumbers.has(Number(text))) {
+        flag(text, 'This year is not in the company profile or the tender');
+      }
+    });
+
+    take(PERSON_PATTERN, text => {
+      const name = text.replace(/^\S+\s+/, '').toLowerCase();
+      if (!lowerEvidence.includes(name)) {
+        flag(text, 'This person is not in the key personnel');
+      }
+    });
+
+    const lead = BOLD_LEAD_PATTERN.exec(line);
+    if (lead && section && (EXPERIENCE_SECTION.test(section) || TEAM_SECTION.test(section))) {
+      const name = lead[1].replace(/[:.]\s*$/, '').trim();
+      if (name && !lowerEvidence.includes(name.toLowerCase())) {
+        flag(name, TEAM_SECTION.test(section) ? 'This person or role is not in the key personnel' : 'This project is not among the major projects');
+      }
+    }
+  });
+
+  return claims;
+}
@@ -0,0 +1,190 @@
+// lib/profileHealth.js
+// Company profile health: completeness from the real profile fields, expiring credentials
+// (CIDB registration, contractor licence, certifications) and tenders whose requirements depend on them
+// Used by the profile page, the eligibility summary and the scheduled expiry alert job
+
+import { findCertification } from './requirements';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which owners and editors are warned; override with EXPIRY_ALERT_WINDOWS, e.g. "60,14"
+export const DEFAULT_EXPIRY_WINDOWS = [90, 30, 7];
+
+/**
+ * Parses a comma-separated list of warning windows
+ * @param {string} value - e.g. "90,30,7"
+ * @returns {Array<number>} Windows in days, largest first; the defaults when the value has none
+ */
+export function resolveExpiryWindows(value) {
+  const windows = String(value || '')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day > 0);
+
+  return (windows.length > 0 ? [...new Set(windows)] : DEFAULT_EXPIRY_WINDOWS).sort((a, b) => b - a);
+}
+
+/**
+ * Whole days from now until a date (negative once it has passed)
+ * @param {string} date - Date text
+ * @param {Date} now - Reference time
+ * @returns {number|null} Days, or null for a missing or invalid date
+ */
+function daysUntil(date, now) {
+  const value = date ? new Date(date) : null;
+  if (!value || isNaN(value.getTime())) return null;
+  return Math.ceil((value - now) / DAY_MS);
+}
+
+/**
+ * Credentials in a profile that have an expiry date
+ * @param {Object} profile - `companies` row
+ * @returns {Array<Object>} [{ key, kind, label, expiresOn }] where key identifies the credential across runs
+ */
+export function listCredentials(profile) {
+  const credentials = [];
+
+  if (profile.cidb_grade && profile.cidb_expiry) {
+    credentials.push({ key: 'cidb', kind: 'cidb', label: `CIDB registration (${profile.cidb_grade})`, expiresOn: profile.cidb_expiry });
+  }
+
+  if (profile.contractor_license && profile.license_expiry) {
+    credentials.push({ key: 'license', kind: 'license', label: `Contractor licence ${profile.contractor_license}`, expiresOn: profile.license_expiry });
+  }
+
+  (Array.isArray(profile.custom_certifications) ? profile.custom_certifications : []).forEach(certification => {
+    const expiresOn = certification?.expiryDate || certification?.expiry;
+    if (!certification?.name || !expiresOn) return;
+    credentials.push({
+      key: `certification:${certification.name.toLowerCase()}`,
+      kind: 'certification',
+      label: certification.name,
+      expiresOn
+    });
+  });
+
+  return credentials;
+}
+
+/**
+ * Credentials that have expired or expire within the largest warning window, soonest first
+ * @param {Object} profile - `companies` row
+ * @param {Object} options - { now, windows }
+ * @returns {Array<Object>} Credentials with { daysLeft, status: 'expired' | 'expiring', window }
+ *   where window is the smallest warning window the credential is inside (0 once expired)
+ */
+export function getExpiringCredentials(profile, { now = new Date(), windows = DEFAULT_EXPIRY_WINDOWS } = {}) {
+  const largest = Math.max(...windows);
+
+  return listCredentials(profile)
+    .map(credential => ({ ...credential, daysLeft: daysUntil(credential.expiresOn, now) }))
+    .filter(credential => credential.daysLeft != null && credential.daysLeft <= largest)
+    .map(credential => ({
+      ...credential,
+      status: credential.daysLeft < 0 ? 'expired' : 'expiring',
+      window: credential.daysLeft < 0 ? 0 : Math.min(...windows.filter(window => credential.daysLeft <= window))
+    }))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * Checks a date is present and not in the past
+ * @param {string} date - Date text
+ * @param {Date} now - Reference time
+ * @returns {boolean} True for a valid, current date
+ */
+function isCurrent(date, now) {
+  const days = daysUntil(date, now);
+  return days != null && days >= 0;
+}
+
+const hasText = value => typeof value === 'string' ? value.trim() !== '' : value != null && value !== '';
+const hasItems = value => Array.isArray(value) && value.length > 0;
+
+/**
+ * What a complete profile has, by profile section; each item counts equally
+ * Credentials count only while they are current, so a lapsed registration lowers the score
+ */
+const COMPLETENESS_ITEMS = [
+  { key: 'name', section: 'Basic Info', label: 'Company name', check: p => hasText(p.name) },
+  { key: 'registration_number', section: 'Basic Info', label: 'Registration number', check: p => hasText(p.registration_number) },
+  { key: 'address', section: 'Basic Info', label: 'Address', check: p => hasText(p.address) },
+  { key: 'contact', section: 'Basic Info', label: 'Contact email and phone', check: p => hasText(p.contact_email) && hasText(p.contact_phone) },
+  { key: 'cidb', section: 'Certifications', label: 'Current CIDB registration', check: (p, now) => hasText(p.cidb_grade) && isCurrent(p.cidb_expiry, now) },
+  { key: 'license', section: 'Certifications', label: 'Current contractor licence', check: (p, now) => hasText(p.contractor_license) && isCurrent(p.license_expiry, now) },
+  {
+    key: 'certifications',
+    section: 'Certifications',
+    label: 'Quality, environmental or safety certifications',
+    check: p => p.iso9001 === true || p.iso14001 === true || p.ohsas18001 === true || hasItems(p.certifications) || hasItems(p.custom_certifications)
+  },
+  { key: 'years_in_operation', section: 'Experience', label: 'Years in operation', check: p => hasText(p.years_in_operation) },
+  { key: 'major_projects', section: 'Experience', label: 'Past projects with their values', check: p => hasItems(p.major_projects) && p.major_projects.some(project => hasText(project?.value)) },
+  { key: 'specialties', section: 'Experience', label: 'Specialties', check: p => hasItems(p.specialties) },
+  { key: 'total_value', section: 'Experience', label: 'Total value of completed projects', check: p => hasText(p.total_value) },
+  { key: 'team', section: 'Team', label: 'Staff numbers', check: p => [p.engineers_count, p.supervisors_count, p.technicians_count, p.laborers_count].some(count => count > 0) },
+  { key: 'key_personnel', section: 'Team', label: 'Key personnel', check: p => hasItems(p.key_personnel) },
+  { key: 'preferences', section: 'Preferences', label: 'Preferred categories and budget range', check: p => hasItems(p.preferred_categories) && hasText(p.budget_range) }
+];
+
+/**
+ * Scores how complete a company profile is
+ * @param {Object|null} profile - `companies` row
+ * @param {Date} now - Reference time for credential expiry
+ * @returns {Object} { score, completed: [{ key, section, label }], missing: [{ key, section, label }] }
+ */
+export function computeProfileCompleteness(profile, now = new Date()) {
+  const completed = [];
+  const missing = [];
+
+  COMPLETENESS_ITEMS.forEach(({ check, ...item }) => {
+    (profile && check(profile, now) ? completed : missing).push(item);
+  });
+
+  return {
+    score: Math.round((completed.length / COMPLETENESS_ITEMS.length) * 100),
+    completed,
+    missing
+  };
+}
+
+/**
+ * Credentials a tender's requirements rely on that will have lapsed by the time the tender closes
+ * @param {Array<Object>} requirements - Normalized requirements (see lib/requirements.js)
+ * @param {Object} profile - `companies` row
+ * @param {string|null} closingDate - Tender closing date; without one, only lapsed credentials count
+ * @param {Date} now - Reference time
+ * @returns {Array<string>} Reasons, e.g. "CIDB registration (G7) expires on 2025-08-01, before the tender closes"
+ */
+export function findExpiryRisks(requirements, profile, closingDate, now = new Date()) {
+  const deadline = closingDate && !isNaN(new Date(closingDate).getTime()) ? new Date(closingDate) : now;
+  const credentials = listCredentials(profile);
+  const risks = new Map();
+
+  const check = credential => {
+    if (!credential || risks.has(credential.key)) return;
+    const expires = new Date(credential.expiresOn);
+    if (isNaN(expires.getTime()) || expires > deadline) return;
+
+    risks.set(credential.key, expires < now
+      ? `${credential.label} expired on ${credential.expiresOn}`
+      : `${credential.label} expires on ${credential.expiresOn}, before the tender closes`);
+  };
+
+  requirements.forEach(requirement => {
+    const name = (requirement.threshold?.name || '').toLowerCase();
+
+    if (requirement.type === 'grade' || (requirement.type === 'document' && /\bcidb\b/.test(name))) {
+      check(credentials.find(credential => credential.kind === 'cidb'));
+    } else if (requirement.type === 'document' && /licen[cs]e|permit/.test(name)) {
+      check(credentials.find(credential => credential.kind === 'license'));
+    } else if (requirement.type === 'certification' || requirement.type === 'document') {
+      const certification = findCertification(requirement.threshold?.name, profile);
+      if (certification?.expiresOn) {
+        check(credentials.find(credential => credential.key === `certification:${certification.name.toLowerCase()}`));
+      }
+    }
+  });
+
+  return [...risks.values()];
+}
@@ -0,0 +1,92 @@
+// lib/proposalGeneration.js
+// Server-side proposal drafting shared by the generateProposal routes (JSON and streaming)
+// Template drafts fill boilerplate from the profile and tender and ask the AI only for the generated sections
+// Every draft is checked for statements the profile, tender and template cannot back
+
+import { validateResponse } from './aiPrompts';
+import { buildAIContext } from './aiContext';
+import { generate } from './llm';
+import { AIQuotaError } from './aiUsage';
+import { findUntracedClaims } from './profileEvidence';
+import {
+  prepareTemplate,
+  composeProposal,
+  describeGeneratedSections,
+  parseGeneratedSections
+} from './proposalTemplates';
+
+/**
+ * Asks the AI to write a template's generated sections
+ * @param {Object} prepared - Result of prepareTemplate
+ * @param {Object} tender - `tenders` row
+ * @param {Object} profile - `companies` row
+ * @param {Array} documentExcerpts - Tender document passages (see getDocumentExcerpts in lib/tenderDocuments.js)
+ * @param {Object} options - { ledger, signal }: who the request is charged to (see aiLedger in lib/aiUsage.js),
+ * and a signal that cancels it
+ * @returns {Promise<Object>} Map of section index to Markdown (empty when the AI fails or writes nothing)
+ */
+async function generateTemplateSections(prepared, tender, profile, documentExcerpts, { ledger, signal }) {
+  if (prepared.generated.length === 0) {
+    return {};
+  }
+
+  try {
+    const { content } = await generate('TEMPLATE_SECTIONS', buildAIContext(tender, profile, { documentExcerpts }), {
+      instructions: describeGeneratedSections(prepared),
+      ledger,
+      signal
+    });
+
+    // Validate the response
+    const validation = validateResponse(content, 'TEMPLATE_SECTIONS');
+    if (!validation.isValid) {
+      console.warn('AI response validation failed:', validation.issues);
+    }
+
+    return parseGeneratedSections(content, prepared);
+  } catch (aiError) {
+    // A used-up quota or a cancelled draft is not a reason to fill in the template without the AI
+    if (aiError instanceof AIQuotaError || signal?.aborted) throw aiError;
+
+    // Sections the AI did not write keep their drafting note
+    console.error("AI template section generation error:", aiError);
+    return {};
+  }
+}
+
+/**
+ * Drafts a proposal from a company template
+ * @param {Object} template - `proposal_templates` row
+ * @param {Object} tender - `tenders` row
+ * @param {Object} profile - `companies` row
+ * @param {Array} documentExcerpts - Tender document passages for the generated sections
+ * @param {Object} options - { ledger, signal } to charge the AI request to a user and to cancel it
+ * @returns {Promise<Object>} { content, missingPlaceholders }
+ */
+export async function draftFromTemplate(template, tender, profile, documentExcerpts = [], { ledger, signal } = {}) {
+  const prepared = prepareTemplate(template, { tender, company: profile });
+  const generatedContent = await generateTemplateSections(prepared, tender, profile, documentExcerpts, { ledger, signal });
+
+  return {
+    content: composeProposal(prepared, generatedContent),
+    missingPlaceholders: prepared.missing
+  };
+}
+
+/**
+ * Flags statements in a draft that no profile field, tender field, document excerpt or template text backs
+ * @param {string} content - Draft Markdown
+ * @param {Object} sources - { tender, profile, documentExcerpts, template } the draft was written from
+ * @returns {Array<Object>} [{ claim, section, reason }] (see findUntracedClaims in lib/profileEvidence.js)
+ */
+export function findDraftClaims(content, { tender, profile, documentExcerpts = [], template = null }) {
+  return findUntracedClaims(content, {
+    tender,
+    profile,
+    sources: [
+      ...documentExcerpts.map(excerpt => excerpt.content),
+      template?.title,
+      ...(template?.sections || []).map(section => section.content)
+    ]
+  });
+}
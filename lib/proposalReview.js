@@ -0,0 +1,299 @@
+// lib/proposalReview.js
+// Proposal review workflow: statuses, allowed transitions, section anchors for review comments and response transforms
+// Used by the review API routes and the proposal page, so it must stay free of server-only imports
+
+import { can } from './organizations';
+
+export const PROPOSAL_STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'submitted', 'won', 'lost'];
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In Review',
+  changes_requested: 'Changes Requested',
+  approved: 'Approved',
+  submitted: 'Submitted',
+  won: 'Won',
+  lost: 'Lost'
+};
+
+// Authors edit drafts and proposals sent back for changes; review and approval freeze the content
+const EDITABLE_STATUSES = ['draft', 'changes_requested'];
+
+/**
+ * Review actions, the statuses they apply to and the permission needed
+ * `reviewerOnly` actions are limited to the assigned reviewer (owners can always act)
+ */
+export const REVIEW_ACTIONS = {
+  request_review: { label: 'Request Review', from: ['draft', 'changes_requested'], to: 'in_review', permission: 'edit' },
+  approve: { label: 'Approve', from: ['in_review'], to: 'approved', permission: 'review', reviewerOnly: true },
+  request_changes: { label: 'Request Changes', from: ['in_review'], to: 'changes_requested', permission: 'review', reviewerOnly: true },
+  reopen: { label: 'Back to Draft', from: ['in_review', 'approved'], to: 'draft', permission: 'edit' }
+};
+
+export const MAX_COMMENT_LENGTH = 4000;
+export const MAX_QUOTE_LENGTH = 500;
+export const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Checks whether a proposal's content can be changed in its current status
+ * @param {string} status - Proposal status
+ * @returns {boolean} True when authors can edit
+ */
+export function isEditableStatus(status) {
+  return EDITABLE_STATUSES.includes(status || 'draft');
+}
+
+/**
+ * Lists the review actions a member can take on a proposal
+ * @param {Object} proposal - `proposals` row (status, reviewer_id)
+ * @param {string} role - Member role
+ * @param {string} userId - Member user ID
+ * @returns {Array<string>} Action names
+ */
+export function availableActions(proposal, role, userId) {
+  return Object.keys(REVIEW_ACTIONS).filter(action => !checkTransition(proposal, action, role, userId).error);
+}
+
+/**
+ * Validates a review action against the proposal's status and the member's role
+ * @param {Object} proposal - `proposals` row (status, reviewer_id)
+ * @param {string} action - Review action name
+ * @param {string} role - Member role
+ * @param {string} userId - Member user ID
+ * @returns {Object} { to } or { error, status } with the HTTP status to respond with
+ */
+export function checkTransition(proposal, action, role, userId) {
+  const definition = REVIEW_ACTIONS[action];
+  if (!definition) {
+    return { error: `action must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`, status: 400 };
+  }
+
+  const current = proposal.status || 'draft';
+  if (!definition.from.includes(current)) {
+    return { error: `Cannot ${definition.label.toLowerCase()} a proposal that is ${STATUS_LABELS[current] || current}`, status: 409 };
+  }
+
+  if (!can(role, definition.permission)) {
+    return { error: 'Your role does not allow this review action', status: 403 };
+  }
+
+  if (definition.reviewerOnly && role !== 'owner' && proposal.reviewer_id && proposal.reviewer_id !== userId) {
+    return { error: 'Only the assigned reviewer can decide on this proposal', status: 403 };
+  }
+
+  return { to: definition.to };
+}
+
+/**
+ * Turns heading text into a URL-style slug
+ * @param {string} text - Heading text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[*_`~[\]()]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Lists the Markdown sections of a proposal that review comments can anchor to
+ * Anchors are heading slugs; repeated headings get a numeric suffix. Headings inside code fences are ignored
+ * @param {string} content - Proposal Markdown
+ * @returns {Array<Object>} [{ anchor, heading, level, line }]
+ */
+export function parseSections(content) {
+  const sections = [];
+  const used = new Set();
+  let inFence = false;
+
+  (content || '').split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const match = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (!match) return;
+
+    const base = slugify(match[2]) || 'section';
+    let anchor = base;
+    for (let suffix = 2; used.has(anchor); suffix++) {
+      anchor = `${base}-${suffix}`;
+    }
+    used.add(anchor);
+
+    sections.push({
+      anchor,
+      heading: match[2],
+      level: match[1].length,
+      line: index + 1
+    });
+  });
+
+  return sections;
+}
+
+/**
+ * Adds text at the end of a section, before the next heading of the same or a higher level
+ * @param {string} content - Proposal Markdown
+ * @param {string} anchor - Anchor from parseSections
+ * @param {string} text - Markdown to add
+ * @returns {string|null} New content, or null when no section has the anchor
+ */
+export function insertIntoSection(content, anchor, text) {
+  const sections = parseSections(content);
+  const index = sections.findIndex(section => section.anchor === anchor);
+  if (index === -1) return null;
+
+  const lines = (content || '').split('\n');
+  const next = sections.slice(index + 1).find(section => section.level <= sections[index].level);
+  const stop = next ? next.line - 1 : lines.length;
+
+  // Insert after the section's last non-blank line, keeping one blank line on either side of the text
+  let end = stop;
+  while (end > sections[index].line && lines[end - 1].trim() === '') {
+    end--;
+  }
+
+  const trailing = next || end < stop ? [''] : [];
+  lines.splice(end, stop - end, '', text.trim(), ...trailing);
+  return lines.join('\n');
+}
+
+/**
+ * Validates a new review comment against the proposal content
+ * @param {Object} body - Request body { sectionAnchor, quote, body }
+ * @param {string} content - Current proposal Markdown
+ * @returns {Object} { row, error }
+ */
+export function toCommentRow(body, content) {
+  const text = typeof body?.body === 'string' ? body.body.trim() : '';
+  if (!text) {
+    return { error: 'body is required' };
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return { error: `body must be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+
+  let section = null;
+  if (body.sectionAnchor) {
+    section = parseSections(content).find(item => item.anchor === body.sectionAnchor);
+    if (!section) {
+      return { error: 'sectionAnchor does not match a section of the proposal' };
+    }
+  }
+
+  const quote = typeof body.quote === 'string' ? body.quote.trim() : '';
+  if (quote.length > MAX_QUOTE_LENGTH) {
+    return { error: `quote must be at most ${MAX_QUOTE_LENGTH} characters` };
+  }
+
+  return {
+    row: {
+      section_anchor: section ? section.anchor : null,
+      section_heading: section ? section.heading : null,
+      quote: quote || null,
+      body: text
+    }
+  };
+}
+
+/**
+ * Validates the optional note attached to a review action
+ * @param {*} note - Note from the request body
+ * @returns {Object} { note, error }
+ */
+export function normalizeNote(note) {
+  if (note === undefined || note === null || note === '') return { note: null };
+  if (typeof note !== 'string') return { error: 'note must be a string' };
+  if (note.trim().length > MAX_NOTE_LENGTH) {
+    return { error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { note: note.trim() || null };
+}
+
+/**
+ * Transforms a `proposal_status_events` row for the API response
+ * @param {Object} event - `proposal_status_events` row
+ * @param {Object} users - Map of user ID to { email, fullName }
+ * @returns {Object} Status event
+ */
+export function transformStatusEvent(event, users = {}) {
+  return {
+    id: event.id,
+    fromStatus: event.from_status,
+    toStatus: event.to_status,
+    actorId: event.actor_id,
+    actorName: displayName(users[event.actor_id]),
+    reviewerId: event.reviewer_id,
+    reviewerName: displayName(users[event.reviewer_id]),
+    note: event.note,
+    createdAt: event.created_at
+  };
+}
+
+/**
+ * Transforms a `proposal_review_comments` row for the API response
+ * @param {Object} comment - `proposal_review_comments` row
+ * @param {Object} users - Map of user ID to { email, fullName }
+ * @returns {Object} Review comment
+ */
+export function transformComment(comment, users = {}) {
+  return {
+    id: comment.id,
+    sectionAnchor: comment.section_anchor,
+    sectionHeading: comment.section_heading,
+    quote: comment.quote,
+    body: comment.body,
+    authorId: comment.user_id,
+    authorName: displayName(users[comment.user_id]),
+    resolved: Boolean(comment.resolved_at),
+    resolvedAt: comment.resolved_at,
+    resolvedByName: displayName(users[comment.resolved_by]),
+    createdAt: comment.created_at
+  };
+}
+
+/**
+ * Picks a display name from looked-up user info
+ * @param {Object} info - { email, fullName }
+ * @returns {string|null} Name or email
+ */
+function displayName(info) {
+  if (!info) return null;
+  return info.fullName || info.email || null;
+}
+
+/**
+ * Renders the email sent to a reviewer when a proposal is sent for review
+ * @param {Object} params - { proposalId, proposalTitle, requesterEmail, note }
+ * @returns {Object} { subject, text, html }
+ */
+export function renderReviewRequestEmail({ proposalId, proposalTitle, requesterEmail, note }) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const reviewUrl = `${appUrl}/proposals/${proposalId}`;
+  const requestedBy = requesterEmail ? `${requesterEmail} has asked you` : 'You have been asked';
+
+  const subject = `Review requested: ${proposalTitle}`;
+  const text = [
+    `${requestedBy} to review the proposal "${proposalTitle}".`,
+    ...(note ? ['', `Note: ${note}`] : []),
+    '',
+    `Open the proposal: ${reviewUrl}`
+  ].join('\n');
+
+  const escape = value => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const html = `
+    <p>${escape(requestedBy)} to review the proposal <strong>${escape(proposalTitle)}</strong>.</p>
+    ${note ? `<p><em>${escape(note)}</em></p>` : ''}
+    <p><a href="${reviewUrl}">Open the proposal</a></p>`;
+
+  return { subject, text, html };
+}
@@ -0,0 +1,315 @@
+// lib/proposalTemplates.js
+// Proposal templates: validation, template selection by tender category, placeholder filling and composition
+// Boilerplate sections are filled from the company profile and tender; only `generated` sections go to the AI
+
+export const SECTION_TYPES = ['boilerplate', 'generated'];
+export const MAX_SECTIONS = 30;
+export const DEFAULT_TEMPLATE_TITLE = 'Proposal for {{tender.title}}';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(company|tender|date)\.([a-z0-9_]+)\s*\}\}/gi;
+
+// Friendlier names for common placeholders, mapped to table columns
+const PLACEHOLDER_ALIASES = {
+  tender: { reference: 'tender_id', reference_number: 'tender_id' },
+  company: { registration: 'registration_number', email: 'contact_email', phone: 'contact_phone' }
+};
+
+// Placeholders shown as hints in the template editor
+export const PLACEHOLDER_HINTS = [
+  '{{company.name}}',
+  '{{company.registration_number}}',
+  '{{company.address}}',
+  '{{company.contact_email}}',
+  '{{company.contact_phone}}',
+  '{{company.cidb_grade}}',
+  '{{company.years_in_operation}}',
+  '{{company.total_projects}}',
+  '{{company.specialties}}',
+  '{{tender.title}}',
+  '{{tender.reference}}',
+  '{{tender.agency}}',
+  '{{tender.category}}',
+  '{{tender.location}}',
+  '{{tender.budget}}',
+  '{{tender.closing_date}}',
+  '{{date.today}}'
+];
+
+/**
+ * Formats a date as it appears in Malaysian business letters, e.g. "15 August 2025"
+ * @param {string|Date} value - Date
+ * @returns {string|null} Formatted date
+ */
+function formatLetterDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toLocaleDateString('en-MY', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kuala_Lumpur' });
+}
+
+/**
+ * Formats a row value for insertion into proposal text
+ * @param {string} key - Column name
+ * @param {*} value - Column value
+ * @returns {string|null} Text, or null when there is nothing to insert
+ */
+function formatValue(key, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) {
+    const items = value.filter(item => typeof item === 'string' || typeof item === 'number');
+    return items.length > 0 ? items.join(', ') : null;
+  }
+  if (typeof value === 'object') return null;
+  if (/(_date|_expiry)$/.test(key)) return formatLetterDate(value) || String(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * Resolves one placeholder against the tender and company rows
+ * @param {string} scope - 'company', 'tender' or 'date'
+ * @param {string} key - Field name
+ * @param {Object} context - { tender, company, now }
+ * @returns {string|null} Replacement text
+ */
+function resolvePlaceholder(scope, key, context) {
+  if (scope === 'date') {
+    return key === 'today' ? formatLetterDate(context.now || new Date()) : null;
+  }
+
+  const row = context[scope] || {};
+  const column = PLACEHOLDER_ALIASES[scope]?.[key] || key;
+
+  // Contact fields fall back to the general company email/phone
+  if (scope === 'company' && column === 'contact_email') return formatValue(column, row.contact_email || row.email);
+  if (scope === 'company' && column === 'contact_phone') return formatValue(column, row.contact_phone || row.phone);
+
+  return formatValue(column, row[column]);
+}
+
+/**
+ * Replaces {{scope.field}} placeholders in text
+ * Unknown or empty placeholders are left in place so they stand out in the editor
+ * @param {string} text - Template text
+ * @param {Object} context - { tender, company, now } using database rows
+ * @returns {Object} { text, missing } where missing lists unresolved placeholders
+ */
+export function fillPlaceholders(text, context) {
+  const missing = new Set();
+
+  const filled = String(text || '').replace(PLACEHOLDER_PATTERN, (match, scope, key) => {
+    const value = resolvePlaceholder(scope.toLowerCase(), key.toLowerCase(), context);
+    if (value === null) {
+      missing.add(`${scope.toLowerCase()}.${key.toLowerCase()}`);
+      return match;
+    }
+    return value;
+  });
+
+  return { text: filled, missing: [...missing] };
+}
+
+/**
+ * Maps a camelCase request body to `proposal_templates` columns, validating as it goes
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {Object} { row, error }
+ */
+export function toTemplateRow(body = {}, partial = false) {
+  const row = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    row.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    row.description = body.description ? String(body.description).trim() : null;
+  }
+
+  if (body.title !== undefined) {
+    row.title = body.title && String(body.title).trim() ? String(body.title).trim() : DEFAULT_TEMPLATE_TITLE;
+  }
+
+  if (body.categories !== undefined) {
+    if (!Array.isArray(body.categories)) {
+      return { error: 'categories must be an array' };
+    }
+    row.categories = [...new Set(body.categories.map(category => String(category).trim()).filter(Boolean))];
+  }
+
+  if (body.isDefault !== undefined) {
+    row.is_default = Boolean(body.isDefault);
+  }
+
+  if (body.sections !== undefined || !partial) {
+    if (!Array.isArray(body.sections) || body.sections.length === 0) {
+      return { error: 'sections must be a non-empty array' };
+    }
+    if (body.sections.length > MAX_SECTIONS) {
+      return { error: `A template can have at most ${MAX_SECTIONS} sections` };
+    }
+
+    const sections = [];
+    for (const [index, section] of body.sections.entries()) {
+      if (!section || typeof section.heading !== 'string' || !section.heading.trim()) {
+        return { error: `sections[${index}].heading is required` };
+      }
+      if (!SECTION_TYPES.includes(section.type)) {
+        return { error: `sections[${index}].type must be one of: ${SECTION_TYPES.join(', ')}` };
+      }
+      if (section.content !== undefined && section.content !== null && typeof section.content !== 'string') {
+        return { error: `sections[${index}].content must be a string` };
+      }
+      sections.push({
+        heading: section.heading.trim(),
+        type: section.type,
+        content: section.content || ''
+      });
+    }
+    row.sections = sections;
+  }
+
+  return { row };
+}
+
+/**
+ * Transforms a `proposal_templates` row to match frontend expectations (snake_case to camelCase)
+ * @param {Object} template - `proposal_templates` row
+ * @returns {Object} Template for the API response
+ */
+export function transformTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    title: template.title,
+    sections: template.sections || [],
+    categories: template.categories || [],
+    isDefault: template.is_default || false,
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+/**
+ * Picks the template for a tender: an explicit choice, else one mapped to the tender's category, else the company default
+ * @param {Array} templates - Company's `proposal_templates` rows
+ * @param {Object} tender - `tenders` row
+ * @param {string} templateId - Template requested by the user, if any
+ * @returns {Object|null} Template row, or null to use the built-in layout
+ */
+export function selectTemplate(templates, tender, templateId = null) {
+  if (templateId) {
+    return templates.find(template => template.id === templateId) || null;
+  }
+
+  const category = (tender.category || '').toLowerCase();
+  const byCategory = category
+    ? templates.find(template => (template.categories || []).some(item => item.toLowerCase() === category))
+    : null;
+
+  return byCategory || templates.find(template => template.is_default) || null;
+}
+
+/**
+ * Fills a template's title and boilerplate sections and lists the sections the AI must write
+ * @param {Object} template - `proposal_templates` row
+ * @param {Object} context - { tender, company, now } using database rows
+ * @returns {Object} { title, sections: [{ heading, type, content }], generated: [{ index, heading, instructions }], missing }
+ */
+export function prepareTemplate(template, context) {
+  const missing = new Set();
+  const track = result => {
+    result.missing.forEach(item => missing.add(item));
+    return result.text;
+  };
+
+  const title = track(fillPlaceholders(template.title || DEFAULT_TEMPLATE_TITLE, context));
+  const generated = [];
+
+  const sections = (template.sections || []).map((section, index) => {
+    const heading = track(fillPlaceholders(section.heading, context));
+    if (section.type === 'generated') {
+      generated.push({ index, heading, instructions: track(fillPlaceholders(section.content, context)) });
+      return { heading, type: 'generated', content: null };
+    }
+    return { heading, type: 'boilerplate', content: track(fillPlaceholders(section.content, context)) };
+  });
+
+  return { title, sections, generated, missing: [...missing] };
+}
+
+/**
+ * Assembles the final Markdown from a prepared template and the AI-written sections
+ * Generated sections the AI did not return keep a visible drafting note
+ * @param {Object} prepared - Result of prepareTemplate
+ * @param {Object} generatedContent - Map of section index to Markdown
+ * @returns {string} Proposal Markdown
+ */
+export function composeProposal(prepared, generatedContent = {}) {
+  const parts = [`# ${prepared.title}`];
+
+  prepared.sections.forEach((section, index) => {
+    let content = section.content;
+    if (section.type === 'generated') {
+      const instructions = prepared.generated.find(item => item.index === index)?.instructions;
+      content = generatedContent[index] || `*Draft this section${instructions ? `: ${instructions}` : ''}*`;
+    }
+    parts.push(`## ${section.heading}\n\n${(content || '').trim()}`);
+  });
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Builds the instruction listing the sections the AI should write
+ * @param {Object} prepared - Result of prepareTemplate
+ * @returns {string} Instructions for the TEMPLATE_SECTIONS task
+ */
+export function describeGeneratedSections(prepared) {
+  const requested = prepared.generated
+    .map((section, position) => `${position + 1}. "${section.heading}"${section.instructions ? ` - ${section.instructions}` : ''}`)
+    .join('\n');
+
+  const written = prepared.sections
+    .filter(section => section.type === 'boilerplate')
+    .map(section => `## ${section.heading}\n${section.content}`)
+    .join('\n\n');
+
+  return `SECTIONS TO WRITE (in this order):\n${requested}` +
+    (written ? `\n\nSECTIONS ALREADY IN THE PROPOSAL (do not repeat their content):\n${written}` : '');
+}
+
+/**
+ * Reads the AI's JSON answer into a map of section index to Markdown
+ * @param {string} response - Raw AI response
+ * @param {Object} prepared - Result of prepareTemplate
+ * @returns {Object} Map of section index to content
+ */
+export function parseGeneratedSections(response, prepared) {
+  const jsonMatch = String(response || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return {};
+  }
+
+  const returned = Array.isArray(parsed.sections) ? parsed.sections : [];
+  const content = {};
+
+  prepared.generated.forEach((section, position) => {
+    // Match by heading first, falling back to position
+    const match = returned.find(item => item && typeof item.heading === 'string' &&
+      item.heading.trim().toLowerCase() === section.heading.toLowerCase()) || returned[position];
+    if (match && typeof match.content === 'string' && match.content.trim()) {
+      content[section.index] = match.content.trim();
+    }
+  });
+
+  return content;
+}
@@ -0,0 +1,293 @@
+// lib/proposalVersions.js
+// Proposal version history: version kinds, autosave coalescing and line/word diffs between versions
+// Used by the versions API, the version drawer and the AI suggestion review, so it must stay free of server-only imports
+
+export const VERSION_KINDS = ['autosave', 'checkpoint', 'restore', 'suggestion'];
+export const MAX_LABEL_LENGTH = 100;
+
+// Autosaves within this window of when the latest autosave row was created update that row instead of adding a new one,
+// so one autosave row never covers more than this span of editing
+export const AUTOSAVE_COALESCE_MS = 10 * 60 * 1000;
+
+/**
+ * Validates a checkpoint label
+ * @param {*} label - Label from the request body
+ * @returns {Object} { label, error }
+ */
+export function normalizeLabel(label) {
+  if (typeof label !== 'string' || !label.trim()) {
+    return { error: 'label is required for a checkpoint' };
+  }
+  if (label.trim().length > MAX_LABEL_LENGTH) {
+    return { error: `label must be at most ${MAX_LABEL_LENGTH} characters` };
+  }
+  return { label: label.trim() };
+}
+
+/**
+ * Decides whether an autosave should overwrite the latest version rather than create a new one
+ * Only plain autosaves by the same user are coalesced; checkpoints and restores are always kept
+ * @param {Object|null} latest - Latest `proposal_versions` row
+ * @param {string} userId - User saving the draft
+ * @param {Date} now - Current time
+ * @returns {boolean} True to update the latest row
+ */
+export function shouldCoalesce(latest, userId, now = new Date()) {
+  if (!latest || latest.kind !== 'autosave') return false;
+  if (latest.created_by && latest.created_by !== userId) return false;
+
+  // Measured from creation: each coalesced save bumps updated_at, which would stretch the window indefinitely
+  const started = new Date(latest.created_at).getTime();
+  if (isNaN(started)) return false;
+
+  return now.getTime() - started < AUTOSAVE_COALESCE_MS;
+}
+
+/**
+ * Transforms a `proposal_versions` row to match frontend expectations (snake_case to camelCase)
+ * @param {Object} version - `proposal_versions` row
+ * @returns {Object} Version for the API response
+ */
+export function transformVersion(version) {
+  return {
+    id: version.id,
+    version: version.version,
+    content: version.content,
+    kind: version.kind || 'autosave',
+    label: version.label || null,
+    changesSummary: version.changes_summary,
+    restoredFrom: version.restored_from || null,
+    createdAt: version.created_at,
+    updatedAt: version.updated_at || version.created_at,
+    createdBy: version.created_by
+  };
+}
+
+/**
+ * Computes the shortest edit script between two token arrays (Myers' algorithm)
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<Object>} Operations [{ type: 'equal'|'delete'|'insert', value }] in document order
+ */
+function diffTokens(a, b) {
+  // Trim the common prefix and suffix, which is most of the text between two versions
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', value: a[i] });
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  let found = n === 0 && m === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    // Only diagonals -d-1..d+1 are read when backtracking step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && midA[x] === midB[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edits
+  const middle = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const snapshot = trace[d];
+    const at = diagonal => snapshot[diagonal + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      middle.push({ type: 'equal', value: midA[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) middle.push({ type: 'insert', value: midB[y - 1] });
+      else middle.push({ type: 'delete', value: midA[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  ops.push(...middle.reverse());
+  for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', value: a[i] });
+  return ops;
+}
+
+/**
+ * Splits text into words, whitespace runs and punctuation so word diffs keep spacing intact
+ * @param {string} text - Line of text
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeWords(text) {
+  return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Merges adjacent operations of the same type
+ * @param {Array<Object>} ops - Token operations
+ * @returns {Array<Object>} Segments [{ type, text }]
+ */
+function toSegments(ops) {
+  const segments = [];
+  for (const op of ops) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) last.text += op.value;
+    else segments.push({ type: op.type, text: op.value });
+  }
+  return segments;
+}
+
+/**
+ * Diffs two versions line by line, with word-level segments for lines that were modified
+ * Deleted and inserted lines in the same change block are paired up in order; a pair becomes a
+ * single `modified` line when enough of it is unchanged for a word diff to be readable
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Object} { lines: [{ type, text, oldNumber, newNumber, segments }], stats: { added, removed, modified } }
+ */
+export function diffVersions(oldText, newText) {
+  const oldLines = String(oldText || '').split('\n');
+  const newLines = String(newText || '').split('\n');
+  const ops = diffTokens(oldLines, newLines);
+
+  const lines = [];
+  const stats = { added: 0, removed: 0, modified: 0 };
+  let oldNumber = 0;
+  let newNumber = 0;
+
+  for (let i = 0; i < ops.length;) {
+    if (ops[i].type === 'equal') {
+      lines.push({ type: 'equal', text: ops[i].value, oldNumber: ++oldNumber, newNumber: ++newNumber });
+      i++;
+      continue;
+    }
+
+    // Collect one change block of deletions and insertions
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      (ops[i].type === 'delete' ? deleted : inserted).push(ops[i].value);
+      i++;
+    }
+
+    const pairs = Math.min(deleted.length, inserted.length);
+    for (let p = 0; p < Math.max(deleted.length, inserted.length); p++) {
+      if (p < pairs) {
+        const segments = toSegments(diffTokens(tokenizeWords(deleted[p]), tokenizeWords(inserted[p])));
+        const unchanged = segments.filter(segment => segment.type === 'equal').reduce((sum, segment) => sum + segment.text.trim().length, 0);
+        const longest = Math.max(deleted[p].trim().length, inserted[p].trim().length);
+
+        if (longest > 0 && unchanged / longest >= 0.4) {
+          lines.push({ type: 'modified', text: inserted[p], oldNumber: ++oldNumber, newNumber: ++newNumber, segments });
+          stats.modified++;
+          continue;
+        }
+      }
+      if (p < deleted.length) {
+        lines.push({ type: 'delete', text: deleted[p], oldNumber: ++oldNumber, newNumber: null });
+        stats.removed++;
+      }
+      if (p < inserted.length) {
+        lines.push({ type: 'insert', text: inserted[p], oldNumber: null, newNumber: ++newNumber });
+        stats.added++;
+      }
+    }
+  }
+
+  return { lines, stats };
+}
+
+/**
+ * Groups a line diff into hunks that can be accepted or rejected one at a time
+ * @param {string} oldText - Original text
+ * @param {string} newText - Suggested text
+ * @returns {Array<Object>} In document order: { type: 'equal', lines } or { type: 'change', id, removed, added }
+ */
+export function diffHunks(oldText, newText) {
+  const ops = diffTokens(String(oldText || '').split('\n'), String(newText || '').split('\n'));
+  const hunks = [];
+
+  for (const op of ops) {
+    const last = hunks[hunks.length - 1];
+
+    if (op.type === 'equal') {
+      if (last?.type === 'equal') last.lines.push(op.value);
+      else hunks.push({ type: 'equal', lines: [op.value] });
+      continue;
+    }
+
+    const hunk = last?.type === 'change' ? last : null;
+    if (hunk) {
+      hunk[op.type === 'delete' ? 'removed' : 'added'].push(op.value);
+    } else {
+      hunks.push({
+        type: 'change',
+        id: `hunk-${hunks.filter(item => item.type === 'change').length + 1}`,
+        removed: op.type === 'delete' ? [op.value] : [],
+        added: op.type === 'insert' ? [op.value] : []
+      });
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Rebuilds the text of a hunk diff with some of its changes applied
+ * @param {Array<Object>} hunks - Result of diffHunks
+ * @param {Array<string>} acceptedIds - IDs of the change hunks to apply; the others keep the original lines
+ * @returns {string} Text
+ */
+export function applyHunks(hunks, acceptedIds) {
+  return hunks
+    .flatMap(hunk => {
+      if (hunk.type === 'equal') return hunk.lines;
+      return acceptedIds.includes(hunk.id) ? hunk.added : hunk.removed;
+    })
+    .join('\n');
+}
+
+/**
+ * Describes a version for lists and summaries
+ * @param {Object} version - Transformed version
+ * @returns {string} e.g. "Version 4 · Submitted draft" or "Version 5 · Restored from version 2"
+ */
+export function describeVersion(version) {
+  const name = `Version ${version.version}`;
+  if (version.kind === 'checkpoint' && version.label) return `${name} · ${version.label}`;
+  if ((version.kind === 'restore' || version.kind === 'suggestion') && version.changesSummary) {
+    return `${name} · ${version.changesSummary}`;
+  }
+  return name;
+}
@@ -0,0 +1,241 @@
+// lib/reputation.js
+// Award outcomes for submitted proposals and the reputation metrics computed from them
+// Used by the outcome and reputation API routes and the outcome form, so it must stay free of server-only imports
+
+import { DEFAULT_CURRENCY, parseBudget, detectCurrency } from './budget';
+
+// Statuses a submitted proposal can be in; `submitted` means the outcome is still pending
+export const OUTCOME_STATUSES = ['submitted', 'won', 'lost'];
+
+export const OUTCOME_LABELS = {
+  submitted: 'Awaiting result',
+  won: 'Won',
+  lost: 'Lost'
+};
+
+export const MAX_DEBRIEF_LENGTH = 5000;
+export const MAX_WINNER_NAME_LENGTH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a money amount from a number or text such as "RM 2.5M"
+ * @param {*} value - Amount from the request body
+ * @returns {Object} { amount, currency, error } - amount is null when the value is empty
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return { amount: null };
+
+  // Ranges and open bounds ("Above RM 1M") are not amounts
+  const parsed = parseBudget(typeof value === 'string' ? value : Number(value));
+  if (!parsed || parsed.min == null || parsed.min !== parsed.max || parsed.min < 0) {
+    return { error: 'must be a non-negative amount' };
+  }
+
+  return { amount: parsed.min, currency: typeof value === 'string' ? detectCurrency(value) : null };
+}
+
+/**
+ * Validates an outcome update for a submitted proposal
+ * @param {Object} body - Request body { outcome, bidAmount, estimatedCost, awardedAmount, currency, winnerName, debriefNotes }
+ * @returns {Object} { row, error } - row holds the `proposals` columns to update
+ */
+export function toOutcomeRow(body) {
+  const outcome = body?.outcome;
+  if (!OUTCOME_STATUSES.includes(outcome)) {
+    return { error: `outcome must be one of: ${OUTCOME_STATUSES.join(', ')}` };
+  }
+
+  const row = { status: outcome };
+  let detectedCurrency = null;
+
+  const amountFields = [
+    ['bidAmount', 'bid_amount'],
+    ['estimatedCost', 'estimated_cost'],
+    ['awardedAmount', 'awarded_amount']
+  ];
+
+  for (const [field, column] of amountFields) {
+    if (!(field in body)) continue;
+    const { amount, currency, error } = parseAmount(body[field]);
+    if (error) return { error: `${field} ${error}` };
+    row[column] = amount;
+    detectedCurrency = detectedCurrency || currency;
+  }
+
+  if (body.currency !== undefined) {
+    if (body.currency !== null && !/^[A-Z]{3}$/.test(body.currency)) {
+      return { error: 'currency must be a three-letter ISO code' };
+    }
+    row.outcome_currency = body.currency;
+  } else if (detectedCurrency) {
+    row.outcome_currency = detectedCurrency;
+  }
+
+  if (body.winnerName !== undefined) {
+    const winnerName = typeof body.winnerName === 'string' ? body.winnerName.trim() : '';
+    if (winnerName.length > MAX_WINNER_NAME_LENGTH) {
+      return { error: `winnerName must be at most ${MAX_WINNER_NAME_LENGTH} characters` };
+    }
+    row.winner_name = winnerName || null;
+  }
+
+  if (body.debriefNotes !== undefined) {
+    const debriefNotes = typeof body.debriefNotes === 'string' ? body.debriefNotes.trim() : '';
+    if (debriefNotes.length > MAX_DEBRIEF_LENGTH) {
+      return { error: `debriefNotes must be at most ${MAX_DEBRIEF_LENGTH} characters` };
+    }
+    row.debrief_notes = debriefNotes || null;
+  }
+
+  // The winner is a competitor, so it only applies to lost bids
+  if (outcome !== 'lost' && row.winner_name) {
+    return { error: 'winnerName can only be set when the outcome is lost' };
+  }
+
+  return { row };
+}
+
+/**
+ * Transforms the outcome fields of a `proposals` row for the API response
+ * @param {Object} proposal - `proposals` row
+ * @returns {Object} Outcome
+ */
+export function transformOutcome(proposal) {
+  return {
+    outcome: proposal.status,
+    bidAmount: toNumber(proposal.bid_amount),
+    estimatedCost: toNumber(proposal.estimated_cost),
+    awardedAmount: toNumber(proposal.awarded_amount),
+    currency: proposal.outcome_currency || DEFAULT_CURRENCY,
+    winnerName: proposal.winner_name || null,
+    debriefNotes: proposal.debrief_notes || null,
+    recordedAt: proposal.outcome_recorded_at || null
+  };
+}
+
+/**
+ * Converts a numeric column (returned as a string by PostgREST for large values) to a number
+ * @param {*} value - Column value
+ * @returns {number|null} Number
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * Averages a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Mean, or null for an empty list
+ */
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sums amounts per currency
+ * @param {Array<Object>} proposals - `proposals` rows
+ * @param {string} column - Amount column
+ * @returns {Array<Object>} [{ currency, amount }] largest first
+ */
+function totalsByCurrency(proposals, column) {
+  const totals = {};
+  proposals.forEach(proposal => {
+    const amount = toNumber(proposal[column]);
+    if (amount == null) return;
+    const currency = proposal.outcome_currency || DEFAULT_CURRENCY;
+    totals[currency] = (totals[currency] || 0) + amount;
+  });
+
+  return Object.entries(totals)
+    .map(([currency, amount]) => ({ currency, amount }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Computes reputation metrics from submitted proposals and their attestations
+ * - Win rate: won / (won + lost); proposals awaiting a result are not counted
+ * - Average margin: (awarded - estimated cost) / awarded over won bids with both amounts
+ * - Average price gap: (our bid - winning amount) / winning amount over lost bids with both amounts
+ * - Score: 500 base, up to 300 for win rate, 100 for on-chain proofs and 100 for submission volume
+ * @param {Array<Object>} proposals - Submitted, won and lost `proposals` rows with `tenders (category)`
+ * @param {Array<Object>} attestations - `attestations` rows
+ * @returns {Object} Metrics
+ */
+export function computeReputationMetrics(proposals, attestations = []) {
+  const submitted = proposals.filter(proposal => OUTCOME_STATUSES.includes(proposal.status));
+  const won = submitted.filter(proposal => proposal.status === 'won');
+  const lost = submitted.filter(proposal => proposal.status === 'lost');
+  const decided = won.length + lost.length;
+  const winRate = decided > 0 ? won.length / decided : null;
+
+  const margins = won
+    .map(proposal => [toNumber(proposal.awarded_amount), toNumber(proposal.estimated_cost)])
+    .filter(([awarded, cost]) => awarded > 0 && cost != null)
+    .map(([awarded, cost]) => (awarded - cost) / awarded);
+
+  const priceGaps = lost
+    .map(proposal => [toNumber(proposal.bid_amount), toNumber(proposal.awarded_amount)])
+    .filter(([bid, awarded]) => bid != null && awarded > 0)
+    .map(([bid, awarded]) => (bid - awarded) / awarded);
+
+  const turnarounds = submitted
+    .filter(proposal => proposal.submission_date && proposal.created_at)
+    .map(proposal => (new Date(proposal.submission_date) - new Date(proposal.created_at)) / DAY_MS)
+    .filter(days => isFinite(days) && days >= 0);
+
+  // Per-category success, most active categories first
+  const categories = {};
+  submitted.forEach(proposal => {
+    const category = proposal.tenders?.category || 'Uncategorized';
+    const entry = categories[category] || (categories[category] = { category, submitted: 0, won: 0, lost: 0 });
+    entry.submitted += 1;
+    if (proposal.status === 'won') entry.won += 1;
+    if (proposal.status === 'lost') entry.lost += 1;
+  });
+
+  const onChainProofs = attestations.filter(attestation => attestation.status === 'confirmed').length;
+
+  const reputationScore = Math.round(
+    500 +
+    (winRate || 0) * 300 +
+    Math.min(onChainProofs, 10) * 10 +
+    Math.min(submitted.length, 20) * 5
+  );
+
+  return {
+    reputationScore,
+    totalSubmissions: submitted.length,
+    won: won.length,
+    lost: lost.length,
+    awaitingResult: submitted.length - decided,
+    winRate,
+    averageMargin: average(margins),
+    averagePriceGap: average(priceGaps),
+    averageTurnaroundDays: average(turnarounds),
+    onChainProofs,
+    totalBidValue: totalsByCurrency(submitted, 'bid_amount'),
+    totalAwardedValue: totalsByCurrency(won, 'awarded_amount'),
+    categories: Object.values(categories)
+      .map(entry => ({
+        ...entry,
+        winRate: entry.won + entry.lost > 0 ? entry.won / (entry.won + entry.lost) : null
+      }))
+      .sort((a, b) => b.submitted - a.submitted || a.category.localeCompare(b.category))
+  };
+}
+
+/**
+ * Maps a reputation score to its level
+ * @param {number} score - Reputation score
+ * @returns {Object} { level, color, bgColor }
+ */
+export function getReputationLevel(score) {
+  if (score >= 900) return { level: 'Platinum', color: 'text-purple-600', bgColor: 'bg-purple-100' };
+  if (score >= 750) return { level: 'Gold', color: 'text-yellow-600', bgColor: 'bg-yellow-100' };
+  if (score >= 600) return { level: 'Silver', color: 'text-gray-600', bgColor: 'bg-gray-100' };
+  return { level: 'Bronze', color: 'text-orange-600', bgColor: 'bg-orange-100' };
+}
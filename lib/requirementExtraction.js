@@ -0,0 +1,150 @@
+// lib/requirementExtraction.js
+// Extracts a tender's typed requirements from its listing and attached documents and stores them
+// The AI reads the eligibility passages of the documents; if it fails, the rule-based parser reads the listing
+
+import { tenderRequirementOperations } from './database';
+import { generate } from './llm';
+import { buildAIContext } from './aiContext';
+import { validateResponse } from './aiPrompts';
+import { getDocumentExcerpts } from './tenderDocuments';
+import { normalizeRequirement, dedupeRequirements, requirementsFromListing, evaluateRequirement } from './requirements';
+import { AIQuotaError } from './aiUsage';
+
+// Eligibility clauses are often spread across a bid document, so more passages are read than for other tasks
+const EXTRACTION_EXCERPT_LIMIT = 10;
+
+/**
+ * Reads the requirements array out of an AI response
+ * @param {string} responseText - Model output
+ * @returns {Array<Object>|null} Normalized requirements, or null when the response is not usable
+ */
+function parseExtractionResponse(responseText) {
+  const validation = validateResponse(responseText, 'REQUIREMENT_EXTRACTION');
+  if (!validation.isValid) {
+    console.warn('[Requirements] AI response validation failed:', validation.issues);
+  }
+
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!Array.isArray(parsed.requirements)) return null;
+    return dedupeRequirements(parsed.requirements.map(normalizeRequirement));
+  } catch (parseError) {
+    console.warn('[Requirements] Could not parse AI response:', parseError.message);
+    return null;
+  }
+}
+
+/**
+ * Extracts a tender's requirements and replaces the stored ones
+ * A used-up AI quota is thrown rather than falling back, so the rules do not replace a later AI extraction
+ * @param {Object} supabase - Supabase client
+ * @param {Object} tender - `tenders` row
+ * @param {Object} options - { ledger } to charge the AI request to a user (see aiLedger in lib/aiUsage.js)
+ * @returns {Promise<Object>} { requirements: `tender_requirements` rows, extractedAt, method: 'ai' | 'rules' }
+ */
+export async function extractTenderRequirements(supabase, tender, { ledger } = {}) {
+  let requirements = null;
+  let method = 'ai';
+
+  try {
+    const context = buildAIContext(tender, null, {
+      documentExcerpts: await getDocumentExcerpts(supabase, tender, 'ELIGIBILITY_CHECK', { limit: EXTRACTION_EXCERPT_LIMIT })
+    });
+    const { content } = await generate('REQUIREMENT_EXTRACTION', context, { ledger });
+    requirements = parseExtractionResponse(content);
+  } catch (error) {
+    if (error instanceof AIQuotaError) throw error;
+
+    console.error('[Requirements] AI extraction failed, falling back to the listing:', error);
+  }
+
+  // An empty AI answer for a listing that has requirements is treated as a failed extraction
+  const fromListing = requirementsFromListing(tender);
+  if (!requirements || (requirements.length === 0 && fromListing.length > 0)) {
+    requirements = fromListing;
+    method = 'rules';
+  }
+
+  const stored = await tenderRequirementOperations.replace(supabase, tender.id, requirements);
+  return { ...stored, method };
+}
+
+/**
+ * Whether documents were processed after the requirements were extracted, so extracting again may find more
+ * @param {string|null} extractedAt - `tenders.requirements_extracted_at`
+ * @param {Array<Object>} documents - `tender_documents` rows
+ * @returns {boolean} True when a ready document is newer than the extraction
+ */
+export function requirementsAreStale(extractedAt, documents) {
+  if (!extractedAt) return true;
+  return documents.some(document =>
+    document.status === 'ready' && document.processed_at && new Date(document.processed_at) > new Date(extractedAt)
+  );
+}
+
+/**
+ * Loads a tender's stored requirements, or reads them from its listing if they were never extracted
+ * Never extracts with the AI, so viewing a tender does not spend the viewer's AI quota; the listing reading
+ * is not stored, and comes back with `extractedAt` null
+ * @param {Object} supabase - Supabase client
+ * @param {Object} tender - `tenders` row
+ * @returns {Promise<Object>} { requirements: `tender_requirements` rows (or rows shaped like them), extractedAt }
+ */
+export async function loadTenderRequirements(supabase, tender) {
+  if (!tender.requirements_extracted_at) {
+    return {
+      requirements: requirementsFromListing(tender).map((requirement, index) => ({
+        id: `listing-${index}`,
+        position: index,
+        type: requirement.type,
+        description: requirement.description,
+        threshold: requirement.threshold,
+        mandatory: requirement.mandatory,
+        source: requirement.source,
+        source_reference: requirement.sourceReference
+      })),
+      extractedAt: null
+    };
+  }
+
+  return {
+    requirements: await tenderRequirementOperations.getByTender(supabase, tender.id),
+    extractedAt: tender.requirements_extracted_at
+  };
+}
+
+/**
+ * Converts a `tender_requirements` row back into a requirement as used by lib/requirements.js
+ * @param {Object} row - `tender_requirements` row
+ * @returns {Object} { type, description, threshold, mandatory, source, sourceReference }
+ */
+export function fromRequirementRow(row) {
+  return {
+    type: row.type,
+    description: row.description,
+    threshold: row.threshold || {},
+    mandatory: row.mandatory,
+    source: row.source,
+    sourceReference: row.source_reference
+  };
+}
+
+/**
+ * Shapes a `tender_requirements` row for the API, with the evidence for it in the company profile
+ * @param {Object} row - `tender_requirements` row
+ * @param {Object|null} profile - `companies` row of the requesting organization
+ * @returns {Object} Requirement in camelCase with { evidence: { status, evidence } }
+ */
+export function transformTenderRequirement(row, profile) {
+  const requirement = fromRequirementRow(row);
+
+  return {
+    id: row.id,
+    position: row.position,
+    ...requirement,
+    evidence: evaluateRequirement(requirement, profile)
+  };
+}
@@ -0,0 +1,612 @@
+// lib/requirements.js
+// Typed tender requirements: parsing requirement text, checking each requirement against the company profile,
+// and finding the proposal section that addresses it
+// Used by the compliance matrix in the browser as well as by the API, so it must stay free of server-only imports
+
+import { parseBudget, budgetPoint, formatAmount, DEFAULT_CURRENCY } from './budget';
+import { parseSections } from './proposalReview';
+
+export const REQUIREMENT_TYPES = ['grade', 'certification', 'experience', 'financial', 'personnel', 'document', 'other'];
+
+export const TYPE_LABELS = {
+  grade: 'Grade',
+  certification: 'Certification',
+  experience: 'Experience',
+  financial: 'Financial capacity',
+  personnel: 'Personnel',
+  document: 'Document',
+  other: 'Other'
+};
+
+export const FINANCIAL_MEASURES = {
+  paid_up_capital: 'paid-up capital',
+  turnover: 'annual turnover',
+  net_worth: 'net worth',
+  bank_facility: 'bank facility',
+  project_value: 'single project value'
+};
+
+/**
+ * Evidence statuses: `missing` means the profile field is empty (fixable in the profile),
+ * `manual` means the profile has nowhere to record it, so it has to be checked by hand
+ */
+export const EVIDENCE_STATUSES = ['met', 'not_met', 'missing', 'manual'];
+
+export const MAX_REQUIREMENTS = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TEXT_LENGTH = 120;
+
+// Points each requirement type adds to the eligibility score; certifications share CERTIFICATION_POINTS_CAP
+const SCORE_WEIGHTS = { grade: 30, experience: 20, certification: 10, financial: 10, personnel: 10, document: 10 };
+const CERTIFICATION_POINTS_CAP = 30;
+
+const ROLE_WORDS = 'engineers?|managers?|officers?|surveyors?|architects?|supervisors?|technicians?|specialists?|consultants?|coordinators?|personnel|jurutera|pengurus';
+const ROLE_PATTERN = new RegExp(`((?:[A-Z][A-Za-z&/]*\\s){0,2}(?:${ROLE_WORDS}))\\b`, 'i');
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+/**
+ * Reads a whole number from text or a number
+ * @param {*} value - Number or text such as "15", "15+" or "15 years"
+ * @returns {number|null} The number, or null if there is none
+ */
+function readNumber(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const match = String(value ?? '').match(/\d[\d,]*(?:\.\d+)?/);
+  return match ? Number(match[0].replace(/,/g, '')) : null;
+}
+
+/**
+ * Trims text to a length, for thresholds and names taken from free text
+ * @param {*} value - Text
+ * @param {number} max - Largest length
+ * @returns {string|null} Trimmed text, or null when empty
+ */
+function cleanText(value, max = MAX_TEXT_LENGTH) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text ? text.substring(0, max) : null;
+}
+
+/**
+ * Classifies one line of requirement text and reads its threshold
+ * @param {string} text - e.g. "Contractor must be registered with CIDB Grade G7"
+ * @returns {Object|null} { type, description, threshold, mandatory }, or null for empty text
+ */
+export function parseRequirementText(text) {
+  const description = cleanText(text, MAX_DESCRIPTION_LENGTH);
+  if (!description) return null;
+
+  const lower = description.toLowerCase();
+  const mandatory = !/\b(?:preferred|preferably|advantage|advantageous|desirable|optional)\b/i.test(description);
+  const result = (type, threshold = {}) => ({ type, description, threshold, mandatory });
+
+  // Contractor grade, e.g. "CIDB Grade G7" or "Gred G5"
+  const grade = description.match(/\bG\s?([1-7])\b/);
+  if (grade && /\b(?:cidb|grade|gred|contractor|kontraktor)\b/i.test(description)) {
+    return result('grade', { scheme: 'CIDB', grade: Number(grade[1]) });
+  }
+
+  // Management system standards, e.g. "ISO 9001:2015", "MS 1722", "OHSAS 18001"
+  const standard = description.match(/\b(ISO|MS|OHSAS)\s?(\d{3,5})\b/i);
+  if (standard) {
+    return result('certification', { name: `${standard[1].toUpperCase()} ${standard[2]}` });
+  }
+
+  // Financial capacity
+  const measure =
+    /paid[- ]?up capital|modal berbayar/i.test(description) ? 'paid_up_capital' :
+    /turnover|annual revenue|annual sales|perolehan tahunan/i.test(description) ? 'turnover' :
+    /net worth|shareholders'? funds?|net tangible assets/i.test(description) ? 'net_worth' :
+    /bank (?:facility|facilities|guarantee)|credit facilit|kemudahan kredit/i.test(description) ? 'bank_facility' :
+    /(?:project|contract) (?:value|worth|sum)|single (?:project|contract)|projects? (?:worth|valued)/i.test(description) ? 'project_value' :
+    null;
+  if (measure) {
+    const amount = parseBudget(description);
+    return result('financial', {
+      measure,
+      amount: amount ? (amount.min ?? amount.max) : null,
+      currency: amount ? amount.currency : DEFAULT_CURRENCY
+    });
+  }
+
+  // Named personnel, e.g. "2 registered Site Engineers with 5 years experience"
+  const role = description.match(ROLE_PATTERN);
+  if (role && !/\bcompany\b.*\bexperience\b/i.test(description)) {
+    const count = description.match(new RegExp(`\\b(\\d+|${Object.keys(COUNT_WORDS).join('|')})\\b(?:\\s+\\S+){0,3}?\\s+(?:${ROLE_WORDS})\\b`, 'i'));
+    const years = description.match(/(\d+)\s*\+?\s*(?:years?|tahun)/i);
+    return result('personnel', {
+      role: role[1].trim().replace(/^(?:a|an|the|qualified|registered|full[- ]time)\s+/i, ''),
+      count: count ? (COUNT_WORDS[count[1].toLowerCase()] || Number(count[1])) : 1,
+      years: years ? Number(years[1]) : null
+    });
+  }
+
+  // Company experience, e.g. "Minimum 5 years experience" or "3 similar completed projects"
+  const years = description.match(/(\d+)\s*\+?\s*(?:years?|tahun)/i);
+  const projects = description.match(/(\d+)\s+(?:\w+\s+){0,2}(?:projects?|contracts?|projek)\b/i);
+  if (/experience|track record|pengalaman|similar|completed/i.test(description) && (years || projects)) {
+    return result('experience', {
+      years: years ? Number(years[1]) : null,
+      projects: projects ? Number(projects[1]) : null
+    });
+  }
+
+  // Other certifications
+  if (/\b(?:certification|certified|accredited|accreditation)\b/i.test(description)) {
+    return result('certification', { name: cleanText(description.replace(/^(?:must be|should be|valid)\s+/i, '')) });
+  }
+
+  // Documents to submit, registrations and licences
+  if (/\b(?:certificate|copy|copies|letter|statement|registration|registered|licen[cs]e|permit|ssm|mof|sijil|surat|penyata|submit)\b/i.test(lower)) {
+    return result('document', { name: cleanText(description.replace(/^(?:must|shall|to)\s+(?:submit|provide|attach)\s+/i, '')) });
+  }
+
+  return result('other');
+}
+
+/**
+ * Picks requirement lines out of a tender description: bullet and numbered lists, or lines under a
+ * "Requirements:" style heading; falls back to well-known phrases when the text has no list
+ * @param {string} description - Tender description
+ * @returns {Array<string>} Requirement lines
+ */
+export function extractRequirementLines(description) {
+  if (!description || typeof description !== 'string') return [];
+
+  const requirements = [];
+  let inRequirementsSection = false;
+
+  for (const line of description.split('\n')) {
+    const trimmedLine = line.trim();
+
+    // Entering a requirements section
+    if (/requirements|qualifications|eligibility|syarat|kelayakan/i.test(trimmedLine) && trimmedLine.endsWith(':')) {
+      inRequirementsSection = true;
+      continue;
+    }
+
+    // Leaving a requirements section
+    if (inRequirementsSection && (trimmedLine === '' || /^[A-Z][\w\s]+:/.test(trimmedLine))) {
+      inRequirementsSection = false;
+    }
+
+    if (inRequirementsSection || /^[-*•]/.test(trimmedLine) || /^\d+\./.test(trimmedLine)) {
+      const requirement = trimmedLine.replace(/^[-*•]\s*/, '').replace(/^\d+\.\s*/, '');
+      if (requirement && !requirements.includes(requirement)) {
+        requirements.push(requirement);
+      }
+    }
+  }
+
+  // No structured requirements: look for key phrases
+  if (requirements.length === 0) {
+    const keyPhrases = [
+      /CIDB\s+Grade\s+G[1-7]/i,
+      /ISO\s+\d+/i,
+      /\d+\s+years?\s+experience/i,
+      /contractor\s+licen[cs]e/i,
+      /certification\s+required/i,
+      /paid[- ]up capital[^.\n]*/i
+    ];
+
+    for (const regex of keyPhrases) {
+      const match = description.match(regex);
+      if (match) requirements.push(match[0]);
+    }
+  }
+
+  return requirements;
+}
+
+/**
+ * Typed requirements read from a tender's listing alone (its requirements array, or its description)
+ * Used before requirements are extracted, and by the offline AI provider
+ * @param {Object} tender - { requirements, description }
+ * @returns {Array<Object>} Normalized requirements with source 'listing'
+ */
+export function requirementsFromListing(tender) {
+  const lines = tender.requirements?.length > 0 ? tender.requirements : extractRequirementLines(tender.description);
+  return dedupeRequirements(lines.map(line => normalizeRequirement({ ...parseRequirementText(line), source: 'listing' })));
+}
+
+/**
+ * Key that two requirements asking for the same thing share
+ * Grades and certifications are compared by what they ask for, since the same one is often worded differently
+ * @param {Object} requirement - Normalized requirement
+ * @returns {string} Key
+ */
+function requirementKey({ type, description, threshold }) {
+  if (type === 'grade' && threshold.grade) return `grade:${threshold.scheme}:${threshold.grade}`;
+  if (type === 'certification' && /\d{3,5}/.test(threshold.name)) return `certification:${threshold.name.toLowerCase()}`;
+  return `${type}:${description.toLowerCase()}`;
+}
+
+/**
+ * Drops empty and repeated requirements, keeping the first of each, and caps the list
+ * @param {Array<Object|null>} requirements - Normalized requirements
+ * @returns {Array<Object>} Requirements
+ */
+export function dedupeRequirements(requirements) {
+  const seen = new Set();
+  return requirements
+    .filter(requirement => {
+      if (!requirement) return false;
+      const key = requirementKey(requirement);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_REQUIREMENTS);
+}
+
+/**
+ * Validates a requirement from the AI (or the rule-based parser) and fills gaps in its threshold from its text
+ * @param {Object} raw - { type, description, threshold, mandatory, source, sourceReference }
+ * @returns {Object|null} Normalized requirement, or null if it has no description
+ */
+export function normalizeRequirement(raw) {
+  const description = cleanText(raw?.description, MAX_DESCRIPTION_LENGTH);
+  if (!description) return null;
+
+  const type = REQUIREMENT_TYPES.includes(raw.type) ? raw.type : 'other';
+  const given = raw.threshold && typeof raw.threshold === 'object' ? raw.threshold : {};
+  const parsed = parseRequirementText(description);
+  const fallback = parsed.type === type ? parsed.threshold : {};
+  const pick = (key, read = readNumber) => read(given[key]) ?? read(fallback[key]) ?? null;
+
+  let threshold;
+  switch (type) {
+    case 'grade':
+      threshold = { scheme: cleanText(given.scheme) || fallback.scheme || 'CIDB', grade: pick('grade') };
+      break;
+    case 'certification':
+      threshold = { name: pick('name', cleanText) || description.substring(0, MAX_TEXT_LENGTH) };
+      break;
+    case 'experience':
+      threshold = { years: pick('years'), projects: pick('projects') };
+      break;
+    case 'financial':
+      threshold = {
+        measure: FINANCIAL_MEASURES[given.measure] ? given.measure : (fallback.measure || 'turnover'),
+        amount: pick('amount'),
+        currency: cleanText(given.currency)?.toUpperCase() || fallback.currency || DEFAULT_CURRENCY
+      };
+      break;
+    case 'personnel':
+      threshold = { role: pick('role', cleanText) || 'Key personnel', count: pick('count') || 1, years: pick('years') };
+      break;
+    case 'document':
+      threshold = { name: pick('name', cleanText) || description.substring(0, MAX_TEXT_LENGTH) };
+      break;
+    default:
+      threshold = {};
+  }
+
+  return {
+    type,
+    description,
+    threshold,
+    mandatory: typeof raw.mandatory === 'boolean' ? raw.mandatory : parsed.mandatory,
+    source: raw.source === 'document' ? 'document' : 'listing',
+    sourceReference: cleanText(raw.sourceReference, 200)
+  };
+}
+
+/**
+ * Short form of a requirement's threshold for display
+ * @param {Object} requirement - Normalized requirement
+ * @returns {string|null} e.g. "G7 or higher", "5+ years", "RM 1,000,000 paid-up capital"
+ */
+export function describeThreshold(requirement) {
+  const { type, threshold = {} } = requirement;
+
+  switch (type) {
+    case 'grade':
+      return threshold.grade ? `${threshold.scheme} G${threshold.grade} or higher` : null;
+    case 'certification':
+    case 'document':
+      return threshold.name;
+    case 'experience':
+      return [
+        threshold.years && `${threshold.years}+ years`,
+        threshold.projects && `${threshold.projects}+ projects`
+      ].filter(Boolean).join(', ') || null;
+    case 'financial':
+      return threshold.amount
+        ? `${formatAmount(threshold.amount, threshold.currency)} ${FINANCIAL_MEASURES[threshold.measure]}`
+        : FINANCIAL_MEASURES[threshold.measure];
+    case 'personnel':
+      return `${threshold.count || 1} × ${threshold.role}${threshold.years ? ` (${threshold.years}+ years)` : ''}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether a date has passed
+ * @param {string} value - Date text
+ * @returns {boolean} True when the date is valid and in the past
+ */
+function isPast(value) {
+  const date = value ? new Date(value) : null;
+  return !!date && !isNaN(date.getTime()) && date < new Date();
+}
+
+/**
+ * Finds a certification in the profile by name
+ * @param {string} name - Certification name from the requirement
+ * @param {Object} profile - `companies` row
+ * @returns {Object|null} { name, expired, expiresOn } (expiresOn only for custom certifications that record it)
+ */
+export function findCertification(name, profile) {
+  const lower = (name || '').toLowerCase();
+  const code = lower.match(/\d{3,5}/)?.[0];
+
+  // Standards the profile records as flags
+  const flags = [
+    { codes: ['9001'], field: 'iso9001', label: 'ISO 9001' },
+    { codes: ['14001'], field: 'iso14001', label: 'ISO 14001' },
+    { codes: ['45001', '18001'], field: 'ohsas18001', label: 'ISO 45001 / OHSAS 18001' }
+  ];
+  const flag = flags.find(item => code && item.codes.includes(code));
+  if (flag && profile[flag.field] === true) {
+    return { name: flag.label, expired: false, expiresOn: null };
+  }
+
+  const matches = candidate => {
+    const text = (candidate || '').toLowerCase();
+    if (!text) return false;
+    return code ? text.includes(code) : (text.includes(lower) || lower.includes(text));
+  };
+
+  const custom = (Array.isArray(profile.custom_certifications) ? profile.custom_certifications : [])
+    .find(cert => cert && typeof cert.name === 'string' && matches(cert.name));
+  if (custom) {
+    const expiresOn = custom.expiryDate || custom.expiry || null;
+    return { name: custom.name, expired: isPast(expiresOn), expiresOn };
+  }
+
+  const listed = (profile.certifications || []).find(matches);
+  return listed ? { name: listed, expired: false, expiresOn: null } : null;
+}
+
+/**
+ * Key personnel whose position matches a required role
+ * Exact role matches are preferred; otherwise the role's main word (e.g. "engineer") is matched
+ * @param {string} role - Required role
+ * @param {Array} personnel - `companies.key_personnel`
+ * @returns {Array<Object>} Matching people
+ */
+function findPersonnel(role, personnel) {
+  const people = (Array.isArray(personnel) ? personnel : []).filter(person => person && typeof person.position === 'string');
+  const lower = role.toLowerCase().replace(/s$/, '');
+  const exact = people.filter(person => person.position.toLowerCase().includes(lower));
+  if (exact.length > 0) return exact;
+
+  const head = lower.split(/\s+/).pop().replace(/s$/, '');
+  return people.filter(person => person.position.toLowerCase().includes(head));
+}
+
+/**
+ * Checks a requirement against the company profile
+ * @param {Object} requirement - Normalized requirement
+ * @param {Object|null} profile - `companies` row
+ * @returns {Object} { status, evidence } where status is one of EVIDENCE_STATUSES and evidence explains it
+ */
+export function evaluateRequirement(requirement, profile) {
+  const { type, threshold = {} } = requirement;
+  const outcome = (status, evidence) => ({ status, evidence });
+
+  if (!profile) {
+    return outcome('missing', 'Complete your company profile to check this requirement');
+  }
+
+  switch (type) {
+    case 'grade': {
+      if (!profile.cidb_grade) return outcome('missing', 'No CIDB grade in your profile');
+      const companyGrade = readNumber(profile.cidb_grade);
+      if (companyGrade == null) return outcome('missing', `CIDB grade "${profile.cidb_grade}" in your profile is not a valid grade`);
+      if (isPast(profile.cidb_expiry)) return outcome('not_met', `CIDB registration (G${companyGrade}) expired on ${profile.cidb_expiry}`);
+      if (!threshold.grade) return outcome('met', `CIDB G${companyGrade}`);
+      return companyGrade >= threshold.grade
+        ? outcome('met', `CIDB G${companyGrade} meets G${threshold.grade}`)
+        : outcome('not_met', `CIDB G${companyGrade} is below G${threshold.grade}`);
+    }
+
+    case 'certification': {
+      const certification = findCertification(threshold.name, profile);
+      if (!certification) return outcome('missing', `${threshold.name} is not in your profile`);
+      return certification.expired
+        ? outcome('not_met', `${certification.name} has expired`)
+        : outcome('met', certification.name);
+    }
+
+    case 'experience': {
+      const checks = [];
+
+      if (threshold.years) {
+        const years = readNumber(profile.years_in_operation);
+        if (years == null) return outcome('missing', 'Years in operation are not in your profile');
+        checks.push({ ok: years >= threshold.years, text: `${years} years in operation (${threshold.years} required)` });
+      }
+
+      if (threshold.projects) {
+        const projects = Array.isArray(profile.major_projects) ? profile.major_projects.length : 0;
+        if (projects === 0) return outcome('missing', 'No past projects in your profile');
+        checks.push({ ok: projects >= threshold.projects, text: `${projects} projects in your profile (${threshold.projects} required)` });
+      }
+
+      if (checks.length === 0) return outcome('manual', 'Describe your relevant experience in the proposal');
+      return outcome(checks.every(check => check.ok) ? 'met' : 'not_met', checks.map(check => check.text).join('; '));
+    }
+
+    case 'financial': {
+      if (threshold.measure !== 'project_value') {
+        return outcome('manual', `Your ${FINANCIAL_MEASURES[threshold.measure]} is not recorded in the profile; check your financial statements`);
+      }
+
+      const currency = threshold.currency || DEFAULT_CURRENCY;
+      const values = (Array.isArray(profile.major_projects) ? profile.major_projects : [])
+        .map(project => parseBudget(project?.value))
+        .filter(value => value && value.currency === currency)
+        .map(budgetPoint);
+      if (values.length === 0) return outcome('missing', 'No past project values in your profile');
+
+      const largest = Math.max(...values);
+      if (!threshold.amount) return outcome('met', `Largest project ${formatAmount(largest, currency)}`);
+      return largest >= threshold.amount
+        ? outcome('met', `Largest project ${formatAmount(largest, currency)} covers ${formatAmount(threshold.amount, currency)}`)
+        : outcome('not_met', `Largest project ${formatAmount(largest, currency)} is below ${formatAmount(threshold.amount, currency)}`);
+    }
+
+    case 'personnel': {
+      const required = threshold.count || 1;
+      let people = findPersonnel(threshold.role, profile.key_personnel);
+      if (threshold.years) {
+        people = people.filter(person => (readNumber(person.experience) ?? 0) >= threshold.years);
+      }
+
+      if (people.length >= required) {
+        return outcome('met', people.slice(0, 3).map(person => `${person.name || 'Unnamed'} (${person.position})`).join(', '));
+      }
+
+      // Headcounts cover roles that are not named individually
+      const counts = { engineer: profile.engineers_count, supervisor: profile.supervisors_count, technician: profile.technicians_count };
+      const head = Object.keys(counts).find(key => threshold.role.toLowerCase().includes(key));
+      if (head && !threshold.years && counts[head] >= required) {
+        return outcome('met', `${counts[head]} ${head}s on staff`);
+      }
+
+      return people.length > 0
+        ? outcome('not_met', `${people.length} of ${required} ${threshold.role} in your key personnel`)
+        : outcome('missing', `No ${threshold.role} in your key personnel`);
+    }
+
+    case 'document': {
+      const name = (threshold.name || '').toLowerCase();
+
+      if (/licen[cs]e|permit/.test(name)) {
+        if (!profile.contractor_license) return outcome('missing', 'No contractor licence in your profile');
+        return isPast(profile.license_expiry)
+          ? outcome('not_met', `Licence ${profile.contractor_license} expired on ${profile.license_expiry}`)
+          : outcome('met', `Licence ${profile.contractor_license}`);
+      }
+      if (/\bssm\b|company registration|business registration|registration certificate/.test(name)) {
+        return profile.registration_number
+          ? outcome('met', `Registration number ${profile.registration_number}`)
+          : outcome('missing', 'No company registration number in your profile');
+      }
+      if (/\bcidb\b/.test(name)) {
+        return profile.cidb_grade
+          ? outcome(isPast(profile.cidb_expiry) ? 'not_met' : 'met', `CIDB ${profile.cidb_grade}${profile.cidb_expiry ? `, valid until ${profile.cidb_expiry}` : ''}`)
+          : outcome('missing', 'No CIDB registration in your profile');
+      }
+
+      const certification = findCertification(threshold.name, profile);
+      if (certification) {
+        return outcome(certification.expired ? 'not_met' : 'met', certification.name);
+      }
+      return outcome('manual', 'Prepare this document for the submission');
+    }
+
+    default:
+      return outcome('manual', 'Check this requirement by hand');
+  }
+}
+
+/**
+ * Scores a company against typed requirements for the eligibility summary
+ * Requirements the profile cannot evidence (`manual`) are left out of the score
+ * @param {Array<Object>} requirements - Normalized requirements
+ * @param {Object} profile - `companies` row
+ * @returns {Object} { points, maxPoints, matchedCriteria, missingCriteria }
+ */
+export function scoreRequirements(requirements, profile) {
+  const certifications = requirements.filter(requirement => requirement.type === 'certification').length;
+  const certificationPoints = certifications > 0
+    ? Math.min(SCORE_WEIGHTS.certification, Math.floor(CERTIFICATION_POINTS_CAP / certifications))
+    : 0;
+
+  let points = 0;
+  let maxPoints = 0;
+  const matchedCriteria = [];
+  const missingCriteria = [];
+
+  for (const requirement of requirements) {
+    const weight = requirement.type === 'certification' ? certificationPoints : SCORE_WEIGHTS[requirement.type];
+    if (!weight) continue;
+
+    const { status, evidence } = evaluateRequirement(requirement, profile);
+    if (status === 'manual') continue;
+
+    const label = `${TYPE_LABELS[requirement.type]}: ${evidence}`;
+    maxPoints += weight;
+    if (status === 'met') {
+      points += weight;
+      matchedCriteria.push(label);
+    } else {
+      missingCriteria.push(label);
+    }
+  }
+
+  return { points, maxPoints, matchedCriteria, missingCriteria };
+}
+
+/**
+ * Words that show a proposal section deals with a requirement
+ * @param {Object} requirement - Normalized requirement
+ * @returns {Array<string>} Lowercase keywords; the first ones are the most specific
+ */
+function requirementKeywords(requirement) {
+  const { type, threshold = {} } = requirement;
+  const specific = {
+    grade: ['cidb', threshold.grade && `g${threshold.grade}`, 'grade'],
+    certification: [threshold.name?.match(/\d{3,5}/)?.[0], ...(threshold.name || '').toLowerCase().split(/\W+/)],
+    experience: ['experience', 'track record', 'projects', threshold.years && `${threshold.years} years`],
+    financial: [FINANCIAL_MEASURES[threshold.measure], 'financial', 'capital', 'turnover'],
+    personnel: [(threshold.role || '').toLowerCase(), 'personnel', 'team', 'staff'],
+    document: [...(threshold.name || '').toLowerCase().split(/\W+/)]
+  }[type] || [];
+
+  const stopWords = new Set(['must', 'shall', 'with', 'have', 'from', 'that', 'this', 'least', 'minimum', 'should', 'valid', 'required', 'provide', 'submit', 'company', 'tenderer', 'bidder', 'bidders', 'contractor']);
+  const general = requirement.description.toLowerCase().split(/\W+/).filter(word => word.length >= 4 && !stopWords.has(word));
+
+  return [...new Set([...specific, ...general].filter(word => word && word.length >= 3 && !stopWords.has(word)))];
+}
+
+/**
+ * Finds the proposal section that best addresses a requirement
+ * A section qualifies when its heading or text mentions at least two of the requirement's keywords
+ * (headings count double); specific terms such as a grade or standard number must appear
+ * @param {Object} requirement - Normalized requirement
+ * @param {string} content - Proposal Markdown
+ * @returns {Object|null} { anchor, heading } of the section, or null when no section addresses it
+ */
+export function findAddressingSection(requirement, content) {
+  const sections = parseSections(content);
+  if (sections.length === 0) return null;
+
+  const lines = (content || '').split('\n');
+  const keywords = requirementKeywords(requirement);
+  const required = {
+    grade: requirement.threshold?.grade ? `g${requirement.threshold.grade}` : null,
+    certification: requirement.threshold?.name?.match(/\d{3,5}/)?.[0] || null
+  }[requirement.type];
+
+  let best = null;
+  sections.forEach((section, index) => {
+    const end = index + 1 < sections.length ? sections[index + 1].line - 1 : lines.length;
+    const heading = section.heading.toLowerCase();
+    const body = lines.slice(section.line, end).join('\n').toLowerCase();
+    if (required && !`${heading}\n${body}`.includes(required)) return;
+
+    const score = keywords.reduce((total, keyword) =>
+      total + (heading.includes(keyword) ? 2 : 0) + (body.includes(keyword) ? 1 : 0), 0);
+
+    if (score >= 2 && (!best || score > best.score)) {
+      best = { anchor: section.anchor, heading: section.heading, score };
+    }
+  });
+
+  return best ? { anchor: best.anchor, heading: best.heading } : null;
+}
@@ -0,0 +1,361 @@
+// lib/savedSearches.js
+// Saved search matching, the scheduled new-tender digest and closing-date reminders
+// The digest job evaluates each user's saved searches against tenders added since the last alert
+// and sends one email per user through the configured notifier
+
+import { tenderOperations, savedSearchOperations, deadlineReminderOperations, userProfileOperations } from './database';
+import { DEFAULT_CURRENCY, budgetsOverlap, parseBudget } from './budget';
+import { isNotificationEnabled } from './notificationSettings';
+import { getNotifier } from './notifier';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between digests for each frequency (slightly under the nominal period so a daily cron never skips a day)
+const FREQUENCY_INTERVALS = {
+  daily: DAY_MS - 60 * 60 * 1000,
+  weekly: 7 * DAY_MS - 60 * 60 * 1000
+};
+
+export const ALERT_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+// Days before closing that alerted tenders trigger a deadline reminder
+export const DEADLINE_REMINDER_DAYS = 3;
+
+/**
+ * Maps a camelCase request body to `saved_searches` columns, validating as it goes
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {Object} { row, error }
+ */
+export function toSavedSearchRow(body = {}, partial = false) {
+  const row = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    row.name = body.name.trim();
+  }
+
+  ['keywords', 'category', 'location'].forEach(field => {
+    if (body[field] !== undefined) {
+      row[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  });
+
+  const numericFields = { budgetMin: 'budget_min', budgetMax: 'budget_max', closingWithinDays: 'closing_within_days' };
+  for (const [field, column] of Object.entries(numericFields)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      row[column] = null;
+    } else if (isNaN(Number(body[field])) || Number(body[field]) < 0) {
+      return { error: `${field} must be a non-negative number` };
+    } else {
+      row[column] = field === 'closingWithinDays' ? parseInt(body[field]) : Number(body[field]);
+    }
+  }
+
+  if (row.budget_min != null && row.budget_max != null && row.budget_min > row.budget_max) {
+    return { error: 'budgetMin cannot be greater than budgetMax' };
+  }
+
+  if (body.alertFrequency !== undefined) {
+    if (!ALERT_FREQUENCIES.includes(body.alertFrequency)) {
+      return { error: `alertFrequency must be one of: ${ALERT_FREQUENCIES.join(', ')}` };
+    }
+    row.alert_frequency = body.alertFrequency;
+  }
+
+  return { row };
+}
+
+/**
+ * Transforms a `saved_searches` row to match frontend expectations (snake_case to camelCase)
+ * @param {Object} search - `saved_searches` row
+ * @returns {Object} Saved search for the API response
+ */
+export function transformSavedSearch(search) {
+  return {
+    id: search.id,
+    name: search.name,
+    keywords: search.keywords,
+    category: search.category,
+    location: search.location,
+    budgetMin: search.budget_min,
+    budgetMax: search.budget_max,
+    closingWithinDays: search.closing_within_days,
+    alertFrequency: search.alert_frequency,
+    lastNotifiedAt: search.last_notified_at,
+    createdAt: search.created_at,
+    updatedAt: search.updated_at
+  };
+}
+
+/**
+ * Reads a tender's budget range, preferring the parsed columns over the raw text
+ * @param {Object} tender - `tenders` row
+ * @returns {Object|null} { min, max, currency }
+ */
+function readTenderBudget(tender) {
+  if (tender.budget_min != null || tender.budget_max != null) {
+    return {
+      min: tender.budget_min != null ? Number(tender.budget_min) : null,
+      max: tender.budget_max != null ? Number(tender.budget_max) : null,
+      currency: tender.budget_currency || DEFAULT_CURRENCY
+    };
+  }
+  return parseBudget(tender.budget);
+}
+
+/**
+ * Checks whether a tender satisfies every criterion of a saved search
+ * @param {Object} tender - `tenders` row
+ * @param {Object} search - `saved_searches` row
+ * @param {Date} now - Reference time for the closing window
+ * @returns {boolean} True if the tender matches
+ */
+export function matchesSavedSearch(tender, search, now = new Date()) {
+  if (search.keywords) {
+    const haystack = [tender.title, tender.description, tender.agency, ...(tender.tags || [])]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    const terms = search.keywords.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.every(term => haystack.includes(term))) return false;
+  }
+
+  if (search.category && (tender.category || '').toLowerCase() !== search.category.toLowerCase()) {
+    return false;
+  }
+
+  if (search.location && !(tender.location || '').toLowerCase().includes(search.location.toLowerCase())) {
+    return false;
+  }
+
+  if (search.budget_min != null || search.budget_max != null) {
+    // Saved search budgets are in ringgit; a tender matches when its budget range overlaps the search range
+    const budget = readTenderBudget(tender);
+    if (!budget || budget.currency !== DEFAULT_CURRENCY) return false;
+    const range = {
+      min: search.budget_min != null ? Number(search.budget_min) : null,
+      max: search.budget_max != null ? Number(search.budget_max) : null
+    };
+    if (!budgetsOverlap(budget, range)) return false;
+  }
+
+  if (search.closing_within_days) {
+    if (!tender.closing_date) return false;
+    const closing = new Date(tender.closing_date);
+    if (closing < now || closing > new Date(now.getTime() + search.closing_within_days * DAY_MS)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether a saved search is due for a digest
+ * @param {Object} search - `saved_searches` row
+ * @param {Date} now - Current time
+ * @returns {boolean} True if an alert should be evaluated now
+ */
+function isDue(search, now) {
+  const interval = FREQUENCY_INTERVALS[search.alert_frequency];
+  if (!interval) return false;
+  if (!search.last_notified_at) return true;
+  return now - new Date(search.last_notified_at) >= interval;
+}
+
+/**
+ * Renders the digest email for one user
+ * @param {Array} sections - [{ search, tenders }] with at least one tender in total
+ * @returns {Object} { subject, text, html }
+ */
+export function renderDigest(sections) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const total = sections.reduce((count, section) => count + section.tenders.length, 0);
+  const subject = `Tenderly: ${total} new tender${total === 1 ? '' : 's'} matching your saved searches`;
+
+  const describe = tender => [
+    tender.agency,
+    tender.budget,
+    tender.closing_date ? `closes ${new Date(tender.closing_date).toLocaleDateString('en-MY')}` : null
+  ].filter(Boolean).join(' · ');
+
+  const text = sections.map(({ search, tenders }) => [
+    `${search.name} (${tenders.length})`,
+    ...tenders.map(tender => `- ${tender.title}\n  ${describe(tender)}\n  ${appUrl}/tenders/${tender.id}`)
+  ].join('\n')).join('\n\n') + `\n\nManage alerts: ${appUrl}/settings`;
+
+  const escape = value => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const html = sections.map(({ search, tenders }) => `
+    <h3>${escape(search.name)} (${tenders.length})</h3>
+    <ul>
+      ${tenders.map(tender => `<li><a href="${appUrl}/tenders/${tender.id}">${escape(tender.title)}</a><br><small>${escape(describe(tender))}</small></li>`).join('')}
+    </ul>`).join('') + `<p><a href="${appUrl}/settings">Manage alerts</a></p>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Evaluates all due saved searches and delivers one digest per user
+ * Users who switched off email "newTenders" notifications are skipped without advancing their searches
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - `now` (Date) and `notifier` overrides
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function runSavedSearchDigests(supabase, options = {}) {
+  const now = options.now || new Date();
+  const notifier = options.notifier || getNotifier();
+  const summary = { searchesEvaluated: 0, digestsSent: 0, usersSkipped: 0, errors: [] };
+
+  const searches = (await savedSearchOperations.getAlerting(supabase)).filter(search => isDue(search, now));
+
+  const byUser = searches.reduce((groups, search) => {
+    (groups[search.user_id] = groups[search.user_id] || []).push(search);
+    return groups;
+  }, {});
+
+  for (const [userId, userSearches] of Object.entries(byUser)) {
+    try {
+      const profile = await userProfileOperations.getProfile(supabase, userId);
+      if (!isNotificationEnabled(profile?.notification_settings, 'emailNotifications', 'newTenders')) {
+        summary.usersSkipped++;
+        continue;
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.admin.getUserById(userId);
+      if (userError || !user?.email) {
+        throw new Error(userError?.message || 'User has no email address');
+      }
+
+      const sections = [];
+
+      for (const search of userSearches) {
+        summary.searchesEvaluated++;
+
+        const since = search.last_notified_at || search.created_at;
+        const candidates = await tenderOperations.getCreatedSince(supabase, since);
+        const alreadySent = new Set(await savedSearchOperations.getAlertedTenderIds(supabase, search.id));
+        const tenders = candidates.filter(tender => !alreadySent.has(tender.id) && matchesSavedSearch(tender, search, now));
+
+        sections.push({ search, tenders });
+      }
+
+      const matched = sections.filter(section => section.tenders.length > 0);
+
+      if (matched.length > 0) {
+        await notifier.send({ to: user.email, ...renderDigest(matched) });
+        summary.digestsSent++;
+      }
+
+      // Advance every evaluated search, recording delivered tenders so they are never repeated
+      for (const { search, tenders } of sections) {
+        await savedSearchOperations.recordAlerts(supabase, search.id, tenders.map(tender => tender.id));
+      }
+    } catch (error) {
+      console.error(`[Saved Search Alerts] Failed for user ${userId}:`, error);
+      summary.errors.push({ userId, message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Renders the closing-date reminder email for one user
+ * @param {Array<Object>} tenders - Tenders closing soon, soonest first
+ * @returns {Object} { subject, text, html }
+ */
+export function renderDeadlineReminder(tenders) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const subject = `Tenderly: ${tenders.length} tender${tenders.length === 1 ? '' : 's'} from your saved searches ${tenders.length === 1 ? 'closes' : 'close'} soon`;
+
+  const describe = tender => [
+    tender.agency,
+    `closes ${new Date(tender.closing_date).toLocaleDateString('en-MY')}`
+  ].filter(Boolean).join(' · ');
+
+  const text = [
+    'These tenders from your saved search alerts are about to close:',
+    '',
+    ...tenders.map(tender => `- ${tender.title}\n  ${describe(tender)}\n  ${appUrl}/tenders/${tender.id}`),
+    '',
+    `Manage alerts: ${appUrl}/settings`
+  ].join('\n');
+
+  const escape = value => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const html = `
+    <p>These tenders from your saved search alerts are about to close:</p>
+    <ul>
+      ${tenders.map(tender => `<li><a href="${appUrl}/tenders/${tender.id}">${escape(tender.title)}</a><br><small>${escape(describe(tender))}</small></li>`).join('')}
+    </ul>
+    <p><a href="${appUrl}/settings">Manage alerts</a></p>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Reminds users about tenders from their saved search alerts that close within the reminder window
+ * Each tender is reminded once per user; users who switched off email "deadlineReminders" are skipped
+ * without recording anything, so switching the setting back on still reminds them before closing
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - `now` (Date), `days` (reminder window) and `notifier` overrides
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function runDeadlineReminders(supabase, options = {}) {
+  const now = options.now || new Date();
+  const days = options.days || DEADLINE_REMINDER_DAYS;
+  const notifier = options.notifier || getNotifier();
+  const summary = { tendersClosing: 0, remindersSent: 0, usersSkipped: 0, errors: [] };
+
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const closing = await deadlineReminderOperations.getClosingAlerted(supabase, now.toISOString(), until.toISOString());
+
+  // A tender can reach a user through several saved searches, so group by user and tender ID
+  const byUser = closing.reduce((groups, { userId, tender }) => {
+    (groups[userId] = groups[userId] || new Map()).set(tender.id, tender);
+    return groups;
+  }, {});
+
+  for (const [userId, tenderMap] of Object.entries(byUser)) {
+    try {
+      const alreadySent = new Set(await deadlineReminderOperations.getRemindedTenderIds(supabase, userId, [...tenderMap.keys()]));
+      const tenders = [...tenderMap.values()]
+        .filter(tender => !alreadySent.has(tender.id))
+        .sort((a, b) => new Date(a.closing_date) - new Date(b.closing_date));
+
+      if (tenders.length === 0) continue;
+      summary.tendersClosing += tenders.length;
+
+      const profile = await userProfileOperations.getProfile(supabase, userId);
+      if (!isNotificationEnabled(profile?.notification_settings, 'emailNotifications', 'deadlineReminders')) {
+        summary.usersSkipped++;
+        continue;
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.admin.getUserById(userId);
+      if (userError || !user?.email) {
+        throw new Error(userError?.message || 'User has no email address');
+      }
+
+      await notifier.send({ to: user.email, ...renderDeadlineReminder(tenders) });
+      await deadlineReminderOperations.record(supabase, userId, tenders.map(tender => tender.id));
+      summary.remindersSent++;
+    } catch (error) {
+      console.error(`[Deadline Reminders] Failed for user ${userId}:`, error);
+      summary.errors.push({ userId, message: error.message });
+    }
+  }
+
+  return summary;
+}
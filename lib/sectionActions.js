@@ -0,0 +1,127 @@
+// lib/sectionActions.js
+// Section-level AI actions in the proposal editor: the actions, the part of the proposal they apply to
+// (a section's text under its heading, or a selection) and putting accepted changes back into the proposal
+// Used by /api/proposals/[id]/suggestions and the editor, so it must stay free of server-only imports
+
+import { parseSections } from './proposalReview';
+
+export const MAX_TARGET_LENGTH = 12000;
+export const MAX_REQUIREMENT_LENGTH = 500;
+
+/**
+ * Actions, with the instruction sent to the AI; `needsRequirement` actions name a tender requirement
+ */
+export const SECTION_ACTIONS = {
+  rewrite: {
+    label: 'Rewrite',
+    instruction: 'Rewrite this text to be clearer and more persuasive, keeping its meaning, facts and figures.'
+  },
+  expand: {
+    label: 'Expand',
+    instruction: 'Expand this text with more specific detail relevant to the tender, without inventing facts, figures, names or certifications.'
+  },
+  shorten: {
+    label: 'Shorten',
+    instruction: 'Shorten this text to about half its length, keeping the key points.'
+  },
+  formal: {
+    label: 'Make formal',
+    instruction: 'Rewrite this text in a formal, professional tone suited to a government tender, without changing what it says.'
+  },
+  align: {
+    label: 'Align to requirement',
+    needsRequirement: true,
+    instruction: 'Revise this text so it clearly shows how the proposal meets this tender requirement: '
+  }
+};
+
+/**
+ * Builds the instruction for an action
+ * @param {string} action - Key of SECTION_ACTIONS
+ * @param {string} requirement - Requirement for actions that need one
+ * @returns {string} Instruction for the AI
+ */
+export function sectionActionInstruction(action, requirement = '') {
+  const definition = SECTION_ACTIONS[action];
+  return definition.needsRequirement ? `${definition.instruction}"${requirement}"` : definition.instruction;
+}
+
+/**
+ * Finds the part of a proposal an action applies to
+ * A section's text runs from below its heading to the next heading of the same or a higher level,
+ * so it includes its sub-sections; surrounding blank lines are left out
+ * @param {string} content - Proposal Markdown
+ * @param {Object} target - { sectionAnchor } or { selectionStart, selectionEnd } (character offsets)
+ * @returns {Object} { target: { start, end, text, label } } or { error }
+ */
+export function resolveTarget(content, { sectionAnchor, selectionStart, selectionEnd }) {
+  const text = content || '';
+  let start;
+  let end;
+  let label;
+
+  if (sectionAnchor) {
+    const sections = parseSections(text);
+    const index = sections.findIndex(section => section.anchor === sectionAnchor);
+    if (index === -1) {
+      return { error: 'sectionAnchor does not match a section of the proposal' };
+    }
+
+    const lines = text.split('\n');
+    const next = sections.slice(index + 1).find(section => section.level <= sections[index].level);
+    const offsetOf = lineIndex => lines.slice(0, lineIndex).reduce((sum, line) => sum + line.length + 1, 0);
+
+    // Heading lines are 1-based, so sections[index].line is the index of the line below the heading
+    start = offsetOf(sections[index].line);
+    end = next ? offsetOf(next.line - 1) : text.length;
+    label = sections[index].heading;
+  } else if (Number.isInteger(selectionStart) && Number.isInteger(selectionEnd)) {
+    if (selectionStart < 0 || selectionEnd > text.length || selectionStart >= selectionEnd) {
+      return { error: 'The selection is outside the proposal' };
+    }
+
+    start = selectionStart;
+    end = selectionEnd;
+    label = 'Selection';
+  } else {
+    return { error: 'sectionAnchor or selectionStart and selectionEnd are required' };
+  }
+
+  // Leave out blank lines before the text, and blank lines and spaces after it
+  while (start < end) {
+    const lineEnd = text.indexOf('\n', start);
+    if (lineEnd === -1 || lineEnd >= end || text.slice(start, lineEnd).trim()) break;
+    start = lineEnd + 1;
+  }
+  while (end > start && /\s/.test(text[end - 1])) end--;
+
+  if (start >= end) {
+    return { error: sectionAnchor ? 'The section has no text to work on' : 'The selection is empty' };
+  }
+  if (end - start > MAX_TARGET_LENGTH) {
+    return { error: `The text to work on must be at most ${MAX_TARGET_LENGTH} characters; select a smaller part` };
+  }
+
+  return { target: { start, end, text: text.slice(start, end), label } };
+}
+
+/**
+ * Puts new text in place of a target, which may have moved if the proposal was edited since
+ * @param {string} content - Current proposal Markdown
+ * @param {Object} target - { start, text } where text is what the proposal currently has there
+ * @param {string} replacement - New text
+ * @returns {Object|null} { content, target } with the target updated to the new text, or null when the
+ *   target's text is no longer in the proposal
+ */
+export function replaceTarget(content, target, replacement) {
+  let start = target.start;
+  if (content.slice(start, start + target.text.length) !== target.text) {
+    start = content.indexOf(target.text);
+    if (start === -1) return null;
+  }
+
+  return {
+    content: content.slice(0, start) + replacement + content.slice(start + target.text.length),
+    target: { ...target, start, end: start + replacement.length, text: replacement }
+  };
+}
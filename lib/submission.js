@@ -0,0 +1,59 @@
+// lib/submission.js
+// Server-side submission record: builds the submission package (proposal PDF, attached vault documents and
+// a manifest, see lib/submissionPackage.js), hashes it and the proposal content, and stores the package
+// so the exact file behind the on-chain hash can be downloaded and verified later
+
+import { createHash } from 'crypto';
+import { companyOperations, submissionFileOperations } from './database';
+import { normalizeContent } from './contentHash';
+import { buildSubmissionPackage } from './submissionPackage';
+
+export const SUBMISSION_FILE_FORMAT = 'zip';
+
+// Formats of stored submission files; proposals submitted before packages were built have a PDF
+export const SUBMISSION_FILE_TYPES = {
+  zip: { contentType: 'application/zip', extension: 'zip' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Computes a SHA-256 hex digest
+ * @param {string|Buffer} data - Text (hashed as UTF-8) or file bytes
+ * @returns {string} Lowercase hex digest
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Builds, hashes and stores the submitted package of a proposal
+ * The content hash matches lib/contentHash's hashContent, so pasted copies can be verified in the browser
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} proposal - `proposals` row with `tenders`
+ * @param {string} submittedAt - Submission timestamp, printed on the cover and recorded in the manifest
+ * @returns {Promise<Object>} { contentHash, fileHash, fileFormat, filePath, filename, manifest }
+ */
+export async function prepareSubmission(supabase, proposal, submittedAt) {
+  const company = await companyOperations.getProfile(supabase, proposal.organization_id);
+  const contentHash = sha256(normalizeContent(proposal.content));
+
+  const { buffer, manifest, filename } = await buildSubmissionPackage(supabase, proposal, {
+    company,
+    submittedAt,
+    contentHash
+  });
+
+  const fileHash = sha256(buffer);
+  // Stored under the file hash so every submission keeps its own file
+  const filePath = `${proposal.organization_id}/${proposal.id}/${fileHash}.${SUBMISSION_FILE_FORMAT}`;
+  await submissionFileOperations.upload(supabase, filePath, buffer, SUBMISSION_FILE_TYPES[SUBMISSION_FILE_FORMAT].contentType);
+
+  return {
+    contentHash,
+    fileHash,
+    fileFormat: SUBMISSION_FILE_FORMAT,
+    filePath,
+    filename,
+    manifest
+  };
+}
@@ -0,0 +1,272 @@
+// lib/submissionPackage.js
+// Submission package: the envelope sent to the agency, as a single ZIP holding the rendered proposal PDF,
+// the vault documents attached to the proposal and a manifest.json listing every file with its SHA-256 hash
+// Also works out which supporting documents a tender asks for, so they can be picked from the document vault
+
+import { createHash } from 'crypto';
+import JSZip from 'jszip';
+import { companyDocumentOperations, proposalAttachmentOperations, tenderOperations, tenderRequirementOperations } from './database';
+import { buildExportDocument, renderExport } from './export';
+import { describeThreshold, requirementsFromListing } from './requirements';
+import { fromRequirementRow } from './requirementExtraction';
+import { transformCompanyDocument } from './companyDocuments';
+
+export const MANIFEST_FORMAT = 'tenderly-submission-package';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Vault document types that can evidence a `document` requirement, by what the requirement names
+ * The first matching pattern wins, so the more specific ones come first
+ */
+const DOCUMENT_NAME_TYPES = [
+  { pattern: /\bcidb\b|\bspkk\b|\bppk\b|\bstb\b/, types: ['cidb_certificate'] },
+  { pattern: /\bssm\b|company registration|business registration|incorporation|form (?:9|24|49)\b|borang (?:9|24|49)\b/, types: ['company_registration'] },
+  { pattern: /\btax\b|\blhdn\b|clearance|cukai/, types: ['tax_clearance'] },
+  { pattern: /licen[cs]e|permit|\bmof\b|\bpkk\b|lesen/, types: ['license'] },
+  { pattern: /insurance|insured|policy|polisi|insurans/, types: ['insurance'] },
+  { pattern: /financial|audited|accounts?\b|bank statement|balance sheet|penyata kewangan/, types: ['financial_statement'] },
+  { pattern: /safety|\bohs\b|\bhse\b|\bniosh\b|\bdosh\b|keselamatan/, types: ['safety'] },
+  { pattern: /\biso\b|certif|accredit|\bsirim\b/, types: ['certification'] },
+  { pattern: /\bcv\b|resume|curriculum vitae|\bcvs\b/, types: ['personnel_cv'] }
+];
+
+// Words that say nothing about which document is meant
+const NAME_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'of', 'the', 'for', 'with', 'from', 'valid', 'copy', 'copies', 'certified', 'true',
+  'certificate', 'certificates', 'certification', 'document', 'documents', 'submit', 'provide', 'attach',
+  'latest', 'current', 'must', 'be', 'or', 'to', 'in', 'by', 'sijil', 'salinan'
+]);
+
+/**
+ * Vault document types that can evidence a requirement
+ * @param {Object} requirement - Normalized requirement (see lib/requirements.js)
+ * @returns {Array<string>} Document types; empty when the requirement needs no supporting document
+ */
+export function documentTypesForRequirement(requirement) {
+  switch (requirement.type) {
+    case 'grade':
+      return ['cidb_certificate'];
+    case 'certification':
+      return ['certification'];
+    case 'financial':
+      return ['financial_statement'];
+    case 'personnel':
+      return ['personnel_cv'];
+    case 'document': {
+      const name = `${requirement.threshold?.name || ''} ${requirement.description || ''}`.toLowerCase();
+      return DOCUMENT_NAME_TYPES.find(({ pattern }) => pattern.test(name))?.types || ['other'];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether a vault document's title or file name mentions what a requirement names
+ * Numbers such as "9001" must all appear; otherwise one distinctive word is enough
+ * @param {Object} requirement - Normalized requirement
+ * @param {Object} document - Vault document from transformCompanyDocument
+ * @returns {boolean} True when the document looks like the one asked for
+ */
+function mentionsRequirement(requirement, document) {
+  const name = (requirement.threshold?.name || '').toLowerCase();
+  const words = name.split(/[^a-z0-9]+/).filter(word => word.length > 1 && !NAME_STOP_WORDS.has(word));
+  if (words.length === 0) return false;
+
+  const haystack = `${document.title} ${document.fileName} ${document.issuer || ''}`.toLowerCase();
+  const numbers = words.filter(word => /\d/.test(word));
+
+  return numbers.length > 0
+    ? numbers.every(number => haystack.includes(number))
+    : words.some(word => haystack.includes(word));
+}
+
+/**
+ * Works out the supporting documents a tender asks for and which vault documents cover them
+ * @param {Array<Object>} requirements - Normalized requirements, with `id` when stored
+ * @param {Array<Object>} attachments - Vault documents attached to the proposal (transformCompanyDocument shape)
+ * @param {Array<Object>} vaultDocuments - All the organization's vault documents
+ * @returns {Array<Object>} [{ requirementId, description, detail, mandatory, documentTypes, status, attachedIds, suggestedIds }]
+ *   where status is attached, expired (only expired documents attached), available (in the vault, not attached) or missing
+ */
+export function listRequiredAttachments(requirements, attachments, vaultDocuments) {
+  return requirements
+    .map(requirement => ({ requirement, documentTypes: documentTypesForRequirement(requirement) }))
+    .filter(({ documentTypes }) => documentTypes.length > 0)
+    .map(({ requirement, documentTypes }) => {
+      // Documents naming the requirement are preferred; any document of a matching type will do otherwise
+      const pick = documents => {
+        const ofType = documents.filter(document => documentTypes.includes(document.documentType));
+        const named = ofType.filter(document => mentionsRequirement(requirement, document));
+        return named.length > 0 ? named : ofType;
+      };
+
+      const attached = pick(attachments);
+      const current = attached.filter(document => document.status !== 'expired');
+      const suggested = pick(vaultDocuments)
+        .filter(document => document.status !== 'expired' && !attachments.some(item => item.id === document.id));
+
+      return {
+        requirementId: requirement.id || null,
+        description: requirement.description,
+        detail: describeThreshold(requirement),
+        mandatory: requirement.mandatory,
+        documentTypes,
+        status: current.length > 0 ? 'attached' : attached.length > 0 ? 'expired' : suggested.length > 0 ? 'available' : 'missing',
+        attachedIds: attached.map(document => document.id),
+        suggestedIds: suggested.map(document => document.id)
+      };
+    });
+}
+
+/**
+ * Loads everything needed to describe a proposal's package: the tender's requirements and the vault documents
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} proposal - `proposals` row
+ * @param {Date} now - Reference time for document expiry
+ * @returns {Promise<Object>} { attachments, vaultDocuments, requiredAttachments } with documents in the API shape,
+ *   attachments also carrying their `storagePath`
+ */
+export async function loadPackageContents(supabase, proposal, now = new Date()) {
+  const [attachmentRows, vaultRows] = await Promise.all([
+    proposalAttachmentOperations.getByProposal(supabase, proposal.id),
+    companyDocumentOperations.getByOrganization(supabase, proposal.organization_id)
+  ]);
+
+  const attachments = attachmentRows.map(row => ({
+    ...transformCompanyDocument(row.company_documents, now),
+    storagePath: row.company_documents.storage_path
+  }));
+  const vaultDocuments = vaultRows.map(row => transformCompanyDocument(row, now));
+
+  // Never extracts with the AI: opening or submitting a package must not spend (or be blocked by) AI quota.
+  // Until requirements are extracted, the rule-based reading of the listing stands in, without being stored
+  let requirements = [];
+  if (proposal.tender_id) {
+    const tender = await tenderOperations.getById(supabase, proposal.tender_id);
+    requirements = tender.requirements_extracted_at
+      ? (await tenderRequirementOperations.getByTender(supabase, tender.id)).map(row => ({ id: row.id, ...fromRequirementRow(row) }))
+      : requirementsFromListing(tender);
+  }
+
+  return {
+    attachments,
+    vaultDocuments,
+    requiredAttachments: listRequiredAttachments(requirements, attachments, vaultDocuments)
+  };
+}
+
+/**
+ * Makes a file name safe to use inside the ZIP
+ * @param {string} name - Original file name
+ * @returns {string} Name with only letters, digits, dots, dashes, underscores and spaces
+ */
+function safeFileName(name) {
+  return (name || 'document').replace(/[^\w.\- ]+/g, '_').replace(/^[.\s]+/, '').substring(0, 120) || 'document';
+}
+
+/**
+ * Computes a SHA-256 hex digest
+ * @param {Buffer} buffer - File bytes
+ * @returns {string} Lowercase hex digest
+ */
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Builds the submission package ZIP for a proposal
+ * Every entry is dated at the submission time rather than when the ZIP happens to be built
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} proposal - `proposals` row with `tenders`
+ * @param {Object} options - { company, submittedAt, contentHash }
+ * @returns {Promise<Object>} { buffer, manifest, filename }
+ */
+export async function buildSubmissionPackage(supabase, proposal, { company, submittedAt, contentHash }) {
+  const { attachments, requiredAttachments } = await loadPackageContents(supabase, proposal, new Date(submittedAt));
+  const tender = proposal.tenders || {};
+
+  const exportDocument = buildExportDocument({
+    proposal,
+    tender,
+    company: company || {},
+    generatedAt: submittedAt
+  });
+  const rendered = await renderExport('pdf', exportDocument);
+
+  const files = [{
+    path: 'proposal.pdf',
+    role: 'proposal',
+    title: exportDocument.title,
+    contentType: rendered.contentType,
+    size: rendered.buffer.length,
+    sha256: sha256(rendered.buffer),
+    buffer: rendered.buffer
+  }];
+
+  for (const [index, attachment] of attachments.entries()) {
+    const buffer = await companyDocumentOperations.downloadFile(supabase, attachment.storagePath);
+    files.push({
+      path: `attachments/${String(index + 1).padStart(2, '0')}-${safeFileName(attachment.fileName)}`,
+      role: 'attachment',
+      documentId: attachment.id,
+      title: attachment.title,
+      documentType: attachment.documentType,
+      issuer: attachment.issuer,
+      issuedOn: attachment.issuedOn,
+      expiresOn: attachment.expiresOn,
+      contentType: attachment.contentType,
+      size: buffer.length,
+      sha256: sha256(buffer),
+      buffer
+    });
+  }
+
+  const pathById = Object.fromEntries(files.filter(file => file.documentId).map(file => [file.documentId, file.path]));
+
+  const manifest = {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    submittedAt,
+    proposal: {
+      id: proposal.id,
+      title: exportDocument.title,
+      contentHash
+    },
+    tender: {
+      title: tender.title || null,
+      reference: tender.tender_id || null,
+      agency: tender.agency || null,
+      closingDate: tender.closing_date || null
+    },
+    company: {
+      name: company?.name || null,
+      registrationNumber: company?.registration_number || null
+    },
+    hashAlgorithm: 'sha256',
+    files: files.map(({ buffer, ...file }) => file),
+    requiredAttachments: requiredAttachments.map(item => ({
+      description: item.description,
+      mandatory: item.mandatory,
+      status: item.status,
+      files: item.attachedIds.map(id => pathById[id]).filter(Boolean)
+    }))
+  };
+
+  const date = new Date(submittedAt);
+  const zip = new JSZip();
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2), { date });
+  files.forEach(file => zip.file(file.path, file.buffer, { date, createFolders: false }));
+
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+
+  return {
+    buffer,
+    manifest,
+    filename: rendered.filename.replace(/\.pdf$/i, '') + '_package.zip'
+  };
+}
@@ -0,0 +1,288 @@
+// lib/tenderDocuments.js
+// Tender document attachments: stores uploaded PDF and DOCX files, extracts their text into passages,
+// and picks the passages sent to the AI with each task so answers come from the bid document itself
+
+import { createHash } from 'crypto';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import mammoth from 'mammoth';
+import { tenderDocumentOperations } from './database';
+
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const CHUNK_TARGET_CHARS = 1200;
+const CHUNK_MAX_CHARS = 1800;
+const SHORT_PARAGRAPH_CHARS = 200;
+const MAX_CHUNKS_PER_DOCUMENT = 1000;
+const DEFAULT_EXCERPT_LIMIT = 6;
+
+/**
+ * Extracts text from a PDF, one entry per page
+ * Lines are rebuilt from the text positions; a gap of more than one blank line starts a new paragraph
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} { pages: [{ page, text }], pageCount }
+ */
+async function extractPdf(buffer) {
+  const pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, useSystemFonts: true }).promise;
+  const pages = [];
+
+  try {
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const { items } = await page.getTextContent();
+      let text = '';
+      let last = null;
+
+      for (const item of items) {
+        // Skip marked-content markers and empty runs
+        if (!item.str) continue;
+        const y = item.transform[5];
+
+        if (last && y !== last.y) {
+          text += Math.abs(last.y - y) > (last.height || 10) * 1.8 ? '\n\n' : '\n';
+        }
+        text += item.str;
+        last = { y, height: item.height };
+      }
+
+      pages.push({ page: number, text });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return { pages, pageCount: pdf.numPages };
+}
+
+/**
+ * Extracts text from a DOCX file
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} { pages: [{ page: null, text }], pageCount: null }
+ */
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return { pages: [{ page: null, text: value }], pageCount: null };
+}
+
+/**
+ * Supported attachment formats, keyed by file extension
+ * `signature` is the start of every file of the format (PDF header, ZIP header for DOCX)
+ */
+export const DOCUMENT_FORMATS = {
+  pdf: { contentType: 'application/pdf', signature: '%PDF-', extract: extractPdf },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    signature: 'PK\u0003\u0004',
+    extract: extractDocx
+  }
+};
+
+/**
+ * Works out the format of an uploaded file from its name and checks its contents match
+ * @param {string} fileName - Uploaded file name
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} { format } with the DOCUMENT_FORMATS key, or { error }
+ */
+export function detectFormat(fileName, buffer) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const format = DOCUMENT_FORMATS[extension];
+
+  if (!format || !fileName.includes('.')) {
+    return { error: 'Only PDF and DOCX files can be attached' };
+  }
+
+  if (buffer.subarray(0, format.signature.length).toString('latin1') !== format.signature) {
+    return { error: `${fileName} is not a valid ${extension.toUpperCase()} file` };
+  }
+
+  return { format: extension };
+}
+
+/**
+ * Splits long text at whitespace into pieces of at most maxChars, of roughly equal length
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Largest piece
+ * @returns {Array<string>} Pieces
+ */
+function splitLongText(text, maxChars) {
+  const size = Math.ceil(text.length / Math.ceil(text.length / maxChars));
+  const pieces = [];
+  let rest = text;
+
+  while (rest.length > maxChars) {
+    const cut = rest.lastIndexOf(' ', size);
+    const end = cut > size / 2 ? cut : size;
+    pieces.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Splits extracted text into passages of about CHUNK_TARGET_CHARS, keeping paragraphs together where possible
+ * Short paragraphs such as headings stay with the text after them, and passages never span pages,
+ * so each one can cite the page it came from
+ * @param {Array<Object>} pages - [{ page, text }] from a format's extract function
+ * @returns {Array<Object>} [{ page, content }]
+ */
+export function chunkPages(pages) {
+  const chunks = [];
+
+  for (const { page, text } of pages) {
+    const paragraphs = text
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim())
+      .filter(Boolean)
+      .flatMap(paragraph => splitLongText(paragraph, CHUNK_TARGET_CHARS));
+
+    let current = '';
+    for (const paragraph of paragraphs) {
+      const combined = current.length + paragraph.length + 2;
+      if (current && combined > CHUNK_TARGET_CHARS && (current.length >= SHORT_PARAGRAPH_CHARS || combined > CHUNK_MAX_CHARS)) {
+        chunks.push({ page, content: current });
+        current = '';
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+    if (current) chunks.push({ page, content: current });
+  }
+
+  return chunks.slice(0, MAX_CHUNKS_PER_DOCUMENT);
+}
+
+/**
+ * Extracts and stores the passages of an attached document, recording the outcome on the document
+ * @param {Object} supabase - Supabase client
+ * @param {Object} document - `tender_documents` row
+ * @param {Buffer} buffer - File bytes
+ * @returns {Promise<Object>} Updated document (status ready or failed)
+ */
+export async function processTenderDocument(supabase, document, buffer) {
+  try {
+    const format = detectFormat(document.file_name, buffer);
+    if (format.error) throw new Error(format.error);
+
+    const { pages, pageCount } = await DOCUMENT_FORMATS[format.format].extract(buffer);
+    const chunks = chunkPages(pages);
+
+    // Scanned PDFs have no text layer
+    if (chunks.length === 0) {
+      throw new Error('No text could be extracted (scanned documents are not supported)');
+    }
+
+    await tenderDocumentOperations.replaceChunks(supabase, document.id, document.tender_id, chunks);
+
+    return await tenderDocumentOperations.update(supabase, document.id, {
+      status: 'ready',
+      error: null,
+      page_count: pageCount,
+      chunk_count: chunks.length,
+      processed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[Tender Documents] Failed to process ${document.file_name}:`, error);
+    return tenderDocumentOperations.update(supabase, document.id, {
+      status: 'failed',
+      error: error.message,
+      chunk_count: 0,
+      processed_at: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Attaches an uploaded file to a tender: stores it, then extracts its passages
+ * A file already attached to the tender is returned as is
+ * @param {Object} supabase - Supabase client
+ * @param {Object} upload - { tenderId, userId, organizationId, fileName, buffer }
+ * @returns {Promise<Object>} { document, duplicate } or { error }
+ */
+export async function attachTenderDocument(supabase, { tenderId, userId, organizationId, fileName, buffer }) {
+  const detected = detectFormat(fileName, buffer);
+  if (detected.error) {
+    return { error: detected.error };
+  }
+
+  const fileHash = createHash('sha256').update(buffer).digest('hex');
+  const existing = await tenderDocumentOperations.getByHash(supabase, tenderId, fileHash);
+  if (existing) {
+    return { document: existing, duplicate: true };
+  }
+
+  const format = DOCUMENT_FORMATS[detected.format];
+  const storagePath = `${tenderId}/${fileHash}.${detected.format}`;
+  await tenderDocumentOperations.uploadFile(supabase, storagePath, buffer, format.contentType);
+
+  const document = await tenderDocumentOperations.create(supabase, userId, organizationId, {
+    tender_id: tenderId,
+    file_name: fileName,
+    content_type: format.contentType,
+    file_size: buffer.length,
+    file_hash: fileHash,
+    storage_path: storagePath
+  });
+
+  return { document: await processTenderDocument(supabase, document, buffer), duplicate: false };
+}
+
+/**
+ * Search terms for the passages each AI task needs, on top of the tender's own title
+ */
+const TASK_QUERIES = {
+  SUMMARIZE: 'scope objective background deliverables duration period budget closing submission',
+  ELIGIBILITY_CHECK: 'eligibility eligible qualification requirement registration certificate certification license grade class experience financial capability CIDB MOF',
+  PROPOSAL_GENERATION: 'scope deliverables specification technical requirement methodology evaluation criteria schedule'
+};
+
+/**
+ * Picks the tender document passages to send with an AI task
+ * Falls back to the opening passages when nothing matches, and to no passages when the tender has no documents
+ * or the lookup fails, so AI features keep working from the tender listing alone
+ * @param {Object} supabase - Supabase client
+ * @param {Object} tender - `tenders` row
+ * @param {string} task - Key of AI_TASKS
+ * @param {Object} options - { query } extra search text (e.g. the user's question), { limit } passages
+ * @returns {Promise<Array<Object>>} [{ fileName, page, content }] for the documentExcerpts prompt context
+ */
+export async function getDocumentExcerpts(supabase, tender, task, { query = '', limit = DEFAULT_EXCERPT_LIMIT } = {}) {
+  try {
+    const search = [tender.title, TASK_QUERIES[task], query].filter(Boolean).join(' ');
+    let chunks = await tenderDocumentOperations.matchChunks(supabase, tender.id, search, limit);
+
+    if (chunks.length === 0) {
+      chunks = await tenderDocumentOperations.getLeadingChunks(supabase, tender.id, limit);
+    }
+
+    return chunks.map(chunk => ({ fileName: chunk.file_name, page: chunk.page, content: chunk.content }));
+  } catch (error) {
+    console.error('[Tender Documents] Failed to load document excerpts:', error);
+    return [];
+  }
+}
+
+/**
+ * Shapes a `tender_documents` row for the API
+ * @param {Object} document - `tender_documents` row
+ * @param {string} organizationId - Organization of the requesting user
+ * @returns {Object} Document in camelCase, with whether the requester's organization may remove it
+ */
+export function transformTenderDocument(document, organizationId) {
+  return {
+    id: document.id,
+    tenderId: document.tender_id,
+    fileName: document.file_name,
+    contentType: document.content_type,
+    fileSize: document.file_size,
+    fileHash: document.file_hash,
+    status: document.status,
+    error: document.error,
+    pageCount: document.page_count,
+    chunkCount: document.chunk_count,
+    createdAt: document.created_at,
+    processedAt: document.processed_at,
+    attachedByYourOrganization: document.organization_id === organizationId
+  };
+}
@@ -0,0 +1,141 @@
+// lib/tenderSearch.js
+// Query parsing, cursors and facet shaping for the tender search API
+// The search itself runs in Postgres (search_tenders / tender_search_facets) via tenderOperations
+
+import { DEFAULT_CURRENCY } from './budget';
+
+export const SORT_ORDERS = ['newest', 'closing_date', 'relevance'];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Encodes the last row of a page into an opaque cursor
+ * @param {string} sort - Sort order the page was fetched with
+ * @param {string} value - The row's sort value (as returned by search_tenders)
+ * @param {string} id - The row's tender id
+ * @returns {string} URL-safe cursor
+ */
+export function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the previous response
+ * @returns {Object|null} { sort, value, id }, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.v !== 'string' || !UUID_PATTERN.test(decoded.id)) return null;
+    return { sort: decoded.s, value: decoded.v, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a date query parameter
+ * @param {string} value - Date text (ISO 8601 or yyyy-mm-dd)
+ * @returns {string|null|undefined} ISO timestamp, null when absent, undefined when invalid
+ */
+function readDate(value) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Parses and validates the `/api/tenders` query string
+ * @param {Object} query - req.query
+ * @returns {Object} { filters, page } or { error }
+ */
+export function parseTenderSearchQuery(query = {}) {
+  const text = value => (value === undefined || value === '' ? null : String(value).trim() || null);
+
+  const filters = {
+    query: text(query.q),
+    category: text(query.category),
+    location: text(query.location),
+    tags: query.tags
+      ? [].concat(query.tags).flatMap(tag => String(tag).split(',')).map(tag => tag.trim()).filter(Boolean)
+      : []
+  };
+
+  const closingFrom = readDate(query.closingFrom);
+  const closingTo = readDate(query.closingTo);
+  if (closingFrom === undefined) return { error: 'closingFrom must be a valid date' };
+  if (closingTo === undefined) return { error: 'closingTo must be a valid date' };
+  if (closingFrom && closingTo && closingFrom > closingTo) {
+    return { error: 'closingFrom cannot be after closingTo' };
+  }
+  filters.closingFrom = closingFrom;
+  filters.closingTo = closingTo;
+
+  // Budget range filters (amounts in `currency`, default MYR)
+  for (const field of ['budgetMin', 'budgetMax']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    if (isNaN(Number(query[field])) || Number(query[field]) < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    filters[field] = Number(query[field]);
+  }
+
+  if (filters.budgetMin != null && filters.budgetMax != null && filters.budgetMin > filters.budgetMax) {
+    return { error: 'budgetMin cannot be greater than budgetMax' };
+  }
+
+  if (filters.budgetMin != null || filters.budgetMax != null) {
+    filters.budgetCurrency = query.currency ? String(query.currency).toUpperCase() : DEFAULT_CURRENCY;
+  }
+
+  // Relevance is the natural order for text searches, newest otherwise
+  const sort = query.sort || (filters.query ? 'relevance' : 'newest');
+  if (!SORT_ORDERS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_ORDERS.join(', ')}` };
+  }
+  if (sort === 'relevance' && !filters.query) {
+    return { error: 'sort=relevance requires a search query (q)' };
+  }
+
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after || after.sort !== sort) {
+      return { error: 'cursor is invalid for this search' };
+    }
+  }
+
+  return { filters, page: { sort, limit, after } };
+}
+
+/**
+ * Groups tender_search_facets rows into the response shape
+ * @param {Array} rows - [{ facet, value, count }]
+ * @returns {Object} { total, facets: { category: [{ value, count }], location: [...], agency: [...] } }
+ */
+export function shapeFacets(rows = []) {
+  const facets = { category: [], location: [], agency: [] };
+  let total = 0;
+
+  rows.forEach(row => {
+    if (row.facet === 'total') {
+      total = Number(row.count);
+    } else if (facets[row.facet]) {
+      facets[row.facet].push({ value: row.value, count: Number(row.count) });
+    }
+  });
+
+  Object.values(facets).forEach(values => {
+    values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  });
+
+  return { total, facets };
+}
@@ -0,0 +1,73 @@
+// lib/tenderSummary.js
+// AI summary of a tender, shared by /api/summarize and the voice summaries in /api/voiceSummary
+// Summaries are written in English or Bahasa Malaysia
+
+import { validateResponse } from './aiPrompts';
+import { generate } from './llm';
+import { buildAIContext } from './aiContext';
+import { getDocumentExcerpts } from './tenderDocuments';
+import { AIQuotaError } from './aiUsage';
+
+/**
+ * Languages a summary can be written in
+ */
+export const SUMMARY_LANGUAGES = {
+  en: 'English',
+  ms: 'Bahasa Malaysia'
+};
+
+/**
+ * Summary used when the AI provider fails
+ * @param {Object} tender - Tender row
+ * @param {string} language - Key of SUMMARY_LANGUAGES
+ * @returns {string} Generic summary built from the tender's fields
+ */
+function fallbackSummary(tender, language) {
+  if (language === 'ms') {
+    return `Tender daripada ${tender.agency} ini mencari kontraktor yang berkelayakan untuk ${tender.title.toLowerCase()}. ` +
+      `Projek ini melibatkan perkhidmatan ${tender.category?.toLowerCase()}. Sila rujuk dokumen tender penuh untuk keperluan terperinci.`;
+  }
+
+  return `This tender from ${tender.agency} seeks qualified contractors for ${tender.title.toLowerCase()}. ` +
+    `The project involves ${tender.category?.toLowerCase()} services. Please review the full tender documentation for detailed requirements.`;
+}
+
+/**
+ * Generates a summary of a tender with the configured AI provider, grounded in its attached documents
+ * Falls back to a generic summary when the provider fails, but not when the user's AI quota is used up
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} tender - Tender row
+ * @param {Object} options - { language, ledger } where language is a key of SUMMARY_LANGUAGES (default 'en')
+ * and ledger (from aiLedger in lib/aiUsage.js) is who the request is charged to
+ * @returns {Promise<Object>} { summary, validation } where validation is passed, warning or fallback
+ */
+export async function summarizeTender(supabase, tender, { language = 'en', ledger } = {}) {
+  try {
+    const context = {
+      ...buildAIContext(tender, null, {
+        documentExcerpts: await getDocumentExcerpts(supabase, tender, 'SUMMARIZE')
+      }),
+      // Only read by the offline provider, which answers in the requested language
+      language
+    };
+
+    const { content } = await generate('SUMMARIZE', context, {
+      instructions: language === 'ms' ? 'Write the summary in Bahasa Malaysia.' : '',
+      ledger
+    });
+    const summary = content.trim();
+
+    // Log but don't fail - use the response anyway
+    const validation = validateResponse(summary, 'SUMMARIZE');
+    if (!validation.isValid) {
+      console.warn('AI response validation failed:', validation.issues);
+    }
+
+    return { summary, validation: validation.isValid ? 'passed' : 'warning' };
+  } catch (aiError) {
+    if (aiError instanceof AIQuotaError) throw aiError;
+
+    console.error('AI summarize error:', aiError);
+    return { summary: fallbackSummary(tender, language), validation: 'fallback' };
+  }
+}
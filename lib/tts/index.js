@@ -0,0 +1,96 @@
+// lib/tts/index.js
+// Shared entry point for text-to-speech, used by the tender voice summaries
+// Select a provider with TTS_PROVIDER:
+//   "espeak" - espeak-ng installed on the server (default)
+//   "piper"  - Piper voice models installed on the server
+//   "openai" - any OpenAI-compatible /audio/speech endpoint
+// Voices come from each provider's defaults; TTS_VOICE_EN and TTS_VOICE_MS override them per language
+
+import { espeakProvider, piperProvider } from './local';
+import { createOpenAITTSProvider } from './openai';
+
+/**
+ * Registered providers, keyed by the TTS_PROVIDER value
+ */
+export const TTS_PROVIDERS = {
+  espeak: () => espeakProvider,
+  piper: () => piperProvider,
+  openai: createOpenAITTSProvider
+};
+
+// Longest text sent to an engine; summaries are a few sentences, so this only guards against runaway output
+const MAX_SPEECH_CHARS = 4000;
+
+let provider = null;
+
+/**
+ * Returns the configured provider (created once per server process)
+ * @returns {Object} Provider with a name, defaultVoices and a synthesize(request) method
+ */
+export function getTTSProvider() {
+  if (provider) return provider;
+
+  const name = process.env.TTS_PROVIDER || 'espeak';
+  const create = TTS_PROVIDERS[name];
+
+  if (!create) {
+    throw new Error(`Unknown TTS_PROVIDER: ${name}`);
+  }
+
+  provider = create();
+  return provider;
+}
+
+/**
+ * Replaces the provider, e.g. with a stub in tests or scripts
+ * @param {Object|null} replacement - Provider with name, defaultVoices and synthesize(request),
+ * or null to re-read the environment
+ */
+export function setTTSProvider(replacement) {
+  provider = replacement;
+}
+
+/**
+ * Voice used for a language by the configured provider
+ * @param {string} language - Language code, e.g. 'en' or 'ms'
+ * @returns {string} Voice name or model path
+ */
+export function getVoice(language) {
+  const voice = process.env[`TTS_VOICE_${language.toUpperCase()}`] || getTTSProvider().defaultVoices[language];
+
+  if (!voice) {
+    throw new Error(`No ${language} voice configured for the ${getTTSProvider().name} TTS provider; set TTS_VOICE_${language.toUpperCase()}`);
+  }
+
+  return voice;
+}
+
+/**
+ * Turns AI-written text into plain text for an engine to read out
+ * @param {string} text - Summary, possibly with Markdown
+ * @returns {string} Plain text
+ */
+export function toSpeechText(text) {
+  return (text || '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_#`>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_SPEECH_CHARS);
+}
+
+/**
+ * Converts text to speech with the configured provider
+ * @param {string} text - Text to speak
+ * @param {string} language - Language code, e.g. 'en' or 'ms'
+ * @param {Object} options - { signal } to stop synthesis, e.g. when the client disconnects
+ * @returns {Promise<Object>} { contentType, extension, stream, voice, provider } where stream is a Node
+ *   readable stream of audio bytes, and finalize(buffer), when present, fixes up the complete file for storage
+ */
+export async function synthesize(text, language, { signal } = {}) {
+  const tts = getTTSProvider();
+  const voice = getVoice(language);
+
+  const audio = await tts.synthesize({ text: toSpeechText(text), language, voice, signal });
+  return { ...audio, voice, provider: tts.name };
+}
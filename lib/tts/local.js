@@ -0,0 +1,180 @@
+// lib/tts/local.js
+// Text-to-speech with engines installed on the server, for development and self-hosting
+// "espeak" runs espeak-ng (ships English and Malay voices); "piper" runs a Piper voice model (.onnx) per language
+// Both stream 16-bit mono WAV as the engine produces it
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import { PassThrough } from 'stream';
+
+const PIPER_DEFAULT_SAMPLE_RATE = 22050;
+
+// Size written into streamed WAV headers before the length is known; players read to the end of the data
+const STREAMING_WAV_SIZE = 0xffffffff;
+
+/**
+ * Builds a 44-byte header for 16-bit mono PCM
+ * @param {number} sampleRate - Samples per second
+ * @param {number} dataSize - Bytes of sample data, or STREAMING_WAV_SIZE when not known yet
+ * @returns {Buffer} RIFF/WAVE header
+ */
+function wavHeader(sampleRate, dataSize) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(dataSize === STREAMING_WAV_SIZE ? dataSize : dataSize + 36, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+/**
+ * Writes the real sizes into a WAV that was streamed with placeholder sizes, so the stored copy is a normal file
+ * @param {Buffer} buffer - Complete WAV file
+ * @returns {Buffer} The same buffer, with the RIFF and data chunk sizes set
+ */
+export function finalizeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return buffer;
+  }
+
+  buffer.writeUInt32LE(buffer.length - 8, 4);
+
+  // Walk the chunks to the data chunk, which runs to the end of the file
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    if (id === 'data') {
+      buffer.writeUInt32LE(buffer.length - offset - 8, offset + 4);
+      break;
+    }
+    offset += 8 + buffer.readUInt32LE(offset + 4);
+  }
+
+  return buffer;
+}
+
+/**
+ * Runs an engine that reads text on stdin and writes audio to stdout
+ * The returned stream fails when the engine cannot be started or exits with an error
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {string} text - Text to speak
+ * @param {AbortSignal} signal - Stops the engine
+ * @returns {PassThrough} Audio bytes
+ */
+function runEngine(command, args, text, signal) {
+  const output = new PassThrough();
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  let stderr = '';
+
+  const stop = () => child.kill('SIGTERM');
+  signal?.addEventListener('abort', stop, { once: true });
+
+  child.stdout.on('data', chunk => output.write(chunk));
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk.toString()).slice(-500);
+  });
+
+  child.on('error', error => {
+    output.destroy(error.code === 'ENOENT'
+      ? new Error(`Text-to-speech engine not found: ${command}`)
+      : error);
+  });
+
+  child.on('close', code => {
+    signal?.removeEventListener('abort', stop);
+    if (code === 0) {
+      output.end();
+    } else if (!output.destroyed) {
+      output.destroy(new Error(`${command} exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+    }
+  });
+
+  // An engine that exits early closes stdin; its exit code reports the failure
+  child.stdin.on('error', () => {});
+  child.stdin.end(text);
+
+  return output;
+}
+
+/**
+ * espeak-ng; voices are espeak voice names such as "en", "en-gb" or "ms"
+ * TTS_ESPEAK_PATH overrides the executable and TTS_ESPEAK_RATE the speed in words per minute (default 160)
+ */
+export const espeakProvider = {
+  name: 'espeak',
+  defaultVoices: { en: 'en', ms: 'ms' },
+
+  /**
+   * Speaks text with espeak-ng
+   * @param {Object} request - { text, voice, signal }
+   * @returns {Object} { contentType, extension, stream, finalize }
+   */
+  synthesize({ text, voice, signal }) {
+    const command = process.env.TTS_ESPEAK_PATH || 'espeak-ng';
+    const rate = String(parseInt(process.env.TTS_ESPEAK_RATE) || 160);
+
+    return {
+      contentType: 'audio/wav',
+      extension: 'wav',
+      stream: runEngine(command, ['-v', voice, '-s', rate, '--stdin', '--stdout'], text, signal),
+      finalize: finalizeWav
+    };
+  }
+};
+
+/**
+ * Reads a Piper voice's sample rate from the JSON config next to its model
+ * @param {string} model - Path of the .onnx model
+ * @returns {Promise<number>} Sample rate in Hz
+ */
+async function piperSampleRate(model) {
+  try {
+    const config = JSON.parse(await fs.readFile(`${model}.json`, 'utf8'));
+    return config.audio?.sample_rate || PIPER_DEFAULT_SAMPLE_RATE;
+  } catch (error) {
+    return PIPER_DEFAULT_SAMPLE_RATE;
+  }
+}
+
+/**
+ * Piper; voices are paths of .onnx voice models, with their .onnx.json config alongside
+ * Piper has no stock Malay voice, so TTS_VOICE_MS must point at a model trained for Malay
+ * TTS_PIPER_PATH overrides the executable
+ */
+export const piperProvider = {
+  name: 'piper',
+  defaultVoices: {},
+
+  /**
+   * Speaks text with Piper, wrapping its raw PCM output in a WAV header
+   * @param {Object} request - { text, voice, signal }
+   * @returns {Promise<Object>} { contentType, extension, stream, finalize }
+   */
+  async synthesize({ text, voice, signal }) {
+    const command = process.env.TTS_PIPER_PATH || 'piper';
+    const sampleRate = await piperSampleRate(voice);
+    const pcm = runEngine(command, ['--model', voice, '--output_raw'], text, signal);
+
+    const stream = new PassThrough();
+    stream.write(wavHeader(sampleRate, STREAMING_WAV_SIZE));
+    pcm.on('error', error => stream.destroy(error));
+    pcm.pipe(stream);
+
+    return {
+      contentType: 'audio/wav',
+      extension: 'wav',
+      stream,
+      finalize: finalizeWav
+    };
+  }
+};
@@ -0,0 +1,54 @@
+// lib/tts/openai.js
+// Text-to-speech with OpenAI-compatible /audio/speech APIs
+// Works with api.openai.com and with local servers exposing the same endpoint; set TTS_BASE_URL to point at one
+
+import { Readable } from 'stream';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'tts-1';
+
+/**
+ * Creates an OpenAI-compatible provider from environment variables
+ * TTS_BASE_URL (default LLM_BASE_URL, then https://api.openai.com/v1), TTS_MODEL (default tts-1)
+ * and TTS_API_KEY, LLM_API_KEY or OPENAI_API_KEY
+ * @returns {Object} Provider with a synthesize(request) method
+ */
+export function createOpenAITTSProvider() {
+  const baseUrl = (process.env.TTS_BASE_URL || process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = process.env.TTS_API_KEY || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  const model = process.env.TTS_MODEL || DEFAULT_MODEL;
+
+  return {
+    name: 'openai',
+    // The voices are multilingual and speak the language of the text
+    defaultVoices: { en: 'alloy', ms: 'alloy' },
+
+    /**
+     * Requests speech as MP3 and streams the response body as it arrives
+     * @param {Object} request - { text, voice, signal }
+     * @returns {Promise<Object>} { contentType, extension, stream }
+     */
+    async synthesize({ text, voice, signal }) {
+      const response = await fetch(`${baseUrl}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, voice, input: text, response_format: 'mp3' }),
+        signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`TTS API error: ${response.status}${body ? ` ${body.substring(0, 200)}` : ''}`);
+      }
+
+      return {
+        contentType: 'audio/mpeg',
+        extension: 'mp3',
+        stream: Readable.fromWeb(response.body)
+      };
+    }
+  };
+}
@@ -0,0 +1,48 @@
+// lib/uploads.js
+// Reads file uploads sent as the raw request body (see uploadFile in lib/api.js)
+// Routes using it turn off Next.js body parsing with `export const config = { api: { bodyParser: false } }`
+
+/**
+ * Reads an uploaded file from the request
+ * The file name is sent URI-encoded in the X-File-Name header
+ * @param {Object} req - API request
+ * @param {number} maxBytes - Largest accepted file size
+ * @returns {Promise<Object>} { fileName, contentType, buffer }, or { error, status } when the upload is rejected
+ */
+export async function readUpload(req, maxBytes) {
+  let fileName;
+  try {
+    fileName = decodeURIComponent(req.headers['x-file-name'] || '').trim();
+  } catch (error) {
+    fileName = '';
+  }
+
+  if (!fileName) {
+    return { error: 'X-File-Name header is required', status: 400 };
+  }
+
+  if (parseInt(req.headers['content-length']) > maxBytes) {
+    return { error: `File is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`, status: 413 };
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      return { error: `File is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`, status: 413 };
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) {
+    return { error: 'File is empty', status: 400 };
+  }
+
+  return {
+    fileName,
+    contentType: req.headers['content-type'] || 'application/octet-stream',
+    buffer: Buffer.concat(chunks)
+  };
+}
@@ -0,0 +1,117 @@
+// lib/voiceSummary.js
+// Spoken tender summaries: the AI summary from lib/tenderSummary.js read out by the TTS provider in lib/tts
+// Audio is cached per tender and language, and made again when the tender, its documents or the voice change
+
+import { createHash } from 'crypto';
+import { PassThrough, Readable } from 'stream';
+import { tenderDocumentOperations, voiceSummaryOperations } from './database';
+import { summarizeTender } from './tenderSummary';
+import { getTTSProvider, getVoice, synthesize } from './tts';
+
+/**
+ * Hash of everything the audio is made from, stored with the cached audio
+ * @param {Object} tender - Tender row
+ * @param {Array<Object>} documents - The tender's documents
+ * @param {string} provider - TTS provider name
+ * @param {string} voice - Voice name or model path
+ * @returns {string} SHA-256 hex digest
+ */
+function voiceSourceHash(tender, documents, provider, voice) {
+  const documentHashes = documents
+    .filter(document => document.status === 'ready')
+    .map(document => document.file_hash)
+    .sort();
+
+  return createHash('sha256')
+    .update(JSON.stringify([tender.id, tender.updated_at, documentHashes, provider, voice]))
+    .digest('hex');
+}
+
+/**
+ * Stores generated audio and records it as the tender's summary in a language, replacing the previous one
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} details - { tender, language, summary, sourceHash, audio, buffer, previous }
+ * @returns {Promise<void>}
+ */
+async function saveVoiceSummary(supabase, { tender, language, summary, sourceHash, audio, buffer, previous }) {
+  const storagePath = `${tender.id}/${language}-${sourceHash.substring(0, 16)}.${audio.extension}`;
+
+  await voiceSummaryOperations.uploadAudio(supabase, storagePath, buffer, audio.contentType);
+  await voiceSummaryOperations.save(supabase, {
+    tender_id: tender.id,
+    language,
+    summary,
+    source_hash: sourceHash,
+    provider: audio.provider,
+    voice: audio.voice,
+    content_type: audio.contentType,
+    file_size: buffer.length,
+    storage_path: storagePath
+  });
+
+  if (previous && previous.storage_path !== storagePath) {
+    await voiceSummaryOperations.removeAudio(supabase, previous.storage_path)
+      .catch(error => console.warn(`Failed to remove old voice summary ${previous.storage_path}:`, error.message));
+  }
+}
+
+/**
+ * Gets a tender's spoken summary, from the cache or by summarizing the tender and synthesizing speech
+ * New audio is streamed as the engine produces it and cached once complete; nothing is cached when the
+ * signal aborts, synthesis fails part way or the AI provider failed
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} tender - Tender row
+ * @param {string} language - Key of SUMMARY_LANGUAGES in lib/tenderSummary.js
+ * @param {Object} options - { signal, ledger } where signal stops synthesis, e.g. when the client disconnects,
+ * and ledger charges a new summary to a user (see aiLedger in lib/aiUsage.js)
+ * @returns {Promise<Object>} { summary, contentType, size, stream, cached } where size is null while it is not known
+ */
+export async function getVoiceSummary(supabase, tender, language, { signal, ledger } = {}) {
+  const documents = await tenderDocumentOperations.getByTender(supabase, tender.id);
+  const sourceHash = voiceSourceHash(tender, documents, getTTSProvider().name, getVoice(language));
+
+  const previous = await voiceSummaryOperations.get(supabase, tender.id, language);
+  if (previous?.source_hash === sourceHash) {
+    try {
+      const buffer = await voiceSummaryOperations.downloadAudio(supabase, previous.storage_path);
+      return {
+        summary: previous.summary,
+        contentType: previous.content_type,
+        size: buffer.length,
+        stream: Readable.from([buffer]),
+        cached: true
+      };
+    } catch (error) {
+      console.warn(`Cached voice summary ${previous.storage_path} could not be read, generating it again:`, error.message);
+    }
+  }
+
+  const { summary, validation } = await summarizeTender(supabase, tender, { language, ledger });
+  const audio = await synthesize(summary, language, { signal });
+
+  // Pass the audio through while keeping a copy for the cache
+  const chunks = [];
+  const stream = new PassThrough();
+
+  audio.stream.on('data', chunk => chunks.push(chunk));
+  audio.stream.on('error', error => stream.destroy(error));
+  audio.stream.on('end', () => {
+    // A fallback summary is read out but not kept, so the next request tries the AI provider again
+    if (signal?.aborted || validation === 'fallback') return;
+
+    // Buffer.concat copies, so fixing up the stored file leaves the streamed bytes alone
+    const buffer = Buffer.concat(chunks);
+    saveVoiceSummary(supabase, {
+      tender,
+      language,
+      summary,
+      sourceHash,
+      audio,
+      buffer: audio.finalize ? audio.finalize(buffer) : buffer,
+      previous
+    }).catch(error => console.error('Failed to cache voice summary:', error));
+  });
+  audio.stream.pipe(stream);
+
+  return { summary, contentType: audio.contentType, size: null, stream, cached: false };
+}
@@ -10,6 +10,10 @@ const nextConfig = {
   images: {
     domains: ['images.unsplash.com', 'via.placeholder.com'],
   },
+
+  // pdfkit loads its font metrics from disk at runtime, and pdfjs-dist loads its worker module the same way,
+  // so neither may be bundled
+  serverExternalPackages: ['pdfkit', 'pdfjs-dist'],
 }
 
 module.exports = nextConfig
\ No newline at end of file
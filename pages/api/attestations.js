@@ -1,86 +1,36 @@
 // pages/api/attestations.js
 // API endpoint for fetching blockchain attestations from Supabase database
-// Enhanced with Algorand blockchain verification
+// Includes the queue and confirmation state recorded by the attestation reconciler
+// Returns the attestations of the user's active organization
 
-import { createClient } from '@supabase/supabase-js';
+import { createApiHandler } from '../../lib/apiHandler';
 import { attestationOperations } from '../../lib/database';
-import { verifyAttestationTransaction } from '../../lib/algorandTransactions';
+import { transformAttestationState } from '../../lib/attestationQueue';
 import { getExplorerURL } from '../../lib/algorand';
 
-export default async function handler(req, res) {
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  try {
-    // Get the authorization token from the request headers
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No authorization token provided' });
-    }
-
-    // Validate environment variables
-    if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+export default createApiHandler({
+  errorMessage: 'Failed to fetch attestations',
+  methods: {
+    async GET(req, res, { supabase, membership }) {
+      // Get the organization's attestations from the database
+      const attestations = await attestationOperations.getByOrganization(supabase, membership.organizationId);
 
-    // Create Supabase client with service role key
-    const supabase = createClient(
-      process.env.NEXT_PUBLIC_SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-
-    // Verify the JWT token and get user information
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-
-    // Get attestations from the database
-    const attestations = await attestationOperations.getByUser(supabase, user.id);
-    
-    // Transform data to match frontend expectations (snake_case to camelCase)
-    const transformedAttestations = await Promise.all(attestations.map(async (attestation) => {
-      // Verify transaction on blockchain for both confirmed and pending statuses
-      let verificationStatus = attestation.status;
-      let explorerUrl = '';
-      
-      try {
-        if (attestation.tx_id && attestation.tx_id !== 'pending' && 
-            (attestation.status === 'confirmed' || attestation.status === 'pending')) {
-          // Try to verify the transaction on the blockchain
-          const isVerified = await verifyAttestationTransaction(attestation.tx_id);
-          verificationStatus = isVerified ? 'verified' : 'pending';
-        }
-        
-        // Get explorer URL for the transaction
-        if (attestation.tx_id && attestation.tx_id !== 'pending') {
-          explorerUrl = getExplorerURL(attestation.tx_id);
-        }
-      } catch (error) {
-        console.error('Error verifying attestation:', error);
-        // Don't change verification status if verification fails
-      }
-      
-      return {
+      // Transform data to match frontend expectations (snake_case to camelCase)
+      // Blockchain state is kept up to date by the attestation reconciler, so the indexer is not queried here
+      const transformedAttestations = attestations.map(attestation => ({
         id: attestation.id,
         tenderTitle: attestation.tender_title,
         agency: attestation.agency,
         submittedAt: attestation.submitted_at,
-        txId: attestation.tx_id || 'pending',
-        status: verificationStatus,
+        ...transformAttestationState(attestation),
+        contentHash: attestation.content_hash || null,
+        fileHash: attestation.file_hash || null,
         metadata: attestation.metadata,
         createdAt: attestation.created_at,
-        explorerUrl: explorerUrl
-      };
-    }));
+        explorerUrl: attestation.tx_id ? getExplorerURL(attestation.tx_id) : ''
+      }));
 
-    res.status(200).json(transformedAttestations);
-  } catch (error) {
-    console.error('Error fetching attestations:', error);
-    res.status(500).json({ error: 'Failed to fetch attestations' });
+      res.status(200).json(transformedAttestations);
+    }
   }
-}
\ No newline at end of file
+});
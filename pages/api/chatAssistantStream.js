@@ -0,0 +1,80 @@
+// pages/api/chatAssistantStream.js
+// Streaming variant of /api/chatAssistant: sends the reply as server-sent events while the AI writes it
+// Events: "delta" { text } for each piece of the reply, then "done" { response, messages } or "error" { error }
+// Closing the connection cancels the AI request; whatever was written by then is kept in the thread as a stopped reply
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { tenderOperations, companyOperations } from '../../lib/database';
+import { generateStream } from '../../lib/llm';
+import { buildAIContext } from '../../lib/aiContext';
+import { openEventStream } from '../../lib/eventStream';
+import { aiLedger, checkAIQuota, AIQuotaError } from '../../lib/aiUsage';
+import { ensureChatThread, loadChatHistory, saveChatTurn } from '../../lib/chatThreads';
+
+export default createApiHandler({
+  errorMessage: 'Failed to process chat message',
+  notFound: 'Tender not found',
+  methods: {
+    POST: {
+      body: {
+        tenderId: { type: 'string', required: true },
+        proposalId: { type: 'string' },
+        userMessage: { type: 'string', required: true },
+        proposalContent: { type: 'string' }
+      },
+      async handler(req, res, { supabase, user, membership: { organizationId }, body }) {
+        const { tenderId, proposalId, proposalContent, userMessage } = body;
+        const askedAt = new Date();
+
+        // Get tender details and company profile for context
+        const tender = await tenderOperations.getById(supabase, tenderId);
+        const profile = await companyOperations.getProfile(supabase, organizationId);
+
+        if (!tender) {
+          throw new ApiError(404, 'Tender not found');
+        }
+
+        const thread = await ensureChatThread(supabase, { userId: user.id, organizationId, tenderId, proposalId });
+        const context = buildAIContext(tender, profile, { proposalContent: proposalContent || '' });
+
+        // Answer a used-up quota with 429 while that is still possible (summarizing the history counts too)
+        const ledger = aiLedger(supabase, user, organizationId);
+        const chatHistory = await loadChatHistory(supabase, thread, { context, ledger });
+        await checkAIQuota(ledger);
+
+        const stream = openEventStream(req, res);
+        let written = '';
+
+        try {
+          const { content } = await generateStream('CHAT_ASSISTANCE', context, {
+            userInstruction: userMessage,
+            chatHistory,
+            signal: stream.signal,
+            onDelta: text => {
+              written += text;
+              stream.send('delta', { text });
+            },
+            ledger
+          });
+
+          const response = content.trim();
+          const messages = await saveChatTurn(supabase, thread, { userMessage, askedAt, reply: response });
+          stream.send('done', { response, messages });
+        } catch (aiError) {
+          if (stream.signal.aborted) {
+            // Keep a reply the user stopped part way, as the assistant shows it
+            if (written.trim()) {
+              await saveChatTurn(supabase, thread, { userMessage, askedAt, reply: written.trim(), stopped: true })
+                .catch(error => console.error('Failed to save stopped chat reply:', error));
+            }
+          } else {
+            console.error('AI chat stream error:', aiError);
+            stream.send('error', { error: aiError instanceof AIQuotaError ? aiError.message : 'Failed to get AI response' });
+          }
+        } finally {
+          stream.close();
+        }
+      }
+    }
+  }
+});
@@ -0,0 +1,29 @@
+// pages/api/chatMessages/[id].js
+// API endpoint for pinning and unpinning a message of the current user's AI chat threads
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { chatThreadOperations } from '../../../lib/database';
+import { transformChatMessage } from '../../../lib/chatThreads';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to update chat message',
+  methods: {
+    PUT: {
+      body: {
+        pinned: { type: 'boolean', required: true }
+      },
+      async handler(req, res, { supabase, user, body: { pinned } }) {
+        const { id } = req.query;
+        const existing = await chatThreadOperations.getMessage(supabase, id);
+
+        if (!existing || existing.chat_threads.user_id !== user.id) {
+          throw new ApiError(404, 'Message not found');
+        }
+
+        const message = await chatThreadOperations.setPinned(supabase, id, pinned);
+        res.status(200).json(transformChatMessage(message));
+      }
+    }
+  }
+});
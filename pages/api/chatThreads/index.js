@@ -0,0 +1,32 @@
+// pages/api/chatThreads/index.js
+// API endpoint for the current user's AI chat thread about a tender (?tenderId=) or one of its proposals (&proposalId=)
+// GET returns the thread's messages; DELETE clears the conversation, keeping pinned messages
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { getChatThread, clearChatThread } from '../../../lib/chatThreads';
+
+const THREAD_QUERY = {
+  tenderId: { type: 'string', required: true },
+  proposalId: { type: 'string' }
+};
+
+export default createApiHandler({
+  errorMessage: 'Failed to load chat thread',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    GET: {
+      query: THREAD_QUERY,
+      async handler(req, res, { supabase, user, membership: { organizationId }, query: { tenderId, proposalId } }) {
+        res.status(200).json(await getChatThread(supabase, { userId: user.id, organizationId, tenderId, proposalId }));
+      }
+    },
+
+    DELETE: {
+      query: THREAD_QUERY,
+      errorMessage: 'Failed to clear chat thread',
+      async handler(req, res, { supabase, user, membership: { organizationId }, query: { tenderId, proposalId } }) {
+        res.status(200).json(await clearChatThread(supabase, { userId: user.id, organizationId, tenderId, proposalId }));
+      }
+    }
+  }
+});
@@ -1,9 +1,11 @@
 // pages/api/company.js
 // API endpoint for company profile operations with enhanced field mapping and data sanitization
 // Updated to support all the new fields from the detailed company profile
+// The profile belongs to the user's active organization; owners and editors can update it
 
-import { createClient } from '@supabase/supabase-js';
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
 import { companyOperations } from '../../lib/database';
+import { can } from '../../lib/organizations';
 
 // Helper function to sanitize experience text
 const sanitizeExperienceText = (text) => {
@@ -47,71 +49,19 @@ const sanitizeExperienceText = (text) => {
   return cleanedText;
 };
 
-export default async function handler(req, res) {
-  console.log(`[Company API] ${req.method} request received`);
-  
-  try {
-    // Get the authorization token from the request headers
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      console.error('[Company API] No authorization token provided');
-      return res.status(401).json({ error: 'No authorization token provided' });
-    }
-
-    // Validate environment variables - check both client and server-side variables
-    const supabaseUrl = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
-    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-    // Add detailed logging for environment variables
-    console.log('[Company API] Supabase URL for server:', supabaseUrl);
-    console.log('[Company API] Supabase Service Role Key (first 5 chars):', serviceRoleKey ? serviceRoleKey.substring(0, 5) + '...' : 'Not set');
-    console.log('[Company API] All environment variables:', Object.keys(process.env).filter(key => key.includes('SUPABASE')));
-
-    if (!supabaseUrl) {
-      console.error('[Company API] Missing SUPABASE_URL environment variable');
-      return res.status(500).json({ error: 'Server configuration error: Missing Supabase URL' });
-    }
-
-    if (!serviceRoleKey) {
-      console.error('[Company API] Missing SUPABASE_SERVICE_ROLE_KEY environment variable');
-      return res.status(500).json({ error: 'Server configuration error: Missing service role key' });
-    }
-
-    console.log('[Company API] Creating Supabase service role client');
-    
-    // Create Supabase client with service role key for server-side operations
-    const supabaseServiceRole = createClient(supabaseUrl, serviceRoleKey);
-
-    console.log('[Company API] Verifying JWT token');
-    
-    // Verify the JWT token and get user information
-    const { data: { user }, error: authError } = await supabaseServiceRole.auth.getUser(token);
-    
-    if (authError) {
-      console.error('[Company API] Authentication error:', authError);
-      return res.status(401).json({ error: 'Authentication failed', details: authError.message });
-    }
-    
-    if (!user) {
-      console.error('[Company API] No user found in token');
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+export default createApiHandler({
+  methods: {
+    // Retrieve company profile
+    GET: {
+      errorMessage: 'Failed to fetch company profile',
+      async handler(req, res, { supabase, membership }) {
+        const profile = await companyOperations.getProfile(supabase, membership.organizationId);
 
-    console.log(`[Company API] User authenticated: ${user.id}`);
-
-    // GET request - retrieve company profile
-    if (req.method === 'GET') {
-      try {
-        console.log('[Company API] Fetching company profile');
-        const profile = await companyOperations.getProfile(supabaseServiceRole, user.id);
-        
         // Return empty object if no profile exists yet
         if (!profile) {
-          console.log('[Company API] No profile found, returning empty object');
           return res.status(200).json({});
         }
-        
+
         // Transform snake_case to camelCase for frontend with enhanced fields and sanitization
         const transformedProfile = {
           name: profile.name,
@@ -135,6 +85,7 @@ export default async function handler(req, res) {
           ohsas18001: profile.ohsas18001,
           contractorLicense: profile.contractor_license,
           licenseExpiry: profile.license_expiry,
+          customCertifications: profile.custom_certifications,
           yearsInOperation: profile.years_in_operation,
           totalProjects: profile.total_projects,
           totalValue: profile.total_value,
@@ -151,43 +102,33 @@ export default async function handler(req, res) {
           createdAt: profile.created_at,
           updatedAt: profile.updated_at
         };
-        
-        console.log('[Company API] Profile found, returning data');
+
         res.status(200).json(transformedProfile);
-      } catch (error) {
-        console.error('[Company API] Error fetching company profile:', error);
-        console.error('[Company API] Error details:', {
-          message: error.message,
-          code: error.code,
-          details: error.details,
-          hint: error.hint
-        });
-        res.status(500).json({ 
-          error: 'Failed to fetch company profile',
-          details: error.message 
-        });
       }
-    } 
-    // PUT request - update company profile
-    else if (req.method === 'PUT') {
-      try {
+    },
+
+    // Update company profile
+    PUT: {
+      errorMessage: 'Failed to update company profile',
+      async handler(req, res, { supabase, user, membership }) {
+        if (!can(membership.role, 'edit')) {
+          throw new ApiError(403, 'Your role does not allow editing the company profile');
+        }
+
         const updates = req.body;
-        console.log('[Company API] Received update data:', JSON.stringify(updates, null, 2));
-        
+
         // Validate required fields
         if (!updates.name || !updates.name.trim()) {
-          console.error('[Company API] Validation failed: Company name is required');
-          return res.status(400).json({ error: 'Company name is required' });
+          throw new ApiError(400, 'Company name is required');
         }
-        
+
         // Sanitize experience text before saving
         if (updates.experience) {
           updates.experience = sanitizeExperienceText(updates.experience);
         }
-        
-        console.log('[Company API] Updating company profile');
-        const updatedProfile = await companyOperations.upsertProfile(supabaseServiceRole, user.id, updates);
-        
+
+        const updatedProfile = await companyOperations.upsertProfile(supabase, membership.organizationId, user.id, updates);
+
         // Transform snake_case to camelCase for frontend response with enhanced fields and sanitization
         const transformedProfile = {
           name: updatedProfile.name,
@@ -227,34 +168,9 @@ export default async function handler(req, res) {
           createdAt: updatedProfile.created_at,
           updatedAt: updatedProfile.updated_at
         };
-        
-        console.log('[Company API] Profile updated successfully');
+
         res.status(200).json(transformedProfile);
-      } catch (error) {
-        console.error('[Company API] Error updating company profile:', error);
-        console.error('[Company API] Error details:', {
-          message: error.message,
-          code: error.code,
-          details: error.details,
-          hint: error.hint
-        });
-        res.status(500).json({ 
-          error: 'Failed to update company profile',
-          details: error.message 
-        });
       }
-    } 
-    // Other methods not allowed
-    else {
-      console.log(`[Company API] Method ${req.method} not allowed`);
-      res.status(405).json({ error: 'Method not allowed' });
     }
-  } catch (error) {
-    console.error('[Company API] Unexpected error:', error);
-    console.error('[Company API] Error stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: error.message 
-    });
   }
-}
\ No newline at end of file
+});
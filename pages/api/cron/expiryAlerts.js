@@ -0,0 +1,18 @@
+// pages/api/cron/expiryAlerts.js
+// Scheduled job endpoint that warns organizations about expiring CIDB registrations, licences and certifications
+// Intended to run daily; each credential is warned about once per window (EXPIRY_ALERT_WINDOWS)
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { runExpiryAlerts } from '../../../lib/expiryAlerts';
+
+export default createApiHandler({
+  auth: 'cron',
+  errorMessage: 'Failed to run expiry alerts',
+  methods: {
+    async POST(req, res, { supabase }) {
+      const summary = await runExpiryAlerts(supabase);
+
+      res.status(200).json(summary);
+    }
+  }
+});
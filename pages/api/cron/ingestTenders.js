@@ -0,0 +1,61 @@
+// pages/api/cron/ingestTenders.js
+// Scheduled job endpoint for the tender ingestion pipeline
+// POST runs all enabled sources (or one, via sourceId); GET returns recent run history
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { ingestionOperations } from '../../../lib/database';
+import { runIngestion } from '../../../lib/ingestion';
+
+export default createApiHandler({
+  auth: 'cron',
+  errorMessage: 'Failed to run tender ingestion',
+  methods: {
+    // Recent run history
+    GET: {
+      query: {
+        limit: { type: 'integer', min: 1, default: 20 }
+      },
+      async handler(req, res, { supabase, query }) {
+        const runs = await ingestionOperations.getRecentRuns(supabase, query.limit);
+
+        res.status(200).json(runs.map(run => ({
+          id: run.id,
+          sourceId: run.source_id,
+          sourceName: run.tender_sources?.name,
+          adapter: run.tender_sources?.adapter,
+          status: run.status,
+          startedAt: run.started_at,
+          finishedAt: run.finished_at,
+          fetched: run.fetched_count,
+          inserted: run.inserted_count,
+          updated: run.updated_count,
+          skipped: run.skipped_count,
+          errors: run.errors
+        })));
+      }
+    },
+
+    // Run ingestion
+    POST: {
+      body: {
+        sourceId: { type: 'string' }
+      },
+      async handler(req, res, { supabase, body }) {
+        const runs = await runIngestion(supabase, { sourceId: body.sourceId });
+
+        res.status(200).json({
+          runs: runs.map(run => ({
+            id: run.id,
+            sourceId: run.source_id,
+            status: run.status,
+            fetched: run.fetched_count,
+            inserted: run.inserted_count,
+            updated: run.updated_count,
+            skipped: run.skipped_count,
+            errors: run.errors
+          }))
+        });
+      }
+    }
+  }
+});
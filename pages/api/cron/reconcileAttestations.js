@@ -0,0 +1,23 @@
+// pages/api/cron/reconcileAttestations.js
+// Scheduled job endpoint for the attestation queue
+// Sends queued attestations (with backoff after failures) and confirms sent ones; intended to run every few minutes
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { reconcileAttestations } from '../../../lib/attestationQueue';
+
+export default createApiHandler({
+  auth: 'cron',
+  errorMessage: 'Failed to reconcile attestations',
+  methods: {
+    POST: {
+      body: {
+        limit: { type: 'integer', min: 1 }
+      },
+      async handler(req, res, { supabase, body }) {
+        const summary = await reconcileAttestations(supabase, { limit: body.limit });
+
+        res.status(200).json(summary);
+      }
+    }
+  }
+});
@@ -0,0 +1,19 @@
+// pages/api/cron/tenderAlerts.js
+// Scheduled job endpoint that evaluates saved searches, sends new-tender digests and closing-date reminders
+// Intended to run daily, shortly after tender ingestion
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { runSavedSearchDigests, runDeadlineReminders } from '../../../lib/savedSearches';
+
+export default createApiHandler({
+  auth: 'cron',
+  errorMessage: 'Failed to run tender alerts',
+  methods: {
+    async POST(req, res, { supabase }) {
+      const summary = await runSavedSearchDigests(supabase);
+      const reminders = await runDeadlineReminders(supabase);
+
+      res.status(200).json({ ...summary, reminders });
+    }
+  }
+});
@@ -0,0 +1,98 @@
+// pages/api/documents/[id].js
+// API endpoint for downloading, updating the details of, or deleting a vault document
+// A document attached to a proposal that has left draft cannot be deleted, so submission packages stay complete
+
+import { createApiHandler, ApiError, attachmentDisposition } from '../../../lib/apiHandler';
+import { companyDocumentOperations, proposalAttachmentOperations } from '../../../lib/database';
+import { can } from '../../../lib/organizations';
+import { isEditableStatus } from '../../../lib/proposalReview';
+import { toCompanyDocumentRow, transformCompanyDocument } from '../../../lib/companyDocuments';
+
+export default createApiHandler({
+  errorMessage: 'Failed to handle company document',
+  methods: {
+    // Download the original file
+    async GET(req, res, { supabase, membership }) {
+      const document = await getDocument(supabase, membership, req.query.id);
+      const buffer = await companyDocumentOperations.downloadFile(supabase, document.storage_path);
+
+      res.setHeader('Content-Type', document.content_type);
+      res.setHeader('Content-Disposition', attachmentDisposition(document.file_name));
+      res.setHeader('Content-Length', buffer.length);
+      res.status(200).send(buffer);
+    },
+
+    // Update the document details
+    async PATCH(req, res, { supabase, membership }) {
+      const document = await getDocument(supabase, membership, req.query.id);
+      requireEditor(membership);
+
+      const { row, error } = toCompanyDocumentRow(req.body, true);
+      if (error) {
+        throw new ApiError(400, error);
+      }
+
+      // Dates are checked together, including the one that is not changing
+      const issuedOn = row.issued_on !== undefined ? row.issued_on : document.issued_on;
+      const expiresOn = row.expires_on !== undefined ? row.expires_on : document.expires_on;
+      if (issuedOn && expiresOn && expiresOn < issuedOn) {
+        throw new ApiError(400, 'expiresOn cannot be before issuedOn');
+      }
+
+      const updated = await companyDocumentOperations.update(supabase, membership.organizationId, document.id, row);
+      res.status(200).json(transformCompanyDocument(updated));
+    },
+
+    // Remove the document, detaching it from draft proposals
+    async DELETE(req, res, { supabase, membership }) {
+      const document = await getDocument(supabase, membership, req.query.id);
+      requireEditor(membership);
+
+      const attachments = await proposalAttachmentOperations.getProposalsByDocument(supabase, document.id);
+      const locked = attachments.filter(attachment => !isEditableStatus(attachment.proposals?.status));
+      if (locked.length > 0) {
+        throw new ApiError(
+          409,
+          `This document is part of ${locked.length === 1 ? 'a proposal' : `${locked.length} proposals`} in review or submitted and cannot be deleted`,
+          { proposals: locked.map(attachment => ({ id: attachment.proposal_id, title: attachment.proposals?.title })) }
+        );
+      }
+
+      for (const attachment of attachments) {
+        await proposalAttachmentOperations.detach(supabase, attachment.proposal_id, document.id);
+      }
+      await companyDocumentOperations.remove(supabase, membership.organizationId, document.id);
+      await companyDocumentOperations.removeFile(supabase, document.storage_path).catch(error => {
+        // The record is gone, so nothing links to the file; a leftover file only takes space
+        console.error('Error removing company document file:', error);
+      });
+
+      res.status(200).json({ success: true });
+    }
+  }
+});
+
+/**
+ * Loads a vault document of the active organization
+ * @param {Object} supabase - Supabase client
+ * @param {Object} membership - Active membership
+ * @param {string} id - Document ID
+ * @returns {Promise<Object>} Document row
+ */
+async function getDocument(supabase, membership, id) {
+  const document = await companyDocumentOperations.getById(supabase, membership.organizationId, id);
+  if (!document) {
+    throw new ApiError(404, 'Document not found');
+  }
+  return document;
+}
+
+/**
+ * Rejects members who cannot change vault documents
+ * @param {Object} membership - Active membership
+ */
+function requireEditor(membership) {
+  if (!can(membership.role, 'edit')) {
+    throw new ApiError(403, 'Your role does not allow changing company documents');
+  }
+}
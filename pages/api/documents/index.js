@@ -0,0 +1,67 @@
+// pages/api/documents/index.js
+// API endpoint for listing the active organization's document vault and uploading to it
+// Uploads are sent as the raw file body (PDF, DOC, DOCX, JPG or PNG, up to 10MB); the document details
+// (documentType, title, issuer, issuedOn, expiresOn) are sent as query parameters
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { companyDocumentOperations } from '../../../lib/database';
+import { can } from '../../../lib/organizations';
+import { readUpload } from '../../../lib/uploads';
+import {
+  DOCUMENT_TYPES,
+  MAX_COMPANY_DOCUMENT_BYTES,
+  storeCompanyDocument,
+  transformCompanyDocument
+} from '../../../lib/companyDocuments';
+
+// Files are read from the raw request body
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default createApiHandler({
+  errorMessage: 'Failed to handle company documents',
+  methods: {
+    // List the vault
+    async GET(req, res, { supabase, membership }) {
+      const documents = await companyDocumentOperations.getByOrganization(supabase, membership.organizationId);
+      res.status(200).json({
+        documents: documents.map(document => transformCompanyDocument(document)),
+        documentTypes: Object.entries(DOCUMENT_TYPES).map(([value, label]) => ({ value, label })),
+        canEdit: can(membership.role, 'edit')
+      });
+    },
+
+    // Upload a document
+    async POST(req, res, { supabase, user, membership }) {
+      if (!can(membership.role, 'edit')) {
+        throw new ApiError(403, 'Your role does not allow uploading company documents');
+      }
+
+      const upload = await readUpload(req, MAX_COMPANY_DOCUMENT_BYTES);
+      if (upload.error) {
+        throw new ApiError(upload.status, upload.error);
+      }
+
+      const { documentType, title, issuer, issuedOn, expiresOn } = req.query;
+      const result = await storeCompanyDocument(supabase, {
+        userId: user.id,
+        organizationId: membership.organizationId,
+        fileName: upload.fileName,
+        buffer: upload.buffer,
+        details: { documentType, title: title || undefined, issuer, issuedOn, expiresOn }
+      });
+
+      if (result.error) {
+        throw new ApiError(400, result.error);
+      }
+
+      res.status(result.duplicate ? 200 : 201).json({
+        ...transformCompanyDocument(result.document),
+        duplicate: result.duplicate
+      });
+    }
+  }
+});
@@ -2,247 +2,132 @@
 // API endpoint for batch eligibility scoring of multiple tenders
 // Provides quick eligibility assessment for tender cards
 
-import { createClient } from '@supabase/supabase-js';
-import { tenderOperations, companyOperations } from '../../lib/database';
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { tenderOperations, companyOperations, tenderRequirementOperations } from '../../lib/database';
+import { DEFAULT_CURRENCY, parseBudget, budgetPoint, budgetsOverlap, formatAmount } from '../../lib/budget';
+import { requirementsFromListing, scoreRequirements } from '../../lib/requirements';
+import { findExpiryRisks } from '../../lib/profileHealth';
+import { fromRequirementRow } from '../../lib/requirementExtraction';
 
-export default async function handler(req, res) {
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default createApiHandler({
+  errorMessage: 'Failed to calculate eligibility summaries',
+  methods: {
+    async POST(req, res, { supabase, membership: { organizationId } }) {
+      const { tenderIds } = req.body;
 
-  const { tenderIds } = req.body;
-  
-  if (!tenderIds || !Array.isArray(tenderIds) || tenderIds.length === 0) {
-    return res.status(400).json({ error: 'tenderIds array is required' });
-  }
+      if (!tenderIds || !Array.isArray(tenderIds) || tenderIds.length === 0) {
+        throw new ApiError(400, 'tenderIds array is required');
+      }
 
-  try {
-    // Get the authorization token from the request headers
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No authorization token provided' });
-    }
+      // Get company profile from database
+      const profile = await companyOperations.getProfile(supabase, organizationId);
 
-    // Validate environment variables
-    if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+      if (!profile) {
+        // Return empty results if no profile exists
+        const emptyResults = tenderIds.reduce((acc, id) => {
+          acc[id] = { score: 0, status: 'incomplete_profile', message: 'Complete your company profile' };
+          return acc;
+        }, {});
 
-    // Create Supabase client with service role key
-    const supabase = createClient(
-      process.env.NEXT_PUBLIC_SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+        return res.status(200).json(emptyResults);
+      }
 
-    // Verify the JWT token and get user information
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+      // Get all tenders in a single batch query
+      const tenders = await Promise.all(
+        tenderIds.map(id => tenderOperations.getById(supabase, id))
+      );
 
-    // Get company profile from database
-    const profile = await companyOperations.getProfile(supabase, user.id);
-    
-    if (!profile) {
-      // Return empty results if no profile exists
-      const emptyResults = tenderIds.reduce((acc, id) => {
-        acc[id] = { score: 0, status: 'incomplete_profile', message: 'Complete your company profile' };
+      // Extracted requirements, grouped by tender
+      const storedRequirements = await tenderRequirementOperations.getByTenders(supabase, tenderIds);
+      const requirementsByTender = storedRequirements.reduce((acc, row) => {
+        if (!acc[row.tender_id]) acc[row.tender_id] = [];
+        acc[row.tender_id].push(fromRequirementRow(row));
         return acc;
       }, {});
-      
-      return res.status(200).json(emptyResults);
-    }
 
-    // Get all tenders in a single batch query
-    const tenders = await Promise.all(
-      tenderIds.map(id => tenderOperations.getById(supabase, id))
-    );
+      // Calculate eligibility for each tender
+      const eligibilitySummaries = {};
 
-    // Calculate eligibility for each tender
-    const eligibilitySummaries = {};
-    
-    for (let i = 0; i < tenderIds.length; i++) {
-      const tenderId = tenderIds[i];
-      const tender = tenders[i];
-      
-      if (!tender) {
-        eligibilitySummaries[tenderId] = { 
-          score: 0, 
-          status: 'not_found',
-          message: 'Tender not found' 
-        };
-        continue;
+      for (let i = 0; i < tenderIds.length; i++) {
+        const tenderId = tenderIds[i];
+        const tender = tenders[i];
+
+        if (!tender) {
+          eligibilitySummaries[tenderId] = { 
+            score: 0, 
+            status: 'not_found',
+            message: 'Tender not found' 
+          };
+          continue;
+        }
+
+        // Score against the extracted requirements; tenders not extracted yet are read from their listing
+        const requirements = tender.requirements_extracted_at
+          ? requirementsByTender[tender.id] || []
+          : requirementsFromListing(tender);
+        const eligibility = calculateEligibilityScore(tender, profile, requirements);
+
+        // Credentials the tender relies on that lapse before it closes put the bid at risk
+        const riskReasons = findExpiryRisks(requirements, profile, tender.closing_date);
+        eligibilitySummaries[tenderId] = { ...eligibility, atRisk: riskReasons.length > 0, riskReasons };
       }
-      
-      // Calculate eligibility score
-      const eligibility = calculateEligibilityScore(tender, profile);
-      eligibilitySummaries[tenderId] = eligibility;
-    }
 
-    res.status(200).json(eligibilitySummaries);
-  } catch (error) {
-    console.error('Error calculating eligibility summaries:', error);
-    res.status(500).json({ error: 'Failed to calculate eligibility summaries' });
+      res.status(200).json(eligibilitySummaries);
+    }
   }
-}
+});
 
 /**
  * Calculate eligibility score for a tender based on company profile
  * @param {Object} tender - Tender details
  * @param {Object} profile - Company profile
+ * @param {Array<Object>} requirements - The tender's typed requirements (see lib/requirements.js)
  * @returns {Object} Eligibility summary with score, status, and message
  */
-function calculateEligibilityScore(tender, profile) {
-  // Initialize score components
-  let totalPoints = 0;
-  let maxPoints = 0;
-  let matchedCriteria = [];
-  let missingCriteria = [];
-  
-  // Extract requirements from tender description if not explicitly provided
-  const requirements = tender.requirements || extractRequirementsFromDescription(tender.description);
-  
-  // Check CIDB Grade requirement
-  const cidbRequirement = requirements.find(req => 
-    req.toLowerCase().includes('cidb') && 
-    req.toLowerCase().includes('grade')
-  );
-  
-  if (cidbRequirement) {
-    maxPoints += 30; // CIDB grade is very important
-    
-    // Extract required grade (G1-G7)
-    const gradeMatch = cidbRequirement.match(/G[1-7]/i);
-    if (gradeMatch && profile.cidb_grade && typeof profile.cidb_grade === 'string') {
-      const requiredGrade = parseInt(gradeMatch[0].substring(1));
-      const companyGradeStr = profile.cidb_grade.toString().toUpperCase();
-      
-      // Safely extract grade number from company grade
-      const companyGradeMatch = companyGradeStr.match(/G?([1-7])/);
-      if (companyGradeMatch) {
-        const companyGrade = parseInt(companyGradeMatch[1]);
-        
-        if (!isNaN(companyGrade) && !isNaN(requiredGrade) && companyGrade >= requiredGrade) {
-          totalPoints += 30;
-          matchedCriteria.push(`CIDB Grade: ${profile.cidb_grade} meets or exceeds required ${gradeMatch[0]}`);
-        } else {
-          missingCriteria.push(`CIDB Grade: ${profile.cidb_grade} is below required ${gradeMatch[0]}`);
-        }
-      } else {
-        missingCriteria.push(`CIDB Grade: Invalid format in profile (${profile.cidb_grade})`);
-      }
-    } else if (!profile.cidb_grade) {
-      missingCriteria.push('CIDB Grade: Not provided in your profile');
-    } else {
-      missingCriteria.push('CIDB Grade: Invalid format in your profile');
-    }
-  }
-  
-  // Check experience requirements
-  const experienceRequirement = requirements.find(req => 
-    req.toLowerCase().includes('experience') || 
-    req.toLowerCase().includes('years')
-  );
-  
-  if (experienceRequirement) {
-    maxPoints += 20;
-    
-    // Extract required years
-    const yearsMatch = experienceRequirement.match(/(\d+)(?:\+)?\s*years?/i);
-    if (yearsMatch && profile.years_in_operation != null) {
-      const requiredYears = parseInt(yearsMatch[1]);
-      const companyYears = parseInt(profile.years_in_operation);
-      
-      if (!isNaN(companyYears) && !isNaN(requiredYears) && companyYears >= requiredYears) {
-        totalPoints += 20;
-        matchedCriteria.push(`Experience: ${companyYears} years meets or exceeds required ${requiredYears} years`);
-      } else if (!isNaN(companyYears) && !isNaN(requiredYears)) {
-        missingCriteria.push(`Experience: ${companyYears} years is below required ${requiredYears} years`);
+function calculateEligibilityScore(tender, profile, requirements) {
+  // Score each requirement the profile can evidence (grade, certifications, experience, personnel, ...)
+  const scored = scoreRequirements(requirements, profile);
+  let totalPoints = scored.points;
+  let maxPoints = scored.maxPoints;
+  const matchedCriteria = [...scored.matchedCriteria];
+  const missingCriteria = [...scored.missingCriteria];
+  
+  // Check budget fit against the company's preferred range and track record
+  const tenderBudget = readBudgetRange(tender, 'budget') || parseBudget(tender.budget);
+  const tenderValue = budgetPoint(tenderBudget);
+
+  if (tenderValue != null) {
+    const preferredRange = readBudgetRange(profile, 'budget_range') || parseBudget(profile.budget_range);
+    const totalValue = parseBudget(profile.total_value);
+    const trackRecord = profile.total_value_amount != null
+      ? Number(profile.total_value_amount)
+      : budgetPoint(totalValue);
+    const trackRecordCurrency = totalValue ? totalValue.currency : DEFAULT_CURRENCY;
+
+    // Amounts in different currencies are not compared
+    if (preferredRange && preferredRange.currency === tenderBudget.currency) {
+      maxPoints += 10;
+
+      if (budgetsOverlap(tenderBudget, preferredRange)) {
+        totalPoints += 10;
+        matchedCriteria.push(`Budget: ${formatAmount(tenderValue, tenderBudget.currency)} is within your preferred range`);
       } else {
-        missingCriteria.push('Experience: Invalid years format in your profile');
+        missingCriteria.push(`Budget: ${formatAmount(tenderValue, tenderBudget.currency)} is outside your preferred range`);
       }
-    } else if (profile.years_in_operation == null) {
-      missingCriteria.push('Experience: Years in operation not provided in your profile');
     }
-  }
-  
-  // Check certification requirements
-  const certificationRequirements = requirements.filter(req => 
-    req.toLowerCase().includes('iso') || 
-    req.toLowerCase().includes('certification') ||
-    req.toLowerCase().includes('certified')
-  );
-  
-  if (certificationRequirements.length > 0) {
-    const pointsPerCert = Math.min(10, Math.floor(30 / certificationRequirements.length));
-    
-    certificationRequirements.forEach(req => {
-      maxPoints += pointsPerCert;
-      
-      // Safely check custom certifications
-      const customCerts = Array.isArray(profile.custom_certifications) ? profile.custom_certifications : [];
-      const hasCertification = customCerts.some(cert => 
-        cert && cert.name && typeof cert.name === 'string' &&
-        req.toLowerCase().includes(cert.name.toLowerCase())
-      );
-      
-      // Check for ISO standards specifically
-      if (req.toLowerCase().includes('iso 9001') && profile.iso9001 === true) {
-        totalPoints += pointsPerCert;
-        matchedCriteria.push('ISO 9001: Quality Management certification');
-      } else if (req.toLowerCase().includes('iso 14001') && profile.iso14001 === true) {
-        totalPoints += pointsPerCert;
-        matchedCriteria.push('ISO 14001: Environmental Management certification');
-      } else if ((req.toLowerCase().includes('iso 45001') || req.toLowerCase().includes('ohsas 18001')) && 
-                profile.ohsas18001 === true) {
-        totalPoints += pointsPerCert;
-        matchedCriteria.push('ISO 45001/OHSAS 18001: Occupational Health & Safety certification');
-      } else if (hasCertification) {
-        totalPoints += pointsPerCert;
-        const matchingCert = customCerts.find(cert => 
-          cert && cert.name && typeof cert.name === 'string' &&
-          req.toLowerCase().includes(cert.name.toLowerCase())
-        );
-        matchedCriteria.push(`${matchingCert.name} certification`);
+
+    if (trackRecord != null && trackRecordCurrency === tenderBudget.currency) {
+      maxPoints += 10;
+
+      if (trackRecord >= tenderValue) {
+        totalPoints += 10;
+        matchedCriteria.push(`Track record: ${formatAmount(trackRecord, tenderBudget.currency)} in completed projects covers the tender value`);
+      } else if (trackRecord >= tenderValue / 2) {
+        totalPoints += 5;
+        missingCriteria.push(`Track record: ${formatAmount(trackRecord, tenderBudget.currency)} in completed projects is below the tender value`);
       } else {
-        // Extract certification name for the missing criteria
-        const certName = req.match(/ISO \d+|[A-Za-z]+ certification/i);
-        missingCriteria.push(`${certName ? certName[0] : req}`);
+        missingCriteria.push(`Track record: ${formatAmount(trackRecord, tenderBudget.currency)} in completed projects is well below the tender value`);
       }
-    });
-  }
-  
-  // Check for license requirements
-  const licenseRequirement = requirements.find(req => 
-    req.toLowerCase().includes('license') || 
-    req.toLowerCase().includes('permit')
-  );
-  
-  if (licenseRequirement) {
-    maxPoints += 20;
-    
-    if (profile.contractor_license && typeof profile.contractor_license === 'string' && profile.contractor_license.trim() !== '') {
-      totalPoints += 20;
-      matchedCriteria.push(`License: ${profile.contractor_license}`);
-      
-      // Check if license is expired
-      if (profile.license_expiry) {
-        try {
-          const expiryDate = new Date(profile.license_expiry);
-          if (!isNaN(expiryDate.getTime()) && expiryDate < new Date()) {
-            totalPoints -= 10; // Penalty for expired license
-            missingCriteria.push('License is expired');
-          }
-        } catch (error) {
-          // Invalid date format, ignore expiry check
-          console.warn('Invalid license expiry date format:', profile.license_expiry);
-        }
-      }
-    } else {
-      missingCriteria.push('License: Not provided in your profile');
     }
   }
   
@@ -276,70 +161,18 @@ function calculateEligibilityScore(tender, profile) {
 }
 
 /**
- * Extract requirements from tender description text
- * @param {string} description - Tender description
- * @returns {Array} Array of requirement strings
+ * Read a parsed budget range stored in <prefix>_min / <prefix>_max / <prefix>_currency columns
+ * @param {Object} row - Tender or company row
+ * @param {string} prefix - Column prefix ('budget' or 'budget_range')
+ * @returns {Object|null} { min, max, currency }, or null if the columns are empty
  */
-function extractRequirementsFromDescription(description) {
-  if (!description || typeof description !== 'string') return [];
-  
-  const requirements = [];
-  
-  // Look for common requirement indicators
-  const lines = description.split('\n');
-  
-  // Check for requirements section
-  let inRequirementsSection = false;
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    // Check if we're entering a requirements section
-    if (trimmedLine.match(/requirements|qualifications|eligibility/i) && 
-        trimmedLine.endsWith(':')) {
-      inRequirementsSection = true;
-      continue;
-    }
-    
-    // Check if we're leaving a requirements section
-    if (inRequirementsSection && 
-        (trimmedLine === '' || trimmedLine.match(/^[A-Z][\w\s]+:/))) {
-      inRequirementsSection = false;
-    }
-    
-    // Extract requirements from bullet points or numbered lists
-    if (inRequirementsSection || 
-        trimmedLine.match(/^[\-\*•]/) || 
-        trimmedLine.match(/^\d+\./)) {
-      
-      // Clean up the requirement text
-      let requirement = trimmedLine
-        .replace(/^[\-\*•]\s*/, '')
-        .replace(/^\d+\.\s*/, '');
-      
-      if (requirement && !requirements.includes(requirement)) {
-        requirements.push(requirement);
-      }
-    }
-  }
-  
-  // If no structured requirements found, look for key phrases
-  if (requirements.length === 0) {
-    const keyPhrases = [
-      /CIDB\s+Grade\s+G[1-7]/i,
-      /ISO\s+\d+/i,
-      /\d+\s+years?\s+experience/i,
-      /contractor\s+license/i,
-      /certification\s+required/i
-    ];
-    
-    for (const regex of keyPhrases) {
-      const match = description.match(regex);
-      if (match) {
-        requirements.push(match[0]);
-      }
-    }
-  }
-  
-  return requirements;
-}
\ No newline at end of file
+function readBudgetRange(row, prefix) {
+  const min = row[`${prefix}_min`];
+  const max = row[`${prefix}_max`];
+  if (min == null && max == null) return null;
+  return {
+    min: min != null ? Number(min) : null,
+    max: max != null ? Number(max) : null,
+    currency: row[`${prefix}_currency`] || DEFAULT_CURRENCY
+  };
+}
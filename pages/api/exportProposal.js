@@ -0,0 +1,51 @@
+// pages/api/exportProposal.js
+// API endpoint for exporting a proposal as a PDF or Word document
+// Renders the proposal Markdown with the company letterhead, tender reference on every page and a table of contents
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { proposalOperations, companyOperations } from '../../lib/database';
+import { EXPORT_FORMATS, buildExportDocument, renderExport } from '../../lib/export';
+
+export default createApiHandler({
+  errorMessage: 'Failed to export proposal',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    POST: {
+      body: {
+        proposalId: { type: 'string', required: true },
+        format: { type: 'string', required: true, enum: Object.keys(EXPORT_FORMATS) },
+        content: { type: 'string' },
+        options: { type: 'object', default: () => ({}) }
+      },
+      async handler(req, res, { supabase, membership: { organizationId }, body }) {
+        const { proposalId, format, content, options } = body;
+
+        // Get proposal and verify it belongs to the user's organization
+        const proposal = await proposalOperations.getById(supabase, proposalId);
+
+        if (!proposal || proposal.organization_id !== organizationId) {
+          throw new ApiError(404, 'Proposal not found or access denied');
+        }
+
+        // Company profile provides the letterhead
+        const company = await companyOperations.getProfile(supabase, organizationId);
+
+        // Export the editor's current content when provided, otherwise the saved proposal
+        const exportDocument = buildExportDocument({
+          proposal,
+          tender: proposal.tenders || {},
+          company: company || {},
+          content: content ?? undefined, // null counts as not provided, like in the schema
+          options
+        });
+
+        const { buffer, contentType, filename } = await renderExport(format, exportDocument);
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', buffer.length);
+        res.status(200).send(buffer);
+      }
+    }
+  }
+});
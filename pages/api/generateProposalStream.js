@@ -0,0 +1,119 @@
+// pages/api/generateProposalStream.js
+// Streaming variant of /api/generateProposal: sends the draft as server-sent events while the AI writes it
+// Events: "delta" { text } for each piece of the draft, then "done" { proposalId, templateId, missingPlaceholders, validation,
+// issues, unverifiedClaims }
+// or "error" { error }. The proposal is only saved once the full draft has been validated; closing the connection
+// cancels the AI request (for template drafts too) and nothing is saved. Template drafts arrive as a single delta.
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { tenderOperations, companyOperations, proposalOperations, proposalTemplateOperations } from '../../lib/database';
+import { validateResponse } from '../../lib/aiPrompts';
+import { generateStream } from '../../lib/llm';
+import { buildAIContext } from '../../lib/aiContext';
+import { openEventStream } from '../../lib/eventStream';
+import { can } from '../../lib/organizations';
+import { selectTemplate } from '../../lib/proposalTemplates';
+import { draftFromTemplate, findDraftClaims } from '../../lib/proposalGeneration';
+import { getDocumentExcerpts } from '../../lib/tenderDocuments';
+import { aiLedger, checkAIQuota, AIQuotaError } from '../../lib/aiUsage';
+
+export default createApiHandler({
+  errorMessage: 'Failed to generate proposal',
+  notFound: 'Tender not found',
+  methods: {
+    POST: {
+      body: {
+        tenderId: { type: 'string', required: true },
+        templateId: { type: 'string' }
+      },
+      async handler(req, res, { supabase, user, membership, body: { tenderId, templateId } }) {
+        // Only owners and editors create proposals for the organization
+        if (!can(membership.role, 'edit')) {
+          throw new ApiError(403, 'Your role does not allow creating proposals');
+        }
+
+        // Get tender details from database
+        const tender = await tenderOperations.getById(supabase, tenderId);
+        if (!tender) {
+          throw new ApiError(404, 'Tender not found');
+        }
+
+        // Get company profile from database
+        const profile = await companyOperations.getProfile(supabase, membership.organizationId);
+        if (!profile) {
+          throw new ApiError(400, 'Complete your company profile first to generate proposals');
+        }
+
+        // Use the company's template for this tender's category, or the one the user picked
+        const templates = await proposalTemplateOperations.getByCompany(supabase, profile.id);
+        const template = selectTemplate(templates, tender, templateId);
+        if (templateId && !template) {
+          throw new ApiError(404, 'Template not found');
+        }
+
+        // Passages of the tender's attached documents, so the draft follows the actual bid document
+        const documentExcerpts = await getDocumentExcerpts(supabase, tender, 'PROPOSAL_GENERATION');
+
+        // Answer a used-up quota with 429 while that is still possible
+        const ledger = aiLedger(supabase, user, membership.organizationId);
+        await checkAIQuota(ledger);
+
+        const stream = openEventStream(req, res);
+
+        try {
+          let proposalContent;
+          let missingPlaceholders = [];
+          let validation = null;
+
+          if (template) {
+            const draft = await draftFromTemplate(template, tender, profile, documentExcerpts, { ledger, signal: stream.signal });
+            proposalContent = draft.content;
+            missingPlaceholders = draft.missingPlaceholders;
+            stream.send('delta', { text: proposalContent });
+          } else {
+            const { content } = await generateStream('PROPOSAL_GENERATION', buildAIContext(tender, profile, { documentExcerpts }), {
+              signal: stream.signal,
+              onDelta: text => stream.send('delta', { text }),
+              ledger
+            });
+            proposalContent = content.trim();
+
+            // Validate the complete draft before it is saved
+            validation = validateResponse(proposalContent, 'PROPOSAL_GENERATION');
+            if (!validation.isValid) {
+              console.warn('AI response validation failed:', validation.issues);
+            }
+          }
+
+          // The user stopped the draft; do not save a partial proposal
+          if (stream.signal.aborted) {
+            return;
+          }
+
+          const newProposal = await proposalOperations.create(supabase, user.id, membership.organizationId, {
+            tender_id: tender.id,
+            template_id: template ? template.id : null,
+            title: tender.title,
+            content: proposalContent
+          });
+
+          stream.send('done', {
+            proposalId: newProposal.id,
+            templateId: template ? template.id : null,
+            missingPlaceholders,
+            validation: !validation ? null : validation.isValid ? 'passed' : 'warning',
+            issues: validation?.issues || [],
+            unverifiedClaims: findDraftClaims(proposalContent, { tender, profile, documentExcerpts, template })
+          });
+        } catch (aiError) {
+          if (!stream.signal.aborted) {
+            console.error("AI generation stream error:", aiError);
+            stream.send('error', { error: aiError instanceof AIQuotaError ? aiError.message : 'Failed to generate proposal' });
+          }
+        } finally {
+          stream.close();
+        }
+      }
+    }
+  }
+});
@@ -1,10 +1,15 @@
 // pages/api/improveProposal.js
 // API endpoint for AI-powered proposal improvement using structured prompts
 // Enhanced language detection with ultra-conservative Malay detection
+// Statements the AI adds that no profile or tender field backs are returned as unverifiedClaims
 
-import { createClient } from '@supabase/supabase-js';
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
 import { tenderOperations, companyOperations } from '../../lib/database';
-import { buildPrompt, validateResponse, TASK_CONFIGS } from '../../lib/aiPrompts';
+import { validateResponse } from '../../lib/aiPrompts';
+import { generate } from '../../lib/llm';
+import { buildAIContext } from '../../lib/aiContext';
+import { findUntracedClaims } from '../../lib/profileEvidence';
+import { aiLedger, AIQuotaError } from '../../lib/aiUsage';
 
 // Helper function to sanitize JSON strings and handle control characters
 function sanitizeJsonString(str) {
@@ -160,285 +165,138 @@ function detectLanguage(text) {
   return 'en';
 }
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const { tenderId, proposalContent, userInstruction = '', chatHistory = [] } = req.body;
-  
-  if (!tenderId || !proposalContent) {
-    return res.status(400).json({ error: 'tenderId and proposalContent are required' });
-  }
-
-  try {
-    // Get the authorization token from the request headers
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No authorization token provided' });
-    }
-
-    // Validate environment variables
-    if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
-
-    // Create Supabase client with service role key
-    const supabase = createClient(
-      process.env.NEXT_PUBLIC_SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-
-    // Verify the JWT token and get user information
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-
-    // Get tender details and company profile for context
-    const tender = await tenderOperations.getById(supabase, tenderId);
-    const profile = await companyOperations.getProfile(supabase, user.id);
-    
-    if (!tender) {
-      return res.status(404).json({ error: 'Tender not found' });
-    }
-
-    // Detect the language of the input content
-    const detectedLanguage = detectLanguage(proposalContent);
-    console.log(`[Improve Proposal] Final detected language: ${detectedLanguage}`);
-
-    // Mock AI improvement (preserves input language)
-    if (!process.env.OPENAI_API_KEY) {
-      let improvedContent;
-      let insights;
-
-      if (detectedLanguage === 'ms') {
-        // Input is in Malay, improve in Malay
-        improvedContent = proposalContent
-          .replace(/\*\*Latar Belakang Syarikat:\*\*/g, '**Latar Belakang Syarikat:**')
-          .replace(/\*\*Sijil:\*\*/g, '**Pensijilan dan Kelayakan:**')
-          .replace(/\*\*Pengalaman Syarikat:\*\*/g, '**Pengalaman dan Kepakaran Syarikat:**')
-          + `
-
-## Pendekatan Teknikal
-
-Kami mencadangkan pendekatan menyeluruh yang menangani semua keperluan teknikal sambil memastikan kualiti, pematuhan jadual masa, dan keberkesanan kos. Metodologi kami merangkumi:
-
-- Perancangan projek terperinci dan penilaian risiko
-- Jaminan kualiti dan pematuhan kepada semua standard
-- Pelaporan kemajuan berkala dan komunikasi pihak berkepentingan
-- Sokongan dan penyelenggaraan selepas pelaksanaan
-
-## Kesimpulan
-
-Kami berharap dapat peluang untuk membincangkan cadangan kami secara terperinci dan menunjukkan bagaimana ${profile?.name || 'syarikat kami'} dapat menyampaikan nilai luar biasa untuk projek penting ini.
-
-Yang benar,
-Pasukan ${profile?.name || 'Syarikat Kami'}`;
-
-        insights = [
-          {
-            change: "Diperkukuhkan bahagian latar belakang syarikat",
-            explanation: "Bahagian latar belakang syarikat telah diperkukuhkan dengan maklumat yang lebih terperinci tentang pengalaman dan keupayaan syarikat. Ini memberikan keyakinan kepada panel penilai tentang kredibiliti dan kesesuaian syarikat untuk projek ini."
-          },
-          {
-            change: "Ditambah bahagian pendekatan teknikal",
-            explanation: "Bahagian pendekatan teknikal yang baru ditambah menunjukkan metodologi yang jelas dan terstruktur. Ini membantu panel penilai memahami bagaimana syarikat akan melaksanakan projek dengan jayanya."
-          },
-          {
-            change: "Diperbaiki struktur dan format dokumen",
-            explanation: "Struktur dokumen telah diperbaiki dengan penggunaan tajuk yang lebih jelas dan format yang konsisten. Ini meningkatkan kebolehbacaan dan profesionalisme cadangan."
-          }
-        ];
-      } else {
-        // Input is in English, improve in English
-        improvedContent = proposalContent
-          .replace(/\*\*Company Background:\*\*/g, '**Company Background and Expertise:**')
-          .replace(/\*\*Certifications:\*\*/g, '**Certifications and Qualifications:**')
-          .replace(/\*\*Company Experience:\*\*/g, '**Company Experience and Capabilities:**')
-          + `
-
-## Technical Approach
-
-We propose a comprehensive approach that addresses all technical requirements while ensuring quality, timeline adherence, and cost-effectiveness. Our methodology includes:
-
-- Detailed project planning and risk assessment
-- Quality assurance and compliance with all standards
-- Regular progress reporting and stakeholder communication
-- Post-implementation support and maintenance
-
-## Project Management
-
-Our proven project management framework ensures successful delivery:
-- Dedicated project manager with relevant experience
-- Clear communication channels and regular updates
-- Proactive risk management and mitigation strategies
-- Adherence to agreed timelines and budget constraints
-
-## Conclusion
-
-We look forward to the opportunity to discuss our proposal in detail and demonstrate how ${profile?.name || 'our company'} can deliver exceptional value for this important project.
-
-Sincerely,
-${profile?.name || 'Our Company'} Team`;
-
-        insights = [
-          {
-            change: "Enhanced company background section",
-            explanation: "The company background section has been enhanced to highlight experience and expertise in relevant industries. This reassures evaluators of the company's capability."
-          },
-          {
-            change: "Added technical approach section",
-            explanation: "A new technical approach section outlines the company's methodology and strategies to deliver the project successfully, demonstrating thorough planning and professionalism."
-          },
-          {
-            change: "Improved document structure and formatting",
-            explanation: "Headings and formatting have been refined for better readability and presentation quality."
-          }
-        ];
-      }
-
-      return res.status(200).json({
-        improvedContent,
-        insights,
-        detectedLanguage,
-        tender: {
-          title: tender.title,
-          agency: tender.agency,
+export default createApiHandler({
+  errorMessage: 'Failed to improve proposal',
+  notFound: 'Tender not found',
+  methods: {
+    POST: {
+      body: {
+        tenderId: { type: 'string', required: true },
+        proposalContent: { type: 'string', required: true },
+        userInstruction: { type: 'string', default: '' },
+        chatHistory: { type: 'array', items: 'object', default: () => [] }
+      },
+      async handler(req, res, { supabase, user, membership: { organizationId }, body }) {
+        const { tenderId, proposalContent, userInstruction, chatHistory } = body;
+
+        // Get tender details and company profile for context
+        const tender = await tenderOperations.getById(supabase, tenderId);
+        const profile = await companyOperations.getProfile(supabase, organizationId);
+
+        if (!tender) {
+          throw new ApiError(404, 'Tender not found');
         }
-      });
-    }
-
-    // Use structured prompt system for OpenAI
-    try {
-      const context = {
-        tender: {
-          title: tender.title,
-          description: tender.description,
-          agency: tender.agency,
-          category: tender.category,
-          budget: tender.budget,
-          requirements: tender.requirements
-        },
-        company: {
-          name: profile?.name,
-          registrationNumber: profile?.registration_number,
-          certifications: profile?.certifications,
-          experience: profile?.experience,
-          contactEmail: profile?.contact_email
-        },
-        proposalContent
-      };
 
-      const messages = buildPrompt('PROPOSAL_IMPROVEMENT', context, '', userInstruction, chatHistory);
-      const config = TASK_CONFIGS.PROPOSAL_IMPROVEMENT;
+        // Detect the language of the input content
+        const detectedLanguage = detectLanguage(proposalContent);
+        console.log(`[Improve Proposal] Final detected language: ${detectedLanguage}`);
 
-      const response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          ...config,
-          messages
-        })
-      });
+        // Improve the proposal with the configured AI provider (offline responses when none is set up)
+        try {
+          const context = buildAIContext(tender, profile, {
+            proposalContent,
+            // Only read by the offline provider, which answers in the proposal's language
+            language: detectedLanguage
+          });
+
+          // Facts already in the proposal are the user's own; only what the AI adds is checked
+          const checkClaims = improved => findUntracedClaims(improved, { profile, tender, sources: [proposalContent] });
+
+          const { content } = await generate('PROPOSAL_IMPROVEMENT', context, {
+            userInstruction,
+            chatHistory,
+            ledger: aiLedger(supabase, user, organizationId)
+          });
+          const responseText = content.trim();
+
+          // Validate the response
+          const validation = validateResponse(responseText, 'PROPOSAL_IMPROVEMENT');
+          if (!validation.isValid) {
+            console.warn('AI response validation failed:', validation.issues);
+          }
 
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
+          try {
+            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) {
+              throw new Error('No JSON found in AI response');
+            }
 
-      const data = await response.json();
-      const responseText = data.choices[0].message.content.trim();
-      
-      // Validate the response
-      const validation = validateResponse(responseText, 'PROPOSAL_IMPROVEMENT');
-      if (!validation.isValid) {
-        console.warn('AI response validation failed:', validation.issues);
-      }
-      
-      try {
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No JSON found in AI response');
-        }
+            let jsonString = jsonMatch[0];
+
+            let parsedResult;
+            try {
+              parsedResult = JSON.parse(jsonString);
+            } catch (firstParseError) {
+              console.warn('First JSON parse failed, attempting to sanitize:', firstParseError.message);
+              jsonString = jsonString.replace(
+                /"improvedContent":\s*"([^"]*(?:\\.[^"]*)*)"/, 
+                (match, content) => {
+                  const sanitizedContent = sanitizeJsonString(content);
+                  return `"improvedContent": "${sanitizedContent}"`;
+                }
+              );
+              parsedResult = JSON.parse(jsonString);
+            }
 
-        let jsonString = jsonMatch[0];
-        
-        let parsedResult;
-        try {
-          parsedResult = JSON.parse(jsonString);
-        } catch (firstParseError) {
-          console.warn('First JSON parse failed, attempting to sanitize:', firstParseError.message);
-          jsonString = jsonString.replace(
-            /"improvedContent":\s*"([^"]*(?:\\.[^"]*)*)"/, 
-            (match, content) => {
-              const sanitizedContent = sanitizeJsonString(content);
-              return `"improvedContent": "${sanitizedContent}"`;
+            if (!parsedResult.improvedContent) {
+              throw new Error('Missing improvedContent in AI response');
             }
-          );
-          parsedResult = JSON.parse(jsonString);
-        }
 
-        if (!parsedResult.improvedContent) {
-          throw new Error('Missing improvedContent in AI response');
+            return res.status(200).json({
+              improvedContent: parsedResult.improvedContent,
+              improvements: [
+                'Enhanced based on user instructions',
+                'Improved technical approach',
+                'Strengthened value proposition',
+                'Better alignment with requirements'
+              ],
+              insights: parsedResult.insights || [],
+              unverifiedClaims: checkClaims(parsedResult.improvedContent),
+              validation: validation.isValid ? 'passed' : 'warning'
+            });
+
+          } catch (parseError) {
+            console.error('Failed to parse AI response:', parseError);
+            console.error('Raw response:', responseText);
+
+            return res.status(200).json({
+              improvedContent: responseText,
+              improvements: [
+                'General improvements applied based on tender context'
+              ],
+              insights: [
+                {
+                  change: "Content has been improved by AI",
+                  explanation: "AI made general improvements, but response could not be fully parsed. Returning raw content."
+                }
+              ],
+              unverifiedClaims: checkClaims(responseText),
+              validation: 'fallback'
+            });
+          }
+        } catch (aiError) {
+          if (aiError instanceof AIQuotaError) throw aiError;
+
+          console.error('AI improvement error:', aiError);
+          // Fall back to preserving original content with language detection
+          const detectedLang = detectLanguage(proposalContent);
+          const fallbackMessage = detectedLang === 'ms' 
+            ? '\n\n*Perkhidmatan penambahbaikan AI tidak tersedia buat masa ini*'
+            : '\n\n*AI improvement service temporarily unavailable*';
+
+          return res.status(200).json({ 
+            improvedContent: proposalContent + fallbackMessage,
+            insights: [
+              {
+                change: detectedLang === 'ms' ? "Perkhidmatan AI tidak tersedia" : "AI service unavailable",
+                explanation: detectedLang === 'ms' 
+                  ? `Sistem AI mengalami masalah teknikal. Kandungan asal dalam bahasa ${detectedLang === 'ms' ? 'Bahasa Malaysia' : 'Inggeris'} telah dikekalkan. Sila cuba lagi kemudian atau hubungi sokongan teknikal.`
+                  : `The AI system experienced technical issues. Original content in ${detectedLang === 'ms' ? 'Bahasa Malaysia' : 'English'} has been preserved. Please try again later or contact technical support.`
+              }
+            ]
+          });
         }
-
-        return res.status(200).json({
-          improvedContent: parsedResult.improvedContent,
-          improvements: [
-            'Enhanced based on user instructions',
-            'Improved technical approach',
-            'Strengthened value proposition',
-            'Better alignment with requirements'
-          ],
-          insights: parsedResult.insights || [],
-          validation: validation.isValid ? 'passed' : 'warning'
-        });
-        
-      } catch (parseError) {
-        console.error('Failed to parse AI response:', parseError);
-        console.error('Raw response:', responseText);
-        
-        return res.status(200).json({
-          improvedContent: responseText,
-          improvements: [
-            'General improvements applied based on tender context'
-          ],
-          insights: [
-            {
-              change: "Content has been improved by AI",
-              explanation: "AI made general improvements, but response could not be fully parsed. Returning raw content."
-            }
-          ],
-          validation: 'fallback'
-        });
       }
-    } catch (aiError) {
-      console.error('AI improvement error:', aiError);
-      // Fall back to preserving original content with language detection
-      const detectedLang = detectLanguage(proposalContent);
-      const fallbackMessage = detectedLang === 'ms' 
-        ? '\n\n*Perkhidmatan penambahbaikan AI tidak tersedia buat masa ini*'
-        : '\n\n*AI improvement service temporarily unavailable*';
-        
-      return res.status(200).json({ 
-        improvedContent: proposalContent + fallbackMessage,
-        insights: [
-          {
-            change: detectedLang === 'ms' ? "Perkhidmatan AI tidak tersedia" : "AI service unavailable",
-            explanation: detectedLang === 'ms' 
-              ? `Sistem AI mengalami masalah teknikal. Kandungan asal dalam bahasa ${detectedLang === 'ms' ? 'Bahasa Malaysia' : 'Inggeris'} telah dikekalkan. Sila cuba lagi kemudian atau hubungi sokongan teknikal.`
-              : `The AI system experienced technical issues. Original content in ${detectedLang === 'ms' ? 'Bahasa Malaysia' : 'English'} has been preserved. Please try again later or contact technical support.`
-          }
-        ]
-      });
     }
-  } catch (error) {
-    console.error('Proposal improvement error:', error);
-    return res.status(500).json({ error: 'Failed to improve proposal' });
   }
-}
\ No newline at end of file
+});
@@ -0,0 +1,31 @@
+// pages/api/organizations/active.js
+// API endpoint for switching the organization the user is working in
+// Company profile, proposals and attestations are all scoped to the active organization
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { organizationOperations, userProfileOperations } from '../../../lib/database';
+import { transformMembership } from '../../../lib/organizations';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to switch organization',
+  methods: {
+    PUT: {
+      body: {
+        organizationId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, body: { organizationId } }) {
+        // The user must be a member of the organization
+        const memberships = await organizationOperations.getMemberships(supabase, user.id);
+        const membership = memberships.find(item => item.organization_id === organizationId);
+
+        if (!membership) {
+          throw new ApiError(404, 'Organization not found or access denied');
+        }
+
+        await userProfileOperations.upsertProfile(supabase, user.id, { active_organization_id: organizationId });
+        res.status(200).json(transformMembership(membership, organizationId));
+      }
+    }
+  }
+});
@@ -0,0 +1,65 @@
+// pages/api/organizations/index.js
+// API endpoint for the current user's organizations: list memberships, create an organization
+// and rename the active organization
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { organizationOperations, userProfileOperations } from '../../../lib/database';
+import { getActiveMembership } from '../../../lib/organizationAccess';
+import { can, normalizeOrganizationName, transformMembership } from '../../../lib/organizations';
+
+// Creating an organization must not first create a personal one, so memberships are resolved per method
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to process organizations',
+  methods: {
+    // List the user's organizations
+    async GET(req, res, { supabase, user }) {
+      const membership = await getActiveMembership(supabase, user);
+      res.status(200).json({
+        activeOrganizationId: membership.organizationId,
+        role: membership.role,
+        organizations: membership.memberships.map(item => transformMembership(item, membership.organizationId))
+      });
+    },
+
+    // Create an organization and switch to it
+    async POST(req, res, { supabase, user }) {
+      const name = getOrganizationName(req.body);
+      const organization = await organizationOperations.create(supabase, user.id, name);
+      await userProfileOperations.upsertProfile(supabase, user.id, { active_organization_id: organization.id });
+
+      res.status(201).json({
+        id: organization.id,
+        name: organization.name,
+        role: 'owner',
+        isActive: true,
+        joinedAt: organization.created_at
+      });
+    },
+
+    // Rename the active organization
+    async PUT(req, res, { supabase, user }) {
+      const name = getOrganizationName(req.body);
+      const membership = await getActiveMembership(supabase, user);
+      if (!can(membership.role, 'manage')) {
+        throw new ApiError(403, 'Only owners can rename the organization');
+      }
+
+      const organization = await organizationOperations.update(supabase, membership.organizationId, { name });
+      res.status(200).json({ id: organization.id, name: organization.name });
+    }
+  }
+});
+
+/**
+ * Reads the organization name from a request body
+ * @param {Object} body - Request body
+ * @returns {string} Normalized name
+ */
+function getOrganizationName(body) {
+  const { name, error: validationError } = normalizeOrganizationName(body?.name);
+  if (validationError) {
+    throw new ApiError(400, validationError);
+  }
+  return name;
+}
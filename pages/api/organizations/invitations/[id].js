@@ -0,0 +1,26 @@
+// pages/api/organizations/invitations/[id].js
+// API endpoint for revoking a pending invitation to the active organization (owners only)
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { invitationOperations } from '../../../../lib/database';
+import { can } from '../../../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to revoke invitation',
+  methods: {
+    async DELETE(req, res, { supabase, membership }) {
+      const { id } = req.query; // Get invitation ID from the URL
+
+      if (!can(membership.role, 'manage')) {
+        throw new ApiError(403, 'Only owners can manage invitations');
+      }
+
+      const revoked = await invitationOperations.revoke(supabase, membership.organizationId, { id });
+      if (revoked.length === 0) {
+        throw new ApiError(404, 'Invitation not found');
+      }
+
+      res.status(200).json({ success: true });
+    }
+  }
+});
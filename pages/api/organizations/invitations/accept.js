@@ -0,0 +1,57 @@
+// pages/api/organizations/invitations/accept.js
+// API endpoint for accepting an organization invitation from its email link
+// The signed-in user's email must match the invited address; the organization becomes their active one
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { invitationOperations, organizationOperations, userProfileOperations } from '../../../../lib/database';
+import { hashInvitationToken } from '../../../../lib/organizationAccess';
+import { normalizeEmail } from '../../../../lib/organizations';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to accept invitation',
+  methods: {
+    POST: {
+      body: {
+        token: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, body: { token: invitationToken } }) {
+        const invitation = await invitationOperations.getByTokenHash(supabase, hashInvitationToken(invitationToken));
+
+        if (!invitation || invitation.revoked_at) {
+          throw new ApiError(404, 'Invitation not found or no longer valid');
+        }
+
+        if (invitation.accepted_at) {
+          throw new ApiError(410, 'This invitation has already been used');
+        }
+
+        if (new Date(invitation.expires_at).getTime() < Date.now()) {
+          throw new ApiError(410, 'This invitation has expired; ask for a new one');
+        }
+
+        if (normalizeEmail(user.email) !== invitation.email) {
+          throw new ApiError(403, `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`);
+        }
+
+        // Existing members keep their current role
+        const memberships = await organizationOperations.getMemberships(supabase, user.id);
+        const existing = memberships.find(item => item.organization_id === invitation.organization_id);
+        const role = existing ? existing.role : invitation.role;
+
+        if (!existing) {
+          await organizationOperations.addMember(supabase, invitation.organization_id, user.id, invitation.role);
+        }
+
+        await invitationOperations.markAccepted(supabase, invitation.id, user.id);
+        await userProfileOperations.upsertProfile(supabase, user.id, { active_organization_id: invitation.organization_id });
+
+        res.status(200).json({
+          organizationId: invitation.organization_id,
+          organizationName: invitation.organizations?.name || null,
+          role
+        });
+      }
+    }
+  }
+});
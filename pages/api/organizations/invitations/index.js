@@ -0,0 +1,87 @@
+// pages/api/organizations/invitations/index.js
+// API endpoint for listing and sending invitations to the active organization (owners only)
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { invitationOperations } from '../../../../lib/database';
+import { createInvitationToken } from '../../../../lib/organizationAccess';
+import {
+  ROLES,
+  INVITATION_TTL_DAYS,
+  can,
+  normalizeEmail,
+  renderInvitationEmail,
+  transformInvitation
+} from '../../../../lib/organizations';
+import { getNotifier } from '../../../../lib/notifier';
+
+export default createApiHandler({
+  errorMessage: 'Failed to process invitations',
+  methods: {
+    // List pending invitations
+    async GET(req, res, { supabase, membership }) {
+      requireOwner(membership);
+
+      const invitations = await invitationOperations.getPending(supabase, membership.organizationId);
+      res.status(200).json(invitations.map(transformInvitation));
+    },
+
+    // Send invitation
+    async POST(req, res, { supabase, user, membership }) {
+      requireOwner(membership);
+
+      const email = normalizeEmail(req.body?.email);
+      const role = req.body?.role || 'viewer';
+
+      if (!email) {
+        throw new ApiError(400, 'A valid email is required');
+      }
+
+      if (!ROLES.includes(role)) {
+        throw new ApiError(400, `role must be one of: ${ROLES.join(', ')}`);
+      }
+
+      // A new invitation replaces any pending one for the same address
+      await invitationOperations.revoke(supabase, membership.organizationId, { email });
+
+      const { token: invitationToken, tokenHash } = createInvitationToken();
+      const invitation = await invitationOperations.create(supabase, {
+        organization_id: membership.organizationId,
+        email,
+        role,
+        token_hash: tokenHash,
+        invited_by: user.id,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      });
+
+      // The invitation stays valid if the email fails; the owner can resend it
+      let emailSent = true;
+      try {
+        await getNotifier().send({
+          to: email,
+          ...renderInvitationEmail({
+            organizationName: membership.organizationName,
+            inviterEmail: user.email,
+            role,
+            token: invitationToken,
+            expiresAt: invitation.expires_at
+          })
+        });
+      } catch (sendError) {
+        console.error('Failed to send invitation email:', sendError);
+        emailSent = false;
+      }
+
+      res.status(201).json({ ...transformInvitation(invitation), emailSent });
+    }
+  }
+});
+
+/**
+ * Rejects members who cannot manage invitations
+ * @param {Object} membership - Active membership from getActiveMembership
+ */
+function requireOwner(membership) {
+  if (!can(membership.role, 'manage')) {
+    throw new ApiError(403, 'Only owners can manage invitations');
+  }
+}
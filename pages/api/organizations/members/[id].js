@@ -0,0 +1,53 @@
+// pages/api/organizations/members/[id].js
+// API endpoint for changing a member's role or removing a member from the active organization
+// Owners manage members; any member can remove themselves. An organization always keeps one owner
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { organizationOperations } from '../../../../lib/database';
+import { ROLES, can, transformMember } from '../../../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to update organization member',
+  notFound: 'Member not found',
+  methods: {
+    PUT: updateMember,
+    DELETE: updateMember
+  }
+});
+
+/**
+ * Changes a member's role (PUT) or removes the member (DELETE)
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @param {Object} ctx - Handler context from createApiHandler
+ */
+async function updateMember(req, res, { supabase, user, membership }) {
+  const { id } = req.query; // Get member ID from the URL
+
+  const member = await organizationOperations.getMember(supabase, membership.organizationId, id);
+  const isSelf = member.user_id === user.id;
+
+  if (!can(membership.role, 'manage') && !(req.method === 'DELETE' && isSelf)) {
+    throw new ApiError(403, 'Only owners can manage members');
+  }
+
+  // Never leave the organization without an owner
+  const removesOwner = member.role === 'owner' && (req.method === 'DELETE' || req.body?.role !== 'owner');
+  if (removesOwner && await organizationOperations.countOwners(supabase, membership.organizationId) <= 1) {
+    throw new ApiError(409, 'An organization must keep at least one owner');
+  }
+
+  // Handle PUT request - change role
+  if (req.method === 'PUT') {
+    if (!ROLES.includes(req.body?.role)) {
+      throw new ApiError(400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const updated = await organizationOperations.updateMemberRole(supabase, membership.organizationId, id, req.body.role);
+    return res.status(200).json(transformMember(updated, {}, user.id));
+  }
+
+  // Handle DELETE request - remove member
+  await organizationOperations.removeMember(supabase, membership.organizationId, id);
+  res.status(200).json({ success: true });
+}
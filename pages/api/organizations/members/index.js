@@ -0,0 +1,19 @@
+// pages/api/organizations/members/index.js
+// API endpoint for listing the members of the active organization
+
+import { createApiHandler } from '../../../../lib/apiHandler';
+import { organizationOperations } from '../../../../lib/database';
+import { getMemberUserInfo } from '../../../../lib/organizationAccess';
+import { transformMember } from '../../../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to fetch organization members',
+  methods: {
+    async GET(req, res, { supabase, user, membership }) {
+      const members = await organizationOperations.getMembers(supabase, membership.organizationId);
+      const userInfo = await getMemberUserInfo(supabase, members.map(member => member.user_id));
+
+      res.status(200).json(members.map(member => transformMember(member, userInfo[member.user_id], user.id)));
+    }
+  }
+});
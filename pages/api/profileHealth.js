@@ -0,0 +1,37 @@
+// pages/api/profileHealth.js
+// API endpoint for the health of the active organization's company profile:
+// completeness scored from the stored fields, and credentials that have expired or expire soon
+
+import { createApiHandler } from '../../lib/apiHandler';
+import { companyOperations, expiryAlertOperations } from '../../lib/database';
+import { computeProfileCompleteness, getExpiringCredentials, resolveExpiryWindows } from '../../lib/profileHealth';
+
+// Most recent warnings returned with the profile health
+const RECENT_ALERT_LIMIT = 10;
+
+export default createApiHandler({
+  errorMessage: 'Failed to calculate profile health',
+  methods: {
+    async GET(req, res, { supabase, membership: { organizationId } }) {
+      const [profile, alerts] = await Promise.all([
+        companyOperations.getProfile(supabase, organizationId),
+        expiryAlertOperations.getByOrganization(supabase, organizationId)
+      ]);
+
+      const windows = resolveExpiryWindows(process.env.EXPIRY_ALERT_WINDOWS);
+
+      res.status(200).json({
+        completeness: computeProfileCompleteness(profile),
+        expiring: profile ? getExpiringCredentials(profile, { windows }) : [],
+        windows,
+        recentAlerts: alerts.slice(0, RECENT_ALERT_LIMIT).map(alert => ({
+          credential: alert.credential_label,
+          expiresOn: alert.expires_on,
+          windowDays: alert.window_days,
+          recipients: alert.recipients,
+          sentAt: alert.created_at
+        }))
+      });
+    }
+  }
+});
@@ -0,0 +1,66 @@
+// pages/api/proposalOutcome.js
+// API endpoint for recording the award outcome of a submitted proposal
+// Sets the proposal to won or lost (or back to awaiting a result) with the amounts, winner and debrief notes
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { proposalOperations, proposalReviewOperations } from '../../lib/database';
+import { can } from '../../lib/organizations';
+import { OUTCOME_STATUSES, OUTCOME_LABELS, toOutcomeRow, transformOutcome } from '../../lib/reputation';
+
+export default createApiHandler({
+  errorMessage: 'Failed to record proposal outcome',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    POST: {
+      body: {
+        proposalId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, body }) {
+        const { row, error: validationError } = toOutcomeRow(body);
+        if (validationError) {
+          throw new ApiError(400, validationError);
+        }
+
+        // Get proposal and verify it belongs to the user's organization
+        const proposal = await proposalOperations.getById(supabase, body.proposalId);
+
+        if (!proposal || proposal.organization_id !== membership.organizationId) {
+          throw new ApiError(404, 'Proposal not found or access denied');
+        }
+
+        if (!can(membership.role, 'edit')) {
+          throw new ApiError(403, 'Your role does not allow recording outcomes');
+        }
+
+        // Outcomes only apply once the proposal has been submitted
+        if (!OUTCOME_STATUSES.includes(proposal.status)) {
+          throw new ApiError(409, 'Only submitted proposals can have an outcome');
+        }
+
+        // The competitor winner only applies to lost bids, so clear it when the outcome changes
+        const updates = {
+          ...row,
+          ...(row.status !== 'lost' ? { winner_name: null } : {}),
+          outcome_recorded_at: new Date().toISOString(),
+          outcome_recorded_by: user.id
+        };
+
+        const updated = await proposalOperations.update(supabase, proposal.id, membership.organizationId, updates);
+
+        // Status changes appear in the proposal's history next to the review steps
+        if (updated.status !== proposal.status) {
+          await proposalReviewOperations.addEvent(supabase, {
+            proposal_id: proposal.id,
+            organization_id: membership.organizationId,
+            from_status: proposal.status,
+            to_status: updated.status,
+            actor_id: user.id,
+            note: `Outcome recorded: ${OUTCOME_LABELS[updated.status]}`
+          });
+        }
+
+        res.status(200).json(transformOutcome(updated));
+      }
+    }
+  }
+});
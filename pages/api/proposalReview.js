@@ -0,0 +1,175 @@
+// pages/api/proposalReview.js
+// API endpoint for the proposal review workflow
+// GET returns the review state (status, reviewer, history, comments); POST applies a review action
+// such as requesting review from a team member, approving or requesting changes
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { proposalOperations, proposalReviewOperations, organizationOperations } from '../../lib/database';
+import { getMemberUserInfo } from '../../lib/organizationAccess';
+import { can } from '../../lib/organizations';
+import { getNotifier } from '../../lib/notifier';
+import {
+  availableActions,
+  checkTransition,
+  normalizeNote,
+  transformStatusEvent,
+  transformComment,
+  renderReviewRequestEmail
+} from '../../lib/proposalReview';
+
+/**
+ * Loads the review state of a proposal for the API response
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} proposal - `proposals` row
+ * @param {Object} membership - Active membership of the requesting user
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} Review state
+ */
+async function loadReview(supabase, proposal, membership, userId) {
+  const [events, comments, members] = await Promise.all([
+    proposalReviewOperations.getEvents(supabase, proposal.id),
+    proposalReviewOperations.getComments(supabase, proposal.id),
+    organizationOperations.getMembers(supabase, membership.organizationId)
+  ]);
+
+  // Look up everyone named in the history, comments and reviewer list at once
+  const userIds = new Set(members.map(member => member.user_id));
+  events.forEach(event => [event.actor_id, event.reviewer_id].forEach(id => id && userIds.add(id)));
+  comments.forEach(comment => [comment.user_id, comment.resolved_by].forEach(id => id && userIds.add(id)));
+  if (proposal.reviewer_id) userIds.add(proposal.reviewer_id);
+  const users = await getMemberUserInfo(supabase, [...userIds]);
+
+  const reviewerInfo = users[proposal.reviewer_id];
+
+  return {
+    status: proposal.status || 'draft',
+    reviewerId: proposal.reviewer_id || null,
+    reviewerName: reviewerInfo ? reviewerInfo.fullName || reviewerInfo.email : null,
+    actions: availableActions(proposal, membership.role, userId),
+    canComment: can(membership.role, 'comment'),
+    reviewers: members
+      .filter(member => can(member.role, 'review'))
+      .map(member => ({
+        userId: member.user_id,
+        name: users[member.user_id]?.fullName || users[member.user_id]?.email || 'Unknown user',
+        role: member.role
+      })),
+    history: events.map(event => transformStatusEvent(event, users)),
+    comments: comments.map(comment => transformComment(comment, users))
+  };
+}
+
+/**
+ * Loads a proposal of the active organization
+ * @param {Object} supabase - Supabase client
+ * @param {Object} membership - Active membership
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Object>} Proposal row
+ */
+async function getProposal(supabase, membership, proposalId) {
+  const proposal = await proposalOperations.getById(supabase, proposalId);
+
+  if (!proposal || proposal.organization_id !== membership.organizationId) {
+    throw new ApiError(404, 'Proposal not found or access denied');
+  }
+  return proposal;
+}
+
+export default createApiHandler({
+  errorMessage: 'Failed to process proposal review',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    // Review state
+    GET: {
+      query: {
+        proposalId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, query }) {
+        const proposal = await getProposal(supabase, membership, query.proposalId);
+        res.status(200).json(await loadReview(supabase, proposal, membership, user.id));
+      }
+    },
+
+    // Apply a review action
+    POST: {
+      body: {
+        proposalId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, body }) {
+        const proposal = await getProposal(supabase, membership, body.proposalId);
+        const { action, reviewerId } = body;
+
+        const transition = checkTransition(proposal, action, membership.role, user.id);
+        if (transition.error) {
+          throw new ApiError(transition.status, transition.error);
+        }
+
+        const { note, error: noteError } = normalizeNote(body.note);
+        if (noteError) {
+          throw new ApiError(400, noteError);
+        }
+
+        const updates = { status: transition.to };
+
+        // Requesting review assigns a reviewer who is allowed to review
+        if (action === 'request_review') {
+          const members = await organizationOperations.getMembers(supabase, membership.organizationId);
+          const reviewer = members.find(member => member.user_id === reviewerId);
+
+          if (!reviewer || !can(reviewer.role, 'review')) {
+            throw new ApiError(400, 'reviewerId must be an owner or reviewer of this organization');
+          }
+
+          updates.reviewer_id = reviewer.user_id;
+        }
+
+        // Only apply the change if nobody else moved the proposal in the meantime
+        const updated = await proposalReviewOperations.transition(
+          supabase,
+          proposal.id,
+          membership.organizationId,
+          proposal.status || 'draft',
+          updates
+        );
+
+        if (!updated) {
+          throw new ApiError(409, 'The proposal status changed. Reload and try again.');
+        }
+
+        await proposalReviewOperations.addEvent(supabase, {
+          proposal_id: proposal.id,
+          organization_id: membership.organizationId,
+          from_status: proposal.status || 'draft',
+          to_status: transition.to,
+          actor_id: user.id,
+          reviewer_id: updated.reviewer_id,
+          note
+        });
+
+        // Let the reviewer know; the review request stands even if the email fails
+        if (action === 'request_review' && updated.reviewer_id !== user.id) {
+          try {
+            const reviewerInfo = await getMemberUserInfo(supabase, [updated.reviewer_id]);
+            const reviewerEmail = reviewerInfo[updated.reviewer_id]?.email;
+
+            if (reviewerEmail) {
+              await getNotifier().send({
+                to: reviewerEmail,
+                ...renderReviewRequestEmail({
+                  proposalId: proposal.id,
+                  proposalTitle: proposal.tenders?.title || proposal.title,
+                  requesterEmail: user.email,
+                  note
+                })
+              });
+            }
+          } catch (sendError) {
+            console.error('Failed to send review request email:', sendError);
+          }
+        }
+
+        res.status(200).json(await loadReview(supabase, updated, membership, user.id));
+      }
+    }
+  }
+});
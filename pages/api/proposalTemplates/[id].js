@@ -0,0 +1,59 @@
+// pages/api/proposalTemplates/[id].js
+// API endpoint for updating and deleting a company proposal template
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { companyOperations, proposalTemplateOperations } from '../../../lib/database';
+import { toTemplateRow, transformTemplate } from '../../../lib/proposalTemplates';
+import { can } from '../../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to update proposal template',
+  notFound: 'Template not found',
+  methods: {
+    // Update template
+    async PUT(req, res, { supabase, membership }) {
+      const company = await getEditableCompany(supabase, membership);
+
+      const { row, error: validationError } = toTemplateRow(req.body, true);
+      if (validationError) {
+        throw new ApiError(400, validationError);
+      }
+
+      const template = await proposalTemplateOperations.update(supabase, req.query.id, company.id, row);
+
+      // Only one template per company can be the default
+      if (template.is_default) {
+        await proposalTemplateOperations.clearDefault(supabase, company.id, template.id);
+      }
+
+      res.status(200).json(transformTemplate(template));
+    },
+
+    // Remove template
+    async DELETE(req, res, { supabase, membership }) {
+      const company = await getEditableCompany(supabase, membership);
+
+      await proposalTemplateOperations.remove(supabase, req.query.id, company.id);
+      res.status(200).json({ success: true });
+    }
+  }
+});
+
+/**
+ * Loads the company whose templates the member changes
+ * Templates belong to the company of the user's active organization
+ * @param {Object} supabase - Supabase client
+ * @param {Object} membership - Active membership
+ * @returns {Promise<Object>} Company profile row
+ */
+async function getEditableCompany(supabase, membership) {
+  const company = await companyOperations.getProfile(supabase, membership.organizationId);
+  if (!company) {
+    throw new ApiError(404, 'Template not found');
+  }
+
+  if (!can(membership.role, 'edit')) {
+    throw new ApiError(403, 'Your role does not allow editing templates');
+  }
+  return company;
+}
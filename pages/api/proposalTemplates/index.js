@@ -0,0 +1,50 @@
+// pages/api/proposalTemplates/index.js
+// API endpoint for listing and creating the active organization's company proposal templates
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { companyOperations, proposalTemplateOperations } from '../../../lib/database';
+import { toTemplateRow, transformTemplate } from '../../../lib/proposalTemplates';
+import { can } from '../../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to process proposal templates',
+  methods: {
+    // List templates
+    async GET(req, res, { supabase, membership }) {
+      // Templates belong to the company of the user's active organization
+      const company = await companyOperations.getProfile(supabase, membership.organizationId);
+      if (!company) {
+        return res.status(200).json([]);
+      }
+
+      const templates = await proposalTemplateOperations.getByCompany(supabase, company.id);
+      res.status(200).json(templates.map(transformTemplate));
+    },
+
+    // Create template
+    async POST(req, res, { supabase, membership }) {
+      if (!can(membership.role, 'edit')) {
+        throw new ApiError(403, 'Your role does not allow editing templates');
+      }
+
+      const company = await companyOperations.getProfile(supabase, membership.organizationId);
+      if (!company) {
+        throw new ApiError(400, 'Complete your company profile first to create templates');
+      }
+
+      const { row, error: validationError } = toTemplateRow(req.body);
+      if (validationError) {
+        throw new ApiError(400, validationError);
+      }
+
+      const template = await proposalTemplateOperations.create(supabase, company.id, row);
+
+      // Only one template per company can be the default
+      if (template.is_default) {
+        await proposalTemplateOperations.clearDefault(supabase, company.id, template.id);
+      }
+
+      res.status(201).json(transformTemplate(template));
+    }
+  }
+});
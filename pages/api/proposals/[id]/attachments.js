@@ -0,0 +1,98 @@
+// pages/api/proposals/[id]/attachments.js
+// API endpoint for the vault documents included in a proposal's submission package
+// Documents can be attached and detached while the proposal is editable (draft or changes requested)
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { proposalOperations, companyDocumentOperations, proposalAttachmentOperations } from '../../../../lib/database';
+import { can } from '../../../../lib/organizations';
+import { isEditableStatus } from '../../../../lib/proposalReview';
+import { transformCompanyDocument } from '../../../../lib/companyDocuments';
+
+/**
+ * Loads a proposal of the active organization
+ * Proposals of other organizations are reported as missing
+ * @param {Object} supabase - Supabase client
+ * @param {Object} membership - Active membership
+ * @param {string} id - Proposal ID
+ * @returns {Promise<Object>} { proposal, canEdit }
+ */
+async function getProposal(supabase, membership, id) {
+  const proposal = await proposalOperations.getById(supabase, id);
+
+  if (!proposal || proposal.organization_id !== membership.organizationId) {
+    throw new ApiError(404, 'Proposal not found');
+  }
+
+  return { proposal, canEdit: can(membership.role, 'edit') && isEditableStatus(proposal.status) };
+}
+
+/**
+ * Loads a proposal whose attachments the member may change
+ * @param {Object} supabase - Supabase client
+ * @param {Object} membership - Active membership
+ * @param {string} id - Proposal ID
+ * @returns {Promise<Object>} Proposal row
+ */
+async function getEditableProposal(supabase, membership, id) {
+  const { proposal, canEdit } = await getProposal(supabase, membership, id);
+
+  if (!can(membership.role, 'edit')) {
+    throw new ApiError(403, 'Your role does not allow changing proposal attachments');
+  }
+
+  if (!canEdit) {
+    throw new ApiError(409, 'Attachments can only be changed while the proposal is being drafted');
+  }
+  return proposal;
+}
+
+export default createApiHandler({
+  errorMessage: 'Failed to handle proposal attachments',
+  notFound: 'Proposal not found',
+  methods: {
+    // List the attached documents
+    async GET(req, res, { supabase, membership }) {
+      const { proposal, canEdit } = await getProposal(supabase, membership, req.query.id);
+
+      const attachments = await proposalAttachmentOperations.getByProposal(supabase, proposal.id);
+      res.status(200).json({
+        attachments: attachments.map(attachment => ({
+          ...transformCompanyDocument(attachment.company_documents),
+          attachedAt: attachment.created_at
+        })),
+        canEdit
+      });
+    },
+
+    // Attach a vault document
+    POST: {
+      body: {
+        documentId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, body: { documentId } }) {
+        const proposal = await getEditableProposal(supabase, membership, req.query.id);
+
+        const document = await companyDocumentOperations.getById(supabase, membership.organizationId, documentId);
+        if (!document) {
+          throw new ApiError(404, 'Document not found');
+        }
+
+        await proposalAttachmentOperations.attach(supabase, user.id, membership.organizationId, proposal.id, document.id);
+        res.status(201).json(transformCompanyDocument(document));
+      }
+    },
+
+    // Detach a vault document (the document stays in the vault)
+    DELETE: {
+      body: {
+        documentId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, membership, body: { documentId } }) {
+        const proposal = await getEditableProposal(supabase, membership, req.query.id);
+
+        await proposalAttachmentOperations.detach(supabase, proposal.id, documentId);
+        res.status(200).json({ success: true });
+      }
+    }
+  }
+});
@@ -0,0 +1,53 @@
+// pages/api/proposals/[id]/package.js
+// API endpoint describing a proposal's submission package: the supporting documents the tender asks for,
+// the vault documents attached to cover them, and the files the package will hold
+// With ?download=1, builds the package as it would be submitted now, for checking before submission
+
+import { createApiHandler, ApiError, attachmentDisposition } from '../../../../lib/apiHandler';
+import { proposalOperations, companyOperations } from '../../../../lib/database';
+import { can } from '../../../../lib/organizations';
+import { isEditableStatus } from '../../../../lib/proposalReview';
+import { normalizeContent } from '../../../../lib/contentHash';
+import { sha256 } from '../../../../lib/submission';
+import { buildSubmissionPackage, loadPackageContents } from '../../../../lib/submissionPackage';
+
+export default createApiHandler({
+  errorMessage: 'Failed to describe submission package',
+  notFound: 'Proposal not found',
+  methods: {
+    async GET(req, res, { supabase, membership }) {
+      const { id, download } = req.query;
+
+      const proposal = await proposalOperations.getById(supabase, id);
+
+      // Proposals of other organizations are reported as missing
+      if (!proposal || proposal.organization_id !== membership.organizationId) {
+        throw new ApiError(404, 'Proposal not found');
+      }
+
+      // Preview download - the package as it would be submitted now (its hash differs from the submitted one)
+      if (download) {
+        const company = await companyOperations.getProfile(supabase, proposal.organization_id);
+        const { buffer, filename } = await buildSubmissionPackage(supabase, proposal, {
+          company,
+          submittedAt: new Date().toISOString(),
+          contentHash: sha256(normalizeContent(proposal.content))
+        });
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', attachmentDisposition(`preview_${filename}`));
+        res.setHeader('Content-Length', buffer.length);
+        return res.status(200).send(buffer);
+      }
+
+      const { attachments, vaultDocuments, requiredAttachments } = await loadPackageContents(supabase, proposal);
+
+      res.status(200).json({
+        requiredAttachments,
+        attachments: attachments.map(({ storagePath, ...document }) => document),
+        vaultDocuments,
+        canEdit: can(membership.role, 'edit') && isEditableStatus(proposal.status)
+      });
+    }
+  }
+});
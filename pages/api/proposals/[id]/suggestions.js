@@ -0,0 +1,115 @@
+// pages/api/proposals/[id]/suggestions.js
+// API endpoint for section-level AI actions: rewrites one section (or a selection) of the proposal and answers
+// with the changes as hunks, which the editor lets the user accept or reject one at a time
+// Nothing is saved here; accepted changes are saved through /api/saveDraft as `suggestion` versions
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { proposalOperations, tenderOperations, companyOperations } from '../../../../lib/database';
+import { can } from '../../../../lib/organizations';
+import { isEditableStatus, STATUS_LABELS } from '../../../../lib/proposalReview';
+import { SECTION_ACTIONS, MAX_REQUIREMENT_LENGTH, sectionActionInstruction, resolveTarget } from '../../../../lib/sectionActions';
+import { diffHunks } from '../../../../lib/proposalVersions';
+import { generate } from '../../../../lib/llm';
+import { buildAIContext } from '../../../../lib/aiContext';
+import { aiLedger, AIQuotaError } from '../../../../lib/aiUsage';
+
+/**
+ * Cleans up the revised text: models sometimes wrap it in a code fence or repeat the section heading
+ * @param {string} content - AI response
+ * @param {string} label - Section heading, or 'Selection'
+ * @returns {string} Revised text
+ */
+function cleanRevision(content, label) {
+  let text = content.trim();
+
+  const fenced = /^(```|~~~)[\w-]*\n([\s\S]*?)\n\1$/.exec(text);
+  if (fenced) text = fenced[2].trim();
+
+  const firstLine = text.split('\n')[0];
+  const heading = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(firstLine);
+  if (heading && heading[1].toLowerCase() === label.toLowerCase()) {
+    text = text.slice(firstLine.length).trim();
+  }
+
+  return text;
+}
+
+export default createApiHandler({
+  errorMessage: 'Failed to suggest changes',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    POST: {
+      body: {
+        action: { type: 'string', required: true, enum: Object.keys(SECTION_ACTIONS) },
+        content: { type: 'string', required: true },
+        sectionAnchor: { type: 'string' },
+        selectionStart: { type: 'integer', min: 0 },
+        selectionEnd: { type: 'integer', min: 0 },
+        requirement: { type: 'string', maxLength: MAX_REQUIREMENT_LENGTH }
+      },
+      async handler(req, res, { supabase, user, membership, body }) {
+        const { action, content, requirement } = body;
+
+        // Get proposal and verify it belongs to the user's organization
+        const proposal = await proposalOperations.getById(supabase, req.query.id);
+
+        if (!proposal || proposal.organization_id !== membership.organizationId) {
+          throw new ApiError(404, 'Proposal not found or access denied');
+        }
+
+        if (!can(membership.role, 'edit')) {
+          throw new ApiError(403, 'Your role does not allow editing proposals');
+        }
+
+        if (!isEditableStatus(proposal.status)) {
+          throw new ApiError(409, `${STATUS_LABELS[proposal.status] || proposal.status} proposals cannot be changed`);
+        }
+
+        if (SECTION_ACTIONS[action].needsRequirement && !requirement?.trim()) {
+          throw new ApiError(400, `requirement is required to ${SECTION_ACTIONS[action].label.toLowerCase()}`);
+        }
+
+        // The editor sends its current content, which may have unsaved changes
+        const { target, error: targetError } = resolveTarget(content, body);
+        if (targetError) {
+          throw new ApiError(400, targetError);
+        }
+
+        const tender = await tenderOperations.getById(supabase, proposal.tender_id);
+        const profile = await companyOperations.getProfile(supabase, membership.organizationId);
+
+        let revision;
+        try {
+          const context = buildAIContext(tender, profile, {
+            proposalContent: target.text,
+            // Only read by the offline provider, which applies a fixed edit per action
+            sectionAction: action,
+            requirement: requirement?.trim()
+          });
+
+          const { content: response } = await generate('SECTION_EDIT', context, {
+            instructions: target.label === 'Selection' ? 'The text is a passage selected by the user.' : `The text is the "${target.label}" section.`,
+            userInstruction: sectionActionInstruction(action, requirement?.trim()),
+            ledger: aiLedger(supabase, user, membership.organizationId)
+          });
+          revision = cleanRevision(response, target.label);
+        } catch (aiError) {
+          if (aiError instanceof AIQuotaError) throw aiError;
+
+          console.error('AI section edit error:', aiError);
+          throw new ApiError(502, 'The AI could not suggest changes right now. Please try again.');
+        }
+
+        if (!revision) {
+          throw new ApiError(502, 'The AI returned no text for this section. Please try again.');
+        }
+
+        res.status(200).json({
+          action,
+          target,
+          hunks: diffHunks(target.text, revision)
+        });
+      }
+    }
+  }
+});
@@ -0,0 +1,35 @@
+// pages/api/reputation.js
+// API endpoint for the active organization's reputation metrics
+// Computed from submitted proposals and their outcomes, plus blockchain attestations
+
+import { createApiHandler } from '../../lib/apiHandler';
+import { proposalOperations, attestationOperations } from '../../lib/database';
+import { computeReputationMetrics, transformOutcome } from '../../lib/reputation';
+
+export default createApiHandler({
+  errorMessage: 'Failed to compute reputation metrics',
+  methods: {
+    async GET(req, res, { supabase, membership: { organizationId } }) {
+      const [proposals, attestations] = await Promise.all([
+        proposalOperations.getSubmitted(supabase, organizationId),
+        attestationOperations.getByOrganization(supabase, organizationId)
+      ]);
+
+      res.status(200).json({
+        ...computeReputationMetrics(proposals, attestations),
+        // Most recent outcomes for the reputation page
+        recentOutcomes: proposals
+          .filter(proposal => proposal.status !== 'submitted')
+          .sort((a, b) => new Date(b.outcome_recorded_at || 0) - new Date(a.outcome_recorded_at || 0))
+          .slice(0, 10)
+          .map(proposal => ({
+            proposalId: proposal.id,
+            tenderTitle: proposal.tenders?.title || proposal.title,
+            agency: proposal.tenders?.agency || null,
+            category: proposal.tenders?.category || null,
+            ...transformOutcome(proposal)
+          }))
+      });
+    }
+  }
+});
@@ -0,0 +1,53 @@
+// pages/api/restoreVersion.js
+// API endpoint for restoring a previous proposal version
+// The restored content becomes the proposal's content and is recorded as a new version, so no history is lost
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { proposalOperations } from '../../lib/database';
+import { transformVersion } from '../../lib/proposalVersions';
+import { isEditableStatus, STATUS_LABELS } from '../../lib/proposalReview';
+import { can } from '../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to restore version',
+  notFound: 'Version not found or access denied',
+  methods: {
+    POST: {
+      body: {
+        proposalId: { type: 'string', required: true },
+        versionId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, body: { proposalId, versionId } }) {
+        // Get proposal and verify it belongs to the user's organization
+        const proposal = await proposalOperations.getById(supabase, proposalId);
+
+        if (!proposal || proposal.organization_id !== membership.organizationId) {
+          throw new ApiError(404, 'Proposal not found or access denied');
+        }
+
+        if (!can(membership.role, 'edit')) {
+          throw new ApiError(403, 'Your role does not allow editing proposals');
+        }
+
+        if (!isEditableStatus(proposal.status)) {
+          throw new ApiError(409, `${STATUS_LABELS[proposal.status] || proposal.status} proposals cannot be changed`);
+        }
+
+        // The version must belong to this proposal
+        const source = await proposalOperations.getVersion(supabase, proposalId, versionId);
+
+        await proposalOperations.update(supabase, proposalId, membership.organizationId, { content: source.content });
+
+        const version = await proposalOperations.saveVersion(
+          supabase,
+          proposalId,
+          source.content,
+          `Restored from version ${source.version}`,
+          { kind: 'restore', restoredFrom: source.id, userId: user.id }
+        );
+
+        res.status(200).json({ content: source.content, version: transformVersion(version) });
+      }
+    }
+  }
+});
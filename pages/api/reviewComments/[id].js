@@ -0,0 +1,42 @@
+// pages/api/reviewComments/[id].js
+// API endpoint for resolving and reopening a review comment
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { proposalReviewOperations } from '../../../lib/database';
+import { getMemberUserInfo } from '../../../lib/organizationAccess';
+import { can } from '../../../lib/organizations';
+import { transformComment } from '../../../lib/proposalReview';
+
+export default createApiHandler({
+  errorMessage: 'Failed to update review comment',
+  methods: {
+    PUT: {
+      body: {
+        resolved: { type: 'boolean', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, body: { resolved } }) {
+        const { id } = req.query;
+        const existing = await proposalReviewOperations.getComment(supabase, id, membership.organizationId);
+
+        if (!existing) {
+          throw new ApiError(404, 'Comment not found');
+        }
+
+        if (!can(membership.role, 'comment')) {
+          throw new ApiError(403, 'Your role does not allow resolving comments');
+        }
+
+        const comment = await proposalReviewOperations.setCommentResolved(
+          supabase,
+          id,
+          membership.organizationId,
+          user.id,
+          resolved
+        );
+
+        const users = await getMemberUserInfo(supabase, [comment.user_id, comment.resolved_by].filter(Boolean));
+        res.status(200).json(transformComment(comment, users));
+      }
+    }
+  }
+});
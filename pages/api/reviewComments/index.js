@@ -0,0 +1,48 @@
+// pages/api/reviewComments/index.js
+// API endpoint for adding review comments to a proposal
+// Comments anchor to a Markdown section of the current content, or to the whole proposal when no section is given
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { proposalOperations, proposalReviewOperations } from '../../../lib/database';
+import { getMemberUserInfo } from '../../../lib/organizationAccess';
+import { can } from '../../../lib/organizations';
+import { toCommentRow, transformComment } from '../../../lib/proposalReview';
+
+export default createApiHandler({
+  errorMessage: 'Failed to add review comment',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    POST: {
+      body: {
+        proposalId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, user, membership, body: { proposalId } }) {
+        // Get proposal and verify it belongs to the user's organization
+        const proposal = await proposalOperations.getById(supabase, proposalId);
+
+        if (!proposal || proposal.organization_id !== membership.organizationId) {
+          throw new ApiError(404, 'Proposal not found or access denied');
+        }
+
+        if (!can(membership.role, 'comment')) {
+          throw new ApiError(403, 'Your role does not allow commenting on proposals');
+        }
+
+        const { row, error: validationError } = toCommentRow(req.body, proposal.content);
+        if (validationError) {
+          throw new ApiError(400, validationError);
+        }
+
+        const comment = await proposalReviewOperations.addComment(supabase, {
+          ...row,
+          proposal_id: proposal.id,
+          organization_id: membership.organizationId,
+          user_id: user.id
+        });
+
+        const users = await getMemberUserInfo(supabase, [user.id]);
+        res.status(201).json(transformComment(comment, users));
+      }
+    }
+  }
+});
@@ -1,81 +1,114 @@
 // pages/api/saveDraft.js
 // API endpoint for saving proposal draft updates to Supabase database with versioning
+// Autosaves within a short window are coalesced into one version; passing a label saves a named checkpoint,
+// and passing suggestion records an accepted AI suggestion (see /api/proposals/[id]/suggestions) as its own version
+// Any owner or editor in the proposal's organization can save it while it is a draft or has changes requested
 
-import { createClient } from '@supabase/supabase-js';
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
 import { proposalOperations } from '../../lib/database';
+import { normalizeLabel, shouldCoalesce, transformVersion, MAX_LABEL_LENGTH } from '../../lib/proposalVersions';
+import { isEditableStatus, STATUS_LABELS } from '../../lib/proposalReview';
+import { can } from '../../lib/organizations';
 
-export default async function handler(req, res) {
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default createApiHandler({
+  errorMessage: 'Failed to save draft',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    async POST(req, res, { supabase, user, membership }) {
+      const { proposalId, content, label, suggestion } = req.body;
 
-  const { proposalId, content } = req.body;
-  
-  // Validate required fields
-  if (!proposalId || content === undefined) {
-    return res.status(400).json({ error: 'proposalId and content are required' });
-  }
+      // Validate required fields
+      if (!proposalId || content === undefined) {
+        throw new ApiError(400, 'proposalId and content are required');
+      }
 
-  try {
-    // Get the authorization token from the request headers
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No authorization token provided' });
-    }
+      // A label turns this save into a named checkpoint
+      const checkpoint = label !== undefined ? normalizeLabel(label) : null;
+      if (checkpoint?.error) {
+        throw new ApiError(400, checkpoint.error);
+      }
 
-    // Validate environment variables
-    if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+      // A suggestion describes the accepted AI change, e.g. "Shorten · Executive Summary"
+      if (suggestion !== undefined && (typeof suggestion !== 'string' || !suggestion.trim() || suggestion.length > MAX_LABEL_LENGTH)) {
+        throw new ApiError(400, `suggestion must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+      }
 
-    // Create Supabase client with service role key
-    const supabase = createClient(
-      process.env.NEXT_PUBLIC_SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+      // Only owners and editors change proposals
+      if (!can(membership.role, 'edit')) {
+        throw new ApiError(403, 'Your role does not allow editing proposals');
+      }
 
-    // Verify the JWT token and get user information
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+      // Content is frozen while the proposal is in review, approved or submitted
+      const proposal = await proposalOperations.getById(supabase, proposalId);
+      if (!proposal || proposal.organization_id !== membership.organizationId) {
+        throw new ApiError(404, 'Proposal not found or access denied');
+      }
 
-    // Update the proposal with new content
-    const updatedProposal = await proposalOperations.update(
-      supabase, 
-      proposalId, 
-      user.id, 
-      { content }
-    );
-    
-    if (!updatedProposal) {
-      return res.status(404).json({ error: 'Proposal not found or access denied' });
-    }
+      if (!isEditableStatus(proposal.status)) {
+        throw new ApiError(409, `${STATUS_LABELS[proposal.status] || proposal.status} proposals cannot be changed`);
+      }
 
-    // Save a new version of the proposal
-    try {
-      await proposalOperations.saveVersion(
-        supabase,
-        proposalId,
-        content,
-        'Draft saved'
+      // Update the proposal with new content
+      const updatedProposal = await proposalOperations.update(
+        supabase, 
+        proposalId, 
+        membership.organizationId, 
+        { content }
       );
-    } catch (versionError) {
-      console.warn('Failed to save version:', versionError);
-      // Don't fail the entire request if versioning fails
-    }
 
-    // Return success response
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Error saving draft:', error);
-    if (error.code === 'PGRST116') {
-      res.status(404).json({ error: 'Proposal not found or access denied' });
-    } else {
-      res.status(500).json({ error: 'Failed to save draft' });
+      if (!updatedProposal) {
+        throw new ApiError(404, 'Proposal not found or access denied');
+      }
+
+      // Checkpoints are always stored as their own version
+      if (checkpoint) {
+        const version = await proposalOperations.saveVersion(
+          supabase,
+          proposalId,
+          content,
+          `Checkpoint: ${checkpoint.label}`,
+          { kind: 'checkpoint', label: checkpoint.label, userId: user.id }
+        );
+        return res.status(200).json({ success: true, version: transformVersion(version) });
+      }
+
+      // Accepted AI suggestions are always stored as their own version, so each one can be found and undone
+      if (suggestion !== undefined) {
+        const version = await proposalOperations.saveVersion(
+          supabase,
+          proposalId,
+          content,
+          `AI suggestion accepted: ${suggestion.trim()}`,
+          { kind: 'suggestion', userId: user.id }
+        );
+        return res.status(200).json({ success: true, version: transformVersion(version) });
+      }
+
+      // Save the autosave version, folding it into the previous autosave when possible
+      let version = null;
+      try {
+        const latest = await proposalOperations.getLatestVersion(supabase, proposalId);
+
+        if (latest && latest.content === content) {
+          version = latest;
+        } else if (shouldCoalesce(latest, user.id)) {
+          version = await proposalOperations.updateVersion(supabase, latest.id, content);
+        } else {
+          version = await proposalOperations.saveVersion(
+            supabase,
+            proposalId,
+            content,
+            'Draft saved',
+            { kind: 'autosave', userId: user.id }
+          );
+        }
+      } catch (versionError) {
+        console.warn('Failed to save version:', versionError);
+        // Don't fail the entire request if versioning fails
+      }
+
+      // Return success response
+      res.status(200).json({ success: true, version: version ? transformVersion(version) : null });
     }
   }
-}
\ No newline at end of file
+});
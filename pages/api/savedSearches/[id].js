@@ -0,0 +1,30 @@
+// pages/api/savedSearches/[id].js
+// API endpoint for updating and deleting a saved tender search
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { savedSearchOperations } from '../../../lib/database';
+import { toSavedSearchRow, transformSavedSearch } from '../../../lib/savedSearches';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to update saved search',
+  notFound: 'Saved search not found',
+  methods: {
+    // Update saved search
+    async PUT(req, res, { supabase, user }) {
+      const { row, error: validationError } = toSavedSearchRow(req.body, true);
+      if (validationError) {
+        throw new ApiError(400, validationError);
+      }
+
+      const search = await savedSearchOperations.update(supabase, req.query.id, user.id, row);
+      res.status(200).json(transformSavedSearch(search));
+    },
+
+    // Remove saved search
+    async DELETE(req, res, { supabase, user }) {
+      await savedSearchOperations.remove(supabase, req.query.id, user.id);
+      res.status(200).json({ success: true });
+    }
+  }
+});
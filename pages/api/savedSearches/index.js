@@ -0,0 +1,29 @@
+// pages/api/savedSearches/index.js
+// API endpoint for listing and creating the current user's saved tender searches
+
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
+import { savedSearchOperations } from '../../../lib/database';
+import { toSavedSearchRow, transformSavedSearch } from '../../../lib/savedSearches';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to process saved searches',
+  methods: {
+    // List saved searches
+    async GET(req, res, { supabase, user }) {
+      const searches = await savedSearchOperations.getByUser(supabase, user.id);
+      res.status(200).json(searches.map(transformSavedSearch));
+    },
+
+    // Create saved search
+    async POST(req, res, { supabase, user }) {
+      const { row, error: validationError } = toSavedSearchRow(req.body);
+      if (validationError) {
+        throw new ApiError(400, validationError);
+      }
+
+      const search = await savedSearchOperations.create(supabase, user.id, row);
+      res.status(201).json(transformSavedSearch(search));
+    }
+  }
+});
@@ -1,118 +1,82 @@
 // pages/api/submitProposal.js
 // API endpoint for submitting proposals and recording blockchain attestations
+// Only approved proposals can be submitted; the submission is recorded in the proposal's status history
+// The attestation commits to SHA-256 hashes of the submitted content and of the submission package
+// (a ZIP of the proposal PDF, attached vault documents and a manifest, built at submission),
+// and is queued (see lib/attestationQueue.js) so a failed blockchain send is retried
 
-import { createClient } from '@supabase/supabase-js';
-import { proposalOperations, attestationOperations } from '../../lib/database';
-import { createAttestationTransaction } from '../../lib/algorandTransactions';
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { proposalOperations } from '../../lib/database';
+import { submitWithAttestation, processAttestation } from '../../lib/attestationQueue';
+import { can } from '../../lib/organizations';
+import { prepareSubmission } from '../../lib/submission';
 
-export default async function handler(req, res) {
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default createApiHandler({
+  errorMessage: 'Failed to submit proposal',
+  notFound: 'Proposal not found',
+  methods: {
+    POST: {
+      body: {
+        proposalId: { type: 'string', required: true }
+      },
+      async handler(req, res, { requestId, supabase, user, membership, body: { proposalId } }) {
+        // Get the proposal to verify ownership and get tender details
+        const proposal = await proposalOperations.getById(supabase, proposalId);
 
-  const { proposalId } = req.body;
-  
-  // Validate required fields
-  if (!proposalId) {
-    return res.status(400).json({ error: 'proposalId is required' });
-  }
+        if (!proposal) {
+          throw new ApiError(404, 'Proposal not found');
+        }
 
-  try {
-    // Get the authorization token from the request headers
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No authorization token provided' });
-    }
+        // Verify the proposal belongs to the user's organization and their role allows submitting it
+        if (proposal.organization_id !== membership.organizationId || !can(membership.role, 'edit')) {
+          throw new ApiError(403, 'Access denied');
+        }
 
-    // Validate environment variables
-    if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+        // Proposals must pass review before they are submitted
+        if (proposal.status !== 'approved') {
+          throw new ApiError(409, proposal.status === 'submitted'
+            ? 'Proposal has already been submitted'
+            : 'Proposal must be approved by a reviewer before it can be submitted');
+        }
 
-    // Create Supabase client with service role key
-    const supabase = createClient(
-      process.env.NEXT_PUBLIC_SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+        // Build, hash and store the submission package before anything changes, so a rendering
+        // or storage failure leaves the proposal approved
+        const submissionDate = new Date().toISOString();
+        const submission = await prepareSubmission(supabase, proposal, submissionDate);
 
-    // Verify the JWT token and get user information
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+        // Claim the approved proposal, record the status event and queue the attestation in one transaction,
+        // so a second click cannot submit it twice and a submitted proposal always has an attestation
+        const queued = await submitWithAttestation(supabase, {
+          userId: user.id,
+          organizationId: membership.organizationId,
+          proposal,
+          submission,
+          submittedAt: submissionDate
+        });
 
-    // Get the proposal to verify ownership and get tender details
-    const proposal = await proposalOperations.getById(supabase, proposalId);
-    
-    if (!proposal) {
-      return res.status(404).json({ error: 'Proposal not found' });
-    }
+        if (!queued) {
+          throw new ApiError(409, 'The proposal status changed. Reload and try again.');
+        }
 
-    // Verify user owns this proposal
-    if (proposal.user_id !== user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+        // Send the attestation now; if Algorand or the queue update is unavailable the reconciler retries it,
+        // and the proposal is submitted either way
+        let attestation = queued;
+        try {
+          attestation = await processAttestation(supabase, queued);
+        } catch (error) {
+          console.error(`[API ${requestId}] Failed to send attestation ${queued.id}; the reconciler will retry it:`, error);
+        }
 
-    let txId = null;
-    let txStatus = 'pending';
-    let txError = null;
-
-    try {
-      // Create blockchain attestation using Algorand
-      const attestationData = {
-        proposalId: proposalId,
-        tenderTitle: proposal.tenders?.title || proposal.title,
-        userId: user.id
-      };
-
-      // Submit transaction to Algorand blockchain
-      const txResult = await createAttestationTransaction(attestationData);
-      txId = txResult.txId;
-      txStatus = 'confirmed';
-    } catch (algorandError) {
-      console.error('Algorand transaction error:', algorandError);
-      txError = algorandError.message;
-    }
-    
-    // Update proposal status to submitted and record blockchain transaction
-    const updatedProposal = await proposalOperations.update(
-      supabase, 
-      proposalId, 
-      user.id, 
-      { 
-        status: 'submitted',
-        submission_date: new Date().toISOString(),
-        blockchain_tx_id: txId
+        // Return success response with transaction ID and status; a `sending` transaction may not have gone out
+        res.status(200).json({
+          txId: attestation.status === 'sent' ? attestation.tx_id : null,
+          status: 'submitted',
+          blockchainStatus: attestation.status,
+          blockchainError: attestation.last_error,
+          contentHash: submission.contentHash,
+          fileHash: submission.fileHash
+        });
       }
-    );
-
-    // Create attestation record
-    await attestationOperations.create(supabase, user.id, {
-      proposal_id: proposalId,
-      tender_title: proposal.tenders?.title || proposal.title,
-      agency: proposal.tenders?.agency || 'Unknown Agency',
-      tx_id: txId || 'pending',
-      status: txStatus,
-      metadata: {
-        proposal_id: proposalId,
-        tender_id: proposal.tender_id,
-        submission_timestamp: new Date().toISOString(),
-        blockchain_error: txError
-      }
-    });
-    
-    // Return success response with transaction ID and status
-    res.status(200).json({ 
-      txId: txId || 'pending',
-      status: 'submitted',
-      blockchainStatus: txStatus,
-      blockchainError: txError
-    });
-  } catch (error) {
-    console.error('Error submitting proposal:', error);
-    res.status(500).json({ error: 'Failed to submit proposal' });
+    }
   }
-}
\ No newline at end of file
+});
@@ -0,0 +1,42 @@
+// pages/api/submittedFile.js
+// API endpoint for downloading the package (or, for older submissions, the PDF) generated when a proposal was submitted
+// This is the exact file whose SHA-256 hash was recorded on the Algorand blockchain
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { proposalOperations, attestationOperations, submissionFileOperations } from '../../lib/database';
+import { SUBMISSION_FILE_TYPES } from '../../lib/submission';
+
+export default createApiHandler({
+  errorMessage: 'Failed to download submitted file',
+  notFound: 'Proposal not found or access denied',
+  methods: {
+    GET: {
+      query: {
+        proposalId: { type: 'string', required: true }
+      },
+      async handler(req, res, { supabase, membership: { organizationId }, query: { proposalId } }) {
+        // Get proposal and verify it belongs to the user's organization
+        const proposal = await proposalOperations.getById(supabase, proposalId);
+
+        if (!proposal || proposal.organization_id !== organizationId) {
+          throw new ApiError(404, 'Proposal not found or access denied');
+        }
+
+        const attestation = await attestationOperations.getLatestByProposal(supabase, proposal.id, organizationId);
+
+        // Proposals submitted before files were stored have no submitted file
+        if (!attestation?.file_path) {
+          throw new ApiError(404, 'No submitted file is stored for this proposal');
+        }
+
+        const buffer = await submissionFileOperations.download(supabase, attestation.file_path);
+        const format = SUBMISSION_FILE_TYPES[attestation.file_format] || SUBMISSION_FILE_TYPES.pdf;
+
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="submitted_${attestation.file_hash.slice(0, 12)}.${format.extension}"`);
+        res.setHeader('Content-Length', buffer.length);
+        res.status(200).send(buffer);
+      }
+    }
+  }
+});
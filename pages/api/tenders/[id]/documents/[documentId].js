@@ -0,0 +1,53 @@
+// pages/api/tenders/[id]/documents/[documentId].js
+// API endpoint for downloading or removing a tender document
+// Documents are shared by every organization, but only the organization that attached one can remove it
+
+import { createApiHandler, ApiError, attachmentDisposition } from '../../../../../lib/apiHandler';
+import { tenderDocumentOperations } from '../../../../../lib/database';
+import { can } from '../../../../../lib/organizations';
+
+export default createApiHandler({
+  errorMessage: 'Failed to handle tender document',
+  methods: {
+    // Download the original file
+    async GET(req, res, { supabase }) {
+      const document = await getDocument(supabase, req.query);
+      const buffer = await tenderDocumentOperations.downloadFile(supabase, document.storage_path);
+
+      res.setHeader('Content-Type', document.content_type);
+      res.setHeader('Content-Disposition', attachmentDisposition(document.file_name));
+      res.setHeader('Content-Length', buffer.length);
+      res.status(200).send(buffer);
+    },
+
+    // Remove the document and its passages
+    async DELETE(req, res, { supabase, membership }) {
+      const document = await getDocument(supabase, req.query);
+      if (document.organization_id !== membership.organizationId || !can(membership.role, 'edit')) {
+        throw new ApiError(403, 'Only owners and editors of the organization that attached this document can remove it');
+      }
+
+      await tenderDocumentOperations.remove(supabase, document.id);
+      await tenderDocumentOperations.removeFile(supabase, document.storage_path).catch(error => {
+        // The record is gone, so the AI no longer uses the file; a leftover file only takes space
+        console.error('Error removing tender document file:', error);
+      });
+
+      res.status(200).json({ success: true });
+    }
+  }
+});
+
+/**
+ * Loads a document of a tender
+ * @param {Object} supabase - Supabase client
+ * @param {Object} query - Route parameters { id, documentId }
+ * @returns {Promise<Object>} Tender document row
+ */
+async function getDocument(supabase, { id, documentId }) {
+  const document = await tenderDocumentOperations.getById(supabase, id, documentId);
+  if (!document) {
+    throw new ApiError(404, 'Document not found');
+  }
+  return document;
+}
@@ -0,0 +1,65 @@
+// pages/api/tenders/[id]/documents/index.js
+// API endpoint for listing a tender's documents and attaching new ones
+// Uploads are sent as the raw file body (PDF or DOCX, up to 10MB); their text is extracted before the response,
+// so a returned document is either ready for the AI or failed with the reason
+
+import { createApiHandler, ApiError } from '../../../../../lib/apiHandler';
+import { tenderOperations, tenderDocumentOperations } from '../../../../../lib/database';
+import { can } from '../../../../../lib/organizations';
+import { readUpload } from '../../../../../lib/uploads';
+import { MAX_DOCUMENT_BYTES, attachTenderDocument, transformTenderDocument } from '../../../../../lib/tenderDocuments';
+
+// Files are read from the raw request body
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default createApiHandler({
+  errorMessage: 'Failed to handle tender documents',
+  notFound: 'Tender not found',
+  methods: {
+    // List the tender's documents
+    async GET(req, res, { supabase, membership }) {
+      const tender = await tenderOperations.getById(supabase, req.query.id);
+      const documents = await tenderDocumentOperations.getByTender(supabase, tender.id);
+
+      res.status(200).json({
+        documents: documents.map(document => transformTenderDocument(document, membership.organizationId)),
+        canAttach: can(membership.role, 'edit')
+      });
+    },
+
+    // Attach a document
+    async POST(req, res, { supabase, user, membership }) {
+      const tender = await tenderOperations.getById(supabase, req.query.id);
+
+      if (!can(membership.role, 'edit')) {
+        throw new ApiError(403, 'Your role does not allow attaching tender documents');
+      }
+
+      const upload = await readUpload(req, MAX_DOCUMENT_BYTES);
+      if (upload.error) {
+        throw new ApiError(upload.status, upload.error);
+      }
+
+      const result = await attachTenderDocument(supabase, {
+        tenderId: tender.id,
+        userId: user.id,
+        organizationId: membership.organizationId,
+        fileName: upload.fileName,
+        buffer: upload.buffer
+      });
+
+      if (result.error) {
+        throw new ApiError(400, result.error);
+      }
+
+      res.status(result.duplicate ? 200 : 201).json({
+        ...transformTenderDocument(result.document, membership.organizationId),
+        duplicate: result.duplicate
+      });
+    }
+  }
+});
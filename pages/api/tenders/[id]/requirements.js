@@ -0,0 +1,59 @@
+// pages/api/tenders/[id]/requirements.js
+// API endpoint for a tender's compliance matrix: its typed requirements, each with the evidence
+// for it in the requesting organization's company profile
+// Until owners or editors extract them, requirements are read from the listing without the AI, so viewing
+// a tender never spends AI quota
+
+import { createApiHandler, ApiError } from '../../../../lib/apiHandler';
+import { tenderOperations, companyOperations, tenderDocumentOperations } from '../../../../lib/database';
+import { can } from '../../../../lib/organizations';
+import {
+  extractTenderRequirements,
+  loadTenderRequirements,
+  requirementsAreStale,
+  transformTenderRequirement
+} from '../../../../lib/requirementExtraction';
+import { aiLedger } from '../../../../lib/aiUsage';
+
+export default createApiHandler({
+  errorMessage: 'Failed to handle tender requirements',
+  notFound: 'Tender not found',
+  methods: {
+    GET: handleRequirements,
+    POST: handleRequirements
+  }
+});
+
+/**
+ * Answers with the compliance matrix; POST extracts the requirements (again) first
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @param {Object} ctx - Handler context from createApiHandler
+ */
+async function handleRequirements(req, res, { supabase, user, membership }) {
+  const { id } = req.query; // Get tender ID from the URL
+
+  const tender = await tenderOperations.getById(supabase, id);
+
+  // Handle POST request - extract the requirements again
+  if (req.method === 'POST' && !can(membership.role, 'edit')) {
+    throw new ApiError(403, 'Your role does not allow extracting tender requirements');
+  }
+
+  const { requirements, extractedAt } = req.method === 'POST'
+    ? await extractTenderRequirements(supabase, tender, { ledger: aiLedger(supabase, user, membership.organizationId) })
+    : await loadTenderRequirements(supabase, tender);
+
+  const [profile, documents] = await Promise.all([
+    companyOperations.getProfile(supabase, membership.organizationId),
+    tenderDocumentOperations.getByTender(supabase, tender.id)
+  ]);
+
+  res.status(200).json({
+    requirements: requirements.map(requirement => transformTenderRequirement(requirement, profile)),
+    extractedAt,
+    stale: requirementsAreStale(extractedAt, documents),
+    hasProfile: !!profile,
+    canExtract: can(membership.role, 'edit')
+  });
+}
@@ -1,58 +1,66 @@
 // pages/api/tenders/index.js
-// API endpoint for listing all active tenders from Supabase database
+// API endpoint for searching active tenders from Supabase database
+// Supports full-text query, filters, sort order, cursor pagination and facet counts
 
-import { createClient } from '@supabase/supabase-js';
+import { createApiHandler, ApiError } from '../../../lib/apiHandler';
 import { tenderOperations } from '../../../lib/database';
+import { parseTenderSearchQuery, encodeCursor, shapeFacets } from '../../../lib/tenderSearch';
 
-export default async function handler(req, res) {
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+// Tenders are shared by every organization, so no membership is needed
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to fetch tenders',
+  methods: {
+    async GET(req, res, { supabase }) {
+      // Parse search filters, sort order and cursor
+      const { filters, page, error: queryError } = parseTenderSearchQuery(req.query);
+      if (queryError) {
+        throw new ApiError(400, queryError);
+      }
 
-  try {
-    // Validate environment variables - check both client and server-side variables
-    const supabaseUrl = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
-    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    
-    if (!supabaseUrl || !serviceRoleKey) {
-      console.error('[Tenders API] Missing Supabase environment variables');
-      console.error('[Tenders API] SUPABASE_URL:', !!supabaseUrl);
-      console.error('[Tenders API] SUPABASE_SERVICE_ROLE_KEY:', !!serviceRoleKey);
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+      // Fetch one extra row to know whether another page exists
+      const [rows, facetRows] = await Promise.all([
+        tenderOperations.search(supabase, filters, { ...page, limit: page.limit + 1 }),
+        tenderOperations.getSearchFacets(supabase, filters)
+      ]);
 
-    // Create Supabase client with service role key
-    const supabase = createClient(supabaseUrl, serviceRoleKey);
+      const hasMore = rows.length > page.limit;
+      const pageRows = rows.slice(0, page.limit);
+      const lastRow = pageRows[pageRows.length - 1];
+      const tenders = pageRows.map(row => row.tender);
 
-    // Get all active tenders
-    const tenders = await tenderOperations.getAll(supabase);
-    
-    // Transform data to match frontend expectations (snake_case to camelCase)
-    const transformedTenders = tenders.map(tender => ({
-      id: tender.id,
-      title: tender.title,
-      description: tender.description,
-      agency: tender.agency,
-      category: tender.category,
-      location: tender.location,
-      budget: tender.budget,
-      closingDate: tender.closing_date,
-      publishedDate: tender.published_date,
-      tenderId: tender.tender_id,
-      requirements: tender.requirements,
-      documents: tender.documents,
-      contactInfo: tender.contact_info,
-      status: tender.status,
-      tags: tender.tags,
-      isNew: tender.is_featured || false, // Map is_featured to isNew for compatibility
-      createdAt: tender.created_at,
-      updatedAt: tender.updated_at
-    }));
+      // Transform data to match frontend expectations (snake_case to camelCase)
+      const transformedTenders = tenders.map(tender => ({
+        id: tender.id,
+        title: tender.title,
+        description: tender.description,
+        agency: tender.agency,
+        category: tender.category,
+        location: tender.location,
+        budget: tender.budget,
+        budgetMin: tender.budget_min,
+        budgetMax: tender.budget_max,
+        budgetCurrency: tender.budget_currency,
+        closingDate: tender.closing_date,
+        publishedDate: tender.published_date,
+        tenderId: tender.tender_id,
+        requirements: tender.requirements,
+        contactInfo: tender.contact_info,
+        status: tender.status,
+        tags: tender.tags,
+        isNew: tender.is_featured || false, // Map is_featured to isNew for compatibility
+        createdAt: tender.created_at,
+        updatedAt: tender.updated_at
+      }));
 
-    res.status(200).json(transformedTenders);
-  } catch (error) {
-    console.error('Error fetching tenders:', error);
-    res.status(500).json({ error: 'Failed to fetch tenders' });
+      const { total, facets } = shapeFacets(facetRows);
+
+      res.status(200).json({
+        items: transformedTenders,
+        nextCursor: hasMore && lastRow ? encodeCursor(page.sort, lastRow.sort_value, lastRow.tender.id) : null,
+        total,
+        facets
+      });
+    }
   }
-}
\ No newline at end of file
+});
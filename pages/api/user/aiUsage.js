@@ -0,0 +1,16 @@
+// pages/api/user/aiUsage.js
+// API endpoint for the current user's AI usage: their plan, how much of each limit is used,
+// and requests, tokens and cost per feature over the last 30 days
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { getAIUsageSummary } from '../../../lib/aiUsage';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to load AI usage',
+  methods: {
+    async GET(req, res, { supabase, user }) {
+      res.status(200).json(await getAIUsageSummary(supabase, user.id));
+    }
+  }
+});
@@ -0,0 +1,37 @@
+// pages/api/user/notifications.js
+// API endpoint for reading and saving the current user's notification preferences
+// Preferences are stored in user_profiles.notification_settings and honoured by the alert jobs
+
+import { createApiHandler } from '../../../lib/apiHandler';
+import { userProfileOperations } from '../../../lib/database';
+import { DEFAULT_NOTIFICATION_SETTINGS, resolveNotificationSettings } from '../../../lib/notificationSettings';
+
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to process notification preferences',
+  methods: {
+    // Current preferences merged over defaults
+    async GET(req, res, { supabase, user }) {
+      const profile = await userProfileOperations.getProfile(supabase, user.id);
+      res.status(200).json(resolveNotificationSettings(profile?.notification_settings));
+    },
+
+    // Keep only known channels and boolean switches
+    async PUT(req, res, { supabase, user }) {
+      const settings = {};
+      Object.entries(DEFAULT_NOTIFICATION_SETTINGS).forEach(([channel, defaults]) => {
+        settings[channel] = {};
+        Object.keys(defaults).forEach(key => {
+          const value = req.body?.[channel]?.[key];
+          settings[channel][key] = typeof value === 'boolean' ? value : defaults[key];
+        });
+      });
+
+      const profile = await userProfileOperations.upsertProfile(supabase, user.id, {
+        notification_settings: settings
+      });
+
+      res.status(200).json(resolveNotificationSettings(profile.notification_settings));
+    }
+  }
+});
@@ -0,0 +1,64 @@
+// pages/api/verify.js
+// Public API endpoint for checking a proposal against its blockchain attestation
+// Takes a SHA-256 hash computed in the browser, so the proposal itself is never uploaded; no login required
+
+import { createApiHandler, ApiError } from '../../lib/apiHandler';
+import { attestationOperations } from '../../lib/database';
+import { getAttestationNote } from '../../lib/algorandTransactions';
+import { getExplorerURL } from '../../lib/algorand';
+import { parseHash } from '../../lib/contentHash';
+
+// Public route; the service role client is only used to find attestations, and only the fields below are returned
+export default createApiHandler({
+  auth: 'public',
+  errorMessage: 'Failed to verify proposal',
+  methods: {
+    async GET(req, res, { supabase }) {
+      const hash = parseHash(req.query.hash);
+
+      if (!hash) {
+        throw new ApiError(400, 'hash must be a SHA-256 hex digest');
+      }
+
+      const attestations = await attestationOperations.findByHash(supabase, hash);
+
+      // The database only points at candidate transactions; the match is decided by the hash in the on-chain note
+      const results = await Promise.all(attestations.map(async (attestation) => {
+        const matchedOn = attestation.content_hash === hash ? 'content' : 'file';
+        let onChain = null;
+        let confirmedRound = null;
+
+        try {
+          // Unsent attestations have nothing on-chain to compare
+          const chainRecord = attestation.tx_id ? await getAttestationNote(attestation.tx_id) : null;
+          const noteHash = matchedOn === 'content' ? chainRecord?.note.contentHash : chainRecord?.note.fileHash;
+          onChain = noteHash === hash;
+          confirmedRound = onChain ? chainRecord.confirmedRound : null;
+        } catch (error) {
+          // Leave onChain unknown when the indexer cannot be reached
+          console.error('Error reading attestation note:', error);
+        }
+
+        return {
+          companyName: attestation.organizations?.name || null,
+          tenderTitle: attestation.tender_title,
+          agency: attestation.agency,
+          submittedAt: attestation.submitted_at,
+          matchedOn,
+          fileFormat: matchedOn === 'file' ? attestation.file_format : null,
+          txId: attestation.tx_id || null,
+          explorerUrl: onChain ? getExplorerURL(attestation.tx_id) : null,
+          confirmedRound,
+          onChain
+        };
+      }));
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({
+        hash,
+        verified: results.some(result => result.onChain === true),
+        attestations: results
+      });
+    }
+  }
+});
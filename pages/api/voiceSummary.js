@@ -1,35 +1,57 @@
 // pages/api/voiceSummary.js
-// This API endpoint generates a voice summary of a tender
-// In a real app, this would use a text-to-speech service to create audio
+// API endpoint that reads a tender's AI summary aloud, in English or Bahasa Malaysia (?language=ms)
+// Answers with the audio itself (WAV or MP3, depending on the TTS provider), streamed as it is synthesized
+// Audio is cached per tender and language by lib/voiceSummary.js; X-Voice-Summary-Cache says whether it was
 
-export default function handler(req, res) {
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+import { createApiHandler } from '../../lib/apiHandler';
+import { tenderOperations } from '../../lib/database';
+import { SUMMARY_LANGUAGES } from '../../lib/tenderSummary';
+import { getVoiceSummary } from '../../lib/voiceSummary';
+import { aiLedger } from '../../lib/aiUsage';
 
-  const { tenderId } = req.body;
-  
-  // Validate required fields
-  if (!tenderId) {
-    return res.status(400).json({ error: 'tenderId is required' });
-  }
+export default createApiHandler({
+  membership: false,
+  errorMessage: 'Failed to generate voice summary',
+  notFound: 'Tender not found',
+  methods: {
+    GET: {
+      query: {
+        tenderId: { type: 'string', required: true },
+        language: { type: 'string', enum: Object.keys(SUMMARY_LANGUAGES), default: 'en' }
+      },
+      async handler(req, res, { supabase, user, query, requestId }) {
+        const tender = await tenderOperations.getById(supabase, query.tenderId);
+
+        // Stop the TTS engine when the listener goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+          if (!res.writableEnded) controller.abort();
+        });
+
+        const audio = await getVoiceSummary(supabase, tender, query.language, {
+          signal: controller.signal,
+          ledger: aiLedger(supabase, user)
+        });
+
+        res.setHeader('Content-Type', audio.contentType);
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.setHeader('X-Voice-Summary-Cache', audio.cached ? 'hit' : 'miss');
+        if (audio.size !== null) {
+          res.setHeader('Content-Length', audio.size);
+        }
+
+        // Errors before the first bytes are sent still get an error response; later ones cut the stream short
+        await new Promise((resolve, reject) => {
+          res.on('close', resolve);
+          audio.stream.on('error', error => {
+            if (!res.headersSent) return reject(error);
 
-  try {
-    // Mock audio URL - in a real app this would generate actual audio using TTS
-    // This is a very short base64-encoded WAV file for demonstration purposes
-    const mockAudioUrl = 'data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2/LDciUFLIHO8tiJNwgZaLvt559NEAxQp+PwtmMcBjiR1/LMeSwFJHfH8N2QQAoUXrTp66hVFApGn+DyvmwhBSuBzvLZiTYIG2m98OScTgwOUarm7blmGgU7k9n1unEiBC13yO/eizEIHWq+8+OWT';
-    
-    // Simulate processing delay
-    setTimeout(() => {
-      res.status(200).json({ 
-        url: mockAudioUrl,
-        message: 'Voice summary generated successfully (mock)'
-      });
-    }, 1000);
-    
-  } catch (error) {
-    console.error('Error generating voice summary:', error);
-    res.status(500).json({ error: 'Failed to generate voice summary' });
+            console.error(`[API ${requestId}] Voice summary stream failed:`, error);
+            res.destroy(error);
+          });
+          audio.stream.pipe(res);
+        });
+      }
+    }
   }
-}
\ No newline at end of file
+});
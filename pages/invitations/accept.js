@@ -0,0 +1,83 @@
+// pages/invitations/accept.js
+// Accepts an organization invitation from the emailed link
+// Signed-out users are sent to login first and brought back here afterwards
+
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { useAuth } from '../../contexts/AuthContext';
+import { api } from '../../lib/api';
+import { ROLE_LABELS } from '../../lib/organizations';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+export default function AcceptInvitationPage() {
+  const { user, loading } = useAuth();
+  const router = useRouter();
+  const { token } = router.query;
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // Invitation tokens are single-use, so the request must only be sent once
+  const requested = useRef(false);
+
+  // Send signed-out users to login, returning to this link afterwards
+  useEffect(() => {
+    if (!router.isReady || loading || user) return;
+    router.push(`/login?next=${encodeURIComponent(router.asPath)}`);
+  }, [router, loading, user]);
+
+  // Accept the invitation once the user is signed in
+  useEffect(() => {
+    if (!router.isReady || !user || requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setError('This invitation link is incomplete.');
+      return;
+    }
+
+    const acceptInvitation = async () => {
+      try {
+        const data = await api('/api/organizations/invitations/accept', {
+          method: 'POST',
+          body: { token }
+        });
+        setResult(data);
+      } catch (acceptError) {
+        setError(acceptError.message || 'Failed to accept the invitation.');
+      }
+    };
+
+    acceptInvitation();
+  }, [router.isReady, user, token]);
+
+  if (error) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Invitation not accepted</h1>
+        <p className="text-red-600 mb-6">{error}</p>
+        <Link href="/tenders" className="btn btn-secondary">Go to tenders</Link>
+      </div>
+    );
+  }
+
+  if (result) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Welcome to {result.organizationName}</h1>
+        <p className="text-gray-600 mb-6">
+          You have joined as {ROLE_LABELS[result.role] || result.role}. It is now your active organization.
+        </p>
+        <div className="flex justify-center space-x-3">
+          <Link href="/proposals" className="btn btn-primary">View proposals</Link>
+          <Link href="/settings" className="btn btn-secondary">Team settings</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center">
+      <LoadingSpinner size="large" message="Accepting invitation..." />
+    </div>
+  );
+}
@@ -13,19 +13,24 @@ export default function Login() {
   const { user } = useAuth();
   const router = useRouter();
 
-  // Redirect to tenders page if user is already logged in
+  // Pages such as invitation links pass ?next= to return after signing in; only same-site paths are followed
+  const next = typeof router.query.next === 'string' && /^\/(?![\/\\])/.test(router.query.next)
+    ? router.query.next
+    : '/tenders';
+
+  // Redirect to the next page (tenders by default) if user is already logged in
   useEffect(() => {
     if (user) {
-      router.push('/tenders');
+      router.push(next);
     }
-  }, [user, router]);
+  }, [user, router, next]);
 
   // Get the redirect URL safely (works on both client and server)
   const getRedirectUrl = () => {
     if (typeof window !== 'undefined') {
-      return `${window.location.origin}/tenders`;
+      return `${window.location.origin}${next}`;
     }
-    return '/tenders';
+    return next;
   };
 
   return (
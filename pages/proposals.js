@@ -11,6 +11,8 @@ import useSWR from 'swr';
 import { fetcher, api } from '../lib/api';
 import { useToast } from '../hooks/useToast';
 import Modal from '../components/Modal';
+import { STATUS_BADGE_CLASSES } from '../components/ProposalReviewPanel';
+import { STATUS_LABELS, isEditableStatus } from '../lib/proposalReview';
 import { 
   DocumentTextIcon,
   PencilSquareIcon,
@@ -106,21 +108,12 @@ export default function ProposalsPage() {
 
   // Get status badge styling
   const getStatusBadge = (status) => {
-    switch (status) {
-      case 'submitted':
-        return {
-          className: 'bg-green-100 text-green-800',
-          icon: CheckCircleIcon,
-          text: 'Submitted'
-        };
-      case 'draft':
-      default:
-        return {
-          className: 'bg-yellow-100 text-yellow-800',
-          icon: ClockIcon,
-          text: 'Draft'
-        };
-    }
+    const key = STATUS_LABELS[status] ? status : 'draft';
+    return {
+      className: STATUS_BADGE_CLASSES[key],
+      icon: ['approved', 'submitted', 'won'].includes(key) ? CheckCircleIcon : ClockIcon,
+      text: STATUS_LABELS[key]
+    };
   };
 
   // Format date
@@ -188,6 +181,7 @@ export default function ProposalsPage() {
             const statusBadge = getStatusBadge(proposal.status);
             const StatusIcon = statusBadge.icon;
             const isDraft = proposal.status === 'draft';
+            const isEditable = isEditableStatus(proposal.status);
 
             return (
               <div key={proposal.id} className="card hover:shadow-md transition-shadow">
@@ -223,7 +217,7 @@ export default function ProposalsPage() {
                     
                     {/* Actions */}
                     <div className="flex space-x-2">
-                      {isDraft ? (
+                      {isEditable ? (
                         <>
                           <Link href={`/proposals/edit/${proposal.id}`}>
                             <button className="btn btn-primary text-sm">
@@ -231,13 +225,15 @@ export default function ProposalsPage() {
                               Edit
                             </button>
                           </Link>
-                          <button 
-                            onClick={() => handleDeleteClick(proposal)}
-                            className="btn text-sm bg-red-600 text-white hover:bg-red-700"
-                          >
-                            <TrashIcon className="h-4 w-4 mr-1" />
-                            Delete
-                          </button>
+                          {isDraft && (
+                            <button 
+                              onClick={() => handleDeleteClick(proposal)}
+                              className="btn text-sm bg-red-600 text-white hover:bg-red-700"
+                            >
+                              <TrashIcon className="h-4 w-4 mr-1" />
+                              Delete
+                            </button>
+                          )}
                         </>
                       ) : (
                         <Link href={`/proposals/edit/${proposal.id}`}>
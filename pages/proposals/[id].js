@@ -1,6 +1,6 @@
 // pages/proposals/[id].js
 // This page provides an interface for editing and submitting proposals
-// It includes version history, save/submit functionality, and a rich text editor
+// It includes version history, the review workflow, save/submit functionality, and a rich text editor
 
 import { useState } from 'react';
 import { useRouter } from 'next/router';
@@ -8,8 +8,13 @@ import useSWR from 'swr';
 import { fetcher, api } from '../../lib/api';
 import ProposalEditor from '../../components/ProposalEditor';
 import VersionDrawer from '../../components/VersionDrawer';
+import ProposalReviewPanel, { STATUS_BADGE_CLASSES } from '../../components/ProposalReviewPanel';
+import ProposalOutcomeForm from '../../components/ProposalOutcomeForm';
+import SubmissionProof from '../../components/SubmissionProof';
 import Modal from '../../components/Modal';
 import { useToast } from '../../hooks/useToast';
+import { can } from '../../lib/organizations';
+import { isEditableStatus, STATUS_LABELS } from '../../lib/proposalReview';
 import { 
   DocumentIcon, 
   ClockIcon, 
@@ -44,11 +49,17 @@ export default function ProposalEditorPage() {
   );
 
   // Fetch version history data from the API
-  const { data: versions } = useSWR(
+  const { data: versions, mutate: mutateVersions } = useSWR(
     id ? `/api/versions/${id}` : null,
     fetcher
   );
 
+  // Fetch the review state (status, reviewer, comments and history)
+  const { data: review, mutate: mutateReview } = useSWR(
+    id ? `/api/proposalReview?proposalId=${id}` : null,
+    fetcher
+  );
+
   // Save the current draft
   const handleSaveDraft = async () => {
     try {
@@ -59,8 +70,9 @@ export default function ProposalEditorPage() {
       });
       addToast('Draft saved successfully!', 'success');
       mutate(); // Refresh proposal data
+      mutateVersions();
     } catch (error) {
-      addToast('Failed to save draft', 'error');
+      addToast(error.message || 'Failed to save draft', 'error');
     } finally {
       setSaving(false);
     }
@@ -74,20 +86,116 @@ export default function ProposalEditorPage() {
         method: 'POST',
         body: { proposalId: id }
       });
-      addToast(`Proposal submitted! Transaction ID: ${result.txId}`, 'success');
+      // Without a transaction ID the attestation is queued and retried by the reconciler
+      addToast(
+        result.txId
+          ? `Proposal submitted! Transaction ID: ${result.txId}`
+          : 'Proposal submitted. The blockchain proof is queued and will be retried automatically.',
+        result.txId ? 'success' : 'info'
+      );
       setShowSubmitModal(false);
       router.push('/reputation'); // Navigate to reputation page after submission
     } catch (error) {
-      addToast('Failed to submit proposal', 'error');
+      addToast(error.message || 'Failed to submit proposal', 'error');
     } finally {
       setSubmitting(false);
     }
   };
 
-  // Restore a previous version of the proposal
-  const handleVersionSelect = (version) => {
-    setContent(version.content);
-    addToast('Version restored', 'success');
+  // Save the current content as a named checkpoint
+  const handleCreateCheckpoint = async (label) => {
+    try {
+      await api('/api/saveDraft', {
+        method: 'POST',
+        body: { proposalId: id, content, label }
+      });
+      addToast(`Checkpoint "${label}" saved`, 'success');
+      mutate();
+      mutateVersions();
+    } catch (error) {
+      addToast(error.message || 'Failed to save checkpoint', 'error');
+    }
+  };
+
+  // Restore a previous version of the proposal (recorded as a new version on the server)
+  const handleVersionRestore = async (version) => {
+    try {
+      const result = await api('/api/restoreVersion', {
+        method: 'POST',
+        body: { proposalId: id, versionId: version.id }
+      });
+      setContent(result.content);
+      addToast(`Version ${version.version} restored`, 'success');
+      mutate();
+      mutateVersions();
+    } catch (error) {
+      addToast(error.message || 'Failed to restore version', 'error');
+    }
+  };
+
+  // Apply a review action such as requesting review or approving
+  const handleReviewAction = async (action, { reviewerId, note }) => {
+    try {
+      // Review freezes the content, so save pending edits first
+      if (action === 'request_review' && content !== proposal.content) {
+        await api('/api/saveDraft', {
+          method: 'POST',
+          body: { proposalId: id, content }
+        });
+        mutateVersions();
+      }
+
+      const result = await api('/api/proposalReview', {
+        method: 'POST',
+        body: { proposalId: id, action, reviewerId, note }
+      });
+      mutateReview(result, false);
+      mutate();
+      addToast(`Proposal is now ${STATUS_LABELS[result.status].toLowerCase()}`, 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to update review status', 'error');
+    }
+  };
+
+  // Add a review comment anchored to a section
+  const handleAddComment = async (comment) => {
+    try {
+      await api('/api/reviewComments', {
+        method: 'POST',
+        body: { proposalId: id, ...comment }
+      });
+      mutateReview();
+    } catch (error) {
+      addToast(error.message || 'Failed to add comment', 'error');
+    }
+  };
+
+  // Resolve or reopen a review comment
+  const handleResolveComment = async (comment, resolved) => {
+    try {
+      await api(`/api/reviewComments/${comment.id}`, {
+        method: 'PUT',
+        body: { resolved }
+      });
+      mutateReview();
+    } catch (error) {
+      addToast(error.message || 'Failed to update comment', 'error');
+    }
+  };
+
+  // Record the award outcome of a submitted proposal
+  const handleSaveOutcome = async (outcome) => {
+    try {
+      const result = await api('/api/proposalOutcome', {
+        method: 'POST',
+        body: { proposalId: id, ...outcome }
+      });
+      mutate({ ...proposal, status: result.outcome, outcome: result }, false);
+      mutateReview();
+      addToast('Outcome saved', 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to save outcome', 'error');
+    }
   };
 
   // Error state
@@ -113,7 +221,10 @@ export default function ProposalEditorPage() {
     );
   }
 
-  const isSubmitted = proposal.status === 'submitted';
+  const status = proposal.status || 'draft';
+  const canEdit = can(proposal.role, 'edit');
+  // Content is locked in review, after approval and after submission, and reviewers and viewers cannot edit
+  const isReadOnly = !isEditableStatus(status) || !canEdit;
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -125,19 +236,17 @@ export default function ProposalEditorPage() {
           <div className="flex items-center space-x-4">
             {/* Status badge */}
             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-              isSubmitted 
-                ? 'bg-green-100 text-green-800' 
-                : 'bg-yellow-100 text-yellow-800'
+              STATUS_BADGE_CLASSES[status] || STATUS_BADGE_CLASSES.draft
             }`}>
-              {isSubmitted ? 'Submitted' : 'Draft'}
+              {STATUS_LABELS[status] || status}
             </span>
           </div>
         </div>
 
-        {/* Action buttons - only shown for drafts, not submitted proposals */}
-        {!isSubmitted && (
-          <div className="flex flex-wrap items-center gap-4">
-            {/* Save Draft button */}
+        {/* Action buttons - saving needs an editable proposal, submitting an approved one */}
+        <div className="flex flex-wrap items-center gap-4">
+          {/* Save Draft button */}
+          {!isReadOnly && (
             <button
               onClick={handleSaveDraft}
               disabled={saving}
@@ -146,17 +255,19 @@ export default function ProposalEditorPage() {
               <DocumentIcon className="h-4 w-4 mr-2" />
               {saving ? 'Saving...' : 'Save Draft'}
             </button>
-            
-            {/* Version History button */}
-            <button
-              onClick={() => setShowVersions(true)}
-              className="btn btn-secondary"
-            >
-              <ClockIcon className="h-4 w-4 mr-2" />
-              Version History
-            </button>
-            
-            {/* Submit Proposal button */}
+          )}
+          
+          {/* Version History button */}
+          <button
+            onClick={() => setShowVersions(true)}
+            className="btn btn-secondary"
+          >
+            <ClockIcon className="h-4 w-4 mr-2" />
+            Version History
+          </button>
+          
+          {/* Submit Proposal button */}
+          {status === 'approved' && canEdit && (
             <button
               onClick={() => setShowSubmitModal(true)}
               className="btn btn-primary"
@@ -164,23 +275,55 @@ export default function ProposalEditorPage() {
               <PaperAirplaneIcon className="h-4 w-4 mr-2" />
               Submit Proposal
             </button>
-          </div>
-        )}
+          )}
+        </div>
       </div>
 
-      {/* Proposal Editor */}
-      <ProposalEditor
-        content={content}
-        onChange={setContent}
-        readOnly={isSubmitted} // Make editor read-only for submitted proposals
-      />
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Proposal Editor */}
+        <div className="lg:col-span-2">
+          <ProposalEditor
+            content={content}
+            onChange={setContent}
+            readOnly={isReadOnly} // Make editor read-only outside draft/changes requested and for read-only roles
+          />
+        </div>
+
+        {/* Review workflow, and the award outcome and submission proof once submitted */}
+        <div className="space-y-6">
+          {proposal.submissionProof && (
+            <SubmissionProof proposalId={proposal.id} proof={proposal.submissionProof} />
+          )}
+          {proposal.outcome && (
+            <ProposalOutcomeForm
+              outcome={proposal.outcome}
+              onSave={handleSaveOutcome}
+              readOnly={!canEdit}
+            />
+          )}
+          {review ? (
+            <ProposalReviewPanel
+              review={review}
+              content={proposal.content || ''}
+              onAction={handleReviewAction}
+              onAddComment={handleAddComment}
+              onResolveComment={handleResolveComment}
+            />
+          ) : (
+            <div className="skeleton h-64 w-full"></div>
+          )}
+        </div>
+      </div>
 
       {/* Version History Drawer */}
       <VersionDrawer
         isOpen={showVersions}
         onClose={() => setShowVersions(false)}
         versions={versions || []}
-        onSelectVersion={handleVersionSelect}
+        currentContent={content}
+        onRestore={handleVersionRestore}
+        onCreateCheckpoint={handleCreateCheckpoint}
+        readOnly={isReadOnly}
       />
 
       {/* Submit Confirmation Modal */}
@@ -197,7 +340,7 @@ export default function ProposalEditorPage() {
                 Record proof on Algorand blockchain
               </p>
               <p className="text-sm text-yellow-700">
-                This will lock your proposal and create an immutable proof of submission.
+                This will lock your proposal and record SHA-256 hashes of its content and the submitted PDF as an immutable proof of submission.
               </p>
             </div>
           </div>
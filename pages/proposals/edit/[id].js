@@ -3,6 +3,8 @@ import { useRouter } from 'next/router';
 import { useAuth } from '../../../contexts/AuthContext';
 import { useToast } from '../../../hooks/useToast';
 import { api } from '../../../lib/api';
+import { can } from '../../../lib/organizations';
+import { isEditableStatus, STATUS_LABELS } from '../../../lib/proposalReview';
 import useSWR from 'swr';
 import { fetcher } from '../../../lib/api';
 import LoadingSpinner from '../../../components/LoadingSpinner';
@@ -11,7 +13,11 @@ import ToolbarSection from '../../../components/ProposalEditor/ToolbarSection';
 import ContentArea from '../../../components/ProposalEditor/ContentArea';
 import ExportControls from '../../../components/ProposalEditor/ExportControls';
 import FloatingAIAssistant from '../../../components/ProposalEditor/FloatingAIAssistant';
+import SectionSuggestions from '../../../components/ProposalEditor/SectionSuggestions';
 import TranslationPanel from '../../../components/Translation/TranslationPanel';
+import VersionDrawer from '../../../components/VersionDrawer';
+import ComplianceMatrix from '../../../components/ComplianceMatrix';
+import ProposalAttachments from '../../../components/ProposalAttachments';
 import { Card, CardContent, CardHeader, CardTitle } from '../../../components/ui/card';
 import { Button } from '../../../components/ui/button';
 import { Badge } from '../../../components/ui/badge';
@@ -81,6 +87,9 @@ export default function ProposalEditorPage() {
   const [isGeneratingImprovement, setIsGeneratingImprovement] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isFullScreen, setIsFullScreen] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const [showSectionEdit, setShowSectionEdit] = useState(false);
+  const contentAreaRef = useRef(null);
   
   // Translation state
   const [showTranslationPanel, setShowTranslationPanel] = useState(false);
@@ -89,6 +98,8 @@ export default function ProposalEditorPage() {
   // AI Improvement Insights state
   const [showImprovementInsights, setShowImprovementInsights] = useState(false);
   const [aiInsights, setAiInsights] = useState([]);
+  // Statements the AI added that no profile or tender field backs
+  const [unverifiedClaims, setUnverifiedClaims] = useState([]);
 
   // Redirect to login if not authenticated
   useEffect(() => {
@@ -120,6 +131,12 @@ export default function ProposalEditorPage() {
     fetcher
   );
 
+  // Typed requirements of the tender (shared with the compliance matrix), for aligning a section to one
+  const { data: tenderRequirements } = useSWR(
+    proposal?.tenderId ? `/api/tenders/${proposal.tenderId}/requirements` : null,
+    fetcher
+  );
+
   // Fetch version history
   const { data: versions, mutate: mutateVersions } = useSWR(
     id ? `/api/versions/${id}` : null,
@@ -161,7 +178,7 @@ export default function ProposalEditorPage() {
     try {
       setIsCreatingProposal(true);
       
-      const tenders = await api('/api/tenders');
+      const { items: tenders } = await api('/api/tenders?limit=1');
       if (!tenders || tenders.length === 0) {
         addToast('No tenders available to create a proposal for', 'error');
         return;
@@ -220,6 +237,36 @@ export default function ProposalEditorPage() {
     setSaveStatus('unsaved');
   };
 
+  // Apply an accepted AI suggestion and record it in version history
+  const handleApplySuggestion = async (newContent, description) => {
+    setContent(newContent);
+
+    try {
+      setSaveStatus('saving');
+      await api('/api/saveDraft', {
+        method: 'POST',
+        body: { proposalId: id, content: newContent, suggestion: description }
+      });
+
+      setSaveStatus('saved');
+      setLastSaved(new Date().toISOString());
+      setHasUnsavedChanges(false);
+      mutateVersions();
+    } catch (error) {
+      // The change stays in the editor and is saved with the next save
+      setSaveStatus('error');
+      setHasUnsavedChanges(true);
+      console.error('Saving accepted suggestion failed:', error);
+      addToast('Change applied, but it could not be saved to version history', 'error');
+    }
+  };
+
+  // Current selection in the editor, for section edits of selected text
+  const getEditorSelection = () => {
+    const textarea = contentAreaRef.current;
+    return textarea ? { start: textarea.selectionStart, end: textarea.selectionEnd } : null;
+  };
+
   // Handle formatting commands
   const handleFormat = (action, value) => {
     switch (action) {
@@ -304,6 +351,7 @@ export default function ProposalEditorPage() {
       
       // AI insights are now in the correct language - no translation needed
       setAiInsights(result.insights || []);
+      setUnverifiedClaims(result.unverifiedClaims || []);
       
       setHasUnsavedChanges(true);
       setShowImprovementInsights(true);
@@ -324,10 +372,16 @@ export default function ProposalEditorPage() {
         body: { proposalId: id }
       });
       
-      addToast(`Proposal submitted! Transaction ID: ${result.txId}`, 'success');
+      // Without a transaction ID the attestation is queued and retried by the reconciler
+      addToast(
+        result.txId
+          ? `Proposal submitted! Transaction ID: ${result.txId}`
+          : 'Proposal submitted. The blockchain proof is queued and will be retried automatically.',
+        result.txId ? 'success' : 'info'
+      );
       router.push('/reputation');
     } catch (error) {
-      addToast('Failed to submit proposal', 'error');
+      addToast(error.message || 'Failed to submit proposal', 'error');
     } finally {
       setIsSubmitting(false);
     }
@@ -366,11 +420,44 @@ export default function ProposalEditorPage() {
     }
   };
 
-  // Load version content into editor
-  const handleViewVersion = (version) => {
-    setContent(version.content);
-    setHasUnsavedChanges(true);
-    addToast(`Loaded version ${version.version} into editor`, 'success');
+  // Save the current content as a named checkpoint
+  const handleCreateCheckpoint = async (label) => {
+    try {
+      await api('/api/saveDraft', {
+        method: 'POST',
+        body: { proposalId: id, content, label }
+      });
+      setSaveStatus('saved');
+      setLastSaved(new Date().toISOString());
+      setHasUnsavedChanges(false);
+      mutateVersions();
+      addToast(`Checkpoint "${label}" saved`, 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to save checkpoint', 'error');
+    }
+  };
+
+  // Restore a previous version on the server, which records the restore as a new version
+  const handleRestoreVersion = async (version) => {
+    try {
+      // Keep unsaved edits in the history before they are replaced
+      if (hasUnsavedChanges) {
+        await saveContent();
+      }
+
+      const result = await api('/api/restoreVersion', {
+        method: 'POST',
+        body: { proposalId: id, versionId: version.id }
+      });
+      setContent(result.content);
+      setHasUnsavedChanges(false);
+      setSaveStatus('saved');
+      setLastSaved(result.version.createdAt);
+      mutateVersions();
+      addToast(`Restored version ${version.version}`, 'success');
+    } catch (error) {
+      addToast(error.message || 'Failed to restore version', 'error');
+    }
   };
 
   // Toggle full screen mode
@@ -522,7 +609,12 @@ export default function ProposalEditorPage() {
     return null;
   }
 
-  const isSubmitted = proposal?.status === 'submitted';
+  const status = proposal?.status || 'draft';
+  const canEdit = can(proposal?.role, 'edit');
+  // Content is locked in review, after approval and after submission, and reviewers and viewers cannot edit
+  const isReadOnly = !isEditableStatus(status) || !canEdit;
+  // Only approved proposals can be submitted
+  const canSubmit = status === 'approved' && canEdit;
 
   return (
     <div className={`${
@@ -588,6 +680,17 @@ export default function ProposalEditorPage() {
                     <Sparkles className="w-4 h-4 mr-2" />
                     {isGeneratingImprovement ? 'Improving...' : 'AI Improve'}
                   </Button>
+                  {!isReadOnly && (
+                    <Button 
+                      variant="outline" 
+                      size="sm"
+                      onClick={() => setShowSectionEdit(!showSectionEdit)}
+                      className={showSectionEdit ? 'bg-blue-50 text-blue-700' : ''}
+                    >
+                      <Lightbulb className="w-4 h-4 mr-2" />
+                      AI Edit
+                    </Button>
+                  )}
                   <Button 
                     variant="outline" 
                     size="sm"
@@ -615,13 +718,24 @@ export default function ProposalEditorPage() {
             <CardContent className={`${
               isFullScreen ? 'flex flex-col flex-1 p-0' : 'p-0'
             }`}>
-              {!isSubmitted && (
-                <ToolbarSection onFormat={handleFormat} disabled={isSubmitted} />
+              {!isReadOnly && (
+                <ToolbarSection onFormat={handleFormat} disabled={isReadOnly} />
+              )}
+              {!isReadOnly && showSectionEdit && (
+                <SectionSuggestions
+                  proposalId={id}
+                  content={content}
+                  getSelection={getEditorSelection}
+                  onApply={handleApplySuggestion}
+                  onClose={() => setShowSectionEdit(false)}
+                  requirements={tenderRequirements?.requirements || []}
+                />
               )}
               <ContentArea
+                ref={contentAreaRef}
                 content={content}
                 onChange={handleContentChange}
-                readOnly={isSubmitted}
+                readOnly={isReadOnly}
                 placeholder="Start writing your proposal..."
                 isFullScreen={isFullScreen}
               />
@@ -674,6 +788,59 @@ export default function ProposalEditorPage() {
             </Card>
           )}
 
+          {/* Claims the AI added that the profile cannot back */}
+          {unverifiedClaims.length > 0 && !isFullScreen && (
+            <Card className="mt-6 border-amber-200 bg-amber-50/50">
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <CardTitle className="flex items-center space-x-2 text-amber-900">
+                    <AlertCircle className="w-5 h-5" />
+                    <span>Claims to Verify</span>
+                  </CardTitle>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setUnverifiedClaims([])}
+                  >
+                    <EyeOff className="w-4 h-4" />
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-amber-700 mb-4">
+                  These statements could not be traced to your company profile or the tender. Check them, or add the facts to your profile.
+                </p>
+                <ul className="space-y-2">
+                  {unverifiedClaims.map((item, index) => (
+                    <li key={index} className="bg-white border border-amber-200 rounded-lg p-3 text-sm">
+                      <span className="font-medium text-amber-900">{item.claim}</span>
+                      {item.section && <span className="text-amber-700"> · {item.section}</span>}
+                      <p className="text-amber-800 mt-1">{item.reason}</p>
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Compliance Matrix */}
+          {proposal?.tenderId && !isFullScreen && (
+            <Card className="mt-6">
+              <CardContent className="p-6">
+                <ComplianceMatrix tenderId={proposal.tenderId} proposalContent={content} />
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Submission Attachments */}
+          {proposal && !isFullScreen && (
+            <Card className="mt-6">
+              <CardContent className="p-6">
+                <ProposalAttachments proposalId={proposal.id} status={status} />
+              </CardContent>
+            </Card>
+          )}
+
           {/* Translation Panel */}
           {showTranslationPanel && !isFullScreen && (
             <div className="mt-6">
@@ -713,7 +880,7 @@ export default function ProposalEditorPage() {
                   size="sm" 
                   className="w-full justify-start"
                   onClick={() => insertCompanyInfo('background')}
-                  disabled={isSubmitted || !companyProfile}
+                  disabled={isReadOnly || !companyProfile}
                 >
                   Company Background
                 </Button>
@@ -722,7 +889,7 @@ export default function ProposalEditorPage() {
                   size="sm" 
                   className="w-full justify-start"
                   onClick={() => insertCompanyInfo('certifications')}
-                  disabled={isSubmitted || !companyProfile}
+                  disabled={isReadOnly || !companyProfile}
                 >
                   Certifications
                 </Button>
@@ -731,7 +898,7 @@ export default function ProposalEditorPage() {
                   size="sm" 
                   className="w-full justify-start"
                   onClick={() => insertCompanyInfo('experience')}
-                  disabled={isSubmitted || !companyProfile}
+                  disabled={isReadOnly || !companyProfile}
                 >
                   Past Experience
                 </Button>
@@ -790,19 +957,17 @@ export default function ProposalEditorPage() {
                 <div className="space-y-3">
                   {versions && versions.length > 0 ? (
                     versions.slice(0, 5).map((version) => (
-                      <div key={version.id} className="flex items-center justify-between p-2 border border-gray-200 rounded">
-                        <div>
-                          <p className="text-sm font-medium">Version {version.version}</p>
-                          <p className="text-xs text-gray-500">{format(new Date(version.createdAt), "MMM d, HH:mm")}</p>
+                      <div key={version.id} className="p-2 border border-gray-200 rounded">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium truncate">
+                            Version {version.version}
+                            {version.kind === 'checkpoint' && ` · ${version.label}`}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {version.kind === 'restore' ? `${version.changesSummary} · ` : ''}
+                            {format(new Date(version.updatedAt), "MMM d, HH:mm")}
+                          </p>
                         </div>
-                        <Button 
-                          variant="ghost" 
-                          size="sm"
-                          onClick={() => handleViewVersion(version)}
-                          disabled={isSubmitted}
-                        >
-                          View
-                        </Button>
                       </div>
                     ))
                   ) : (
@@ -811,6 +976,14 @@ export default function ProposalEditorPage() {
                       <p className="text-xs text-gray-400 mt-1">Versions are created when you save drafts</p>
                     </div>
                   )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="w-full"
+                    onClick={() => setShowVersions(true)}
+                  >
+                    {isReadOnly ? 'Compare Versions' : 'Compare, Restore & Checkpoints'}
+                  </Button>
                 </div>
               </CardContent>
             </Card>
@@ -831,6 +1004,18 @@ export default function ProposalEditorPage() {
                       Submitting will record your proposal on the Algorand blockchain and lock further edits.
                     </p>
                   </div>
+
+                  {status !== 'approved' && status !== 'submitted' && (
+                    <div className="text-sm text-gray-700">
+                      <p>
+                        Status: <span className="font-medium">{STATUS_LABELS[status] || status}</span>.
+                        A reviewer must approve the proposal before it can be submitted.
+                      </p>
+                      <Link href={`/proposals/${id}`} className="text-blue-600 hover:text-blue-700">
+                        Open review and comments
+                      </Link>
+                    </div>
+                  )}
                   
                   <div className="space-y-2">
                     <div className="flex items-center space-x-2 text-sm">
@@ -850,7 +1035,7 @@ export default function ProposalEditorPage() {
                   <Button 
                     className="w-full bg-green-600 hover:bg-green-700"
                     onClick={handleSubmitProposal}
-                    disabled={isSubmitting || isSubmitted || !content.trim()}
+                    disabled={isSubmitting || !canSubmit || !content.trim()}
                   >
                     {isSubmitting ? (
                       <>
@@ -905,8 +1090,19 @@ export default function ProposalEditorPage() {
         )}
       </div>
 
-      {/* Floating AI Assistant - Only visible when not in full screen and not submitted */}
-      {!isFullScreen && !isSubmitted && (
+      {/* Version History Drawer */}
+      <VersionDrawer
+        isOpen={showVersions}
+        onClose={() => setShowVersions(false)}
+        versions={versions || []}
+        currentContent={content}
+        onRestore={handleRestoreVersion}
+        onCreateCheckpoint={handleCreateCheckpoint}
+        readOnly={isReadOnly}
+      />
+
+      {/* Floating AI Assistant - Only visible when not in full screen and the proposal is editable */}
+      {!isFullScreen && !isReadOnly && (
         <FloatingAIAssistant
           tenderId={tender?.id}
           proposalId={proposal?.id}
@@ -2,7 +2,7 @@
 // Updated tender details page with translation functionality and eligibility details
 // Added Lingo.dev integration for Malay-English translation
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import useSWR from 'swr';
@@ -14,6 +14,11 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../components/ui/ta
 import TranslationButton from '../../components/Translation/TranslationButton';
 import { useToast } from '../../hooks/useToast';
 import { useAuth } from '../../contexts/AuthContext';
+import { useAIStream } from '../../hooks/useAIStream';
+import Modal from '../../components/Modal';
+import TenderDocuments from '../../components/TenderDocuments';
+import ComplianceMatrix from '../../components/ComplianceMatrix';
+import VoicePlayer from '../../components/VoicePlayer';
 import { 
   ArrowLeft, 
   Building, 
@@ -46,6 +51,11 @@ export default function TenderDetails() {
   const [isGeneratingSummary, setIsGeneratingSummary] = useState(false);
   const [isCheckingEligibility, setIsCheckingEligibility] = useState(false);
   const [isGeneratingProposal, setIsGeneratingProposal] = useState(false);
+  const [templateId, setTemplateId] = useState('');
+  // Proposal text streamed so far while a draft is generated (null when not generating)
+  const [draftPreview, setDraftPreview] = useState(null);
+  const draftPreviewRef = useRef(null);
+  const { start: startStream, stop: stopStream } = useAIStream();
 
   // Fetch tender details from the API
   const { data: tender, error, isLoading } = useSWR(
@@ -59,6 +69,12 @@ export default function TenderDetails() {
     fetcher
   );
 
+  // Fetch proposal templates for the template picker
+  const { data: templates } = useSWR(
+    user ? '/api/proposalTemplates' : null,
+    fetcher
+  );
+
   // Fetch eligibility summary when tender and company profile are loaded
   useEffect(() => {
     const fetchEligibilitySummary = async () => {
@@ -114,19 +130,41 @@ export default function TenderDetails() {
     }
   };
 
+  // Keep the latest streamed text in view
+  useEffect(() => {
+    if (draftPreviewRef.current) {
+      draftPreviewRef.current.scrollTop = draftPreviewRef.current.scrollHeight;
+    }
+  }, [draftPreview]);
+
   const generateProposal = async () => {
     try {
       setIsGeneratingProposal(true);
-      const result = await api('/api/generateProposal', {
-        method: 'POST',
-        body: { tenderId: id }
-      });
+      setDraftPreview('');
+      const result = await startStream('/api/generateProposalStream', {
+        tenderId: id,
+        templateId: templateId || undefined
+      }, text => setDraftPreview(prev => (prev || '') + text));
+
+      if (!result) {
+        addToast('Proposal generation stopped. Nothing was saved.', 'info');
+        return;
+      }
+
       addToast('Proposal draft created!', 'success');
+      if (result.missingPlaceholders?.length > 0) {
+        addToast(`Some template fields could not be filled: ${result.missingPlaceholders.join(', ')}`, 'info');
+      }
+      if (result.unverifiedClaims?.length > 0) {
+        addToast(`${result.unverifiedClaims.length} statement${result.unverifiedClaims.length !== 1 ? 's' : ''} in the draft could not be traced to your company profile: ${result.unverifiedClaims.slice(0, 3).map(item => item.claim).join(', ')}. Check them before submitting.`, 'info');
+      }
       router.push(`/proposals/edit/${result.proposalId}`);
     } catch (error) {
-      addToast('Failed to generate proposal', 'error');
+      // The server's message says why, e.g. that the AI quota is used up
+      addToast(error.message || 'Failed to generate proposal', 'error');
     } finally {
       setIsGeneratingProposal(false);
+      setDraftPreview(null);
     }
   };
 
@@ -279,6 +317,23 @@ export default function TenderDetails() {
               </CardHeader>
               <CardContent>
                 <p className="text-gray-700 mb-4">{detailedEligibility.message}</p>
+
+                {detailedEligibility.atRisk && (
+                  <div className="mb-4 p-3 border border-red-200 bg-red-50 rounded-lg">
+                    <h4 className="text-sm font-medium text-red-900 mb-2 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-2" />
+                      At risk: renew before submitting
+                    </h4>
+                    <ul className="space-y-1">
+                      {detailedEligibility.riskReasons.map((reason, index) => (
+                        <li key={index} className="text-sm text-red-800">{reason}</li>
+                      ))}
+                    </ul>
+                    <Link href="/company-profile" className="text-sm font-medium text-red-900 underline mt-2 inline-block">
+                      Update your company profile
+                    </Link>
+                  </div>
+                )}
                 
                 {detailedEligibility.matchedCriteria && detailedEligibility.matchedCriteria.length > 0 && (
                   <div className="mb-4">
@@ -368,9 +423,6 @@ export default function TenderDetails() {
                       <span>AI Summary</span>
                     </h4>
                     <div className="flex items-center space-x-2">
-                      <Button variant="ghost" size="sm">
-                        <Play className="w-4 h-4" />
-                      </Button>
                       <TranslationButton
                         text={aiSummary}
                         targetLang="ms"
@@ -419,9 +471,10 @@ export default function TenderDetails() {
           {/* Tender Details Tabs */}
           <Card>
             <Tabs defaultValue="description" className="w-full">
-              <TabsList className="grid w-full grid-cols-3">
+              <TabsList className="grid w-full grid-cols-4">
                 <TabsTrigger value="description">Description</TabsTrigger>
                 <TabsTrigger value="requirements">Requirements</TabsTrigger>
+                <TabsTrigger value="documents">Documents</TabsTrigger>
                 <TabsTrigger value="contact">Contact</TabsTrigger>
               </TabsList>
               
@@ -443,10 +496,11 @@ export default function TenderDetails() {
               </TabsContent>
               
               <TabsContent value="requirements" className="p-6">
-                <h3 className="text-lg font-semibold mb-4">Requirements & Qualifications</h3>
-                <div className="text-gray-700">
-                  <p>Specific requirements will be detailed in the tender documentation.</p>
-                </div>
+                <ComplianceMatrix tenderId={id} />
+              </TabsContent>
+              
+              <TabsContent value="documents" className="p-6">
+                <TenderDocuments tenderId={id} />
               </TabsContent>
               
               <TabsContent value="contact" className="p-6">
@@ -533,6 +587,24 @@ export default function TenderDetails() {
               <CardTitle>Quick Actions</CardTitle>
             </CardHeader>
             <CardContent className="space-y-3">
+              {templates?.length > 0 && (
+                <div>
+                  <label htmlFor="proposalTemplate" className="block text-sm font-medium text-gray-700 mb-1">
+                    Proposal Template
+                  </label>
+                  <select
+                    id="proposalTemplate"
+                    value={templateId}
+                    onChange={(e) => setTemplateId(e.target.value)}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                  >
+                    <option value="">Automatic (by tender category)</option>
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <Button 
                 onClick={generateProposal}
                 className="w-full bg-blue-600 hover:bg-blue-700"
@@ -559,16 +631,35 @@ export default function TenderDetails() {
             </CardHeader>
             <CardContent>
               <p className="text-sm text-purple-700 mb-4">
-                Listen to an AI-generated audio summary of this tender
+                Listen to an AI-generated audio summary of this tender, in English or Bahasa Malaysia
               </p>
-              <Button variant="outline" className="w-full border-purple-300 text-purple-700 hover:bg-purple-50">
-                <Play className="w-4 h-4 mr-2" />
-                Play Summary
-              </Button>
+              <VoicePlayer
+                tenderId={id}
+                onError={(message) => addToast(message || 'Failed to play voice summary', 'error')}
+              />
             </CardContent>
           </Card>
         </div>
       </div>
+
+      {/* Draft being written; stopping discards it */}
+      <Modal
+        isOpen={draftPreview !== null}
+        onClose={stopStream}
+        title="Generating Proposal"
+      >
+        <div
+          ref={draftPreviewRef}
+          className="max-h-96 overflow-y-auto p-3 bg-gray-50 border border-gray-200 rounded-md text-sm text-gray-800 whitespace-pre-wrap"
+        >
+          {draftPreview || 'Preparing your draft...'}
+        </div>
+        <div className="flex justify-end mt-4">
+          <Button variant="outline" onClick={stopStream}>
+            Stop
+          </Button>
+        </div>
+      </Modal>
     </div>
   );
 }
\ No newline at end of file
@@ -1,10 +1,12 @@
 // pages/tenders/index.js
 // Updated tenders listing page with new modern design and eligibility scoring
 // Converted from React Router to Next.js routing
+// Search, filters, facets and pagination are handled server-side by /api/tenders
 
 import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
 import useSWR from 'swr';
+import useSWRInfinite from 'swr/infinite';
 import { fetcher, api } from '../../lib/api';
 import { Button } from '../../components/ui/button';
 import { Input } from '../../components/ui/input';
@@ -24,16 +26,73 @@ import {
 } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 
+const PAGE_SIZE = 20;
+
+/**
+ * Converts a date input value to the start or end of that day in the user's timezone, as an ISO timestamp
+ * @param {string} value - yyyy-mm-dd
+ * @param {boolean} endOfDay - True for 23:59:59.999, false for 00:00
+ * @returns {string} ISO timestamp
+ */
+const localDayBoundary = (value, endOfDay) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return (endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day)).toISOString();
+};
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'closing_date', label: 'Closing soonest' },
+  { value: 'relevance', label: 'Best match' }
+];
+
 export default function TenderFeed() {
   const { user } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedLocation, setSelectedLocation] = useState('all');
+  const [sortOrder, setSortOrder] = useState('newest');
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
+  const [closingFrom, setClosingFrom] = useState('');
+  const [closingTo, setClosingTo] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
   const [eligibilitySummaries, setEligibilitySummaries] = useState({});
   const [isLoadingEligibility, setIsLoadingEligibility] = useState(false);
 
-  // Fetch tenders data from API
-  const { data: tenders, error, isLoading } = useSWR('/api/tenders', fetcher);
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Relevance ordering only applies to text searches
+  const effectiveSort = sortOrder === 'relevance' && !debouncedSearch ? 'newest' : sortOrder;
+
+  // Build the API key for a page; returning null stops SWR after the last page
+  const getKey = (pageIndex, previousPage) => {
+    if (previousPage && !previousPage.nextCursor) return null;
+
+    const params = new URLSearchParams({ sort: effectiveSort, limit: String(PAGE_SIZE) });
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (selectedCategory !== 'all') params.set('category', selectedCategory);
+    if (selectedLocation !== 'all') params.set('location', selectedLocation);
+    if (closingFrom) params.set('closingFrom', localDayBoundary(closingFrom, false));
+    if (closingTo) params.set('closingTo', localDayBoundary(closingTo, true));
+    if (tagFilter.trim()) params.set('tags', tagFilter.trim());
+    if (previousPage) params.set('cursor', previousPage.nextCursor);
+
+    return `/api/tenders?${params.toString()}`;
+  };
+
+  // Fetch tenders data from API, one page at a time
+  const { data: pages, error, isLoading, isValidating, size, setSize } = useSWRInfinite(getKey, fetcher);
+
+  const tenders = pages ? pages.flatMap(page => page.items) : [];
+  const firstPage = pages?.[0];
+  const facets = firstPage?.facets || { category: [], location: [], agency: [] };
+  const totalTenders = firstPage?.total || 0;
+  const hasMore = Boolean(pages?.[pages.length - 1]?.nextCursor);
+  const isLoadingMore = isValidating && pages && size > pages.length;
   
   // Fetch company profile for eligibility checking
   const { data: companyProfile } = useSWR(
@@ -41,38 +100,39 @@ export default function TenderFeed() {
     fetcher
   );
 
-  // Available categories and locations for filtering
-  const categories = ['all', 'Construction', 'IT Services', 'Healthcare', 'Consulting'];
-  const locations = ['all', 'Kuala Lumpur', 'Putrajaya', 'Selangor', 'Johor'];
-
-  // Filter tenders based on search and filters
-  const filteredTenders = tenders?.filter(tender => {
-    const matchesSearch = tender.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         tender.agency.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = selectedCategory === 'all' || tender.category === selectedCategory;
-    // For location filtering, we'll use a simple match since our mock data doesn't have location field
-    const matchesLocation = selectedLocation === 'all';
-    
-    return matchesSearch && matchesCategory && matchesLocation;
-  }) || [];
+  // Filter options come from the facet counts of the current search
+  const withSelected = (values, selected) => (
+    selected === 'all' || values.some(item => item.value === selected)
+      ? values
+      : [{ value: selected, count: 0 }, ...values]
+  );
+  const categories = withSelected(facets.category, selectedCategory);
+  const locations = withSelected(facets.location, selectedLocation);
 
-  // Fetch eligibility summaries when tenders and company profile are loaded
+  // Fetch eligibility summaries for newly loaded tenders
   useEffect(() => {
     const fetchEligibilitySummaries = async () => {
-      if (!user || !tenders || tenders.length === 0 || !companyProfile) {
+      if (!user || tenders.length === 0 || !companyProfile) {
+        return;
+      }
+
+      const tenderIds = tenders
+        .map(tender => tender.id)
+        .filter(id => !eligibilitySummaries[id]);
+
+      if (tenderIds.length === 0) {
         return;
       }
 
       try {
         setIsLoadingEligibility(true);
-        const tenderIds = tenders.map(tender => tender.id);
         
         const result = await api('/api/eligibilitySummary', {
           method: 'POST',
           body: { tenderIds }
         });
         
-        setEligibilitySummaries(result);
+        setEligibilitySummaries(prev => ({ ...prev, ...result }));
       } catch (error) {
         console.error('Error fetching eligibility summaries:', error);
       } finally {
@@ -81,7 +141,17 @@ export default function TenderFeed() {
     };
 
     fetchEligibilitySummaries();
-  }, [tenders, companyProfile, user]);
+  }, [pages, companyProfile, user]);
+
+  // Reset every filter back to the full feed
+  const clearFilters = () => {
+    setSearchTerm('');
+    setSelectedCategory('all');
+    setSelectedLocation('all');
+    setClosingFrom('');
+    setClosingTo('');
+    setTagFilter('');
+  };
 
   // Error state
   if (error) {
@@ -130,9 +200,10 @@ export default function TenderFeed() {
             onChange={(e) => setSelectedCategory(e.target.value)}
             className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
+            <option value="all">All Categories</option>
             {categories.map(category => (
-              <option key={category} value={category}>
-                {category === 'all' ? 'All Categories' : category}
+              <option key={category.value} value={category.value}>
+                {category.value} ({category.count})
               </option>
             ))}
           </select>
@@ -143,24 +214,81 @@ export default function TenderFeed() {
             onChange={(e) => setSelectedLocation(e.target.value)}
             className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
+            <option value="all">All Locations</option>
             {locations.map(location => (
-              <option key={location} value={location}>
-                {location === 'all' ? 'All Locations' : location}
+              <option key={location.value} value={location.value}>
+                {location.value} ({location.count})
+              </option>
+            ))}
+          </select>
+
+          {/* Sort Order */}
+          <select
+            value={effectiveSort}
+            onChange={(e) => setSortOrder(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value} disabled={option.value === 'relevance' && !debouncedSearch}>
+                {option.label}
               </option>
             ))}
           </select>
 
-          <Button variant="outline" className="flex items-center space-x-2">
+          <Button
+            variant="outline"
+            className="flex items-center space-x-2"
+            onClick={() => setShowMoreFilters(prev => !prev)}
+          >
             <Filter className="w-4 h-4" />
             <span>More Filters</span>
           </Button>
         </div>
+
+        {/* Additional Filters */}
+        {showMoreFilters && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 pt-4 border-t border-gray-200">
+            <div>
+              <label htmlFor="closingFrom" className="block text-sm font-medium text-gray-700 mb-1">
+                Closing from
+              </label>
+              <Input
+                id="closingFrom"
+                type="date"
+                value={closingFrom}
+                onChange={(e) => setClosingFrom(e.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor="closingTo" className="block text-sm font-medium text-gray-700 mb-1">
+                Closing by
+              </label>
+              <Input
+                id="closingTo"
+                type="date"
+                value={closingTo}
+                onChange={(e) => setClosingTo(e.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor="tagFilter" className="block text-sm font-medium text-gray-700 mb-1">
+                Tags
+              </label>
+              <Input
+                id="tagFilter"
+                placeholder="e.g. road, maintenance"
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Results Count */}
       <div className="mb-6">
         <p className="text-gray-600">
-          Showing {filteredTenders.length} of {tenders?.length || 0} tenders
+          Showing {tenders.length} of {totalTenders} tenders
         </p>
       </div>
 
@@ -188,16 +316,30 @@ export default function TenderFeed() {
             </div>
           ))}
         </div>
-      ) : filteredTenders.length > 0 ? (
+      ) : tenders.length > 0 ? (
         // Render tender cards when data is available
-        <div className="grid gap-6 lg:grid-cols-2">
-          {filteredTenders.map((tender) => (
-            <TenderCard 
-              key={tender.id} 
-              tender={tender} 
-              eligibilitySummary={eligibilitySummaries[tender.id]}/>
-          ))}
-        </div>
+        <>
+          <div className="grid gap-6 lg:grid-cols-2">
+            {tenders.map((tender) => (
+              <TenderCard 
+                key={tender.id} 
+                tender={tender} 
+                eligibilitySummary={eligibilitySummaries[tender.id]}/>
+            ))}
+          </div>
+
+          {hasMore && (
+            <div className="flex justify-center mt-8">
+              <Button
+                variant="outline"
+                onClick={() => setSize(size + 1)}
+                disabled={isLoadingMore}
+              >
+                {isLoadingMore ? 'Loading...' : 'Load more tenders'}
+              </Button>
+            </div>
+          )}
+        </>
       ) : (
         // Empty State
         <div className="text-center py-12">
@@ -210,11 +352,7 @@ export default function TenderFeed() {
           </p>
           <Button 
             variant="outline"
-            onClick={() => {
-              setSearchTerm('');
-              setSelectedCategory('all');
-              setSelectedLocation('all');
-            }}
+            onClick={clearFilters}
           >
             Clear Filters
           </Button>
@@ -0,0 +1,189 @@
+// pages/verify.js
+// Public page for checking a proposal against its Algorand attestation, no login required
+// Files and pasted text are hashed in the browser; only the SHA-256 hash is sent to the server
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import {
+  ShieldCheckIcon,
+  ShieldExclamationIcon,
+  DocumentArrowUpIcon,
+  ClipboardDocumentIcon
+} from '@heroicons/react/24/outline';
+import { hashContent, parseHash, sha256Hex } from '../lib/contentHash';
+
+// Text files are compared by content, so copies with different line endings still match
+const TEXT_FILE_PATTERN = /\.(md|markdown|txt)$/i;
+
+export default function VerifyPage() {
+  const router = useRouter();
+  const [mode, setMode] = useState('file');
+  const [text, setText] = useState('');
+  const [hash, setHash] = useState(null);
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const verifyHash = async (value) => {
+    setHash(value);
+    setResult(null);
+    setError(null);
+
+    try {
+      setChecking(true);
+      const res = await fetch(`/api/verify?hash=${value}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setResult(data);
+    } catch (verifyError) {
+      setError(verifyError.message || 'Verification failed. Please try again.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Links from a proposal page carry the hash to check
+  useEffect(() => {
+    if (!router.isReady) return;
+    const linkedHash = parseHash(router.query.hash);
+    if (linkedHash) {
+      verifyHash(linkedHash);
+    }
+  }, [router.isReady, router.query.hash]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const value = TEXT_FILE_PATTERN.test(file.name)
+      ? await hashContent(await file.text())
+      : await sha256Hex(await file.arrayBuffer());
+    verifyHash(value);
+  };
+
+  const handleCheckText = async () => {
+    if (!text.trim()) return;
+    verifyHash(await hashContent(text));
+  };
+
+  const tabClassName = (tab) => `flex items-center px-4 py-2 text-sm font-medium rounded-md ${
+    mode === tab ? 'bg-primary text-white' : 'text-gray-700 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 py-12">
+      <div className="text-center mb-8">
+        <ShieldCheckIcon className="h-12 w-12 text-primary mx-auto mb-3" />
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Verify a Proposal</h1>
+        <p className="text-gray-600">
+          Check that a proposal you received is exactly what the bidder submitted. Its SHA-256 hash is
+          compared with the hash recorded on the Algorand blockchain at submission.
+        </p>
+      </div>
+
+      <div className="card mb-6">
+        <div className="flex space-x-2 mb-4">
+          <button type="button" onClick={() => setMode('file')} className={tabClassName('file')}>
+            <DocumentArrowUpIcon className="h-4 w-4 mr-2" />
+            Upload file
+          </button>
+          <button type="button" onClick={() => setMode('text')} className={tabClassName('text')}>
+            <ClipboardDocumentIcon className="h-4 w-4 mr-2" />
+            Paste text
+          </button>
+        </div>
+
+        {mode === 'file' ? (
+          <div>
+            <input
+              type="file"
+              accept=".zip,.pdf,.md,.markdown,.txt"
+              onChange={handleFile}
+              className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+            />
+            <p className="text-xs text-gray-500 mt-2">
+              Upload the submitted package (.zip) or PDF, or the proposal text as a .md or .txt file. The file never leaves your browser.
+            </p>
+          </div>
+        ) : (
+          <div>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={10}
+              placeholder="Paste the full proposal text"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md font-mono focus:ring-primary focus:border-primary"
+            />
+            <button
+              type="button"
+              onClick={handleCheckText}
+              disabled={checking || !text.trim()}
+              className="btn btn-primary mt-3"
+            >
+              {checking ? 'Checking...' : 'Verify'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {hash && (
+        <div className="card">
+          <p className="text-xs text-gray-500 mb-1">SHA-256</p>
+          <code className="block text-xs font-mono bg-gray-100 px-2 py-1 rounded break-all mb-4">{hash}</code>
+
+          {checking && <p className="text-sm text-gray-600">Checking the blockchain...</p>}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {result && (result.verified ? (
+            <div>
+              <div className="flex items-center p-4 bg-green-50 rounded-lg mb-4">
+                <ShieldCheckIcon className="h-6 w-6 text-green-600 mr-3" />
+                <p className="text-sm font-medium text-green-800">
+                  This matches a proposal attested on the Algorand blockchain.
+                </p>
+              </div>
+              <ul className="space-y-3">
+                {result.attestations.filter(attestation => attestation.onChain).map(attestation => (
+                  <li key={attestation.txId} className="border border-gray-200 rounded-lg p-4 text-sm">
+                    <p className="font-semibold text-gray-900">{attestation.tenderTitle}</p>
+                    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-2 mt-2 text-gray-600">
+                      {attestation.companyName && <div><dt className="font-medium inline">Submitted by: </dt><dd className="inline">{attestation.companyName}</dd></div>}
+                      {attestation.agency && <div><dt className="font-medium inline">Agency: </dt><dd className="inline">{attestation.agency}</dd></div>}
+                      <div><dt className="font-medium inline">Submitted: </dt><dd className="inline">{new Date(attestation.submittedAt).toLocaleString()}</dd></div>
+                      <div>
+                        <dt className="font-medium inline">Matched: </dt>
+                        <dd className="inline">{attestation.matchedOn === 'file' ? `Submitted ${(attestation.fileFormat || 'file').toUpperCase()}` : 'Proposal text'}</dd>
+                      </div>
+                    </dl>
+                    <a
+                      href={attestation.explorerUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-block mt-3 text-primary hover:underline"
+                    >
+                      View transaction (round {attestation.confirmedRound})
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <div className="flex items-start p-4 bg-red-50 rounded-lg">
+              <ShieldExclamationIcon className="h-6 w-6 text-red-600 mr-3 flex-shrink-0" />
+              <div className="text-sm text-red-800">
+                <p className="font-medium">No confirmed attestation matches this proposal.</p>
+                <p className="mt-1">
+                  {result.attestations.some(attestation => attestation.onChain === null)
+                    ? 'A matching submission was found but the blockchain could not be checked right now. Please try again later.'
+                    : 'Even a one-character change produces a different hash. Ask the bidder for the submitted package, unchanged and not re-zipped.'}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+// Local stand-in for the Algorand algod and indexer APIs used by lib/algorandTransactions.js,
+// so attestation sending, retries and reconciliation can be exercised without a real network.
+// Sent transactions are confirmed in the next round.
+//
+// Usage: node scripts/algorand-standin.js [port] [--fail-sends=N] [--drop-sends=N] [--round-ms=N]
+//   algod:   http://localhost:4020  (ALGOLAND_ALGOD_URL)
+//   indexer: http://localhost:4021  (ALGOLAND_INDEXER_URL)
+//   --fail-sends=N  reject the first N sends with HTTP 503, to exercise retry and backoff
+//   --drop-sends=N  accept the first N sends but never confirm them, to exercise expiry and resend
+//   --round-ms=N    round length (default 1000); transactions expire 1000 rounds after they are built,
+//                   so e.g. --round-ms=10 lets dropped transactions expire within seconds
+//
+// Any ALGOLAND_API_TOKEN is accepted. The admin wallet only needs a valid mnemonic
+// (node scripts/generate-admin-wallet.js); it does not need funds here.
+
+const http = require('http');
+const algosdk = require('algosdk');
+
+const GENESIS_ID = 'standin-v1';
+const GENESIS_HASH = Buffer.alloc(32, 1).toString('base64');
+
+function parseFlag(name) {
+  const flag = process.argv.find(arg => arg.startsWith(`--${name}=`));
+  return flag ? parseInt(flag.split('=')[1]) || 0 : 0;
+}
+
+const ROUND_MS = parseFlag('round-ms') || 1000;
+
+const state = {
+  round: 1,
+  failSends: parseFlag('fail-sends'),
+  dropSends: parseFlag('drop-sends'),
+  pending: [],         // transactions waiting for the next round
+  confirmed: new Map() // txId -> indexer transaction
+};
+
+// Advance a round and confirm everything sent before it
+setInterval(() => {
+  state.round += 1;
+  const roundTime = Math.floor(Date.now() / 1000);
+  state.pending.splice(0).forEach(tx => {
+    state.confirmed.set(tx.id, { ...tx, 'confirmed-round': state.round, 'round-time': roundTime });
+  });
+}, ROUND_MS);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Indexer representation of a signed payment transaction
+function toIndexerTransaction(signed) {
+  const txn = signed.txn;
+  return {
+    id: txn.txID(),
+    fee: Number(txn.fee),
+    'first-valid': Number(txn.firstValid),
+    'last-valid': Number(txn.lastValid),
+    sender: txn.sender.toString(),
+    'tx-type': 'pay',
+    note: Buffer.from(txn.note || []).toString('base64'),
+    'genesis-id': GENESIS_ID,
+    'genesis-hash': GENESIS_HASH,
+    'payment-transaction': {
+      amount: Number(txn.payment.amount),
+      receiver: txn.payment.receiver.toString(),
+      'close-amount': 0
+    }
+  };
+}
+
+async function handleAlgod(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && pathname === '/v2/transactions/params') {
+    return sendJson(res, 200, {
+      'consensus-version': 'standin',
+      fee: 0,
+      'genesis-hash': GENESIS_HASH,
+      'genesis-id': GENESIS_ID,
+      'last-round': state.round,
+      'min-fee': 1000
+    });
+  }
+
+  if (req.method === 'GET' && pathname === '/v2/status') {
+    return sendJson(res, 200, {
+      'catchup-time': 0,
+      'last-round': state.round,
+      'last-version': 'standin',
+      'next-version': 'standin',
+      'next-version-round': state.round + 1,
+      'next-version-supported': true,
+      'stopped-at-unsupported-round': false,
+      'time-since-last-round': 0
+    });
+  }
+
+  if (req.method === 'POST' && pathname === '/v2/transactions') {
+    if (state.failSends > 0) {
+      state.failSends -= 1;
+      return sendJson(res, 503, { message: 'stand-in: simulated send failure' });
+    }
+
+    let signed;
+    try {
+      signed = algosdk.decodeSignedTransaction(await readBody(req));
+    } catch (error) {
+      return sendJson(res, 400, { message: `stand-in: could not decode transaction: ${error.message}` });
+    }
+
+    if (Number(signed.txn.lastValid) < state.round) {
+      return sendJson(res, 400, { message: 'stand-in: transaction is no longer valid' });
+    }
+
+    const tx = toIndexerTransaction(signed);
+    if (state.dropSends > 0) {
+      state.dropSends -= 1;
+      console.log(`↪ dropped ${tx.id}`);
+    } else {
+      state.pending.push(tx);
+      console.log(`↪ accepted ${tx.id}`);
+    }
+    return sendJson(res, 200, { txId: tx.id });
+  }
+
+  sendJson(res, 404, { message: 'stand-in: unsupported algod endpoint' });
+}
+
+function handleIndexer(req, res) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const match = pathname.match(/^\/v2\/transactions\/([A-Z2-7]+)$/);
+
+  if (req.method === 'GET' && match) {
+    const tx = state.confirmed.get(match[1]);
+    return tx
+      ? sendJson(res, 200, { 'current-round': state.round, transaction: tx })
+      : sendJson(res, 404, { message: 'no transaction found for transaction id' });
+  }
+
+  if (req.method === 'GET' && pathname === '/v2/transactions') {
+    const address = searchParams.get('address');
+    const transactions = [...state.confirmed.values()].filter(tx => !address || tx.sender === address);
+    return sendJson(res, 200, { 'current-round': state.round, transactions });
+  }
+
+  sendJson(res, 404, { message: 'stand-in: unsupported indexer endpoint' });
+}
+
+function serveStandin(port) {
+  http.createServer((req, res) => {
+    handleAlgod(req, res).catch(error => sendJson(res, 500, { message: error.message }));
+  }).listen(port);
+
+  http.createServer(handleIndexer).listen(port + 1, () => {
+    console.log('✅ Algorand stand-in running');
+    console.log(`- ALGOLAND_ALGOD_URL=http://localhost:${port}`);
+    console.log(`- ALGOLAND_INDEXER_URL=http://localhost:${port + 1}`);
+    if (state.failSends) console.log(`- Failing the first ${state.failSends} sends`);
+    if (state.dropSends) console.log(`- Dropping the first ${state.dropSends} sends`);
+  });
+}
+
+serveStandin(parseInt(process.argv[2]) || 4020);
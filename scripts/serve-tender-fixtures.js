@@ -0,0 +1,42 @@
+// Serves the sample tender feed and listing page in scripts/fixtures/tenders
+// so the RSS and HTML-table ingestion adapters can be exercised without a real portal.
+//
+// Usage: node scripts/serve-tender-fixtures.js [port]
+//   RSS source:        http://localhost:4010/notices.rss
+//   HTML table source: http://localhost:4010/listing.html
+//   Drop folder:       scripts/fixtures/tenders/drop (no server needed)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'tenders');
+const CONTENT_TYPES = {
+  '.rss': 'application/rss+xml; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.html': 'text/html; charset=utf-8'
+};
+
+function serveFixtures(port) {
+  const server = http.createServer((req, res) => {
+    const requestPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(FIXTURE_DIR, path.normalize(requestPath).replace(/^(\.\.[\/\\])+/, ''));
+
+    if (!filePath.startsWith(FIXTURE_DIR) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'text/plain' });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  server.listen(port, () => {
+    console.log(`✅ Tender fixtures served at http://localhost:${port}`);
+    console.log(`- RSS feed:      http://localhost:${port}/notices.rss`);
+    console.log(`- Listing page:  http://localhost:${port}/listing.html`);
+  });
+}
+
+serveFixtures(parseInt(process.argv[2]) || 4010);
@@ -0,0 +1,69 @@
+/*
+  # Tender Ingestion Pipeline
+
+  1. New Tables
+    - `tender_sources` - Configured external portals/feeds and the adapter used to read them
+    - `ingestion_runs` - Run history for each source (counts, status, errors)
+
+  2. Changes
+    - Add source tracking columns to `tenders` (source, source_url, content_hash, last_seen_at)
+    - Add a unique index on (tender_id, agency) so re-ingested notices are deduplicated
+
+  3. Security
+    - Enable RLS on the new tables
+    - No policies for authenticated users; ingestion runs with the service role only
+*/
+
+-- Registered external sources
+CREATE TABLE IF NOT EXISTS tender_sources (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  adapter text NOT NULL, -- rss, html_table, drop_folder
+  location text NOT NULL, -- Feed/page URL or drop directory path
+  options jsonb DEFAULT '{}'::jsonb, -- Adapter-specific options (field maps, default agency, etc.)
+  enabled boolean DEFAULT true,
+  last_run_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT tender_sources_adapter_check CHECK (adapter IN ('rss', 'html_table', 'drop_folder'))
+);
+
+-- History of ingestion runs
+CREATE TABLE IF NOT EXISTS ingestion_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_id uuid REFERENCES tender_sources(id) ON DELETE CASCADE,
+  status text DEFAULT 'running', -- running, succeeded, partial, failed
+  started_at timestamptz DEFAULT now(),
+  finished_at timestamptz,
+  fetched_count integer DEFAULT 0,
+  inserted_count integer DEFAULT 0,
+  updated_count integer DEFAULT 0,
+  skipped_count integer DEFAULT 0,
+  errors jsonb DEFAULT '[]'::jsonb,
+  CONSTRAINT ingestion_runs_status_check CHECK (status IN ('running', 'succeeded', 'partial', 'failed'))
+);
+
+-- Source tracking on tenders
+ALTER TABLE tenders
+ADD COLUMN IF NOT EXISTS source_id uuid REFERENCES tender_sources(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS source_url text,
+ADD COLUMN IF NOT EXISTS content_hash text,
+ADD COLUMN IF NOT EXISTS last_seen_at timestamptz;
+
+-- Deduplication key for ingested notices
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenders_tender_id_agency ON tenders(tender_id, agency);
+
+-- Enable Row Level Security
+ALTER TABLE tender_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ingestion_runs ENABLE ROW LEVEL SECURITY;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_source_id ON ingestion_runs(source_id);
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_started_at ON ingestion_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tenders_source_id ON tenders(source_id);
+
+-- Triggers for updated_at
+CREATE TRIGGER update_tender_sources_updated_at BEFORE UPDATE ON tender_sources FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN tenders.content_hash IS 'SHA-256 of the normalized notice, used to skip unchanged re-ingested tenders';
+COMMENT ON COLUMN tender_sources.options IS 'Adapter options, e.g. {"agency": "...", "fieldMap": {"Closing Date": "closing_date"}}';
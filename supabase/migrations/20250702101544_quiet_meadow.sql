@@ -0,0 +1,90 @@
+/*
+  # Saved Searches and New-Tender Alerts
+
+  1. New Tables
+    - `saved_searches` - Named tender searches per user (keywords, category, location, budget band, closing window)
+    - `saved_search_alerts` - Tenders already sent to a user for a saved search, so digests never repeat a tender
+
+  2. Security
+    - Enable RLS on both tables
+    - Users can manage their own saved searches and read their own alert history
+    - Alerts are written by the scheduled digest job using the service role
+*/
+
+-- Saved searches
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  keywords text,
+  category text,
+  location text,
+  budget_min numeric,
+  budget_max numeric,
+  closing_within_days integer, -- Only match tenders closing within this many days
+  alert_frequency text DEFAULT 'daily', -- daily, weekly, off
+  last_notified_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT saved_searches_alert_frequency_check CHECK (alert_frequency IN ('daily', 'weekly', 'off'))
+);
+
+-- Tenders already delivered for each saved search
+CREATE TABLE IF NOT EXISTS saved_search_alerts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  saved_search_id uuid REFERENCES saved_searches(id) ON DELETE CASCADE NOT NULL,
+  tender_id uuid REFERENCES tenders(id) ON DELETE CASCADE NOT NULL,
+  notified_at timestamptz DEFAULT now(),
+  CONSTRAINT saved_search_alerts_unique UNIQUE (saved_search_id, tender_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE saved_searches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_search_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Saved searches policies
+CREATE POLICY "Users can read own saved searches"
+  ON saved_searches
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own saved searches"
+  ON saved_searches
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own saved searches"
+  ON saved_searches
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own saved searches"
+  ON saved_searches
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Saved search alerts policies
+CREATE POLICY "Users can read own saved search alerts"
+  ON saved_search_alerts
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM saved_searches
+      WHERE saved_searches.id = saved_search_alerts.saved_search_id
+      AND saved_searches.user_id = auth.uid()
+    )
+  );
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_search_alerts_saved_search_id ON saved_search_alerts(saved_search_id);
+CREATE INDEX IF NOT EXISTS idx_tenders_created_at ON tenders(created_at);
+
+-- Triggers for updated_at
+CREATE TRIGGER update_saved_searches_updated_at BEFORE UPDATE ON saved_searches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
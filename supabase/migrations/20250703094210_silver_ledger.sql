@@ -0,0 +1,46 @@
+/*
+  # Structured Budget Amounts
+
+  1. Changes
+    - Add normalized budget columns to `tenders` (budget_min, budget_max, budget_currency) next to the raw `budget` text
+    - Add normalized budget range columns to `companies` (budget_range_min, budget_range_max, budget_range_currency)
+    - Add `total_value_amount` to `companies`, the parsed form of the free-text `total_value`
+    - Backfill tenders whose budget is a plain "RM 1,234,567" amount (e.g. the seed data)
+
+  2. Notes
+    - Values are parsed by lib/budget.js whenever tenders are ingested or company profiles are saved
+    - Open-ended ranges ("Below RM 500,000") leave one bound NULL
+
+  3. Security
+    - Maintains existing RLS policies
+*/
+
+-- Normalized tender budget
+ALTER TABLE tenders
+ADD COLUMN IF NOT EXISTS budget_min numeric,
+ADD COLUMN IF NOT EXISTS budget_max numeric,
+ADD COLUMN IF NOT EXISTS budget_currency text;
+
+-- Normalized company budget preferences and track record
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS budget_range_min numeric,
+ADD COLUMN IF NOT EXISTS budget_range_max numeric,
+ADD COLUMN IF NOT EXISTS budget_range_currency text,
+ADD COLUMN IF NOT EXISTS total_value_amount numeric;
+
+-- Backfill simple ringgit amounts
+UPDATE tenders
+SET
+  budget_min = regexp_replace(budget, '[^0-9.]', '', 'g')::numeric,
+  budget_max = regexp_replace(budget, '[^0-9.]', '', 'g')::numeric,
+  budget_currency = 'MYR'
+WHERE budget_min IS NULL
+  AND budget ~* '^\s*(RM|MYR)\s*[0-9][0-9,]*(\.[0-9]+)?\s*$';
+
+-- Indexes for budget range filtering
+CREATE INDEX IF NOT EXISTS idx_tenders_budget_min ON tenders(budget_min);
+CREATE INDEX IF NOT EXISTS idx_tenders_budget_max ON tenders(budget_max);
+
+COMMENT ON COLUMN tenders.budget_min IS 'Lower bound of the parsed budget (equal to budget_max for a single amount)';
+COMMENT ON COLUMN tenders.budget_currency IS 'ISO 4217 code of the parsed budget, e.g. MYR';
+COMMENT ON COLUMN companies.total_value_amount IS 'Parsed total value of completed projects, from total_value';
@@ -0,0 +1,152 @@
+/*
+  # Tender Search Functions
+
+  1. New Functions
+    - `filter_tenders` - active tenders matching the search filters (inlined into the functions below)
+    - `search_tenders` - one page of matching tenders with keyset (cursor) pagination
+    - `tender_search_facets` - counts per category, location and agency plus the total for a search
+
+  2. Notes
+    - Full-text matching uses the same expression as `idx_tenders_search` so the GIN index is used
+    - Category and location facets ignore their own filter, so the UI can still offer the alternatives
+    - Sort orders: `newest` (created_at desc), `closing_date` (soonest first, undated last) and `relevance` (ts_rank desc, requires a query)
+    - Each row carries its sort value as text; the API encodes it with the row id into an opaque cursor
+
+  3. Security
+    - Functions run as the caller (SECURITY INVOKER), so existing tenders RLS policies apply
+*/
+
+-- Index for tag filters
+CREATE INDEX IF NOT EXISTS idx_tenders_tags ON tenders USING gin(tags);
+
+-- Matching tenders for a set of filters
+CREATE OR REPLACE FUNCTION filter_tenders(
+  p_query text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_location text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_closing_from timestamptz DEFAULT NULL,
+  p_closing_to timestamptz DEFAULT NULL,
+  p_budget_min numeric DEFAULT NULL,
+  p_budget_max numeric DEFAULT NULL,
+  p_budget_currency text DEFAULT NULL
+)
+RETURNS SETOF tenders
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.*
+  FROM tenders t
+  WHERE t.status = 'active'
+    AND (p_query IS NULL OR to_tsvector('english', t.title || ' ' || t.description || ' ' || t.agency) @@ websearch_to_tsquery('english', p_query))
+    AND (p_category IS NULL OR t.category = p_category)
+    AND (p_location IS NULL OR t.location = p_location)
+    AND (p_tags IS NULL OR t.tags @> p_tags)
+    AND (p_closing_from IS NULL OR t.closing_date >= p_closing_from)
+    AND (p_closing_to IS NULL OR t.closing_date <= p_closing_to)
+    AND (p_budget_min IS NULL OR t.budget_max >= p_budget_min)
+    AND (p_budget_max IS NULL OR t.budget_min <= p_budget_max)
+    AND (p_budget_currency IS NULL OR t.budget_currency = p_budget_currency);
+$$;
+
+-- One page of matching tenders, continuing after (p_after_value, p_after_id) when given
+CREATE OR REPLACE FUNCTION search_tenders(
+  p_query text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_location text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_closing_from timestamptz DEFAULT NULL,
+  p_closing_to timestamptz DEFAULT NULL,
+  p_budget_min numeric DEFAULT NULL,
+  p_budget_max numeric DEFAULT NULL,
+  p_budget_currency text DEFAULT NULL,
+  p_sort text DEFAULT 'newest',
+  p_after_value text DEFAULT NULL,
+  p_after_id uuid DEFAULT NULL,
+  p_limit integer DEFAULT 20
+)
+RETURNS TABLE (tender jsonb, sort_value text)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  IF p_sort = 'closing_date' THEN
+    RETURN QUERY
+      SELECT to_jsonb(t), COALESCE(t.closing_date, 'infinity'::timestamptz)::text
+      FROM filter_tenders(p_query, p_category, p_location, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+      WHERE p_after_id IS NULL
+        OR (COALESCE(t.closing_date, 'infinity'::timestamptz), t.id) > (p_after_value::timestamptz, p_after_id)
+      ORDER BY COALESCE(t.closing_date, 'infinity'::timestamptz), t.id
+      LIMIT p_limit;
+
+  ELSIF p_sort = 'relevance' AND p_query IS NOT NULL THEN
+    RETURN QUERY
+      SELECT ranked.tender, ranked.rank::text
+      FROM (
+        SELECT
+          to_jsonb(t) AS tender,
+          t.id,
+          ts_rank(to_tsvector('english', t.title || ' ' || t.description || ' ' || t.agency), websearch_to_tsquery('english', p_query)) AS rank
+        FROM filter_tenders(p_query, p_category, p_location, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+      ) ranked
+      WHERE p_after_id IS NULL
+        OR (ranked.rank, ranked.id) < (p_after_value::real, p_after_id)
+      ORDER BY ranked.rank DESC, ranked.id DESC
+      LIMIT p_limit;
+
+  ELSE
+    RETURN QUERY
+      SELECT to_jsonb(t), t.created_at::text
+      FROM filter_tenders(p_query, p_category, p_location, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+      WHERE p_after_id IS NULL
+        OR (t.created_at, t.id) < (p_after_value::timestamptz, p_after_id)
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT p_limit;
+  END IF;
+END;
+$$;
+
+-- Facet counts for a search
+CREATE OR REPLACE FUNCTION tender_search_facets(
+  p_query text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_location text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_closing_from timestamptz DEFAULT NULL,
+  p_closing_to timestamptz DEFAULT NULL,
+  p_budget_min numeric DEFAULT NULL,
+  p_budget_max numeric DEFAULT NULL,
+  p_budget_currency text DEFAULT NULL
+)
+RETURNS TABLE (facet text, value text, count bigint)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH base AS (
+    SELECT t.category, t.location, t.agency
+    FROM filter_tenders(p_query, NULL, NULL, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+  )
+  SELECT 'total', NULL, count(*)
+  FROM base
+  WHERE (p_category IS NULL OR category = p_category)
+    AND (p_location IS NULL OR location = p_location)
+  UNION ALL
+  SELECT 'category', category, count(*)
+  FROM base
+  WHERE category IS NOT NULL
+    AND (p_location IS NULL OR location = p_location)
+  GROUP BY category
+  UNION ALL
+  SELECT 'location', location, count(*)
+  FROM base
+  WHERE location IS NOT NULL
+    AND (p_category IS NULL OR category = p_category)
+  GROUP BY location
+  UNION ALL
+  SELECT 'agency', agency, count(*)
+  FROM base
+  WHERE agency IS NOT NULL
+    AND (p_category IS NULL OR category = p_category)
+    AND (p_location IS NULL OR location = p_location)
+  GROUP BY agency;
+$$;
@@ -0,0 +1,100 @@
+/*
+  # Proposal Templates
+
+  1. New Tables
+    - `proposal_templates` - Reusable proposal layouts per company
+      - `title` - Document title, may contain placeholders (e.g. "Proposal for {{tender.title}}")
+      - `sections` - Ordered list of { heading, type, content } where type is
+        `boilerplate` (content is filled from placeholders) or `generated` (content holds instructions for the AI)
+      - `categories` - Tender categories the template is used for
+      - `is_default` - Used when no template matches the tender's category
+
+  2. Changes
+    - Add `template_id` to `proposals` to record which template produced a draft
+
+  3. Security
+    - Enable RLS on `proposal_templates`
+    - Users can manage templates belonging to their own company
+*/
+
+-- Proposal templates
+CREATE TABLE IF NOT EXISTS proposal_templates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id uuid REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  description text,
+  title text DEFAULT 'Proposal for {{tender.title}}',
+  sections jsonb NOT NULL DEFAULT '[]'::jsonb,
+  categories text[] DEFAULT '{}',
+  is_default boolean DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Record the template used for each proposal
+ALTER TABLE proposals
+ADD COLUMN IF NOT EXISTS template_id uuid REFERENCES proposal_templates(id) ON DELETE SET NULL;
+
+-- Enable Row Level Security
+ALTER TABLE proposal_templates ENABLE ROW LEVEL SECURITY;
+
+-- Proposal templates policies
+CREATE POLICY "Users can read own company templates"
+  ON proposal_templates
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND companies.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert own company templates"
+  ON proposal_templates
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND companies.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update own company templates"
+  ON proposal_templates
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND companies.user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND companies.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete own company templates"
+  ON proposal_templates
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND companies.user_id = auth.uid()
+    )
+  );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_proposal_templates_company_id ON proposal_templates(company_id);
+CREATE INDEX IF NOT EXISTS idx_proposal_templates_categories ON proposal_templates USING gin(categories);
+CREATE INDEX IF NOT EXISTS idx_proposals_template_id ON proposals(template_id);
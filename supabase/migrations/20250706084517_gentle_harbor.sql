@@ -0,0 +1,51 @@
+/*
+  # Proposal Version History
+
+  1. Changes
+    - Add `kind` to `proposal_versions`
+      - `autosave` - Created by saving a draft; consecutive autosaves are coalesced into one row
+      - `checkpoint` - Named version created by the user, never coalesced
+      - `restore` - Created when a previous version is restored
+    - Add `label` for checkpoint names
+    - Add `restored_from` to record which version a restore copied
+    - Add `updated_at`, bumped when an autosave row is coalesced
+    - Backfill existing rows as autosaves
+
+  2. Indexes
+    - Versions by proposal in version order
+
+  3. Security
+    - Users can update versions of their own proposals (autosave coalescing)
+*/
+
+ALTER TABLE proposal_versions
+ADD COLUMN IF NOT EXISTS kind text NOT NULL DEFAULT 'autosave'
+  CHECK (kind IN ('autosave', 'checkpoint', 'restore')),
+ADD COLUMN IF NOT EXISTS label text,
+ADD COLUMN IF NOT EXISTS restored_from uuid REFERENCES proposal_versions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+-- Existing rows were all written by saveDraft and default to autosaves; keep their original timestamps
+UPDATE proposal_versions SET updated_at = created_at;
+
+CREATE POLICY "Users can update own proposal versions"
+  ON proposal_versions
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM proposals
+      WHERE proposals.id = proposal_versions.proposal_id
+      AND proposals.user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM proposals
+      WHERE proposals.id = proposal_versions.proposal_id
+      AND proposals.user_id = auth.uid()
+    )
+  );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_proposal_versions_proposal_version ON proposal_versions(proposal_id, version DESC);
@@ -0,0 +1,414 @@
+/*
+  # Organizations, Members and Roles
+
+  1. New Tables
+    - `organizations` - Company workspaces shared by a bid team
+    - `organization_members` - Users in an organization with a role
+      - `owner` - Manages members and invitations, edits everything
+      - `editor` - Edits the company profile, proposals and templates
+      - `reviewer` - Reads everything and reviews proposals
+      - `viewer` - Read only
+    - `organization_invitations` - Email invitations; only a SHA-256 hash of the invitation token is stored
+
+  2. Changes
+    - Add `organization_id` to `companies` (one company profile per organization), `proposals` and `attestations`
+    - Drop the one-company-per-user constraint; `companies.user_id` now records who last saved the profile
+    - Add `active_organization_id` to `user_profiles`
+    - Backfill: every existing user gets an organization named after their company, with themselves as owner,
+      and their company, proposals and attestations move into it
+
+  3. Functions
+    - `ensure_personal_organization` - Gives a user with no memberships their own organization;
+      serialized per user so parallel first requests cannot create duplicates
+
+  4. Security
+    - `is_organization_member` helper (SECURITY DEFINER, so policies on `organization_members` do not recurse)
+    - Replace the per-user policies on `companies`, `proposals`, `proposal_versions`, `attestations`
+      and `proposal_templates` with membership-based policies
+    - Members can read their organization's data; owners and editors can change it; owners manage members
+*/
+
+-- Organizations
+CREATE TABLE IF NOT EXISTS organizations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Organization members
+CREATE TABLE IF NOT EXISTS organization_members (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  role text NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'reviewer', 'viewer')),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (organization_id, user_id)
+);
+
+-- Organization invitations
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  email text NOT NULL,
+  role text NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'reviewer', 'viewer')),
+  token_hash text NOT NULL UNIQUE,
+  invited_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  accepted_at timestamptz,
+  accepted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Scope existing data to organizations
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE;
+
+ALTER TABLE companies DROP CONSTRAINT IF EXISTS companies_user_id_unique;
+ALTER TABLE companies ADD CONSTRAINT companies_organization_id_unique UNIQUE (organization_id);
+
+ALTER TABLE proposals
+ADD COLUMN IF NOT EXISTS organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE;
+
+ALTER TABLE attestations
+ADD COLUMN IF NOT EXISTS organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE;
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS active_organization_id uuid REFERENCES organizations(id) ON DELETE SET NULL;
+
+-- Backfill: one organization per existing user, named after their company
+INSERT INTO organizations (name, created_by)
+SELECT COALESCE(companies.name, 'My Organization'), owners.user_id
+FROM (
+  SELECT user_id FROM companies
+  UNION
+  SELECT user_id FROM proposals
+  UNION
+  SELECT user_id FROM attestations
+) owners
+LEFT JOIN companies ON companies.user_id = owners.user_id
+WHERE owners.user_id IS NOT NULL;
+
+INSERT INTO organization_members (organization_id, user_id, role)
+SELECT id, created_by, 'owner'
+FROM organizations
+WHERE created_by IS NOT NULL
+ON CONFLICT (organization_id, user_id) DO NOTHING;
+
+UPDATE companies
+SET organization_id = organizations.id
+FROM organizations
+WHERE organizations.created_by = companies.user_id
+AND companies.organization_id IS NULL;
+
+UPDATE proposals
+SET organization_id = organizations.id
+FROM organizations
+WHERE organizations.created_by = proposals.user_id
+AND proposals.organization_id IS NULL;
+
+UPDATE attestations
+SET organization_id = organizations.id
+FROM organizations
+WHERE organizations.created_by = attestations.user_id
+AND attestations.organization_id IS NULL;
+
+UPDATE user_profiles
+SET active_organization_id = organizations.id
+FROM organizations
+WHERE organizations.created_by = user_profiles.user_id
+AND user_profiles.active_organization_id IS NULL;
+
+-- Membership check used by the policies below
+CREATE OR REPLACE FUNCTION is_organization_member(p_organization_id uuid, p_roles text[] DEFAULT NULL)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM organization_members
+    WHERE organization_members.organization_id = p_organization_id
+    AND organization_members.user_id = auth.uid()
+    AND (p_roles IS NULL OR organization_members.role = ANY (p_roles))
+  );
+$$;
+
+-- Personal organization for users who are not in any organization yet
+CREATE OR REPLACE FUNCTION ensure_personal_organization(p_user_id uuid, p_name text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_organization_id uuid;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('personal_organization:' || p_user_id::text));
+
+  SELECT organization_id INTO v_organization_id
+  FROM organization_members
+  WHERE user_id = p_user_id
+  ORDER BY created_at
+  LIMIT 1;
+
+  IF v_organization_id IS NOT NULL THEN
+    RETURN v_organization_id;
+  END IF;
+
+  INSERT INTO organizations (name, created_by)
+  VALUES (p_name, p_user_id)
+  RETURNING id INTO v_organization_id;
+
+  INSERT INTO organization_members (organization_id, user_id, role)
+  VALUES (v_organization_id, p_user_id, 'owner');
+
+  INSERT INTO user_profiles (user_id, active_organization_id)
+  VALUES (p_user_id, v_organization_id)
+  ON CONFLICT (user_id) DO UPDATE
+  SET active_organization_id = COALESCE(user_profiles.active_organization_id, EXCLUDED.active_organization_id);
+
+  RETURN v_organization_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ensure_personal_organization(uuid, text) FROM PUBLIC, anon, authenticated;
+
+-- Enable Row Level Security
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Organizations policies
+CREATE POLICY "Members can read their organizations"
+  ON organizations
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(id));
+
+CREATE POLICY "Users can create organizations"
+  ON organizations
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = created_by);
+
+CREATE POLICY "Owners can update their organizations"
+  ON organizations
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(id, ARRAY['owner']))
+  WITH CHECK (is_organization_member(id, ARRAY['owner']));
+
+-- Organization members policies
+CREATE POLICY "Members can read fellow members"
+  ON organization_members
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Owners can add members"
+  ON organization_members
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner']));
+
+CREATE POLICY "Owners can change member roles"
+  ON organization_members
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner']))
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner']));
+
+CREATE POLICY "Owners can remove members, members can leave"
+  ON organization_members
+  FOR DELETE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner']) OR auth.uid() = user_id);
+
+-- Organization invitations policies
+CREATE POLICY "Owners can read invitations"
+  ON organization_invitations
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner']));
+
+CREATE POLICY "Owners can create invitations"
+  ON organization_invitations
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner']));
+
+CREATE POLICY "Owners can revoke invitations"
+  ON organization_invitations
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner']))
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner']));
+
+-- Companies policies
+DROP POLICY IF EXISTS "Users can read own company data" ON companies;
+DROP POLICY IF EXISTS "Users can insert own company data" ON companies;
+DROP POLICY IF EXISTS "Users can update own company data" ON companies;
+
+CREATE POLICY "Members can read organization company"
+  ON companies
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Editors can insert organization company"
+  ON companies
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+CREATE POLICY "Editors can update organization company"
+  ON companies
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']))
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+-- Proposals policies
+DROP POLICY IF EXISTS "Users can read own proposals" ON proposals;
+DROP POLICY IF EXISTS "Users can insert own proposals" ON proposals;
+DROP POLICY IF EXISTS "Users can update own proposals" ON proposals;
+
+CREATE POLICY "Members can read organization proposals"
+  ON proposals
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Editors can insert organization proposals"
+  ON proposals
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+CREATE POLICY "Editors can update organization proposals"
+  ON proposals
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']))
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+CREATE POLICY "Editors can delete organization proposals"
+  ON proposals
+  FOR DELETE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+-- Proposal versions policies
+DROP POLICY IF EXISTS "Users can read own proposal versions" ON proposal_versions;
+DROP POLICY IF EXISTS "Users can insert own proposal versions" ON proposal_versions;
+DROP POLICY IF EXISTS "Users can update own proposal versions" ON proposal_versions;
+
+CREATE POLICY "Members can read organization proposal versions"
+  ON proposal_versions
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM proposals
+      WHERE proposals.id = proposal_versions.proposal_id
+      AND is_organization_member(proposals.organization_id)
+    )
+  );
+
+CREATE POLICY "Editors can insert organization proposal versions"
+  ON proposal_versions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM proposals
+      WHERE proposals.id = proposal_versions.proposal_id
+      AND is_organization_member(proposals.organization_id, ARRAY['owner', 'editor'])
+    )
+  );
+
+CREATE POLICY "Editors can update organization proposal versions"
+  ON proposal_versions
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM proposals
+      WHERE proposals.id = proposal_versions.proposal_id
+      AND is_organization_member(proposals.organization_id, ARRAY['owner', 'editor'])
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM proposals
+      WHERE proposals.id = proposal_versions.proposal_id
+      AND is_organization_member(proposals.organization_id, ARRAY['owner', 'editor'])
+    )
+  );
+
+-- Attestations policies
+DROP POLICY IF EXISTS "Users can read own attestations" ON attestations;
+DROP POLICY IF EXISTS "Users can insert own attestations" ON attestations;
+
+CREATE POLICY "Members can read organization attestations"
+  ON attestations
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Editors can insert organization attestations"
+  ON attestations
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+-- Proposal templates policies
+DROP POLICY IF EXISTS "Users can read own company templates" ON proposal_templates;
+DROP POLICY IF EXISTS "Users can insert own company templates" ON proposal_templates;
+DROP POLICY IF EXISTS "Users can update own company templates" ON proposal_templates;
+DROP POLICY IF EXISTS "Users can delete own company templates" ON proposal_templates;
+
+CREATE POLICY "Members can read organization templates"
+  ON proposal_templates
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND is_organization_member(companies.organization_id)
+    )
+  );
+
+CREATE POLICY "Editors can manage organization templates"
+  ON proposal_templates
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND is_organization_member(companies.organization_id, ARRAY['owner', 'editor'])
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM companies
+      WHERE companies.id = proposal_templates.company_id
+      AND is_organization_member(companies.organization_id, ARRAY['owner', 'editor'])
+    )
+  );
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization_id ON organization_invitations(organization_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_pending_email
+  ON organization_invitations(organization_id, lower(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_proposals_organization_id ON proposals(organization_id);
+CREATE INDEX IF NOT EXISTS idx_attestations_organization_id ON attestations(organization_id);
@@ -0,0 +1,100 @@
+/*
+  # Proposal Review and Approval
+
+  1. New Tables
+    - `proposal_status_events` - Every status change of a proposal, with who made it, the assigned reviewer and an optional note
+    - `proposal_review_comments` - Review comments anchored to a Markdown section of the proposal
+      - `section_anchor` - Slug of the section heading (NULL for comments on the whole proposal)
+      - `section_heading` - Heading text when the comment was written, kept so comments on removed sections stay readable
+      - `quote` - Optional excerpt the comment refers to
+
+  2. Changes
+    - Constrain `proposals.status` to the workflow states
+      - `draft` -> `in_review` -> `approved` -> `submitted`, with `changes_requested` sending a proposal back to its authors
+      - `won` and `lost` are kept for submitted proposals
+    - Add `reviewer_id` to `proposals`
+    - Backfill a status event for proposals that were already submitted
+
+  3. Security
+    - Members can read their organization's status history and review comments
+    - Owners, editors and reviewers can add and resolve comments
+    - Status events are only written by the API (service role)
+*/
+
+ALTER TABLE proposals
+ADD COLUMN IF NOT EXISTS reviewer_id uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+
+ALTER TABLE proposals
+ADD CONSTRAINT proposals_status_check
+CHECK (status IN ('draft', 'in_review', 'changes_requested', 'approved', 'submitted', 'won', 'lost'));
+
+-- Proposal status history
+CREATE TABLE IF NOT EXISTS proposal_status_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id uuid REFERENCES proposals(id) ON DELETE CASCADE NOT NULL,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  from_status text,
+  to_status text NOT NULL,
+  actor_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewer_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  note text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Review comments
+CREATE TABLE IF NOT EXISTS proposal_review_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id uuid REFERENCES proposals(id) ON DELETE CASCADE NOT NULL,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  section_anchor text,
+  section_heading text,
+  quote text,
+  body text NOT NULL CHECK (char_length(body) BETWEEN 1 AND 4000),
+  resolved_at timestamptz,
+  resolved_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Submitted proposals predate the workflow; record how they got there
+INSERT INTO proposal_status_events (proposal_id, organization_id, from_status, to_status, actor_id, note, created_at)
+SELECT id, organization_id, 'draft', status, user_id, 'Submitted before review was required', COALESCE(submission_date, updated_at, now())
+FROM proposals
+WHERE status IN ('submitted', 'won', 'lost');
+
+ALTER TABLE proposal_status_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE proposal_review_comments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can read proposal status history"
+  ON proposal_status_events
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Members can read review comments"
+  ON proposal_review_comments
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Contributors can add review comments"
+  ON proposal_review_comments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = user_id
+    AND is_organization_member(organization_id, ARRAY['owner', 'editor', 'reviewer'])
+  );
+
+CREATE POLICY "Contributors can resolve review comments"
+  ON proposal_review_comments
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor', 'reviewer']))
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor', 'reviewer']));
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_proposals_reviewer_id ON proposals(reviewer_id);
+CREATE INDEX IF NOT EXISTS idx_proposal_status_events_proposal ON proposal_status_events(proposal_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_proposal_review_comments_proposal ON proposal_review_comments(proposal_id, created_at);
@@ -0,0 +1,32 @@
+/*
+  # Proposal Outcomes
+
+  1. Changes
+    - Add award outcome fields to `proposals`, recorded once a submitted proposal is decided
+      - `bid_amount` - Price we submitted
+      - `estimated_cost` - Our estimated cost of delivery, used for the margin on won bids
+      - `awarded_amount` - Contract value awarded (to us, or to the winner when lost)
+      - `outcome_currency` - ISO currency of the three amounts
+      - `winner_name` - Competitor that won, when lost
+      - `debrief_notes` - Feedback from the agency debrief
+      - `outcome_recorded_at`, `outcome_recorded_by` - Who recorded the outcome and when
+    - Amounts must not be negative
+
+  2. Indexes
+    - Decided proposals by organization for reputation metrics
+*/
+
+ALTER TABLE proposals
+ADD COLUMN IF NOT EXISTS bid_amount numeric CHECK (bid_amount >= 0),
+ADD COLUMN IF NOT EXISTS estimated_cost numeric CHECK (estimated_cost >= 0),
+ADD COLUMN IF NOT EXISTS awarded_amount numeric CHECK (awarded_amount >= 0),
+ADD COLUMN IF NOT EXISTS outcome_currency text,
+ADD COLUMN IF NOT EXISTS winner_name text,
+ADD COLUMN IF NOT EXISTS debrief_notes text,
+ADD COLUMN IF NOT EXISTS outcome_recorded_at timestamptz,
+ADD COLUMN IF NOT EXISTS outcome_recorded_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN proposals.status IS 'draft, in_review, changes_requested, approved, submitted, won, lost';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_proposals_organization_status ON proposals(organization_id, status);
@@ -0,0 +1,34 @@
+/*
+  # Attestation Content Hashes
+
+  1. Changes
+    - Add to `attestations`
+      - `content_hash` - SHA-256 of the submitted proposal content (line endings normalized, trimmed)
+      - `file_hash` - SHA-256 of the PDF generated at submission
+      - `file_format` - Format of that file
+      - `file_path` - Path of that file in the `submissions` bucket
+    - Both hashes are also written to the Algorand transaction note, so anyone can check a copy
+      of a proposal against the chain
+    - Hashes must be lowercase hex SHA-256 digests
+
+  2. Storage
+    - Private `submissions` bucket for the submitted PDFs; members download them through the API
+
+  3. Indexes
+    - Lookups by content hash and file hash for public verification
+*/
+
+ALTER TABLE attestations
+ADD COLUMN IF NOT EXISTS content_hash text CHECK (content_hash ~ '^[a-f0-9]{64}$'),
+ADD COLUMN IF NOT EXISTS file_hash text CHECK (file_hash ~ '^[a-f0-9]{64}$'),
+ADD COLUMN IF NOT EXISTS file_format text,
+ADD COLUMN IF NOT EXISTS file_path text;
+
+-- Storage
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('submissions', 'submissions', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_attestations_content_hash ON attestations(content_hash);
+CREATE INDEX IF NOT EXISTS idx_attestations_file_hash ON attestations(file_hash);
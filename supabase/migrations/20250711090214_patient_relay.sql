@@ -0,0 +1,61 @@
+/*
+  # Attestation Queue
+
+  1. Changes
+    - `attestations` rows double as the queue of blockchain transactions to send and confirm
+      - `status` - queued (waiting to be sent), sent (waiting for confirmation), confirmed, failed (gave up)
+      - `tx_id` - Now NULL until a transaction is sent, instead of the 'pending' placeholder
+      - `attempts` - Number of send attempts
+      - `next_attempt_at` - When the reconciler next sends or checks the row; NULL once confirmed or failed
+      - `last_error` - Error from the last send or check
+      - `sent_at`, `last_valid_round` - When the current transaction was sent and the last round it can confirm in
+      - `confirmed_round`, `confirmed_at` - Round and round time the transaction was confirmed in
+      - `last_checked_at` - When the indexer was last asked about the transaction
+    - Existing rows are migrated: placeholder rows are queued for a retry, and confirmed rows are checked
+      once to fill in their confirmed round
+
+  2. Indexes
+    - Due rows for the reconciler
+*/
+
+ALTER TABLE attestations
+ALTER COLUMN tx_id DROP NOT NULL,
+ALTER COLUMN status SET DEFAULT 'queued',
+ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz,
+ADD COLUMN IF NOT EXISTS last_error text,
+ADD COLUMN IF NOT EXISTS sent_at timestamptz,
+ADD COLUMN IF NOT EXISTS last_valid_round bigint,
+ADD COLUMN IF NOT EXISTS confirmed_round bigint,
+ADD COLUMN IF NOT EXISTS confirmed_at timestamptz,
+ADD COLUMN IF NOT EXISTS last_checked_at timestamptz;
+
+-- Submissions whose transaction never went out are retried
+UPDATE attestations
+SET tx_id = NULL,
+    status = 'queued',
+    next_attempt_at = now(),
+    last_error = metadata->>'blockchain_error'
+WHERE tx_id = 'pending';
+
+-- Anything else that is not confirmed has a transaction ID to check
+UPDATE attestations
+SET status = 'sent',
+    next_attempt_at = now()
+WHERE tx_id IS NOT NULL
+AND status IS DISTINCT FROM 'confirmed';
+
+-- Confirmed rows are checked once to record their round
+UPDATE attestations
+SET next_attempt_at = now()
+WHERE status = 'confirmed'
+AND confirmed_round IS NULL;
+
+ALTER TABLE attestations
+ADD CONSTRAINT attestations_status_check CHECK (status IN ('queued', 'sent', 'confirmed', 'failed'));
+
+COMMENT ON COLUMN attestations.status IS 'queued, sent, confirmed, failed';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_attestations_next_attempt_at ON attestations(next_attempt_at)
+WHERE next_attempt_at IS NOT NULL;
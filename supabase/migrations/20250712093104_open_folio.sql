@@ -0,0 +1,134 @@
+/*
+  # Tender Documents
+
+  1. New Tables
+    - `tender_documents` - Files attached to a tender (the bid document, specifications, addenda)
+      - `storage_path` - Path of the file in the `tender-documents` bucket
+      - `file_hash` - SHA-256 of the file, so the same file is not attached to a tender twice
+      - `status` - processing (text being extracted), ready, failed (`error` says why)
+      - `page_count` - Pages in a PDF (NULL for DOCX)
+      - `organization_id`, `uploaded_by` - Who attached the file; tender documents are shared by every organization
+    - `tender_document_chunks` - Extracted text split into passages for retrieval
+      - `page` - PDF page the passage comes from (NULL for DOCX)
+      - `search_vector` - Generated full-text vector used to pick the passages sent to the AI
+
+  2. Changes
+    - Drop `tenders.documents`, which nothing wrote; tender documents now live in `tender_documents`
+
+  3. New Functions
+    - `match_tender_document_chunks` - Best matching passages of a tender's ready documents for a query;
+      any query word may match, ranked with ts_rank
+
+  4. Storage
+    - Private `tender-documents` bucket; members download files through the API
+
+  5. Security
+    - Signed-in users can read tender documents and their passages
+    - Owners and editors can attach documents; only the attaching organization can remove them
+*/
+
+CREATE TABLE IF NOT EXISTS tender_documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tender_id uuid NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE SET NULL,
+  uploaded_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  file_name text NOT NULL,
+  content_type text NOT NULL,
+  file_size integer NOT NULL,
+  file_hash text NOT NULL CHECK (file_hash ~ '^[a-f0-9]{64}$'),
+  storage_path text NOT NULL,
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'ready', 'failed')),
+  error text,
+  page_count integer,
+  chunk_count integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now(),
+  processed_at timestamptz,
+  UNIQUE (tender_id, file_hash)
+);
+
+CREATE TABLE IF NOT EXISTS tender_document_chunks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id uuid NOT NULL REFERENCES tender_documents(id) ON DELETE CASCADE,
+  tender_id uuid NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  chunk_index integer NOT NULL,
+  page integer,
+  content text NOT NULL,
+  search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+  UNIQUE (document_id, chunk_index)
+);
+
+ALTER TABLE tenders DROP COLUMN IF EXISTS documents;
+
+-- Best matching passages for a query; words are OR-ed so a long query still finds partial matches
+CREATE OR REPLACE FUNCTION match_tender_document_chunks(
+  p_tender_id uuid,
+  p_query text,
+  p_limit integer DEFAULT 6
+)
+RETURNS TABLE (
+  id uuid,
+  document_id uuid,
+  file_name text,
+  page integer,
+  chunk_index integer,
+  content text,
+  rank real
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT replace(plainto_tsquery('english', p_query)::text, '&', '|')::tsquery AS query
+  )
+  SELECT c.id, c.document_id, d.file_name, c.page, c.chunk_index, c.content,
+         ts_rank(c.search_vector, q.query) AS rank
+  FROM tender_document_chunks c
+  JOIN tender_documents d ON d.id = c.document_id
+  CROSS JOIN q
+  WHERE c.tender_id = p_tender_id
+    AND d.status = 'ready'
+    AND c.search_vector @@ q.query
+  ORDER BY rank DESC, d.created_at, c.chunk_index
+  LIMIT p_limit;
+$$;
+
+-- Storage
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('tender-documents', 'tender-documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Enable Row Level Security
+ALTER TABLE tender_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tender_document_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Signed-in users can read tender documents"
+  ON tender_documents
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Signed-in users can read tender document passages"
+  ON tender_document_chunks
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Contributors can attach tender documents"
+  ON tender_documents
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = uploaded_by
+    AND is_organization_member(organization_id, ARRAY['owner', 'editor'])
+  );
+
+CREATE POLICY "Contributors can remove their organization's tender documents"
+  ON tender_documents
+  FOR DELETE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_tender_documents_tender_id ON tender_documents(tender_id);
+CREATE INDEX IF NOT EXISTS idx_tender_document_chunks_tender_id ON tender_document_chunks(tender_id);
+CREATE INDEX IF NOT EXISTS idx_tender_document_chunks_search ON tender_document_chunks USING gin(search_vector);
@@ -0,0 +1,48 @@
+/*
+  # Tender Requirements
+
+  1. New Tables
+    - `tender_requirements` - Typed requirements extracted from a tender's listing and attached documents
+      - `type` - grade, certification, experience, financial, personnel, document or other
+      - `threshold` - What the requirement asks for, shaped by type, e.g. {"scheme": "CIDB", "grade": 7},
+        {"years": 5}, {"measure": "paid_up_capital", "amount": 1000000, "currency": "MYR"},
+        {"role": "Project Manager", "count": 1, "years": 10}
+      - `mandatory` - False for requirements the tender only prefers
+      - `source` - listing (tender description) or document (attached tender documents)
+      - `source_reference` - Where in the source the requirement was found, e.g. "Bid document.pdf, p. 4"
+
+  2. Changes
+    - `tenders.requirements_extracted_at` - When requirements were last extracted; NULL until the first extraction
+
+  3. Security
+    - Requirements are shared like tender documents: signed-in users can read them
+    - They are written by the API after extraction
+*/
+
+CREATE TABLE IF NOT EXISTS tender_requirements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tender_id uuid NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  position integer NOT NULL,
+  type text NOT NULL CHECK (type IN ('grade', 'certification', 'experience', 'financial', 'personnel', 'document', 'other')),
+  description text NOT NULL,
+  threshold jsonb NOT NULL DEFAULT '{}'::jsonb,
+  mandatory boolean NOT NULL DEFAULT true,
+  source text NOT NULL DEFAULT 'listing' CHECK (source IN ('listing', 'document')),
+  source_reference text,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (tender_id, position)
+);
+
+ALTER TABLE tenders ADD COLUMN IF NOT EXISTS requirements_extracted_at timestamptz;
+
+-- Enable Row Level Security
+ALTER TABLE tender_requirements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Signed-in users can read tender requirements"
+  ON tender_requirements
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_tender_requirements_tender_id ON tender_requirements(tender_id);
@@ -0,0 +1,39 @@
+/*
+  # Credential Expiry Alerts
+
+  1. New Tables
+    - `credential_expiry_alerts` - Warnings sent about an organization's expiring credentials
+      (CIDB registration, contractor licence, certifications in `companies.custom_certifications`)
+      - `credential_key` - `cidb`, `license` or `certification:<name>`
+      - `expires_on` - Expiry date the warning was about; renewing a credential starts its warnings afresh
+      - `window_days` - Warning window that was reached (e.g. 90, 30, 7; 0 once expired)
+      - `recipients` - Number of owners and editors the warning was emailed to
+
+  2. Security
+    - Members of the organization can read its alerts
+    - Alerts are written by the scheduled expiry job with the service role
+*/
+
+CREATE TABLE IF NOT EXISTS credential_expiry_alerts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  credential_key text NOT NULL,
+  credential_label text NOT NULL,
+  expires_on date NOT NULL,
+  window_days integer NOT NULL CHECK (window_days >= 0),
+  recipients integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (organization_id, credential_key, expires_on, window_days)
+);
+
+-- Enable Row Level Security
+ALTER TABLE credential_expiry_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can read their organization's expiry alerts"
+  ON credential_expiry_alerts
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_credential_expiry_alerts_organization_id ON credential_expiry_alerts(organization_id);
@@ -0,0 +1,121 @@
+/*
+  # Company Document Vault
+
+  1. New Tables
+    - `company_documents` - Compliance documents an organization keeps on file (registration certificates,
+      tax clearance, licences, certifications, insurance, financial statements, CVs)
+      - `document_type` - Kind of document, see DOCUMENT_TYPES in lib/companyDocuments.js
+      - `title`, `issuer`, `issued_on`, `expires_on` - Details entered when uploading; all but the title are optional
+      - `checksum` - SHA-256 of the file, so the same file is not stored twice for an organization
+      - `storage_path` - Path of the file in the `company-documents` bucket
+    - `proposal_attachments` - Vault documents included in a proposal's submission package
+      - A vault document cannot be deleted while it is attached to a proposal
+
+  2. Changes
+    - Drop `companies.document_uploads`, which nothing wrote; uploaded documents now live in `company_documents`
+
+  3. Storage
+    - Private `company-documents` bucket; members download files through the API
+
+  4. Security
+    - Members of the organization can read its vault and proposal attachments
+    - Owners and editors can upload, update and delete vault documents and attach them to proposals
+*/
+
+CREATE TABLE IF NOT EXISTS company_documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  uploaded_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  document_type text NOT NULL DEFAULT 'other' CHECK (document_type IN (
+    'company_registration', 'tax_clearance', 'cidb_certificate', 'license', 'certification',
+    'insurance', 'financial_statement', 'safety', 'personnel_cv', 'other'
+  )),
+  title text NOT NULL,
+  issuer text,
+  issued_on date,
+  expires_on date,
+  file_name text NOT NULL,
+  content_type text NOT NULL,
+  file_size integer NOT NULL,
+  checksum text NOT NULL CHECK (checksum ~ '^[a-f0-9]{64}$'),
+  storage_path text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (organization_id, checksum),
+  CHECK (expires_on IS NULL OR issued_on IS NULL OR expires_on >= issued_on)
+);
+
+CREATE TABLE IF NOT EXISTS proposal_attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id uuid NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  document_id uuid NOT NULL REFERENCES company_documents(id) ON DELETE RESTRICT,
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  attached_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (proposal_id, document_id)
+);
+
+ALTER TABLE companies DROP COLUMN IF EXISTS document_uploads;
+
+-- Storage
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('company-documents', 'company-documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Enable Row Level Security
+ALTER TABLE company_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE proposal_attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can read their organization's documents"
+  ON company_documents
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Contributors can upload documents"
+  ON company_documents
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = uploaded_by
+    AND is_organization_member(organization_id, ARRAY['owner', 'editor'])
+  );
+
+CREATE POLICY "Contributors can update their organization's documents"
+  ON company_documents
+  FOR UPDATE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']))
+  WITH CHECK (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+CREATE POLICY "Contributors can delete their organization's documents"
+  ON company_documents
+  FOR DELETE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+CREATE POLICY "Members can read their organization's proposal attachments"
+  ON proposal_attachments
+  FOR SELECT
+  TO authenticated
+  USING (is_organization_member(organization_id));
+
+CREATE POLICY "Contributors can attach documents to proposals"
+  ON proposal_attachments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = attached_by
+    AND is_organization_member(organization_id, ARRAY['owner', 'editor'])
+  );
+
+CREATE POLICY "Contributors can detach documents from proposals"
+  ON proposal_attachments
+  FOR DELETE
+  TO authenticated
+  USING (is_organization_member(organization_id, ARRAY['owner', 'editor']));
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_company_documents_organization_id ON company_documents(organization_id);
+CREATE INDEX IF NOT EXISTS idx_proposal_attachments_proposal_id ON proposal_attachments(proposal_id);
+CREATE INDEX IF NOT EXISTS idx_proposal_attachments_document_id ON proposal_attachments(document_id);
@@ -0,0 +1,47 @@
+/*
+  # Voice Summaries
+
+  1. New Tables
+    - `voice_summaries` - Spoken AI summary of a tender, one per tender and language
+      - `language` - en (English) or ms (Bahasa Malaysia)
+      - `summary` - Text that was read out
+      - `source_hash` - SHA-256 of what the audio was made from (tender, its documents, TTS provider and voice);
+        audio is generated again when it changes
+      - `provider`, `voice` - TTS provider and voice that produced the audio
+      - `storage_path` - Path of the audio in the `voice-summaries` bucket
+
+  2. Storage
+    - Private `voice-summaries` bucket; users play summaries through the API
+
+  3. Security
+    - Signed-in users can read voice summaries; they are written by the server only
+*/
+
+CREATE TABLE IF NOT EXISTS voice_summaries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tender_id uuid NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  language text NOT NULL CHECK (language IN ('en', 'ms')),
+  summary text NOT NULL,
+  source_hash text NOT NULL CHECK (source_hash ~ '^[a-f0-9]{64}$'),
+  provider text NOT NULL,
+  voice text NOT NULL,
+  content_type text NOT NULL,
+  file_size integer NOT NULL,
+  storage_path text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (tender_id, language)
+);
+
+-- Storage
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('voice-summaries', 'voice-summaries', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Enable Row Level Security
+ALTER TABLE voice_summaries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Signed-in users can read voice summaries"
+  ON voice_summaries
+  FOR SELECT
+  TO authenticated
+  USING (true);
@@ -0,0 +1,175 @@
+/*
+  # AI Usage Ledger and Quotas
+
+  1. New Tables
+    - `ai_usage` - One row per AI request made for a user
+      - `task` - Key of TASK_CONFIGS in lib/aiPrompts.js, e.g. SUMMARIZE
+      - `status` - pending while the provider is working, then success, error or cancelled
+      - `prompt_tokens`, `completion_tokens`, `total_tokens` - As reported by the provider; `estimated` when it
+        reported nothing and they were counted from the text
+      - `cost_usd` - Estimated cost from the model's price, null for models without a known price
+      - `duration_ms` - Time the request took, including retries
+      - `validation_score` - Quality score of the response (0-100) from lib/aiValidation.js
+    - `user_ai_plans` - AI plan of a user; users without a row are on the default plan
+
+  2. New Functions
+    - `ai_usage_windows` - Requests and tokens of a user in each sliding window
+    - `ai_usage_by_task` - Requests, tokens, cost, latency and quality of a user's requests per task since a date
+    - `reserve_ai_usage` - Checks a user's limits and, when none is reached, records a pending request.
+      Requests of one user are serialized so concurrent requests cannot both take the last slot
+
+  3. Security
+    - Users can read their own usage and plan; both are written by the server only
+*/
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE SET NULL,
+  task text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'error', 'cancelled')),
+  provider text,
+  model text,
+  prompt_tokens integer NOT NULL DEFAULT 0,
+  completion_tokens integer NOT NULL DEFAULT 0,
+  total_tokens integer NOT NULL DEFAULT 0,
+  estimated boolean NOT NULL DEFAULT false,
+  cost_usd numeric(12, 6),
+  duration_ms integer,
+  validation_score integer CHECK (validation_score BETWEEN 0 AND 100),
+  error text,
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS user_ai_plans (
+  user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  plan text NOT NULL CHECK (plan IN ('free', 'pro', 'enterprise')),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at DESC);
+
+-- p_windows is a JSON array of { name, seconds }; one row is returned per window, in order
+CREATE OR REPLACE FUNCTION ai_usage_windows(p_user_id uuid, p_windows jsonb)
+RETURNS TABLE (name text, requests bigint, tokens bigint, resets_at timestamptz)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    windows.value->>'name',
+    count(ai_usage.id),
+    COALESCE(sum(ai_usage.total_tokens), 0)::bigint,
+    -- When the oldest request in the window leaves it
+    min(ai_usage.created_at) + make_interval(secs => (windows.value->>'seconds')::integer)
+  FROM jsonb_array_elements(p_windows) WITH ORDINALITY AS windows(value, position)
+  LEFT JOIN ai_usage
+    ON ai_usage.user_id = p_user_id
+    AND ai_usage.created_at > now() - make_interval(secs => (windows.value->>'seconds')::integer)
+  GROUP BY windows.value, windows.position
+  ORDER BY windows.position;
+$$;
+
+CREATE OR REPLACE FUNCTION ai_usage_by_task(p_user_id uuid, p_since timestamptz)
+RETURNS TABLE (
+  task text,
+  requests bigint,
+  failed bigint,
+  tokens bigint,
+  cost_usd numeric,
+  average_duration_ms integer,
+  average_score integer,
+  last_used_at timestamptz
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    ai_usage.task,
+    count(*),
+    count(*) FILTER (WHERE ai_usage.status = 'error'),
+    COALESCE(sum(ai_usage.total_tokens), 0)::bigint,
+    sum(ai_usage.cost_usd),
+    round(avg(ai_usage.duration_ms))::integer,
+    round(avg(ai_usage.validation_score))::integer,
+    max(ai_usage.created_at)
+  FROM ai_usage
+  WHERE ai_usage.user_id = p_user_id
+  AND ai_usage.created_at >= p_since
+  GROUP BY ai_usage.task
+  ORDER BY sum(ai_usage.total_tokens) DESC;
+$$;
+
+-- p_limits is a JSON array of { name, seconds, requests?, tokens? }. Returns the new request's ID, or the name of
+-- the first limit reached and the seconds until it frees up. With p_dry_run nothing is recorded
+CREATE OR REPLACE FUNCTION reserve_ai_usage(
+  p_user_id uuid,
+  p_organization_id uuid,
+  p_task text,
+  p_limits jsonb,
+  p_dry_run boolean DEFAULT false
+)
+RETURNS TABLE (usage_id uuid, limit_name text, retry_after integer)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_window record;
+  v_usage_id uuid;
+BEGIN
+  IF NOT p_dry_run THEN
+    PERFORM pg_advisory_xact_lock(hashtext('ai_usage:' || p_user_id::text));
+  END IF;
+
+  FOR v_window IN
+    SELECT windows.name, windows.requests, windows.tokens, windows.resets_at, limits.value AS settings
+    FROM ai_usage_windows(p_user_id, p_limits) AS windows
+    JOIN jsonb_array_elements(p_limits) AS limits ON limits.value->>'name' = windows.name
+  LOOP
+    IF (v_window.settings ? 'requests' AND v_window.requests >= (v_window.settings->>'requests')::bigint)
+      OR (v_window.settings ? 'tokens' AND v_window.tokens >= (v_window.settings->>'tokens')::bigint) THEN
+      RETURN QUERY SELECT
+        NULL::uuid,
+        v_window.name,
+        GREATEST(1, COALESCE(
+          ceil(extract(epoch FROM v_window.resets_at - now())),
+          (v_window.settings->>'seconds')::numeric
+        ))::integer;
+      RETURN;
+    END IF;
+  END LOOP;
+
+  IF NOT p_dry_run THEN
+    INSERT INTO ai_usage (user_id, organization_id, task)
+    VALUES (p_user_id, p_organization_id, p_task)
+    RETURNING id INTO v_usage_id;
+  END IF;
+
+  RETURN QUERY SELECT v_usage_id, NULL::text, NULL::integer;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ai_usage_windows(uuid, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ai_usage_by_task(uuid, timestamptz) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_ai_usage(uuid, uuid, text, jsonb, boolean) FROM PUBLIC, anon, authenticated;
+
+-- Enable Row Level Security
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_ai_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own AI usage"
+  ON ai_usage
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can read own AI plan"
+  ON user_ai_plans
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
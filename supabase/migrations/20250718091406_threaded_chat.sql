@@ -0,0 +1,65 @@
+/*
+  # AI Chat Threads
+
+  1. New Tables
+    - `chat_threads` - A user's conversation with the AI assistant about a tender, or about one of their
+      organization's proposals for it; one thread per user, organization, tender and proposal
+      - `summary` - AI summary of the messages up to `summarized_until`, sent instead of them once a thread
+        outgrows the model's context window
+    - `chat_messages` - Messages of a thread
+      - `role` - user or assistant
+      - `stopped` - The assistant's reply was stopped before it was finished
+      - `pinned` - The user pinned the message; pinned messages are kept when a thread is cleared
+
+  2. Security
+    - Users can read their own threads and messages; both are written by the server only
+*/
+
+CREATE TABLE IF NOT EXISTS chat_threads (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  tender_id uuid NOT NULL REFERENCES tenders(id) ON DELETE CASCADE,
+  proposal_id uuid REFERENCES proposals(id) ON DELETE CASCADE,
+  summary text,
+  summarized_until timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE NULLS NOT DISTINCT (user_id, organization_id, tender_id, proposal_id)
+);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  thread_id uuid NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('user', 'assistant')),
+  content text NOT NULL,
+  stopped boolean NOT NULL DEFAULT false,
+  pinned boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_thread_created ON chat_messages(thread_id, created_at);
+
+CREATE TRIGGER update_chat_threads_updated_at BEFORE UPDATE ON chat_threads FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE chat_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own chat threads"
+  ON chat_threads
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can read own chat messages"
+  ON chat_messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM chat_threads
+      WHERE chat_threads.id = chat_messages.thread_id
+      AND chat_threads.user_id = auth.uid()
+    )
+  );
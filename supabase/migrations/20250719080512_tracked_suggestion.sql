@@ -0,0 +1,14 @@
+/*
+  # Accepted AI Suggestions in Version History
+
+  1. Changes
+    - Allow `suggestion` as a `proposal_versions.kind`
+      - `suggestion` - Created when the user accepts a change suggested by a section-level AI action;
+        `changes_summary` names the action and the section it applied to
+*/
+
+ALTER TABLE proposal_versions DROP CONSTRAINT IF EXISTS proposal_versions_kind_check;
+
+ALTER TABLE proposal_versions
+ADD CONSTRAINT proposal_versions_kind_check
+  CHECK (kind IN ('autosave', 'checkpoint', 'restore', 'suggestion'));
@@ -0,0 +1,103 @@
+/*
+  # Full-Text Search Over Tenders Without a Description or Agency
+
+  1. Changes
+    - `filter_tenders` and `search_tenders` match and rank on the title, description and agency with each
+      column coalesced to '', so a NULL description or agency no longer makes the whole document NULL
+    - `idx_tenders_search` is rebuilt on the same coalesced expression so the GIN index is still used
+
+  2. Notes
+    - `tender_search_facets` calls `filter_tenders` and picks up the change without being redefined
+*/
+
+DROP INDEX IF EXISTS idx_tenders_search;
+
+CREATE INDEX IF NOT EXISTS idx_tenders_search ON tenders
+  USING gin(to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(agency, '')));
+
+-- Matching tenders for a set of filters
+CREATE OR REPLACE FUNCTION filter_tenders(
+  p_query text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_location text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_closing_from timestamptz DEFAULT NULL,
+  p_closing_to timestamptz DEFAULT NULL,
+  p_budget_min numeric DEFAULT NULL,
+  p_budget_max numeric DEFAULT NULL,
+  p_budget_currency text DEFAULT NULL
+)
+RETURNS SETOF tenders
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.*
+  FROM tenders t
+  WHERE t.status = 'active'
+    AND (p_query IS NULL OR to_tsvector('english', coalesce(t.title, '') || ' ' || coalesce(t.description, '') || ' ' || coalesce(t.agency, '')) @@ websearch_to_tsquery('english', p_query))
+    AND (p_category IS NULL OR t.category = p_category)
+    AND (p_location IS NULL OR t.location = p_location)
+    AND (p_tags IS NULL OR t.tags @> p_tags)
+    AND (p_closing_from IS NULL OR t.closing_date >= p_closing_from)
+    AND (p_closing_to IS NULL OR t.closing_date <= p_closing_to)
+    AND (p_budget_min IS NULL OR t.budget_max >= p_budget_min)
+    AND (p_budget_max IS NULL OR t.budget_min <= p_budget_max)
+    AND (p_budget_currency IS NULL OR t.budget_currency = p_budget_currency);
+$$;
+
+-- One page of matching tenders, continuing after (p_after_value, p_after_id) when given
+CREATE OR REPLACE FUNCTION search_tenders(
+  p_query text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_location text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_closing_from timestamptz DEFAULT NULL,
+  p_closing_to timestamptz DEFAULT NULL,
+  p_budget_min numeric DEFAULT NULL,
+  p_budget_max numeric DEFAULT NULL,
+  p_budget_currency text DEFAULT NULL,
+  p_sort text DEFAULT 'newest',
+  p_after_value text DEFAULT NULL,
+  p_after_id uuid DEFAULT NULL,
+  p_limit integer DEFAULT 20
+)
+RETURNS TABLE (tender jsonb, sort_value text)
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  IF p_sort = 'closing_date' THEN
+    RETURN QUERY
+      SELECT to_jsonb(t), COALESCE(t.closing_date, 'infinity'::timestamptz)::text
+      FROM filter_tenders(p_query, p_category, p_location, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+      WHERE p_after_id IS NULL
+        OR (COALESCE(t.closing_date, 'infinity'::timestamptz), t.id) > (p_after_value::timestamptz, p_after_id)
+      ORDER BY COALESCE(t.closing_date, 'infinity'::timestamptz), t.id
+      LIMIT p_limit;
+
+  ELSIF p_sort = 'relevance' AND p_query IS NOT NULL THEN
+    RETURN QUERY
+      SELECT ranked.tender, ranked.rank::text
+      FROM (
+        SELECT
+          to_jsonb(t) AS tender,
+          t.id,
+          ts_rank(to_tsvector('english', coalesce(t.title, '') || ' ' || coalesce(t.description, '') || ' ' || coalesce(t.agency, '')), websearch_to_tsquery('english', p_query)) AS rank
+        FROM filter_tenders(p_query, p_category, p_location, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+      ) ranked
+      WHERE p_after_id IS NULL
+        OR (ranked.rank, ranked.id) < (p_after_value::real, p_after_id)
+      ORDER BY ranked.rank DESC, ranked.id DESC
+      LIMIT p_limit;
+
+  ELSE
+    RETURN QUERY
+      SELECT to_jsonb(t), t.created_at::text
+      FROM filter_tenders(p_query, p_category, p_location, p_tags, p_closing_from, p_closing_to, p_budget_min, p_budget_max, p_budget_currency) t
+      WHERE p_after_id IS NULL
+        OR (t.created_at, t.id) < (p_after_value::timestamptz, p_after_id)
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT p_limit;
+  END IF;
+END;
+$$;
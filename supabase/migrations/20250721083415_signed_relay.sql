@@ -0,0 +1,18 @@
+/*
+  # Attestations Stored Before They Are Broadcast
+
+  1. Changes
+    - Add `sending` to `attestations.status`: the transaction is signed and its ID stored, but the broadcast
+      has not been acknowledged. The reconciler only checks such rows against the indexer, and signs a new
+      transaction once the stored one is past its last valid round
+
+  2. Notes
+    - Existing rows are unchanged
+*/
+
+ALTER TABLE attestations DROP CONSTRAINT IF EXISTS attestations_status_check;
+
+ALTER TABLE attestations
+ADD CONSTRAINT attestations_status_check CHECK (status IN ('queued', 'sending', 'sent', 'confirmed', 'failed'));
+
+COMMENT ON COLUMN attestations.status IS 'queued, sending, sent, confirmed, failed';
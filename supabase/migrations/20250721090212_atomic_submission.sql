@@ -0,0 +1,63 @@
+/*
+  # Atomic Proposal Submission
+
+  1. New Functions
+    - `submit_proposal` - Moves an approved proposal to `submitted`, records the status event and queues its
+      attestation in one transaction. Returns the queued `attestations` row, or no row when the proposal is
+      no longer approved
+
+  2. Notes
+    - Before this the three writes were separate, so a failure after the status change left a submitted
+      proposal that nothing would ever attest, and that could not be submitted again
+    - Only the API calls it (service role)
+*/
+
+-- p_attestation holds the row built by lib/attestationQueue.js; queue state, submitter, organization,
+-- proposal and submission time are set here
+CREATE OR REPLACE FUNCTION submit_proposal(
+  p_proposal_id uuid,
+  p_organization_id uuid,
+  p_actor_id uuid,
+  p_submission_date timestamptz,
+  p_attestation jsonb
+)
+RETURNS SETOF attestations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_reviewer_id uuid;
+  v_attestation attestations;
+BEGIN
+  UPDATE proposals
+  SET status = 'submitted',
+      submission_date = p_submission_date,
+      updated_at = now()
+  WHERE id = p_proposal_id
+  AND organization_id = p_organization_id
+  AND status = 'approved'
+  RETURNING reviewer_id INTO v_reviewer_id;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO proposal_status_events (proposal_id, organization_id, from_status, to_status, actor_id, reviewer_id)
+  VALUES (p_proposal_id, p_organization_id, 'approved', 'submitted', p_actor_id, v_reviewer_id);
+
+  INSERT INTO attestations (
+    id, user_id, organization_id, proposal_id, tender_title, agency, submitted_at, tx_id, status, attempts,
+    next_attempt_at, content_hash, file_hash, file_format, file_path, metadata
+  )
+  SELECT
+    a.id, p_actor_id, p_organization_id, p_proposal_id, a.tender_title, a.agency, p_submission_date, NULL, 'queued', 0,
+    a.next_attempt_at, a.content_hash, a.file_hash, a.file_format, a.file_path, a.metadata
+  FROM jsonb_populate_record(NULL::attestations, p_attestation) AS a
+  RETURNING * INTO v_attestation;
+
+  RETURN NEXT v_attestation;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION submit_proposal(uuid, uuid, uuid, timestamptz, jsonb) FROM PUBLIC, anon, authenticated;
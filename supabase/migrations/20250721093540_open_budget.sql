@@ -0,0 +1,41 @@
+/*
+  # Open-Ended Tender Budgets in Search
+
+  1. Changes
+    - `filter_tenders` treats a missing budget bound as open-ended, as `budgetsOverlap` in lib/budget.js does:
+      "Above RM 10 juta" has no `budget_max` and "Below RM 500k" no `budget_min`, and both used to drop out
+      of every search with a budget band. Tenders with no budget at all still do not match a budget band
+
+  2. Notes
+    - `search_tenders` and `tender_search_facets` call `filter_tenders` and pick up the change without being redefined
+*/
+
+-- Matching tenders for a set of filters
+CREATE OR REPLACE FUNCTION filter_tenders(
+  p_query text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_location text DEFAULT NULL,
+  p_tags text[] DEFAULT NULL,
+  p_closing_from timestamptz DEFAULT NULL,
+  p_closing_to timestamptz DEFAULT NULL,
+  p_budget_min numeric DEFAULT NULL,
+  p_budget_max numeric DEFAULT NULL,
+  p_budget_currency text DEFAULT NULL
+)
+RETURNS SETOF tenders
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.*
+  FROM tenders t
+  WHERE t.status = 'active'
+    AND (p_query IS NULL OR to_tsvector('english', coalesce(t.title, '') || ' ' || coalesce(t.description, '') || ' ' || coalesce(t.agency, '')) @@ websearch_to_tsquery('english', p_query))
+    AND (p_category IS NULL OR t.category = p_category)
+    AND (p_location IS NULL OR t.location = p_location)
+    AND (p_tags IS NULL OR t.tags @> p_tags)
+    AND (p_closing_from IS NULL OR t.closing_date >= p_closing_from)
+    AND (p_closing_to IS NULL OR t.closing_date <= p_closing_to)
+    AND (p_budget_min IS NULL OR t.budget_max >= p_budget_min OR (t.budget_max IS NULL AND t.budget_min IS NOT NULL))
+    AND (p_budget_max IS NULL OR t.budget_min <= p_budget_max OR (t.budget_min IS NULL AND t.budget_max IS NOT NULL))
+    AND (p_budget_currency IS NULL OR t.budget_currency = p_budget_currency);
+$$;
@@ -0,0 +1,47 @@
+/*
+  # Deduplicate Ingested Notices Without an Agency
+
+  1. Changes
+    - `idx_tenders_tender_id_agency` is rebuilt as UNIQUE NULLS NOT DISTINCT, so notices with no agency
+      (neither the source nor its options name one) are deduplicated on `tender_id` alone
+    - Duplicates already inserted are merged into the oldest copy first: their proposals and attached
+      documents move to it, and the copies are deleted
+
+  2. Notes
+    - Other per-tender data of a deleted copy (alerts sent, summaries, extracted requirements, chat threads) is
+      derived or repeated on the kept tender and is deleted with it
+*/
+
+CREATE TEMPORARY TABLE duplicate_tenders AS
+SELECT id, first_value(id) OVER (PARTITION BY tender_id ORDER BY created_at, id) AS kept_id
+FROM tenders
+WHERE agency IS NULL
+AND tender_id IS NOT NULL;
+
+DELETE FROM duplicate_tenders WHERE id = kept_id;
+
+UPDATE proposals
+SET tender_id = duplicate_tenders.kept_id
+FROM duplicate_tenders
+WHERE proposals.tender_id = duplicate_tenders.id;
+
+-- A file already attached to the kept tender stays with the copy and is deleted with it
+UPDATE tender_documents
+SET tender_id = duplicate_tenders.kept_id
+FROM duplicate_tenders
+WHERE tender_documents.tender_id = duplicate_tenders.id
+AND NOT EXISTS (
+  SELECT 1 FROM tender_documents kept
+  WHERE kept.tender_id = duplicate_tenders.kept_id
+  AND kept.file_hash = tender_documents.file_hash
+);
+
+DELETE FROM tenders
+USING duplicate_tenders
+WHERE tenders.id = duplicate_tenders.id;
+
+DROP TABLE duplicate_tenders;
+
+DROP INDEX IF EXISTS idx_tenders_tender_id_agency;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenders_tender_id_agency ON tenders(tender_id, agency) NULLS NOT DISTINCT;
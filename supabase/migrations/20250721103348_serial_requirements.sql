@@ -0,0 +1,51 @@
+/*
+  # Transactional Requirement Replacement
+
+  1. New Functions
+    - `replace_tender_requirements` - Replaces a tender's requirements and sets `requirements_extracted_at` in one
+      transaction. Calls for the same tender are serialized, so two extractions finishing together no longer
+      collide on `UNIQUE (tender_id, position)`, and a failed insert keeps the previous requirements
+
+  2. Notes
+    - `p_requirements` is a JSON array of { type, description, threshold, mandatory, source, sourceReference },
+      stored in array order
+    - Only the API calls it (service role)
+*/
+
+CREATE OR REPLACE FUNCTION replace_tender_requirements(
+  p_tender_id uuid,
+  p_requirements jsonb,
+  p_extracted_at timestamptz
+)
+RETURNS SETOF tender_requirements
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('tender_requirements:' || p_tender_id::text));
+
+  DELETE FROM tender_requirements WHERE tender_id = p_tender_id;
+
+  INSERT INTO tender_requirements (tender_id, position, type, description, threshold, mandatory, source, source_reference)
+  SELECT
+    p_tender_id,
+    (requirements.position - 1)::integer,
+    requirements.value->>'type',
+    requirements.value->>'description',
+    COALESCE(requirements.value->'threshold', '{}'::jsonb),
+    COALESCE((requirements.value->>'mandatory')::boolean, true),
+    COALESCE(requirements.value->>'source', 'listing'),
+    requirements.value->>'sourceReference'
+  FROM jsonb_array_elements(p_requirements) WITH ORDINALITY AS requirements(value, position);
+
+  UPDATE tenders SET requirements_extracted_at = p_extracted_at WHERE id = p_tender_id;
+
+  RETURN QUERY
+  SELECT * FROM tender_requirements
+  WHERE tender_id = p_tender_id
+  ORDER BY position;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION replace_tender_requirements(uuid, jsonb, timestamptz) FROM PUBLIC, anon, authenticated;
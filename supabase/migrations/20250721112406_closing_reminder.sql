@@ -0,0 +1,30 @@
+/*
+  # Closing-date reminders
+
+  1. New Tables
+    - `deadline_reminders` - Tenders a user has already been reminded about before they close, so each reminder is sent once
+
+  2. Security
+    - Enable RLS
+    - Users can read their own reminder history
+    - Reminders are written by the scheduled alerts job using the service role
+*/
+
+-- Closing-date reminders already sent to each user
+CREATE TABLE IF NOT EXISTS deadline_reminders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  tender_id uuid REFERENCES tenders(id) ON DELETE CASCADE NOT NULL,
+  notified_at timestamptz DEFAULT now(),
+  CONSTRAINT deadline_reminders_unique UNIQUE (user_id, tender_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE deadline_reminders ENABLE ROW LEVEL SECURITY;
+
+-- Deadline reminders policies
+CREATE POLICY "Users can read own deadline reminders"
+  ON deadline_reminders
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);